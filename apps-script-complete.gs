@@ -1,3 +1,20 @@
+// ---------------------------------------------------------------------------
+// Configuration
+//
+// The spreadsheet every action works on is set by the SPREADSHEET_ID script
+// property (Project Settings > Script properties), so a staging copy of the
+// script is pointed at a test spreadsheet there without editing the code.
+// Without it the production spreadsheet is used. The app's side of this is
+// src/lib/config.js.
+// ---------------------------------------------------------------------------
+
+var DEFAULT_SPREADSHEET_ID = "1Kp9eEqtQfesdie6l7XEuTZne6Md8_P8qzKfGFcHhpL4";
+
+function openSpreadsheet() {
+  var id = PropertiesService.getScriptProperties().getProperty("SPREADSHEET_ID");
+  return SpreadsheetApp.openById(id || DEFAULT_SPREADSHEET_ID);
+}
+
 function doGet(e) {
   if (!e || !e.parameter) {
     return ContentService.createTextOutput("Script is active. Access it via the Web App URL.")
@@ -6,10 +23,56 @@ function doGet(e) {
   try {
     var params = e.parameter;
     
+    try {
+      authenticate(params);
+    } catch (authError) {
+      return authErrorResponse(authError);
+    }
+    
+    if (params.action === 'audit') {
+      return fetchAuditLog(params.enquiryNumber, params);
+    }
+    
+    if (params.action === 'archive') {
+      return fetchArchive(params);
+    }
+    
+    if (params.action === 'users') {
+      return listUsers(params);
+    }
+    
+    if (params.action === 'exportUsers') {
+      return exportUsers(params);
+    }
+    
+    if (params.action === 'session') {
+      return checkSession(params);
+    }
+    
+    if (params.action === 'documentFolder') {
+      return fetchDocumentFolder(params.enquiryNumber, params);
+    }
+    
+    if (params.action === 'documentVersions') {
+      return fetchDocumentVersions(params.enquiryNumber, params);
+    }
+    
+    if (params.action === 'checkGeotag') {
+      return checkGeotag(params);
+    }
+    
+    if (params.action === 'documentLink') {
+      return createDocumentLink(params);
+    }
+    
+    if (params.action === 'document') {
+      return serveDocument(params);
+    }
+    
     if (params.sheet && params.action === 'fetch') {
-      return fetchSheetData(params.sheet);
+      return fetchSheetData(params.sheet, params);
     } else if (params.sheet) {
-      return fetchSheetData(params.sheet);
+      return fetchSheetData(params.sheet, params);
     }
     
     return ContentService.createTextOutput("Google Apps Script is running.")
@@ -23,33 +86,59 @@ function doGet(e) {
   }
 }
 
-function fetchSheetData(sheetName) {
+function fetchSheetData(sheetName, params) {
   try {
-    var ss = SpreadsheetApp.openById("1Kp9eEqtQfesdie6l7XEuTZne6Md8_P8qzKfGFcHhpL4");
+    var ss = openSpreadsheet();
     var sheet = ss.getSheetByName(sheetName);
     
-    if (!sheet) {
+    // The script's own sheets are served by their actions (audit, archive,
+    // users, ...), which check permissions and scope
+    if (!sheet || !DATA_SHEETS[sheetName]) {
       throw new Error("Sheet not found: " + sheetName);
     }
     
+    if (params && isSheetQuery(params)) {
+      return querySheetData(sheet, sheetName, params);
+    }
+    
     var range = sheet.getDataRange();
     var values = range.getValues();
     var displayValues = range.getDisplayValues();
     
     console.log("Fetching data from sheet: " + sheetName);
     
+    // Data rows of keyed sheets carry a version so writes can detect that
+    // the row changed after it was read (see checkRowVersion)
+    var firstDataIndex = KEYED_SHEETS[sheetName] ? getHeaderRow(sheetName) : -1;
+    var hidden = deniedColumns(params, sheetName, "view");
+    // Rows out of the user's data scope are sent blank, so the others keep
+    // their positions
+    var inScope = sheetName === "FMS" && values.length >= getHeaderRow(sheetName) ?
+      scopeTest(params, values[getHeaderRow(sheetName) - 1]) : null;
+    
     var result = {
       table: {
         cols: [],
         rows: values.map(function(row, rowIndex) {
-          return {
-            c: row.map(function(cell, colIndex) {
+          var dataRow = rowIndex >= getHeaderRow(sheetName);
+          var cells = dataRow ? redactRow(row, hidden, "") : row;
+          var displayCells = dataRow ? redactRow(displayValues[rowIndex], hidden, "") : displayValues[rowIndex];
+          if (dataRow && inScope && !inScope(row)) {
+            cells = row.map(function() { return ""; });
+            displayCells = cells;
+          }
+          var fetchedRow = {
+            c: cells.map(function(cell, colIndex) {
               return {
                 v: cell,
-                f: displayValues[rowIndex][colIndex]
+                f: displayCells[colIndex]
               };
             })
           };
+          if (firstDataIndex >= 0 && rowIndex >= firstDataIndex) {
+            fetchedRow.version = rowVersion(row);
+          }
+          return fetchedRow;
         })
       }
     };
@@ -66,6 +155,265 @@ function fetchSheetData(sheetName) {
   }
 }
 
+// ---------------------------------------------------------------------------
+// Sheet queries
+//
+// doGet?sheet=...&action=fetch with any of columns, filters, sort, offset or
+// limit returns only the matching data rows instead of the whole sheet.
+// Columns are referenced by header text, qualified as "Header@COL" when the
+// header repeats (see resolveHeaderColumn).
+//   columns: JSON array of column refs to return (default: every column)
+//   filters: JSON array of { column, op, value }, all of which must match;
+//            op is one of empty, notEmpty, eq, neq, contains
+//   sort:    JSON { column, direction: "asc" | "desc" }; blanks sort last
+//   offset, limit: page through the filtered, sorted rows
+//   since:   change feed cursor, see querySheetData
+// ---------------------------------------------------------------------------
+
+var QUERY_PARAMS = ["columns", "filters", "sort", "offset", "limit", "since"];
+
+function isSheetQuery(params) {
+  return QUERY_PARAMS.some(function(name) {
+    return params[name] !== undefined && params[name] !== "";
+  });
+}
+
+function isBlankCell(value) {
+  return value === null || value === undefined || value.toString().trim() === "";
+}
+
+function queryCellText(value) {
+  if (value instanceof Date) return formatTimestamp(value);
+  return isBlankCell(value) ? "" : value.toString().trim();
+}
+
+var QUERY_OPERATORS = {
+  empty: function(cell) {
+    return isBlankCell(cell);
+  },
+  notEmpty: function(cell) {
+    return !isBlankCell(cell);
+  },
+  eq: function(cell, value) {
+    return queryCellText(cell) === queryCellText(value);
+  },
+  neq: function(cell, value) {
+    return queryCellText(cell) !== queryCellText(value);
+  },
+  contains: function(cell, value) {
+    return queryCellText(cell).toLowerCase().indexOf(queryCellText(value).toLowerCase()) !== -1;
+  }
+};
+
+function compareCells(a, b) {
+  if (a instanceof Date && b instanceof Date) return a.getTime() - b.getTime();
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  // numeric, so EN-999 sorts before EN-1000
+  return queryCellText(a).localeCompare(queryCellText(b), undefined, { numeric: true });
+}
+
+// Response: { success, headers, columns, rows, total, offset, limit, cursor }.
+// headers is the full header row; columns lists the 0-based column index of
+// each entry in a row's values. rows are { rowIndex (1-based sheet row),
+// values, version (keyed sheets only) }; total counts all matches before paging.
+// cursor is the server time of the read, to be sent back as `since`.
+//
+// With `since` only rows modified after that cursor are returned, whether or
+// not they match the filters: each row carries `matched` instead, so a client
+// can drop rows that left its slice. `deleted` then lists the enquiry numbers
+// archived since the cursor.
+function querySheetData(sheet, sheetName, params) {
+  var cursor = new Date().getTime();
+  var headerRow = getHeaderRow(sheetName);
+  var values = sheet.getDataRange().getValues();
+  var headers = values.length >= headerRow ? values[headerRow - 1] : [];
+  // Filters and sorts only see what the user may view; versions are taken
+  // from the whole row, as checkRowVersion compares them
+  var hidden = deniedColumns(params, sheetName, "view");
+  var visible = values.map(function(row, r) {
+    return r >= headerRow ? redactRow(row, hidden, "") : row;
+  });
+  // Rows out of the user's data scope never match. The change feed still
+  // sends their enquiry number, unmatched, so a row that left the scope
+  // drops out of the client's lists.
+  var inScope = sheetName === "FMS" ? scopeTest(params, headers) : null;
+  var resolve = function(ref) {
+    return resolveHeaderColumn(headers, (ref || "").toString()) - 1;
+  };
+  
+  var columns = params.columns ? JSON.parse(params.columns).map(resolve) : headers.map(function(header, i) { return i; });
+  var filters = (params.filters ? JSON.parse(params.filters) : []).map(function(filter) {
+    var test = QUERY_OPERATORS[filter.op];
+    if (!test) {
+      throw new Error("Unknown filter operator: " + filter.op);
+    }
+    return { index: resolve(filter.column), test: test, value: filter.value };
+  });
+  var sort = params.sort ? JSON.parse(params.sort) : null;
+  var sortIndex = sort ? resolve(sort.column) : -1;
+  var descending = sort && sort.direction === "desc";
+  var offset = Math.max(parseInt(params.offset) || 0, 0);
+  var limit = parseInt(params.limit);
+  var since = parseInt(params.since);
+  var changesOnly = !isNaN(since);
+  var modifiedIndex = changesOnly ? findModifiedColumn(headers) - 1 : -1;
+  
+  var matched = [];
+  var unmatched = {};
+  for (var r = headerRow; r < values.length; r++) {
+    var row = visible[r];
+    if (changesOnly && !(modifiedTime(values[r][modifiedIndex]) > since - CHANGE_FEED_OVERLAP_MS)) continue;
+    if (inScope && !inScope(values[r])) {
+      if (changesOnly) {
+        visible[r] = row.map(function(cell, c) { return c === 1 ? cell : ""; });
+        matched.push(r);
+        unmatched[r] = true;
+      }
+      continue;
+    }
+    var matches = filters.every(function(filter) {
+      return filter.test(row[filter.index], filter.value);
+    });
+    if (matches) {
+      matched.push(r);
+    } else if (changesOnly) {
+      matched.push(r);
+      unmatched[r] = true;
+    }
+  }
+  
+  if (sortIndex >= 0) {
+    matched.sort(function(a, b) {
+      var left = visible[a][sortIndex];
+      var right = visible[b][sortIndex];
+      if (isBlankCell(left) || isBlankCell(right)) {
+        return (isBlankCell(left) ? 1 : 0) - (isBlankCell(right) ? 1 : 0) || a - b;
+      }
+      var order = compareCells(left, right);
+      return (descending ? -order : order) || a - b;
+    });
+  }
+  
+  var page = isNaN(limit) || limit < 0 ? matched.slice(offset) : matched.slice(offset, offset + limit);
+  var keyed = KEYED_SHEETS[sheetName];
+  
+  var rows = page.map(function(r) {
+    var row = visible[r];
+    var result = {
+      rowIndex: r + 1,
+      values: columns.map(function(index) { return row[index]; })
+    };
+    if (keyed) {
+      result.version = rowVersion(values[r]);
+    }
+    if (changesOnly) {
+      result.matched = !unmatched[r];
+    }
+    return result;
+  });
+  
+  console.log("Query on " + sheetName + ": " + matched.length + " matches, returning " + rows.length);
+  
+  var response = {
+    success: true,
+    headers: headers,
+    columns: columns,
+    rows: rows,
+    total: matched.length,
+    offset: offset,
+    limit: isNaN(limit) ? null : limit,
+    cursor: cursor
+  };
+  if (changesOnly) {
+    response.deleted = archivedSince(sheetName, since - CHANGE_FEED_OVERLAP_MS);
+  }
+  
+  return ContentService.createTextOutput(JSON.stringify(response)).setMimeType(ContentService.MimeType.JSON);
+}
+
+// ---------------------------------------------------------------------------
+// Change feed
+//
+// Every write to a row of a keyed sheet stamps the row's "Modified At" cell
+// with the server time (the column is added after the last header on first
+// use). A query with `since` then returns only the rows stamped after that
+// cursor, so pages can patch their lists instead of refetching the sheet.
+// Edits made by hand in the spreadsheet are stamped by onEdit when this
+// script is bound to it.
+// ---------------------------------------------------------------------------
+
+var MODIFIED_HEADER = "Modified At";
+
+// Rows stamped up to this long before the cursor are sent again, so a write
+// that was still in progress while the previous query read the sheet is not
+// missed. Clients replace rows by enquiry number, so repeats are harmless.
+var CHANGE_FEED_OVERLAP_MS = 60000;
+
+// 1-based column of the "Modified At" header, or 0 when there is none yet.
+function findModifiedColumn(headers) {
+  var target = normalizeHeader(MODIFIED_HEADER);
+  for (var i = 0; i < headers.length; i++) {
+    if (normalizeHeader(headers[i]) === target) return i + 1;
+  }
+  return 0;
+}
+
+function modifiedTime(value) {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === "number") return value;
+  return NaN;
+}
+
+// Stamp one row as modified now. No-op for sheets that are not keyed.
+function touchRow(sheet, sheetName, rowIndex) {
+  if (!KEYED_SHEETS[sheetName]) return;
+  var headerRow = getHeaderRow(sheetName);
+  var lastColumn = sheet.getLastColumn();
+  var column = findModifiedColumn(sheet.getRange(headerRow, 1, 1, lastColumn).getValues()[0]);
+  if (!column) {
+    column = lastColumn + 1;
+    sheet.getRange(headerRow, column).setValue(MODIFIED_HEADER);
+  }
+  sheet.getRange(rowIndex, column).setValue(new Date());
+}
+
+// Parse a formatTimestamp string (DD/MM/YYYY hh:mm:ss) back to milliseconds.
+function parseTimestamp(value) {
+  if (value instanceof Date) return value.getTime();
+  var match = (value || "").toString().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})\s+(\d{1,2}):(\d{2}):(\d{2})$/);
+  if (!match) return NaN;
+  return new Date(+match[3], +match[2] - 1, +match[1], +match[4], +match[5], +match[6]).getTime();
+}
+
+// Enquiry numbers of rows moved from sheetName to the archive after `after` (ms).
+function archivedSince(sheetName, after) {
+  var ss = openSpreadsheet();
+  var archive = ss.getSheetByName(ARCHIVE_SHEET_NAME);
+  if (!archive || archive.getLastRow() < 2) return [];
+  
+  var meta = archive.getRange(2, 1, archive.getLastRow() - 1, ARCHIVE_META_HEADERS.length).getValues();
+  var deleted = [];
+  meta.forEach(function(row) {
+    if (row[2].toString() === sheetName && parseTimestamp(row[0]) > after) {
+      deleted.push(row[4].toString().trim());
+    }
+  });
+  return deleted;
+}
+
+// Simple trigger: stamp data rows of keyed sheets edited in the spreadsheet UI.
+function onEdit(e) {
+  var sheet = e.range.getSheet();
+  var sheetName = sheet.getName();
+  if (!KEYED_SHEETS[sheetName]) return;
+  
+  var firstRow = Math.max(e.range.getRow(), getHeaderRow(sheetName) + 1);
+  var lastRow = e.range.getLastRow();
+  for (var rowIndex = firstRow; rowIndex <= lastRow; rowIndex++) {
+    touchRow(sheet, sheetName, rowIndex);
+  }
+}
+
 // Function to format timestamp as DD/MM/YYYY hh:mm:ss string format
 function formatTimestamp(date) {
   if (!date) date = new Date();
@@ -101,48 +449,145 @@ function formatTimestamp(date) {
   return `${day}/${month}/${year} ${hours}:${minutes}:${seconds}`;
 }
 
-// Function to get next enquiry number
-function getNextEnquiryNumber(sheetName) {
-  try {
-    var ss = SpreadsheetApp.openById("1Kp9eEqtQfesdie6l7XEuTZne6Md8_P8qzKfGFcHhpL4");
+// ---------------------------------------------------------------------------
+// Enquiry numbering
+// ---------------------------------------------------------------------------
+
+// How new FMS enquiry numbers look. `format` tokens:
+//   {FY}   financial year, e.g. FY25-26
+//   {SEQ}  running number, zero-padded to `digits`
+// A branch (ENQUIRY_NUMBERING.branch, or the `branch` sent with the insert) is
+// put in front of the number followed by `branchSeparator`, e.g. HYD/EN/FY25-26/0001.
+// Each branch counts on its own, and with resetEachFinancialYear the count
+// starts again at 1 every financial year. Set format to "EN-{SEQ}" and
+// resetEachFinancialYear to false to continue the old EN-### series.
+var ENQUIRY_NUMBERING = {
+  format: "EN/{FY}/{SEQ}",
+  digits: 4,
+  branch: "",
+  branchSeparator: "/",
+  resetEachFinancialYear: true,
+  financialYearStartMonth: 4 // April
+};
+
+// Last number issued per series. Numbers of archived rows are never reused.
+var ENQUIRY_COUNTER_SHEET_NAME = "Enquiry_Counter";
+var ENQUIRY_COUNTER_HEADERS = ["Series", "Last Number", "Updated At"];
+
+function financialYearLabel(date) {
+  var startYear = date.getFullYear();
+  if (date.getMonth() + 1 < ENQUIRY_NUMBERING.financialYearStartMonth) startYear--;
+  var twoDigits = function(year) { return (year % 100).toString().padStart(2, '0'); };
+  return "FY" + twoDigits(startYear) + "-" + twoDigits(startYear + 1);
+}
+
+function normalizeBranch(branch) {
+  return (branch || ENQUIRY_NUMBERING.branch || "").toString().trim().toUpperCase().replace(/[^A-Z0-9]+/g, "");
+}
+
+// The numbering series for a branch on a date: the text around {SEQ}, and the
+// key its counter is stored under.
+function enquirySeries(branch, date) {
+  var fy = financialYearLabel(date);
+  var prefix = branch ? branch + ENQUIRY_NUMBERING.branchSeparator : "";
+  var parts = ENQUIRY_NUMBERING.format.replace(/\{FY\}/g, fy).split("{SEQ}");
+  var key = (branch || "-") + "|" + ENQUIRY_NUMBERING.format;
+  if (ENQUIRY_NUMBERING.resetEachFinancialYear) key += "|" + fy;
+  return { key: key, prefix: prefix + parts[0], suffix: parts.slice(1).join("{SEQ}") };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function getEnquiryCounterSheet() {
+  var ss = openSpreadsheet();
+  var sheet = ss.getSheetByName(ENQUIRY_COUNTER_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(ENQUIRY_COUNTER_SHEET_NAME);
+    sheet.getRange(1, 1, 1, ENQUIRY_COUNTER_HEADERS.length).setValues([ENQUIRY_COUNTER_HEADERS]);
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+// Highest number of `series` already used in column B of FMS or in the
+// archive, read once when a series gets its counter row.
+function highestUsedNumber(series) {
+  var ss = openSpreadsheet();
+  var pattern = new RegExp("^" + escapeRegExp(series.prefix) + "(\\d+)" + escapeRegExp(series.suffix) + "$");
+  var highest = 0;
+  var scan = function(sheetName, column) {
     var sheet = ss.getSheetByName(sheetName);
-    
-    if (!sheet) {
-      return "EN-001"; // Default if sheet doesn't exist
-    }
-    
-    var lastRow = sheet.getLastRow();
-    if (lastRow <= 1) {
-      return "EN-001"; // Start from EN-001 if no data rows
-    }
-    
-    // Find the highest enquiry number from column B
-    var maxNumber = 0;
-    for (var i = 2; i <= lastRow; i++) {
-      var enquiryNum = sheet.getRange(i, 2).getValue().toString();
-      var match = enquiryNum.match(/EN-(\d+)/);
-      if (match) {
-        var num = parseInt(match[1]);
-        if (num > maxNumber) {
-          maxNumber = num;
-        }
-      }
+    if (!sheet || sheet.getLastRow() < 1) return;
+    sheet.getRange(1, column, sheet.getLastRow(), 1).getValues().forEach(function(row) {
+      var match = row[0].toString().trim().match(pattern);
+      if (match) highest = Math.max(highest, parseInt(match[1], 10));
+    });
+  };
+  scan("FMS", 2);
+  scan(ARCHIVE_SHEET_NAME, ARCHIVE_META_HEADERS.indexOf("Enquiry Number") + 1);
+  return highest;
+}
+
+// Issue the next enquiry number. Must be called while holding the script lock,
+// and the number written to the sheet before the lock is released.
+function getNextEnquiryNumber(branch) {
+  var series = enquirySeries(normalizeBranch(branch), new Date());
+  var counters = getEnquiryCounterSheet();
+  var lastRow = counters.getLastRow();
+  var keys = lastRow > 1 ? counters.getRange(2, 1, lastRow - 1, 1).getValues() : [];
+
+  var counterRow = 0;
+  for (var i = 0; i < keys.length; i++) {
+    if (keys[i][0].toString() === series.key) {
+      counterRow = i + 2;
+      break;
     }
-    
-    // Generate next enquiry number
-    var nextNumber = (maxNumber + 1).toString().padStart(3, '0');
-    return "EN-" + nextNumber;
-  } catch (error) {
-    console.error("Error getting next enquiry number:", error);
-    return "EN-001";
   }
+
+  var next;
+  if (counterRow) {
+    next = (parseInt(counters.getRange(counterRow, 2).getValue(), 10) || 0) + 1;
+  } else {
+    next = highestUsedNumber(series) + 1;
+    counterRow = lastRow + 1;
+  }
+  counters.getRange(counterRow, 1, 1, 3).setValues([[series.key, next, new Date()]]);
+
+  return series.prefix + next.toString().padStart(ENQUIRY_NUMBERING.digits, '0') + series.suffix;
 }
 
 function doPost(e) {
   try {
-    console.log("Received POST request with parameters:", JSON.stringify(e.parameter));
     var params = e.parameter;
     
+    // Before anything is logged: the parameters hold the password
+    if (params.action === 'login') {
+      return login(params);
+    }
+    
+    try {
+      authenticate(params);
+    } catch (authError) {
+      return authErrorResponse(authError);
+    }
+    
+    // Also before logging, for the same reason
+    if (params.action === 'changePassword') {
+      return changePassword(params);
+    }
+    
+    if (params.action === 'refreshSession') {
+      return refreshSession(params);
+    }
+    
+    if (params.action === 'logout') {
+      return logout(params);
+    }
+    
+    console.log("Received POST request with parameters:", JSON.stringify(loggableParameters(params)));
+    
     if (params.action === 'uploadFile') {
       var base64Data = params.base64Data;
       var fileName = params.fileName;
@@ -153,16 +598,35 @@ function doPost(e) {
         throw new Error("Missing required parameters for file upload");
       }
       
-      var result = uploadFileToDrive(base64Data, fileName, mimeType, folderId);
+      var target = resolveUploadTarget(params);
+      var result = uploadFileToDrive(base64Data, target.fileName, mimeType, target.folderId);
+      var geotag = uploadGeotag(params);
+      if (geotag) recordPhotoGeotag(geotag, result);
       
       return ContentService.createTextOutput(JSON.stringify({
         success: true,
         fileUrl: result.fileUrl,
         fileId: result.fileId,
-        fileName: fileName
+        fileName: result.fileName
       })).setMimeType(ContentService.MimeType.JSON);
     }
     
+    if (params.action === 'uploadStart') {
+      return startUpload(params);
+    }
+    
+    if (params.action === 'uploadChunk') {
+      return uploadChunk(params);
+    }
+    
+    if (params.action === 'uploadStatus') {
+      return uploadStatus(params);
+    }
+    
+    if (params.action === 'uploadFinish') {
+      return finishUpload(params);
+    }
+    
     if (params.action === 'updateTaskData') {
       return updateTaskData(params);
     }
@@ -179,14 +643,46 @@ function doPost(e) {
       return deleteRow(params);
     }
     
+    if (params.action === 'restoreRow') {
+      return restoreArchivedRow(params);
+    }
+    
+    if (params.action === 'purgeRow') {
+      return purgeArchivedRow(params);
+    }
+    
+    if (params.action === 'createUser') {
+      return createUser(params);
+    }
+    
+    if (params.action === 'updateUser') {
+      return updateUser(params);
+    }
+    
+    if (params.action === 'setUserStatus') {
+      return setUserStatus(params);
+    }
+    
+    if (params.action === 'resetPassword') {
+      return resetPassword(params);
+    }
+    
+    if (params.action === 'updateFields') {
+      return updateFields(params);
+    }
+    
+    if (params.action === 'batchUpdate') {
+      return batchUpdate(params);
+    }
+    
     var sheetName = params.sheetName;
     var action = params.action || 'insert';
     if (action === 'add') action = 'insert';
     
-    var ss = SpreadsheetApp.openById("1Kp9eEqtQfesdie6l7XEuTZne6Md8_P8qzKfGFcHhpL4");
+    var ss = openSpreadsheet();
     var sheet = ss.getSheetByName(sheetName);
     
-    if (!sheet) {
+    if (!sheet || !DATA_SHEETS[sheetName]) {
       throw new Error("Sheet not found: " + sheetName);
     }
     
@@ -207,20 +703,50 @@ function doPost(e) {
         throw new Error("Invalid or empty row data array");
       }
       
-      // For FMS sheet, handle enquiry number generation
-      if (sheetName === "FMS") {
-        var enquiryNumber = getNextEnquiryNumber(sheetName);
-        rowData[1] = enquiryNumber; // Set enquiry number in column B (index 1)
-        console.log("Generated enquiry number:", enquiryNumber);
-      }
+      // Blank cells of a new row are not written to anybody's stage
+      requireEditableColumns(params, sheetName, rowDataTargets(rowData).filter(function(target) {
+        return target.value !== "";
+      }).map(function(target) {
+        return target.column;
+      }));
       
-      console.log("Final row data for submission:", JSON.stringify(rowData));
+      var fieldErrors = validateTargets(getValidationRules(sheet, sheetName), rowDataTargets(rowData));
+      if (fieldErrors) {
+        return validationResponse(fieldErrors);
+      }
       
-      // Append the row to the sheet
-      sheet.appendRow(rowData);
+      // The lock keeps two submits from getting the same enquiry number
+      var lock = LockService.getScriptLock();
+      lock.waitLock(30000);
+      var lastRow;
       
-      var lastRow = sheet.getLastRow();
-      console.log("Data inserted at row:", lastRow);
+      try {
+        // For FMS sheet, handle enquiry number generation
+        if (sheetName === "FMS") {
+          var enquiryNumber = getNextEnquiryNumber(scopedInsertBranch(params, sheet, rowData));
+          rowData[1] = enquiryNumber; // Set enquiry number in column B (index 1)
+          console.log("Generated enquiry number:", enquiryNumber);
+        }
+        
+        console.log("Final row data for submission:", JSON.stringify(rowData));
+        
+        // Append the row to the sheet
+        sheet.appendRow(rowData);
+        
+        lastRow = sheet.getLastRow();
+        console.log("Data inserted at row:", lastRow);
+        touchRow(sheet, sheetName, lastRow);
+        
+        var audit = newAudit(params, "insert", sheet, sheetName);
+        rowData.forEach(function(value, i) {
+          if (value !== null && value !== undefined && value !== "") {
+            auditChange(audit, rowData[1], lastRow, i + 1, "", value);
+          }
+        });
+        writeAuditLog(audit);
+      } finally {
+        lock.releaseLock();
+      }
       
       return ContentService.createTextOutput(JSON.stringify({ 
         success: true,
@@ -232,33 +758,67 @@ function doPost(e) {
       })).setMimeType(ContentService.MimeType.JSON);
     } 
     else if (action === 'update') {
-      var rowIndex = parseInt(params.rowIndex);
       var rowData = JSON.parse(params.rowData);
-      
-      if (isNaN(rowIndex) || rowIndex < 2) {
-        throw new Error("Invalid row index for update: " + rowIndex);
+      requireEditableColumns(params, sheetName, rowDataTargets(rowData).map(function(target) {
+        return target.column;
+      }));
+      var updateErrors = validateTargets(getValidationRules(sheet, sheetName), rowDataTargets(rowData));
+      if (updateErrors) {
+        return validationResponse(updateErrors);
       }
       
-      console.log("Updating row " + rowIndex + " with data:", JSON.stringify(rowData));
+      var lock = LockService.getScriptLock();
+      lock.waitLock(30000);
       
-      // FIXED: Allow empty strings to clear cells
-      for (var i = 0; i < rowData.length; i++) {
-        // Check if value exists (not null or undefined) - empty strings ARE allowed
-        if (rowData[i] !== null && rowData[i] !== undefined) {
-          var cell = sheet.getRange(rowIndex, i + 1);
-          
-          // Set cell value directly without forcing leading quote text prefix
-          cell.setValue(rowData[i]);
-          
-          console.log("Updated cell at row " + rowIndex + ", column " + (i + 1) + " with value: '" + rowData[i] + "'");
+      try {
+        var rowIndex = resolveKeyedRow(sheet, sheetName, params.rowIndex, params.enquiryNumber);
+        requireRowInScope(params, sheet, sheetName, rowIndex, rowDataTargets(rowData));
+        
+        var changedColumns = [];
+        for (var c = 0; c < rowData.length; c++) {
+          if (rowData[c] !== null && rowData[c] !== undefined) changedColumns.push(c + 1);
+        }
+        var conflict = checkRowVersion(sheet, rowIndex, params.version, changedColumns.map(function(column) {
+          return { name: columnToLetter(column), column: column };
+        }));
+        if (conflict) {
+          conflict.enquiryNumber = params.enquiryNumber || null;
+          return conflictResponse(conflict);
         }
+        
+        console.log("Updating row " + rowIndex + " with data:", JSON.stringify(rowData));
+        
+        var before = sheet.getRange(rowIndex, 1, 1, sheet.getLastColumn()).getValues()[0];
+        var audit = newAudit(params, "update", sheet, sheetName);
+        
+        // FIXED: Allow empty strings to clear cells
+        for (var i = 0; i < rowData.length; i++) {
+          // Check if value exists (not null or undefined) - empty strings ARE allowed
+          if (rowData[i] !== null && rowData[i] !== undefined) {
+            var cell = sheet.getRange(rowIndex, i + 1);
+            
+            // Set cell value directly without forcing leading quote text prefix
+            cell.setValue(rowData[i]);
+            auditChange(audit, before[1], rowIndex, i + 1, before[i], rowData[i]);
+            
+            console.log("Updated cell at row " + rowIndex + ", column " + (i + 1) + " with value: '" + rowData[i] + "'");
+          }
+        }
+        
+        touchRow(sheet, sheetName, rowIndex);
+        SpreadsheetApp.flush();
+        writeAuditLog(audit);
+        
+        return ContentService.createTextOutput(JSON.stringify({ 
+          success: true,
+          message: "Row updated successfully",
+          rowIndex: rowIndex,
+          enquiryNumber: params.enquiryNumber || null,
+          version: currentRowVersion(sheet, rowIndex)
+        })).setMimeType(ContentService.MimeType.JSON);
+      } finally {
+        lock.releaseLock();
       }
-      
-      return ContentService.createTextOutput(JSON.stringify({ 
-        success: true,
-        message: "Row updated successfully",
-        rowIndex: rowIndex
-      })).setMimeType(ContentService.MimeType.JSON);
     }
     else {
       throw new Error("Unknown action: " + action);
@@ -276,28 +836,55 @@ function doPost(e) {
 function deleteRow(params) {
   try {
     var sheetName = params.sheetName;
-    var rowIndex = parseInt(params.rowIndex);
-    
-    if (isNaN(rowIndex) || rowIndex < 2) {
-      throw new Error("Invalid row index for delete: " + rowIndex);
-    }
     
-    var ss = SpreadsheetApp.openById("1Kp9eEqtQfesdie6l7XEuTZne6Md8_P8qzKfGFcHhpL4");
+    var ss = openSpreadsheet();
     var sheet = ss.getSheetByName(sheetName);
     
-    if (!sheet) {
+    if (!sheet || !DATA_SHEETS[sheetName]) {
       throw new Error("Sheet not found: " + sheetName);
     }
+    var lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    var rowIndex;
     
-    console.log("Deleting row " + rowIndex + " from sheet " + sheetName);
-    
-    // Delete the entire row
-    sheet.deleteRow(rowIndex);
+    try {
+      rowIndex = resolveKeyedRow(sheet, sheetName, params.rowIndex, params.enquiryNumber);
+      if (sheetName === "FMS") {
+        requirePermission(params, rowStage(sheet.getRange(rowIndex, 1, 1, sheet.getLastColumn()).getValues()[0]), "delete");
+      }
+      requireRowInScope(params, sheet, sheetName, rowIndex, []);
+      
+      var conflict = checkRowVersion(sheet, rowIndex, params.version, []);
+      if (conflict) {
+        conflict.enquiryNumber = params.enquiryNumber || null;
+        return conflictResponse(conflict);
+      }
+      
+      console.log("Deleting row " + rowIndex + " from sheet " + sheetName);
+      
+      var audit = newAudit(params, "deleteRow", sheet, sheetName);
+      var deleted;
+      
+      if (KEYED_SHEETS[sheetName]) {
+        // Enquiries are soft deleted: moved to FMS_Archive, restorable from the recycle bin
+        deleted = archiveRow(sheet, sheetName, rowIndex, audit.username);
+      } else {
+        deleted = sheet.getRange(rowIndex, 1, 1, sheet.getLastColumn()).getValues()[0];
+        sheet.deleteRow(rowIndex);
+      }
+      
+      auditRow(audit, deleted[1], rowIndex, JSON.stringify(deleted.map(formatAuditValue)), "");
+      writeAuditLog(audit);
+    } finally {
+      lock.releaseLock();
+    }
     
     return ContentService.createTextOutput(JSON.stringify({
       success: true,
-      message: "Row deleted successfully",
-      deletedRow: rowIndex
+      message: KEYED_SHEETS[sheetName] ? "Row moved to archive" : "Row deleted successfully",
+      deletedRow: rowIndex,
+      archived: !!KEYED_SHEETS[sheetName],
+      enquiryNumber: params.enquiryNumber || null
     })).setMimeType(ContentService.MimeType.JSON);
     
   } catch (error) {
@@ -317,77 +904,95 @@ function updateTaskData(params) {
     console.log("Processing task data update for sheet:", sheetName);
     console.log("Row data array:", JSON.stringify(rowDataArray));
     
-    var ss = SpreadsheetApp.openById("1Kp9eEqtQfesdie6l7XEuTZne6Md8_P8qzKfGFcHhpL4");
+    var ss = openSpreadsheet();
     var sheet = ss.getSheetByName(sheetName);
     
-    if (!sheet) {
+    if (!sheet || !DATA_SHEETS[sheetName]) {
       throw new Error("Sheet not found: " + sheetName);
     }
     
+    // Actual, Status, Remarks and Image
+    requireEditableColumns(params, sheetName, [11, 13, 14, 15]);
+    
     var updateResults = [];
+    var audit = newAudit(params, "updateTaskData", sheet, sheetName);
     
-    rowDataArray.forEach(function(taskData, index) {
-      console.log("Processing task " + (index + 1) + ":", JSON.stringify(taskData));
-      
-      var rowIndex = parseInt(taskData.rowIndex);
-      
-      if (isNaN(rowIndex) || rowIndex < 2) {
-        throw new Error("Invalid row index: " + taskData.rowIndex + " (must be >= 2)");
-      }
-      
-      var currentTaskId = sheet.getRange(rowIndex, 2).getValue();
-      console.log("Verifying Task ID at row " + rowIndex + ", Column B:");
-      console.log("  Current Task ID: '" + currentTaskId + "'");
-      console.log("  Expected Task ID: '" + taskData.taskId + "'");
-      
-      if (currentTaskId.toString().trim() !== taskData.taskId.toString().trim()) {
-        console.error("TASK ID MISMATCH DETECTED!");
-        var correctRow = findRowByTaskId(sheet, taskData.taskId);
-        if (correctRow > 0) {
-          console.log("Found correct row for Task ID " + taskData.taskId + " at row " + correctRow);
-          rowIndex = correctRow;
+    var lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    
+    try {
+      rowDataArray.forEach(function(taskData, index) {
+        console.log("Processing task " + (index + 1) + ":", JSON.stringify(taskData));
+        
+        var rowIndex = parseInt(taskData.rowIndex);
+        
+        if (isNaN(rowIndex) || rowIndex < 2) {
+          throw new Error("Invalid row index: " + taskData.rowIndex + " (must be >= 2)");
+        }
+        
+        var currentTaskId = sheet.getRange(rowIndex, 2).getValue();
+        console.log("Verifying Task ID at row " + rowIndex + ", Column B:");
+        console.log("  Current Task ID: '" + currentTaskId + "'");
+        console.log("  Expected Task ID: '" + taskData.taskId + "'");
+        
+        if (currentTaskId.toString().trim() !== taskData.taskId.toString().trim()) {
+          console.error("TASK ID MISMATCH DETECTED!");
+          var correctRow = findRowByTaskId(sheet, taskData.taskId);
+          if (correctRow > 0) {
+            console.log("Found correct row for Task ID " + taskData.taskId + " at row " + correctRow);
+            rowIndex = correctRow;
+          } else {
+            throw new Error("Task ID mismatch and could not find correct row for Task ID: " + taskData.taskId);
+          }
         } else {
-          throw new Error("Task ID mismatch and could not find correct row for Task ID: " + taskData.taskId);
+          console.log("Task ID verification successful - proceeding with update");
         }
-      } else {
-        console.log("Task ID verification successful - proceeding with update");
-      }
-      
-      var rowUpdates = {
-        rowIndex: rowIndex,
-        taskId: taskData.taskId,
-        updates: []
-      };
-      
-      if (taskData.actualDate) {
-        console.log("Updating Column K (Actual) at row " + rowIndex + " with: " + taskData.actualDate);
-        var actualCell = sheet.getRange(rowIndex, 11);
-        actualCell.setValue(formatTimestamp(new Date(taskData.actualDate)));
-        rowUpdates.updates.push("Column K (Actual): " + taskData.actualDate);
-      }
-      
-      if (taskData.status) {
-        console.log("Updating Column M (Status) at row " + rowIndex + " with: " + taskData.status);
-        sheet.getRange(rowIndex, 13).setValue(taskData.status);
-        rowUpdates.updates.push("Column M (Status): " + taskData.status);
-      }
-      
-      if (taskData.remarks) {
-        console.log("Updating Column N (Remarks) at row " + rowIndex + " with: " + taskData.remarks);
-        sheet.getRange(rowIndex, 14).setValue(taskData.remarks);
-        rowUpdates.updates.push("Column N (Remarks): " + taskData.remarks);
-      }
-      
-      if (taskData.imageUrl) {
-        console.log("Updating Column O (Image) at row " + rowIndex + " with: " + taskData.imageUrl);
-        sheet.getRange(rowIndex, 15).setValue(taskData.imageUrl);
-        rowUpdates.updates.push("Column O (Image): " + taskData.imageUrl);
-      }
+        requireRowInScope(params, sheet, sheetName, rowIndex, []);
+        
+        var rowUpdates = {
+          rowIndex: rowIndex,
+          taskId: taskData.taskId,
+          updates: []
+        };
+        
+        if (taskData.actualDate) {
+          console.log("Updating Column K (Actual) at row " + rowIndex + " with: " + taskData.actualDate);
+          var actualCell = sheet.getRange(rowIndex, 11);
+          var actualValue = formatTimestamp(new Date(taskData.actualDate));
+          auditChange(audit, taskData.taskId, rowIndex, 11, actualCell.getValue(), actualValue);
+          actualCell.setValue(actualValue);
+          rowUpdates.updates.push("Column K (Actual): " + taskData.actualDate);
+        }
+        
+        if (taskData.status) {
+          console.log("Updating Column M (Status) at row " + rowIndex + " with: " + taskData.status);
+          auditChange(audit, taskData.taskId, rowIndex, 13, sheet.getRange(rowIndex, 13).getValue(), taskData.status);
+          sheet.getRange(rowIndex, 13).setValue(taskData.status);
+          rowUpdates.updates.push("Column M (Status): " + taskData.status);
+        }
+        
+        if (taskData.remarks) {
+          console.log("Updating Column N (Remarks) at row " + rowIndex + " with: " + taskData.remarks);
+          auditChange(audit, taskData.taskId, rowIndex, 14, sheet.getRange(rowIndex, 14).getValue(), taskData.remarks);
+          sheet.getRange(rowIndex, 14).setValue(taskData.remarks);
+          rowUpdates.updates.push("Column N (Remarks): " + taskData.remarks);
+        }
+        
+        if (taskData.imageUrl) {
+          console.log("Updating Column O (Image) at row " + rowIndex + " with: " + taskData.imageUrl);
+          auditChange(audit, taskData.taskId, rowIndex, 15, sheet.getRange(rowIndex, 15).getValue(), taskData.imageUrl);
+          sheet.getRange(rowIndex, 15).setValue(taskData.imageUrl);
+          rowUpdates.updates.push("Column O (Image): " + taskData.imageUrl);
+        }
+        
+        updateResults.push(rowUpdates);
+        console.log("Successfully updated row " + rowIndex + " for Task ID " + taskData.taskId);
+      });
       
-      updateResults.push(rowUpdates);
-      console.log("Successfully updated row " + rowIndex + " for Task ID " + taskData.taskId);
-    });
-    
+      writeAuditLog(audit);
+    } finally {
+      lock.releaseLock();
+    }
     console.log("Task data update completed successfully");
     return ContentService.createTextOutput(JSON.stringify({
       success: true,
@@ -414,50 +1019,64 @@ function updateSalesData(params) {
     console.log("Processing sales data update (marking as done) for sheet:", sheetName);
     console.log("Row data array:", JSON.stringify(rowDataArray));
     
-    var ss = SpreadsheetApp.openById("1Kp9eEqtQfesdie6l7XEuTZne6Md8_P8qzKfGFcHhpL4");
+    var ss = openSpreadsheet();
     var sheet = ss.getSheetByName(sheetName);
     
-    if (!sheet) {
+    if (!sheet || !DATA_SHEETS[sheetName]) {
       throw new Error("Sheet not found: " + sheetName);
     }
     
+    requireEditableColumns(params, sheetName, [13]);
+    
     var updateResults = [];
+    var audit = newAudit(params, "updateSalesData", sheet, sheetName);
     
-    rowDataArray.forEach(function(taskData, index) {
-      console.log("Processing history task " + (index + 1) + " for marking as done:", JSON.stringify(taskData));
-      
-      var rowIndex = parseInt(taskData.rowIndex);
-      
-      if (isNaN(rowIndex) || rowIndex < 2) {
-        throw new Error("Invalid row index: " + taskData.rowIndex);
-      }
-      
-      var currentTaskId = sheet.getRange(rowIndex, 2).getValue();
-      console.log("Verifying Task ID for history item at row " + rowIndex + ":");
-      console.log("  Current Task ID: '" + currentTaskId + "'");
-      console.log("  Expected Task ID: '" + taskData.taskId + "'");
-      
-      if (currentTaskId.toString().trim() !== taskData.taskId.toString().trim()) {
-        var correctRow = findRowByTaskId(sheet, taskData.taskId);
-        if (correctRow > 0) {
-          console.log("Found correct row for Task ID " + taskData.taskId + " at row " + correctRow);
-          rowIndex = correctRow;
-        } else {
-          throw new Error("Task ID mismatch for: " + taskData.taskId);
+    var lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    
+    try {
+      rowDataArray.forEach(function(taskData, index) {
+        console.log("Processing history task " + (index + 1) + " for marking as done:", JSON.stringify(taskData));
+        
+        var rowIndex = parseInt(taskData.rowIndex);
+        
+        if (isNaN(rowIndex) || rowIndex < 2) {
+          throw new Error("Invalid row index: " + taskData.rowIndex);
         }
-      }
-      
-      if (taskData.doneStatus) {
-        console.log("Marking Task ID " + taskData.taskId + " as " + taskData.doneStatus + " at row " + rowIndex);
-        sheet.getRange(rowIndex, 13).setValue(taskData.doneStatus);
-      }
-      
-      updateResults.push({
-        rowIndex: rowIndex,
-        taskId: taskData.taskId,
-        status: taskData.doneStatus
+        
+        var currentTaskId = sheet.getRange(rowIndex, 2).getValue();
+        console.log("Verifying Task ID for history item at row " + rowIndex + ":");
+        console.log("  Current Task ID: '" + currentTaskId + "'");
+        console.log("  Expected Task ID: '" + taskData.taskId + "'");
+        
+        if (currentTaskId.toString().trim() !== taskData.taskId.toString().trim()) {
+          var correctRow = findRowByTaskId(sheet, taskData.taskId);
+          if (correctRow > 0) {
+            console.log("Found correct row for Task ID " + taskData.taskId + " at row " + correctRow);
+            rowIndex = correctRow;
+          } else {
+            throw new Error("Task ID mismatch for: " + taskData.taskId);
+          }
+        }
+        requireRowInScope(params, sheet, sheetName, rowIndex, []);
+        
+        if (taskData.doneStatus) {
+          console.log("Marking Task ID " + taskData.taskId + " as " + taskData.doneStatus + " at row " + rowIndex);
+          auditChange(audit, taskData.taskId, rowIndex, 13, sheet.getRange(rowIndex, 13).getValue(), taskData.doneStatus);
+          sheet.getRange(rowIndex, 13).setValue(taskData.doneStatus);
+        }
+        
+        updateResults.push({
+          rowIndex: rowIndex,
+          taskId: taskData.taskId,
+          status: taskData.doneStatus
+        });
       });
-    });
+      
+      writeAuditLog(audit);
+    } finally {
+      lock.releaseLock();
+    }
     
     return ContentService.createTextOutput(JSON.stringify({
       success: true,
@@ -476,65 +1095,2308 @@ function updateSalesData(params) {
   }
 }
 
-function findRowByTaskId(sheet, taskId) {
+// Sheet row that holds the column headers (1-based). Sheets not listed use row 1.
+var HEADER_ROWS = {
+  "FMS": 6
+};
+
+function getHeaderRow(sheetName) {
+  return HEADER_ROWS[sheetName] || 1;
+}
+
+// Update cells of one row by column header instead of position.
+// params.enquiryNumber identifies the row (column B; an optional rowIndex is
+// cross-checked by resolveKeyedRow), params.fields is a JSON map of
+// { header: value }. Headers that repeat (e.g. "Planned", "Actual")
+// must be qualified with the expected column letter: "Actual@CN".
+function updateFields(params) {
   try {
-    var lastRow = sheet.getLastRow();
-    console.log("Searching for Task ID '" + taskId + "' in " + lastRow + " rows");
+    var sheetName = params.sheetName || "FMS";
+    var enquiryNumber = (params.enquiryNumber || "").toString().trim();
+    var fields;
     
-    for (var i = 2; i <= lastRow; i++) {
-      var cellValue = sheet.getRange(i, 2).getValue();
-      if (cellValue && cellValue.toString().trim() === taskId.toString().trim()) {
-        console.log("Found Task ID '" + taskId + "' at row " + i);
-        return i;
-      }
+    if (!enquiryNumber) {
+      throw new Error("Missing enquiryNumber for updateFields");
     }
     
-    console.log("Task ID '" + taskId + "' not found in any row");
-    return -1;
-  } catch (error) {
+    try {
+      fields = JSON.parse(params.fields);
+    } catch (parseError) {
+      throw new Error("Invalid fields format: " + parseError.message);
+    }
+    
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields) || Object.keys(fields).length === 0) {
+      throw new Error("fields must be a non-empty { header: value } object");
+    }
+    
+    var ss = openSpreadsheet();
+    var sheet = ss.getSheetByName(sheetName);
+    
+    if (!sheet || !DATA_SHEETS[sheetName]) {
+      throw new Error("Sheet not found: " + sheetName);
+    }
+    
+    var headerRow = getHeaderRow(sheetName);
+    var headers = sheet.getRange(headerRow, 1, 1, sheet.getLastColumn()).getValues()[0];
+    var targets = resolveFieldTargets(headers, fields);
+    requireEditableColumns(params, sheetName, targets.map(function(target) {
+      return target.column;
+    }));
+    
+    var fieldErrors = validateTargets(getValidationRules(sheet, sheetName), targets);
+    if (fieldErrors) {
+      return validationResponse(fieldErrors);
+    }
+    
+    var lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    var rowIndex;
+    var rowValues;
+    
+    try {
+      rowIndex = resolveKeyedRow(sheet, sheetName, params.rowIndex, enquiryNumber);
+      requireRowInScope(params, sheet, sheetName, rowIndex, targets);
+      
+      var conflict = checkRowVersion(sheet, rowIndex, params.version, targets);
+      if (conflict) {
+        conflict.enquiryNumber = enquiryNumber;
+        return conflictResponse(conflict);
+      }
+      
+      var audit = newAudit(params, "updateFields", sheet, sheetName);
+      rowValues = writeFieldTargets(sheet, sheetName, rowIndex, enquiryNumber, targets, audit);
+      writeAuditLog(audit);
+    } finally {
+      lock.releaseLock();
+    }
+    
+    return ContentService.createTextOutput(JSON.stringify({
+      success: true,
+      message: "Fields updated successfully",
+      enquiryNumber: enquiryNumber,
+      rowIndex: rowIndex,
+      version: rowVersion(rowValues),
+      updated: updatedFieldValues(targets, rowValues)
+    })).setMimeType(ContentService.MimeType.JSON);
+    
+  } catch (error) {
+    console.error("Error updating fields:", error);
+    return ContentService.createTextOutput(JSON.stringify({
+      success: false,
+      error: error.toString(),
+      message: "Failed to update fields: " + error.message
+    })).setMimeType(ContentService.MimeType.JSON);
+  }
+}
+
+// Resolve every column of a { header: value } map before anything is written,
+// so a bad header leaves the row untouched. Returns [{ name, column, value }].
+function resolveFieldTargets(headers, fields) {
+  return Object.keys(fields).map(function(name) {
+    return {
+      name: name,
+      column: resolveHeaderColumn(headers, name),
+      value: fields[name]
+    };
+  });
+}
+
+// Write resolved targets into one row, recording each change in `audit`.
+// Must be called while holding the script lock. Returns the row's values
+// after the write.
+function writeFieldTargets(sheet, sheetName, rowIndex, enquiryNumber, targets, audit) {
+  console.log("Updating " + targets.length + " fields for " + enquiryNumber + " at row " + rowIndex);
+  
+  var before = sheet.getRange(rowIndex, 1, 1, sheet.getLastColumn()).getValues()[0];
+  targets.forEach(function(target) {
+    sheet.getRange(rowIndex, target.column).setValue(target.value);
+    auditChange(audit, enquiryNumber, rowIndex, target.column, before[target.column - 1], target.value);
+  });
+  
+  touchRow(sheet, sheetName, rowIndex);
+  SpreadsheetApp.flush();
+  return sheet.getRange(rowIndex, 1, 1, sheet.getLastColumn()).getValues()[0];
+}
+
+function updatedFieldValues(targets, rowValues) {
+  var updated = {};
+  targets.forEach(function(target) {
+    updated[target.name] = {
+      column: columnToLetter(target.column),
+      value: rowValues[target.column - 1]
+    };
+  });
+  return updated;
+}
+
+// updateFields for several rows in one call. params.updates is a JSON array
+// of { enquiryNumber, rowIndex?, version?, fields }, applied in order under a
+// single lock. A row that fails (unknown enquiry, bad header, invalid value,
+// version conflict) is skipped and the others are still written.
+//
+// Response: { success (every row written), succeeded, failed, results } where
+// results[i] answers updates[i] like updateFields would: { success,
+// enquiryNumber, rowIndex, version, updated } or { success: false, error,
+// conflict?, current?, validation?, fieldErrors? }.
+function batchUpdate(params) {
+  try {
+    var sheetName = params.sheetName || "FMS";
+    var updates;
+    
+    try {
+      updates = JSON.parse(params.updates);
+    } catch (parseError) {
+      throw new Error("Invalid updates format: " + parseError.message);
+    }
+    
+    if (!Array.isArray(updates) || updates.length === 0) {
+      throw new Error("updates must be a non-empty array");
+    }
+    
+    var ss = openSpreadsheet();
+    var sheet = ss.getSheetByName(sheetName);
+    
+    if (!sheet || !DATA_SHEETS[sheetName]) {
+      throw new Error("Sheet not found: " + sheetName);
+    }
+    
+    var headers = sheet.getRange(getHeaderRow(sheetName), 1, 1, sheet.getLastColumn()).getValues()[0];
+    var rules = getValidationRules(sheet, sheetName);
+    var results = [];
+    
+    var lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    
+    try {
+      var audit = newAudit(params, "batchUpdate", sheet, sheetName);
+      
+      updates.forEach(function(update) {
+        var enquiryNumber = ((update && update.enquiryNumber) || "").toString().trim();
+        try {
+          if (!enquiryNumber) {
+            throw new Error("Missing enquiryNumber");
+          }
+          var fields = update.fields;
+          if (!fields || typeof fields !== 'object' || Array.isArray(fields) || Object.keys(fields).length === 0) {
+            throw new Error("fields must be a non-empty { header: value } object");
+          }
+          
+          var targets = resolveFieldTargets(headers, fields);
+          requireEditableColumns(params, sheetName, targets.map(function(target) {
+            return target.column;
+          }));
+          var fieldErrors = validateTargets(rules, targets);
+          if (fieldErrors) {
+            results.push({
+              success: false,
+              validation: true,
+              error: "Validation failed: " + validationMessage(fieldErrors),
+              enquiryNumber: enquiryNumber,
+              fieldErrors: fieldErrors
+            });
+            return;
+          }
+          
+          var rowIndex = resolveKeyedRow(sheet, sheetName, update.rowIndex, enquiryNumber);
+          requireRowInScope(params, sheet, sheetName, rowIndex, targets);
+          
+          var conflict = checkRowVersion(sheet, rowIndex, update.version, targets);
+          if (conflict) {
+            results.push({
+              success: false,
+              conflict: true,
+              error: "Conflict: row " + rowIndex + " was changed by someone else after it was loaded",
+              enquiryNumber: enquiryNumber,
+              rowIndex: rowIndex,
+              version: conflict.version,
+              current: conflict.current
+            });
+            return;
+          }
+          
+          var rowValues = writeFieldTargets(sheet, sheetName, rowIndex, enquiryNumber, targets, audit);
+          results.push({
+            success: true,
+            enquiryNumber: enquiryNumber,
+            rowIndex: rowIndex,
+            version: rowVersion(rowValues),
+            updated: updatedFieldValues(targets, rowValues)
+          });
+        } catch (rowError) {
+          console.error("Batch update failed for " + enquiryNumber + ":", rowError);
+          results.push({
+            success: false,
+            enquiryNumber: enquiryNumber,
+            error: rowError.toString()
+          });
+        }
+      });
+      
+      writeAuditLog(audit);
+    } finally {
+      lock.releaseLock();
+    }
+    
+    var failed = results.filter(function(result) { return !result.success; }).length;
+    
+    return ContentService.createTextOutput(JSON.stringify({
+      success: failed === 0,
+      message: (results.length - failed) + " of " + results.length + " rows updated",
+      succeeded: results.length - failed,
+      failed: failed,
+      results: results
+    })).setMimeType(ContentService.MimeType.JSON);
+    
+  } catch (error) {
+    console.error("Error in batch update:", error);
+    return ContentService.createTextOutput(JSON.stringify({
+      success: false,
+      error: error.toString(),
+      message: "Failed to apply batch update: " + error.message
+    })).setMimeType(ContentService.MimeType.JSON);
+  }
+}
+
+// Sheets of the app's data. The fetch action and the generic row actions
+// (insert, update, deleteRow, updateFields, batchUpdate, ...) refuse every
+// other sheet: the ones this script keeps for itself (master, Permissions,
+// Audit_Log, FMS_Archive, ...) are only read and changed through their own
+// actions.
+var DATA_SHEETS = {
+  "FMS": true,
+  "Drop-Down Value": true,
+  "Inverter_id": true,
+  "Energy analysis": true,
+  "Weekly_Performance_Logs": true
+};
+
+// Sheets whose rows are keyed by the enquiry number in column B. Row-level
+// writes to these sheets must send the key, not just a row index.
+var KEYED_SHEETS = {
+  "FMS": true
+};
+
+// Resolve the row an update/delete should touch. With an enquiry number the
+// row is looked up in column B; if a rowIndex is also sent it must point at
+// that same row, otherwise the sheet changed since the client read it and the
+// write is refused rather than landing on another customer.
+function resolveKeyedRow(sheet, sheetName, rowIndexParam, enquiryNumber) {
+  var rowIndex = parseInt(rowIndexParam);
+  var key = (enquiryNumber || "").toString().trim();
+  
+  if (!key) {
+    if (KEYED_SHEETS[sheetName]) {
+      throw new Error("enquiryNumber is required for row writes on sheet: " + sheetName);
+    }
+    if (isNaN(rowIndex) || rowIndex < 2) {
+      throw new Error("Invalid row index: " + rowIndexParam);
+    }
+    return rowIndex;
+  }
+  
+  var headerRow = getHeaderRow(sheetName);
+  var keyRow = findRowByEnquiryNumber(sheet, key, headerRow + 1);
+  if (keyRow < 0) {
+    throw new Error("Enquiry number not found: " + key);
+  }
+  
+  var duplicateRow = findRowByEnquiryNumber(sheet, key, keyRow + 1);
+  if (duplicateRow > 0) {
+    throw new Error("Enquiry number " + key + " appears on rows " + keyRow + " and " + duplicateRow + "; refusing to write");
+  }
+  
+  if (!isNaN(rowIndex) && rowIndex !== keyRow) {
+    var found = sheet.getRange(rowIndex, 2).getValue();
+    throw new Error("Row " + rowIndex + " holds enquiry '" + found + "', not '" + key + "' (now at row " + keyRow + "). Refresh and try again.");
+  }
+  
+  return keyRow;
+}
+
+// Short hash of a row's values. fetchSheetData sends it with every data row
+// of a keyed sheet; writes send it back so edits made in between are caught.
+function rowVersion(values) {
+  var digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, JSON.stringify(values));
+  return Utilities.base64EncodeWebSafe(digest).substring(0, 16);
+}
+
+function currentRowVersion(sheet, rowIndex) {
+  return rowVersion(sheet.getRange(rowIndex, 1, 1, sheet.getLastColumn()).getValues()[0]);
+}
+
+// Compare the version a client read with the row as it is now. Returns null
+// when they match (or no version was sent), otherwise the conflict details:
+// the current version and the current values of the columns being written,
+// keyed by the name the client used. targets: [{ name, column }].
+function checkRowVersion(sheet, rowIndex, expectedVersion, targets) {
+  if (!expectedVersion) return null;
+  
+  var rowValues = sheet.getRange(rowIndex, 1, 1, sheet.getLastColumn()).getValues()[0];
+  var version = rowVersion(rowValues);
+  if (version === expectedVersion) return null;
+  
+  var current = {};
+  targets.forEach(function(target) {
+    current[target.name] = {
+      column: columnToLetter(target.column),
+      value: rowValues[target.column - 1]
+    };
+  });
+  
+  return {
+    rowIndex: rowIndex,
+    version: version,
+    current: current
+  };
+}
+
+function conflictResponse(conflict) {
+  console.log("Version conflict at row " + conflict.rowIndex + " for " + conflict.enquiryNumber);
+  return ContentService.createTextOutput(JSON.stringify({
+    success: false,
+    conflict: true,
+    error: "Conflict: row " + conflict.rowIndex + " was changed by someone else after it was loaded",
+    message: "The record was changed after it was loaded. Review the current values and retry.",
+    enquiryNumber: conflict.enquiryNumber,
+    rowIndex: conflict.rowIndex,
+    version: conflict.version,
+    current: conflict.current
+  })).setMimeType(ContentService.MimeType.JSON);
+}
+
+function normalizeHeader(value) {
+  return (value === null || value === undefined ? "" : value.toString()).toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+// Returns the 1-based column for a header name, optionally qualified with
+// "@<letter>". When qualified, the matching header nearest that letter wins,
+// so the write still lands correctly after columns are inserted.
+function resolveHeaderColumn(headers, name) {
+  var parts = name.split("@");
+  var header = normalizeHeader(parts[0]);
+  var hint = parts.length > 1 ? letterToColumn(parts[1].trim()) : 0;
+  
+  var matches = [];
+  for (var i = 0; i < headers.length; i++) {
+    if (normalizeHeader(headers[i]) === header) {
+      matches.push(i + 1);
+    }
+  }
+  
+  if (matches.length === 0) {
+    throw new Error("Column not found for header: " + name);
+  }
+  
+  if (!hint) {
+    if (matches.length > 1) {
+      throw new Error("Header '" + name + "' is ambiguous, qualify it as '" + parts[0] + "@<column>'");
+    }
+    return matches[0];
+  }
+  
+  return matches.reduce(function(best, column) {
+    return Math.abs(column - hint) < Math.abs(best - hint) ? column : best;
+  });
+}
+
+// "A" -> 1, "CN" -> 92
+function letterToColumn(letter) {
+  var column = 0;
+  var upper = letter.toUpperCase();
+  for (var i = 0; i < upper.length; i++) {
+    column = column * 26 + (upper.charCodeAt(i) - 64);
+  }
+  return column;
+}
+
+// 1 -> "A", 92 -> "CN"
+function columnToLetter(column) {
+  var letter = "";
+  while (column > 0) {
+    var rem = (column - 1) % 26;
+    letter = String.fromCharCode(65 + rem) + letter;
+    column = Math.floor((column - 1) / 26);
+  }
+  return letter;
+}
+
+// Like findRowByTaskId, but reads column B in one call and skips header rows.
+function findRowByEnquiryNumber(sheet, enquiryNumber, firstDataRow) {
+  var lastRow = sheet.getLastRow();
+  var startRow = firstDataRow || 2;
+  if (lastRow < startRow) return -1;
+  
+  var key = enquiryNumber.toString().trim();
+  var keys = sheet.getRange(startRow, 2, lastRow - startRow + 1, 1).getValues();
+  for (var i = 0; i < keys.length; i++) {
+    if (keys[i][0] !== "" && keys[i][0].toString().trim() === key) {
+      return startRow + i;
+    }
+  }
+  return -1;
+}
+
+function findRowByTaskId(sheet, taskId) {
+  try {
+    var lastRow = sheet.getLastRow();
+    console.log("Searching for Task ID '" + taskId + "' in " + lastRow + " rows");
+    
+    for (var i = 2; i <= lastRow; i++) {
+      var cellValue = sheet.getRange(i, 2).getValue();
+      if (cellValue && cellValue.toString().trim() === taskId.toString().trim()) {
+        console.log("Found Task ID '" + taskId + "' at row " + i);
+        return i;
+      }
+    }
+    
+    console.log("Task ID '" + taskId + "' not found in any row");
+    return -1;
+  } catch (error) {
     console.error("Error searching for Task ID:", error);
     return -1;
   }
 }
 
-function uploadFileToDrive(base64Data, fileName, mimeType, folderId) {
+// Uploaded files are linked as DRIVE_VIEW_URL + fileId
+var DRIVE_VIEW_URL = "https://drive.google.com/uc?export=view&id=";
+
+function uploadFileToDrive(base64Data, fileName, mimeType, folderId) {
+  try {
+    console.log("Uploading file to Google Drive:");
+    console.log("  File name: " + fileName);
+    console.log("  MIME type: " + mimeType);
+    console.log("  Folder ID: " + folderId);
+    
+    var fileData = base64Data;
+    if (base64Data.indexOf('base64,') !== -1) {
+      fileData = base64Data.split('base64,')[1];
+    }
+    
+    var decoded = Utilities.base64Decode(fileData);
+    var blob = Utilities.newBlob(decoded, mimeType, fileName);
+    return saveBlobToDrive(blob, folderId);
+  } catch (error) {
+    console.error("Error uploading file: " + error.toString());
+    throw new Error("Failed to upload file: " + error.toString());
+  }
+}
+
+// Create the file in the folder. It stays private: the app opens it through
+// a signed document link (see "Document access").
+function saveBlobToDrive(blob, folderId) {
+  var folder = DriveApp.getFolderById(folderId);
+  var file = folder.createFile(blob);
+  
+  // Get the file ID
+  var fileId = file.getId();
+  
+  // Create proper Google Drive URL for viewing images
+  var fileUrl = DRIVE_VIEW_URL + fileId;
+  
+  console.log("File uploaded successfully:");
+  console.log("  File ID: " + fileId);
+  console.log("  File URL: " + fileUrl);
+  
+  return {
+    fileId: fileId,
+    fileUrl: fileUrl,
+    fileName: blob.getName()
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Document folders
+//
+// Uploads that name an enquiry are filed as <EnquiryNo> - <Beneficiary>/
+// <Stage>/, the enquiry folder being created in the root folder of its first
+// upload. It is recorded in Document_Folders so uploads from every stage
+// (whatever root folder their page sends) reuse it, also after the
+// beneficiary name is corrected: the folder is renamed to match. Upload params: enquiryNumber, stage, and optionally documentName
+// and sequence, which name the file <documentName>[_<sequence>].<ext> in
+// place of the uploaded file name.
+// ---------------------------------------------------------------------------
+
+var DOCUMENT_FOLDERS_SHEET_NAME = "Document_Folders";
+var DOCUMENT_FOLDERS_HEADERS = ["Enquiry Number", "Folder ID", "Folder URL", "Updated At"];
+var DEFAULT_DOCUMENT_STAGE = "General";
+
+function getDocumentFoldersSheet() {
+  var ss = openSpreadsheet();
+  var sheet = ss.getSheetByName(DOCUMENT_FOLDERS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(DOCUMENT_FOLDERS_SHEET_NAME);
+    sheet.getRange(1, 1, 1, DOCUMENT_FOLDERS_HEADERS.length).setValues([DOCUMENT_FOLDERS_HEADERS]);
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+// Drive allows any characters, but a "/" in a folder name reads like a path
+// (enquiry numbers such as EN/2025-26/0001 contain them).
+function safeDriveName(name) {
+  return name.toString().replace(/[\\\/:*?"<>|]+/g, "-").replace(/\s+/g, " ").trim();
+}
+
+function enquiryFolderName(enquiryNumber) {
+  var fms = openSpreadsheet().getSheetByName("FMS");
+  var rowIndex = fms ? findRowByEnquiryNumber(fms, enquiryNumber, getHeaderRow("FMS") + 1) : -1;
+  var beneficiary = rowIndex === -1 ? "" : fms.getRange(rowIndex, 3).getValue().toString().trim();
+  return safeDriveName(beneficiary ? enquiryNumber + " - " + beneficiary : enquiryNumber);
+}
+
+function findDocumentFolderRow(sheet, enquiryNumber) {
+  var lastRow = sheet.getLastRow();
+  if (lastRow < 2) return -1;
+  
+  var keys = sheet.getRange(2, 1, lastRow - 1, 1).getValues();
+  for (var i = 0; i < keys.length; i++) {
+    if (keys[i][0].toString().trim() === enquiryNumber) return i + 2;
+  }
+  return -1;
+}
+
+// The recorded folder of an enquiry, or null when there is none or it has
+// been trashed.
+function registeredEnquiryFolder(sheet, rowIndex) {
+  if (rowIndex === -1) return null;
+  try {
+    var folder = DriveApp.getFolderById(sheet.getRange(rowIndex, 2).getValue().toString());
+    return folder.isTrashed() ? null : folder;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Find or create the enquiry's folder under rootFolderId. Takes the script
+// lock, so callers must not hold it.
+function getEnquiryFolder(rootFolderId, enquiryNumber) {
+  var key = enquiryNumber.toString().trim();
+  var lock = LockService.getScriptLock();
+  lock.waitLock(30000);
+  
+  try {
+    var sheet = getDocumentFoldersSheet();
+    var rowIndex = findDocumentFolderRow(sheet, key);
+    var name = enquiryFolderName(key);
+    var folder = registeredEnquiryFolder(sheet, rowIndex);
+    
+    if (folder) {
+      if (folder.getName() !== name) folder.setName(name);
+      return folder;
+    }
+    
+    folder = DriveApp.getFolderById(rootFolderId).createFolder(name);
+    var record = [key, folder.getId(), folder.getUrl(), formatTimestamp(new Date())];
+    if (rowIndex === -1) {
+      sheet.appendRow(record);
+    } else {
+      sheet.getRange(rowIndex, 1, 1, record.length).setValues([record]);
+    }
+    console.log("Created document folder " + name + " for " + key);
+    return folder;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function getStageFolder(enquiryFolder, stage) {
+  var name = safeDriveName(stage || DEFAULT_DOCUMENT_STAGE) || DEFAULT_DOCUMENT_STAGE;
+  var existing = enquiryFolder.getFoldersByName(name);
+  return existing.hasNext() ? existing.next() : enquiryFolder.createFolder(name);
+}
+
+function documentFileName(documentName, sequence, originalName) {
+  var dot = originalName.lastIndexOf(".");
+  var extension = dot > 0 ? originalName.substring(dot).toLowerCase() : "";
+  var base = safeDriveName(documentName).replace(/\s+/g, "");
+  return base + (sequence ? "_" + sequence : "") + extension;
+}
+
+// Where an upload goes and what it is called: { folderId, fileName }.
+// Without an enquiryNumber the file goes straight into params.folderId
+// under its own name, as before. Uploads for an enquiry outside the user's
+// data scope are refused.
+function resolveUploadTarget(params) {
+  if (!params.enquiryNumber) {
+    return { folderId: params.folderId, fileName: params.fileName };
+  }
+  requireEnquiryInScope(params, params.enquiryNumber);
+  
+  var folder = getStageFolder(getEnquiryFolder(params.folderId, params.enquiryNumber), params.stage);
+  return {
+    folderId: folder.getId(),
+    fileName: params.documentName ? documentFileName(params.documentName, params.sequence, params.fileName) : params.fileName
+  };
+}
+
+// Link to an enquiry's document folder, or "" while nothing was uploaded for it.
+function fetchDocumentFolder(enquiryNumber, params) {
+  try {
+    var key = (enquiryNumber || "").toString().trim();
+    if (!key) {
+      throw new Error("Missing enquiryNumber for document folder lookup");
+    }
+    requireEnquiryInScope(params, key);
+    
+    var sheet = getDocumentFoldersSheet();
+    var folder = registeredEnquiryFolder(sheet, findDocumentFolderRow(sheet, key));
+    
+    return ContentService.createTextOutput(JSON.stringify({
+      success: true,
+      enquiryNumber: key,
+      folderUrl: folder ? folder.getUrl() : ""
+    })).setMimeType(ContentService.MimeType.JSON);
+  } catch (error) {
+    console.error("Error fetching document folder:", error);
+    return ContentService.createTextOutput(JSON.stringify({
+      success: false,
+      error: error.toString()
+    })).setMimeType(ContentService.MimeType.JSON);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Sessions
+//
+// Users sign in with the login action, which checks the password against a
+// salted hash in master column D and answers a session token: the username
+// and times below, base64 encoded, and their HMAC signature. Every other
+// request must send the token as `token`; doGet and doPost check it first and
+// replace params.username with the signed-in user, so the username a client
+// sends is never trusted. The role and status come from master on every
+// request, so a user who is deactivated is signed out at once, and a user
+// whose password was reset may do nothing but change it.
+//
+// A session ends SESSION_MAX_SECONDS after sign-in whatever happens, and
+// earlier when it is idle: each token expires SESSION_IDLE_SECONDS after it
+// was issued, and the app trades it for a fresh one with refreshSession while
+// the user is active. The session action tells the app whether a token is
+// still good without extending it. logout records the time in master's
+// Signed Out At, which ends every session the user signed in to before it,
+// in every tab and browser.
+//
+// Passwords still stored in plain text are hashed the first time their user
+// signs in. Run hashMasterPasswords from the editor to hash them all at once.
+// The master sheet, not being one of the DATA_SHEETS, is never served by the
+// fetch action nor written by the generic row actions; see "User management"
+// for the actions that maintain it.
+// ---------------------------------------------------------------------------
+
+var SESSION_MAX_SECONDS = 12 * 60 * 60;
+var SESSION_IDLE_SECONDS = 30 * 60;
+var SESSION_SECRET_PROPERTY = "SESSION_SECRET";
+var PASSWORD_HASH_PREFIX = "sha256$";
+var PASSWORD_HASH_ROUNDS = 1000;
+// Roles that older sheets used to switch a user off; Status is used now
+var INACTIVE_ROLES = ["inactive", "in active", "inactiv", "in activ"];
+// Columns A-E are the original master sheet; the others are added to its
+// header row when missing. District, Branch and Vendor are comma-separated
+// data scopes (see "Data scope"), Status is Active or Inactive (blank is
+// active), Password Reset is Yes while the user has to choose a new password
+// and Signed Out At is when they last logged out.
+var MASTER_HEADERS = ["Timestamp", "Name", "Username", "Password", "Role", "District", "Branch", "Status", "Last Login", "Password Reset", "Signed Out At", "Vendor"];
+
+function getMasterSheet() {
+  var master = openSpreadsheet().getSheetByName("master");
+  if (!master) {
+    throw new Error("Sheet not found: master");
+  }
+  if (master.getLastColumn() < MASTER_HEADERS.length) {
+    var headerRange = master.getRange(1, 1, 1, MASTER_HEADERS.length);
+    var headers = headerRange.getValues()[0].map(function(value, i) {
+      return value.toString().trim() || MASTER_HEADERS[i];
+    });
+    headerRange.setValues([headers]);
+  }
+  return master;
+}
+
+// A random key kept in the script properties, created on first use.
+function getScriptSecret(propertyName) {
+  var properties = PropertiesService.getScriptProperties();
+  var secret = properties.getProperty(propertyName);
+  if (!secret) {
+    secret = Utilities.getUuid() + Utilities.getUuid();
+    properties.setProperty(propertyName, secret);
+  }
+  return secret;
+}
+
+// HMAC-SHA256 of text, web-safe base64 without padding.
+function signText(text, secret) {
+  var bytes = Utilities.computeHmacSha256Signature(text, secret);
+  return Utilities.base64EncodeWebSafe(bytes).replace(/=+$/, "");
+}
+
+function toHex(bytes) {
+  return bytes.map(function(byte) {
+    return ("0" + (byte & 0xff).toString(16)).slice(-2);
+  }).join("");
+}
+
+// "sha256$<rounds>$<salt>$<hex digest>", as stored in master column D.
+function hashPassword(password, salt, rounds) {
+  var bytes = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, salt + "$" + password);
+  for (var i = 1; i < rounds; i++) {
+    bytes = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, bytes);
+  }
+  return PASSWORD_HASH_PREFIX + rounds + "$" + salt + "$" + toHex(bytes);
+}
+
+function newPasswordHash(password) {
+  return hashPassword(password, Utilities.getUuid().replace(/-/g, ""), PASSWORD_HASH_ROUNDS);
+}
+
+function isPasswordHash(stored) {
+  return stored.indexOf(PASSWORD_HASH_PREFIX) === 0;
+}
+
+// Compare without stopping at the first difference, so the time taken does
+// not tell how much of a guess was right.
+function sameText(a, b) {
+  var difference = a.length ^ b.length;
+  for (var i = 0; i < Math.min(a.length, b.length); i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return difference === 0;
+}
+
+function checkPassword(stored, password) {
+  if (!isPasswordHash(stored)) {
+    return stored !== "" && sameText(stored, password);
+  }
+  var parts = stored.split("$");
+  return sameText(stored, hashPassword(password, parts[2], parseInt(parts[1], 10)));
+}
+
+// The master row of a user, active or not: { rowIndex, username, name,
+// password, role, district, branch, vendor, active, lastLogin,
+// mustChangePassword, createdAt, signedOutAt }, or null. signedOutAt is in milliseconds, 0 when
+// the user never logged out.
+function findMasterRow(username) {
+  var key = (username || "").toString().trim().toLowerCase();
+  var master = getMasterSheet();
+  if (!key || master.getLastRow() < 2) return null;
+  
+  var rows = master.getRange(2, 1, master.getLastRow() - 1, MASTER_HEADERS.length).getValues();
+  for (var i = 0; i < rows.length; i++) {
+    if (rows[i][2].toString().trim().toLowerCase() === key) {
+      return masterRowUser(rows[i], i + 2);
+    }
+  }
+  return null;
+}
+
+function masterRowUser(row, rowIndex) {
+  var role = (row[4].toString().trim() || "user").toLowerCase();
+  var status = row[7].toString().trim().toLowerCase();
+  return {
+    rowIndex: rowIndex,
+    username: row[2].toString().trim().toLowerCase(),
+    name: row[1].toString().trim(),
+    password: row[3].toString().trim(),
+    role: role,
+    district: row[5].toString().trim(),
+    branch: row[6].toString().trim(),
+    vendor: row[11].toString().trim(),
+    active: INACTIVE_ROLES.indexOf(role) === -1 && INACTIVE_ROLES.indexOf(status) === -1,
+    lastLogin: formatAuditValue(row[8]),
+    mustChangePassword: isGranted(row[9]),
+    createdAt: formatAuditValue(row[0]),
+    signedOutAt: row[10] ? new Date(row[10]).getTime() || 0 : 0
+  };
+}
+
+// { username, role, mustChangePassword, signedOutAt, district, branch,
+// vendor } of an active user in the master sheet, or null.
+function findMasterUser(username) {
+  var row = findMasterRow(username);
+  if (!row || !row.active) return null;
+  return {
+    username: row.username,
+    role: row.role,
+    mustChangePassword: row.mustChangePassword,
+    signedOutAt: row.signedOutAt,
+    district: row.district,
+    branch: row.branch,
+    vendor: row.vendor
+  };
+}
+
+// A new token for session { username, issued (milliseconds), ends
+// (seconds) }, and what login and refreshSession answer about it for `user`
+// (a master user or readSession's session). The token expires
+// SESSION_IDLE_SECONDS from now, or at `ends` if that is sooner.
+function issueSession(session, user) {
+  var expires = Math.min(Math.floor(Date.now() / 1000) + SESSION_IDLE_SECONDS, session.ends);
+  var payload = Utilities.base64EncodeWebSafe(JSON.stringify({
+    username: session.username,
+    issued: session.issued,
+    expires: expires,
+    ends: session.ends
+  })).replace(/=+$/, "");
+  return {
+    success: true,
+    token: payload + "." + signText(payload, getScriptSecret(SESSION_SECRET_PROPERTY)),
+    username: session.username,
+    role: user.role,
+    permissions: rolePermissions(user.role),
+    scope: { district: user.district, branch: user.branch, vendor: user.vendor },
+    expiresAt: new Date(expires * 1000).toISOString(),
+    endsAt: new Date(session.ends * 1000).toISOString(),
+    mustChangePassword: user.mustChangePassword
+  };
+}
+
+// { username, role, issued, expires, ends, mustChangePassword, district,
+// branch, vendor } of a valid session token whose user is still active and
+// has not logged out since it was issued, or null. Times are those of
+// issueSession.
+function readSession(token) {
+  var parts = (token || "").toString().split(".");
+  if (parts.length !== 2 || !sameText(parts[1], signText(parts[0], getScriptSecret(SESSION_SECRET_PROPERTY)))) {
+    return null;
+  }
+  
+  var session;
+  try {
+    session = JSON.parse(Utilities.newBlob(Utilities.base64DecodeWebSafe(parts[0])).getDataAsString());
+  } catch (error) {
+    return null;
+  }
+  if (!(session.expires > Date.now() / 1000)) return null;
+  
+  var user = findMasterUser(session.username);
+  if (!user || (user.signedOutAt && !(session.issued > user.signedOutAt))) return null;
+  return {
+    username: user.username,
+    role: user.role,
+    issued: session.issued,
+    expires: session.expires,
+    ends: session.ends || session.expires,
+    mustChangePassword: user.mustChangePassword,
+    district: user.district,
+    branch: user.branch,
+    vendor: user.vendor
+  };
+}
+
+// Actions a user who has to change their password may still make
+var PASSWORD_CHANGE_ACTIONS = ["changePassword", "refreshSession", "session", "logout"];
+
+// Check the request's session token and make params.username the signed-in
+// user. Throws an error with authError set when there is no valid session,
+// or when the user has to change their password and the request does
+// something else.
+function authenticate(params) {
+  var session = readSession(params.token);
+  var error;
+  if (!session) {
+    error = new Error(params.token ? "Session expired or invalid, please sign in again" : "Not signed in");
+    error.authError = true;
+    throw error;
+  }
+  if (session.mustChangePassword && PASSWORD_CHANGE_ACTIONS.indexOf(params.action) === -1) {
+    error = new Error("Choose a new password before continuing");
+    error.authError = true;
+    throw error;
+  }
+  params.username = session.username;
+  params.role = session.role;
+  params.permissions = null;
+  params.dataScope = null;
+  params.session = session;
+  return session;
+}
+
+// Request parameters that may go into the execution log: not the session
+// token, a credential until the session ends, nor the admin's scope and the
+// session authenticate() attached.
+var UNLOGGED_PARAMETERS = ["token", "scope", "session"];
+
+function loggableParameters(params) {
+  var loggable = {};
+  Object.keys(params).forEach(function(name) {
+    if (UNLOGGED_PARAMETERS.indexOf(name) === -1) loggable[name] = params[name];
+  });
+  return loggable;
+}
+
+// The signed-in user a request is made for; authenticate() has set it from
+// the session token before any action runs.
+function requestUser(params) {
+  return { username: params.username, role: params.role };
+}
+
+function authErrorResponse(error) {
+  return ContentService.createTextOutput(JSON.stringify({
+    success: false,
+    authError: true,
+    error: error.toString()
+  })).setMimeType(ContentService.MimeType.JSON);
+}
+
+// params: username, password. Answers { success, token, username, role,
+// permissions, scope, expiresAt, endsAt, mustChangePassword }; the error does not
+// say whether the username exists. Records the time in Last Login.
+function login(params) {
+  try {
+    var password = (params.password || "").toString().trim();
+    var row = findMasterRow(params.username);
+    if (!row || !password || !checkPassword(row.password, password)) {
+      throw new Error("Username or password is incorrect");
+    }
+    if (!row.active) {
+      throw new Error("This user is inactive");
+    }
+    
+    var lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    try {
+      var master = getMasterSheet();
+      if (!isPasswordHash(row.password)) {
+        master.getRange(row.rowIndex, 4).setValue(newPasswordHash(password));
+      }
+      master.getRange(row.rowIndex, 9).setValue(formatTimestamp(new Date()));
+    } finally {
+      lock.releaseLock();
+    }
+    
+    var now = Date.now();
+    var result = issueSession({
+      username: row.username,
+      issued: now,
+      ends: Math.floor(now / 1000) + SESSION_MAX_SECONDS
+    }, row);
+    console.log("Signed in " + row.username);
+    return ContentService.createTextOutput(JSON.stringify(result)).setMimeType(ContentService.MimeType.JSON);
+  } catch (error) {
+    console.error("Login failed:", error.message);
+    return ContentService.createTextOutput(JSON.stringify({
+      success: false,
+      error: error.message
+    })).setMimeType(ContentService.MimeType.JSON);
+  }
+}
+
+// A new token for the signed-in session, idle time starting now; answers
+// like login, so a changed role or permissions reach the app too. The
+// session still ends when its first token said.
+function refreshSession(params) {
+  var session = params.session;
+  var result = issueSession(session, session);
+  return ContentService.createTextOutput(JSON.stringify(result)).setMimeType(ContentService.MimeType.JSON);
+}
+
+// Whether the request's token is still good (authenticate answered for it
+// already when it is not), without extending it.
+function checkSession(params) {
+  var session = params.session;
+  return ContentService.createTextOutput(JSON.stringify({
+    success: true,
+    username: session.username,
+    role: session.role,
+    mustChangePassword: session.mustChangePassword === true,
+    expiresAt: new Date(session.expires * 1000).toISOString(),
+    endsAt: new Date(session.ends * 1000).toISOString()
+  })).setMimeType(ContentService.MimeType.JSON);
+}
+
+// End every session of the signed-in user, in all tabs and browsers.
+function logout(params) {
+  var lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(30000);
+    var user = findMasterRow(params.username);
+    getMasterSheet().getRange(user.rowIndex, 11).setValue(new Date().toISOString());
+    console.log("Signed out " + user.username);
+    return ContentService.createTextOutput(JSON.stringify({ success: true })).setMimeType(ContentService.MimeType.JSON);
+  } catch (error) {
+    console.error("Logout failed:", error.message);
+    return ContentService.createTextOutput(JSON.stringify({
+      success: false,
+      error: error.message
+    })).setMimeType(ContentService.MimeType.JSON);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// Replace every plain-text password in master column D with its hash. Run it
+// once from the script editor; users keep signing in with the same passwords.
+function hashMasterPasswords() {
+  var master = getMasterSheet();
+  var lastRow = master.getLastRow();
+  if (lastRow < 2) return 0;
+  
+  var range = master.getRange(2, 4, lastRow - 1, 1);
+  var passwords = range.getValues();
+  var count = 0;
+  passwords.forEach(function(row) {
+    var password = row[0].toString().trim();
+    if (password && !isPasswordHash(password)) {
+      row[0] = newPasswordHash(password);
+      count++;
+    }
+  });
+  range.setValues(passwords);
+  console.log("Hashed " + count + " password(s)");
+  return count;
+}
+
+// ---------------------------------------------------------------------------
+// Permissions
+//
+// The Permissions sheet says, for each role and stage, whether users with
+// that role may view, edit, delete or export: one row per role and stage,
+// Yes or No under each permission. A role or stage without a row gets
+// nothing. The sheet is filled with DEFAULT_PERMISSIONS when it is first
+// needed. The admin role has every permission whatever the sheet says, so it
+// cannot lock everybody out.
+//
+// Each stage owns the FMS columns listed in STAGE_COLUMNS. Cells of stages a
+// role may not view are blanked in everything the script serves (fetch,
+// queries, audit history, document versions); writes to cells of stages it
+// may not edit are refused; deleting an enquiry needs delete on the stage it
+// has reached (rowStage), and the recycle bin needs delete on the enquiry
+// stage.
+// Export is only enforced by the app, which hides its export buttons: what a
+// user may view they can copy anyway.
+// ---------------------------------------------------------------------------
+
+var PERMISSIONS_SHEET_NAME = "Permissions";
+var PERMISSIONS_HEADERS = ["Role", "Stage", "View", "Edit", "Delete", "Export"];
+var PERMISSION_ACTIONS = ["view", "edit", "delete", "export"];
+
+// Keep in step with the stages of FMS_COLUMNS in src/lib/fmsSchema.js. A
+// column two stages own (Insurance keeps its status and remarks in two
+// Payment cells) is open to users of either.
+var STAGE_COLUMNS = {
+  enquiry: ["A:S", "EU"],
+  survey: ["T:AE"],
+  quotation: ["AF:AK"],
+  followup: ["AL:AR"],
+  order: ["AS:BA"],
+  ipAssignment: ["BB:BM"],
+  dispatch: ["BN:BQ"],
+  inform: ["BR:BU"],
+  receipt: ["BV:BZ"],
+  installation: ["CA:CL", "EH:EM", "EV:EX"],
+  billing: ["CM:CS", "EN:EO", "EY:FB"],
+  documents: ["CT:DG"],
+  inspection: ["DH:DL", "FC"],
+  commissioning: ["DM:DQ"],
+  redemption: ["DR:DU"],
+  disbursal: ["DV:DY", "FD:FE"],
+  payment: ["DZ:EG"],
+  insurance: ["FF:FS", "EB", "EE"],
+  moduleEntry: ["FT:FW"],
+  energyAnalysis: ["EP:EQ"]
+};
+
+// role -> { stage: "space separated permissions" }; "*" covers the stages
+// the role has no entry for. Installers see no quotation, billing, subsidy,
+// payment or insurance figures.
+var DEFAULT_PERMISSIONS = {
+  user: {
+    "*": "view edit",
+    survey: "view edit delete",
+    energyAnalysis: "view edit export"
+  },
+  installer: {
+    enquiry: "view",
+    survey: "view",
+    order: "view",
+    dispatch: "view",
+    inform: "view",
+    receipt: "view edit",
+    installation: "view edit",
+    inspection: "view edit",
+    commissioning: "view edit",
+    moduleEntry: "view edit"
+  }
+};
+
+function getPermissionsSheet() {
+  var ss = openSpreadsheet();
+  var sheet = ss.getSheetByName(PERMISSIONS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(PERMISSIONS_SHEET_NAME);
+    var rows = [PERMISSIONS_HEADERS];
+    Object.keys(DEFAULT_PERMISSIONS).forEach(function(role) {
+      var defaults = DEFAULT_PERMISSIONS[role];
+      Object.keys(STAGE_COLUMNS).forEach(function(stage) {
+        var granted = (defaults[stage] || defaults["*"] || "").split(" ");
+        rows.push([role, stage].concat(PERMISSION_ACTIONS.map(function(action) {
+          return granted.indexOf(action) !== -1 ? "Yes" : "No";
+        })));
+      });
+    });
+    sheet.getRange(1, 1, rows.length, PERMISSIONS_HEADERS.length).setValues(rows);
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+function isGranted(value) {
+  return value === true || /^(yes|y|true|1)$/i.test((value || "").toString().trim());
+}
+
+// { stage: { view, edit, delete, export } } of one role, every stage listed.
+function rolePermissions(role) {
+  var key = (role || "").toString().trim().toLowerCase();
+  var permissions = {};
+  Object.keys(STAGE_COLUMNS).forEach(function(stage) {
+    permissions[stage] = {};
+    PERMISSION_ACTIONS.forEach(function(action) {
+      permissions[stage][action] = key === "admin";
+    });
+  });
+  if (key === "admin") return permissions;
+  
+  var sheet = getPermissionsSheet();
+  var lastRow = sheet.getLastRow();
+  if (lastRow < 2) return permissions;
+  
+  sheet.getRange(2, 1, lastRow - 1, PERMISSIONS_HEADERS.length).getValues().forEach(function(row) {
+    var stage = row[1].toString().trim();
+    if (row[0].toString().trim().toLowerCase() !== key || !permissions[stage]) return;
+    PERMISSION_ACTIONS.forEach(function(action, i) {
+      permissions[stage][action] = isGranted(row[2 + i]);
+    });
+  });
+  return permissions;
+}
+
+// The permissions of the signed-in user, read once per request.
+function requestPermissions(params) {
+  if (!params.permissions) {
+    params.permissions = rolePermissions(params.role);
+  }
+  return params.permissions;
+}
+
+// The stage an FMS row (0-based values) has reached: the last stage, in
+// STAGE_COLUMNS order, whose Actual cell is filled, or enquiry when none is.
+// Every stage but enquiry starts with its Planned and Actual columns.
+function rowStage(row) {
+  var reached = "enquiry";
+  Object.keys(STAGE_COLUMNS).forEach(function(stage) {
+    if (stage === "enquiry") return;
+    var actual = letterToColumn(STAGE_COLUMNS[stage][0].split(":")[0]) + 1;
+    if (!isBlankCell(row[actual - 1])) reached = stage;
+  });
+  return reached;
+}
+
+// Throws unless the signed-in user may `action` on `stage`.
+function requirePermission(params, stage, action) {
+  var permissions = requestPermissions(params);
+  if (!permissions[stage]) {
+    throw new Error("Unknown stage: " + stage);
+  }
+  if (!permissions[stage][action]) {
+    throw new Error("The " + params.role + " role may not " + action + " the " + stage + " stage");
+  }
+}
+
+// { column number: [stages owning it] } of the FMS sheet.
+function stageColumnMap() {
+  var map = {};
+  Object.keys(STAGE_COLUMNS).forEach(function(stage) {
+    STAGE_COLUMNS[stage].forEach(function(range) {
+      var ends = range.split(":");
+      var last = letterToColumn(ends[ends.length - 1]);
+      for (var column = letterToColumn(ends[0]); column <= last; column++) {
+        (map[column] = map[column] || []).push(stage);
+      }
+    });
+  });
+  return map;
+}
+
+// { column number: stage } of the columns of sheetName the signed-in user
+// may not `action`: every stage owning the column denies it. Only the FMS
+// sheet is split into stages; other sheets answer {}.
+function deniedColumns(params, sheetName, action) {
+  var denied = {};
+  if (sheetName !== "FMS") return denied;
+  
+  var permissions = requestPermissions(params);
+  var map = stageColumnMap();
+  Object.keys(map).forEach(function(column) {
+    var allowed = map[column].some(function(stage) {
+      return permissions[stage][action];
+    });
+    if (!allowed) denied[column] = map[column][0];
+  });
+  return denied;
+}
+
+// Throws when any of `columns` (numbers) belongs to a stage the signed-in
+// user may not edit.
+function requireEditableColumns(params, sheetName, columns) {
+  var denied = deniedColumns(params, sheetName, "edit");
+  columns.forEach(function(column) {
+    if (denied[column]) {
+      throw new Error("The " + params.role + " role may not edit " + columnToLetter(column) + " (" + denied[column] + " stage)");
+    }
+  });
+}
+
+// Copy of a row's values with the cells in `hidden` (deniedColumns for
+// view) replaced by `blank`.
+function redactRow(row, hidden, blank) {
+  return row.map(function(value, i) {
+    return hidden[i + 1] ? blank : value;
+  });
+}
+
+// ---------------------------------------------------------------------------
+// User management
+//
+// Admins look after the master sheet with these actions instead of editing
+// it by hand: listUsers (doGet action "users"), createUser, updateUser,
+// setUserStatus and resetPassword; exportUsers (doGet action "exportUsers")
+// hands the whole sheet to local-backend/migrate.js. New users and users whose password was
+// reset get a temporary password, answered once to the admin, and must
+// choose their own with changePassword, which every user may call. Each
+// change is written to the Audit_Log under sheet "master", with the account's
+// username in the Enquiry Number column; passwords and hashes never are, only
+// that one was set.
+// ---------------------------------------------------------------------------
+
+var MIN_PASSWORD_LENGTH = 8;
+var USERNAME_PATTERN = /^[a-z0-9._-]{3,}$/;
+
+function requireAdmin(params) {
+  if (params.role !== "admin") {
+    throw new Error("Only admins may manage users");
+  }
+}
+
+// Roles a user can be given: admin and every role of the Permissions sheet.
+function knownRoles() {
+  var roles = ["admin"];
+  var sheet = getPermissionsSheet();
+  if (sheet.getLastRow() > 1) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, 1).getValues().forEach(function(row) {
+      var role = row[0].toString().trim().toLowerCase();
+      if (role && roles.indexOf(role) === -1) roles.push(role);
+    });
+  }
+  return roles;
+}
+
+function checkRole(role) {
+  var key = (role || "").toString().trim().toLowerCase();
+  if (knownRoles().indexOf(key) === -1) {
+    throw new Error("Unknown role: " + role + ". Add it to the Permissions sheet first");
+  }
+  return key;
+}
+
+// "raipur,  Durg" -> "raipur, Durg"; branch codes are upper-cased like the
+// branch of enquiry numbers.
+function normalizeScope(value, upperCase) {
+  return (value || "").toString().split(",").map(function(part) {
+    part = part.trim();
+    return upperCase ? part.toUpperCase() : part;
+  }).filter(Boolean).join(", ");
+}
+
+function checkNewPassword(password) {
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error("Passwords need at least " + MIN_PASSWORD_LENGTH + " characters");
+  }
+}
+
+function newTemporaryPassword() {
+  return Utilities.getUuid().replace(/-/g, "").slice(0, 12);
+}
+
+// The user as listUsers answers it, without the password hash.
+function publicUser(user) {
+  return {
+    rowIndex: user.rowIndex,
+    username: user.username,
+    name: user.name,
+    role: user.role,
+    district: user.district,
+    branch: user.branch,
+    vendor: user.vendor,
+    active: user.active,
+    lastLogin: user.lastLogin,
+    mustChangePassword: user.mustChangePassword,
+    createdAt: user.createdAt
+  };
+}
+
+function requireMasterRow(username) {
+  var user = findMasterRow(username);
+  if (!user) {
+    throw new Error("User not found: " + username);
+  }
+  return user;
+}
+
+// Write `values` ({ column number: value }) to a master row and audit them.
+// Password cells are audited as `passwordNote` instead of their value.
+function writeMasterCells(params, action, user, values, passwordNote) {
+  var master = getMasterSheet();
+  var before = master.getRange(user.rowIndex, 1, 1, MASTER_HEADERS.length).getValues()[0];
+  var audit = newAudit(params, action, master, "master");
+  Object.keys(values).forEach(function(key) {
+    var column = parseInt(key, 10);
+    master.getRange(user.rowIndex, column).setValue(values[key]);
+    if (column === 4) {
+      auditChange(audit, user.username, user.rowIndex, column, "", passwordNote);
+    } else {
+      auditChange(audit, user.username, user.rowIndex, column, before[column - 1], values[key]);
+    }
+  });
+  SpreadsheetApp.flush();
+  writeAuditLog(audit);
+}
+
+function userResponse(result) {
+  result.success = true;
+  return ContentService.createTextOutput(JSON.stringify(result)).setMimeType(ContentService.MimeType.JSON);
+}
+
+function userErrorResponse(error) {
+  console.error("User management error:", error.message);
+  return ContentService.createTextOutput(JSON.stringify({
+    success: false,
+    error: error.message
+  })).setMimeType(ContentService.MimeType.JSON);
+}
+
+// Answers { users, roles }: every master row in sheet order and the roles
+// they can be given.
+function listUsers(params) {
+  try {
+    requireAdmin(params);
+    var master = getMasterSheet();
+    var users = [];
+    if (master.getLastRow() > 1) {
+      master.getRange(2, 1, master.getLastRow() - 1, MASTER_HEADERS.length).getValues().forEach(function(row, i) {
+        if (!row[2].toString().trim()) return;
+        users.push(publicUser(masterRowUser(row, i + 2)));
+      });
+    }
+    return userResponse({ users: users, roles: knownRoles() });
+  } catch (error) {
+    return userErrorResponse(error);
+  }
+}
+
+// Answers { headers, rows }: the master sheet as it is, for copying it to
+// another store. Plain-text passwords are hashed first (see
+// hashMasterPasswords), so only hashes leave the sheet.
+function exportUsers(params) {
+  var lock = LockService.getScriptLock();
+  try {
+    requireAdmin(params);
+    lock.waitLock(30000);
+    hashMasterPasswords();
+    SpreadsheetApp.flush();
+    var master = getMasterSheet();
+    var rows = master.getLastRow() > 1
+      ? master.getRange(2, 1, master.getLastRow() - 1, MASTER_HEADERS.length).getValues()
+      : [];
+    console.log(params.username + " exported " + rows.length + " master row(s)");
+    return userResponse({ headers: master.getRange(1, 1, 1, MASTER_HEADERS.length).getValues()[0], rows: rows });
+  } catch (error) {
+    return userErrorResponse(error);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// params: account (username), name, accountRole, district, branch,
+// vendor. Answers { user, temporaryPassword }. (params.username and
+// params.role are the signed-in admin's.)
+function createUser(params) {
+  var lock = LockService.getScriptLock();
+  try {
+    requireAdmin(params);
+    lock.waitLock(30000);
+    var username = (params.account || "").toString().trim().toLowerCase();
+    if (!USERNAME_PATTERN.test(username)) {
+      throw new Error("Usernames need at least 3 letters, digits, dots, dashes or underscores");
+    }
+    if (findMasterRow(username)) {
+      throw new Error("User " + username + " already exists");
+    }
+    var name = (params.name || "").toString().trim();
+    if (!name) {
+      throw new Error("Missing name");
+    }
+    
+    var temporaryPassword = newTemporaryPassword();
+    var row = [
+      formatTimestamp(new Date()),
+      name,
+      username,
+      newPasswordHash(temporaryPassword),
+      checkRole(params.accountRole),
+      normalizeScope(params.district, false),
+      normalizeScope(params.branch, true),
+      "Active",
+      "",
+      "Yes",
+      "",
+      normalizeScope(params.vendor, false)
+    ];
+    var master = getMasterSheet();
+    var rowIndex = master.getLastRow() + 1;
+    master.getRange(rowIndex, 1, 1, MASTER_HEADERS.length).setValues([row]);
+    SpreadsheetApp.flush();
+    
+    var audit = newAudit(params, "createUser", master, "master");
+    row.forEach(function(value, i) {
+      auditChange(audit, username, rowIndex, i + 1, "", i === 3 ? "(set)" : value);
+    });
+    writeAuditLog(audit);
+    
+    console.log(params.username + " created user " + username);
+    return userResponse({ user: publicUser(findMasterRow(username)), temporaryPassword: temporaryPassword });
+  } catch (error) {
+    return userErrorResponse(error);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// params: account (username), name, accountRole, district, branch, vendor.
+function updateUser(params) {
+  var lock = LockService.getScriptLock();
+  try {
+    requireAdmin(params);
+    lock.waitLock(30000);
+    var user = requireMasterRow(params.account);
+    var role = checkRole(params.accountRole);
+    if (user.username === params.username && role !== "admin") {
+      throw new Error("You cannot take away your own admin role");
+    }
+    var name = (params.name || "").toString().trim();
+    if (!name) {
+      throw new Error("Missing name");
+    }
+    
+    writeMasterCells(params, "updateUser", user, {
+      2: name,
+      5: role,
+      6: normalizeScope(params.district, false),
+      7: normalizeScope(params.branch, true),
+      12: normalizeScope(params.vendor, false)
+    });
+    return userResponse({ user: publicUser(findMasterRow(user.username)) });
+  } catch (error) {
+    return userErrorResponse(error);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// params: account (username), active ("true" or "false"). Deactivated users
+// are signed out on their next request.
+function setUserStatus(params) {
+  var lock = LockService.getScriptLock();
+  try {
+    requireAdmin(params);
+    lock.waitLock(30000);
+    var user = requireMasterRow(params.account);
+    var active = params.active === true || params.active === "true";
+    if (!active && user.username === params.username) {
+      throw new Error("You cannot deactivate yourself");
+    }
+    if (active && INACTIVE_ROLES.indexOf(user.role) !== -1) {
+      throw new Error("Give " + user.username + " a role before reactivating them");
+    }
+    
+    writeMasterCells(params, active ? "reactivateUser" : "deactivateUser", user, {
+      8: active ? "Active" : "Inactive"
+    });
+    return userResponse({ user: publicUser(findMasterRow(user.username)) });
+  } catch (error) {
+    return userErrorResponse(error);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// params: account (username). Answers { user, temporaryPassword }; the user
+// must change it when they next sign in.
+function resetPassword(params) {
+  var lock = LockService.getScriptLock();
+  try {
+    requireAdmin(params);
+    lock.waitLock(30000);
+    var user = requireMasterRow(params.account);
+    var temporaryPassword = newTemporaryPassword();
+    
+    writeMasterCells(params, "resetPassword", user, {
+      4: newPasswordHash(temporaryPassword),
+      10: "Yes"
+    }, "(reset)");
+    console.log(params.username + " reset the password of " + user.username);
+    return userResponse({ user: publicUser(findMasterRow(user.username)), temporaryPassword: temporaryPassword });
+  } catch (error) {
+    return userErrorResponse(error);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// params: currentPassword, newPassword, for the signed-in user.
+function changePassword(params) {
+  var lock = LockService.getScriptLock();
+  try {
+    lock.waitLock(30000);
+    var user = requireMasterRow(params.username);
+    var currentPassword = (params.currentPassword || "").toString().trim();
+    var newPassword = (params.newPassword || "").toString().trim();
+    if (!checkPassword(user.password, currentPassword)) {
+      throw new Error("Current password is incorrect");
+    }
+    checkNewPassword(newPassword);
+    if (newPassword === currentPassword) {
+      throw new Error("Choose a password different from the current one");
+    }
+    
+    writeMasterCells(params, "changePassword", user, {
+      4: newPasswordHash(newPassword),
+      10: ""
+    }, "(changed)");
+    console.log(user.username + " changed their password");
+    return userResponse({});
+  } catch (error) {
+    return userErrorResponse(error);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Data scope
+//
+// A user may be limited to some districts, branches and vendors: master
+// columns F, G and L, each a comma-separated list, blank for all. An FMS row
+// is in scope when its District (F), the branch of its enquiry number (the
+// part before ENQUIRY_NUMBERING.branchSeparator) and its Vendor Name (EU) are
+// each in the matching list. Rows out of scope are left out of queries,
+// blanked in fetches and refused to every write, upload and lookup.
+//
+// Admins are never limited, but may narrow what they see to any scope by
+// sending `scope`, JSON { district, branch, vendor }, with a request.
+// ---------------------------------------------------------------------------
+
+var SCOPE_COLUMNS = {
+  district: "District@F",
+  vendor: "Vendor Name@EU"
+};
+
+// "Raipur, Durg" -> ["raipur", "durg"]
+function scopeValues(value) {
+  return (value || "").toString().split(",").map(function(part) {
+    return part.trim().toLowerCase();
+  }).filter(Boolean);
+}
+
+// The scope a request is limited to, read once per request:
+// { district, branch, vendor } lists, empty where it is not limited.
+function requestScope(params) {
+  if (!params.dataScope) {
+    var source = params.session || {};
+    if (params.role === "admin") {
+      try {
+        source = params.scope ? JSON.parse(params.scope) : {};
+      } catch (error) {
+        throw new Error("Invalid scope format: " + error.message);
+      }
+    }
+    params.dataScope = {
+      district: scopeValues(source.district),
+      branch: scopeValues(source.branch),
+      vendor: scopeValues(source.vendor)
+    };
+  }
+  return params.dataScope;
+}
+
+function isScoped(scope) {
+  return scope.district.length > 0 || scope.branch.length > 0 || scope.vendor.length > 0;
+}
+
+// The branch an enquiry number was issued for, or "" for numbers issued
+// without one.
+function enquiryBranch(enquiryNumber) {
+  var text = (enquiryNumber || "").toString().trim();
+  var start = ENQUIRY_NUMBERING.format.split("{")[0];
+  var end = text.indexOf(ENQUIRY_NUMBERING.branchSeparator);
+  if (end <= 0 || (start && text.indexOf(start) === 0)) return "";
+  return text.slice(0, end);
+}
+
+// A test telling whether an FMS row (0-based values) is in the request's
+// scope, or null when the request is not limited. `branch`, when given, is
+// used instead of the branch of the row's enquiry number.
+function scopeTest(params, headers) {
+  var scope = requestScope(params);
+  if (!isScoped(scope)) return null;
+  
+  var districtIndex = resolveHeaderColumn(headers, SCOPE_COLUMNS.district) - 1;
+  var vendorIndex = resolveHeaderColumn(headers, SCOPE_COLUMNS.vendor) - 1;
+  var allows = function(list, value) {
+    return list.length === 0 || list.indexOf((value || "").toString().trim().toLowerCase()) !== -1;
+  };
+  return function(row, branch) {
+    return allows(scope.district, row[districtIndex]) &&
+      allows(scope.vendor, row[vendorIndex]) &&
+      allows(scope.branch, branch === undefined ? enquiryBranch(row[1]) : branch);
+  };
+}
+
+function scopeError(enquiryNumber) {
+  return new Error("Enquiry " + enquiryNumber + " is outside your data scope");
+}
+
+// Throws unless row rowIndex of sheetName is in the request's scope, and
+// still will be once `targets` ([{ column, value }]) are written to it.
+// Only FMS rows are scoped.
+function requireRowInScope(params, sheet, sheetName, rowIndex, targets) {
+  if (sheetName !== "FMS") return;
+  var lastColumn = sheet.getLastColumn();
+  var inScope = scopeTest(params, sheet.getRange(getHeaderRow(sheetName), 1, 1, lastColumn).getValues()[0]);
+  if (!inScope) return;
+  
+  var row = sheet.getRange(rowIndex, 1, 1, lastColumn).getValues()[0];
+  var written = row.slice();
+  (targets || []).forEach(function(target) {
+    written[target.column - 1] = target.value;
+  });
+  if (!inScope(row) || !inScope(written)) {
+    throw scopeError(row[1]);
+  }
+}
+
+// A test like scopeTest's for whole FMS_Archive rows (metadata columns
+// first), or null when the request is not limited. Rows archived from other
+// sheets are not scoped.
+function archivedScopeTest(params, archive) {
+  var metaCount = ARCHIVE_META_HEADERS.length;
+  var inScope = scopeTest(params, archive.getRange(1, 1, 1, archive.getLastColumn()).getValues()[0].slice(metaCount));
+  return inScope && function(row) {
+    return row[2].toString() !== "FMS" || inScope(row.slice(metaCount));
+  };
+}
+
+function requireArchivedRowInScope(params, archive, archiveRow) {
+  var inScope = archivedScopeTest(params, archive);
+  var row = archive.getRange(archiveRow, 1, 1, archive.getLastColumn()).getValues()[0];
+  if (inScope && !inScope(row)) {
+    throw scopeError(row[4]);
+  }
+}
+
+// Throws unless enquiryNumber is in the request's scope: its FMS row, or
+// its row in the archive once deleted. For actions that name an enquiry
+// without writing to its row.
+function requireEnquiryInScope(params, enquiryNumber) {
+  if (!isScoped(requestScope(params))) return;
+  var key = (enquiryNumber || "").toString().trim();
+  var sheet = openSpreadsheet().getSheetByName("FMS");
+  var rowIndex = sheet && key ? findRowByEnquiryNumber(sheet, key, getHeaderRow("FMS") + 1) : -1;
+  if (rowIndex > 0) {
+    requireRowInScope(params, sheet, "FMS", rowIndex, []);
+    return;
+  }
+  
+  var archive = getArchiveSheet();
+  if (key && archive.getLastRow() > 1) {
+    var keys = archive.getRange(2, 5, archive.getLastRow() - 1, 1).getValues();
+    for (var i = keys.length - 1; i >= 0; i--) {
+      if (keys[i][0].toString().trim() === key) {
+        requireArchivedRowInScope(params, archive, i + 2);
+        return;
+      }
+    }
+  }
+  throw scopeError(key);
+}
+
+// The branch a new FMS row is numbered for: the one sent with the insert,
+// or the user's only branch when they have exactly one. Throws when the row
+// would be out of scope.
+function scopedInsertBranch(params, sheet, rowData) {
+  var scope = requestScope(params);
+  var branch = (params.branch || "").toString().trim();
+  if (!branch && scope.branch.length === 1) {
+    branch = scope.branch[0];
+  }
+  var inScope = scopeTest(params, sheet.getRange(getHeaderRow("FMS"), 1, 1, sheet.getLastColumn()).getValues()[0]);
+  if (inScope && !inScope(rowData, normalizeBranch(branch).toLowerCase())) {
+    throw new Error("New enquiries must be in your data scope");
+  }
+  return branch;
+}
+
+// ---------------------------------------------------------------------------
+// Document access
+//
+// Uploaded files are private to the script's account. To open one the client
+// asks documentLink for a signed link, which is only given for files the app
+// uploaded (recorded in Document_Versions or linked from an FMS cell), of an
+// enquiry in the user's data scope and a stage the user's role may view, and
+// stops working after DOCUMENT_LINK_TTL_SECONDS; the document action checks
+// the signature and the user's access again and answers with the file's
+// contents, which the client shows. Files uploaded
+// while they were shared with anyone who has the link can be made private
+// with makeFolderPrivate.
+// ---------------------------------------------------------------------------
+
+var DOCUMENT_LINK_TTL_SECONDS = 300;
+var DOCUMENT_LINK_SECRET_PROPERTY = "DOCUMENT_LINK_SECRET";
+
+function signDocumentLink(fileId, username, expires) {
+  return signText(fileId + "|" + username + "|" + expires, getScriptSecret(DOCUMENT_LINK_SECRET_PROPERTY));
+}
+
+// Drive file ID in a stored link: DRIVE_VIEW_URL + id, /file/d/<id>/...,
+// or a bare ID.
+function documentFileId(link) {
+  var text = (link || "").toString().trim();
+  var match = text.match(/[?&]id=([\w-]+)/) || text.match(/\/d\/([\w-]+)/) || text.match(/\/([\w-]{20,})(?:[?#]|$)/);
+  if (match) return match[1];
+  return /^[\w-]+$/.test(text) ? text : "";
+}
+
+// Where the app linked an uploaded file: { sheetName, enquiryNumber, column }
+// from its latest Document_Versions record or, for uploads saved before
+// versions were recorded, from the FMS cell that links it. Null for files
+// the app did not upload.
+function findDocumentRecord(fileId) {
+  var versions = getDocumentVersionsSheet();
+  if (versions.getLastRow() > 1) {
+    var records = versions.getRange(2, 1, versions.getLastRow() - 1, DOCUMENT_VERSIONS_HEADERS.length).getDisplayValues();
+    for (var i = records.length - 1; i >= 0; i--) {
+      if (documentFileId(records[i][6]) === fileId) {
+        return { sheetName: records[i][2], enquiryNumber: records[i][1].trim(), column: letterToColumn(records[i][3]) };
+      }
+    }
+  }
+  
+  var fms = openSpreadsheet().getSheetByName("FMS");
+  var firstRow = getHeaderRow("FMS") + 1;
+  if (!fms || fms.getLastRow() < firstRow) return null;
+  var values = fms.getRange(firstRow, 1, fms.getLastRow() - firstRow + 1, fms.getLastColumn()).getDisplayValues();
+  for (var r = 0; r < values.length; r++) {
+    for (var c = 0; c < values[r].length; c++) {
+      if (values[r][c].indexOf(fileId) === -1) continue;
+      var links = documentLinks(values[r][c]) || [];
+      if (links.some(function(link) { return documentFileId(link) === fileId; })) {
+        return { sheetName: "FMS", enquiryNumber: values[r][1].trim(), column: c + 1 };
+      }
+    }
+  }
+  return null;
+}
+
+// Refuse files the app did not upload, enquiries outside the user's data
+// scope and columns of stages the user's role may not view.
+function requireDocumentAccess(params, fileId) {
+  var record = findDocumentRecord(fileId);
+  if (!record || !DATA_SHEETS[record.sheetName]) {
+    throw new Error("Not a document uploaded through the app: " + fileId);
+  }
+  if (record.sheetName !== "FMS") return;
+  
+  requireEnquiryInScope(params, record.enquiryNumber);
+  var stage = deniedColumns(params, "FMS", "view")[record.column];
+  if (stage) {
+    throw new Error("The " + params.role + " role may not view the " + stage + " stage");
+  }
+}
+
+// params: fileUrl (a link as stored in the sheet) or fileId.
+// Answers { success, query, expiresAt }: the signed query string to request
+// the document with from this web app's URL.
+function createDocumentLink(params) {
+  try {
+    var user = requestUser(params);
+    var fileId = documentFileId(params.fileId || params.fileUrl);
+    if (!fileId) {
+      throw new Error("Not a document link: " + (params.fileUrl || params.fileId || "(none)"));
+    }
+    requireDocumentAccess(params, fileId);
+    DriveApp.getFileById(fileId); // fails for files that do not exist
+    
+    var expires = Math.floor(Date.now() / 1000) + DOCUMENT_LINK_TTL_SECONDS;
+    var query = "action=document&fileId=" + encodeURIComponent(fileId) +
+      "&user=" + encodeURIComponent(user.username) +
+      "&expires=" + expires +
+      "&signature=" + signDocumentLink(fileId, user.username, expires);
+    
+    return ContentService.createTextOutput(JSON.stringify({
+      success: true,
+      query: query,
+      expiresAt: new Date(expires * 1000).toISOString()
+    })).setMimeType(ContentService.MimeType.JSON);
+  } catch (error) {
+    console.error("Error creating document link:", error);
+    return ContentService.createTextOutput(JSON.stringify({
+      success: false,
+      error: error.toString()
+    })).setMimeType(ContentService.MimeType.JSON);
+  }
+}
+
+// params: fileId, user, expires, signature from createDocumentLink. Answers
+// { success, fileName, mimeType, base64Data }; Apps Script cannot send the
+// raw bytes.
+function serveDocument(params) {
+  try {
+    var expires = parseInt(params.expires, 10);
+    if (!params.fileId || !params.user || isNaN(expires) || !params.signature ||
+        !sameText(signDocumentLink(params.fileId, params.user, expires), params.signature.toString())) {
+      throw new Error("Invalid document link");
+    }
+    if (expires < Date.now() / 1000) {
+      throw new Error("Document link expired");
+    }
+    // The user may have been deactivated, or their role or data scope
+    // changed, since the link was made
+    var user = findMasterUser(params.user);
+    if (!user) {
+      throw new Error("Not allowed to open documents");
+    }
+    requireDocumentAccess({ username: user.username, role: user.role, session: user }, params.fileId);
+    
+    var file = DriveApp.getFileById(params.fileId);
+    var blob = file.getBlob();
+    return ContentService.createTextOutput(JSON.stringify({
+      success: true,
+      fileName: file.getName(),
+      mimeType: blob.getContentType(),
+      base64Data: Utilities.base64Encode(blob.getBytes())
+    })).setMimeType(ContentService.MimeType.JSON);
+  } catch (error) {
+    console.error("Error serving document:", error);
+    return ContentService.createTextOutput(JSON.stringify({
+      success: false,
+      expired: /expired/.test(error.toString()),
+      error: error.toString()
+    })).setMimeType(ContentService.MimeType.JSON);
+  }
+}
+
+// Stop sharing every file under a folder, subfolders included. Run it from
+// the script editor once for each upload folder (the DRIVE_FOLDER_ID of each
+// page) to take back links handed out before documents were private.
+function makeFolderPrivate(folderId) {
+  var folder = DriveApp.getFolderById(folderId);
+  var count = 0;
+  var files = folder.getFiles();
+  while (files.hasNext()) {
+    files.next().setSharing(DriveApp.Access.PRIVATE, DriveApp.Permission.NONE);
+    count++;
+  }
+  var folders = folder.getFolders();
+  while (folders.hasNext()) {
+    count += makeFolderPrivate(folders.next().getId());
+  }
+  console.log("Made " + count + " file(s) under " + folder.getName() + " private");
+  return count;
+}
+
+// ---------------------------------------------------------------------------
+// Chunked uploads
+//
+// Large files are sent in slices so that a dropped connection only costs the
+// slice in flight. uploadStart opens a session, uploadChunk stores each slice
+// as a temporary file in the target folder, uploadStatus lists the slices
+// received so far (so a client can resume), and uploadFinish joins them into
+// the final file and trashes the slices. Sessions are kept in the script
+// cache, so an upload left unfinished expires after UPLOAD_SESSION_TTL_SECONDS.
+// ---------------------------------------------------------------------------
+
+var UPLOAD_SESSION_TTL_SECONDS = 21600; // 6 hours, the script cache maximum
+var UPLOAD_MAX_BYTES = 50 * 1024 * 1024; // largest blob Apps Script can build
+
+function uploadSessionKey(uploadId) {
+  return "upload:" + uploadId;
+}
+
+function getUploadSession(uploadId) {
+  var cached = uploadId ? CacheService.getScriptCache().get(uploadSessionKey(uploadId)) : null;
+  if (!cached) {
+    var error = new Error("Upload session not found or expired: " + uploadId);
+    error.expired = true;
+    throw error;
+  }
+  return JSON.parse(cached);
+}
+
+function saveUploadSession(session) {
+  CacheService.getScriptCache().put(uploadSessionKey(session.uploadId), JSON.stringify(session), UPLOAD_SESSION_TTL_SECONDS);
+}
+
+function receivedChunks(session) {
+  return Object.keys(session.chunks).map(Number).sort(function(a, b) { return a - b; });
+}
+
+function uploadErrorResponse(error) {
+  console.error("Upload error:", error);
+  return ContentService.createTextOutput(JSON.stringify({
+    success: false,
+    expired: error.expired === true,
+    error: error.toString()
+  })).setMimeType(ContentService.MimeType.JSON);
+}
+
+// params: fileName, mimeType, folderId, totalSize, totalChunks, and the
+// document folder and geotag params (see resolveUploadTarget, uploadGeotag)
+function startUpload(params) {
+  try {
+    var totalSize = parseInt(params.totalSize, 10);
+    var totalChunks = parseInt(params.totalChunks, 10);
+    
+    if (!params.fileName || !params.mimeType || !params.folderId) {
+      throw new Error("Missing required parameters for file upload");
+    }
+    if (!(totalSize > 0) || !(totalChunks > 0)) {
+      throw new Error("totalSize and totalChunks must be positive numbers");
+    }
+    if (totalSize > UPLOAD_MAX_BYTES) {
+      throw new Error("File is too large: " + totalSize + " bytes (limit " + UPLOAD_MAX_BYTES + ")");
+    }
+    
+    // Fails early if the folder does not exist or is not writable
+    var target = resolveUploadTarget(params);
+    DriveApp.getFolderById(target.folderId);
+    
+    var session = {
+      uploadId: Utilities.getUuid(),
+      fileName: target.fileName,
+      mimeType: params.mimeType,
+      folderId: target.folderId,
+      totalSize: totalSize,
+      totalChunks: totalChunks,
+      geotag: uploadGeotag(params),
+      chunks: {}
+    };
+    saveUploadSession(session);
+    console.log("Started upload " + session.uploadId + " for " + session.fileName + " in " + totalChunks + " chunks");
+    
+    return ContentService.createTextOutput(JSON.stringify({
+      success: true,
+      uploadId: session.uploadId,
+      received: []
+    })).setMimeType(ContentService.MimeType.JSON);
+  } catch (error) {
+    return uploadErrorResponse(error);
+  }
+}
+
+// params: uploadId, index (0-based), base64Data. Sending a chunk again
+// replaces the copy received before.
+function uploadChunk(params) {
+  try {
+    var index = parseInt(params.index, 10);
+    if (!params.base64Data) {
+      throw new Error("Missing base64Data for chunk " + params.index);
+    }
+    
+    var lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    var session;
+    
+    try {
+      session = getUploadSession(params.uploadId);
+      if (isNaN(index) || index < 0 || index >= session.totalChunks) {
+        throw new Error("Chunk index out of range: " + params.index);
+      }
+      
+      var data = params.base64Data;
+      if (data.indexOf('base64,') !== -1) {
+        data = data.split('base64,')[1];
+      }
+      var blob = Utilities.newBlob(Utilities.base64Decode(data), "application/octet-stream",
+        "~upload-" + session.uploadId + "-" + index);
+      var chunkFile = DriveApp.getFolderById(session.folderId).createFile(blob);
+      
+      if (session.chunks[index]) {
+        DriveApp.getFileById(session.chunks[index]).setTrashed(true);
+      }
+      session.chunks[index] = chunkFile.getId();
+      saveUploadSession(session);
+    } finally {
+      lock.releaseLock();
+    }
+    
+    return ContentService.createTextOutput(JSON.stringify({
+      success: true,
+      uploadId: session.uploadId,
+      received: receivedChunks(session)
+    })).setMimeType(ContentService.MimeType.JSON);
+  } catch (error) {
+    return uploadErrorResponse(error);
+  }
+}
+
+// params: uploadId. Lists the chunk indexes received so far.
+function uploadStatus(params) {
+  try {
+    var session = getUploadSession(params.uploadId);
+    return ContentService.createTextOutput(JSON.stringify({
+      success: true,
+      uploadId: session.uploadId,
+      totalChunks: session.totalChunks,
+      received: receivedChunks(session)
+    })).setMimeType(ContentService.MimeType.JSON);
+  } catch (error) {
+    return uploadErrorResponse(error);
+  }
+}
+
+// params: uploadId. Answers like uploadFile once every chunk is in.
+function finishUpload(params) {
+  try {
+    var lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    var session;
+    var result;
+    
+    try {
+      session = getUploadSession(params.uploadId);
+      var missing = [];
+      for (var i = 0; i < session.totalChunks; i++) {
+        if (!session.chunks[i]) missing.push(i);
+      }
+      if (missing.length > 0) {
+        throw new Error("Chunks not received yet: " + missing.join(", "));
+      }
+      
+      var chunkFiles = [];
+      var parts = [];
+      for (var c = 0; c < session.totalChunks; c++) {
+        var chunkFile = DriveApp.getFileById(session.chunks[c]);
+        chunkFiles.push(chunkFile);
+        parts.push(chunkFile.getBlob().getBytes());
+      }
+      var bytes = Array.prototype.concat.apply([], parts);
+      if (bytes.length !== session.totalSize) {
+        throw new Error("Received " + bytes.length + " bytes, expected " + session.totalSize);
+      }
+      
+      result = saveBlobToDrive(Utilities.newBlob(bytes, session.mimeType, session.fileName), session.folderId);
+      if (session.geotag) recordPhotoGeotag(session.geotag, result);
+      chunkFiles.forEach(function(chunkFile) {
+        chunkFile.setTrashed(true);
+      });
+      CacheService.getScriptCache().remove(uploadSessionKey(session.uploadId));
+    } finally {
+      lock.releaseLock();
+    }
+    
+    return ContentService.createTextOutput(JSON.stringify({
+      success: true,
+      fileUrl: result.fileUrl,
+      fileId: result.fileId,
+      fileName: result.fileName
+    })).setMimeType(ContentService.MimeType.JSON);
+  } catch (error) {
+    return uploadErrorResponse(error);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Photo geotags
+//
+// The client reads GPS coordinates and the capture time from a photo's EXIF
+// data before compressing it. checkGeotag tells it how far that is from the
+// enquiry's village or district, so the user can be warned; uploads that
+// carry latitude / longitude / takenAt record them with the file's URL in
+// Photo_Geotags. Places are geocoded once and kept in Place_Locations, where
+// a wrong or missing location can be corrected by hand.
+// ---------------------------------------------------------------------------
+
+var GEOTAG_MAX_DISTANCE_KM = 25;
+var PHOTO_GEOTAGS_SHEET_NAME = "Photo_Geotags";
+var PHOTO_GEOTAGS_HEADERS = ["Recorded At", "Enquiry Number", "Document", "File URL", "Latitude", "Longitude", "Taken At", "Place", "Distance (km)"];
+var PLACE_LOCATIONS_SHEET_NAME = "Place_Locations";
+var PLACE_LOCATIONS_HEADERS = ["Place", "Latitude", "Longitude", "Updated At"];
+
+function getPhotoGeotagsSheet() {
+  var ss = openSpreadsheet();
+  var sheet = ss.getSheetByName(PHOTO_GEOTAGS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(PHOTO_GEOTAGS_SHEET_NAME);
+    sheet.getRange(1, 1, 1, PHOTO_GEOTAGS_HEADERS.length).setValues([PHOTO_GEOTAGS_HEADERS]);
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+function getPlaceLocationsSheet() {
+  var ss = openSpreadsheet();
+  var sheet = ss.getSheetByName(PLACE_LOCATIONS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(PLACE_LOCATIONS_SHEET_NAME);
+    sheet.getRange(1, 1, 1, PLACE_LOCATIONS_HEADERS.length).setValues([PLACE_LOCATIONS_HEADERS]);
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+function parseCoordinate(value, limit) {
+  var number = parseFloat(value);
+  return isNaN(number) || Math.abs(number) > limit ? null : number;
+}
+
+// "Village, District" and "District" of an enquiry, most precise first.
+function enquiryPlaces(enquiryNumber) {
+  var fms = openSpreadsheet().getSheetByName("FMS");
+  var rowIndex = fms ? findRowByEnquiryNumber(fms, enquiryNumber, getHeaderRow("FMS") + 1) : -1;
+  if (rowIndex === -1) return [];
+  
+  var cells = fms.getRange(rowIndex, 5, 1, 2).getValues()[0]; // E: Village/Block, F: District
+  var village = cells[0].toString().trim();
+  var district = cells[1].toString().trim();
+  var places = [];
+  if (village && district) places.push(village + ", " + district);
+  else if (village) places.push(village);
+  if (district) places.push(district);
+  return places;
+}
+
+// { latitude, longitude } of a place, or null when it cannot be located.
+// Lookups that find nothing are recorded too, with blank coordinates, so the
+// geocoder is asked about each place only once.
+function locatePlace(place) {
+  var sheet = getPlaceLocationsSheet();
+  var key = place.toLowerCase();
+  var lastRow = sheet.getLastRow();
+  
+  if (lastRow > 1) {
+    var rows = sheet.getRange(2, 1, lastRow - 1, 3).getValues();
+    for (var i = 0; i < rows.length; i++) {
+      if (rows[i][0].toString().trim().toLowerCase() !== key) continue;
+      var latitude = parseCoordinate(rows[i][1], 90);
+      var longitude = parseCoordinate(rows[i][2], 180);
+      return latitude === null || longitude === null ? null : { latitude: latitude, longitude: longitude };
+    }
+  }
+  
+  var location = null;
+  try {
+    var response = Maps.newGeocoder().setRegion("in").geocode(place + ", India");
+    if (response.status === "OK" && response.results.length > 0) {
+      var point = response.results[0].geometry.location;
+      location = { latitude: point.lat, longitude: point.lng };
+    }
+  } catch (error) {
+    console.error("Geocoding failed for " + place + ":", error);
+    return null; // not recorded, so it is tried again next time
+  }
+  
+  sheet.appendRow([place, location ? location.latitude : "", location ? location.longitude : "", formatTimestamp(new Date())]);
+  return location;
+}
+
+// The most precise located place of an enquiry: { place, latitude, longitude }.
+function locateEnquiry(enquiryNumber) {
+  var places = enquiryPlaces(enquiryNumber);
+  for (var i = 0; i < places.length; i++) {
+    var location = locatePlace(places[i]);
+    if (location) {
+      return { place: places[i], latitude: location.latitude, longitude: location.longitude };
+    }
+  }
+  return null;
+}
+
+// Great-circle distance in kilometres.
+function distanceKm(latitude1, longitude1, latitude2, longitude2) {
+  var toRadians = function(degrees) { return degrees * Math.PI / 180; };
+  var dLatitude = toRadians(latitude2 - latitude1);
+  var dLongitude = toRadians(longitude2 - longitude1);
+  var a = Math.pow(Math.sin(dLatitude / 2), 2) +
+    Math.cos(toRadians(latitude1)) * Math.cos(toRadians(latitude2)) * Math.pow(Math.sin(dLongitude / 2), 2);
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// { located, place, distanceKm, far } for a photo taken at latitude/longitude.
+function geotagDistance(enquiryNumber, latitude, longitude) {
+  var location = locateEnquiry(enquiryNumber);
+  if (!location) {
+    return { located: false, place: enquiryPlaces(enquiryNumber).join(" / "), distanceKm: null, far: false };
+  }
+  var distance = Math.round(distanceKm(latitude, longitude, location.latitude, location.longitude) * 10) / 10;
+  return { located: true, place: location.place, distanceKm: distance, far: distance > GEOTAG_MAX_DISTANCE_KM };
+}
+
+// params: enquiryNumber, latitude, longitude
+function checkGeotag(params) {
   try {
-    console.log("Uploading file to Google Drive:");
-    console.log("  File name: " + fileName);
-    console.log("  MIME type: " + mimeType);
-    console.log("  Folder ID: " + folderId);
-    
-    var fileData = base64Data;
-    if (base64Data.indexOf('base64,') !== -1) {
-      fileData = base64Data.split('base64,')[1];
+    var latitude = parseCoordinate(params.latitude, 90);
+    var longitude = parseCoordinate(params.longitude, 180);
+    if (!params.enquiryNumber || latitude === null || longitude === null) {
+      throw new Error("checkGeotag needs enquiryNumber, latitude and longitude");
     }
+    requireEnquiryInScope(params, params.enquiryNumber);
     
-    var decoded = Utilities.base64Decode(fileData);
-    var blob = Utilities.newBlob(decoded, mimeType, fileName);
-    var folder = DriveApp.getFolderById(folderId);
-    var file = folder.createFile(blob);
-    
-    // Set file sharing permissions to make it publicly viewable
-    file.setSharing(DriveApp.Access.ANYONE_WITH_LINK, DriveApp.Permission.VIEW);
-    
-    // Get the file ID
-    var fileId = file.getId();
-    
-    // Create proper Google Drive URL for viewing images
-    var fileUrl = "https://drive.google.com/uc?export=view&id=" + fileId;
-    
-    console.log("File uploaded successfully:");
-    console.log("  File ID: " + fileId);
-    console.log("  File URL: " + fileUrl);
-    
-    return {
-      fileId: fileId,
-      fileUrl: fileUrl,
-      fileName: fileName
-    };
+    var result = geotagDistance(params.enquiryNumber.toString().trim(), latitude, longitude);
+    result.success = true;
+    result.maxDistanceKm = GEOTAG_MAX_DISTANCE_KM;
+    return ContentService.createTextOutput(JSON.stringify(result)).setMimeType(ContentService.MimeType.JSON);
   } catch (error) {
-    console.error("Error uploading file: " + error.toString());
-    throw new Error("Failed to upload file: " + error.toString());
+    console.error("Error checking geotag:", error);
+    return ContentService.createTextOutput(JSON.stringify({
+      success: false,
+      error: error.toString()
+    })).setMimeType(ContentService.MimeType.JSON);
+  }
+}
+
+// The geotag an upload carries, or null: { enquiryNumber, latitude,
+// longitude, takenAt }. Kept in the upload session until the file
+// exists.
+function uploadGeotag(params) {
+  var latitude = parseCoordinate(params.latitude, 90);
+  var longitude = parseCoordinate(params.longitude, 180);
+  if (!params.enquiryNumber || ((latitude === null || longitude === null) && !params.takenAt)) {
+    return null;
+  }
+  return {
+    enquiryNumber: params.enquiryNumber.toString().trim(),
+    latitude: latitude,
+    longitude: longitude,
+    takenAt: params.takenAt || ""
+  };
+}
+
+// `file` is what saveBlobToDrive returned. Failing to record a geotag does
+// not fail the upload it belongs to.
+function recordPhotoGeotag(geotag, file) {
+  try {
+    var located = geotag.latitude !== null && geotag.longitude !== null;
+    var distance = located ? geotagDistance(geotag.enquiryNumber, geotag.latitude, geotag.longitude) : null;
+    getPhotoGeotagsSheet().appendRow([
+      formatTimestamp(new Date()),
+      geotag.enquiryNumber,
+      file.fileName,
+      file.fileUrl,
+      located ? geotag.latitude : "",
+      located ? geotag.longitude : "",
+      geotag.takenAt,
+      distance ? distance.place : "",
+      distance && distance.located ? distance.distanceKm : ""
+    ]);
+  } catch (error) {
+    console.error("Error recording photo geotag:", error);
   }
 }
 
@@ -567,7 +3429,7 @@ function syncCSVFormat(params) {
     }
     
     // Open spreadsheet
-    var ss = SpreadsheetApp.openById("1Kp9eEqtQfesdie6l7XEuTZne6Md8_P8qzKfGFcHhpL4");
+    var ss = openSpreadsheet();
     var sheet = ss.getSheetByName(sheetName);
     
     // Create sheet if it doesn't exist
@@ -740,6 +3602,801 @@ function syncCSVFormat(params) {
     })).setMimeType(ContentService.MimeType.JSON);
   }
 }
+// ---------------------------------------------------------------------------
+// Validation
+//
+// Cells written by insert, update, updateFields and batchUpdate are checked
+// against per-column rules first; if any fails nothing is written and the
+// response lists the failures by field. The rules live in the
+// Validation_Rules sheet (one row per column: Sheet, Header, Rule, Required,
+// Message), which is created with DEFAULT_VALIDATION_RULES on first use and
+// can then be edited. Header takes the "Header@Column" form updateFields
+// accepts; Rule is a VALIDATORS name or empty for a required-only check.
+// ---------------------------------------------------------------------------
+
+var VALIDATION_RULES_SHEET_NAME = "Validation_Rules";
+var VALIDATION_RULES_HEADERS = ["Sheet", "Header", "Rule", "Required", "Message"];
+
+// Payment's Date (EE) is not checked: the Insurance page keeps its remarks
+// in that cell. Bank Account Details (BI) holds a link to the uploaded
+// document, so "ifsc" is only available for a column added for it.
+var DEFAULT_VALIDATION_RULES = [
+  ["FMS", "Contact Number@G", "mobile", "", ""],
+  ["FMS", "Aadhar Card@AA", "aadhaar", "", ""],
+  ["FMS", "Pan Card@AB", "pan", "", ""],
+  ["FMS", "Contact Number@AE", "mobile", "", ""],
+  ["FMS", "Contact Number Of IP", "mobile", "", ""],
+  ["FMS", "GST Number", "gstin", "", ""],
+  ["FMS", "Invoice Amount", "amount", "", ""],
+  ["FMS", "Amount@EF", "amount", "", ""],
+  ["FMS", "Deduction@EG", "nonNegativeAmount", "", ""],
+  ["FMS", "Amount Received", "amount", "", ""],
+  ["FMS", "Payment Date@EO", "date", "", ""],
+  ["FMS", "Premium Amount", "amount", "", ""],
+  ["FMS", "Date@FM", "date", "", ""]
+];
+
+// Verhoeff tables (dihedral group D5), used by the Aadhaar check digit.
+var VERHOEFF_D = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 2, 3, 4, 0, 6, 7, 8, 9, 5], [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7], [4, 0, 1, 2, 3, 9, 5, 6, 7, 8], [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2], [7, 6, 5, 9, 8, 2, 1, 0, 4, 3], [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+var VERHOEFF_P = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 5, 7, 6, 2, 8, 3, 0, 9, 4], [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7], [9, 4, 5, 3, 1, 2, 6, 8, 7, 0], [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5], [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+function verhoeffValid(digits) {
+  var check = 0;
+  for (var i = 0; i < digits.length; i++) {
+    var digit = parseInt(digits.charAt(digits.length - 1 - i), 10);
+    check = VERHOEFF_D[check][VERHOEFF_P[i % 8][digit]];
+  }
+  return check === 0;
+}
+
+var GSTIN_CHARSET = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+
+// The 15th character of a GSTIN is a base-36 checksum of the first 14.
+function gstinChecksum(gstin) {
+  var sum = 0;
+  for (var i = 0; i < 14; i++) {
+    var product = GSTIN_CHARSET.indexOf(gstin.charAt(i)) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return GSTIN_CHARSET.charAt((36 - (sum % 36)) % 36);
+}
+
+function parseAmount(value) {
+  if (typeof value === "number") return value;
+  var text = value.toString().replace(/[,\s]/g, "").replace(/^₹/, "");
+  return /^\d+(\.\d+)?$/.test(text) ? parseFloat(text) : NaN;
+}
+
+// Dates as the pages send them: DD/MM/YYYY (optionally with hh:mm[:ss]) or
+// YYYY-MM-DD from a date input. The day must exist in that month.
+function parseDateValue(value) {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+  var text = value.toString().trim();
+  var day, month, year;
+  var match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(\s+\d{1,2}:\d{2}(:\d{2})?)?$/);
+  if (match) {
+    day = +match[1]; month = +match[2]; year = +match[3];
+  } else {
+    match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match) return null;
+    year = +match[1]; month = +match[2]; day = +match[3];
+  }
+  var date = new Date(year, month - 1, day);
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+}
+
+// Each validator gets a non-empty cell value and returns an error message,
+// or "" when the value is fine.
+var VALIDATORS = {
+  aadhaar: function(value) {
+    var digits = value.toString().replace(/[\s-]/g, "");
+    if (!/^[2-9]\d{11}$/.test(digits)) return "Aadhaar must be 12 digits and cannot start with 0 or 1";
+    return verhoeffValid(digits) ? "" : "Aadhaar number is not valid (check digit mismatch)";
+  },
+  pan: function(value) {
+    return /^[A-Z]{3}[ABCFGHJLPT][A-Z]\d{4}[A-Z]$/.test(value.toString().trim().toUpperCase())
+      ? "" : "PAN must look like ABCDE1234F";
+  },
+  gstin: function(value) {
+    var gstin = value.toString().trim().toUpperCase();
+    if (!/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/.test(gstin)) return "GSTIN must be 15 characters like 22ABCDE1234F1Z5";
+    return gstinChecksum(gstin) === gstin.charAt(14) ? "" : "GSTIN is not valid (check character mismatch)";
+  },
+  ifsc: function(value) {
+    return /^[A-Z]{4}0[A-Z0-9]{6}$/.test(value.toString().trim().toUpperCase())
+      ? "" : "IFSC must be 11 characters like SBIN0001234";
+  },
+  mobile: function(value) {
+    var digits = value.toString().replace(/[\s-]/g, "").replace(/^(\+91|91|0)(?=\d{10}$)/, "");
+    return /^[6-9]\d{9}$/.test(digits) ? "" : "Enter a 10-digit Indian mobile number";
+  },
+  amount: function(value) {
+    var amount = parseAmount(value);
+    return !isNaN(amount) && amount > 0 ? "" : "Amount must be a number greater than 0";
+  },
+  nonNegativeAmount: function(value) {
+    var amount = parseAmount(value);
+    return !isNaN(amount) && amount >= 0 ? "" : "Amount must be a number, 0 or more";
+  },
+  date: function(value) {
+    return parseDateValue(value) ? "" : "Enter a valid date (DD/MM/YYYY)";
+  }
+};
+
+function getValidationRulesSheet() {
+  var ss = openSpreadsheet();
+  var sheet = ss.getSheetByName(VALIDATION_RULES_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(VALIDATION_RULES_SHEET_NAME);
+    var rows = [VALIDATION_RULES_HEADERS].concat(DEFAULT_VALIDATION_RULES);
+    sheet.getRange(1, 1, rows.length, VALIDATION_RULES_HEADERS.length).setValues(rows);
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+// Rules of one sheet by 1-based column: { column: { rule, required, message, header } }.
+// Rules naming a header the sheet does not have are skipped.
+function getValidationRules(sheet, sheetName) {
+  var rulesSheet = getValidationRulesSheet();
+  var lastRow = rulesSheet.getLastRow();
+  if (lastRow < 2) return {};
+  
+  var headers = sheet.getRange(getHeaderRow(sheetName), 1, 1, sheet.getLastColumn()).getValues()[0];
+  var rules = {};
+  rulesSheet.getRange(2, 1, lastRow - 1, VALIDATION_RULES_HEADERS.length).getValues().forEach(function(row) {
+    if (row[0].toString().trim() !== sheetName || !row[1]) return;
+    var rule = row[2].toString().trim();
+    if (rule && !VALIDATORS[rule]) {
+      console.warn("Unknown validation rule '" + rule + "' for " + row[1]);
+      return;
+    }
+    try {
+      rules[resolveHeaderColumn(headers, row[1].toString())] = {
+        header: row[1].toString(),
+        rule: rule,
+        required: row[3] === true || /^(true|yes|y|1)$/i.test(row[3].toString().trim()),
+        message: row[4].toString().trim()
+      };
+    } catch (error) {
+      console.warn("Validation rule skipped: " + error.message);
+    }
+  });
+  return rules;
+}
+
+// Check the cells about to be written against getValidationRules().
+// targets: [{ name, column, value }]. Returns null when all pass, otherwise
+// { <target name>: message }.
+function validateTargets(rules, targets) {
+  var fieldErrors = {};
+  var failed = false;
+  
+  targets.forEach(function(target) {
+    var rule = rules[target.column];
+    if (!rule) return;
+    var message = "";
+    if (isBlankCell(target.value)) {
+      if (rule.required) message = "This field is required";
+    } else if (rule.rule) {
+      message = VALIDATORS[rule.rule](target.value);
+    }
+    if (message) {
+      fieldErrors[target.name] = rule.message || message;
+      failed = true;
+    }
+  });
+  
+  return failed ? fieldErrors : null;
+}
+
+// Targets for a positional rowData array (insert / update), named by column letter.
+function rowDataTargets(rowData) {
+  var targets = [];
+  rowData.forEach(function(value, i) {
+    if (value !== null && value !== undefined) {
+      targets.push({ name: columnToLetter(i + 1), column: i + 1, value: value });
+    }
+  });
+  return targets;
+}
+
+function validationMessage(fieldErrors) {
+  return Object.keys(fieldErrors).map(function(name) {
+    return name + ": " + fieldErrors[name];
+  }).join("; ");
+}
+
+function validationResponse(fieldErrors) {
+  return ContentService.createTextOutput(JSON.stringify({
+    success: false,
+    validation: true,
+    error: "Validation failed: " + validationMessage(fieldErrors),
+    message: "Some fields are not valid. Correct them and save again.",
+    fieldErrors: fieldErrors
+  })).setMimeType(ContentService.MimeType.JSON);
+}
+
+// ---------------------------------------------------------------------------
+// Audit log
+//
+// Every insert, update and delete appends one row per changed cell to the
+// Audit_Log sheet. Rows are only ever appended, never edited or removed: the
+// sheet is not one of the DATA_SHEETS the generic actions write or fetch,
+// and it is protected so that only the script's owner can edit it by hand.
+// ---------------------------------------------------------------------------
+
+var AUDIT_SHEET_NAME = "Audit_Log";
+var AUDIT_HEADERS = ["Timestamp", "Username", "Action", "Sheet", "Enquiry Number", "Row", "Column", "Header", "Old Value", "New Value"];
+
+function getAuditSheet() {
+  var ss = openSpreadsheet();
+  var sheet = ss.getSheetByName(AUDIT_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(AUDIT_SHEET_NAME);
+    sheet.getRange(1, 1, 1, AUDIT_HEADERS.length).setValues([AUDIT_HEADERS]);
+    sheet.setFrozenRows(1);
+  }
+  protectAuditSheet(sheet);
+  return sheet;
+}
+
+// Let nobody but the owner, whom the web app runs as, edit the sheet.
+function protectAuditSheet(sheet) {
+  if (sheet.getProtections(SpreadsheetApp.ProtectionType.SHEET).length > 0) return;
+  var protection = sheet.protect().setDescription("Audit log, written by the script only");
+  protection.removeEditors(protection.getEditors());
+  if (protection.canDomainEdit()) protection.setDomainEdit(false);
+}
+
+// Start collecting the audit entries of one request, made by the signed-in
+// user (see authenticate).
+function newAudit(params, action, sheet, sheetName) {
+  var headerRow = getHeaderRow(sheetName);
+  var lastColumn = sheet.getLastColumn();
+  return {
+    timestamp: formatTimestamp(new Date()),
+    username: (params.username || "").toString().trim() || "unknown",
+    action: action,
+    sheetName: sheetName,
+    headers: lastColumn > 0 ? sheet.getRange(headerRow, 1, 1, lastColumn).getValues()[0] : [],
+    entries: []
+  };
+}
+
+function formatAuditValue(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return formatTimestamp(value);
+  return value.toString();
+}
+
+// Record one cell change. Cells whose value does not actually change are skipped.
+function auditChange(audit, enquiryNumber, rowIndex, column, oldValue, newValue) {
+  var oldText = formatAuditValue(oldValue);
+  var newText = formatAuditValue(newValue);
+  if (oldText === newText) return;
+  
+  audit.entries.push([
+    audit.timestamp,
+    audit.username,
+    audit.action,
+    audit.sheetName,
+    formatAuditValue(enquiryNumber),
+    rowIndex,
+    columnToLetter(column),
+    formatAuditValue(audit.headers[column - 1]),
+    oldText,
+    newText
+  ]);
+}
+
+// Record a whole-row change (delete/restore); values are JSON row snapshots.
+function auditRow(audit, enquiryNumber, rowIndex, oldValue, newValue) {
+  audit.entries.push([
+    audit.timestamp,
+    audit.username,
+    audit.action,
+    audit.sheetName,
+    formatAuditValue(enquiryNumber),
+    rowIndex,
+    "",
+    "(entire row)",
+    oldValue,
+    newValue
+  ]);
+}
+
+// Must be called while holding the script lock: the entries are written
+// after the sheet's last row.
+function writeAuditLog(audit) {
+  if (audit.entries.length === 0) return;
+  try {
+    var sheet = getAuditSheet();
+    sheet.getRange(sheet.getLastRow() + 1, 1, audit.entries.length, AUDIT_HEADERS.length).setValues(audit.entries);
+  } catch (error) {
+    // The data write already happened; don't report it as failed
+    console.error("Error writing audit log:", error);
+  }
+  recordDocumentVersions(audit);
+}
+
+// All audit entries for one enquiry, newest first, without those of cells the
+// signed-in user may not view. Whole-row entries of users who may not view
+// every cell lose their row snapshots.
+function fetchAuditLog(enquiryNumber, params) {
+  try {
+    var key = (enquiryNumber || "").toString().trim();
+    if (!key) {
+      throw new Error("Missing enquiryNumber for audit lookup");
+    }
+    requireEnquiryInScope(params, key);
+    
+    var sheet = getAuditSheet();
+    var lastRow = sheet.getLastRow();
+    var entries = [];
+    var hidden = deniedColumns(params, "FMS", "view");
+    var hidesCells = Object.keys(hidden).length > 0;
+    
+    if (lastRow > 1) {
+      var values = sheet.getRange(2, 1, lastRow - 1, AUDIT_HEADERS.length).getDisplayValues();
+      values.forEach(function(row) {
+        if (row[4].toString().trim() !== key) return;
+        if (row[3] === "master" && params.role !== "admin") return;
+        if (row[3] === "FMS" && row[6] && hidden[letterToColumn(row[6])]) return;
+        if (row[3] === "FMS" && !row[6] && hidesCells) {
+          row[8] = row[8] ? "(hidden)" : "";
+          row[9] = row[9] ? "(hidden)" : "";
+        }
+        entries.push({
+          timestamp: row[0],
+          username: row[1],
+          action: row[2],
+          sheetName: row[3],
+          enquiryNumber: row[4],
+          rowIndex: row[5],
+          column: row[6],
+          header: row[7],
+          oldValue: row[8],
+          newValue: row[9]
+        });
+      });
+    }
+    
+    entries.reverse();
+    
+    return ContentService.createTextOutput(JSON.stringify({
+      success: true,
+      enquiryNumber: key,
+      entries: entries
+    })).setMimeType(ContentService.MimeType.JSON);
+    
+  } catch (error) {
+    console.error("Error fetching audit log:", error);
+    return ContentService.createTextOutput(JSON.stringify({
+      success: false,
+      error: error.toString()
+    })).setMimeType(ContentService.MimeType.JSON);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Document versions
+//
+// Replacing an uploaded document only changes the link in its cell; the old
+// file stays in Drive. Whenever a write puts new document links in a cell of
+// an enquiry, they are appended to Document_Versions with who saved them, so
+// each document field keeps its list of versions. The links a cell held
+// before it was first replaced are recorded too, without uploader or time.
+// Which version is current is read from the cell itself.
+// ---------------------------------------------------------------------------
+
+var DOCUMENT_VERSIONS_SHEET_NAME = "Document_Versions";
+var DOCUMENT_VERSIONS_HEADERS = ["Recorded At", "Enquiry Number", "Sheet", "Column", "Header", "Version", "File URL", "Uploaded By"];
+
+function getDocumentVersionsSheet() {
+  var ss = openSpreadsheet();
+  var sheet = ss.getSheetByName(DOCUMENT_VERSIONS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(DOCUMENT_VERSIONS_SHEET_NAME);
+    sheet.getRange(1, 1, 1, DOCUMENT_VERSIONS_HEADERS.length).setValues([DOCUMENT_VERSIONS_HEADERS]);
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+// The links in a cell holding uploaded documents (one per line; [] when it
+// is empty), or null when it holds anything else.
+function documentLinks(text) {
+  var lines = text.toString().split(/\s*\n\s*/).filter(function(line) { return line; });
+  for (var i = 0; i < lines.length; i++) {
+    if (!/^https?:\/\/\S+$/.test(lines[i]) || !documentFileId(lines[i])) return null;
+  }
+  return lines;
+}
+
+function documentVersionKey(sheetName, enquiryNumber, header) {
+  return [sheetName, enquiryNumber.toString().trim(), normalizeHeader(header)].join("|");
+}
+
+// key -> { links, count } of the versions recorded so far
+function loadDocumentVersions(sheet) {
+  var versions = {};
+  var lastRow = sheet.getLastRow();
+  if (lastRow < 2) return versions;
+  
+  sheet.getRange(2, 1, lastRow - 1, DOCUMENT_VERSIONS_HEADERS.length).getValues().forEach(function(row) {
+    var key = documentVersionKey(row[2], row[1], row[4]);
+    var known = versions[key] || (versions[key] = { links: [], count: 0 });
+    known.links.push(row[6].toString());
+    known.count = Math.max(known.count, parseInt(row[5], 10) || 0);
+  });
+  return versions;
+}
+
+// Append the document links an audited write introduced. Called with the
+// audit of every write; like the audit log itself, a failure here is logged
+// and does not fail the write.
+function recordDocumentVersions(audit) {
+  try {
+    var sheet = null;
+    var versions = null;
+    var rows = [];
+    
+    audit.entries.forEach(function(entry) {
+      var enquiryNumber = entry[4];
+      var column = entry[6];
+      var header = entry[7];
+      // Whole-row entries (delete/restore) have no column
+      if (!enquiryNumber || !column) return;
+      
+      var newLinks = documentLinks(entry[9]);
+      if (!newLinks || newLinks.length === 0) return;
+      
+      if (!sheet) {
+        sheet = getDocumentVersionsSheet();
+        versions = loadDocumentVersions(sheet);
+      }
+      var key = documentVersionKey(audit.sheetName, enquiryNumber, header);
+      var known = versions[key] || (versions[key] = { links: [], count: 0 });
+      var add = function(link, recordedAt, uploadedBy) {
+        if (known.links.indexOf(link) !== -1) return;
+        known.links.push(link);
+        known.count++;
+        rows.push([recordedAt, enquiryNumber, audit.sheetName, column, header, known.count, link, uploadedBy]);
+      };
+      
+      if (known.count === 0) {
+        (documentLinks(entry[8]) || []).forEach(function(link) { add(link, "", ""); });
+      }
+      newLinks.forEach(function(link) { add(link, audit.timestamp, audit.username); });
+    });
+    
+    if (rows.length > 0) {
+      sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, DOCUMENT_VERSIONS_HEADERS.length).setValues(rows);
+    }
+  } catch (error) {
+    console.error("Error recording document versions:", error);
+  }
+}
+
+// The current links of each document field, from the enquiry's row.
+// field -> [links], keyed like documentVersionKey.
+function currentDocumentLinks(sheetName, enquiryNumber, fields) {
+  var current = {};
+  var sheet = openSpreadsheet().getSheetByName(sheetName);
+  var headerRow = getHeaderRow(sheetName);
+  var rowIndex = sheet ? findRowByEnquiryNumber(sheet, enquiryNumber, headerRow + 1) : -1;
+  if (rowIndex === -1) return current;
+  
+  var headers = sheet.getRange(headerRow, 1, 1, sheet.getLastColumn()).getValues()[0];
+  var values = sheet.getRange(rowIndex, 1, 1, sheet.getLastColumn()).getValues()[0];
+  fields.forEach(function(field) {
+    try {
+      var column = resolveHeaderColumn(headers, field.header + "@" + field.column);
+      current[documentVersionKey(sheetName, enquiryNumber, field.header)] = documentLinks(values[column - 1]) || [];
+    } catch (error) {
+      // The column was removed; none of its versions is current
+    }
+  });
+  return current;
+}
+
+// Every document field of an enquiry with its versions, oldest first:
+// { documents: [{ sheetName, column, header, versions: [{ version, fileUrl,
+// recordedAt, uploadedBy, current }] }] }. recordedAt and uploadedBy are ""
+// for versions uploaded before the field was first replaced. Fields of stages
+// the signed-in user may not view are left out.
+function fetchDocumentVersions(enquiryNumber, params) {
+  try {
+    var key = (enquiryNumber || "").toString().trim();
+    if (!key) {
+      throw new Error("Missing enquiryNumber for document versions lookup");
+    }
+    requireEnquiryInScope(params, key);
+    
+    var sheet = getDocumentVersionsSheet();
+    var lastRow = sheet.getLastRow();
+    var documents = [];
+    var byKey = {};
+    var hidden = deniedColumns(params, "FMS", "view");
+    
+    if (lastRow > 1) {
+      sheet.getRange(2, 1, lastRow - 1, DOCUMENT_VERSIONS_HEADERS.length).getDisplayValues().forEach(function(row) {
+        if (row[1].toString().trim() !== key) return;
+        if (row[2] === "FMS" && hidden[letterToColumn(row[3])]) return;
+        var fieldKey = documentVersionKey(row[2], key, row[4]);
+        var document = byKey[fieldKey];
+        if (!document) {
+          document = byKey[fieldKey] = { sheetName: row[2], column: row[3], header: row[4], versions: [] };
+          documents.push(document);
+        }
+        document.column = row[3];
+        document.versions.push({
+          version: parseInt(row[5], 10) || document.versions.length + 1,
+          fileUrl: row[6],
+          recordedAt: row[0],
+          uploadedBy: row[7]
+        });
+      });
+    }
+    
+    var sheetNames = {};
+    documents.forEach(function(document) {
+      (sheetNames[document.sheetName] = sheetNames[document.sheetName] || []).push(document);
+    });
+    Object.keys(sheetNames).forEach(function(sheetName) {
+      var current = currentDocumentLinks(sheetName, key, sheetNames[sheetName]);
+      sheetNames[sheetName].forEach(function(document) {
+        var links = current[documentVersionKey(sheetName, key, document.header)] || [];
+        document.versions.forEach(function(version) {
+          version.current = links.indexOf(version.fileUrl) !== -1;
+        });
+      });
+    });
+    
+    return ContentService.createTextOutput(JSON.stringify({
+      success: true,
+      enquiryNumber: key,
+      documents: documents
+    })).setMimeType(ContentService.MimeType.JSON);
+    
+  } catch (error) {
+    console.error("Error fetching document versions:", error);
+    return ContentService.createTextOutput(JSON.stringify({
+      success: false,
+      error: error.toString()
+    })).setMimeType(ContentService.MimeType.JSON);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Archive (recycle bin)
+//
+// Deleting a row of a keyed sheet moves it to FMS_Archive instead of
+// destroying it. Each archived row starts with who/when/where columns,
+// followed by the R1C1 formulas of the row (JSON) and its values, so a
+// restore can put back formula cells as formulas.
+// ---------------------------------------------------------------------------
+
+var ARCHIVE_SHEET_NAME = "FMS_Archive";
+var ARCHIVE_META_HEADERS = ["Deleted At", "Deleted By", "Source Sheet", "Source Row", "Enquiry Number", "Formulas"];
+
+function getArchiveSheet() {
+  var ss = openSpreadsheet();
+  var sheet = ss.getSheetByName(ARCHIVE_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(ARCHIVE_SHEET_NAME);
+    var fms = ss.getSheetByName("FMS");
+    var headers = fms ? fms.getRange(getHeaderRow("FMS"), 1, 1, fms.getLastColumn()).getValues()[0] : [];
+    var allHeaders = ARCHIVE_META_HEADERS.concat(headers);
+    sheet.getRange(1, 1, 1, allHeaders.length).setValues([allHeaders]);
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+// Move one row into the archive and remove it from its sheet.
+// Must be called while holding the script lock.
+function archiveRow(sheet, sheetName, rowIndex, username) {
+  var range = sheet.getRange(rowIndex, 1, 1, sheet.getLastColumn());
+  var values = range.getValues()[0];
+  var formulas = {};
+  range.getFormulasR1C1()[0].forEach(function(formula, i) {
+    if (formula) formulas[i + 1] = formula;
+  });
+  
+  var archive = getArchiveSheet();
+  var archived = [
+    formatTimestamp(new Date()),
+    username,
+    sheetName,
+    rowIndex,
+    values[1],
+    JSON.stringify(formulas)
+  ].concat(values);
+  archive.getRange(archive.getLastRow() + 1, 1, 1, archived.length).setValues([archived]);
+  
+  sheet.deleteRow(rowIndex);
+  return values;
+}
+
+// Find an archived row, checking that it still holds the expected enquiry.
+function resolveArchivedRow(archive, archiveRowParam, enquiryNumber) {
+  var archiveRow = parseInt(archiveRowParam);
+  var key = (enquiryNumber || "").toString().trim();
+  if (isNaN(archiveRow) || archiveRow < 2 || archiveRow > archive.getLastRow()) {
+    throw new Error("Invalid archive row: " + archiveRowParam);
+  }
+  var stored = archive.getRange(archiveRow, 5).getValue().toString().trim();
+  if (!key || stored !== key) {
+    throw new Error("Archive row " + archiveRow + " no longer holds enquiry " + key + ". Reload the recycle bin and try again.");
+  }
+  return archiveRow;
+}
+
+// Everything currently in the archive, newest first.
+function fetchArchive(params) {
+  try {
+    requirePermission(params, "enquiry", "delete");
+    var archive = getArchiveSheet();
+    var lastRow = archive.getLastRow();
+    var lastColumn = archive.getLastColumn();
+    var metaCount = ARCHIVE_META_HEADERS.length;
+    var headers = archive.getRange(1, 1, 1, lastColumn).getDisplayValues()[0].slice(metaCount);
+    var rows = [];
+    
+    if (lastRow > 1) {
+      var values = archive.getRange(2, 1, lastRow - 1, lastColumn).getDisplayValues();
+      var inScope = archivedScopeTest(params, archive);
+      values.forEach(function(row, i) {
+        if (inScope && !inScope(row)) return;
+        rows.push({
+          archiveRow: i + 2,
+          deletedAt: row[0],
+          deletedBy: row[1],
+          sourceSheet: row[2],
+          sourceRow: row[3],
+          enquiryNumber: row[4],
+          values: row.slice(metaCount)
+        });
+      });
+    }
+    
+    rows.reverse();
+    
+    return ContentService.createTextOutput(JSON.stringify({
+      success: true,
+      headers: headers,
+      rows: rows
+    })).setMimeType(ContentService.MimeType.JSON);
+    
+  } catch (error) {
+    console.error("Error fetching archive:", error);
+    return ContentService.createTextOutput(JSON.stringify({
+      success: false,
+      error: error.toString()
+    })).setMimeType(ContentService.MimeType.JSON);
+  }
+}
+
+// Put an archived row back at the end of its source sheet. Refused when the
+// enquiry number has been reused in the meantime.
+function restoreArchivedRow(params) {
+  try {
+    requirePermission(params, "enquiry", "delete");
+    var ss = openSpreadsheet();
+    var archive = getArchiveSheet();
+    
+    var lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    var restoredRow;
+    var sheetName;
+    
+    try {
+      var archiveRow = resolveArchivedRow(archive, params.archiveRow, params.enquiryNumber);
+      requireArchivedRowInScope(params, archive, archiveRow);
+      var archived = archive.getRange(archiveRow, 1, 1, archive.getLastColumn()).getValues()[0];
+      var metaCount = ARCHIVE_META_HEADERS.length;
+      var enquiryNumber = archived[4].toString().trim();
+      sheetName = archived[2].toString();
+      
+      var sheet = ss.getSheetByName(sheetName);
+      if (!sheet || !DATA_SHEETS[sheetName]) {
+        throw new Error("Sheet not found: " + sheetName);
+      }
+      if (KEYED_SHEETS[sheetName] && findRowByEnquiryNumber(sheet, enquiryNumber, getHeaderRow(sheetName) + 1) !== -1) {
+        throw new Error("Enquiry " + enquiryNumber + " already exists in " + sheetName + "; cannot restore a duplicate.");
+      }
+      
+      var values = archived.slice(metaCount);
+      while (values.length > 0 && values[values.length - 1] === "") {
+        values.pop();
+      }
+      var formulas = JSON.parse(archived[5] || "{}");
+      
+      restoredRow = sheet.getLastRow() + 1;
+      if (values.length > 0) {
+        sheet.getRange(restoredRow, 1, 1, values.length).setValues([values]);
+      }
+      Object.keys(formulas).forEach(function(column) {
+        sheet.getRange(restoredRow, parseInt(column)).setFormulaR1C1(formulas[column]);
+      });
+      touchRow(sheet, sheetName, restoredRow);
+      
+      archive.deleteRow(archiveRow);
+      SpreadsheetApp.flush();
+      
+      var audit = newAudit(params, "restoreRow", sheet, sheetName);
+      auditRow(audit, enquiryNumber, restoredRow, "", JSON.stringify(values.map(formatAuditValue)));
+      writeAuditLog(audit);
+    } finally {
+      lock.releaseLock();
+    }
+    
+    return ContentService.createTextOutput(JSON.stringify({
+      success: true,
+      message: "Row restored successfully",
+      sheetName: sheetName,
+      rowIndex: restoredRow,
+      enquiryNumber: params.enquiryNumber
+    })).setMimeType(ContentService.MimeType.JSON);
+    
+  } catch (error) {
+    console.error("Error restoring row:", error);
+    return ContentService.createTextOutput(JSON.stringify({
+      success: false,
+      error: error.toString()
+    })).setMimeType(ContentService.MimeType.JSON);
+  }
+}
+
+// Permanently remove a row from the archive.
+function purgeArchivedRow(params) {
+  try {
+    requirePermission(params, "enquiry", "delete");
+    var archive = getArchiveSheet();
+    
+    var lock = LockService.getScriptLock();
+    lock.waitLock(30000);
+    
+    try {
+      var archiveRow = resolveArchivedRow(archive, params.archiveRow, params.enquiryNumber);
+      requireArchivedRowInScope(params, archive, archiveRow);
+      var archived = archive.getRange(archiveRow, 1, 1, archive.getLastColumn()).getValues()[0];
+      
+      archive.deleteRow(archiveRow);
+      
+      var audit = newAudit(params, "purgeRow", archive, ARCHIVE_SHEET_NAME);
+      auditRow(audit, archived[4], archiveRow, JSON.stringify(archived.slice(ARCHIVE_META_HEADERS.length).map(formatAuditValue)), "");
+      writeAuditLog(audit);
+    } finally {
+      lock.releaseLock();
+    }
+    
+    return ContentService.createTextOutput(JSON.stringify({
+      success: true,
+      message: "Row purged permanently",
+      enquiryNumber: params.enquiryNumber
+    })).setMimeType(ContentService.MimeType.JSON);
+    
+  } catch (error) {
+    console.error("Error purging row:", error);
+    return ContentService.createTextOutput(JSON.stringify({
+      success: false,
+      error: error.toString()
+    })).setMimeType(ContentService.MimeType.JSON);
+  }
+}
+
 function setCorsHeaders(response) {
   response.setHeader('Access-Control-Allow-Origin', '*');
   response.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
@@ -30,4 +30,16 @@ export default [
       ],
     },
   },
+  {
+    files: ['local-backend/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
+  {
+    files: ['server.js', 'server.test.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ]
@@ -0,0 +1,454 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import vm from "node:vm";
+import { Workbook } from "./workbook.js";
+
+// Runs apps-script-complete.gs unchanged inside a Node VM, with the Apps
+// Script services it calls (SpreadsheetApp, DriveApp, LockService,
+// CacheService, PropertiesService, ContentService, Utilities, Maps) backed by
+// local storage: one workbook per spreadsheet ID in a store (see stores/),
+// script properties in a JSON file, and uploaded files as
+//   <uploadsDir>/<fileId>            file contents
+//   <uploadsDir>/<fileId>.json       its name, MIME type and folder
+//   <uploadsDir>/folders.json        folders the script created: name and parent
+// doGet / doPost therefore answer with exactly what the deployed script
+// would, including the { table: { rows: [{ c: [{ v, f }] }] } } fetch shape.
+
+const toSignedBytes = (buffer) => Array.from(buffer, (byte) => (byte > 127 ? byte - 256 : byte));
+
+function createBlob(data, contentType, name) {
+  let bytes = Array.isArray(data) ? data : toSignedBytes(Buffer.from((data || "").toString(), "utf8"));
+  const blob = {
+    getBytes: () => bytes.slice(),
+    setBytes: (next) => {
+      bytes = next;
+      return blob;
+    },
+    getDataAsString: () => Buffer.from(bytes).toString("utf8"),
+    getContentType: () => contentType || "application/octet-stream",
+    setContentType: (next) => {
+      contentType = next;
+      return blob;
+    },
+    getName: () => name || null,
+    setName: (next) => {
+      name = next;
+      return blob;
+    },
+    copyBlob: () => createBlob(bytes.slice(), contentType, name),
+  };
+  return blob;
+}
+
+function createUtilities() {
+  const algorithms = { MD2: "md2", MD5: "md5", SHA_1: "sha1", SHA_256: "sha256", SHA_384: "sha384", SHA_512: "sha512" };
+  const digestInput = (value) => (Array.isArray(value) ? Buffer.from(value) : Buffer.from(value.toString(), "utf8"));
+
+  return {
+    DigestAlgorithm: Object.fromEntries(Object.keys(algorithms).map((key) => [key, key])),
+    computeDigest: (algorithm, value) =>
+      toSignedBytes(crypto.createHash(algorithms[algorithm]).update(digestInput(value)).digest()),
+    computeHmacSha256Signature: (value, key) =>
+      toSignedBytes(crypto.createHmac("sha256", digestInput(key)).update(digestInput(value)).digest()),
+    base64Encode: (data) => digestInput(data).toString("base64"),
+    base64EncodeWebSafe: (data) => digestInput(data).toString("base64").replace(/\+/g, "-").replace(/\//g, "_"),
+    base64Decode: (encoded) => toSignedBytes(Buffer.from(encoded, "base64")),
+    base64DecodeWebSafe: (encoded) => toSignedBytes(Buffer.from(encoded, "base64url")),
+    newBlob: createBlob,
+    getUuid: () => crypto.randomUUID(),
+    sleep: () => {},
+  };
+}
+
+// Script properties, kept in a JSON file so that what the script stores there
+// (e.g. signing keys) survives a restart.
+function createPropertiesService(propertiesFile) {
+  const read = () => (fs.existsSync(propertiesFile) ? JSON.parse(fs.readFileSync(propertiesFile, "utf8")) : {});
+  const write = (properties) => {
+    fs.mkdirSync(path.dirname(propertiesFile), { recursive: true });
+    fs.writeFileSync(propertiesFile, JSON.stringify(properties, null, 2));
+  };
+  const properties = {
+    getProperty: (key) => (key in read() ? read()[key] : null),
+    getProperties: () => read(),
+    setProperty: (key, value) => {
+      write({ ...read(), [key]: String(value) });
+      return properties;
+    },
+    deleteProperty: (key) => {
+      const next = read();
+      delete next[key];
+      write(next);
+      return properties;
+    },
+  };
+  return { getScriptProperties: () => properties };
+}
+
+// Drive-style iterator over a list.
+function createIterator(items) {
+  let next = 0;
+  return { hasNext: () => next < items.length, next: () => items[next++] };
+}
+
+function createDriveApp(uploadsDir, fileUrl, folderUrl) {
+  const metaFile = (fileId) => path.join(uploadsDir, `${fileId}.json`);
+  const foldersFile = path.join(uploadsDir, "folders.json");
+
+  const readFolders = () => (fs.existsSync(foldersFile) ? JSON.parse(fs.readFileSync(foldersFile, "utf8")) : {});
+  const writeFolders = (folders) => {
+    fs.mkdirSync(uploadsDir, { recursive: true });
+    fs.writeFileSync(foldersFile, JSON.stringify(folders, null, 2));
+  };
+
+  const listFiles = (folderId) =>
+    (fs.existsSync(uploadsDir) ? fs.readdirSync(uploadsDir) : [])
+      .filter((name) => name.endsWith(".json") && name !== "folders.json")
+      .map((name) => [name.slice(0, -".json".length), JSON.parse(fs.readFileSync(path.join(uploadsDir, name), "utf8"))])
+      .filter(([, meta]) => meta.folderId === folderId)
+      .map(([fileId, meta]) => wrapFile(fileId, meta));
+
+  const childFolders = (parentId, matches) => {
+    const folders = readFolders();
+    return Object.keys(folders)
+      .filter((id) => folders[id].parentId === parentId && matches(folders[id]))
+      .map(wrapFolder);
+  };
+
+  const createFolder = (parentId, name) => {
+    const folders = readFolders();
+    const folderId = crypto.randomBytes(18).toString("base64url");
+    folders[folderId] = { name, parentId, createdAt: new Date().toISOString() };
+    writeFolders(folders);
+    return wrapFolder(folderId);
+  };
+
+  // Any ID is accepted as a folder, so the root folder IDs in the app's
+  // config work without setup; folders the script creates are recorded.
+  const wrapFolder = (folderId) => ({
+    getId: () => folderId,
+    getName: () => (readFolders()[folderId] || { name: folderId }).name,
+    setName(name) {
+      const folders = readFolders();
+      folders[folderId] = { ...(folders[folderId] || {}), name };
+      writeFolders(folders);
+      return this;
+    },
+    getUrl: () => folderUrl(folderId),
+    isTrashed: () => false,
+    createFile: (blob) => createFile(folderId, blob),
+    createFolder: (name) => createFolder(folderId, name),
+    getParents: () => {
+      const parentId = (readFolders()[folderId] || {}).parentId;
+      return createIterator(parentId ? [wrapFolder(parentId)] : []);
+    },
+    getFolders: () => createIterator(childFolders(folderId, () => true)),
+    getFoldersByName: (name) => createIterator(childFolders(folderId, (folder) => folder.name === name)),
+    getFiles: () => createIterator(listFiles(folderId)),
+  });
+
+  const createFile = (folderId, blob) => {
+    const fileId = crypto.randomBytes(18).toString("base64url");
+    const meta = {
+      name: blob.getName() || "Untitled",
+      mimeType: blob.getContentType(),
+      folderId,
+      createdAt: new Date().toISOString(),
+    };
+    fs.mkdirSync(uploadsDir, { recursive: true });
+    fs.writeFileSync(path.join(uploadsDir, fileId), Buffer.from(blob.getBytes()));
+    fs.writeFileSync(metaFile(fileId), JSON.stringify(meta));
+    return wrapFile(fileId, meta);
+  };
+
+  const wrapFile = (fileId, meta) => ({
+    getId: () => fileId,
+    getName: () => meta.name,
+    getMimeType: () => meta.mimeType,
+    getUrl: () => fileUrl(fileId),
+    getDownloadUrl: () => fileUrl(fileId),
+    getBlob: () => createBlob(toSignedBytes(fs.readFileSync(path.join(uploadsDir, fileId))), meta.mimeType, meta.name),
+    getSize: () => fs.statSync(path.join(uploadsDir, fileId)).size,
+    setSharing() {
+      return this;
+    },
+    // There is no trash to restore from: trashed files are deleted.
+    setTrashed(trashed) {
+      if (trashed) {
+        fs.rmSync(path.join(uploadsDir, fileId), { force: true });
+        fs.rmSync(metaFile(fileId), { force: true });
+      }
+      return this;
+    },
+  });
+
+  return {
+    Access: { ANYONE: "ANYONE", ANYONE_WITH_LINK: "ANYONE_WITH_LINK", DOMAIN: "DOMAIN", PRIVATE: "PRIVATE" },
+    Permission: { VIEW: "VIEW", EDIT: "EDIT", COMMENT: "COMMENT", NONE: "NONE" },
+    getFolderById: (folderId) => {
+      if (!/^[\w-]+$/.test(folderId)) {
+        throw new Error(`No item with the given ID could be found: ${folderId}`);
+      }
+      return wrapFolder(folderId);
+    },
+    getFileById: (fileId) => {
+      if (!/^[\w-]+$/.test(fileId) || !fs.existsSync(metaFile(fileId))) {
+        throw new Error(`No item with the given ID could be found: ${fileId}`);
+      }
+      return wrapFile(fileId, JSON.parse(fs.readFileSync(metaFile(fileId), "utf8")));
+    },
+  };
+}
+
+function createContentService() {
+  const MimeType = {
+    ATOM: "application/atom+xml",
+    CSV: "text/csv",
+    ICAL: "text/calendar",
+    JAVASCRIPT: "application/javascript",
+    JSON: "application/json",
+    RSS: "application/rss+xml",
+    TEXT: "text/plain",
+    VCARD: "text/vcard",
+    XML: "application/xml",
+  };
+
+  return {
+    MimeType,
+    createTextOutput: (content = "") => {
+      const output = {
+        content: content.toString(),
+        mimeType: MimeType.TEXT,
+        headers: {},
+        getContent: () => output.content,
+        setContent: (next) => {
+          output.content = next.toString();
+          return output;
+        },
+        append: (more) => {
+          output.content += more.toString();
+          return output;
+        },
+        getMimeType: () => output.mimeType,
+        setMimeType: (mimeType) => {
+          output.mimeType = mimeType;
+          return output;
+        },
+        // Not part of ContentService, but doOptions calls it
+        setHeader: (name, value) => {
+          output.headers[name] = value;
+          return output;
+        },
+      };
+      return output;
+    },
+  };
+}
+
+// In-memory caches that forget everything when the server restarts, which
+// the script has to cope with anyway since Apps Script may evict entries.
+function createCacheService() {
+  const createCache = () => {
+    const entries = new Map();
+    const live = (key) => {
+      const entry = entries.get(key);
+      if (entry && entry.expires < Date.now()) entries.delete(key);
+      return entries.get(key);
+    };
+    return {
+      get: (key) => (live(key) ? live(key).value : null),
+      put: (key, value, seconds = 600) => {
+        entries.set(key, { value: value.toString(), expires: Date.now() + Math.min(seconds, 21600) * 1000 });
+      },
+      remove: (key) => {
+        entries.delete(key);
+      },
+    };
+  };
+  const scriptCache = createCache();
+  const documentCache = createCache();
+  const userCache = createCache();
+  return {
+    getScriptCache: () => scriptCache,
+    getDocumentCache: () => documentCache,
+    getUserCache: () => userCache,
+  };
+}
+
+// A lock that is always free: every call runs to completion on Node's single
+// thread before the next one starts, so script calls never overlap.
+function createLockService() {
+  const lock = {
+    waitLock: () => {},
+    tryLock: () => true,
+    hasLock: () => true,
+    releaseLock: () => {},
+  };
+  return { getScriptLock: () => lock, getDocumentLock: () => lock, getUserLock: () => lock };
+}
+
+// Load the script into a fresh VM context.
+//   scriptFile   path of apps-script-complete.gs
+//   openStore    (spreadsheetId) => store holding that spreadsheet's workbook
+//   uploadsDir   directory holding uploaded files
+//   fileUrl      (fileId) => URL the browser can open an uploaded file at
+//   folderUrl    (folderId) => URL listing a folder's contents
+//   propertiesFile  JSON file holding the script properties
+//   seed         (workbook) => void, fills a workbook opened for the first time
+//   verbose      pass the script's console.log output through
+export function createAppsScriptRuntime({
+  scriptFile,
+  openStore,
+  uploadsDir,
+  fileUrl,
+  folderUrl = (folderId) => folderId,
+  propertiesFile = path.join(uploadsDir, "..", "properties.json"),
+  seed,
+  verbose = false,
+}) {
+  const workbooks = new Map();
+  const context = vm.createContext({
+    console: { ...console, log: verbose ? console.log : () => {} },
+  });
+  const ScriptDate = vm.runInContext("Date", context);
+
+  const openById = (spreadsheetId) => {
+    if (!/^[\w-]+$/.test(spreadsheetId)) {
+      throw new Error(`Invalid spreadsheet ID: ${spreadsheetId}`);
+    }
+    if (!workbooks.has(spreadsheetId)) {
+      const workbook = new Workbook(openStore(spreadsheetId), ScriptDate);
+      if (seed && workbook.getSheets().length === 0) seed(workbook);
+      workbooks.set(spreadsheetId, workbook);
+    }
+    return workbooks.get(spreadsheetId);
+  };
+
+  Object.assign(context, {
+    SpreadsheetApp: { openById, flush: () => {}, ProtectionType: { RANGE: "RANGE", SHEET: "SHEET" } },
+    DriveApp: createDriveApp(uploadsDir, fileUrl, folderUrl),
+    ContentService: createContentService(),
+    LockService: createLockService(),
+    CacheService: createCacheService(),
+    PropertiesService: createPropertiesService(propertiesFile),
+    Utilities: createUtilities(),
+    // No geocoding offline: places stay unlocated until their coordinates are
+    // typed into the Place_Locations sheet.
+    Maps: {
+      newGeocoder: () => ({
+        setRegion() {
+          return this;
+        },
+        geocode: () => ({ status: "ZERO_RESULTS", results: [] }),
+      }),
+    },
+    Session: {
+      getScriptTimeZone: () => Intl.DateTimeFormat().resolvedOptions().timeZone,
+      getActiveUser: () => ({ getEmail: () => "" }),
+    },
+  });
+  vm.runInContext(fs.readFileSync(scriptFile, "utf8"), context, { filename: path.basename(scriptFile) });
+
+  // Links returned for uploads point at the local server instead of Drive
+  context.DRIVE_VIEW_URL = fileUrl("");
+
+  // Run one entry point and write back whatever it changed, even if it threw.
+  const run = (entryPoint, event) => {
+    try {
+      return context[entryPoint](event);
+    } finally {
+      workbooks.forEach((workbook) => workbook.save());
+    }
+  };
+
+  return {
+    openById,
+    // `parameters` maps each name to all of its values, like e.parameters.
+    doGet: (parameters) => run("doGet", toEvent(parameters)),
+    doPost: (parameters, postData) => run("doPost", { ...toEvent(parameters), postData }),
+    // { username, role, expires, mustChangePassword } of a valid session
+    // token (see "Sessions" in the script), or null.
+    session: (token) => context.readSession(token),
+    // Sheets the fetch action serves; the script's own (master with its
+    // passwords, Audit_Log, FMS_Archive, ...) are not among them.
+    isDataSheet: (sheetName) => context.DATA_SHEETS[sheetName] === true,
+    // Sheet row (1-based) holding the headers of sheetName.
+    headerRow: (sheetName) => context.getHeaderRow(sheetName),
+    // { column number: stage } of the cells of sheetName the holder of a
+    // session token may not view (see "Permissions" in the script).
+    hiddenColumns: (token, sheetName) => {
+      const session = context.readSession(token);
+      return session ? context.deniedColumns({ role: session.role }, sheetName, "view") : {};
+    },
+    // Function telling whether a data row of sheetName (given its header
+    // row) is in the data scope of a session token, or null when every row
+    // is; `scope` is the JSON an admin may send to narrow theirs (see "Data
+    // scope" in the script).
+    scopeTest: (token, sheetName, headers, scope) => {
+      const session = context.readSession(token);
+      if (!session) return () => false;
+      if (sheetName !== "FMS") return null;
+      return context.scopeTest({ role: session.role, session, scope }, headers);
+    },
+    // Throw unless the holder of a session token may open an uploaded file,
+    // with the checks of the script's document action (see "Document access").
+    requireDocumentAccess: (token, fileId) => {
+      const session = context.readSession(token);
+      if (!session) throw new Error("Not signed in");
+      context.requireDocumentAccess({ username: session.username, role: session.role, session }, fileId);
+    },
+    // Throw unless a folder is an enquiry's document folder, or one of its
+    // stage folders, and the enquiry is in the token holder's data scope.
+    requireFolderAccess: (token, folderId, scope) => {
+      const session = context.readSession(token);
+      if (!session) throw new Error("Not signed in");
+      const sheet = context.getDocumentFoldersSheet();
+      const enquiries = new Map(
+        sheet.getLastRow() < 2
+          ? []
+          : sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getValues().map(([enquiry, id]) => [id.toString(), enquiry]),
+      );
+      let folder = context.DriveApp.getFolderById(folderId);
+      while (folder) {
+        if (enquiries.has(folder.getId())) {
+          context.requireEnquiryInScope({ username: session.username, role: session.role, session, scope }, enquiries.get(folder.getId()));
+          return;
+        }
+        const parents = folder.getParents();
+        folder = parents.hasNext() ? parents.next() : null;
+      }
+      throw new Error(`Not a document folder of an enquiry: ${folderId}`);
+    },
+    uploadedFile: (fileId) => {
+      const file = context.DriveApp.getFileById(fileId);
+      return { name: file.getName(), mimeType: file.getMimeType(), path: path.join(uploadsDir, fileId) };
+    },
+    // { name, folders: [{ id, name }], files: [{ id, name }] } of one folder.
+    folderContents: (folderId) => {
+      const folder = context.DriveApp.getFolderById(folderId);
+      const collect = (iterator) => {
+        const items = [];
+        while (iterator.hasNext()) {
+          const item = iterator.next();
+          items.push({ id: item.getId(), name: item.getName() });
+        }
+        return items;
+      };
+      return { name: folder.getName(), folders: collect(folder.getFolders()), files: collect(folder.getFiles()) };
+    },
+  };
+}
+
+function toEvent(parameters) {
+  const parameter = {};
+  Object.entries(parameters).forEach(([name, values]) => {
+    parameter[name] = values[0];
+  });
+  return {
+    parameter,
+    parameters,
+    queryString: new URLSearchParams(Object.entries(parameter)).toString(),
+    contentLength: -1,
+  };
+}
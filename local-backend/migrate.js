@@ -0,0 +1,141 @@
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import { PROFILES } from "../src/lib/config.js";
+import { storeFactory } from "./stores/index.js";
+
+// Copy the app's sheets out of the deployed Apps Script into a local store,
+// by default the SQLite one:
+//
+//   npm run migrate -- --username <user> --password <password>
+//                      [--profile production|staging] [--from <web app URL>]
+//                      [--store sqlite|json] [--spreadsheet <id>]
+//                      [--data-dir <dir>]
+//
+// --from and --spreadsheet default to those of the config profile (see
+// src/lib/config.js, and config.staging.json for staging); APPS_SCRIPT_URL
+// overrides the profile's web app.
+//
+// It signs in as that user (or APPS_SCRIPT_USERNAME / APPS_SCRIPT_PASSWORD),
+// who must be an admin: the fetch action leaves out the cells and rows other
+// users may not see, which would make an incomplete copy.
+// Each sheet is read with ?sheet=<name>&action=fetch and replaces the sheet
+// of the same name in the target, which the local backend then serves (start
+// it with the same LOCAL_BACKEND_STORE). Other sheets in the target are left
+// alone. Cell values are copied; formulas and formatting are not. master,
+// the users, comes from the admin-only exportUsers action, which hashes any
+// plain-text password before answering, so the target gets the deployed
+// users with their password hashes in place of its own (sign in to the local
+// backend with the deployed app's accounts afterwards).
+
+const ROOT = path.dirname(fileURLToPath(import.meta.url));
+
+const SHEETS = ["FMS", "Drop-Down Value", "Inverter_id", "Energy analysis", "Weekly_Performance_Logs", "master"];
+
+// Apps Script sends dates as ISO strings; turn them back into dates.
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+
+function cellValue(cell) {
+  const value = cell ? cell.v : "";
+  if (value === null || value === undefined) return "";
+  return typeof value === "string" && ISO_DATE.test(value) ? new Date(value) : value;
+}
+
+async function login(sourceUrl, username, password) {
+  const response = await fetch(sourceUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({ action: "login", username, password }).toString(),
+  });
+  const result = await response.json();
+  if (!result.success) {
+    throw new Error(`Sign-in failed: ${result.error}`);
+  }
+  if (result.role !== "admin") {
+    throw new Error(`${username} is not an admin; sign in as one to copy every row and column`);
+  }
+  return result.token;
+}
+
+async function fetchSheet(sourceUrl, token, name) {
+  const response = await fetch(`${sourceUrl}?sheet=${encodeURIComponent(name)}&action=fetch&token=${encodeURIComponent(token)}`);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  const data = await response.json();
+  if (data.success === false) {
+    throw new Error(data.error || "fetch failed");
+  }
+  return data.table.rows.map((row) => (row.c || []).map(cellValue));
+}
+
+// master as [headers, ...rows], through the exportUsers action.
+async function fetchUsers(sourceUrl, token) {
+  const response = await fetch(`${sourceUrl}?action=exportUsers&token=${encodeURIComponent(token)}`);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  const data = await response.json();
+  if (!data.success) {
+    throw new Error(data.error || "exportUsers failed");
+  }
+  return [data.headers, ...data.rows.map((row) => row.map((value) => cellValue({ v: value })))];
+}
+
+async function main() {
+  const { values: options } = parseArgs({
+    options: {
+      profile: { type: "string", default: "production" },
+      from: { type: "string" },
+      store: { type: "string", default: "sqlite" },
+      // The local backend stores the workbook under the spreadsheet's ID
+      spreadsheet: { type: "string" },
+      "data-dir": { type: "string", default: process.env.LOCAL_BACKEND_DATA_DIR || path.join(ROOT, "data") },
+      username: { type: "string", default: process.env.APPS_SCRIPT_USERNAME || "" },
+      password: { type: "string", default: process.env.APPS_SCRIPT_PASSWORD || "" },
+    },
+  });
+  if (!options.username || !options.password) {
+    throw new Error("Pass --username and --password of an admin of the deployed app");
+  }
+  const profile = PROFILES[options.profile];
+  if (!profile) {
+    throw new Error(`Unknown profile ${options.profile}; use one of ${Object.keys(PROFILES).join(", ")}`);
+  }
+  options.from = options.from || process.env.APPS_SCRIPT_URL || profile.appsScriptUrl;
+  options.spreadsheet = options.spreadsheet || profile.spreadsheetId;
+  if (!options.from || !options.spreadsheet) {
+    throw new Error(`The ${options.profile} profile has no web app URL or spreadsheet ID; pass --from and --spreadsheet`);
+  }
+
+  // Before signing in, so a Node without node:sqlite fails straight away
+  const openStore = await storeFactory(options.store, options["data-dir"]);
+  const token = await login(options.from, options.username, options.password);
+
+  const store = openStore(options.spreadsheet);
+  const sheets = store.load(Date);
+
+  let failed = 0;
+  for (const name of SHEETS) {
+    try {
+      const rows = name === "master" ? await fetchUsers(options.from, token) : await fetchSheet(options.from, token, name);
+      const copied = { name, rows, formulas: {}, formats: {}, rebuilt: true };
+      const index = sheets.findIndex((sheet) => sheet.name === name);
+      if (index === -1) sheets.push(copied);
+      else sheets[index] = copied;
+      console.log(`${name}: ${rows.length} rows`);
+    } catch (error) {
+      failed++;
+      console.error(`${name}: not copied (${error.message})`);
+    }
+  }
+  store.save(sheets);
+
+  console.log(`Copied ${SHEETS.length - failed} of ${SHEETS.length} sheets into the ${options.store} store in ${options["data-dir"]}`);
+  if (failed > 0) process.exitCode = 1;
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
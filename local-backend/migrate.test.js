@@ -0,0 +1,91 @@
+import assert from "node:assert/strict";
+import { spawn, spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { PROFILES } from "../src/lib/config.js";
+
+// Migrates one local backend (standing in for the deployed script) into a
+// fresh JSON store, then signs in to a second backend serving that store.
+
+const ROOT = path.dirname(fileURLToPath(import.meta.url));
+const SOURCE_PORT = 18790;
+const TARGET_PORT = 18791;
+const SPREADSHEET_ID = PROFILES.production.spreadsheetId;
+
+const processes = [];
+let sourceDir;
+let targetDir;
+
+function startBackend(port, dataDir) {
+  const child = spawn(process.execPath, [path.join(ROOT, "server.js")], {
+    env: { ...process.env, LOCAL_BACKEND_PORT: String(port), LOCAL_BACKEND_DATA_DIR: dataDir },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  processes.push(child);
+  return new Promise((resolve, reject) => {
+    child.on("exit", (code) => reject(new Error(`The local backend exited with code ${code}`)));
+    child.stdout.on("data", (chunk) => {
+      if (chunk.toString().includes("running on")) resolve();
+    });
+  });
+}
+
+before(async () => {
+  sourceDir = fs.mkdtempSync(path.join(os.tmpdir(), "migrate-source-"));
+  targetDir = fs.mkdtempSync(path.join(os.tmpdir(), "migrate-target-"));
+  await startBackend(SOURCE_PORT, sourceDir);
+});
+
+after(() => {
+  processes.forEach((child) => child.kill());
+  fs.rmSync(sourceDir, { recursive: true, force: true });
+  fs.rmSync(targetDir, { recursive: true, force: true });
+});
+
+async function login(port, username, password) {
+  const response = await fetch(`http://localhost:${port}/exec`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({ action: "login", username, password }).toString(),
+  });
+  return response.json();
+}
+
+test("migrate copies master with password hashes only", async () => {
+  // Non-admins may not export the users
+  const installer = await login(SOURCE_PORT, "installer", "installer123");
+  const refused = await (await fetch(`http://localhost:${SOURCE_PORT}/exec?${new URLSearchParams({
+    action: "exportUsers",
+    token: installer.token,
+  })}`)).json();
+  assert.equal(refused.success, false);
+
+  // The seeded source has no Weekly_Performance_Logs, so migrate reports that
+  // sheet as not copied and exits 1; master is what this test is about
+  const migrated = spawnSync(process.execPath, [
+    path.join(ROOT, "migrate.js"),
+    "--from", `http://localhost:${SOURCE_PORT}/exec`,
+    "--spreadsheet", SPREADSHEET_ID,
+    "--store", "json",
+    "--data-dir", targetDir,
+    "--username", "admin",
+    "--password", "admin123",
+  ], { encoding: "utf8", timeout: 60000 });
+  assert.match(migrated.stdout, /^master: 4 rows$/m, migrated.stderr);
+
+  const { sheets } = JSON.parse(fs.readFileSync(path.join(targetDir, `${SPREADSHEET_ID}.json`), "utf8"));
+  const master = sheets.find((sheet) => sheet.name === "master");
+  assert.ok(master, "master was not copied");
+  const users = master.rows.slice(1).filter((row) => row[2]);
+  assert.deepEqual(users.map((row) => row[2]), ["admin", "user", "installer"]);
+  users.forEach((row) => assert.match(row[3], /^sha256\$/));
+
+  // The copied users sign in to a backend serving the migrated store
+  await startBackend(TARGET_PORT, targetDir);
+  const admin = await login(TARGET_PORT, "admin", "admin123");
+  assert.equal(admin.success, true, admin.error);
+  assert.equal(admin.role, "admin");
+});
@@ -0,0 +1,64 @@
+import { FMS_COLUMNS, FMS_HEADER_ROW_INDEX, columnToIndex } from "../src/lib/fmsSchema.js";
+
+// Starting content for an empty local workbook: the sheets the app reads on
+// every page, with just enough in them to sign in and work through a stage.
+
+const DROP_DOWN_COLUMNS = {
+  5: ["Status", "Completed", "Pending", "In Progress", "Rejected"],
+  6: ["Stage", "Order Received", "In Progress", "Completed", "Cancelled"],
+  7: ["Status", "Done", "Pending"],
+  8: ["Inverter Make", "Sungrow", "Growatt"],
+  9: ["Inverter Capacity", "3 kW", "5 kW"],
+  10: ["Module Make", "Waaree", "Adani"],
+  11: ["Module Capacity", "540 Wp", "550 Wp"],
+  12: ["Module Type", "Mono PERC", "Bifacial"],
+  13: ["Structure Make", "GI", "Aluminium"],
+  15: ["Phase", "Single Phase", "Three Phase"],
+};
+
+// master: one row per user (see "Sessions" and "User management" in the
+// script). What each role may do is in the Permissions sheet, which the
+// script fills with its defaults on first use.
+const USERS = [
+  ["Timestamp", "Name", "Username", "Password", "Role", "District", "Branch", "Status", "Last Login", "Password Reset", "Signed Out At", "Vendor"],
+  ["", "Administrator", "admin", "admin123", "admin", "", "", "Active", "", "", "", ""],
+  ["", "Field User", "user", "user123", "user", "", "", "Active", "", "", "", ""],
+  ["", "Installer", "installer", "installer123", "installer", "", "", "Active", "", "", "", ""],
+];
+
+function fmsRows() {
+  const headers = [];
+  Object.values(FMS_COLUMNS).forEach(({ column, header }) => {
+    headers[columnToIndex(column)] = header;
+  });
+  const rows = Array.from({ length: FMS_HEADER_ROW_INDEX }, () => []);
+  rows.push(Array.from(headers, (header) => header || ""));
+  return rows;
+}
+
+function dropDownRows() {
+  const rows = [];
+  Object.entries(DROP_DOWN_COLUMNS).forEach(([column, values]) => {
+    values.forEach((value, i) => {
+      rows[i] = rows[i] || [];
+      rows[i][column] = value;
+    });
+  });
+  return rows.map((row) => Array.from(row, (value) => value || ""));
+}
+
+// Fill a workbook that has no sheets yet.
+export function seedWorkbook(workbook) {
+  const sheets = {
+    FMS: fmsRows(),
+    master: USERS,
+    "Drop-Down Value": dropDownRows(),
+    "Energy analysis": [],
+    Inverter_id: [],
+  };
+  Object.entries(sheets).forEach(([name, rows]) => {
+    const sheet = workbook.insertSheet(name);
+    rows.forEach((row, r) => row.forEach((value, c) => value !== "" && sheet.setCell(r + 1, c + 1, value)));
+  });
+  workbook.save();
+}
@@ -0,0 +1,223 @@
+import cors from "cors";
+import express from "express";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { indexToColumn } from "../src/lib/fmsSchema.js";
+import { createAppsScriptRuntime } from "./appsScriptRuntime.js";
+import { seedWorkbook } from "./seed.js";
+import { storeFactory } from "./stores/index.js";
+
+// Local stand-in for the Apps Script web app, so the frontend can run with no
+// Google account or network access. Start it with `npm run backend:local`
+// and run the app with VITE_LOCAL_BACKEND_URL pointing at it (see
+// src/lib/localBackend.js).
+//
+//   GET/POST /exec                  the web app (doGet / doPost)
+//   GET /gviz/:spreadsheetId/tq     the sheets' gviz JSON endpoint
+//   GET /uploads/:fileId            files uploaded through uploadFile
+//   GET /folders/:folderId          a document folder's subfolders and files
+//
+// Like the web app, every route needs the session token the login action
+// hands out, as ?token= or an "Authorization: Bearer" header. /exec leaves
+// the check to the script; the others check it here, and /uploads and
+// /folders also apply the script's document access checks (role, stage and
+// data scope).
+//
+// LOCAL_BACKEND_STORE picks where the sheets are kept: "json" (default) or
+// "sqlite" (see stores/).
+
+const ROOT = path.dirname(fileURLToPath(import.meta.url));
+const PORT = Number(process.env.LOCAL_BACKEND_PORT) || 8787;
+const PUBLIC_URL = process.env.LOCAL_BACKEND_PUBLIC_URL || `http://localhost:${PORT}`;
+const DATA_DIR = process.env.LOCAL_BACKEND_DATA_DIR || path.join(ROOT, "data");
+const STORE = process.env.LOCAL_BACKEND_STORE || "json";
+
+const runtime = createAppsScriptRuntime({
+  scriptFile: path.join(ROOT, "..", "apps-script-complete.gs"),
+  openStore: await storeFactory(STORE, DATA_DIR),
+  uploadsDir: path.join(DATA_DIR, "uploads"),
+  propertiesFile: path.join(DATA_DIR, "properties.json"),
+  fileUrl: (fileId) => `${PUBLIC_URL}/uploads/${fileId}`,
+  folderUrl: (folderId) => `${PUBLIC_URL}/folders/${folderId}`,
+  seed: seedWorkbook,
+  verbose: process.env.LOCAL_BACKEND_VERBOSE === "1",
+});
+
+const app = express();
+app.use(cors());
+app.use(express.raw({ type: () => true, limit: "50mb" }));
+
+// All values of each query string and form field, like Apps Script's e.parameters.
+async function requestParameters(req) {
+  const parameters = {};
+  const add = (name, value) => {
+    if (typeof value !== "string") return;
+    (parameters[name] = parameters[name] || []).push(value);
+  };
+
+  new URL(req.originalUrl, PUBLIC_URL).searchParams.forEach((value, name) => add(name, value));
+
+  const type = req.get("content-type") || "";
+  if (req.method === "POST" && /^(application\/x-www-form-urlencoded|multipart\/form-data)/.test(type)) {
+    const form = await new Request(PUBLIC_URL, { method: "POST", headers: { "content-type": type }, body: req.body })
+      .formData();
+    form.forEach((value, name) => add(name, value));
+  }
+  return parameters;
+}
+
+function requireSession(req, res, next) {
+  const authorization = req.get("authorization") || "";
+  const token = req.query.token || (authorization.startsWith("Bearer ") ? authorization.slice(7) : "");
+  const session = token ? runtime.session(token) : null;
+  if (!session) {
+    return res.status(401).json({ success: false, authError: true, error: "Not signed in" });
+  }
+  if (session.mustChangePassword) {
+    return res.status(401).json({ success: false, authError: true, error: "Choose a new password before continuing" });
+  }
+  req.sessionToken = token;
+  next();
+}
+
+function sendOutput(res, output) {
+  res.type(output.getMimeType()).send(output.getContent());
+}
+
+app.get("/exec", (req, res, next) => {
+  requestParameters(req)
+    .then((parameters) => sendOutput(res, runtime.doGet(parameters)))
+    .catch(next);
+});
+
+app.post("/exec", (req, res, next) => {
+  const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  const postData = {
+    contents: body.toString("utf8"),
+    length: body.length,
+    type: req.get("content-type") || "",
+    name: "postData",
+  };
+  requestParameters(req)
+    .then((parameters) => sendOutput(res, runtime.doPost(parameters, postData)))
+    .catch(next);
+});
+
+// gviz cell: null when empty, dates as "Date(y,m,d,h,m,s)" with the display
+// text in `f`, like docs.google.com/spreadsheets/d/<id>/gviz/tq returns them.
+function gvizCell(value, display) {
+  if (value === "" || value === null || value === undefined) return null;
+  if (Object.prototype.toString.call(value) === "[object Date]") {
+    const parts = [
+      value.getFullYear(), value.getMonth(), value.getDate(),
+      value.getHours(), value.getMinutes(), value.getSeconds(),
+    ];
+    return { v: `Date(${parts.join(",")})`, f: display };
+  }
+  return typeof value === "string" ? { v: value } : { v: value, f: display };
+}
+
+app.get("/gviz/:spreadsheetId/tq", requireSession, (req, res) => {
+  const workbook = runtime.openById(req.params.spreadsheetId);
+  const sheet = req.query.sheet ? workbook.getSheetByName(req.query.sheet) : workbook.getSheets()[0];
+  const wrap = (response) =>
+    res.type("text/javascript").send(`/*O_o*/\ngoogle.visualization.Query.setResponse(${JSON.stringify(response)});`);
+
+  if (!sheet || !runtime.isDataSheet(sheet.getName())) {
+    return wrap({
+      version: "0.6",
+      status: "error",
+      errors: [{ reason: "invalid_query", message: "INVALID_QUERY", detailed_message: `Invalid sheet: ${req.query.sheet}` }],
+    });
+  }
+
+  // Data cells of stages the user may not view, and rows out of their data
+  // scope, are left empty, as the script's fetch action does
+  const hidden = runtime.hiddenColumns(req.sessionToken, sheet.getName());
+  const headerRow = runtime.headerRow(sheet.getName());
+  const range = sheet.getDataRange();
+  const values = range.getValues();
+  const displayValues = range.getDisplayValues();
+  const inScope = values.length >= headerRow
+    ? runtime.scopeTest(req.sessionToken, sheet.getName(), values[headerRow - 1], req.query.scope)
+    : null;
+  wrap({
+    version: "0.6",
+    status: "ok",
+    table: {
+      cols: values[0].map((_, c) => ({ id: indexToColumn(c), label: "", type: "string" })),
+      rows: values.map((row, r) => ({
+        c: row.map((value, c) =>
+          r >= headerRow && (hidden[c + 1] || (inScope && !inScope(row))) ? null : gvizCell(value, displayValues[r][c]),
+        ),
+      })),
+      parsedNumHeaders: 0,
+    },
+  });
+});
+
+// A refusal of the script's access checks, or a missing file or folder.
+function sendAccessError(res, error) {
+  const missing = /No item with the given ID/.test(error.message);
+  res.status(missing ? 404 : 403).json({ success: false, error: error.message });
+}
+
+// Files are only served to users the script's document action would give
+// them to: uploads of an enquiry in their data scope, in a column of a stage
+// their role may view.
+app.get("/uploads/:fileId", requireSession, (req, res) => {
+  let file;
+  try {
+    file = runtime.uploadedFile(req.params.fileId);
+    runtime.requireDocumentAccess(req.sessionToken, req.params.fileId);
+  } catch (error) {
+    return sendAccessError(res, error);
+  }
+  res.type(file.mimeType);
+  res.set("Content-Disposition", `inline; filename="${encodeURIComponent(file.name)}"`);
+  res.sendFile(file.path);
+});
+
+const escapeHtml = (text) =>
+  text.replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+
+// A bare-bones stand-in for the Drive folder view the app links to. Only
+// the folders of enquiries in the user's data scope are shown, listing the
+// files the user may open.
+app.get("/folders/:folderId", requireSession, (req, res) => {
+  let folder;
+  try {
+    runtime.requireFolderAccess(req.sessionToken, req.params.folderId, req.query.scope);
+    folder = runtime.folderContents(req.params.folderId);
+  } catch (error) {
+    return sendAccessError(res, error);
+  }
+  const mayOpen = (fileId) => {
+    try {
+      runtime.requireDocumentAccess(req.sessionToken, fileId);
+      return true;
+    } catch {
+      return false;
+    }
+  };
+  // Links followed from the page carry no header, so pass the token along
+  const query = `?token=${encodeURIComponent(req.sessionToken)}`;
+  const items = [
+    ...folder.folders.map((item) => `<li><a href="/folders/${item.id}${query}">${escapeHtml(item.name)}/</a></li>`),
+    ...folder.files
+      .filter((item) => mayOpen(item.id))
+      .map((item) => `<li><a href="/uploads/${item.id}${query}">${escapeHtml(item.name)}</a></li>`),
+  ];
+  res.type("html").send(
+    `<!doctype html><title>${escapeHtml(folder.name)}</title><h1>${escapeHtml(folder.name)}</h1>` +
+      `<ul>${items.join("") || "<li>(empty)</li>"}</ul>`,
+  );
+});
+
+app.use((error, req, res, next) => {
+  console.error("Local backend error:", error);
+  if (res.headersSent) return next(error);
+  res.status(500).json({ success: false, error: error.toString() });
+});
+
+app.listen(PORT, () => console.log(`Local Apps Script backend (${STORE} store) running on ${PUBLIC_URL}`));
@@ -0,0 +1,121 @@
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { getFmsHeaderName } from "../src/lib/fmsSchema.js";
+
+// Runs local-backend/server.js on a fresh data directory and checks that
+// uploads are only served to users the script's document action would give
+// them to.
+
+const ROOT = path.dirname(fileURLToPath(import.meta.url));
+const PORT = 18787;
+const URL_BASE = `http://localhost:${PORT}`;
+
+let server;
+let dataDir;
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "local-backend-"));
+  server = spawn(process.execPath, [path.join(ROOT, "server.js")], {
+    env: { ...process.env, LOCAL_BACKEND_PORT: String(PORT), LOCAL_BACKEND_DATA_DIR: dataDir },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  await new Promise((resolve, reject) => {
+    server.on("exit", (code) => reject(new Error(`The local backend exited with code ${code}`)));
+    server.stdout.on("data", (chunk) => {
+      if (chunk.toString().includes("running on")) resolve();
+    });
+  });
+});
+
+after(() => {
+  server.kill();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function post(fields) {
+  const response = await fetch(`${URL_BASE}/exec`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams(fields).toString(),
+  });
+  return response.json();
+}
+
+async function login(username, password) {
+  const result = await post({ action: "login", username, password });
+  assert.equal(result.success, true, result.error);
+  return result.token;
+}
+
+// An enquiry with a file linked from a Payment-stage column, filed in the
+// enquiry's document folder.
+async function paymentDocument(adminToken) {
+  const inserted = await post({
+    token: adminToken,
+    action: "insert",
+    sheetName: "FMS",
+    rowData: JSON.stringify(["", "", "Test", "", "", "Durg"]),
+  });
+  assert.equal(inserted.success, true, inserted.error);
+
+  const upload = await post({
+    token: adminToken,
+    action: "uploadFile",
+    base64Data: Buffer.from("payment receipt").toString("base64"),
+    fileName: "receipt.pdf",
+    mimeType: "application/pdf",
+    folderId: "root",
+    enquiryNumber: inserted.enquiryNumber,
+    stage: "Payment",
+  });
+  assert.equal(upload.success, true, upload.error);
+
+  const updated = await post({
+    token: adminToken,
+    action: "updateFields",
+    sheetName: "FMS",
+    enquiryNumber: inserted.enquiryNumber,
+    fields: JSON.stringify({ [getFmsHeaderName("PAYMENT_CHEQUE_NUMBER")]: upload.fileUrl }),
+  });
+  assert.equal(updated.success, true, updated.error);
+
+  const folder = await (await fetch(`${URL_BASE}/exec?${new URLSearchParams({
+    token: adminToken,
+    action: "documentFolder",
+    enquiryNumber: inserted.enquiryNumber,
+  })}`)).json();
+  assert.equal(folder.success, true, folder.error);
+  return { fileUrl: upload.fileUrl, fileId: upload.fileId, folderUrl: folder.folderUrl };
+}
+
+test("uploads and folders apply the document access checks", async () => {
+  const admin = await login("admin", "admin123");
+  const installer = await login("installer", "installer123");
+  const { fileUrl, fileId, folderUrl } = await paymentDocument(admin);
+  const withToken = (url, token) => `${url}${url.includes("?") ? "&" : "?"}token=${encodeURIComponent(token)}`;
+
+  const allowed = await fetch(withToken(fileUrl, admin));
+  assert.equal(allowed.status, 200);
+  assert.equal(await allowed.text(), "payment receipt");
+
+  // Installers may not view the Payment stage
+  const refused = await fetch(withToken(fileUrl, installer));
+  assert.equal(refused.status, 403);
+
+  const adminStageFolder = await (await fetch(withToken(folderUrl, admin))).text();
+  const stageFolderId = adminStageFolder.match(/href="\/folders\/([\w-]+)\?/)[1];
+  const adminListing = await (await fetch(withToken(`${URL_BASE}/folders/${stageFolderId}`, admin))).text();
+  assert.match(adminListing, new RegExp(`/uploads/${fileId}`));
+  const installerListing = await fetch(withToken(`${URL_BASE}/folders/${stageFolderId}`, installer));
+  assert.equal(installerListing.status, 200);
+  assert.doesNotMatch(await installerListing.text(), new RegExp(`/uploads/${fileId}`));
+
+  // Folders that are not an enquiry's, such as the upload root, are not listed
+  const root = await fetch(withToken(`${URL_BASE}/folders/root`, admin));
+  assert.equal(root.status, 403);
+});
@@ -0,0 +1,33 @@
+import path from "node:path";
+
+// Where the local backend keeps its workbooks. Each kind maps a spreadsheet
+// ID to a store with load(DateClass) / save(sheets):
+//   json    <dataDir>/<spreadsheetId>.json
+//   sqlite  <dataDir>/<spreadsheetId>.sqlite (needs Node 22.13 or later;
+//           older Node is refused with a message saying so)
+const STORES = {
+  json: async () => {
+    const { createJsonStore } = await import("./jsonStore.js");
+    return (dataDir, spreadsheetId) => createJsonStore(path.join(dataDir, `${spreadsheetId}.json`));
+  },
+  sqlite: async () => {
+    const { createSqliteStore } = await import("./sqliteStore.js").catch((error) => {
+      if (error.code !== "ERR_UNKNOWN_BUILTIN_MODULE") throw error;
+      throw new Error(
+        `The sqlite store needs node:sqlite, built into Node 22.13 and later; this is Node ${process.versions.node}. ` +
+          "Upgrade Node or use the json store (LOCAL_BACKEND_STORE=json)."
+      );
+    });
+    return (dataDir, spreadsheetId) => createSqliteStore(path.join(dataDir, `${spreadsheetId}.sqlite`));
+  },
+};
+
+// Resolve `kind` to a (spreadsheetId) => store function. The SQLite store is
+// only imported when picked, so the JSON one keeps working on older Node.
+export async function storeFactory(kind, dataDir) {
+  if (!STORES[kind]) {
+    throw new Error(`Unknown store "${kind}", expected one of: ${Object.keys(STORES).join(", ")}`);
+  }
+  const create = await STORES[kind]();
+  return (spreadsheetId) => create(dataDir, spreadsheetId);
+}
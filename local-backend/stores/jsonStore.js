@@ -0,0 +1,33 @@
+import fs from "node:fs";
+import path from "node:path";
+
+// Keeps a whole workbook in one JSON file, rewritten on every save. Dates are
+// written as { "$date": "<ISO>" }.
+
+const isDate = (value) => Object.prototype.toString.call(value) === "[object Date]";
+
+export function createJsonStore(file) {
+  return {
+    id: path.basename(file, ".json"),
+
+    load(DateClass) {
+      if (!fs.existsSync(file)) return [];
+      const { sheets } = JSON.parse(fs.readFileSync(file, "utf8"), (key, value) =>
+        value && typeof value === "object" && typeof value.$date === "string" ? new DateClass(value.$date) : value,
+      );
+      return sheets;
+    },
+
+    save(sheets) {
+      const data = sheets.map(({ name, rows, formulas, formats }) => ({
+        name,
+        rows: rows.map((line) => line.map((value) => (isDate(value) ? { $date: value.toISOString() } : value))),
+        formulas,
+        formats,
+      }));
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify({ sheets: data }));
+      fs.renameSync(`${file}.tmp`, file);
+    },
+  };
+}
@@ -0,0 +1,140 @@
+import fs from "node:fs";
+import path from "node:path";
+import { DatabaseSync } from "node:sqlite";
+import { indexToColumn } from "../../src/lib/fmsSchema.js";
+
+// Keeps a workbook in a SQLite database (node:sqlite, Node 22.13 or later),
+// one table per sheet:
+//
+//   sheet_catalog (name, table_name, position, formulas, formats)
+//   <table_name>  (row_number INTEGER PRIMARY KEY, "A", "B", ..., "FW")
+//
+// Table names are the sheet names in snake case (FMS -> fms, Drop-Down Value
+// -> drop_down_value) and columns are named after the sheet's column letters.
+// Cell columns have no declared type, so numbers stay numbers and text stays
+// text; dates are stored as ISO 8601 text, booleans as 'TRUE' / 'FALSE'.
+// Empty cells are NULL and empty rows are not stored. A save writes only the
+// rows that changed unless the sheet was rebuilt (see workbook.js).
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+
+const quote = (identifier) => `"${identifier.replace(/"/g, '""')}"`;
+const isDate = (value) => Object.prototype.toString.call(value) === "[object Date]";
+const isEmpty = (value) => value === "" || value === null || value === undefined;
+
+function toSql(value) {
+  if (isEmpty(value)) return null;
+  if (isDate(value)) return value.toISOString();
+  if (typeof value === "boolean") return value ? "TRUE" : "FALSE";
+  if (typeof value === "number" || typeof value === "string") return value;
+  return value.toString();
+}
+
+function fromSql(value, DateClass) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "string" && ISO_DATE.test(value)) return new DateClass(value);
+  return typeof value === "bigint" ? Number(value) : value;
+}
+
+export function createSqliteStore(file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new DatabaseSync(file);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS sheet_catalog (
+      name TEXT PRIMARY KEY,
+      table_name TEXT NOT NULL UNIQUE,
+      position INTEGER NOT NULL,
+      formulas TEXT NOT NULL DEFAULT '{}',
+      formats TEXT NOT NULL DEFAULT '{}'
+    )
+  `);
+
+  const letterColumns = (table) =>
+    db.prepare(`PRAGMA table_info(${quote(table)})`).all()
+      .map((column) => column.name)
+      .filter((name) => name !== "row_number");
+
+  // The catalog entry for `name`, creating the sheet's table on first use.
+  const catalogEntry = (name) => {
+    const existing = db.prepare("SELECT * FROM sheet_catalog WHERE name = ?").get(name);
+    if (existing) return existing;
+
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "") || "sheet";
+    const taken = new Set(db.prepare("SELECT table_name FROM sheet_catalog").all().map((row) => row.table_name));
+    let tableName = base;
+    for (let n = 2; taken.has(tableName) || tableName === "sheet_catalog"; n++) tableName = `${base}_${n}`;
+
+    const { count } = db.prepare("SELECT COUNT(*) AS count FROM sheet_catalog").get();
+    db.prepare("INSERT INTO sheet_catalog (name, table_name, position) VALUES (?, ?, ?)").run(name, tableName, count);
+    db.exec(`CREATE TABLE IF NOT EXISTS ${quote(tableName)} (row_number INTEGER PRIMARY KEY)`);
+    return db.prepare("SELECT * FROM sheet_catalog WHERE name = ?").get(name);
+  };
+
+  const saveSheet = (sheet) => {
+    const { table_name: table } = catalogEntry(sheet.name);
+    const width = sheet.rows.reduce((max, line) => Math.max(max, line.length), 0);
+    const columns = letterColumns(table);
+    for (let c = columns.length; c < width; c++) {
+      db.exec(`ALTER TABLE ${quote(table)} ADD COLUMN ${quote(indexToColumn(c))}`);
+      columns.push(indexToColumn(c));
+    }
+
+    const upsert = db.prepare(
+      `INSERT OR REPLACE INTO ${quote(table)} (row_number, ${columns.map(quote).join(", ")}) ` +
+        `VALUES (?, ${columns.map(() => "?").join(", ")})`,
+    );
+    const remove = db.prepare(`DELETE FROM ${quote(table)} WHERE row_number = ?`);
+    const writeRow = (rowNumber) => {
+      const line = sheet.rows[rowNumber - 1] || [];
+      if (line.every(isEmpty)) {
+        remove.run(rowNumber);
+      } else {
+        upsert.run(rowNumber, ...columns.map((_, c) => toSql(line[c])));
+      }
+    };
+
+    if (sheet.rebuilt) {
+      db.exec(`DELETE FROM ${quote(table)}`);
+      sheet.rows.forEach((_, r) => writeRow(r + 1));
+    } else {
+      (sheet.changedRows || []).forEach(writeRow);
+    }
+
+    db.prepare("UPDATE sheet_catalog SET formulas = ?, formats = ? WHERE name = ?")
+      .run(JSON.stringify(sheet.formulas || {}), JSON.stringify(sheet.formats || {}), sheet.name);
+  };
+
+  return {
+    id: path.basename(file, ".sqlite"),
+
+    load(DateClass) {
+      return db.prepare("SELECT * FROM sheet_catalog ORDER BY position").all().map((entry) => {
+        const columns = letterColumns(entry.table_name);
+        const rows = [];
+        db.prepare(`SELECT * FROM ${quote(entry.table_name)} ORDER BY row_number`).all().forEach((record) => {
+          while (rows.length < record.row_number - 1) rows.push([]);
+          rows.push(columns.map((column) => fromSql(record[column], DateClass)));
+        });
+        return {
+          name: entry.name,
+          rows,
+          formulas: JSON.parse(entry.formulas),
+          formats: JSON.parse(entry.formats),
+        };
+      });
+    },
+
+    // `sheets` are workbook sheets, or plain { name, rows, formulas, formats,
+    // rebuilt } objects when copying data in (see migrate.js).
+    save(sheets) {
+      db.exec("BEGIN");
+      try {
+        sheets.forEach(saveSheet);
+        db.exec("COMMIT");
+      } catch (error) {
+        db.exec("ROLLBACK");
+        throw error;
+      }
+    },
+  };
+}
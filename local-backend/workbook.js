@@ -0,0 +1,280 @@
+// An in-memory spreadsheet exposing the part of the SpreadsheetApp API that
+// apps-script-complete.gs uses, loaded from and saved to a store (see
+// stores/jsonStore.js and stores/sqliteStore.js).
+//
+// Rows and columns are 1-based like in Apps Script. Cells hold strings,
+// numbers, booleans or Dates. Formulas are stored but never evaluated, so a
+// cell keeps whatever value it was last given.
+
+// Range methods that only change how the sheet looks.
+const FORMATTING_METHODS = [
+  "merge", "setBackground", "setBorder", "setFontColor", "setFontSize", "setFontStyle",
+  "setFontWeight", "setHorizontalAlignment", "setVerticalAlignment", "setWrap",
+];
+
+const pad = (n) => n.toString().padStart(2, "0");
+
+function isDate(value) {
+  return Object.prototype.toString.call(value) === "[object Date]";
+}
+
+// Dates show as DD/MM/YYYY hh:mm:ss, the format the sheet uses everywhere.
+function displayValue(value, numberFormat) {
+  if (value === "" || value === null || value === undefined) return "";
+  if (isDate(value)) {
+    return `${pad(value.getDate())}/${pad(value.getMonth() + 1)}/${value.getFullYear()} ` +
+      `${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}`;
+  }
+  if (typeof value === "boolean") return value ? "TRUE" : "FALSE";
+  if (typeof value === "number" && /^0(\.0+)?$/.test(numberFormat || "")) {
+    const decimals = numberFormat.indexOf(".") === -1 ? 0 : numberFormat.length - 2;
+    return value.toFixed(decimals);
+  }
+  return value.toString();
+}
+
+class Range {
+  constructor(sheet, row, column, numRows, numColumns) {
+    if (!(row >= 1 && column >= 1 && numRows >= 1 && numColumns >= 1)) {
+      throw new Error(`The coordinates of the range are outside the dimensions of the sheet: ${row}, ${column}`);
+    }
+    this.sheet = sheet;
+    this.row = row;
+    this.column = column;
+    this.numRows = numRows;
+    this.numColumns = numColumns;
+  }
+
+  getSheet() { return this.sheet; }
+  getRow() { return this.row; }
+  getColumn() { return this.column; }
+  getLastRow() { return this.row + this.numRows - 1; }
+  getLastColumn() { return this.column + this.numColumns - 1; }
+  getNumRows() { return this.numRows; }
+  getNumColumns() { return this.numColumns; }
+
+  map(cell) {
+    const result = [];
+    for (let r = 0; r < this.numRows; r++) {
+      const line = [];
+      for (let c = 0; c < this.numColumns; c++) {
+        line.push(cell(this.row + r, this.column + c));
+      }
+      result.push(line);
+    }
+    return result;
+  }
+
+  getValues() {
+    return this.map((r, c) => this.sheet.cell(r, c));
+  }
+
+  getDisplayValues() {
+    return this.map((r, c) => displayValue(this.sheet.cell(r, c), this.sheet.formats[`${r}:${c}`]));
+  }
+
+  getValue() { return this.getValues()[0][0]; }
+  getDisplayValue() { return this.getDisplayValues()[0][0]; }
+
+  setValues(values) {
+    if (values.length !== this.numRows || values.some((line) => line.length !== this.numColumns)) {
+      throw new Error(
+        `The number of rows or columns in the data does not match the range (${this.numRows}x${this.numColumns})`,
+      );
+    }
+    values.forEach((line, r) => line.forEach((value, c) => this.sheet.setCell(this.row + r, this.column + c, value)));
+    return this;
+  }
+
+  setValue(value) {
+    this.map((r, c) => this.sheet.setCell(r, c, value));
+    return this;
+  }
+
+  getFormulasR1C1() {
+    return this.map((r, c) => this.sheet.formulas[`${r}:${c}`] || "");
+  }
+
+  setFormulaR1C1(formula) {
+    this.map((r, c) => {
+      this.sheet.formulas[`${r}:${c}`] = formula;
+    });
+    this.sheet.workbook.dirty = true;
+    return this;
+  }
+
+  setNumberFormat(format) {
+    this.map((r, c) => {
+      this.sheet.formats[`${r}:${c}`] = format;
+    });
+    this.sheet.workbook.dirty = true;
+    return this;
+  }
+}
+
+FORMATTING_METHODS.forEach((method) => {
+  Range.prototype[method] = function () {
+    return this;
+  };
+});
+
+// Besides the cells, a sheet tracks what changed since the last save so a
+// store can write just that: the rows in `changedRows`, or everything when
+// `rebuilt` is set (new sheet, or rows shifted by deleteRow).
+// Sheet protection. Only the script writes offline, so it is recorded for
+// getProtections() but restricts nothing, and is not saved.
+class Protection {
+  constructor() {
+    this.description = "";
+  }
+
+  setDescription(description) { this.description = description; return this; }
+  getDescription() { return this.description; }
+  setWarningOnly() { return this; }
+  getEditors() { return []; }
+  removeEditors() { return this; }
+  canDomainEdit() { return false; }
+  setDomainEdit() { return this; }
+}
+
+class Sheet {
+  constructor(workbook, name, rows = [], formulas = {}, formats = {}) {
+    this.workbook = workbook;
+    this.name = name;
+    this.rows = rows;
+    this.formulas = formulas;
+    this.formats = formats;
+    this.changedRows = new Set();
+    this.rebuilt = false;
+  }
+
+  getName() { return this.name; }
+  getParent() { return this.workbook; }
+
+  cell(row, column) {
+    const line = this.rows[row - 1];
+    const value = line ? line[column - 1] : undefined;
+    return value === undefined || value === null ? "" : value;
+  }
+
+  setCell(row, column, value) {
+    while (this.rows.length < row) this.rows.push([]);
+    const line = this.rows[row - 1];
+    while (line.length < column) line.push("");
+    line[column - 1] = value === undefined || value === null ? "" : value;
+    delete this.formulas[`${row}:${column}`];
+    this.changedRows.add(row);
+    this.workbook.dirty = true;
+  }
+
+  // Last row / column holding a non-empty value, 0 when the sheet is empty.
+  getLastRow() {
+    for (let r = this.rows.length; r >= 1; r--) {
+      if (this.rows[r - 1].some((value) => value !== "" && value !== null && value !== undefined)) return r;
+    }
+    return 0;
+  }
+
+  getLastColumn() {
+    let last = 0;
+    this.rows.forEach((line) => {
+      for (let c = line.length; c > last; c--) {
+        if (line[c - 1] !== "" && line[c - 1] !== null && line[c - 1] !== undefined) {
+          last = c;
+          break;
+        }
+      }
+    });
+    return last;
+  }
+
+  getRange(row, column, numRows = 1, numColumns = 1) {
+    if (typeof row !== "number") {
+      throw new Error("A1 notation is not supported by the local backend");
+    }
+    return new Range(this, row, column, numRows, numColumns);
+  }
+
+  getDataRange() {
+    return new Range(this, 1, 1, Math.max(this.getLastRow(), 1), Math.max(this.getLastColumn(), 1));
+  }
+
+  appendRow(values) {
+    const row = this.getLastRow() + 1;
+    values.forEach((value, c) => this.setCell(row, c + 1, value));
+    return this;
+  }
+
+  // Remove a row and shift the rows (and their formulas / formats) below it up.
+  deleteRow(row) {
+    this.rows.splice(row - 1, 1);
+    const shift = (cells) => {
+      const shifted = {};
+      Object.entries(cells).forEach(([key, value]) => {
+        const [r, c] = key.split(":").map(Number);
+        if (r < row) shifted[key] = value;
+        else if (r > row) shifted[`${r - 1}:${c}`] = value;
+      });
+      return shifted;
+    };
+    this.formulas = shift(this.formulas);
+    this.formats = shift(this.formats);
+    this.rebuilt = true;
+    this.workbook.dirty = true;
+    return this;
+  }
+
+  protect() {
+    this.protection = this.protection || new Protection();
+    return this.protection;
+  }
+
+  getProtections() { return this.protection ? [this.protection] : []; }
+
+  setFrozenRows() { return this; }
+  setColumnWidth() { return this; }
+  setRowHeight() { return this; }
+}
+
+export class Workbook {
+  // `store` loads and saves the sheets. `DateClass` is the Date constructor
+  // of the realm the script runs in, so `value instanceof Date` holds there
+  // for dates read from the store.
+  constructor(store, DateClass = Date) {
+    this.store = store;
+    this.dirty = false;
+    this.sheets = store
+      .load(DateClass)
+      .map(({ name, rows, formulas, formats }) => new Sheet(this, name, rows, formulas, formats));
+  }
+
+  getId() { return this.store.id; }
+  getSheets() { return this.sheets.slice(); }
+
+  // Sheet names are matched case-insensitively, as in Apps Script.
+  getSheetByName(name) {
+    const wanted = (name || "").toString().toLowerCase();
+    return this.sheets.find((sheet) => sheet.name.toLowerCase() === wanted) || null;
+  }
+
+  insertSheet(name) {
+    if (this.getSheetByName(name)) {
+      throw new Error(`A sheet with the name "${name}" already exists.`);
+    }
+    const sheet = new Sheet(this, name);
+    sheet.rebuilt = true;
+    this.sheets.push(sheet);
+    this.dirty = true;
+    return sheet;
+  }
+
+  save() {
+    if (!this.dirty) return;
+    this.store.save(this.sheets);
+    this.sheets.forEach((sheet) => {
+      sheet.changedRows.clear();
+      sheet.rebuilt = false;
+    });
+    this.dirty = false;
+  }
+}
@@ -1,24 +1,84 @@
-const express = require("express");
-const axios = require("axios");
-const cors = require("cors");
-const dotenv = require("dotenv");
-
-dotenv.config();
+// Loads .env first: the app's config below reads the environment when it is imported
+import "dotenv/config";
+import express from "express";
+import axios from "axios";
+import cors from "cors";
+import { config } from "./src/lib/config.js";
 
 const SOLAR_USER_ACCOUNT = process.env.REACT_APP_USER_ACCOUNT;
 const SOLAR_USER_PASSWORD = process.env.REACT_APP_USER_PASSWORD;
 const SOLAR_APP_KEY = process.env.SOLAR_APP_KEY;
 const SOLAR_SECRET_KEY = process.env.SOLAR_SECRET_KEY;
+// The app calls this proxy at its config's solarApiUrl (src/lib/config.js)
+const PORT = Number(process.env.SOLAR_API_PORT) || 5000;
+
+// The Apps Script web app of the app's config profile (VITE_APP_PROFILE and
+// the other variables src/lib/config.js reads), or the local backend's
+// stand-in for it
+const scriptUrl = config.localBackendUrl
+  ? `${config.localBackendUrl.replace(/\/+$/, "")}/exec`
+  : config.appsScriptUrl;
+
+// Browser origins the app is served from (comma-separated), e.g.
+// https://app.example.com; the Vite dev server when unset
+const ALLOWED_ORIGINS = (process.env.SOLAR_API_ORIGINS || "http://localhost:5173")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+
+// How long a session token the web app accepted is trusted without asking again
+const SESSION_CHECK_TTL_MS = 60 * 1000;
+const checkedSessions = new Map();
 
 const app = express();
-app.use(
-  cors({
-    origin: "*",
-    credentials: true,
-  })
-);
+app.use(cors({ origin: ALLOWED_ORIGINS }));
 app.use(express.json());
 
+function sessionRefused(res, error) {
+  res.status(401).json({ success: false, authError: true, error });
+}
+
+// Only signed-in users of the app may use the iSolarCloud account. Requests
+// carry the app's session token (?token=, as the app adds to its requests,
+// or Authorization: Bearer), which the web app's session action checks.
+async function requireSession(req, res, next) {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.get("authorization") || "");
+  const token = bearer ? bearer[1] : req.query.token;
+  if (!token) {
+    return sessionRefused(res, "Not signed in");
+  }
+
+  const checked = checkedSessions.get(token);
+  if (checked && Date.now() - checked.at < SESSION_CHECK_TTL_MS) {
+    req.appUsername = checked.username;
+    return next();
+  }
+
+  try {
+    const response = await axios.get(scriptUrl, { params: { action: "session", token } });
+    const session = response.data || {};
+    checkedSessions.delete(token);
+    if (!session.success) {
+      return sessionRefused(res, session.error || "Not signed in");
+    }
+    if (session.mustChangePassword) {
+      return sessionRefused(res, "Change your password before using the app");
+    }
+
+    for (const [known, { at }] of checkedSessions) {
+      if (Date.now() - at >= SESSION_CHECK_TTL_MS) checkedSessions.delete(known);
+    }
+    checkedSessions.set(token, { username: session.username, at: Date.now() });
+    req.appUsername = session.username;
+    next();
+  } catch (error) {
+    console.error('Session check error:', error.message);
+    res.status(502).json({ error: 'Could not check the session', message: error.message });
+  }
+}
+
+app.use('/api/solar', requireSession);
+
 // Configuration
 const SOLAR_CONFIG = {
   appkey: SOLAR_APP_KEY,
@@ -31,9 +91,10 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'Server is running', timestamp: new Date().toISOString() });
 });
 
+// GET requests to the web app, for callers that cannot reach it directly
 app.get("/proxy", async (req, res) => {
   try {
-    const response = await axios.get("https://script.google.com/a/macros/botivate.in/s/AKfycbxjYYdBHyeK1n65Er6c76ymzKvBvZr8ixit2_OUTRA/dev"); 
+    const response = await axios.get(scriptUrl, { params: req.query });
     res.json(response.data);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -43,9 +104,7 @@ app.get("/proxy", async (req, res) => {
 // Login endpoint
 app.post('/api/solar/login', async (req, res) => {
   try {
-    const { user_account, user_password } = req.body;
-
-    console.log('Login request for:', user_account);
+    console.log('Login request from:', req.appUsername);
 
     const response = await axios.post(
       'https://gateway.isolarcloud.com.hk/openapi/login',
@@ -286,4 +345,4 @@ app.post('/api/solar/historical-data', async (req, res) => {
 });
 
 
-app.listen(5000, () => console.log("Server running on port 5000"));
+app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
@@ -5,6 +5,9 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from "react-router-d
 import LoginPage from "./pages/LoginPage"
 import AdminDashboard from "./pages/admin/Dashboard"
 import AdminAssignTask from "./pages/admin/AssignTask"
+import RecycleBinPage from "./pages/admin/RecycleBin"
+import UsersPage from "./pages/admin/Users"
+import ChangePasswordPage from "./pages/ChangePasswordPage"
 import SurveyReportPage from "./pages/SurveyReport"
 import QuotationsendPage from "./pages/Quatationsend"
 import FollowupPage from "./pages/Followup"
@@ -28,21 +31,32 @@ import AllGraph from "./pages/AllGraph"
 import WeeklyPerformanceReport from "./pages/graph/WeeklyPerformanceReport"
 import InsurancePage from "./pages/Insurance"
 import ModuleEntryPage from "./pages/ModuleEntry"
+import SessionGuard from "./components/SessionGuard"
+import { hasSession, mustChangePassword } from "./lib/session"
+import { can } from "./lib/permissions"
 
 import "./index.css"
 
-// Auth wrapper component to protect routes
-const ProtectedRoute = ({ children, allowedRoles = [] }) => {
-  const username = sessionStorage.getItem("username")
-  const userRole = sessionStorage.getItem("role")
-
-  // If no user is logged in, redirect to login
-  if (!username) {
+// Auth wrapper component to protect routes. Pages of a stage also need the
+// given permission on it (see lib/permissions); allowedRoles limits a page
+// to those roles.
+const ProtectedRoute = ({ children, stage, permission = "view", allowedRoles }) => {
+  // If no user is signed in or the session has expired, redirect to login
+  if (!hasSession()) {
     return <Navigate to="/login" replace />
   }
 
-  // If this is an admin-only route and user is not admin, redirect to tasks
-  if (allowedRoles.length > 0 && !allowedRoles.includes(userRole)) {
+  // A temporary password has to be replaced before anything else
+  if (mustChangePassword()) {
+    return <Navigate to="/change-password" replace />
+  }
+
+  // If the user's role may not open this stage, back to the dashboard
+  if (stage && !can(stage, permission)) {
+    return <Navigate to="/dashboard/admin" replace />
+  }
+
+  if (allowedRoles && !allowedRoles.includes(sessionStorage.getItem("role"))) {
     return <Navigate to="/dashboard/admin" replace />
   }
 
@@ -54,256 +68,284 @@ function App() {
   return (
     <DeviceProvider>
       <Router>
-        <Routes>
-          {/* Root redirect */}
-          <Route path="/" element={<Navigate to="/login" replace />} />
-
-          {/* Login route */}
-          <Route path="/login" element={<LoginPage />} />
-
-          {/* Dashboard redirect */}
-          <Route path="/dashboard" element={<Navigate to="/dashboard/admin" replace />} />
-
-          {/* Admin & User Dashboard route */}
-          <Route
-            path="/dashboard/admin"
-            element={
-              <ProtectedRoute>
-                <AdminDashboard />
-              </ProtectedRoute>
-            }
-          />
-
-          {/* Assign Task route - only for admin */}
-          <Route
-            path="/dashboard/assign-task"
-            element={
-              <ProtectedRoute allowedRoles={["admin", "user"]}>
-                <AdminAssignTask />
-              </ProtectedRoute>
-            }
-          />
-
-          {/* Survey Report route for user */}
-          <Route
-            path="/dashboard/SurveyReport"
-            element={
-              <ProtectedRoute>
-                <SurveyReportPage />
-              </ProtectedRoute>
-            }
-          />
-          {/*Quotationsend route for user */}
-          <Route
-            path="/dashboard/Quotationsend"
-            element={
-              <ProtectedRoute>
-                <QuotationsendPage />
-              </ProtectedRoute>
-            }
-          />
-          {/*Follow up route for user */}
-          <Route
-            path="/dashboard/Followup"
-            element={
-              <ProtectedRoute>
-                <FollowupPage />
-              </ProtectedRoute>
-            }
-          />
-
-          {/*Order Place route for user */}
-          <Route
-            path="/dashboard/OrderPlace"
-            element={
-              <ProtectedRoute>
-                <OrderPlacePage />
-              </ProtectedRoute>
-            }
-          />
-
-          {/*IP Assignment route for user */}
-          <Route
-            path="/dashboard/IPAssigment"
-            element={
-              <ProtectedRoute>
-                <IPAssigmentPage />
-              </ProtectedRoute>
-            }
-          />
-
-          {/*Dispatchmaterial route for user */}
-          <Route
-            path="/dashboard/Dispatchmaterial"
-            element={
-              <ProtectedRoute>
-                <DispatchmaterialPage />
-              </ProtectedRoute>
-            }
-          />
-
-          {/*InformToCustomer route for user */}
-          <Route
-            path="/dashboard/InformToCustomer"
-            element={
-              <ProtectedRoute>
-                <InformToCustomerPage />
-              </ProtectedRoute>
-            }
-          />
-
-          {/*Materialreceived route for user */}
-          <Route
-            path="/dashboard/Materialreceived"
-            element={
-              <ProtectedRoute>
-                <MaterialreceivedPage />
-              </ProtectedRoute>
-            }
-          />
-
-          {/*Installation route for user */}
-          <Route
-            path="/dashboard/Installation"
-            element={
-              <ProtectedRoute>
-                <InstallationPage />
-              </ProtectedRoute>
-            }
-          />
-
-          {/*Billing route for user */}
-          <Route
-            path="/dashboard/Billing"
-            element={
-              <ProtectedRoute>
-                <BillingPage />
-              </ProtectedRoute>
-            }
-          />
-
-          {/*CspdclForSynconization route for user */}
-          <Route
-            path="/dashboard/CspdclForSynconization"
-            element={
-              <ProtectedRoute>
-                <CspdclForSynconizationPage />
-              </ProtectedRoute>
-            }
-          />
-
-          {/*Inspection route for user */}
-          <Route
-            path="/dashboard/Inspection"
-            element={
-              <ProtectedRoute>
-                <InspectionPage />
-              </ProtectedRoute>
-            }
-          />
-
-          {/*ProjectCommissioning route for user */}
-          <Route
-            path="/dashboard/ProjectCommission"
-            element={
-              <ProtectedRoute>
-                <ProjectCommissioningPage />
-              </ProtectedRoute>
-            }
-          />
-
-          {/*Redemption route for user */}
-          <Route
-            path="/dashboard/Redemption"
-            element={
-              <ProtectedRoute>
-                <RedemptionPage />
-              </ProtectedRoute>
-            }
-          />
-
-          {/*SubsidyDisbursal route for user */}
-          <Route
-            path="/dashboard/SubsidyDisbursal"
-            element={
-              <ProtectedRoute>
-                <SubsidyDisbursalPage />
-              </ProtectedRoute>
-            }
-          />
-
-          {/*Payment route for user */}
-          <Route
-            path="/dashboard/Payment"
-            element={
-              <ProtectedRoute>
-                <PaymentPage />
-              </ProtectedRoute>
-            }
-          />
-
-          {/*Insurance route for user */}
-          <Route
-            path="/dashboard/Insurance"
-            element={
-              <ProtectedRoute>
-                <InsurancePage />
-              </ProtectedRoute>
-            }
-          />
-
-          <Route
-            path="/dashboard/ModuleEntry"
-            element={
-              <ProtectedRoute>
-                <ModuleEntryPage />
-              </ProtectedRoute>
-            }
-          />
-
-          <Route
-            path="/dashboard/energy-analysis"
-            element={
-              <ProtectedRoute>
-                <EnergyAnalysis />
-              </ProtectedRoute>
-            }
-          />
-
-          <Route
-            path="/dashboard/analysis-graph"
-            element={
-              <ProtectedRoute>
-                <AnalysisGraphPage />
-              </ProtectedRoute>
-            }
-          />
-
-          <Route
-            path="/dashboard/all-graph"
-            element={
-              <ProtectedRoute>
-                <AllGraph />
-              </ProtectedRoute>
-            }
-          />
-
-          <Route
-            path="/dashboard/weekly-performance-report"
-            element={
-              <ProtectedRoute>
-                <WeeklyPerformanceReport />
-              </ProtectedRoute>
-            }
-          />
-
-
-          {/* Backward compatibility redirects */}
-          <Route path="/admin/*" element={<Navigate to="/dashboard/admin" replace />} />
-          <Route path="/admin/dashboard" element={<Navigate to="/dashboard/admin" replace />} />
-          <Route path="/admin/assign-task" element={<Navigate to="/dashboard/assign-task" replace />} />
-          <Route path="/user/*" element={<Navigate to="/dashboard/admin" replace />} />
-        </Routes>
+        <SessionGuard>
+          <Routes>
+            {/* Root redirect */}
+            <Route path="/" element={<Navigate to="/login" replace />} />
+
+            {/* Login route */}
+            <Route path="/login" element={<LoginPage />} />
+
+            {/* Own password, also where users with a temporary one are sent */}
+            <Route
+              path="/change-password"
+              element={hasSession() ? <ChangePasswordPage /> : <Navigate to="/login" replace />}
+            />
+
+            {/* Dashboard redirect */}
+            <Route path="/dashboard" element={<Navigate to="/dashboard/admin" replace />} />
+
+            {/* Admin & User Dashboard route */}
+            <Route
+              path="/dashboard/admin"
+              element={
+                <ProtectedRoute>
+                  <AdminDashboard />
+                </ProtectedRoute>
+              }
+            />
+
+            {/* Enquiry form route */}
+            <Route
+              path="/dashboard/assign-task"
+              element={
+                <ProtectedRoute stage="enquiry">
+                  <AdminAssignTask />
+                </ProtectedRoute>
+              }
+            />
+
+            {/* Survey Report route for user */}
+            <Route
+              path="/dashboard/SurveyReport"
+              element={
+                <ProtectedRoute stage="survey">
+                  <SurveyReportPage />
+                </ProtectedRoute>
+              }
+            />
+            {/*Quotationsend route for user */}
+            <Route
+              path="/dashboard/Quotationsend"
+              element={
+                <ProtectedRoute stage="quotation">
+                  <QuotationsendPage />
+                </ProtectedRoute>
+              }
+            />
+            {/*Follow up route for user */}
+            <Route
+              path="/dashboard/Followup"
+              element={
+                <ProtectedRoute stage="followup">
+                  <FollowupPage />
+                </ProtectedRoute>
+              }
+            />
+
+            {/*Order Place route for user */}
+            <Route
+              path="/dashboard/OrderPlace"
+              element={
+                <ProtectedRoute stage="order">
+                  <OrderPlacePage />
+                </ProtectedRoute>
+              }
+            />
+
+            {/*IP Assignment route for user */}
+            <Route
+              path="/dashboard/IPAssigment"
+              element={
+                <ProtectedRoute stage="ipAssignment">
+                  <IPAssigmentPage />
+                </ProtectedRoute>
+              }
+            />
+
+            {/*Dispatchmaterial route for user */}
+            <Route
+              path="/dashboard/Dispatchmaterial"
+              element={
+                <ProtectedRoute stage="dispatch">
+                  <DispatchmaterialPage />
+                </ProtectedRoute>
+              }
+            />
+
+            {/*InformToCustomer route for user */}
+            <Route
+              path="/dashboard/InformToCustomer"
+              element={
+                <ProtectedRoute stage="inform">
+                  <InformToCustomerPage />
+                </ProtectedRoute>
+              }
+            />
+
+            {/*Materialreceived route for user */}
+            <Route
+              path="/dashboard/Materialreceived"
+              element={
+                <ProtectedRoute stage="receipt">
+                  <MaterialreceivedPage />
+                </ProtectedRoute>
+              }
+            />
+
+            {/*Installation route for user */}
+            <Route
+              path="/dashboard/Installation"
+              element={
+                <ProtectedRoute stage="installation">
+                  <InstallationPage />
+                </ProtectedRoute>
+              }
+            />
+
+            {/*Billing route for user */}
+            <Route
+              path="/dashboard/Billing"
+              element={
+                <ProtectedRoute stage="billing">
+                  <BillingPage />
+                </ProtectedRoute>
+              }
+            />
+
+            {/*CspdclForSynconization route for user */}
+            <Route
+              path="/dashboard/CspdclForSynconization"
+              element={
+                <ProtectedRoute stage="documents">
+                  <CspdclForSynconizationPage />
+                </ProtectedRoute>
+              }
+            />
+
+            {/*Inspection route for user */}
+            <Route
+              path="/dashboard/Inspection"
+              element={
+                <ProtectedRoute stage="inspection">
+                  <InspectionPage />
+                </ProtectedRoute>
+              }
+            />
+
+            {/*ProjectCommissioning route for user */}
+            <Route
+              path="/dashboard/ProjectCommission"
+              element={
+                <ProtectedRoute stage="commissioning">
+                  <ProjectCommissioningPage />
+                </ProtectedRoute>
+              }
+            />
+
+            {/*Redemption route for user */}
+            <Route
+              path="/dashboard/Redemption"
+              element={
+                <ProtectedRoute stage="redemption">
+                  <RedemptionPage />
+                </ProtectedRoute>
+              }
+            />
+
+            {/*SubsidyDisbursal route for user */}
+            <Route
+              path="/dashboard/SubsidyDisbursal"
+              element={
+                <ProtectedRoute stage="disbursal">
+                  <SubsidyDisbursalPage />
+                </ProtectedRoute>
+              }
+            />
+
+            {/*Payment route for user */}
+            <Route
+              path="/dashboard/Payment"
+              element={
+                <ProtectedRoute stage="payment">
+                  <PaymentPage />
+                </ProtectedRoute>
+              }
+            />
+
+            {/*Insurance route for user */}
+            <Route
+              path="/dashboard/Insurance"
+              element={
+                <ProtectedRoute stage="insurance">
+                  <InsurancePage />
+                </ProtectedRoute>
+              }
+            />
+
+            <Route
+              path="/dashboard/ModuleEntry"
+              element={
+                <ProtectedRoute stage="moduleEntry">
+                  <ModuleEntryPage />
+                </ProtectedRoute>
+              }
+            />
+
+            <Route
+              path="/dashboard/energy-analysis"
+              element={
+                <ProtectedRoute stage="energyAnalysis">
+                  <EnergyAnalysis />
+                </ProtectedRoute>
+              }
+            />
+
+            <Route
+              path="/dashboard/analysis-graph"
+              element={
+                <ProtectedRoute stage="energyAnalysis">
+                  <AnalysisGraphPage />
+                </ProtectedRoute>
+              }
+            />
+
+            <Route
+              path="/dashboard/all-graph"
+              element={
+                <ProtectedRoute stage="energyAnalysis">
+                  <AllGraph />
+                </ProtectedRoute>
+              }
+            />
+
+            <Route
+              path="/dashboard/weekly-performance-report"
+              element={
+                <ProtectedRoute stage="energyAnalysis">
+                  <WeeklyPerformanceReport />
+                </ProtectedRoute>
+              }
+            />
+
+            {/* Recycle bin route - for roles that may delete enquiries */}
+            <Route
+              path="/dashboard/recycle-bin"
+              element={
+                <ProtectedRoute stage="enquiry" permission="delete">
+                  <RecycleBinPage />
+                </ProtectedRoute>
+              }
+            />
+
+            {/* User management, admins only */}
+            <Route
+              path="/dashboard/users"
+              element={
+                <ProtectedRoute allowedRoles={["admin"]}>
+                  <UsersPage />
+                </ProtectedRoute>
+              }
+            />
+
+
+            {/* Backward compatibility redirects */}
+            <Route path="/admin/*" element={<Navigate to="/dashboard/admin" replace />} />
+            <Route path="/admin/dashboard" element={<Navigate to="/dashboard/admin" replace />} />
+            <Route path="/admin/assign-task" element={<Navigate to="/dashboard/assign-task" replace />} />
+            <Route path="/user/*" element={<Navigate to="/dashboard/admin" replace />} />
+          </Routes>
+        </SessionGuard>
       </Router>
     </DeviceProvider>
   )
@@ -0,0 +1,205 @@
+import { useEffect, useState } from "react"
+import { Clock, FolderOpen, History, Loader2, User, X } from "lucide-react"
+import { fetchAuditLog, fetchDocumentFolder } from "../lib/fmsApi"
+import { withSessionToken } from "../lib/session"
+import DocumentVersions from "./DocumentVersions"
+
+const ACTION_LABELS = {
+  insert: "Created",
+  update: "Updated",
+  updateFields: "Updated",
+  deleteRow: "Deleted",
+  updateTaskData: "Task updated",
+  updateSalesData: "Marked done",
+}
+
+const formatValue = (value) => (value === "" || value === null || value === undefined ? "(empty)" : value)
+
+// Entries written by one request share timestamp, user and action; show them
+// as one event with a list of changed fields.
+function groupEntries(entries) {
+  const events = []
+  entries.forEach((entry) => {
+    const last = events[events.length - 1]
+    if (
+      last &&
+      last.timestamp === entry.timestamp &&
+      last.username === entry.username &&
+      last.action === entry.action &&
+      last.sheetName === entry.sheetName
+    ) {
+      last.changes.push(entry)
+    } else {
+      events.push({ ...entry, changes: [entry] })
+    }
+  })
+  return events
+}
+
+// Small icon button placed next to an enquiry number in stage tables.
+export function AuditHistoryButton({ enquiryNumber, onOpen }) {
+  if (!enquiryNumber) return null
+  return (
+    <button
+      type="button"
+      onClick={(e) => {
+        e.stopPropagation()
+        onOpen(enquiryNumber)
+      }}
+      title="Change history"
+      className="ml-1 inline-flex align-middle text-gray-400 hover:text-blue-600"
+    >
+      <History className="h-3 w-3" />
+    </button>
+  )
+}
+
+// Right-hand drawer listing the Audit_Log trail of one enquiry, and on a
+// second tab the versions of its uploaded documents, with a link to its
+// document folder once it has one. Renders nothing while enquiryNumber is
+// empty.
+export function AuditHistoryDrawer({ scriptUrl, enquiryNumber, onClose }) {
+  const [entries, setEntries] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState("")
+  const [folderUrl, setFolderUrl] = useState("")
+  const [tab, setTab] = useState("changes")
+
+  useEffect(() => {
+    if (!enquiryNumber) return
+    let cancelled = false
+
+    setLoading(true)
+    setError("")
+    setEntries([])
+    setTab("changes")
+    fetchAuditLog(scriptUrl, enquiryNumber)
+      .then((result) => {
+        if (!cancelled) setEntries(result)
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message)
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [scriptUrl, enquiryNumber])
+
+  // The customer's document folder; the drawer works without it
+  useEffect(() => {
+    if (!enquiryNumber) return
+    let cancelled = false
+
+    setFolderUrl("")
+    fetchDocumentFolder(scriptUrl, enquiryNumber)
+      .then((url) => {
+        if (!cancelled) setFolderUrl(url)
+      })
+      .catch((err) => console.warn("Document folder lookup failed:", err.message))
+
+    return () => {
+      cancelled = true
+    }
+  }, [scriptUrl, enquiryNumber])
+
+  if (!enquiryNumber) return null
+
+  const events = groupEntries(entries)
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end bg-black bg-opacity-30" onClick={onClose}>
+      <div className="h-full w-full max-w-md bg-white shadow-2xl flex flex-col" onClick={(e) => e.stopPropagation()}>
+        <div className="border-b border-gray-200 p-4 flex items-center justify-between">
+          <h3 className="text-lg font-medium text-gray-900 flex items-center">
+            <History className="h-5 w-5 mr-2 text-blue-600" />
+            History - {enquiryNumber}
+          </h3>
+          <div className="flex items-center space-x-3">
+            {folderUrl && (
+              <a
+                href={withSessionToken(folderUrl)}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
+              >
+                <FolderOpen className="h-4 w-4 mr-1" />
+                Documents
+              </a>
+            )}
+            <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+        </div>
+
+        <div className="border-b border-gray-200 px-4 flex space-x-4 text-sm">
+          {[
+            ["changes", "Changes"],
+            ["documents", "Document versions"],
+          ].map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => setTab(key)}
+              className={`py-2 border-b-2 -mb-px ${
+                tab === key ? "border-blue-600 text-blue-600 font-medium" : "border-transparent text-gray-500 hover:text-gray-700"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4">
+          {tab === "documents" ? (
+            <DocumentVersions scriptUrl={scriptUrl} enquiryNumber={enquiryNumber} />
+          ) : loading ? (
+            <div className="flex items-center justify-center py-12 text-gray-500 text-sm">
+              <Loader2 className="h-5 w-5 mr-2 animate-spin" />
+              Loading history...
+            </div>
+          ) : error ? (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-2 rounded-md text-sm">{error}</div>
+          ) : events.length === 0 ? (
+            <div className="text-center py-12 text-gray-500 text-sm">No recorded changes for this enquiry.</div>
+          ) : (
+            <ol className="space-y-4">
+              {events.map((event, index) => (
+                <li key={index} className="border border-gray-200 rounded-lg p-3">
+                  <div className="flex items-center justify-between text-xs text-gray-500 mb-2">
+                    <span className="flex items-center">
+                      <User className="h-3 w-3 mr-1" />
+                      {event.username}
+                      <span className="ml-2 px-2 py-0.5 rounded-full bg-blue-50 text-blue-700">
+                        {ACTION_LABELS[event.action] || event.action}
+                      </span>
+                    </span>
+                    <span className="flex items-center">
+                      <Clock className="h-3 w-3 mr-1" />
+                      {event.timestamp}
+                    </span>
+                  </div>
+                  <ul className="space-y-1 text-xs">
+                    {event.changes.map((change, changeIndex) => (
+                      <li key={changeIndex} className="text-gray-700">
+                        <span className="font-medium">{change.header || change.column}</span>
+                        {change.column && <span className="text-gray-400"> ({change.column})</span>}
+                        {": "}
+                        <span className="line-through text-red-600 break-all">{formatValue(change.oldValue)}</span>
+                        {" → "}
+                        <span className="text-green-700 break-all">{formatValue(change.newValue)}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,17 @@
+import { openDocument } from "../lib/documentAccess"
+
+// A link to an uploaded file that opens it through openDocument() rather than
+// its Drive URL, which only the script's account can open.
+export default function DocumentLink({ scriptUrl, href, className, title, children }) {
+  const handleClick = (e) => {
+    e.preventDefault()
+    e.stopPropagation()
+    openDocument(scriptUrl, href)
+  }
+
+  return (
+    <a href={href} onClick={handleClick} className={className} title={title}>
+      {children}
+    </a>
+  )
+}
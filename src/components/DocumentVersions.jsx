@@ -0,0 +1,104 @@
+import { useEffect, useState } from "react"
+import { Clock, Eye, FileText, Loader2, User } from "lucide-react"
+import { fetchDocumentVersions } from "../lib/fmsApi"
+import DocumentLink from "./DocumentLink"
+
+// Every version of each document uploaded for one enquiry, newest first,
+// with the one(s) its cell links to now marked as current. Loads when it is
+// shown.
+export default function DocumentVersions({ scriptUrl, enquiryNumber }) {
+  const [documents, setDocuments] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState("")
+
+  useEffect(() => {
+    if (!enquiryNumber) return
+    let cancelled = false
+
+    setLoading(true)
+    setError("")
+    setDocuments([])
+    fetchDocumentVersions(scriptUrl, enquiryNumber)
+      .then((result) => {
+        if (!cancelled) setDocuments(result)
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message)
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [scriptUrl, enquiryNumber])
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-12 text-gray-500 text-sm">
+        <Loader2 className="h-5 w-5 mr-2 animate-spin" />
+        Loading documents...
+      </div>
+    )
+  }
+  if (error) {
+    return <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-2 rounded-md text-sm">{error}</div>
+  }
+  if (documents.length === 0) {
+    return <div className="text-center py-12 text-gray-500 text-sm">No documents uploaded for this enquiry.</div>
+  }
+
+  return (
+    <ol className="space-y-4">
+      {documents.map((document) => (
+        <li key={`${document.sheetName}-${document.header}`} className="border border-gray-200 rounded-lg p-3">
+          <div className="flex items-center text-sm font-medium text-gray-900 mb-2">
+            <FileText className="h-4 w-4 mr-2 text-blue-600" />
+            {document.header}
+            <span className="ml-1 text-xs font-normal text-gray-400">({document.column})</span>
+          </div>
+          <ul className="space-y-2 text-xs">
+            {[...document.versions].reverse().map((version) => (
+              <li
+                key={version.version}
+                className={`flex items-start justify-between rounded px-2 py-1 ${version.current ? "bg-green-50" : ""}`}
+              >
+                <div className="text-gray-600">
+                  <span className="font-medium text-gray-900">v{version.version}</span>
+                  {version.current && (
+                    <span className="ml-2 px-2 py-0.5 rounded-full bg-green-100 text-green-700">Current</span>
+                  )}
+                  <div className="mt-1 flex items-center flex-wrap gap-x-3 text-gray-500">
+                    {version.uploadedBy ? (
+                      <>
+                        <span className="flex items-center">
+                          <User className="h-3 w-3 mr-1" />
+                          {version.uploadedBy}
+                        </span>
+                        <span className="flex items-center">
+                          <Clock className="h-3 w-3 mr-1" />
+                          {version.recordedAt}
+                        </span>
+                      </>
+                    ) : (
+                      <span className="italic">Uploaded before version history was kept</span>
+                    )}
+                  </div>
+                </div>
+                <DocumentLink
+                  scriptUrl={scriptUrl}
+                  href={version.fileUrl}
+                  className="text-blue-600 hover:text-blue-800 flex items-center shrink-0 ml-2"
+                >
+                  <Eye className="h-3 w-3 mr-1" />
+                  View
+                </DocumentLink>
+              </li>
+            ))}
+          </ul>
+        </li>
+      ))}
+    </ol>
+  )
+}
@@ -0,0 +1,6 @@
+// Inline message under a form input whose value the backend rejected (see
+// `fieldErrors` in lib/fmsApi.js). Renders nothing without a message.
+export default function FieldError({ message }) {
+  if (!message) return null
+  return <p className="mt-1 text-xs text-red-600">{message}</p>
+}
@@ -0,0 +1,21 @@
+import { Eye } from "lucide-react"
+import { splitFileLinks } from "../lib/driveUpload"
+import DocumentLink from "./DocumentLink"
+
+// "View" link(s) for a cell holding one or more uploaded file links, or a
+// dash when it is empty. scriptUrl is the web app that serves the documents.
+export default function FileLinks({ scriptUrl, value, className = "text-blue-600 hover:text-blue-800 flex items-center text-xs" }) {
+  const links = splitFileLinks(value)
+  if (links.length === 0) return <span className="text-gray-400 text-xs">—</span>
+
+  return (
+    <div className="space-y-1">
+      {links.map((link, index) => (
+        <DocumentLink key={link} scriptUrl={scriptUrl} href={link} className={className}>
+          <Eye className="h-3 w-3 mr-1" />
+          {links.length > 1 ? `View ${index + 1}` : "View"}
+        </DocumentLink>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,66 @@
+import { AlertTriangle, CheckCircle2, RefreshCw, X, XCircle } from "lucide-react"
+
+// Per-row outcome of a useFmsBatchSave() bulk submit: how many rows were
+// written, and for each row that was not, why, with a retry for those rows
+// that did not hit a conflict.
+// Renders nothing until a batch has been sent.
+export default function FmsBatchResult({ result, onRetry, isRetrying, onDismiss }) {
+  if (!result) return null
+
+  const failed = result.filter((row) => !row.success)
+  const allWritten = failed.length === 0
+  const canRetry = failed.some((row) => !row.conflict)
+
+  return (
+    <div
+      className={`p-4 border rounded-md shadow-sm ${allWritten ? "bg-green-50 border-green-200" : "bg-amber-50 border-amber-200"}`}
+    >
+      <div className="flex items-center justify-between">
+        <span className={`flex items-center text-sm font-medium ${allWritten ? "text-green-700" : "text-amber-800"}`}>
+          {allWritten ? (
+            <CheckCircle2 className="h-4 w-4 mr-2" />
+          ) : (
+            <AlertTriangle className="h-4 w-4 mr-2" />
+          )}
+          {result.length - failed.length} of {result.length} record(s) updated
+          {!allWritten && `, ${failed.length} failed`}
+        </span>
+        <div className="flex items-center space-x-3">
+          {canRetry && (
+            <button
+              onClick={onRetry}
+              disabled={isRetrying}
+              className="px-4 py-1.5 bg-amber-600 text-white rounded-md hover:bg-amber-700 focus:outline-none focus:ring-2 focus:ring-amber-500 disabled:opacity-50 text-xs flex items-center"
+            >
+              <RefreshCw className={`h-3 w-3 mr-1 ${isRetrying ? "animate-spin" : ""}`} />
+              {isRetrying ? "Retrying..." : "Retry failed"}
+            </button>
+          )}
+          <button onClick={onDismiss} disabled={isRetrying} className="text-gray-400 hover:text-gray-600">
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+
+      <ul className="mt-3 divide-y divide-gray-200 border rounded-md bg-white text-xs max-h-60 overflow-y-auto">
+        {result.map((row) => (
+          <li key={row.id} className="px-3 py-2 flex items-start">
+            {row.success ? (
+              <CheckCircle2 className="h-4 w-4 text-green-600 mr-2 shrink-0" />
+            ) : (
+              <XCircle className="h-4 w-4 text-red-600 mr-2 shrink-0" />
+            )}
+            <span className="font-medium text-gray-900 mr-2 whitespace-nowrap">{row.enquiryNumber || "—"}</span>
+            <span className={row.success ? "text-gray-500" : "text-red-700 break-all"}>
+              {row.success
+                ? "Updated"
+                : row.conflict
+                  ? "Changed by someone else after it was loaded; reload the page to see their change, then submit again"
+                  : row.error}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
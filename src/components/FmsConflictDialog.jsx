@@ -0,0 +1,156 @@
+import { useEffect, useState } from "react"
+import { AlertTriangle, X } from "lucide-react"
+import { FMS_COLUMNS, getFmsHeaderName } from "../lib/fmsSchema"
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === "") return "(empty)"
+  return value.toString()
+}
+
+// Shown by stage pages while a useFmsSave() write is held by a version
+// conflict. Lists every field the user tried to save next to its current
+// value in the sheet and lets them retry with their own values or merge,
+// keeping the sheet's value for the fields they pick.
+export default function FmsConflictDialog({ conflict, onResolve }) {
+  const [choices, setChoices] = useState({})
+  const [isSaving, setIsSaving] = useState(false)
+
+  const fields = conflict ? conflict.fields : {}
+  const current = conflict ? conflict.result.current || {} : {}
+
+  const rows = Object.entries(fields)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, mine]) => {
+      const name = getFmsHeaderName(key)
+      const theirs = current[name] ? current[name].value : ""
+      return {
+        key,
+        label: FMS_COLUMNS[key].header,
+        column: current[name] ? current[name].column : "",
+        mine,
+        theirs,
+        same: formatValue(mine) === formatValue(theirs),
+      }
+    })
+
+  useEffect(() => {
+    setChoices({})
+    setIsSaving(false)
+  }, [conflict])
+
+  if (!conflict) return null
+
+  const choose = (key, side) => setChoices((prev) => ({ ...prev, [key]: side }))
+
+  const submit = async (merge) => {
+    const selected = {}
+    rows.forEach((row) => {
+      if (!merge || (choices[row.key] || "mine") === "mine") {
+        selected[row.key] = row.mine
+      }
+    })
+    setIsSaving(true)
+    await onResolve(selected)
+    setIsSaving(false)
+  }
+
+  const keepsAny = rows.some((row) => (choices[row.key] || "mine") === "mine")
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 overflow-y-auto h-full w-full z-[60] flex items-center justify-center p-4">
+      <div className="relative bg-white border max-w-3xl w-full shadow-2xl rounded-lg max-h-[90vh] overflow-y-auto">
+        <div className="sticky top-0 bg-white border-b border-gray-200 p-4 rounded-t-lg">
+          <div className="flex items-center justify-between">
+            <h3 className="text-lg font-medium text-gray-900 flex items-center">
+              <AlertTriangle className="h-5 w-5 text-amber-500 mr-2" />
+              Record changed - Enquiry: {conflict.result.enquiryNumber}
+            </h3>
+            <button onClick={() => onResolve(null)} disabled={isSaving} className="text-gray-400 hover:text-gray-600">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6">
+          <p className="text-sm text-gray-600 mb-4">
+            Someone else updated this record after you opened it. Compare the values below, then retry with your
+            values or pick, field by field, which value to keep.
+          </p>
+
+          <div className="overflow-x-auto border rounded-md">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Field</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Now in sheet</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Your value</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {rows.map((row) => {
+                  const choice = choices[row.key] || "mine"
+                  return (
+                    <tr key={row.key} className={row.same ? "" : "bg-amber-50"}>
+                      <td className="px-4 py-2 text-gray-900">
+                        {row.label}
+                        {row.column && <span className="text-xs text-gray-400 ml-1">({row.column})</span>}
+                      </td>
+                      <td className="px-4 py-2">
+                        <label className="flex items-start space-x-2 cursor-pointer">
+                          <input
+                            type="radio"
+                            name={`conflict-${row.key}`}
+                            checked={choice === "theirs"}
+                            onChange={() => choose(row.key, "theirs")}
+                            className="mt-1"
+                          />
+                          <span className="break-all text-gray-700">{formatValue(row.theirs)}</span>
+                        </label>
+                      </td>
+                      <td className="px-4 py-2">
+                        <label className="flex items-start space-x-2 cursor-pointer">
+                          <input
+                            type="radio"
+                            name={`conflict-${row.key}`}
+                            checked={choice === "mine"}
+                            onChange={() => choose(row.key, "mine")}
+                            className="mt-1"
+                          />
+                          <span className="break-all text-gray-700">{formatValue(row.mine)}</span>
+                        </label>
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex justify-end space-x-4 mt-6 pt-4 border-t">
+            <button
+              onClick={() => onResolve(null)}
+              disabled={isSaving}
+              className="px-6 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-gray-500 disabled:opacity-50 text-sm"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={() => submit(true)}
+              disabled={isSaving || !keepsAny}
+              className="px-6 py-2 border border-blue-500 text-blue-600 rounded-md hover:bg-blue-50 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 text-sm"
+            >
+              Save merged values
+            </button>
+            <button
+              onClick={() => submit(false)}
+              disabled={isSaving}
+              className="px-6 py-2 bg-linear-to-r from-green-500 to-blue-600 text-white rounded-md hover:from-green-600 hover:to-blue-700 focus:outline-none focus:ring-2 focus:ring-green-500 disabled:opacity-50 text-sm"
+            >
+              {isSaving ? "Saving..." : "Retry with my values"}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,9 @@
+import { useState } from "react"
+import { FmsStoreContext, createFmsStore } from "../lib/fmsCache"
+
+// Holds the FMS data cache shared by every page rendered inside it, so moving
+// between stage pages reuses what was already fetched (see useFmsStage).
+export default function FmsDataProvider({ children }) {
+  const [store] = useState(createFmsStore)
+  return <FmsStoreContext.Provider value={store}>{children}</FmsStoreContext.Provider>
+}
@@ -0,0 +1,38 @@
+import { AlertTriangle, Loader2, MapPin } from "lucide-react"
+
+const formatCoordinate = (value) => value.toFixed(5)
+
+// Where each picked photo was taken, from a usePhotoGeotags() field, with a
+// warning for photos without GPS data or taken far from the site. Renders
+// nothing until photos are picked.
+export default function GeotagNotice({ photos }) {
+  if (!photos || photos.length === 0) return null
+
+  return (
+    <ul className="mt-2 space-y-1 text-xs">
+      {photos.map((photo, index) => (
+        <li
+          key={`${photo.name}-${index}`}
+          className={`flex items-start px-2 py-1 rounded border ${
+            photo.warning ? "text-amber-700 bg-amber-50 border-amber-100" : "text-gray-600 bg-gray-50 border-gray-100"
+          }`}
+        >
+          {photo.checking ? (
+            <Loader2 className="h-3 w-3 mr-1 mt-0.5 animate-spin shrink-0" />
+          ) : photo.warning ? (
+            <AlertTriangle className="h-3 w-3 mr-1 mt-0.5 shrink-0" />
+          ) : (
+            <MapPin className="h-3 w-3 mr-1 mt-0.5 text-green-600 shrink-0" />
+          )}
+          <span className="break-all">
+            {photos.length > 1 && <span className="font-medium">{photo.name}: </span>}
+            {photo.latitude !== null && `${formatCoordinate(photo.latitude)}, ${formatCoordinate(photo.longitude)}`}
+            {photo.takenAt && ` · taken ${photo.takenAt}`}
+            {photo.checking && " · checking location..."}
+            {photo.warning && (photo.latitude !== null ? ` · ${photo.warning}` : photo.warning)}
+          </span>
+        </li>
+      ))}
+    </ul>
+  )
+}
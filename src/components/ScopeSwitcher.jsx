@@ -0,0 +1,101 @@
+import { useState } from "react"
+import { Filter, MapPin } from "lucide-react"
+import { activeScope, isScopeLimited, setAdminScope } from "../lib/session"
+
+const SCOPE_FIELDS = [
+  { name: "district", label: "Districts", placeholder: "All districts" },
+  { name: "branch", label: "Branches", placeholder: "All branches" },
+  { name: "vendor", label: "Vendors", placeholder: "All vendors" },
+]
+
+const describeScope = (scope) =>
+  isScopeLimited(scope)
+    ? SCOPE_FIELDS.filter((field) => scope[field.name])
+        .map((field) => scope[field.name])
+        .join(" · ")
+    : "All data"
+
+// The districts, branches and vendors the data on every page is limited to
+// (see "Data scope" in apps-script-complete.gs). Users see theirs; admins
+// see everything unless they narrow it here. A new scope reloads the page,
+// since the stage lists and dashboard were fetched for the old one.
+export default function ScopeSwitcher() {
+  const isAdmin = sessionStorage.getItem("role") === "admin"
+  const [scope] = useState(activeScope)
+  const [isOpen, setIsOpen] = useState(false)
+  const [values, setValues] = useState(scope)
+
+  if (!isAdmin) {
+    if (!isScopeLimited(scope)) return <div className="w-8"></div>
+    return (
+      <div
+        className="flex items-center gap-1 max-w-[40%] truncate rounded-full bg-blue-50 px-3 py-1 text-xs text-blue-700"
+        title="Your data scope"
+      >
+        <MapPin className="h-3 w-3 shrink-0" />
+        <span className="truncate">{describeScope(scope)}</span>
+      </div>
+    )
+  }
+
+  const applyScope = (next) => {
+    setAdminScope(next)
+    window.location.reload()
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    applyScope({
+      district: values.district.trim(),
+      branch: values.branch.trim().toUpperCase(),
+      vendor: values.vendor.trim(),
+    })
+  }
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen((open) => !open)}
+        className={`flex items-center gap-1 max-w-[12rem] rounded-full px-3 py-1 text-xs ${
+          isScopeLimited(scope) ? "bg-purple-100 text-purple-700" : "bg-blue-50 text-blue-700 hover:bg-blue-100"
+        }`}
+        title="Limit the data shown to some districts, branches or vendors"
+      >
+        <Filter className="h-3 w-3 shrink-0" />
+        <span className="truncate">{describeScope(scope)}</span>
+      </button>
+
+      {isOpen && (
+        <form
+          onSubmit={handleSubmit}
+          className="absolute right-0 mt-2 w-64 z-30 bg-white border border-gray-200 rounded-lg shadow-lg p-4 space-y-3"
+        >
+          {SCOPE_FIELDS.map((field) => (
+            <div key={field.name}>
+              <label className="block text-xs font-medium text-gray-700 mb-1">{field.label}</label>
+              <input
+                value={values[field.name]}
+                onChange={(e) => setValues((prev) => ({ ...prev, [field.name]: e.target.value }))}
+                placeholder={field.placeholder}
+                className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+          ))}
+          <p className="text-xs text-gray-500">Separate several values with commas.</p>
+          <div className="flex justify-end space-x-2">
+            <button
+              type="button"
+              onClick={() => applyScope({ district: "", branch: "", vendor: "" })}
+              className="px-3 py-1 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 text-xs"
+            >
+              Show all
+            </button>
+            <button type="submit" className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 text-xs">
+              Apply
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  )
+}
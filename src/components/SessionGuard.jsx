@@ -0,0 +1,253 @@
+import { useCallback, useEffect, useRef, useState } from "react"
+import { useNavigate } from "react-router-dom"
+import { Clock, Lock } from "lucide-react"
+import { useFmsStore } from "../lib/fmsCache"
+import {
+  announceSignOut,
+  checkSession,
+  clearSession,
+  lastActivity,
+  login,
+  logout,
+  onSignOutElsewhere,
+  recordActivity,
+  refreshSession,
+  sessionEnd,
+  sessionExpiry,
+  sessionToken,
+} from "../lib/session"
+import { config } from "../lib/config"
+
+const CONFIG = {
+  APPS_SCRIPT_URL: config.appsScriptUrl,
+  // How often the token is refreshed while the user is active, or checked
+  // while they are not
+  CHECK_INTERVAL_MS: 2 * 60 * 1000,
+  // How long before the session ends the warning appears
+  WARNING_MS: 2 * 60 * 1000,
+  ACTIVITY_THROTTLE_MS: 10 * 1000,
+}
+
+const ACTIVITY_EVENTS = ["mousedown", "keydown", "scroll", "touchstart"]
+
+const formatCountdown = (ms) => {
+  const seconds = Math.max(0, Math.ceil(ms / 1000))
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`
+}
+
+// Keeps the signed-in session going while the user works and ends it when
+// they stop (see "Sessions" in apps-script-complete.gs). Activity in any of
+// the user's tabs refreshes the token; a dialog warns before an idle session
+// expires or the session reaches its lifetime, and once it has ended asks
+// for the password again. The page stays mounted under these dialogs, so
+// open forms keep what was typed into them. A logout in another tab, or the
+// backend refusing the session (account deactivated or logged out
+// elsewhere), signs this tab out too.
+export default function SessionGuard({ children }) {
+  const navigate = useNavigate()
+  const fmsStore = useFmsStore()
+  const [now, setNow] = useState(Date.now)
+  const [endingDismissed, setEndingDismissed] = useState(false)
+  const [password, setPassword] = useState("")
+  const [signInError, setSignInError] = useState("")
+  const [isSigningIn, setIsSigningIn] = useState(false)
+  const tokenRef = useRef("")
+  const lastCheck = useRef(0)
+  const lastRefresh = useRef(0)
+  const checking = useRef(false)
+
+  const leave = useCallback(
+    (message) => {
+      clearSession()
+      fmsStore.clear()
+      setPassword("")
+      navigate("/login", { replace: true, state: message ? { message } : undefined })
+    },
+    [fmsStore, navigate],
+  )
+
+  // Note activity, a few times a minute at most
+  useEffect(() => {
+    let last = 0
+    const onActivity = () => {
+      const current = Date.now()
+      if (current - last < CONFIG.ACTIVITY_THROTTLE_MS) return
+      last = current
+      if (sessionExpiry() > current) recordActivity()
+    }
+    ACTIVITY_EVENTS.forEach((name) => window.addEventListener(name, onActivity, { capture: true, passive: true }))
+    return () => ACTIVITY_EVENTS.forEach((name) => window.removeEventListener(name, onActivity, { capture: true }))
+  }, [])
+
+  useEffect(() => onSignOutElsewhere(() => leave("You logged out in another tab.")), [leave])
+
+  // Once a second: update the countdowns, and refresh or check the token
+  // when it is time to
+  useEffect(() => {
+    const tick = async () => {
+      const current = Date.now()
+      setNow(current)
+
+      const token = sessionToken()
+      if (token !== tokenRef.current) {
+        tokenRef.current = token
+        lastCheck.current = current
+        lastRefresh.current = current
+        setEndingDismissed(false)
+      }
+      const expiry = sessionExpiry(token)
+      if (!token || checking.current || expiry <= current) return
+
+      const extendable = expiry < sessionEnd(token)
+      const active = extendable && lastActivity() > lastRefresh.current
+      const warning = expiry - current <= CONFIG.WARNING_MS
+      if (current - lastCheck.current < CONFIG.CHECK_INTERVAL_MS && !(active && warning)) return
+
+      checking.current = true
+      lastCheck.current = current
+      try {
+        if (active) {
+          await refreshSession(CONFIG.APPS_SCRIPT_URL)
+          tokenRef.current = sessionToken()
+          lastRefresh.current = Date.now()
+        } else {
+          await checkSession(CONFIG.APPS_SCRIPT_URL)
+        }
+      } catch (error) {
+        if (error.authError && sessionToken() === token && sessionExpiry(token) > Date.now()) {
+          announceSignOut()
+          leave("You were signed out: your account was logged out elsewhere or deactivated.")
+        } else {
+          console.warn("Session check failed:", error.message)
+        }
+      } finally {
+        checking.current = false
+      }
+    }
+
+    const timer = setInterval(tick, 1000)
+    return () => clearInterval(timer)
+  }, [leave])
+
+  const stayActive = () => {
+    recordActivity()
+    lastCheck.current = 0
+  }
+
+  const handleLogout = async () => {
+    await logout(CONFIG.APPS_SCRIPT_URL)
+    leave()
+  }
+
+  const handleSignIn = async (e) => {
+    e.preventDefault()
+    setIsSigningIn(true)
+    setSignInError("")
+    try {
+      await login(CONFIG.APPS_SCRIPT_URL, sessionStorage.getItem("username") || "", password.trim())
+      setPassword("")
+      setNow(Date.now())
+    } catch (error) {
+      setSignInError(error.message)
+    } finally {
+      setIsSigningIn(false)
+    }
+  }
+
+  const token = sessionToken()
+  const expiry = sessionExpiry(token)
+  const end = sessionEnd(token)
+  let dialog = null
+  if (token && expiry <= now) {
+    dialog = "ended"
+  } else if (token && end - now <= CONFIG.WARNING_MS) {
+    dialog = endingDismissed ? null : "ending"
+  } else if (token && expiry - now <= CONFIG.WARNING_MS) {
+    dialog = "idle"
+  }
+
+  return (
+    <>
+      {children}
+
+      {dialog === "ended" && (
+        <div className="fixed inset-0 bg-gray-900 z-[70] flex items-center justify-center p-4">
+          <form onSubmit={handleSignIn} className="bg-white max-w-sm w-full shadow-2xl rounded-lg p-6 space-y-4">
+            <div className="flex items-center justify-center w-12 h-12 mx-auto rounded-full bg-blue-100">
+              <Lock className="h-6 w-6 text-blue-600" />
+            </div>
+            <div className="text-center">
+              <h3 className="text-lg font-medium text-gray-900 mb-1">Session Ended</h3>
+              <p className="text-sm text-gray-500">
+                Sign in again as {sessionStorage.getItem("username")} to carry on where you left off. Anything you were
+                typing is kept.
+              </p>
+            </div>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Password"
+              autoComplete="current-password"
+              required
+              autoFocus
+              className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            {signInError && (
+              <div className="bg-red-50 border border-red-200 text-red-700 px-3 py-2 rounded-md text-sm">{signInError}</div>
+            )}
+            <div className="flex justify-end space-x-3">
+              <button
+                type="button"
+                onClick={() => leave()}
+                disabled={isSigningIn}
+                className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50 text-sm"
+              >
+                Sign out
+              </button>
+              <button
+                type="submit"
+                disabled={isSigningIn}
+                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 text-sm"
+              >
+                {isSigningIn ? "Signing in..." : "Sign in"}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {(dialog === "idle" || dialog === "ending") && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 z-[70] flex items-center justify-center p-4">
+          <div className="bg-white max-w-sm w-full shadow-2xl rounded-lg p-6">
+            <div className="flex items-center justify-center w-12 h-12 mx-auto mb-4 rounded-full bg-amber-100">
+              <Clock className="h-6 w-6 text-amber-600" />
+            </div>
+            <h3 className="text-lg font-medium text-gray-900 text-center mb-2">
+              {dialog === "idle" ? "Are you still there?" : "Session Ending"}
+            </h3>
+            <p className="text-sm text-gray-500 text-center mb-4">
+              {dialog === "idle"
+                ? `You will be signed out in ${formatCountdown(expiry - now)} because you have been inactive.`
+                : `Your session ends in ${formatCountdown(end - now)}. Save your work; you will be asked to sign in again.`}
+            </p>
+            <div className="flex justify-end space-x-3">
+              <button
+                onClick={handleLogout}
+                className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 text-sm"
+              >
+                Log out
+              </button>
+              <button
+                onClick={dialog === "idle" ? stayActive : () => setEndingDismissed(true)}
+                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 text-sm"
+              >
+                {dialog === "idle" ? "Stay signed in" : "OK"}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  )
+}
@@ -0,0 +1,40 @@
+import { AlertCircle, CheckCircle2, Loader2 } from "lucide-react"
+
+// One progress bar per file of a useDriveUploads() list. Renders nothing
+// while the list is empty.
+export default function UploadProgress({ uploads }) {
+  if (!uploads || uploads.length === 0) return null
+
+  return (
+    <div className="space-y-2">
+      {uploads.map((upload) => (
+        <div key={upload.id} className="text-xs">
+          <div className="flex items-center justify-between mb-1">
+            <span className="flex items-center truncate text-gray-700">
+              {upload.error ? (
+                <AlertCircle className="h-3 w-3 mr-1 text-red-600 shrink-0" />
+              ) : upload.done ? (
+                <CheckCircle2 className="h-3 w-3 mr-1 text-green-600 shrink-0" />
+              ) : (
+                <Loader2 className="h-3 w-3 mr-1 text-blue-600 animate-spin shrink-0" />
+              )}
+              <span className="truncate">{upload.name}</span>
+            </span>
+            <span className={`ml-2 font-medium ${upload.error ? "text-red-600" : "text-gray-500"}`}>
+              {upload.error ? "Failed" : `${upload.progress}%`}
+            </span>
+          </div>
+          <div className="w-full bg-gray-100 rounded-full h-1.5 overflow-hidden">
+            <div
+              className={`h-1.5 rounded-full transition-all duration-300 ${upload.error ? "bg-red-500" : upload.done ? "bg-green-500" : "bg-blue-600"}`}
+              style={{ width: `${upload.progress}%` }}
+            />
+          </div>
+          {upload.error && (
+            <p className="mt-1 text-red-600">{upload.error}. Uploading the same file again resumes where it stopped.</p>
+          )}
+        </div>
+      ))}
+    </div>
+  )
+}
@@ -28,8 +28,18 @@ import {
   DollarSign,
   CreditCard,
   ChartColumn,
-  BarChart3
+  BarChart3,
+  Trash2,
+  Users,
+  KeyRound
 } from 'lucide-react'
+import { useFmsStore } from '../../lib/fmsCache'
+import { hasSession, logout } from '../../lib/session'
+import { can } from '../../lib/permissions'
+import ScopeSwitcher from '../ScopeSwitcher'
+import { config } from '../../lib/config'
+
+const APPS_SCRIPT_URL = config.appsScriptUrl
 
 export default function AdminLayout({ children, darkMode, toggleDarkMode }) {
   const location = useLocation()
@@ -38,13 +48,14 @@ export default function AdminLayout({ children, darkMode, toggleDarkMode }) {
   const [isDataSubmenuOpen, setIsDataSubmenuOpen] = useState(false)
   const [username, setUsername] = useState("")
   const [userRole, setUserRole] = useState("")
+  const fmsStore = useFmsStore()
 
   // Check authentication on component mount
   useEffect(() => {
     const storedUsername = sessionStorage.getItem('username')
     const storedRole = sessionStorage.getItem('role')
 
-    if (!storedUsername) {
+    if (!storedUsername || !hasSession()) {
       // Redirect to login if not authenticated
       navigate("/login")
       return
@@ -54,11 +65,10 @@ export default function AdminLayout({ children, darkMode, toggleDarkMode }) {
     setUserRole(storedRole || "user")
   }, [navigate])
 
-  // Handle logout
-  const handleLogout = () => {
-    sessionStorage.removeItem('username')
-    sessionStorage.removeItem('role')
-    sessionStorage.removeItem('department')
+  // Handle logout: ends the user's sessions in every tab
+  const handleLogout = async () => {
+    await logout(APPS_SCRIPT_URL)
+    fmsStore.clear()
     navigate("/login")
   }
 
@@ -83,162 +93,176 @@ export default function AdminLayout({ children, darkMode, toggleDarkMode }) {
       href: "/dashboard/admin",
       label: "Dashboard",
       icon: Database,
-      active: location.pathname === "/dashboard/admin",
-      showFor: ["admin", "user"]
+      active: location.pathname === "/dashboard/admin"
     },
     {
       href: "/dashboard/assign-task",
       label: "Enquiry Form",
       icon: FileText,
       active: location.pathname === "/dashboard/assign-task",
-      showFor: ["admin", "user"]
+      stage: "enquiry"
     },
     {
       href: "/dashboard/SurveyReport",
       label: "Site Survey",
       icon: Search,
       active: location.pathname === "/dashboard/SurveyReport",
-      showFor: ["admin", "user"]
+      stage: "survey"
     },
     {
       href: "/dashboard/Quotationsend",
       label: "Quotation",
       icon: Send,
       active: location.pathname === "/dashboard/Quotationsend",
-      showFor: ["admin", "user"]
+      stage: "quotation"
     },
     {
       href: "/dashboard/Followup",
       label: "Follow Up",
       icon: Phone,
       active: location.pathname === "/dashboard/Followup",
-      showFor: ["admin", "user"]
+      stage: "followup"
     },
     {
       href: "/dashboard/OrderPlace",
       label: "Solarkart ",
       icon: ShoppingCart,
       active: location.pathname === "/dashboard/OrderPlace",
-      showFor: ["admin", "user"]
+      stage: "order"
     },
     {
       href: "/dashboard/IPAssigment",
       label: "IP Assignment",
       icon: UserCheck,
       active: location.pathname === "/dashboard/IPAssigment",
-      showFor: ["admin", "user"]
+      stage: "ipAssignment"
     },
     {
       href: "/dashboard/Dispatchmaterial",
       label: "Dispatch Material",
       icon: Truck,
       active: location.pathname === "/dashboard/Dispatchmaterial",
-      showFor: ["admin", "user"]
+      stage: "dispatch"
     },
     {
       href: "/dashboard/InformToCustomer",
       label: "Inform To Customer",
       icon: Bell,
       active: location.pathname === "/dashboard/InformToCustomer",
-      showFor: ["admin", "user"]
+      stage: "inform"
     },
     {
       href: "/dashboard/Materialreceived",
       label: "Material Received",
       icon: Package,
       active: location.pathname === "/dashboard/Materialreceived",
-      showFor: ["admin", "user"]
+      stage: "receipt"
     },
     {
       href: "/dashboard/Installation",
       label: "Installation",
       icon: Wrench,
       active: location.pathname === "/dashboard/Installation",
-      showFor: ["admin", "user"]
+      stage: "installation"
     },
     {
       href: "/dashboard/Billing",
       label: "Billings and Payment Details",
       icon: Receipt,
       active: location.pathname === "/dashboard/Billing",
-      showFor: ["admin", "user"]
+      stage: "billing"
     },
     {
       href: "/dashboard/CspdclForSynconization",
       label: "Mandatory Documents for Synchronization",
       icon: Zap,
       active: location.pathname === "/dashboard/CspdclForSynconization",
-      showFor: ["admin", "user"]
+      stage: "documents"
     },
     {
       href: "/dashboard/Inspection",
       label: "Inspection",
       icon: CheckCircle,
       active: location.pathname === "/dashboard/Inspection",
-      showFor: ["admin", "user"]
+      stage: "inspection"
     },
     {
       href: "/dashboard/ProjectCommission",
       label: "Project Commission",
       icon: CheckSquare,
       active: location.pathname === "/dashboard/ProjectCommission",
-      showFor: ["admin", "user"]
+      stage: "commissioning"
     },
     {
       href: "/dashboard/Redemption",
       label: "Subsidy Redemption",
       icon: RotateCcw,
       active: location.pathname === "/dashboard/Redemption",
-      showFor: ["admin", "user"]
+      stage: "redemption"
     },
     {
       href: "/dashboard/SubsidyDisbursal",
       label: "Subsidy Disbursal",
       icon: DollarSign,
       active: location.pathname === "/dashboard/SubsidyDisbursal",
-      showFor: ["admin", "user"]
+      stage: "disbursal"
     },
     {
       href: "/dashboard/Payment",
       label: "Payment",
       icon: CreditCard,
       active: location.pathname === "/dashboard/Payment",
-      showFor: ["admin", "user"]
+      stage: "payment"
     },
     {
       href: "/dashboard/Insurance",
       label: "Insurance",
       icon: CreditCard,
       active: location.pathname === "/dashboard/Insurance",
-      showFor: ["admin", "user"]
+      stage: "insurance"
     },
     {
       href: "/dashboard/ModuleEntry",
       label: "Module Entry",
       icon: Package,
       active: location.pathname === "/dashboard/ModuleEntry",
-      showFor: ["admin", "user"]
+      stage: "moduleEntry"
     },
     {
       href: "/dashboard/analysis-graph",
       label: "Analysis Graph",
       icon: ChartColumn, // yahan tum koi bhi icon rakh sakte ho
       active: location.pathname === "/dashboard/analysis-graph",
-      showFor: ["admin", "user"]
+      stage: "energyAnalysis"
     },
     {
       href: "/dashboard/all-graph",
       label: "All Graph",
       icon: ChartColumn,
       active: location.pathname === "/dashboard/all-graph",
-      showFor: ["admin", "user"]
+      stage: "energyAnalysis"
     },
     {
       href: "/dashboard/weekly-performance-report",
       label: "Weekly Report",
       icon: BarChart3,
       active: location.pathname === "/dashboard/weekly-performance-report",
-      showFor: ["admin", "user"]
+      stage: "energyAnalysis"
+    },
+    {
+      href: "/dashboard/recycle-bin",
+      label: "Recycle Bin",
+      icon: Trash2,
+      active: location.pathname === "/dashboard/recycle-bin",
+      stage: "enquiry",
+      permission: "delete"
+    },
+    {
+      href: "/dashboard/users",
+      label: "Users",
+      icon: Users,
+      active: location.pathname === "/dashboard/users",
+      showFor: ["admin"]
     }
   ]
 
@@ -249,11 +273,12 @@ export default function AdminLayout({ children, darkMode, toggleDarkMode }) {
     )
   }
 
-  // Filter routes based on user role
+  // Filter routes by role and by what the user's role may do on their stage
   const getAccessibleRoutes = () => {
     const userRole = sessionStorage.getItem('role') || 'user'
     return routes.filter(route =>
-      route.showFor.includes(userRole)
+      (!route.showFor || route.showFor.includes(userRole)) &&
+      (!route.stage || can(route.stage, route.permission || 'view'))
     )
   }
 
@@ -375,6 +400,13 @@ export default function AdminLayout({ children, darkMode, toggleDarkMode }) {
                   <span className="sr-only">{darkMode ? "Light mode" : "Dark mode"}</span>
                 </button>
               )}
+              <Link
+                to="/change-password"
+                className="text-blue-700 hover:text-blue-900 p-1 rounded-full hover:bg-blue-100"
+              >
+                <KeyRound className="h-4 w-4" />
+                <span className="sr-only">Change password</span>
+              </Link>
               <button
                 onClick={handleLogout}
                 className="text-blue-700 hover:text-blue-900 p-1 rounded-full hover:bg-blue-100"
@@ -503,6 +535,13 @@ export default function AdminLayout({ children, darkMode, toggleDarkMode }) {
                       <span className="sr-only">{darkMode ? "Light mode" : "Dark mode"}</span>
                     </button>
                   )}
+                  <Link
+                    to="/change-password"
+                    className="text-blue-700 hover:text-blue-900 p-1 rounded-full hover:bg-blue-100"
+                  >
+                    <KeyRound className="h-4 w-4" />
+                    <span className="sr-only">Change password</span>
+                  </Link>
                   <button
                     onClick={handleLogout}
                     className="text-blue-700 hover:text-blue-900 p-1 rounded-full hover:bg-blue-100 "
@@ -522,7 +561,7 @@ export default function AdminLayout({ children, darkMode, toggleDarkMode }) {
         <header className="flex h-14 items-center justify-between border-b border-blue-200 bg-white px-4 md:px-6">
           <div className="flex md:hidden w-8"></div>
           <h1 className="text-lg font-semibold text-blue-700">Market Mode</h1>
-          <div className="w-8"></div>
+          <ScopeSwitcher />
         </header>
         <main className="flex-1 overflow-y-auto p-4 md:p-6 pb-20 bg-gradient-to-br from-blue-50 to-purple-50 custom-scrollbar">
           {children}
@@ -0,0 +1,121 @@
+// Where the app's data lives: the Apps Script web app, the spreadsheet behind
+// it, the Drive folders uploads go to and the iSolarCloud proxy (server.js).
+//
+// A profile names a complete set. VITE_APP_PROFILE picks one when the app is
+// built (production by default); the staging profile's values are kept in
+// config.staging.json at the repository root, so VITE_APP_PROFILE=staging is
+// the only setting needed to use it. Single values can be overridden with
+// VITE_GOOGLE_SCRIPT_URL, VITE_SPREADSHEET_ID, VITE_LOCAL_BACKEND_URL and
+// VITE_SOLAR_API_URL. A deployment may also serve /config.json, read before
+// the app starts, to pick another profile or override values without a
+// rebuild:
+//
+//   { "profile": "staging", "appsScriptUrl": "https://script.google.com/...", "spreadsheetId": "1abc...",
+//     "driveFolders": { "survey": "1def...", ... } }
+//
+// Later sources win: profile, then environment, then config.json. The script
+// opens the spreadsheet named by its SPREADSHEET_ID script property (see
+// "Configuration" in apps-script-complete.gs), so a staging deployment of
+// the script is pointed at the test spreadsheet there.
+
+import STAGING from "../../config.staging.json" with { type: "json" }
+
+const PRODUCTION = {
+  appsScriptUrl:
+    "https://script.google.com/macros/s/AKfycbzF4JjwpmtgsurRYkORyZvQPvRGc06VuBMCJM00wFbOOtVsSyFiUJx5xtb1J0P5ooyf/exec",
+  spreadsheetId: "1Kp9eEqtQfesdie6l7XEuTZne6Md8_P8qzKfGFcHhpL4",
+  // Drive folder each stage's uploads go to
+  driveFolders: {
+    enquiry: "1v42L6YoAXqHcX_Q2BZ_4GpAW-X8xWFZX",
+    survey: "1KjZwLhFFEGvrUPtnbPV-S_QFJfSPjPDR",
+    quotation: "1QNU59s_1KFG1C9Xq7ufmn6G9dLO8COYk",
+    orderPlace: "1O67xaSjucSi761g-WRA0D7i0ck344FtT",
+    ipAssignment: "1SFoN0eZ8TS6qEruTlGj-WELKkm8Gw2iU",
+    materialReceived: "1A1-QDgKUGl8Chy5wPFXdFxM7-_OKYmg1",
+    installation: "1SUhoI00UZ8jkao8tXVCPAbyBZLoYp5ko",
+    billing: "1A1-QDgKUGl8Chy5wPFXdFxM7-_OKYmg1",
+    mandatoryDocuments: "1FOIqdjF8-B4A7FCEt9EWl7qKeN3qybj7",
+    moduleEntry: "1bHOWG-zPUelUXkwowTT2W8NLauU_gpf6",
+  },
+  // Set to send every backend request to local-backend/server.js instead
+  // (see localBackend.js)
+  localBackendUrl: "",
+  solarApiUrl: "http://localhost:5000",
+}
+
+export const PROFILES = {
+  production: PRODUCTION,
+  // A copy of the spreadsheet with its own deployment of the script, as set
+  // in config.staging.json. Production's Drive folders are never used: uploads
+  // to a stage the file gives no folder are refused.
+  staging: {
+    ...PRODUCTION,
+    appsScriptUrl: STAGING.appsScriptUrl,
+    spreadsheetId: STAGING.spreadsheetId,
+    driveFolders: Object.fromEntries(
+      Object.keys(PRODUCTION.driveFolders).map((stage) => [stage, STAGING.driveFolders?.[stage] || ""]),
+    ),
+  },
+  // Everything on this machine: npm run backend:local and node server.js
+  local: { ...PRODUCTION, localBackendUrl: "http://localhost:8787" },
+}
+
+// Where a profile's values are kept, when not in this file
+const PROFILE_FILES = { staging: "config.staging.json" }
+
+// Vite fills import.meta.env; Node scripts (server.js, local-backend/
+// migrate.js) read the same variables from their environment.
+const env = import.meta.env || globalThis.process?.env || {}
+
+function environmentOverrides() {
+  const overrides = {
+    appsScriptUrl: env.VITE_GOOGLE_SCRIPT_URL,
+    spreadsheetId: env.VITE_SPREADSHEET_ID,
+    localBackendUrl: env.VITE_LOCAL_BACKEND_URL,
+    solarApiUrl: env.VITE_SOLAR_API_URL,
+  }
+  return Object.fromEntries(Object.entries(overrides).filter(([, value]) => value).map(([key, value]) => [key, value.trim()]))
+}
+
+// The active settings. Filled from the build's profile on load and again by
+// loadRuntimeConfig(); modules may read it when they load, since the app is
+// only imported after that (see main.jsx).
+export const config = {}
+
+function applyConfig(profileName, overrides = {}) {
+  const profile = PROFILES[profileName]
+  if (!profile) {
+    throw new Error(`Unknown config profile "${profileName}"; use one of ${Object.keys(PROFILES).join(", ")}`)
+  }
+  const { profile: _profile, driveFolders, ...values } = overrides
+  Object.keys(config).forEach((key) => delete config[key])
+  Object.assign(config, profile, environmentOverrides(), values, {
+    profile: profileName,
+    driveFolders: { ...profile.driveFolders, ...driveFolders },
+  })
+  for (const key of ["appsScriptUrl", "spreadsheetId"]) {
+    if (!config[key]) console.error(`Config profile "${profileName}" has no ${key}; set it in ${PROFILE_FILES[profileName] || "the environment or config.json"}`)
+  }
+  const missingFolders = Object.keys(config.driveFolders).filter((stage) => !config.driveFolders[stage])
+  if (missingFolders.length > 0) {
+    console.error(`Config profile "${profileName}" has no Drive folder for ${missingFolders.join(", ")}; set driveFolders in ${PROFILE_FILES[profileName] || "config.json"}`)
+  }
+}
+
+applyConfig(env.VITE_APP_PROFILE || "production")
+
+// Apply /config.json when the deployment serves one. Resolves once the
+// config is final; a missing or unreadable file leaves the build's settings.
+export async function loadRuntimeConfig() {
+  let overrides
+  try {
+    const response = await fetch(`${env.BASE_URL || "/"}config.json`, { cache: "no-store" })
+    if (!response.ok || !(response.headers.get("Content-Type") || "").includes("json")) return
+    overrides = await response.json()
+  } catch (error) {
+    console.warn("Could not read config.json:", error.message)
+    return
+  }
+  applyConfig(overrides.profile || config.profile, overrides)
+  console.info(`Using the ${config.profile} config profile`)
+}
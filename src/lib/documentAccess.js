@@ -0,0 +1,46 @@
+import { fetchDocument, fetchDocumentLink } from "./fmsApi"
+
+// Object URLs of opened documents are released after this long; the viewer
+// window has loaded the document by then.
+const OBJECT_URL_LIFETIME_MS = 60 * 1000
+
+function base64ToBlob(base64Data, mimeType) {
+  const binary = atob(base64Data)
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i)
+  }
+  return new Blob([bytes], { type: mimeType || "application/octet-stream" })
+}
+
+function showViewerMessage(viewer, message) {
+  viewer.document.title = "Document"
+  viewer.document.body.style.fontFamily = "sans-serif"
+  viewer.document.body.textContent = message
+}
+
+// Open an uploaded file (a link as stored in the sheet) in a new tab.
+// Uploads are private in Drive, so the file is fetched through a signed,
+// short-lived link made for the signed-in user (see "Document access" in
+// apps-script-complete.gs) and shown from memory. Call it straight from a
+// click handler: the tab is opened before anything is fetched so that popup
+// blockers let it through.
+export async function openDocument(scriptUrl, fileUrl) {
+  const viewer = window.open("", "_blank")
+  if (!viewer) {
+    alert("Allow pop-ups for this site to open documents")
+    return
+  }
+  showViewerMessage(viewer, "Loading document...")
+
+  try {
+    const { query } = await fetchDocumentLink(scriptUrl, fileUrl)
+    const document = await fetchDocument(scriptUrl, query)
+    const objectUrl = URL.createObjectURL(base64ToBlob(document.base64Data, document.mimeType))
+    viewer.location.href = objectUrl
+    setTimeout(() => URL.revokeObjectURL(objectUrl), OBJECT_URL_LIFETIME_MS)
+  } catch (error) {
+    console.error("Error opening document:", error)
+    showViewerMessage(viewer, `Could not open the document: ${error.message}`)
+  }
+}
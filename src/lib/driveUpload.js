@@ -0,0 +1,200 @@
+import { useCallback, useRef, useState } from "react"
+
+// Files go to the Apps Script in slices of this many bytes (a third more once
+// base64 encoded), so a dropped mobile connection only loses the slice in
+// flight. See "Chunked uploads" in apps-script-complete.gs.
+export const UPLOAD_CHUNK_SIZE = 512 * 1024
+
+// Attempts per request before giving up. The upload session stays open, so
+// uploading the same file again later picks up where this one stopped.
+const MAX_ATTEMPTS = 6
+const MAX_RETRY_DELAY_MS = 15000
+
+// localStorage key -> uploadId of an unfinished upload of that file.
+const RESUME_KEY_PREFIX = "driveUpload:"
+
+class UploadError extends Error {
+  constructor(message, { retryable = false, expired = false } = {}) {
+    super(message)
+    this.name = "UploadError"
+    this.retryable = retryable
+    this.expired = expired
+  }
+}
+
+async function postUploadAction(scriptUrl, fields) {
+  const formData = new FormData()
+  Object.entries(fields).forEach(([name, value]) => {
+    if (value !== undefined && value !== null) formData.append(name, value)
+  })
+
+  let response
+  try {
+    response = await fetch(scriptUrl, { method: "POST", body: formData })
+  } catch (error) {
+    throw new UploadError(`Network error: ${error.message}`, { retryable: true })
+  }
+  if (!response.ok) {
+    throw new UploadError(`Upload request failed: ${response.status}`, { retryable: response.status >= 500 })
+  }
+
+  const result = await response.json()
+  if (!result.success) {
+    throw new UploadError(result.error || "Upload failed", { expired: result.expired === true })
+  }
+  return result
+}
+
+// Wait before the next attempt: exponential backoff, cut short when the
+// browser comes back online.
+function waitBeforeRetry(attempt) {
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer)
+      window.removeEventListener("online", done)
+      resolve()
+    }
+    const timer = setTimeout(done, Math.min(1000 * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS))
+    window.addEventListener("online", done)
+  })
+}
+
+async function withRetry(task) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await task()
+    } catch (error) {
+      if (!error.retryable || attempt >= MAX_ATTEMPTS) throw error
+      console.warn(`Upload request failed (attempt ${attempt}), retrying:`, error.message)
+      await waitBeforeRetry(attempt)
+    }
+  }
+}
+
+function readChunkAsBase64(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result.slice(reader.result.indexOf(",") + 1))
+    reader.onerror = () => reject(reader.error)
+    reader.readAsDataURL(blob)
+  })
+}
+
+// Same file bound for the same place: folder, and enquiry document if any.
+const resumeKey = (file, { folderId, enquiryNumber = "", stage = "", documentName = "", sequence = "" }) =>
+  `${RESUME_KEY_PREFIX}${[folderId, enquiryNumber, stage, documentName, sequence].join("/")}|${file.name}|${file.size}|${file.lastModified}`
+
+// Open a session for `file`, or reopen the one an earlier, interrupted upload
+// of the same file left behind. Resolves to { uploadId, received }.
+async function openSession(scriptUrl, file, totalChunks, { fileName, folderId, ...extra }) {
+  const key = resumeKey(file, { folderId, ...extra })
+  const previous = localStorage.getItem(key)
+  if (previous) {
+    try {
+      const status = await withRetry(() => postUploadAction(scriptUrl, { action: "uploadStatus", uploadId: previous }))
+      if (status.totalChunks === totalChunks) {
+        return { uploadId: previous, received: status.received }
+      }
+    } catch (error) {
+      if (!error.expired) throw error
+    }
+    localStorage.removeItem(key)
+  }
+
+  const started = await withRetry(() =>
+    postUploadAction(scriptUrl, {
+      ...extra,
+      action: "uploadStart",
+      fileName,
+      mimeType: file.type || "application/octet-stream",
+      folderId,
+      totalSize: file.size,
+      totalChunks,
+    }),
+  )
+  localStorage.setItem(key, started.uploadId)
+  return { uploadId: started.uploadId, received: started.received }
+}
+
+// Upload one file to a Drive folder through the Apps Script, in chunks.
+// options: { fileName, folderId, onProgress(percent) }; anything else is sent
+// along with uploadStart, e.g. { enquiryNumber, stage, documentName, sequence }
+// to file it in the enquiry's document folder under a name like
+// AadharCard.pdf (see "Document folders" in apps-script-complete.gs). Resolves to { fileId, fileUrl, fileName } like the
+// single-request uploadFile action.
+export async function uploadToDrive(scriptUrl, file, { onProgress, ...options }) {
+  if (file.size === 0) {
+    throw new UploadError(`${file.name} is empty`)
+  }
+
+  const totalChunks = Math.ceil(file.size / UPLOAD_CHUNK_SIZE)
+  const { uploadId, received } = await openSession(scriptUrl, file, totalChunks, options)
+  const done = new Set(received)
+  const report = () => {
+    if (onProgress) onProgress(Math.round((done.size / totalChunks) * 100))
+  }
+  report()
+
+  for (let index = 0; index < totalChunks; index++) {
+    if (done.has(index)) continue
+    const chunk = file.slice(index * UPLOAD_CHUNK_SIZE, (index + 1) * UPLOAD_CHUNK_SIZE)
+    const base64Data = await readChunkAsBase64(chunk)
+    await withRetry(() => postUploadAction(scriptUrl, { action: "uploadChunk", uploadId, index, base64Data }))
+    done.add(index)
+    report()
+  }
+
+  const result = await withRetry(() => postUploadAction(scriptUrl, { action: "uploadFinish", uploadId }))
+  localStorage.removeItem(resumeKey(file, options))
+  return { fileId: result.fileId, fileUrl: result.fileUrl, fileName: result.fileName }
+}
+
+// Upload state for a form, one entry per file in the order uploads started:
+// `uploads` is [{ id, name, progress, error, done }] for <UploadProgress>.
+// upload(file, options) takes uploadToDrive's options (onProgress included)
+// and resolves the same way; clearUploads() empties the list, e.g. when the form opens.
+export function useDriveUploads(scriptUrl) {
+  const [uploads, setUploads] = useState([])
+  const nextId = useRef(0)
+
+  const upload = useCallback(
+    async (file, options) => {
+      const id = ++nextId.current
+      const update = (patch) =>
+        setUploads((prev) => prev.map((entry) => (entry.id === id ? { ...entry, ...patch } : entry)))
+      setUploads((prev) => [...prev, { id, name: file.name, progress: 0, error: null, done: false }])
+
+      try {
+        const result = await uploadToDrive(scriptUrl, file, {
+          ...options,
+          onProgress: (progress) => {
+            update({ progress })
+            if (options.onProgress) options.onProgress(progress)
+          },
+        })
+        update({ progress: 100, done: true })
+        return result
+      } catch (error) {
+        update({ error: error.message })
+        throw error
+      }
+    },
+    [scriptUrl],
+  )
+
+  const clearUploads = useCallback(() => setUploads([]), [])
+
+  return { uploads, upload, clearUploads }
+}
+
+// Several files can be stored in one cell, one link per line.
+export function splitFileLinks(value) {
+  return (value || "")
+    .toString()
+    .split(/\s*\n\s*/)
+    .filter(Boolean)
+}
+
+export function joinFileLinks(links) {
+  return links.filter(Boolean).join("\n")
+}
@@ -0,0 +1,377 @@
+import {
+  FMS_SHEET_NAME,
+  applyFmsHeaderRow,
+  buildFmsHeaderFields,
+  buildFmsRowData,
+  getFmsHeaderName,
+  getFmsIndex,
+  getFmsValue,
+  indexToColumn,
+} from "./fmsSchema"
+
+async function postAction(scriptUrl, payload) {
+  const response = await fetch(scriptUrl, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+    },
+    body: new URLSearchParams(payload).toString(),
+  })
+
+  return response.json()
+}
+
+// Every row of a (small, non-FMS) sheet such as "Drop-Down Value" as plain
+// arrays of cell values, header row included.
+export async function fetchSheetRows(scriptUrl, sheetName) {
+  const response = await fetch(`${scriptUrl}?sheet=${encodeURIComponent(sheetName)}&action=fetch`)
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${sheetName}: ${response.status}`)
+  }
+  const result = await response.json()
+  if (result.success === false) {
+    throw new Error(result.error || `Failed to fetch ${sheetName}`)
+  }
+  const rows = (result.table && result.table.rows) || []
+  return rows.map((row) => (row.c || []).map((cell) => (cell && cell.v !== undefined && cell.v !== null ? cell.v : "")))
+}
+
+// Fetch only the FMS data rows a page needs instead of the whole sheet.
+// fields are the FMS_COLUMNS names to return (default: all); filters are
+// [{ field, op, value }] that must all match, with op one of "empty",
+// "notEmpty", "eq", "neq", "contains"; sort is { field, direction }.
+// The response's header row becomes the active column map.
+//
+// Resolves to { rows, total, cursor }. Each row is { rowIndex, version, values }
+// where rowIndex is the sheet row and values is positional like a full sheet
+// row (unrequested cells are undefined), so getFmsValue works unchanged.
+// cursor is the backend's read time; pass it back as `since` to get only the
+// rows modified after it. Rows then also carry `matched` (whether they still
+// pass the filters) and the result lists the `deleted` enquiry numbers.
+export async function queryFmsRows(
+  scriptUrl,
+  { fields, filters = [], sort, offset = 0, limit, since, sheetName = FMS_SHEET_NAME } = {},
+) {
+  const params = new URLSearchParams({ sheet: sheetName, action: "fetch", offset })
+  if (fields) {
+    params.set("columns", JSON.stringify(fields.map((key) => getFmsHeaderName(key))))
+  }
+  if (filters.length > 0) {
+    const serverFilters = filters.map(({ field, op, value }) => ({ column: getFmsHeaderName(field), op, value }))
+    params.set("filters", JSON.stringify(serverFilters))
+  }
+  if (sort) {
+    params.set("sort", JSON.stringify({ column: getFmsHeaderName(sort.field), direction: sort.direction || "asc" }))
+  }
+  if (limit !== undefined) params.set("limit", limit)
+  if (since !== undefined) params.set("since", since)
+
+  const response = await fetch(`${scriptUrl}?${params.toString()}`)
+  if (!response.ok) {
+    throw new Error(`Failed to fetch data: ${response.status}`)
+  }
+  const result = await response.json()
+  if (!result.success) {
+    throw new Error(result.error || "Failed to fetch data")
+  }
+
+  applyFmsHeaderRow(result.headers)
+
+  const width = result.headers.length
+  const rows = result.rows.map((row) => {
+    const values = Array(width)
+    result.columns.forEach((index, i) => {
+      values[index] = row.values[i]
+    })
+    return { rowIndex: row.rowIndex, version: row.version || "", matched: row.matched !== false, values }
+  })
+
+  return { rows, total: result.total, cursor: result.cursor, deleted: result.deleted || [] }
+}
+
+// Pending and history slices of one stage, fetched in parallel: the rows
+// matching `filters` whose `actualField` is still empty (pending) or filled
+// in (history). Resolves to { pending, history, cursor } with arrays of
+// queryFmsRows rows; cursor is for fetchFmsStageChanges.
+export async function queryFmsStage(scriptUrl, { fields, filters = [], actualField }) {
+  const [pending, history] = await Promise.all([
+    queryFmsRows(scriptUrl, { fields, filters: [...filters, { field: actualField, op: "empty" }] }),
+    queryFmsRows(scriptUrl, { fields, filters: [...filters, { field: actualField, op: "notEmpty" }] }),
+  ])
+  return { pending: pending.rows, history: history.rows, cursor: Math.min(pending.cursor, history.cursor) }
+}
+
+// Rows of one stage modified since `cursor`, sorted the way queryFmsStage
+// splits them. Resolves to { pending, history, dropped, deleted, cursor }:
+// dropped are changed rows that no longer match the stage filters, deleted
+// the enquiry numbers archived in the meantime.
+export async function fetchFmsStageChanges(scriptUrl, { fields, filters = [], actualField }, cursor) {
+  const changes = await queryFmsRows(scriptUrl, {
+    fields: fields && !fields.includes(actualField) ? [...fields, actualField] : fields,
+    filters,
+    since: cursor,
+  })
+
+  const pending = []
+  const history = []
+  const dropped = []
+  changes.rows.forEach((row) => {
+    if (!row.matched) {
+      dropped.push(row)
+    } else if (String(getFmsValue(row.values, actualField)).trim() === "") {
+      pending.push(row)
+    } else {
+      history.push(row)
+    }
+  })
+
+  return { pending, history, dropped, deleted: changes.deleted, cursor: changes.cursor }
+}
+
+// Values the backend's validation rules reject come back as `fieldErrors`
+// keyed by the header name each field was sent under; map them back to the
+// { NAME: message } keys the caller used.
+function withFieldErrorKeys(result, fields) {
+  if (!result || !result.fieldErrors) return result
+  const fieldErrors = {}
+  Object.keys(fields).forEach((key) => {
+    const message = result.fieldErrors[getFmsHeaderName(key)]
+    if (message) fieldErrors[key] = message
+  })
+  return { ...result, fieldErrors }
+}
+
+// Add a new enquiry row through the `insert` action. fields are { NAME: value }
+// like updateFmsFields'; the backend issues the enquiry number and answers it
+// as `result.enquiryNumber`. Values that fail validation are refused with
+// `result.validation` and `result.fieldErrors` ({ NAME: message }).
+export async function insertFmsRow(scriptUrl, fields, { sheetName = FMS_SHEET_NAME } = {}) {
+  const result = await postAction(scriptUrl, {
+    action: "insert",
+    sheetName,
+    rowData: JSON.stringify(buildFmsRowData(fields)),
+  })
+  if (!result.fieldErrors) return result
+
+  // Positional writes are validated by column letter
+  const fieldErrors = {}
+  Object.keys(fields).forEach((key) => {
+    const message = result.fieldErrors[indexToColumn(getFmsIndex(key))]
+    if (message) fieldErrors[key] = message
+  })
+  return { ...result, fieldErrors }
+}
+
+// Write named FMS fields for one enquiry through the `updateFields` action.
+// The backend finds the row by enquiry number and the cells by header, so
+// callers only send the cells they change. Resolves to the parsed response;
+// on success `result.updated` maps each header to the { column, value } written.
+//
+// Pass the `version` the record was fetched with (record._version) and the
+// write is refused with `result.conflict` if the row changed in the meantime.
+// Values that fail validation are refused with `result.validation` and
+// `result.fieldErrors` ({ NAME: message }) so a form can show them inline.
+export async function updateFmsFields(scriptUrl, enquiryNumber, fields, { version, sheetName = FMS_SHEET_NAME } = {}) {
+  const payload = {
+    action: "updateFields",
+    sheetName,
+    enquiryNumber,
+    fields: JSON.stringify(buildFmsHeaderFields(fields)),
+  }
+  if (version) payload.version = version
+
+  return withFieldErrorKeys(await postAction(scriptUrl, payload), fields)
+}
+
+// Write named FMS fields for several enquiries in one `batchUpdate` call.
+// updates are [{ enquiryNumber, fields, version }]; the backend applies them
+// in order under one lock and a failing row does not stop the others.
+// Resolves to { success, succeeded, failed, results } where results[i] is
+// what updateFmsFields would have resolved to for updates[i].
+export async function batchUpdateFmsFields(scriptUrl, updates, { sheetName = FMS_SHEET_NAME } = {}) {
+  const rows = updates.map(({ enquiryNumber, fields, version }) => {
+    const row = { enquiryNumber, fields: buildFmsHeaderFields(fields) }
+    if (version) row.version = version
+    return row
+  })
+
+  const result = await postAction(scriptUrl, {
+    action: "batchUpdate",
+    sheetName,
+    updates: JSON.stringify(rows),
+  })
+  if (result.results) {
+    result.results = result.results.map((rowResult, i) => withFieldErrorKeys(rowResult, updates[i].fields))
+  }
+  return result
+}
+
+// Delete one enquiry's row. FMS rows are moved to the FMS_Archive sheet and
+// can be restored from the recycle bin. rowIndex is the sheet row the record
+// was read from; the backend refuses the delete if that row no longer holds
+// enquiryNumber (e.g. another row was inserted or deleted meanwhile), or if
+// its contents no longer match `version`. The user needs delete on the stage
+// the enquiry has reached (see rowStage in apps-script-complete.gs).
+export async function deleteFmsRow(scriptUrl, enquiryNumber, { rowIndex, version, sheetName = FMS_SHEET_NAME } = {}) {
+  const payload = {
+    action: "deleteRow",
+    sheetName,
+    enquiryNumber,
+  }
+  if (rowIndex) payload.rowIndex = rowIndex
+  if (version) payload.version = version
+
+  return postAction(scriptUrl, payload)
+}
+
+// Audit trail of one enquiry, newest first: [{ timestamp, username, action,
+// column, header, oldValue, newValue, ... }].
+export async function fetchAuditLog(scriptUrl, enquiryNumber) {
+  const response = await fetch(`${scriptUrl}?action=audit&enquiryNumber=${encodeURIComponent(enquiryNumber)}`)
+  const result = await response.json()
+  if (!result.success) {
+    throw new Error(result.error || "Failed to load history")
+  }
+  return result.entries
+}
+
+// Link to the enquiry's Drive folder of uploaded documents, or "" when
+// nothing has been uploaded for it yet.
+export async function fetchDocumentFolder(scriptUrl, enquiryNumber) {
+  const response = await fetch(`${scriptUrl}?action=documentFolder&enquiryNumber=${encodeURIComponent(enquiryNumber)}`)
+  const result = await response.json()
+  if (!result.success) {
+    throw new Error(result.error || "Failed to load document folder")
+  }
+  return result.folderUrl
+}
+
+// Versions of each uploaded document of the enquiry, from the
+// Document_Versions sheet: [{ sheetName, column, header, versions: [{ version,
+// fileUrl, recordedAt, uploadedBy, current }] }], versions oldest first.
+export async function fetchDocumentVersions(scriptUrl, enquiryNumber) {
+  const response = await fetch(`${scriptUrl}?action=documentVersions&enquiryNumber=${encodeURIComponent(enquiryNumber)}`)
+  const result = await response.json()
+  if (!result.success) {
+    throw new Error(result.error || "Failed to load document versions")
+  }
+  return result.documents
+}
+
+// A signed, short-lived query string for opening an uploaded file (a link
+// as stored in the sheet) as the signed-in user. Resolves to { query,
+// expiresAt }; fails for files the app did not upload and for documents of
+// an enquiry outside the user's data scope or a stage their role may not view.
+export async function fetchDocumentLink(scriptUrl, fileUrl) {
+  const query = new URLSearchParams({ action: "documentLink", fileUrl })
+  const response = await fetch(`${scriptUrl}?${query}`)
+  const result = await response.json()
+  if (!result.success) {
+    throw new Error(result.error || "Failed to open document")
+  }
+  return result
+}
+
+// The file behind a fetchDocumentLink query: { fileName, mimeType, base64Data }.
+export async function fetchDocument(scriptUrl, query) {
+  const response = await fetch(`${scriptUrl}?${query}`)
+  const result = await response.json()
+  if (!result.success) {
+    throw new Error(result.error || "Failed to open document")
+  }
+  return result
+}
+
+// How far a photo taken at { latitude, longitude } is from the enquiry's
+// village or district. Resolves to { located, place, distanceKm, far,
+// maxDistanceKm }; located is false when the place could not be found on the
+// map.
+export async function checkGeotag(scriptUrl, enquiryNumber, { latitude, longitude }) {
+  const query = new URLSearchParams({ action: "checkGeotag", enquiryNumber, latitude, longitude })
+  const response = await fetch(`${scriptUrl}?${query}`)
+  const result = await response.json()
+  if (!result.success) {
+    throw new Error(result.error || "Failed to check photo location")
+  }
+  return result
+}
+
+// Rows in the FMS_Archive sheet, newest first. Resolves to { headers, rows }
+// where each row is { archiveRow, deletedAt, deletedBy, sourceSheet,
+// sourceRow, enquiryNumber, values }.
+export async function fetchArchivedRows(scriptUrl) {
+  const response = await fetch(`${scriptUrl}?action=archive`)
+  const result = await response.json()
+  if (!result.success) {
+    throw new Error(result.error || "Failed to load recycle bin")
+  }
+  return { headers: result.headers, rows: result.rows }
+}
+
+// Move an archived row back to the end of its source sheet.
+export async function restoreArchivedRow(scriptUrl, { archiveRow, enquiryNumber }) {
+  return postAction(scriptUrl, {
+    action: "restoreRow",
+    archiveRow,
+    enquiryNumber,
+  })
+}
+
+// Permanently delete an archived row.
+export async function purgeArchivedRow(scriptUrl, { archiveRow, enquiryNumber }) {
+  return postAction(scriptUrl, {
+    action: "purgeRow",
+    archiveRow,
+    enquiryNumber,
+  })
+}
+
+// The master sheet's users, for admins: resolves to { users, roles } where
+// each user is { username, name, role, district, branch, vendor, active,
+// lastLogin, mustChangePassword, createdAt } and roles are those a user can be given.
+export async function fetchUsers(scriptUrl) {
+  const response = await fetch(`${scriptUrl}?action=users`)
+  const result = await response.json()
+  if (!result.success) {
+    throw new Error(result.error || "Failed to load users")
+  }
+  return { users: result.users, roles: result.roles }
+}
+
+// Add a user. Resolves like postAction; on success the result has the new
+// `user` and the `temporaryPassword` they sign in with the first time.
+export async function createUser(scriptUrl, { username, name, role, district, branch, vendor }) {
+  return postAction(scriptUrl, {
+    action: "createUser",
+    account: username,
+    name,
+    accountRole: role,
+    district,
+    branch,
+    vendor,
+  })
+}
+
+// Change a user's name, role and scopes.
+export async function updateUser(scriptUrl, { username, name, role, district, branch, vendor }) {
+  return postAction(scriptUrl, {
+    action: "updateUser",
+    account: username,
+    name,
+    accountRole: role,
+    district,
+    branch,
+    vendor,
+  })
+}
+
+// Deactivate or reactivate a user.
+export async function setUserActive(scriptUrl, username, active) {
+  return postAction(scriptUrl, { action: "setUserStatus", account: username, active: String(active) })
+}
+
+// Give a user a new temporary password (the result's `temporaryPassword`)
+// that they must change when they next sign in.
+export async function resetUserPassword(scriptUrl, username) {
+  return postAction(scriptUrl, { action: "resetPassword", account: username })
+}
@@ -0,0 +1,292 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useSyncExternalStore } from "react"
+import { fetchFmsStageChanges, fetchSheetRows, queryFmsStage } from "./fmsApi"
+
+export const DROPDOWN_SHEET_NAME = "Drop-Down Value"
+
+// Lookup sheets rarely change: a page mounted within this long of the last
+// fetch uses the cached rows without asking the backend again.
+const SHEET_MAX_AGE_MS = 5 * 60 * 1000
+
+const EMPTY_ENTRY = Object.freeze({ data: null, error: null, cursor: null, updatedAt: 0 })
+const EMPTY_LIST = Object.freeze([])
+
+// Shared store behind <FmsDataProvider>. Entries are keyed by a page's
+// STAGE_QUERY object (or "sheet:<name>" for lookup sheets) and hold the last
+// data fetched for that key; subscribed components re-render when it changes.
+export function createFmsStore() {
+  const entries = new Map()
+  const listeners = new Map()
+  const inFlight = new Map()
+  // Bumped by clear(); tasks started before that may not write any more
+  let generation = 0
+
+  const notify = (key) => {
+    const keyListeners = listeners.get(key)
+    if (keyListeners) keyListeners.forEach((listener) => listener())
+  }
+
+  const getEntry = (key) => entries.get(key) || EMPTY_ENTRY
+
+  const setEntry = (key, patch) => {
+    entries.set(key, { ...getEntry(key), ...patch })
+    notify(key)
+  }
+
+  const subscribe = (key, listener) => {
+    if (!listeners.has(key)) listeners.set(key, new Set())
+    listeners.get(key).add(listener)
+    return () => listeners.get(key).delete(listener)
+  }
+
+  // Run `task` for `key` unless one is already running; callers then share
+  // the running task's promise instead of sending a duplicate request. The
+  // task is passed a `write(patch)` to use instead of setEntry: once the
+  // store is cleared, what it writes (or the error it fails with) is dropped,
+  // so a request made for the previous user cannot fill the next one's cache.
+  const dedupe = (key, task) => {
+    if (!inFlight.has(key)) {
+      const started = generation
+      const current = () => started === generation
+      const write = (patch) => {
+        if (current()) setEntry(key, patch)
+      }
+      const promise = task(write)
+        .catch((error) => {
+          if (current()) throw error
+        })
+        .finally(() => {
+          if (inFlight.get(key) === promise) inFlight.delete(key)
+        })
+      inFlight.set(key, promise)
+    }
+    return inFlight.get(key)
+  }
+
+  // Resolves once the task running for `key` (if any) has finished.
+  const settled = (key) => Promise.resolve(inFlight.get(key)).catch(() => {})
+
+  // Forget everything, e.g. on logout, so the next user starts from scratch.
+  // Requests still running are left to finish but their results dropped.
+  const clear = () => {
+    generation++
+    inFlight.clear()
+    const keys = [...entries.keys()]
+    entries.clear()
+    keys.forEach(notify)
+  }
+
+  return { getEntry, setEntry, subscribe, dedupe, settled, clear }
+}
+
+export const FmsStoreContext = createContext(null)
+
+export function useFmsStore() {
+  const store = useContext(FmsStoreContext)
+  if (!store) {
+    throw new Error("useFmsStore must be used within FmsDataProvider")
+  }
+  return store
+}
+
+function useStoreEntry(store, key) {
+  const subscribe = useCallback((listener) => store.subscribe(key, listener), [store, key])
+  const getSnapshot = useCallback(() => store.getEntry(key), [store, key])
+  return useSyncExternalStore(subscribe, getSnapshot)
+}
+
+// Records are matched by enquiry number; rows without one by their sheet row.
+function recordKey(record) {
+  return record._enquiryNumber || record.enquiryNumber || `row_${record._rowIndex}`
+}
+
+// Replace the records that changed, remove the ones in `removedKeys`, and put
+// records that were not on the list yet at the top.
+function mergeRecords(records, changed, removedKeys) {
+  const incoming = new Map(changed.map((record) => [recordKey(record), record]))
+  const merged = []
+  records.forEach((record) => {
+    const key = recordKey(record)
+    if (incoming.has(key)) {
+      merged.push(incoming.get(key))
+      incoming.delete(key)
+    } else if (!removedKeys.has(key)) {
+      merged.push(record)
+    }
+  })
+  return [...incoming.values(), ...merged]
+}
+
+function updateList(store, key, list, update) {
+  const { data } = store.getEntry(key)
+  const current = data ? data[list] : EMPTY_LIST
+  const next = typeof update === "function" ? update(current) : update
+  store.setEntry(key, { data: { pending: EMPTY_LIST, history: EMPTY_LIST, ...data, [list]: next } })
+}
+
+// One stage's pending and history records, shared by every page that shows
+// the stage.
+//
+// The first mount fetches both lists (concurrent callers share the request).
+// Later mounts render the cached records at once and revalidate them in the
+// background through the change feed, which also runs every `pollInterval` ms
+// while the tab is visible. Pages that seed batch-edit inputs from the lists
+// pass 0, since a background patch would reset what the user entered.
+//
+// setPendingData / setHistoryData work like state setters but write to the
+// cache, so optimistic updates after a submit survive navigating away and
+// back. refreshChanges() patches in the rows modified since the last fetch,
+// falling back to a full reload when rows were deleted in the meantime (the
+// sheet rows below them shifted), once for each deletion.
+export function useFmsStage(scriptUrl, stageQuery, toRecord, { pollInterval = 30000 } = {}) {
+  const store = useFmsStore()
+  const entry = useStoreEntry(store, stageQuery)
+
+  const fail = useCallback(
+    (error) => {
+      console.error("Error fetching FMS data:", error)
+      store.setEntry(stageQuery, { error: `Failed to load data: ${error.message}` })
+    },
+    [store, stageQuery],
+  )
+
+  // write: the store's setEntry for this key, as dedupe passes it
+  const fetchAll = useCallback(async (write) => {
+    const { pending, history, cursor } = await queryFmsStage(scriptUrl, stageQuery)
+    write({
+      data: { pending: pending.map(toRecord), history: history.map(toRecord) },
+      error: null,
+      cursor,
+      updatedAt: Date.now(),
+    })
+  }, [scriptUrl, stageQuery, toRecord])
+
+  const reload = useCallback(
+    () => store.dedupe(stageQuery, fetchAll).catch(fail),
+    [store, stageQuery, fetchAll, fail],
+  )
+
+  const refreshChanges = useCallback(async () => {
+    // Let a running fetch finish first so its cursor is used, not an older one
+    await store.settled(stageQuery)
+    return store
+      .dedupe(stageQuery, async (write) => {
+        const { data, cursor, handledDeletions = EMPTY_LIST } = store.getEntry(stageQuery)
+        if (!data || !cursor) return fetchAll(write)
+
+        const changes = await fetchFmsStageChanges(scriptUrl, stageQuery, cursor)
+        // The feed keeps listing a deletion for a while after it (see
+        // CHANGE_FEED_OVERLAP_MS in the script); only new ones need a reload
+        if (changes.deleted.some((enquiryNumber) => !handledDeletions.includes(enquiryNumber))) {
+          await fetchAll(write)
+          write({ handledDeletions: changes.deleted })
+          return
+        }
+
+        const pending = changes.pending.map(toRecord)
+        const history = changes.history.map(toRecord)
+        const removedKeys = new Set([...pending, ...history, ...changes.dropped.map(toRecord)].map(recordKey))
+        const current = store.getEntry(stageQuery).data
+        write({
+          data:
+            removedKeys.size > 0
+              ? {
+                  pending: mergeRecords(current.pending, pending, removedKeys),
+                  history: mergeRecords(current.history, history, removedKeys),
+                }
+              : current,
+          error: null,
+          cursor: changes.cursor,
+          handledDeletions: changes.deleted,
+          updatedAt: Date.now(),
+        })
+      })
+      .catch(fail)
+  }, [store, scriptUrl, stageQuery, toRecord, fetchAll, fail])
+
+  useEffect(() => {
+    if (store.getEntry(stageQuery).data) {
+      refreshChanges()
+    } else {
+      reload()
+    }
+  }, [store, stageQuery, reload, refreshChanges])
+
+  useEffect(() => {
+    if (!pollInterval) return undefined
+
+    const timer = setInterval(() => {
+      if (document.visibilityState === "visible" && store.getEntry(stageQuery).data) {
+        refreshChanges()
+      }
+    }, pollInterval)
+
+    return () => clearInterval(timer)
+  }, [store, stageQuery, refreshChanges, pollInterval])
+
+  const setPendingData = useCallback((update) => updateList(store, stageQuery, "pending", update), [store, stageQuery])
+  const setHistoryData = useCallback((update) => updateList(store, stageQuery, "history", update), [store, stageQuery])
+
+  return {
+    pendingData: entry.data ? entry.data.pending : EMPTY_LIST,
+    historyData: entry.data ? entry.data.history : EMPTY_LIST,
+    setPendingData,
+    setHistoryData,
+    // A failed background refresh keeps showing the cached records
+    loading: !entry.data && !entry.error,
+    error: entry.data ? null : entry.error,
+    reload,
+    refreshChanges,
+  }
+}
+
+// Data rows (header dropped) of a small lookup sheet, fetched once and shared.
+// setRows works like a state setter on the cached rows, so a page can show a
+// row it appended without fetching the sheet again.
+export function useSheetRows(scriptUrl, sheetName = DROPDOWN_SHEET_NAME) {
+  const store = useFmsStore()
+  const key = `sheet:${sheetName}`
+  const entry = useStoreEntry(store, key)
+
+  useEffect(() => {
+    const { data, updatedAt } = store.getEntry(key)
+    if (data && Date.now() - updatedAt < SHEET_MAX_AGE_MS) return
+
+    store
+      .dedupe(key, async (write) => {
+        const rows = await fetchSheetRows(scriptUrl, sheetName)
+        write({ data: rows.slice(1), error: null, updatedAt: Date.now() })
+      })
+      .catch((error) => {
+        console.error(`Error fetching ${sheetName}:`, error)
+        store.setEntry(key, { error: error.message })
+      })
+  }, [store, key, scriptUrl, sheetName])
+
+  const setRows = useCallback(
+    (update) => {
+      const current = store.getEntry(key).data || EMPTY_LIST
+      store.setEntry(key, { data: typeof update === "function" ? update(current) : update })
+    },
+    [store, key],
+  )
+
+  return {
+    rows: entry.data || EMPTY_LIST,
+    setRows,
+    loading: !entry.data && !entry.error,
+    error: entry.data ? null : entry.error,
+  }
+}
+
+// Non-empty values of one column of the Drop-Down Value sheet, or `fallback`
+// when the sheet could not be loaded. Pass a constant fallback so the result
+// keeps its identity between renders.
+export function useDropdownOptions(scriptUrl, columnIndex, fallback = EMPTY_LIST) {
+  const { rows, error } = useSheetRows(scriptUrl)
+  return useMemo(() => {
+    if (error) return fallback
+    return rows
+      .map((row) => (row[columnIndex] === undefined ? "" : row[columnIndex].toString().trim()))
+      .filter((value) => value !== "")
+  }, [rows, error, columnIndex, fallback])
+}
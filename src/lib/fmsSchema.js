@@ -0,0 +1,391 @@
+// Named-column registry for the FMS sheet.
+//
+// Every stage page used to read and write FMS cells by hard-coded index
+// (rowValues[19], rowData[132] ...). Here each column gets a name, its
+// expected letter and the header text printed in the sheet. At runtime the
+// header row is read and every name is resolved to the column that actually
+// carries that header, so inserting a column in the sheet no longer shifts
+// every page onto the wrong data.
+
+export const FMS_SHEET_NAME = "FMS"
+
+// 0-based index of the header row in the fetched rows (sheet row 6).
+export const FMS_HEADER_ROW_INDEX = 5
+// 0-based index of the first enquiry row (sheet row 7).
+export const FMS_DATA_START_INDEX = 6
+
+// Each stage repeats a Planned / Actual / Delay triple, so those headers occur
+// many times. Resolution picks the matching header nearest to the expected
+// letter, which keeps them apart.
+export const FMS_COLUMNS = {
+  // Enquiry
+  TIMESTAMP: { column: "A", header: "Timestamp" },
+  ENQUIRY_NUMBER: { column: "B", header: "Enquiry Number" },
+  BENEFICIARY_NAME: { column: "C", header: "Beneficiary Name" },
+  ADDRESS: { column: "D", header: "Address" },
+  VILLAGE_BLOCK: { column: "E", header: "Village/Block" },
+  DISTRICT: { column: "F", header: "District" },
+  CONTACT_NUMBER: { column: "G", header: "Contact Number" },
+  PRESENT_LOAD: { column: "H", header: "Present Load" },
+  BP_NUMBER: { column: "I", header: "BP Number" },
+  CSPDCL_CONTRACT_DEMAND: { column: "J", header: "CSPDCL Contract Demand" },
+  AVG_ELECTRICITY_BILL: { column: "K", header: "Last 6 Months Average Electricity Bill" },
+  FUTURE_LOAD_REQUIREMENT: { column: "L", header: "Future Load Requirement" },
+  LOAD_DETAILS: { column: "M", header: "Load Details/Application" },
+  HOURS_OF_FAILURE: { column: "N", header: "No Of Hours Of Failure" },
+  STRUCTURE_TYPE: { column: "O", header: "Structure Type" },
+  ROOF_TYPE: { column: "P", header: "Roof Type" },
+  SYSTEM_TYPE: { column: "Q", header: "System Type" },
+  NEED_TYPE: { column: "R", header: "Need Type" },
+  PROJECT_MODE: { column: "S", header: "Project Mode" },
+
+  // Site survey
+  SURVEY_PLANNED: { column: "T", header: "Planned" },
+  SURVEY_ACTUAL: { column: "U", header: "Actual" },
+  SURVEY_DELAY: { column: "V", header: "Delay" },
+  SURVEY_STATUS: { column: "W", header: "Status" },
+  SURVEY_REPORT_COPY: { column: "X", header: "Copy Survey Report" },
+  GEOTAG_PHOTO: { column: "Y", header: "Geotag Photo Site" },
+  ELECTRICITY_BILL_COPY: { column: "Z", header: "Three Months Electricity Bill Copy" },
+  AADHAR_NUMBER: { column: "AA", header: "Aadhar Card" },
+  PAN_NUMBER: { column: "AB", header: "Pan Card" },
+  ADDRESS_PROOF: { column: "AC", header: "Address Proof" },
+  SURVEYOR_NAME: { column: "AD", header: "Surveyor Name" },
+  SURVEYOR_CONTACT: { column: "AE", header: "Contact Number" },
+
+  // Quotation
+  QUOTATION_PLANNED: { column: "AF", header: "Planned" },
+  QUOTATION_ACTUAL: { column: "AG", header: "Actual" },
+  QUOTATION_DELAY: { column: "AH", header: "Delay" },
+  QUOTATION_NUMBER: { column: "AI", header: "Quotation Number" },
+  QUOTATION_VALUE: { column: "AJ", header: "Value Of Quotation" },
+  QUOTATION_COPY: { column: "AK", header: "Quotation Copy" },
+
+  // Follow up
+  FOLLOWUP_PLANNED: { column: "AL", header: "Planned" },
+  FOLLOWUP_ACTUAL: { column: "AM", header: "Actual" },
+  FOLLOWUP_DELAY: { column: "AN", header: "Delay" },
+  CUSTOMER_RESPONSE: { column: "AO", header: "What Did The Customer Say" },
+  FOLLOWUP_STAGE: { column: "AP", header: "Stage" },
+  NEXT_CALL_DATE: { column: "AQ", header: "Next Date Of Call" },
+  ORDER_VALUE: { column: "AR", header: "Value Of Order" },
+
+  // Order place (Solarkart)
+  ORDER_PLANNED: { column: "AS", header: "Planned" },
+  ORDER_ACTUAL: { column: "AT", header: "Actual" },
+  ORDER_DELAY: { column: "AU", header: "Delay" },
+  ORDER_MODULE: { column: "AV", header: "Module" },
+  ORDER_INVERTER: { column: "AW", header: "Inverter" },
+  ORDER_BOS: { column: "AX", header: "BOS" },
+  ORDER_ACDB: { column: "AY", header: "ACDB" },
+  ORDER_DCDB: { column: "AZ", header: "DCDB" },
+  ORDER_COPY: { column: "BA", header: "Order Copy" },
+
+  // IP assignment
+  IP_PLANNED: { column: "BB", header: "Planned" },
+  IP_ACTUAL: { column: "BC", header: "Actual" },
+  IP_DELAY: { column: "BD", header: "Delay" },
+  IP_NAME: { column: "BE", header: "IP Name" },
+  IP_CONTACT: { column: "BF", header: "Contact Number Of IP" },
+  IP_GST_NUMBER: { column: "BG", header: "GST Number" },
+  IP_GST_CERTIFICATE: { column: "BH", header: "GST Certificates" },
+  IP_BANK_DETAILS: { column: "BI", header: "Bank Account Details" },
+  IP_AADHAR_CARD: { column: "BJ", header: "Aadhar Card" },
+  IP_PAN_CARD: { column: "BK", header: "Pan Card" },
+  WORK_ORDER_NUMBER: { column: "BL", header: "Work Order Number" },
+  WORK_ORDER_COPY: { column: "BM", header: "Work Order Copy" },
+
+  // Dispatch material
+  DISPATCH_PLANNED: { column: "BN", header: "Planned" },
+  DISPATCH_ACTUAL: { column: "BO", header: "Actual" },
+  DISPATCH_DELAY: { column: "BP", header: "Delay" },
+  DISPATCH_STATUS: { column: "BQ", header: "Dispatch Material" },
+
+  // Inform to customer
+  INFORM_PLANNED: { column: "BR", header: "Planned" },
+  INFORM_ACTUAL: { column: "BS", header: "Actual" },
+  INFORM_DELAY: { column: "BT", header: "Delay" },
+  INFORM_STATUS: { column: "BU", header: "Inform To Customer" },
+
+  // Material received
+  RECEIPT_PLANNED: { column: "BV", header: "Planned" },
+  RECEIPT_ACTUAL: { column: "BW", header: "Actual" },
+  RECEIPT_DELAY: { column: "BX", header: "Delay" },
+  RECEIPT_COPY: { column: "BY", header: "Copy Of Receipt" },
+  RECEIPT_DATE: { column: "BZ", header: "Date Of Receipt" },
+
+  // Installation
+  INSTALLATION_PLANNED: { column: "CA", header: "Planned" },
+  INSTALLATION_ACTUAL: { column: "CB", header: "Actual" },
+  INSTALLATION_DELAY: { column: "CC", header: "Delay" },
+  INSTALLATION_DATE: { column: "CD", header: "Date Of Installation" },
+  ROUTING: { column: "CE", header: "Routing" },
+  EARTHING: { column: "CF", header: "Earthing" },
+  BASE_FOUNDATION: { column: "CG", header: "Base Foundation" },
+  WIRING: { column: "CH", header: "Wiring" },
+  FOUNDATION_PHOTO: { column: "CI", header: "Foundation Photo" },
+  AFTER_INSTALLATION_PHOTO: { column: "CJ", header: "After Installation Photo" },
+  PHOTO_WITH_CUSTOMER: { column: "CK", header: "Photo With Customer" },
+  COMPLETE_INSTALLATION_PHOTO: { column: "CL", header: "Complete Installation Photo" },
+
+  // Billing
+  BILLING_PLANNED: { column: "CM", header: "Planned" },
+  BILLING_ACTUAL: { column: "CN", header: "Actual" },
+  BILLING_DELAY: { column: "CO", header: "Delay" },
+  INVOICE_NUMBER: { column: "CP", header: "Invoice Number" },
+  INVOICE_AMOUNT: { column: "CQ", header: "Invoice Amount" },
+  INVOICE_DATE: { column: "CR", header: "Invoice Date" },
+  INVOICE_COPY: { column: "CS", header: "Invoice Copy" },
+
+  // Mandatory documents for synchronization
+  DOCUMENTS_PLANNED: { column: "CT", header: "Planned" },
+  DOCUMENTS_ACTUAL: { column: "CU", header: "Actual" },
+  DOCUMENTS_DELAY: { column: "CV", header: "Delay" },
+  POWER_PURCHASE_AGREEMENT: { column: "CW", header: "Power Purchase Agreement" },
+  VENDOR_CONSUMER_AGREEMENT: { column: "CX", header: "Vendor Consumer Agreement" },
+  DOC_QUOTATION_COPY: { column: "CY", header: "Quotation Copy" },
+  DOC_APPLICATION_COPY: { column: "CZ", header: "Application Copy" },
+  DOC_FEASIBILITY_REPORT: { column: "DA", header: "Physibility Report" },
+  DOC_SUBSIDY_TOKEN: { column: "DB", header: "Token For Subsidy" },
+  DOC_PAN_CARD: { column: "DC", header: "Pan Card" },
+  DOC_AADHAR_CARD: { column: "DD", header: "Aadhar Card" },
+  DOC_CANCELLED_CHEQUE: { column: "DE", header: "Cancellation Cheque" },
+  DOC_ELECTRICITY_BILL: { column: "DF", header: "Electricity Bill" },
+  DOC_WITNESS_ID_PROOF: { column: "DG", header: "Witness ID Proof" },
+
+  // Inspection
+  INSPECTION_PLANNED: { column: "DH", header: "Planned" },
+  INSPECTION_ACTUAL: { column: "DI", header: "Actual" },
+  INSPECTION_DELAY: { column: "DJ", header: "Delay" },
+  INSPECTION_STATUS: { column: "DK", header: "Inspection" },
+  INSPECTION_DATE: { column: "DL", header: "Date" },
+
+  // Project commissioning
+  COMMISSIONING_PLANNED: { column: "DM", header: "Planned" },
+  COMMISSIONING_ACTUAL: { column: "DN", header: "Actual" },
+  COMMISSIONING_DELAY: { column: "DO", header: "Delay" },
+  COMMISSIONING_STATUS: { column: "DP", header: "Project Commission" },
+  COMMISSIONING_DATE: { column: "DQ", header: "Date" },
+
+  // Subsidy redemption
+  REDEMPTION_PLANNED: { column: "DR", header: "Planned" },
+  REDEMPTION_ACTUAL: { column: "DS", header: "Actual" },
+  REDEMPTION_DELAY: { column: "DT", header: "Delay" },
+  SUBSIDY_TOKEN: { column: "DU", header: "Subsidy Token" },
+
+  // Subsidy disbursal
+  DISBURSAL_PLANNED: { column: "DV", header: "Planned" },
+  DISBURSAL_ACTUAL: { column: "DW", header: "Actual" },
+  DISBURSAL_DELAY: { column: "DX", header: "Delay" },
+  DISBURSAL_STATUS: { column: "DY", header: "Subsidy Disbursal" },
+
+  // Payment
+  PAYMENT_PLANNED: { column: "DZ", header: "Planned" },
+  PAYMENT_ACTUAL: { column: "EA", header: "Actual" },
+  PAYMENT_DELAY: { column: "EB", header: "Delay" },
+  PAYMENT_STATUS: { column: "EC", header: "Payment" },
+  PAYMENT_CHEQUE_NUMBER: { column: "ED", header: "Check No" },
+  PAYMENT_DATE: { column: "EE", header: "Date" },
+  PAYMENT_AMOUNT: { column: "EF", header: "Amount" },
+  PAYMENT_DEDUCTION: { column: "EG", header: "Deduction" },
+
+  // Installed equipment
+  INVERTER_MAKE: { column: "EH", header: "Inverter Make" },
+  INVERTER_CAPACITY: { column: "EI", header: "Inverter Capacity" },
+  MODULE_MAKE: { column: "EJ", header: "Module Make" },
+  MODULE_CAPACITY: { column: "EK", header: "Module Capacity" },
+  MODULE_TYPE: { column: "EL", header: "Module Type" },
+  STRUCTURE_MAKE: { column: "EM", header: "Structure Make" },
+
+  // Customer payment received (Billing)
+  AMOUNT_RECEIVED: { column: "EN", header: "Amount Received" },
+  AMOUNT_RECEIVED_DATE: { column: "EO", header: "Payment Date" },
+
+  // Energy analysis
+  ENERGY_ANALYSIS_PLANNED: { column: "EP", header: "Planned" },
+  ENERGY_ANALYSIS_ACTUAL: { column: "EQ", header: "Actual" },
+
+  VENDOR_NAME: { column: "EU", header: "Vendor Name" },
+  INVERTER_ID: { column: "EV", header: "Inverter ID" },
+  REPEATED_CERTIFICATE: { column: "EW", header: "Repeated Certificate" },
+  COMMISSIONING_CERTIFICATE: { column: "EX", header: "Project Commissioning Certificate" },
+
+  // Billing deductions and references
+  BILLING_DEDUCTION: { column: "EY", header: "Deduction" },
+  PAYMENT_REFERENCE: { column: "EZ", header: "Payment Reference" },
+  PAYMENT_REFERENCE_NUMBER: { column: "FA", header: "Reference Number" },
+  OUTSTANDING: { column: "FB", header: "Outstanding" },
+
+  INSPECTION_REMARKS: { column: "FC", header: "Remarks" },
+  CENTRAL_SUBSIDY: { column: "FD", header: "Central Subsidy" },
+  STATE_SUBSIDY: { column: "FE", header: "State Subsidy" },
+
+  // Insurance. Status and remarks still live in the Payment stage's EB and EE
+  // cells, which is where the Insurance page has always kept them.
+  INSURANCE_STATUS: { column: "EB", header: "Delay" },
+  INSURANCE_REMARKS: { column: "EE", header: "Date" },
+  INSURANCE_PLANNED: { column: "FF", header: "Planned" },
+  INSURANCE_ACTUAL: { column: "FG", header: "Actual" },
+  INSURANCE_DELAY: { column: "FH", header: "Delay" },
+  INSURANCE_FIELD_NAME: { column: "FI", header: "Field Name" },
+  INSURANCE_COMPANY: { column: "FJ", header: "Company Name" },
+  INSURANCE_PREMIUM: { column: "FK", header: "Premium Amount" },
+  INSURANCE_POLICY_NUMBER: { column: "FL", header: "Policy No" },
+  INSURANCE_DATE: { column: "FM", header: "Date" },
+  INSURANCE_POLICY_PERIOD: { column: "FN", header: "Policy Period" },
+  INSURANCE_AADHAR_CARD: { column: "FO", header: "Aadhar Card" },
+  INSURANCE_TAX_INVOICE: { column: "FP", header: "Tax Invoice" },
+  INSURANCE_ADDRESS_PROOF: { column: "FQ", header: "Address Proof" },
+  INSURANCE_COMMISSION: { column: "FR", header: "Commission" },
+  INSURANCE_CERTIFICATE: { column: "FS", header: "Certificate" },
+
+  // Module entry
+  MODULE_ENTRY_PLANNED: { column: "FT", header: "Planned" },
+  MODULE_ENTRY_ACTUAL: { column: "FU", header: "Actual" },
+  MODULE_ENTRY_DELAY: { column: "FV", header: "Delay" },
+  MODULE_ENTRY_FILE: { column: "FW", header: "Module Entry File" },
+}
+
+// "A" -> 0, "Z" -> 25, "AA" -> 26, "FW" -> 178
+export function columnToIndex(column) {
+  let index = 0
+  for (const char of column.toUpperCase()) {
+    index = index * 26 + (char.charCodeAt(0) - 64)
+  }
+  return index - 1
+}
+
+// 0 -> "A", 178 -> "FW"
+export function indexToColumn(index) {
+  let column = ""
+  let n = index + 1
+  while (n > 0) {
+    const rem = (n - 1) % 26
+    column = String.fromCharCode(65 + rem) + column
+    n = Math.floor((n - 1) / 26)
+  }
+  return column
+}
+
+const normalizeHeader = (value) =>
+  value === null || value === undefined ? "" : value.toString().toLowerCase().replace(/[^a-z0-9]/g, "")
+
+const DEFAULT_COLUMNS = Object.freeze(
+  Object.fromEntries(Object.entries(FMS_COLUMNS).map(([key, def]) => [key, columnToIndex(def.column)])),
+)
+
+let activeColumns = DEFAULT_COLUMNS
+
+// Resolve every named column against a header row (array of header texts).
+// Names whose header cannot be found keep their expected letter.
+export function resolveFmsColumns(headerRow) {
+  if (!Array.isArray(headerRow) || headerRow.length === 0) {
+    return DEFAULT_COLUMNS
+  }
+
+  const positions = {}
+  headerRow.forEach((header, index) => {
+    const normalized = normalizeHeader(header)
+    if (!normalized) return
+    if (!positions[normalized]) positions[normalized] = []
+    positions[normalized].push(index)
+  })
+
+  const resolved = {}
+  const missing = []
+  Object.entries(FMS_COLUMNS).forEach(([key, def]) => {
+    const expected = DEFAULT_COLUMNS[key]
+    const candidates = positions[normalizeHeader(def.header)]
+    if (!candidates) {
+      resolved[key] = expected
+      missing.push(key)
+      return
+    }
+    resolved[key] = candidates.reduce((best, index) =>
+      Math.abs(index - expected) < Math.abs(best - expected) ? index : best,
+    )
+  })
+
+  if (missing.length > 0) {
+    console.warn(`FMS headers not found, using default columns for: ${missing.join(", ")}`)
+  }
+
+  return Object.freeze(resolved)
+}
+
+// Extract the header row from a fetch response's rows ({c:[{v}]} or plain
+// arrays), resolve it and make it the active column map for this session.
+export function loadFmsColumns(rows) {
+  const headerRow = rows && rows[FMS_HEADER_ROW_INDEX]
+  let headerValues = []
+  if (headerRow && headerRow.c) {
+    headerValues = headerRow.c.map((cell) => (cell && cell.v !== undefined ? cell.v : ""))
+  } else if (Array.isArray(headerRow)) {
+    headerValues = headerRow
+  }
+  return applyFmsHeaderRow(headerValues)
+}
+
+// Resolve a plain header row (array of header texts) and make it the active
+// column map, e.g. the `headers` of a query response.
+export function applyFmsHeaderRow(headerValues) {
+  activeColumns = resolveFmsColumns(headerValues)
+  return activeColumns
+}
+
+export function getFmsColumns() {
+  return activeColumns
+}
+
+export function getFmsIndex(key, columns = activeColumns) {
+  const index = columns[key]
+  if (index === undefined) {
+    throw new Error(`Unknown FMS column: ${key}`)
+  }
+  return index
+}
+
+// Read a named field from a row's positional values.
+export function getFmsValue(rowValues, key, columns = activeColumns) {
+  const value = rowValues[getFmsIndex(key, columns)]
+  return value === undefined || value === null ? "" : value
+}
+
+// Build the sparse positional rowData the `update` action expects from a
+// { NAME: value } map. Untouched cells stay null so the backend skips them.
+export function buildFmsRowData(fields, columns = activeColumns) {
+  const entries = Object.entries(fields).map(([key, value]) => [getFmsIndex(key, columns), value])
+  const length = entries.reduce((max, [index]) => Math.max(max, index + 1), 0)
+  const rowData = Array(length).fill(null)
+  entries.forEach(([index, value]) => {
+    rowData[index] = value === undefined ? null : value
+  })
+  return rowData
+}
+
+const HEADER_COUNTS = Object.values(FMS_COLUMNS).reduce((counts, def) => {
+  const normalized = normalizeHeader(def.header)
+  counts[normalized] = (counts[normalized] || 0) + 1
+  return counts
+}, {})
+
+// Build the { header: value } map the `updateFields` action expects from a
+// { NAME: value } map. Headers that repeat across stages (Planned, Actual,
+// Delay ...) are qualified with their resolved letter, e.g. "Actual@CN".
+// Null and undefined values are dropped so those cells stay untouched.
+export function buildFmsHeaderFields(fields, columns = activeColumns) {
+  const headerFields = {}
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value === null || value === undefined) return
+    headerFields[getFmsHeaderName(key, columns)] = value
+  })
+  return headerFields
+}
+
+// The name a field is sent under by buildFmsHeaderFields, and the key the
+// backend uses for it in `updated` / `current`.
+export function getFmsHeaderName(key, columns = activeColumns) {
+  const { header } = FMS_COLUMNS[key]
+  const column = indexToColumn(getFmsIndex(key, columns))
+  return HEADER_COUNTS[normalizeHeader(header)] > 1 ? `${header}@${column}` : header
+}
@@ -0,0 +1,45 @@
+import { config } from "./config"
+
+// Offline mode. With a localBackendUrl in the config (the local profile, or
+// VITE_LOCAL_BACKEND_URL, e.g. http://localhost:8787) every request the app
+// makes to the Apps Script web app or to a sheet's gviz endpoint is sent to
+// the local stand-in in local-backend/server.js instead, so pages keep their
+// configured Google URLs and need no changes.
+const localBackendUrl = () => (config.localBackendUrl || "").replace(/\/+$/, "")
+
+const APPS_SCRIPT_URL = /^https:\/\/script\.google\.com\/(?:a\/macros\/[^/]+|macros)\/s\/[^/]+\/(?:exec|dev)(?=[?#]|$)/
+const GVIZ_URL = /^https:\/\/docs\.google\.com\/spreadsheets\/d\/([^/]+)\/gviz\/tq(?=[?#]|$)/
+
+// The URL a request to `url` should go to: the local stand-in's equivalent
+// when offline mode is on and it is a Google backend URL, otherwise `url`.
+export function resolveBackendUrl(url) {
+  const backendUrl = localBackendUrl()
+  if (!backendUrl) return url
+  return url
+    .replace(APPS_SCRIPT_URL, `${backendUrl}/exec`)
+    .replace(GVIZ_URL, (_, spreadsheetId) => `${backendUrl}/gviz/${spreadsheetId}/tq`)
+}
+
+// Whether a request to `url` is answered by the Apps Script web app or, in
+// offline mode, by the local stand-in (which covers the gviz endpoint too).
+export function isBackendUrl(url) {
+  if (APPS_SCRIPT_URL.test(url)) return true
+  const backendUrl = localBackendUrl()
+  return backendUrl !== "" && resolveBackendUrl(url).startsWith(`${backendUrl}/`)
+}
+
+// Route window.fetch through resolveBackendUrl. Does nothing unless offline
+// mode is on.
+export function installLocalBackend() {
+  if (!localBackendUrl()) return
+
+  const nativeFetch = window.fetch.bind(window)
+  window.fetch = (input, init) => {
+    if (typeof input === "string" || input instanceof URL) {
+      return nativeFetch(resolveBackendUrl(input.toString()), init)
+    }
+    const url = resolveBackendUrl(input.url)
+    return nativeFetch(url === input.url ? input : new Request(url, input), init)
+  }
+  console.info(`Using the local backend at ${localBackendUrl()}`)
+}
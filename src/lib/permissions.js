@@ -0,0 +1,55 @@
+// What the signed-in user's role may do on each stage, from the Permissions
+// sheet (see "Permissions" in apps-script-complete.gs). The backend enforces
+// it on every request; here it decides which pages, menu entries and action
+// buttons are shown.
+
+const PERMISSIONS_KEY = "permissions"
+
+// The stages of the permission matrix, in workflow order. The ids are the
+// stage names used in the Permissions sheet.
+export const STAGES = [
+  { id: "enquiry", label: "Enquiry Form" },
+  { id: "survey", label: "Site Survey" },
+  { id: "quotation", label: "Quotation" },
+  { id: "followup", label: "Follow Up" },
+  { id: "order", label: "Order Place" },
+  { id: "ipAssignment", label: "IP Assignment" },
+  { id: "dispatch", label: "Dispatch Material" },
+  { id: "inform", label: "Inform To Customer" },
+  { id: "receipt", label: "Material Received" },
+  { id: "installation", label: "Installation" },
+  { id: "billing", label: "Billing" },
+  { id: "documents", label: "Mandatory Documents" },
+  { id: "inspection", label: "Inspection" },
+  { id: "commissioning", label: "Project Commissioning" },
+  { id: "redemption", label: "Subsidy Redemption" },
+  { id: "disbursal", label: "Subsidy Disbursal" },
+  { id: "payment", label: "Payment" },
+  { id: "insurance", label: "Insurance" },
+  { id: "moduleEntry", label: "Module Entry" },
+  { id: "energyAnalysis", label: "Energy Analysis" },
+]
+
+export const PERMISSION_ACTIONS = ["view", "edit", "delete", "export"]
+
+// Keep the { stage: { view, edit, delete, export } } map the login action
+// answers.
+export function storePermissions(permissions) {
+  sessionStorage.setItem(PERMISSIONS_KEY, JSON.stringify(permissions || {}))
+}
+
+function storedPermissions() {
+  try {
+    return JSON.parse(sessionStorage.getItem(PERMISSIONS_KEY)) || {}
+  } catch {
+    return {}
+  }
+}
+
+// Whether the signed-in user may `action` ("view", "edit", "delete" or
+// "export") on `stage`. Admins may do everything.
+export function can(stage, action = "view") {
+  if (sessionStorage.getItem("role") === "admin") return true
+  const stagePermissions = storedPermissions()[stage]
+  return Boolean(stagePermissions && stagePermissions[action])
+}
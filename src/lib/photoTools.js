@@ -0,0 +1,173 @@
+// Browser-side photo handling before upload: shrinking phone photos and
+// reading where and when they were taken from their EXIF data.
+
+const COMPRESS_MIN_BYTES = 1024 * 1024
+const MAX_DIMENSION = 2500
+const JPEG_QUALITY = 0.8
+
+// Resize a photo to at most MAX_DIMENSION pixels on its longer side and
+// re-encode it as JPEG. Non-images, SVG/GIF and files under a megabyte are
+// returned as they are, as is the original whenever the browser cannot
+// decode it. Re-encoding drops EXIF, so read it with readPhotoMetadata first.
+export function compressImage(file) {
+  return new Promise((resolve) => {
+    if (
+      !file.type.startsWith("image/") ||
+      file.type.includes("svg") ||
+      file.type.includes("gif") ||
+      file.size < COMPRESS_MIN_BYTES
+    ) {
+      resolve(file)
+      return
+    }
+
+    const url = URL.createObjectURL(file)
+    const img = new Image()
+    img.onload = () => {
+      URL.revokeObjectURL(url)
+      const scale = Math.min(1, MAX_DIMENSION / Math.max(img.width, img.height))
+      const canvas = document.createElement("canvas")
+      canvas.width = Math.round(img.width * scale)
+      canvas.height = Math.round(img.height * scale)
+      canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height)
+
+      canvas.toBlob(
+        (blob) => {
+          if (!blob || blob.size >= file.size) {
+            resolve(file)
+            return
+          }
+          // Keep the original's lastModified so a retried upload of the same
+          // photo resumes its earlier session
+          const compressedFile = new File([blob], file.name.replace(/\.[^.]*$/, "") + ".jpg", {
+            type: "image/jpeg",
+            lastModified: file.lastModified,
+          })
+          console.log(
+            `Optimized ${file.name}: ${(file.size / 1024 / 1024).toFixed(2)}MB -> ${(compressedFile.size / 1024 / 1024).toFixed(2)}MB`,
+          )
+          resolve(compressedFile)
+        },
+        "image/jpeg",
+        JPEG_QUALITY,
+      )
+    }
+    img.onerror = () => {
+      URL.revokeObjectURL(url)
+      resolve(file)
+    }
+    img.src = url
+  })
+}
+
+// EXIF tags read below
+const TAG_EXIF_IFD = 0x8769
+const TAG_GPS_IFD = 0x8825
+const TAG_DATE_TIME = 0x0132
+const TAG_DATE_TIME_ORIGINAL = 0x9003
+const TAG_GPS_LATITUDE_REF = 0x0001
+const TAG_GPS_LATITUDE = 0x0002
+const TAG_GPS_LONGITUDE_REF = 0x0003
+const TAG_GPS_LONGITUDE = 0x0004
+
+// EXIF is in the first APP1 segment; it is never this far into a JPEG.
+const EXIF_SEARCH_BYTES = 256 * 1024
+
+// { tag: entry offset } of one IFD
+function readIfd(view, tiffStart, ifdOffset, little) {
+  const entries = {}
+  const start = tiffStart + ifdOffset
+  if (start + 2 > view.byteLength) return entries
+  const count = view.getUint16(start, little)
+  for (let i = 0; i < count; i++) {
+    const entry = start + 2 + i * 12
+    if (entry + 12 > view.byteLength) break
+    entries[view.getUint16(entry, little)] = entry
+  }
+  return entries
+}
+
+// Value of an ASCII or RATIONAL entry (the only types the tags above use).
+function readEntry(view, tiffStart, entry, little) {
+  const type = view.getUint16(entry + 2, little)
+  const count = view.getUint32(entry + 4, little)
+
+  if (type === 2) {
+    const offset = count > 4 ? tiffStart + view.getUint32(entry + 8, little) : entry + 8
+    let text = ""
+    for (let i = 0; i < count && offset + i < view.byteLength; i++) {
+      const code = view.getUint8(offset + i)
+      if (code === 0) break
+      text += String.fromCharCode(code)
+    }
+    return text
+  }
+
+  if (type === 5) {
+    const offset = tiffStart + view.getUint32(entry + 8, little)
+    const values = []
+    for (let i = 0; i < count && offset + i * 8 + 8 <= view.byteLength; i++) {
+      const denominator = view.getUint32(offset + i * 8 + 4, little)
+      values.push(denominator ? view.getUint32(offset + i * 8, little) / denominator : 0)
+    }
+    return values
+  }
+
+  return null
+}
+
+function toDegrees(dms, ref) {
+  if (!Array.isArray(dms) || dms.length < 3) return null
+  const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600
+  return /^[SW]/i.test(ref || "") ? -degrees : degrees
+}
+
+function parseExif(view, tiffStart) {
+  const little = view.getUint16(tiffStart) === 0x4949
+  const ifd0 = readIfd(view, tiffStart, view.getUint32(tiffStart + 4, little), little)
+  const read = (entries, tag) => (entries[tag] ? readEntry(view, tiffStart, entries[tag], little) : null)
+  const subIfd = (tag) => (ifd0[tag] ? readIfd(view, tiffStart, view.getUint32(ifd0[tag] + 8, little), little) : {})
+
+  const exif = subIfd(TAG_EXIF_IFD)
+  const gps = subIfd(TAG_GPS_IFD)
+  const latitude = toDegrees(read(gps, TAG_GPS_LATITUDE), read(gps, TAG_GPS_LATITUDE_REF))
+  const longitude = toDegrees(read(gps, TAG_GPS_LONGITUDE), read(gps, TAG_GPS_LONGITUDE_REF))
+  // "YYYY:MM:DD HH:MM:SS" in the camera's local time
+  const taken = read(exif, TAG_DATE_TIME_ORIGINAL) || read(ifd0, TAG_DATE_TIME)
+  // 0,0 is what some phones write when they have no fix
+  const located = latitude !== null && longitude !== null && !(latitude === 0 && longitude === 0)
+
+  return {
+    latitude: located ? latitude : null,
+    longitude: located ? longitude : null,
+    takenAt: typeof taken === "string" && taken.trim() ? taken.trim().replace(/^(\d{4}):(\d{2}):(\d{2})/, "$1-$2-$3") : null,
+  }
+}
+
+// Where and when a JPEG photo was taken: { latitude, longitude, takenAt },
+// each null when the photo does not say (other formats, screenshots, or a
+// camera with location turned off).
+export async function readPhotoMetadata(file) {
+  const none = { latitude: null, longitude: null, takenAt: null }
+  if (!file || !/jpe?g/i.test(file.type)) return none
+
+  try {
+    const view = new DataView(await file.slice(0, EXIF_SEARCH_BYTES).arrayBuffer())
+    if (view.getUint16(0) !== 0xffd8) return none
+
+    let offset = 2
+    while (offset + 4 <= view.byteLength) {
+      const marker = view.getUint16(offset)
+      const length = view.getUint16(offset + 2)
+      // APP1 starting with "Exif\0\0"
+      if (marker === 0xffe1 && view.getUint32(offset + 4) === 0x45786966) {
+        return parseExif(view, offset + 10)
+      }
+      if ((marker & 0xff00) !== 0xff00 || marker === 0xffda) break
+      offset += 2 + length
+    }
+  } catch (error) {
+    console.warn(`Could not read EXIF of ${file.name}:`, error.message)
+  }
+  return none
+}
@@ -0,0 +1,302 @@
+import { config } from "./config"
+import { isBackendUrl } from "./localBackend"
+import { storePermissions } from "./permissions"
+
+// The signed-in user's session. The login action of the Apps Script checks
+// the password and hands out a signed token that expires (see "Sessions" in
+// apps-script-complete.gs); every request to the backend must carry it.
+// sessionStorage keeps it next to the username and role the pages read.
+// Tokens expire when the user is idle and the session ends after a fixed
+// lifetime; <SessionGuard> refreshes them while the user is active.
+
+const TOKEN_KEY = "token"
+// localStorage, shared by all tabs: when the user last did something, and
+// who last logged out
+const ACTIVITY_KEY = "sessionActivity"
+const SIGN_OUT_KEY = "sessionSignOut"
+// Set while the user signs in with a temporary password an admin gave them
+const PASSWORD_CHANGE_KEY = "mustChangePassword"
+// The districts, branches and vendors the user is limited to, and the scope
+// an admin chose to narrow theirs to (see "Data scope" in the script)
+const ASSIGNED_SCOPE_KEY = "assignedScope"
+const SCOPE_KEY = "scope"
+const SESSION_KEYS = [
+  TOKEN_KEY,
+  "username",
+  "role",
+  "permissions",
+  PASSWORD_CHANGE_KEY,
+  ASSIGNED_SCOPE_KEY,
+  SCOPE_KEY,
+  "department",
+  "isAdmin",
+]
+
+export function sessionToken() {
+  return sessionStorage.getItem(TOKEN_KEY) || ""
+}
+
+// The token's payload is base64 JSON; only the backend can check its
+// signature.
+function tokenPayload(token) {
+  try {
+    return JSON.parse(atob(token.split(".")[0].replace(/-/g, "+").replace(/_/g, "/")))
+  } catch {
+    return {}
+  }
+}
+
+// When the token expires unless it is refreshed, in milliseconds, or 0
+// without a readable token.
+export function sessionExpiry(token = sessionToken()) {
+  return tokenPayload(token).expires * 1000 || 0
+}
+
+// When the session ends however active the user is, in milliseconds.
+// Tokens from before sessions had a fixed lifetime end when they expire.
+export function sessionEnd(token = sessionToken()) {
+  const payload = tokenPayload(token)
+  return (payload.ends || payload.expires) * 1000 || 0
+}
+
+export function hasSession() {
+  return sessionExpiry() > Date.now()
+}
+
+// Whether the backend refuses everything but changePassword() until the user
+// picks a new password.
+export function mustChangePassword() {
+  return sessionStorage.getItem(PASSWORD_CHANGE_KEY) === "true"
+}
+
+const EMPTY_SCOPE = { district: "", branch: "", vendor: "" }
+
+function readScope(key) {
+  try {
+    return { ...EMPTY_SCOPE, ...JSON.parse(sessionStorage.getItem(key) || "{}") }
+  } catch {
+    return EMPTY_SCOPE
+  }
+}
+
+export function isScopeLimited(scope) {
+  return Boolean(scope.district || scope.branch || scope.vendor)
+}
+
+// The { district, branch, vendor } the backend limits this session's data
+// to, each a comma-separated list, blank for all: the user's own, or for
+// admins the one they chose with setAdminScope().
+export function activeScope() {
+  return readScope(sessionStorage.getItem("role") === "admin" ? SCOPE_KEY : ASSIGNED_SCOPE_KEY)
+}
+
+// Narrow what an admin sees; a blank scope shows everything again. Cached
+// stage data is from the previous scope, so callers reload the page.
+export function setAdminScope(scope) {
+  if (isScopeLimited(scope)) {
+    sessionStorage.setItem(SCOPE_KEY, JSON.stringify(scope))
+  } else {
+    sessionStorage.removeItem(SCOPE_KEY)
+  }
+}
+
+export function clearSession() {
+  SESSION_KEYS.forEach((key) => sessionStorage.removeItem(key))
+}
+
+// Note that the user did something, for the idle timeout of all their tabs.
+export function recordActivity() {
+  localStorage.setItem(ACTIVITY_KEY, String(Date.now()))
+}
+
+export function lastActivity() {
+  return Number(localStorage.getItem(ACTIVITY_KEY)) || 0
+}
+
+// Tell the user's other tabs that they logged out or were signed out.
+export function announceSignOut() {
+  const username = sessionStorage.getItem("username")
+  if (username) localStorage.setItem(SIGN_OUT_KEY, JSON.stringify({ username, at: Date.now() }))
+}
+
+// Call `callback` when another tab of the signed-in user announces a sign
+// out. Returns the function that stops listening.
+export function onSignOutElsewhere(callback) {
+  const listener = (event) => {
+    if (event.key !== SIGN_OUT_KEY || !event.newValue) return
+    try {
+      if (JSON.parse(event.newValue).username === sessionStorage.getItem("username")) callback()
+    } catch {
+      // not ours
+    }
+  }
+  window.addEventListener("storage", listener)
+  return () => window.removeEventListener("storage", listener)
+}
+
+async function postSessionAction(scriptUrl, fields) {
+  const response = await fetch(scriptUrl, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+    },
+    body: new URLSearchParams(fields).toString(),
+  })
+  return response.json()
+}
+
+function storeSession(result) {
+  sessionStorage.setItem(TOKEN_KEY, result.token)
+  sessionStorage.setItem("username", result.username)
+  sessionStorage.setItem("role", result.role)
+  storePermissions(result.permissions)
+  sessionStorage.setItem(ASSIGNED_SCOPE_KEY, JSON.stringify(result.scope || EMPTY_SCOPE))
+  sessionStorage.setItem(PASSWORD_CHANGE_KEY, String(result.mustChangePassword === true))
+}
+
+// Error with the backend's message; `authError` is set when the session is
+// no longer valid (expired, logged out elsewhere or user deactivated).
+function sessionError(result, fallback) {
+  const error = new Error(result.error || fallback)
+  error.authError = result.authError === true
+  return error
+}
+
+// Sign in. Resolves to { username, role, mustChangePassword } and stores the
+// session, with the role's permissions (see permissions.js); rejects with the
+// backend's message when the username or password is wrong.
+export async function login(scriptUrl, username, password) {
+  const result = await postSessionAction(scriptUrl, { action: "login", username, password })
+  if (!result.success) {
+    throw sessionError(result, "Sign-in failed")
+  }
+
+  storeSession(result)
+  recordActivity()
+  return { username: result.username, role: result.role, mustChangePassword: result.mustChangePassword === true }
+}
+
+// Trade the token for one whose idle time starts now. Also picks up a
+// changed role or permissions.
+export async function refreshSession(scriptUrl) {
+  const result = await postSessionAction(scriptUrl, { action: "refreshSession" })
+  if (!result.success) {
+    throw sessionError(result, "Could not refresh the session")
+  }
+  storeSession(result)
+}
+
+// Ask the backend whether the token is still good, without extending it.
+export async function checkSession(scriptUrl) {
+  const response = await fetch(`${scriptUrl}?action=session`)
+  const result = await response.json()
+  if (!result.success) {
+    throw sessionError(result, "Could not check the session")
+  }
+}
+
+// End every session of the signed-in user, on the backend and in their other
+// tabs, then forget this one. Still signs this tab out when the backend
+// cannot be reached.
+export async function logout(scriptUrl) {
+  try {
+    await postSessionAction(scriptUrl, { action: "logout" })
+  } catch (error) {
+    console.warn("Logout request failed:", error.message)
+  }
+  announceSignOut()
+  clearSession()
+}
+
+// Replace the signed-in user's password; rejects with the backend's message
+// when the current one is wrong or the new one is too short.
+export async function changePassword(scriptUrl, currentPassword, newPassword) {
+  const result = await postSessionAction(scriptUrl, { action: "changePassword", currentPassword, newPassword })
+  if (!result.success) {
+    throw sessionError(result, "Could not change the password")
+  }
+  sessionStorage.setItem(PASSWORD_CHANGE_KEY, "false")
+}
+
+// Whether `url` goes to the iSolarCloud proxy (server.js), which asks the
+// backend whether the session token is good before it answers.
+function isSolarApiUrl(url) {
+  const solarApiUrl = (config.solarApiUrl || "").replace(/\/+$/, "")
+  return solarApiUrl !== "" && url.startsWith(`${solarApiUrl}/`)
+}
+
+// What the backend is sent to identify the session: the token and the
+// scope an admin chose.
+function sessionFields() {
+  const fields = { token: sessionToken() }
+  const scope = sessionStorage.getItem(SCOPE_KEY)
+  if (scope && sessionStorage.getItem("role") === "admin") fields.scope = scope
+  return fields
+}
+
+// `url` with the session token added when it goes to the backend, e.g. for
+// links the browser opens itself, and the scope an admin chose, or to the
+// iSolarCloud proxy. Other URLs are returned unchanged.
+export function withSessionToken(url) {
+  const token = sessionToken()
+  const toBackend = isBackendUrl(url)
+  if (!token || !(toBackend || isSolarApiUrl(url))) return url
+  const withToken = new URL(url, window.location.href)
+  const fields = toBackend ? sessionFields() : { token }
+  Object.entries(fields).forEach(([name, value]) => withToken.searchParams.set(name, value))
+  return withToken.toString()
+}
+
+// `init` of a POST to the backend with the session fields added to its form
+// body (the script reads both as e.parameter), which keeps the token out of
+// URLs and the logs they end up in. Null when the body is not a form.
+function withSessionBody(init) {
+  const { body } = init
+  const fields = sessionFields()
+  if (body instanceof FormData) {
+    const form = new FormData()
+    body.forEach((value, name) => form.append(name, value))
+    Object.entries(fields).forEach(([name, value]) => form.set(name, value))
+    return { ...init, body: form }
+  }
+  if (body instanceof URLSearchParams || typeof body === "string") {
+    const form = new URLSearchParams(body)
+    Object.entries(fields).forEach(([name, value]) => form.set(name, value))
+    return { ...init, body: typeof body === "string" ? form.toString() : form }
+  }
+  return null
+}
+
+// `init` with the token as an "Authorization: Bearer" header, which the
+// iSolarCloud proxy also accepts.
+function withSessionHeader(init) {
+  const headers = new Headers(init.headers)
+  headers.set("Authorization", `Bearer ${sessionToken()}`)
+  return { ...init, headers }
+}
+
+// Add the session token to every fetch() to the backend and the iSolarCloud
+// proxy, so pages need no changes: in the form body of POSTs to the backend,
+// in a header of other requests to the proxy and in the URL otherwise.
+// Install it after installLocalBackend(): it sees the configured Google URLs
+// before they are redirected.
+export function installSessionToken() {
+  const nativeFetch = window.fetch.bind(window)
+  window.fetch = (input, init) => {
+    if (typeof input === "string" || input instanceof URL) {
+      const url = input.toString()
+      const method = ((init && init.method) || "GET").toUpperCase()
+      if (sessionToken() && method !== "GET" && method !== "HEAD") {
+        const withSession = isBackendUrl(url)
+          ? withSessionBody(init)
+          : isSolarApiUrl(url)
+            ? withSessionHeader(init)
+            : null
+        if (withSession) return nativeFetch(url, withSession)
+      }
+      return nativeFetch(withSessionToken(url), init)
+    }
+    const url = withSessionToken(input.url)
+    return nativeFetch(url === input.url ? input : new Request(url, input), init)
+  }
+}
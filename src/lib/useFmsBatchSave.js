@@ -0,0 +1,90 @@
+import { useCallback, useState } from "react"
+import { batchUpdateFmsFields } from "./fmsApi"
+
+// Saves a bulk submit from a stage page (several selected records, each with
+// its own fields) in one batchUpdate call and keeps the outcome per row.
+//
+// submitBatch(items) takes [{ record, fields, ... }] and resolves to the
+// items that were written; anything else on an item is passed through, so a
+// page can carry the local copy of the updated record along. `batchResult`
+// then lists every item as { id, enquiryNumber, success, conflict, error }
+// for <FmsBatchResult>. retryFailed() sends the failed items again and
+// resolves to the items written this time. Rows that hit a conflict are not
+// retried: somebody else changed them, and the user has to reload the page to
+// see what changed before submitting them again.
+export function useFmsBatchSave(scriptUrl) {
+  const [batch, setBatch] = useState(null)
+  const [isRetrying, setIsRetrying] = useState(false)
+
+  // One batchUpdate call; resolves to [{ item, result }] in item order. A
+  // request that fails as a whole counts as a failure of every row.
+  const send = useCallback(
+    async (items, versions) => {
+      let response
+      try {
+        response = await batchUpdateFmsFields(
+          scriptUrl,
+          items.map((item, i) => ({
+            enquiryNumber: item.record._enquiryNumber || item.record.enquiryNumber,
+            fields: item.fields,
+            version: versions[i],
+          })),
+        )
+      } catch (error) {
+        response = { success: false, error: error.message }
+      }
+
+      return items.map((item, i) => ({
+        item,
+        result: (response.results && response.results[i]) || {
+          success: false,
+          error: response.error || "No result returned for this row",
+        },
+      }))
+    },
+    [scriptUrl],
+  )
+
+  const submitBatch = useCallback(
+    async (items) => {
+      const outcomes = await send(items, items.map((item) => item.record._version))
+      setBatch(outcomes)
+      return outcomes.filter((outcome) => outcome.result.success).map((outcome) => outcome.item)
+    },
+    [send],
+  )
+
+  const retryFailed = useCallback(async () => {
+    if (!batch) return []
+    const failed = batch.filter((outcome) => !outcome.result.success && !outcome.result.conflict)
+    if (failed.length === 0) return []
+
+    setIsRetrying(true)
+    try {
+      const retried = await send(
+        failed.map((outcome) => outcome.item),
+        failed.map((outcome) => outcome.item.record._version),
+      )
+      setBatch((previous) =>
+        previous.map((outcome) => retried.find((retry) => retry.item === outcome.item) || outcome),
+      )
+      return retried.filter((outcome) => outcome.result.success).map((outcome) => outcome.item)
+    } finally {
+      setIsRetrying(false)
+    }
+  }, [batch, send])
+
+  const dismissBatchResult = useCallback(() => setBatch(null), [])
+
+  const batchResult = batch
+    ? batch.map(({ item, result }) => ({
+        id: item.record._id,
+        enquiryNumber: item.record._enquiryNumber || item.record.enquiryNumber,
+        success: Boolean(result.success),
+        conflict: Boolean(result.conflict),
+        error: result.error || "",
+      }))
+    : null
+
+  return { submitBatch, retryFailed, batchResult, isRetrying, dismissBatchResult }
+}
@@ -0,0 +1,78 @@
+import { useCallback, useRef, useState } from "react"
+import { updateFmsFields } from "./fmsApi"
+
+// Follow version -> newer version links left by our own writes.
+function latestVersion(newerVersions, version) {
+  let current = version
+  while (current && newerVersions[current]) {
+    current = newerVersions[current]
+  }
+  return current
+}
+
+// Saves a stage modal's fields with optimistic concurrency.
+//
+// saveFields(record, fields) sends the record's fetched version along with
+// the write. If someone else changed the row in the meantime the backend
+// answers with a conflict; the returned promise then stays pending while
+// `conflict` is rendered by <FmsConflictDialog>, and settles with the result
+// of the retried/merged write, or { success: false, cancelled: true } when
+// the user backs out. Modal state is untouched, so nothing typed is lost.
+export function useFmsSave(scriptUrl) {
+  const [conflict, setConflict] = useState(null)
+  // version read -> version after our own successful write, so a second
+  // save of the same record without a refetch is not flagged as a conflict
+  const newerVersions = useRef({})
+
+  const send = useCallback(
+    async (record, fields, version) => {
+      const result = await updateFmsFields(scriptUrl, record._enquiryNumber || record.enquiryNumber, fields, {
+        version,
+      })
+      if (result.success && version && result.version) {
+        newerVersions.current[version] = result.version
+      }
+      return result
+    },
+    [scriptUrl],
+  )
+
+  const saveFields = useCallback(
+    async (record, fields) => {
+      const result = await send(record, fields, latestVersion(newerVersions.current, record._version))
+      if (!result.conflict) return result
+
+      return new Promise((resolve) => {
+        setConflict({ record, fields, result, resolve })
+      })
+    },
+    [send],
+  )
+
+  // Called by the dialog with the fields to write (all of the user's values
+  // for a retry, a subset for a merge), or null to cancel.
+  const resolveConflict = useCallback(
+    async (fields) => {
+      if (!conflict) return
+      if (!fields) {
+        setConflict(null)
+        conflict.resolve({ success: false, cancelled: true, error: "Update cancelled after a conflicting change" })
+        return
+      }
+
+      const result = await send(conflict.record, fields, conflict.result.version)
+      if (result.conflict) {
+        setConflict({ ...conflict, fields, result })
+        return
+      }
+      if (result.success && conflict.record._version) {
+        newerVersions.current[conflict.record._version] = result.version
+      }
+      setConflict(null)
+      conflict.resolve(result)
+    },
+    [conflict, send],
+  )
+
+  return { saveFields, conflict, resolveConflict }
+}
@@ -0,0 +1,73 @@
+import { useCallback, useRef, useState } from "react"
+import { checkGeotag } from "./fmsApi"
+import { readPhotoMetadata } from "./photoTools"
+
+function geotagWarning(metadata, check) {
+  if (metadata.latitude === null) return "No GPS location in this photo"
+  if (!check) return null
+  if (!check.located) {
+    return check.place
+      ? `Could not check the distance: ${check.place} is not on the map yet`
+      : "Could not check the distance: the enquiry has no village or district"
+  }
+  return check.far ? `Taken about ${check.distanceKm} km from ${check.place}` : null
+}
+
+// Location checks of the photos picked in a form, per field.
+//
+// inspectPhotos(field, enquiryNumber, files) reads each photo's EXIF GPS
+// position and capture time and asks the backend how far that is from the
+// enquiry's village or district. `geotags[field]` is then
+// [{ name, latitude, longitude, takenAt, checking, warning }] for
+// <GeotagNotice>; warning is set when the photo has no GPS data or was taken
+// too far away. The check only warns: the photos can still be uploaded.
+export function usePhotoGeotags(scriptUrl) {
+  const [geotags, setGeotags] = useState({})
+  // field -> number of the latest pick, so a slow check of photos that were
+  // replaced in the meantime is dropped
+  const picks = useRef({})
+
+  const inspectPhotos = useCallback(
+    async (field, enquiryNumber, files) => {
+      const photos = [].concat(files || [])
+      const pick = (picks.current[field] || 0) + 1
+      picks.current[field] = pick
+      const isCurrent = () => picks.current[field] === pick
+
+      const entries = await Promise.all(
+        photos.map(async (file) => ({ name: file.name, ...(await readPhotoMetadata(file)) })),
+      )
+      if (!isCurrent()) return
+      setGeotags((prev) => ({
+        ...prev,
+        [field]: entries.map((entry) => ({
+          ...entry,
+          checking: entry.latitude !== null,
+          warning: geotagWarning(entry),
+        })),
+      }))
+
+      const checked = await Promise.all(
+        entries.map(async (entry) => {
+          if (entry.latitude === null) return { ...entry, checking: false, warning: geotagWarning(entry) }
+          try {
+            const check = await checkGeotag(scriptUrl, enquiryNumber, entry)
+            return { ...entry, checking: false, warning: geotagWarning(entry, check) }
+          } catch (error) {
+            console.warn(`Location check of ${entry.name} failed:`, error.message)
+            return { ...entry, checking: false, warning: null }
+          }
+        }),
+      )
+      if (isCurrent()) setGeotags((prev) => ({ ...prev, [field]: checked }))
+    },
+    [scriptUrl],
+  )
+
+  const clearGeotags = useCallback(() => {
+    picks.current = {}
+    setGeotags({})
+  }, [])
+
+  return { geotags, inspectPhotos, clearGeotags }
+}
@@ -1,10 +1,23 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
-import App from './App.jsx'
+import FmsDataProvider from './components/FmsDataProvider.jsx'
+import { loadRuntimeConfig } from './lib/config'
+import { installLocalBackend } from './lib/localBackend'
+import { installSessionToken } from './lib/session'
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-  </StrictMode>,
-)
+// Pages read the config when their modules load, so the app is only
+// imported once config.json has been applied
+loadRuntimeConfig().then(async () => {
+  installLocalBackend()
+  installSessionToken()
+  const { default: App } = await import('./App.jsx')
+
+  createRoot(document.getElementById('root')).render(
+    <StrictMode>
+      <FmsDataProvider>
+        <App />
+      </FmsDataProvider>
+    </StrictMode>,
+  )
+})
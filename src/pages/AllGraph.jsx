@@ -5,6 +5,7 @@ import {
     Calendar, CheckCircle, Database, Activity, Grid3x3,
     Layers, Users, Download, LogIn, Wifi, WifiOff, X, Info
 } from "lucide-react";
+import { config } from "../lib/config";
 
 // Solar API Constants
 const SOLAR_APPKEY = import.meta.env.VITE_SOLAR_APP_KEY;
@@ -76,7 +77,7 @@ function AllGraph() {
             setLoading(true);
             setError(null);
             const sheetName = "Inverter_id";
-            const url = `https://script.google.com/macros/s/AKfycbzF4JjwpmtgsurRYkORyZvQPvRGc06VuBMCJM00wFbOOtVsSyFiUJx5xtb1J0P5ooyf/exec?sheet=${encodeURIComponent(sheetName)}&action=fetch`;
+            const url = `${config.appsScriptUrl}?sheet=${encodeURIComponent(sheetName)}&action=fetch`;
 
             const response = await fetch(url);
             if (!response.ok) throw new Error(`Failed to fetch sheet: ${response.status}`);
@@ -11,6 +11,7 @@ import {
 } from "chart.js";
 import AdminLayout from "../components/layout/AdminLayout";
 import CombinedAreaChart from "./graph/CombinedAreaChart";
+import { config } from "../lib/config";
 
 // Register ChartJS components
 ChartJS.register(
@@ -24,8 +25,7 @@ ChartJS.register(
 
 // Configuration
 const CONFIG = {
-  APPS_SCRIPT_URL:
-    "https://script.google.com/macros/s/AKfycbzF4JjwpmtgsurRYkORyZvQPvRGc06VuBMCJM00wFbOOtVsSyFiUJx5xtb1J0P5ooyf/exec",
+  APPS_SCRIPT_URL: config.appsScriptUrl,
   ENERGY_ANALYSIS_SHEET_NAME: "Energy analysis",
 };
 
@@ -3,16 +3,32 @@
 import { useState, useEffect, useCallback, useMemo } from "react"
 import { CheckCircle2, X, Search, History, MapPin, Users, Phone, Eye, Receipt, Calendar, Wrench } from "lucide-react"
 import AdminLayout from "../components/layout/AdminLayout"
+import { AuditHistoryButton, AuditHistoryDrawer } from "../components/AuditHistory"
+import DocumentLink from "../components/DocumentLink"
+import FileLinks from "../components/FileLinks"
+import FmsConflictDialog from "../components/FmsConflictDialog"
+import UploadProgress from "../components/UploadProgress"
+import { getFmsValue } from "../lib/fmsSchema"
+import { useDriveUploads } from "../lib/driveUpload"
+import { useFmsSave } from "../lib/useFmsSave"
+import { useFmsStage } from "../lib/fmsCache"
+import { can } from "../lib/permissions"
+import { config } from "../lib/config"
 
 // Updated Configuration object
 const CONFIG = {
   // Updated Google Apps Script URL
-  APPS_SCRIPT_URL:
-    "https://script.google.com/macros/s/AKfycbzF4JjwpmtgsurRYkORyZvQPvRGc06VuBMCJM00wFbOOtVsSyFiUJx5xtb1J0P5ooyf/exec",
+  APPS_SCRIPT_URL: config.appsScriptUrl,
   // Updated Google Drive folder ID for file uploads
-  DRIVE_FOLDER_ID: "1A1-QDgKUGl8Chy5wPFXdFxM7-_OKYmg1",
+  DRIVE_FOLDER_ID: config.driveFolders.billing,
+  DOCUMENT_STAGE: "Billing",
+  DOCUMENT_NAMES: {
+    consumerBillCopy: "InvoiceCopy",
+    vendorCopy: "VendorCopy",
+    paymentReceipt: "PaymentReceipt",
+  },
   // Updated Sheet ID
-  SHEET_ID: "1Kp9eEqtQfesdie6l7XEuTZne6Md8_P8qzKfGFcHhpL4",
+  SHEET_ID: config.spreadsheetId,
   // Sheet names
   SOURCE_SHEET_NAME: "FMS",
   // Updated page configuration
@@ -24,6 +40,21 @@ const CONFIG = {
   },
 }
 
+// Columns this page reads and the FMS rows that belong to this stage; the
+// backend splits them into pending and history on BILLING_ACTUAL.
+const STAGE_QUERY = {
+  fields: [
+    "ENQUIRY_NUMBER", "BENEFICIARY_NAME", "ADDRESS", "CONTACT_NUMBER", "SURVEYOR_NAME", "DISPATCH_STATUS",
+    "INFORM_STATUS", "RECEIPT_COPY", "RECEIPT_DATE", "INSTALLATION_DATE", "ROUTING", "EARTHING",
+    "BASE_FOUNDATION", "WIRING", "FOUNDATION_PHOTO", "AFTER_INSTALLATION_PHOTO", "PHOTO_WITH_CUSTOMER",
+    "COMPLETE_INSTALLATION_PHOTO", "BILLING_ACTUAL", "INVOICE_NUMBER", "INVOICE_AMOUNT", "INVOICE_DATE",
+    "INVOICE_COPY", "AMOUNT_RECEIVED", "AMOUNT_RECEIVED_DATE", "BILLING_DEDUCTION", "PAYMENT_REFERENCE",
+    "PAYMENT_REFERENCE_NUMBER", "OUTSTANDING",
+  ],
+  filters: [{ field: "ENQUIRY_NUMBER", op: "notEmpty" }, { field: "BILLING_PLANNED", op: "notEmpty" }],
+  actualField: "BILLING_ACTUAL",
+}
+
 // Debounce hook for search optimization
 function useDebounce(value, delay) {
   const [debouncedValue, setDebouncedValue] = useState(value)
@@ -42,11 +73,11 @@ function useDebounce(value, delay) {
 }
 
 function BillingsPage() {
-  const [pendingData, setPendingData] = useState([])
-  const [historyData, setHistoryData] = useState([])
+  const { saveFields, conflict, resolveConflict } = useFmsSave(CONFIG.APPS_SCRIPT_URL)
+  const { uploads, upload, clearUploads } = useDriveUploads(CONFIG.APPS_SCRIPT_URL)
+  const [historyEnquiry, setHistoryEnquiry] = useState(null)
+  const canEdit = can("billing", "edit")
   const [searchTerm, setSearchTerm] = useState("")
-  const [loading, setLoading] = useState(true)
-  const [error, setError] = useState(null)
   const [showHistory, setShowHistory] = useState(false)
   const [showBillingModal, setShowBillingModal] = useState(false)
   const [selectedRecord, setSelectedRecord] = useState(null)
@@ -136,138 +167,65 @@ function BillingsPage() {
     setUsername(user || "")
   }, [])
 
-  // Optimized data fetching with corrected column mappings
-  const fetchSheetData = useCallback(async () => {
-    try {
-      setLoading(true)
-      setError(null)
-
-      const response = await fetch(`${CONFIG.APPS_SCRIPT_URL}?sheet=${CONFIG.SOURCE_SHEET_NAME}&action=fetch`)
-
-      if (!response.ok) {
-        throw new Error(`Failed to fetch data: ${response.status}`)
-      }
-
-      const text = await response.text()
-      let data
-
-      try {
-        data = JSON.parse(text)
-      } catch (parseError) {
-        const jsonStart = text.indexOf("{")
-        const jsonEnd = text.lastIndexOf("}")
-        if (jsonStart !== -1 && jsonEnd !== -1) {
-          const jsonString = text.substring(jsonStart, jsonEnd + 1)
-          data = JSON.parse(jsonString)
-        } else {
-          throw new Error("Invalid JSON response from server")
-        }
-      }
-
-      const pending = []
-      const history = []
-      let rows = []
-
-      if (data.table && data.table.rows) {
-        rows = data.table.rows
-      } else if (Array.isArray(data)) {
-        rows = data
-      } else if (data.values) {
-        rows = data.values.map((row) => ({ c: row.map((val) => ({ v: val })) }))
-      }
-
-      rows.forEach((row, rowIndex) => {
-        // Skip header rows and only process from row 7 onwards (rowIndex 6 in 0-based indexing)
-        if (rowIndex < 6) return
-
-        let rowValues = []
-        if (row.c) {
-          rowValues = row.c.map((cell) => (cell && cell.v !== undefined ? cell.v : ""))
-        } else if (Array.isArray(row)) {
-          rowValues = row
-        } else {
-          return
-        }
-
-        // Updated conditions: Column CM (Index 90) must be NOT NULL
-        const enquiryNumber = rowValues[1] || ""
-        const columnCM = rowValues[90] // Column CM
-        const columnCN = rowValues[91] // Column CN
-
-        const hasEnquiry = !isEmpty(enquiryNumber)
-        const isColumnCMEmpty = isEmpty(columnCM)
-
-        // Skip if enquiry number is empty OR Column CM is empty
-        if (!hasEnquiry || isColumnCMEmpty) return
-
-        const googleSheetsRowIndex = rowIndex + 1
-
-        const stableId = enquiryNumber
-          ? `enquiry_${enquiryNumber}_${googleSheetsRowIndex}`
-          : `row_${googleSheetsRowIndex}_${Math.random().toString(36).substring(2, 15)}`
-
-        const rowData = {
-          _id: stableId,
-          _rowIndex: googleSheetsRowIndex,
-          _enquiryNumber: enquiryNumber,
-          // Preserve original row data to prevent data loss during update
-          _originalData: rowValues,
-          // Basic info columns with corrected mappings
-          enquiryNumber: rowValues[1] || "", // B
-          beneficiaryName: rowValues[2] || "", // C
-          address: rowValues[3] || "", // D
-          contactNumber: rowValues[6] || "", // G
-          surveyorName: rowValues[29] || "", // AD
-          dispatchMaterial: rowValues[68] || "", // BQ (corrected from 67 to 68)
-          informToCustomer: rowValues[72] || "", // BU (corrected from 71 to 72)
-          copyOfReceipt: rowValues[76] || "", // BY (corrected from 75 to 76)
-          dateOfReceipt: formatDate(rowValues[77] || ""), // BZ (corrected from 76 to 77)
-          dateOfInstallation: formatDate(rowValues[81] || ""), // CD (corrected from 80 to 81)
-          routing: rowValues[82] || "", // CE (corrected from 81 to 82)
-          earthing: rowValues[83] || "", // CF (corrected from 82 to 83)
-          baseFoundation: rowValues[84] || "", // CG (corrected from 83 to 84)
-          wiring: rowValues[85] || "", // CH (corrected from 84 to 85)
-          foundationPhoto: rowValues[86] || "", // CI (corrected from 85 to 86)
-          afterInstallationPhoto: rowValues[87] || "", // CJ (corrected from 86 to 87)
-          photoWithCustomer: rowValues[88] || "", // CK (corrected from 87 to 88)
-          completeInstallationPhoto: rowValues[89] || "", // CL (corrected from 88 to 89)
-          // Billing data with updated mappings
-          actual: formatDate(rowValues[91] || ""), // CN (Actual Timestamp)
-          consumerBillNumber: rowValues[93] || "", // CP (Invoice Number)
-          vendorBillNumber: rowValues[94] || "", // CQ (Invoice Amount)
-          invoiceDate: formatDate(rowValues[95] || ""), // CR (Invoice Date)
-          consumerBillCopy: rowValues[96] || "", // CS (Invoice Copy)
-          amountReceived: rowValues[143] || "", // EN (Amount Received)
-          paymentDate: formatDate(rowValues[144] || ""), // EO (Payment Date)
-          deduction: rowValues[154] || "", // EY (Deduction)
-          paymentReference: rowValues[155] || "", // EZ (Payment Reference)
-          paymentReferenceNumber: rowValues[156] || "", // FA (Reference Number)
-          outstanding: rowValues[157] || "", // FB (Outstanding)
-        }
-
-        // Check if Column CN is null for pending, not null for history
-        const isColumnCNEmpty = isEmpty(columnCN)
-
-        if (isColumnCNEmpty) {
-          pending.push(rowData)
-        } else {
-          history.push(rowData)
-        }
-      })
-
-      setPendingData(pending)
-      setHistoryData(history)
-      setLoading(false)
-    } catch (error) {
-      console.error("Error fetching sheet data:", error)
-      setError("Failed to load Billing data: " + error.message)
-      setLoading(false)
+  const toRecord = useCallback((row) => {
+    const fms = (key) => getFmsValue(row.values, key)
+
+    const enquiryNumber = fms("ENQUIRY_NUMBER") || ""
+
+    const googleSheetsRowIndex = row.rowIndex
+
+    const stableId = enquiryNumber
+      ? `enquiry_${enquiryNumber}_${googleSheetsRowIndex}`
+      : `row_${googleSheetsRowIndex}_${Math.random().toString(36).substring(2, 15)}`
+
+    const rowData = {
+      _id: stableId,
+      _rowIndex: googleSheetsRowIndex,
+      _version: row.version,
+      _enquiryNumber: enquiryNumber,
+      // Preserve original row data to prevent data loss during update
+      _originalData: row.values,
+      // Basic info columns with corrected mappings
+      enquiryNumber: fms("ENQUIRY_NUMBER") || "",
+      beneficiaryName: fms("BENEFICIARY_NAME") || "",
+      address: fms("ADDRESS") || "",
+      contactNumber: fms("CONTACT_NUMBER") || "",
+      surveyorName: fms("SURVEYOR_NAME") || "",
+      dispatchMaterial: fms("DISPATCH_STATUS") || "",
+      informToCustomer: fms("INFORM_STATUS") || "",
+      copyOfReceipt: fms("RECEIPT_COPY") || "",
+      dateOfReceipt: formatDate(fms("RECEIPT_DATE") || ""),
+      dateOfInstallation: formatDate(fms("INSTALLATION_DATE") || ""),
+      routing: fms("ROUTING") || "",
+      earthing: fms("EARTHING") || "",
+      baseFoundation: fms("BASE_FOUNDATION") || "",
+      wiring: fms("WIRING") || "",
+      foundationPhoto: fms("FOUNDATION_PHOTO") || "",
+      afterInstallationPhoto: fms("AFTER_INSTALLATION_PHOTO") || "",
+      photoWithCustomer: fms("PHOTO_WITH_CUSTOMER") || "",
+      completeInstallationPhoto: fms("COMPLETE_INSTALLATION_PHOTO") || "",
+      // Billing data with updated mappings
+      actual: formatDate(fms("BILLING_ACTUAL") || ""),
+      consumerBillNumber: fms("INVOICE_NUMBER") || "",
+      vendorBillNumber: fms("INVOICE_AMOUNT") || "",
+      invoiceDate: formatDate(fms("INVOICE_DATE") || ""),
+      consumerBillCopy: fms("INVOICE_COPY") || "",
+      amountReceived: fms("AMOUNT_RECEIVED") || "",
+      paymentDate: formatDate(fms("AMOUNT_RECEIVED_DATE") || ""),
+      deduction: fms("BILLING_DEDUCTION") || "",
+      paymentReference: fms("PAYMENT_REFERENCE") || "",
+      paymentReferenceNumber: fms("PAYMENT_REFERENCE_NUMBER") || "",
+      outstanding: fms("OUTSTANDING") || "",
     }
-  }, [isEmpty, formatDate])
 
-  useEffect(() => {
-    fetchSheetData()
-  }, [fetchSheetData])
+    return rowData
+  }, [formatDate])
+
+  const { pendingData, historyData, setPendingData, setHistoryData, loading, error } = useFmsStage(
+    CONFIG.APPS_SCRIPT_URL,
+    STAGE_QUERY,
+    toRecord,
+  )
 
   // Optimized filtered data with debounced search
   const filteredPendingData = useMemo(() => {
@@ -315,8 +273,9 @@ function BillingsPage() {
       paymentReceipt: { uploading: false, uploaded: !!record.paymentReceipt, url: record.paymentReceipt || "", error: null, name: record.paymentReceipt ? "Existing Receipt" : "", ready: false }
     })
 
+    clearUploads()
     setShowBillingModal(true)
-  }, [formatDateForInput])
+  }, [formatDateForInput, clearUploads])
 
   const handleFileUpload = useCallback((field, file) => {
     if (!file) return;
@@ -386,43 +345,23 @@ function BillingsPage() {
     })
   }, [])
 
-  const fileToBase64 = useCallback((file) => {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader()
-      reader.readAsDataURL(file)
-      reader.onload = () => resolve(reader.result)
-      reader.onerror = (error) => reject(error)
-    })
-  }, [])
-
   const uploadImageToDrive = useCallback(
-    async (file) => {
+    async (file, documentName) => {
       try {
-        const base64Data = await fileToBase64(file)
-        const formData = new FormData()
-        formData.append("action", "uploadFile")
-        formData.append("base64Data", base64Data)
-        formData.append("fileName", `${selectedRecord._enquiryNumber}_${Date.now()}.${file.name.split(".").pop()}`)
-        formData.append("mimeType", file.type)
-        formData.append("folderId", CONFIG.DRIVE_FOLDER_ID)
-
-        const response = await fetch(CONFIG.APPS_SCRIPT_URL, {
-          method: "POST",
-          body: formData,
+        const result = await upload(file, {
+          fileName: file.name,
+          folderId: CONFIG.DRIVE_FOLDER_ID,
+          enquiryNumber: selectedRecord._enquiryNumber,
+          stage: CONFIG.DOCUMENT_STAGE,
+          documentName,
         })
-
-        const result = await response.json()
-        if (result.success) {
-          return result.fileUrl
-        } else {
-          throw new Error("Failed to upload image")
-        }
+        return result.fileUrl
       } catch (error) {
         console.error("Error uploading image:", error)
         throw error
       }
     },
-    [selectedRecord, fileToBase64],
+    [selectedRecord, upload],
   )
 
   const handleBillingSubmit = async () => {
@@ -449,7 +388,7 @@ function BillingsPage() {
           }))
 
           try {
-            const uploadedUrl = await uploadImageToDrive(fileObj)
+            const uploadedUrl = await uploadImageToDrive(fileObj, CONFIG.DOCUMENT_NAMES[field])
             currentFileUploads[field] = {
               uploading: false,
               uploaded: true,
@@ -476,37 +415,22 @@ function BillingsPage() {
       const vendorCopyUrl = currentFileUploads.vendorCopy.url
       const paymentReceiptUrl = currentFileUploads.paymentReceipt.url
 
-      // Prepare update data using a sparse array (at least 167 columns for FK)
-      const rowData = Array(Math.max(200, selectedRecord._originalData.length)).fill(null)
-
-      rowData[91] = actualDate // CN - Actual Timestamp
-      rowData[93] = billingForm.consumerBillNumber // CP
-      rowData[94] = billingForm.vendorBillNumber // CQ (Invoice Amount)
-      rowData[95] = formatDateForSheet(billingForm.invoiceDate) // CR
-      rowData[96] = consumerBillCopyUrl // CS
-      rowData[143] = billingForm.amountReceived // EN
-      rowData[144] = formatDateForSheet(billingForm.paymentDate) // EO
-      rowData[154] = billingForm.deduction // EY
-      rowData[155] = billingForm.paymentReference // EZ
-      rowData[156] = billingForm.paymentReferenceNumber // FA
-      rowData[157] = billingForm.outstanding // FB
-
-      const updateData = {
-        action: "update",
-        sheetName: CONFIG.SOURCE_SHEET_NAME,
-        rowIndex: selectedRecord._rowIndex,
-        rowData: JSON.stringify(rowData),
-      }
+      // Prepare update data
+      const fields = {}
 
-      const response = await fetch(CONFIG.APPS_SCRIPT_URL, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/x-www-form-urlencoded",
-        },
-        body: new URLSearchParams(updateData).toString(),
-      })
+      fields.BILLING_ACTUAL = actualDate
+      fields.INVOICE_NUMBER = billingForm.consumerBillNumber
+      fields.INVOICE_AMOUNT = billingForm.vendorBillNumber
+      fields.INVOICE_DATE = formatDateForSheet(billingForm.invoiceDate)
+      fields.INVOICE_COPY = consumerBillCopyUrl
+      fields.AMOUNT_RECEIVED = billingForm.amountReceived
+      fields.AMOUNT_RECEIVED_DATE = formatDateForSheet(billingForm.paymentDate)
+      fields.BILLING_DEDUCTION = billingForm.deduction
+      fields.PAYMENT_REFERENCE = billingForm.paymentReference
+      fields.PAYMENT_REFERENCE_NUMBER = billingForm.paymentReferenceNumber
+      fields.OUTSTANDING = billingForm.outstanding
 
-      const result = await response.json()
+      const result = await saveFields(selectedRecord, fields)
 
       if (result.success) {
         setSuccessMessage(`Billing completed successfully for Enquiry Number: ${selectedRecord._enquiryNumber}`)
@@ -761,16 +685,18 @@ function BillingsPage() {
                       filteredHistoryData.map((record) => (
                         <tr key={record._id} className="hover:bg-gray-50">
                           <td className="px-2 py-3 whitespace-nowrap">
-                            <button
-                              onClick={() => handleBillingClick(record)}
-                              className="inline-flex items-center px-3 py-1 border border-transparent text-xs leading-4 font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors"
-                            >
-                              <Wrench className="h-3 w-3 mr-1" />
-                              Edit
-                            </button>
+                            {canEdit && (
+                              <button
+                                onClick={() => handleBillingClick(record)}
+                                className="inline-flex items-center px-3 py-1 border border-transparent text-xs leading-4 font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors"
+                              >
+                                <Wrench className="h-3 w-3 mr-1" />
+                                Edit
+                              </button>
+                            )}
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
-                            <div className="text-xs font-medium text-gray-900">{record.enquiryNumber || "—"}</div>
+                            <div className="text-xs font-medium text-gray-900">{record.enquiryNumber || "—"}<AuditHistoryButton enquiryNumber={record.enquiryNumber} onOpen={setHistoryEnquiry} /></div>
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             <div className="text-xs text-gray-900">{record.beneficiaryName || "—"}</div>
@@ -794,15 +720,14 @@ function BillingsPage() {
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.copyOfReceipt ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.copyOfReceipt}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
@@ -826,64 +751,38 @@ function BillingsPage() {
                             <div className="text-xs text-gray-900">{record.wiring || "—"}</div>
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
-                            {record.foundationPhoto ? (
-                              <a
-                                href={record.foundationPhoto}
-                                target="_blank"
-                                rel="noopener noreferrer"
-                                className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
-                              >
-                                <Eye className="h-3 w-3 mr-1" />
-                                View
-                              </a>
-                            ) : (
-                              <span className="text-gray-400 text-xs">—</span>
-                            )}
+                            <FileLinks scriptUrl={CONFIG.APPS_SCRIPT_URL} value={record.foundationPhoto} />
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.afterInstallationPhoto ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.afterInstallationPhoto}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.photoWithCustomer ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.photoWithCustomer}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
-                            {record.completeInstallationPhoto ? (
-                              <a
-                                href={record.completeInstallationPhoto}
-                                target="_blank"
-                                rel="noopener noreferrer"
-                                className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
-                              >
-                                <Eye className="h-3 w-3 mr-1" />
-                                View
-                              </a>
-                            ) : (
-                              <span className="text-gray-400 text-xs">—</span>
-                            )}
+                            <FileLinks scriptUrl={CONFIG.APPS_SCRIPT_URL} value={record.completeInstallationPhoto} />
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             <div className="text-xs font-medium text-green-600">{record.consumerBillNumber || "—"}</div>
@@ -899,15 +798,14 @@ function BillingsPage() {
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.consumerBillCopy ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.consumerBillCopy}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
@@ -946,16 +844,18 @@ function BillingsPage() {
                     filteredPendingData.map((record) => (
                       <tr key={record._id} className="hover:bg-gray-50">
                         <td className="px-2 py-3 whitespace-nowrap">
-                          <button
-                            onClick={() => handleBillingClick(record)}
-                            className="inline-flex items-center px-3 py-1 border border-transparent text-xs leading-4 font-medium rounded-md text-white bg-linear-to-r from-green-500 to-blue-600 hover:from-green-600 hover:to-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
-                          >
-                            <Receipt className="h-3 w-3 mr-1" />
-                            Billing
-                          </button>
+                          {canEdit && (
+                            <button
+                              onClick={() => handleBillingClick(record)}
+                              className="inline-flex items-center px-3 py-1 border border-transparent text-xs leading-4 font-medium rounded-md text-white bg-linear-to-r from-green-500 to-blue-600 hover:from-green-600 hover:to-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
+                            >
+                              <Receipt className="h-3 w-3 mr-1" />
+                              Billing
+                            </button>
+                          )}
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
-                          <div className="text-xs font-medium text-blue-900">{record.enquiryNumber || "—"}</div>
+                          <div className="text-xs font-medium text-blue-900">{record.enquiryNumber || "—"}<AuditHistoryButton enquiryNumber={record.enquiryNumber} onOpen={setHistoryEnquiry} /></div>
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           <div className="text-xs text-gray-900 flex items-center">
@@ -986,15 +886,14 @@ function BillingsPage() {
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.copyOfReceipt ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.copyOfReceipt}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
@@ -1018,64 +917,38 @@ function BillingsPage() {
                           <div className="text-xs text-gray-900">{record.wiring || "—"}</div>
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
-                          {record.foundationPhoto ? (
-                            <a
-                              href={record.foundationPhoto}
-                              target="_blank"
-                              rel="noopener noreferrer"
-                              className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
-                            >
-                              <Eye className="h-3 w-3 mr-1" />
-                              View
-                            </a>
-                          ) : (
-                            <span className="text-gray-400 text-xs">—</span>
-                          )}
+                          <FileLinks scriptUrl={CONFIG.APPS_SCRIPT_URL} value={record.foundationPhoto} />
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.afterInstallationPhoto ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.afterInstallationPhoto}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.photoWithCustomer ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.photoWithCustomer}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
-                          {record.completeInstallationPhoto ? (
-                            <a
-                              href={record.completeInstallationPhoto}
-                              target="_blank"
-                              rel="noopener noreferrer"
-                              className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
-                            >
-                              <Eye className="h-3 w-3 mr-1" />
-                              View
-                            </a>
-                          ) : (
-                            <span className="text-gray-400 text-xs">—</span>
-                          )}
+                          <FileLinks scriptUrl={CONFIG.APPS_SCRIPT_URL} value={record.completeInstallationPhoto} />
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           <div className="text-xs font-medium text-green-600">{record.consumerBillNumber || "—"}</div>
@@ -1091,15 +964,14 @@ function BillingsPage() {
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.consumerBillCopy ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.consumerBillCopy}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
@@ -1251,15 +1123,14 @@ function BillingsPage() {
                         </div>
                         <div className="w-10 h-9 shrink-0">
                           {selectedRecord.consumerBillCopy ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={selectedRecord.consumerBillCopy}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="w-full h-full flex items-center justify-center border border-blue-200 rounded-md text-blue-600 bg-blue-50 hover:bg-blue-100 transition-all shadow-xs"
                               title="View Previous Invoice"
                             >
                               <Eye className="h-4 w-4" />
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <div
                               className="w-full h-full flex items-center justify-center border border-gray-200 rounded-md text-gray-300 bg-gray-50 cursor-not-allowed"
@@ -1381,6 +1252,8 @@ function BillingsPage() {
                   </div>
                 </div>
 
+                <UploadProgress uploads={uploads} />
+
                 {/* Action Buttons */}
                 <div className="flex justify-end space-x-4 mt-8 pt-4 border-t">
                   <button
@@ -1413,6 +1286,12 @@ function BillingsPage() {
           </div>
         )}
       </div>
+      <FmsConflictDialog conflict={conflict} onResolve={resolveConflict} />
+      <AuditHistoryDrawer
+        scriptUrl={CONFIG.APPS_SCRIPT_URL}
+        enquiryNumber={historyEnquiry}
+        onClose={() => setHistoryEnquiry(null)}
+      />
     </AdminLayout>
   )
 }
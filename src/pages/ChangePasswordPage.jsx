@@ -0,0 +1,133 @@
+"use client"
+
+import { useState } from "react"
+import { useNavigate } from "react-router-dom"
+import { KeyRound, Lock } from "lucide-react"
+import { changePassword, logout, mustChangePassword } from "../lib/session"
+import { config } from "../lib/config"
+
+const CONFIG = {
+  APPS_SCRIPT_URL: config.appsScriptUrl,
+  MIN_PASSWORD_LENGTH: 8,
+}
+
+const PASSWORD_FIELDS = [
+  { name: "currentPassword", label: "Current password" },
+  { name: "newPassword", label: "New password" },
+  { name: "confirmPassword", label: "Repeat new password" },
+]
+
+const ChangePasswordPage = () => {
+  const navigate = useNavigate()
+  // Users signing in with a temporary password cannot go anywhere else yet
+  const [forced] = useState(mustChangePassword)
+  const [isSaving, setIsSaving] = useState(false)
+  const [error, setError] = useState("")
+  const [formData, setFormData] = useState({
+    currentPassword: "",
+    newPassword: "",
+    confirmPassword: "",
+  })
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setFormData((prev) => ({ ...prev, [name]: value }))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError("")
+
+    const newPassword = formData.newPassword.trim()
+    if (newPassword.length < CONFIG.MIN_PASSWORD_LENGTH) {
+      setError(`Passwords need at least ${CONFIG.MIN_PASSWORD_LENGTH} characters`)
+      return
+    }
+    if (newPassword !== formData.confirmPassword.trim()) {
+      setError("The new passwords do not match")
+      return
+    }
+
+    setIsSaving(true)
+    try {
+      await changePassword(CONFIG.APPS_SCRIPT_URL, formData.currentPassword.trim(), newPassword)
+      navigate("/dashboard/admin", { replace: true })
+    } catch (err) {
+      console.error("Password change failed:", err)
+      setError(err.message)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleSignOut = async () => {
+    await logout(CONFIG.APPS_SCRIPT_URL)
+    navigate("/login", { replace: true })
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-gray-50 via-white to-gray-100 p-4">
+      <div className="w-full max-w-sm bg-white rounded-2xl shadow-xl border border-gray-200 p-6">
+        <div className="text-center mb-6">
+          <div className="inline-flex items-center justify-center w-14 h-14 bg-gradient-to-br from-blue-500 to-purple-600 rounded-full mb-4 shadow-lg">
+            <KeyRound className="w-7 h-7 text-white" />
+          </div>
+          <h1 className="text-2xl font-bold text-gray-800 mb-1">Change Password</h1>
+          <p className="text-sm text-gray-500">
+            {forced
+              ? "You signed in with a temporary password. Choose your own to continue."
+              : `Signed in as ${sessionStorage.getItem("username") || "user"}`}
+          </p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {PASSWORD_FIELDS.map((field) => (
+            <div key={field.name} className="space-y-2">
+              <label htmlFor={field.name} className="block text-gray-700 text-sm font-medium">
+                {field.label}
+              </label>
+              <div className="relative">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <Lock className="h-5 w-5 text-gray-400" />
+                </div>
+                <input
+                  id={field.name}
+                  name={field.name}
+                  type="password"
+                  required
+                  value={formData[field.name]}
+                  onChange={handleChange}
+                  autoComplete={field.name === "currentPassword" ? "current-password" : "new-password"}
+                  className="w-full pl-10 pr-4 py-3 bg-gray-50 border border-gray-300 rounded-lg text-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+            </div>
+          ))}
+
+          {error && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-3 py-2 rounded-md text-sm">{error}</div>
+          )}
+
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="w-full py-3 px-4 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 text-white text-base font-semibold rounded-lg disabled:opacity-50 shadow-lg"
+          >
+            {isSaving ? "Saving..." : "Change Password"}
+          </button>
+
+          <button
+            type="button"
+            onClick={forced ? handleSignOut : () => navigate(-1)}
+            disabled={isSaving}
+            className="w-full py-2 text-sm text-gray-600 hover:text-gray-800"
+          >
+            {forced ? "Sign out" : "Cancel"}
+          </button>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default ChangePasswordPage
@@ -3,17 +3,20 @@
 import { useState, useEffect, useCallback, useMemo } from "react"
 import { CheckCircle2, X, Search, History, MapPin, Users, Phone, Eye, CreditCard, Plus, Calendar, Zap } from "lucide-react"
 import AdminLayout from "../components/layout/AdminLayout"
+import { AuditHistoryButton, AuditHistoryDrawer } from "../components/AuditHistory"
+import FmsBatchResult from "../components/FmsBatchResult"
+import { getFmsValue } from "../lib/fmsSchema"
+import { useDropdownOptions, useFmsStage, useSheetRows } from "../lib/fmsCache"
+import { useFmsBatchSave } from "../lib/useFmsBatchSave"
+import { can } from "../lib/permissions"
+import { config } from "../lib/config"
 
 // Configuration object
 const CONFIG = {
     // Updated Google Apps Script URL
-    APPS_SCRIPT_URL:
-        "https://script.google.com/macros/s/AKfycbzF4JjwpmtgsurRYkORyZvQPvRGc06VuBMCJM00wFbOOtVsSyFiUJx5xtb1J0P5ooyf/exec",
-    // Updated Google Drive folder ID for file uploads
-    DRIVE_FOLDER_ID: "1Kp9eEqtQfesdie6l7XEuTZne6Md8_P8qzKfGFcHhpL4",
+    APPS_SCRIPT_URL: config.appsScriptUrl,
     // Sheet names
     SOURCE_SHEET_NAME: "FMS",
-    DROPDOWN_SHEET_NAME: "Drop-Down Value",
     ENERGY_ANALYSIS_SHEET_NAME: "Energy analysis",
     // Updated page configuration
     PAGE_CONFIG: {
@@ -24,6 +27,76 @@ const CONFIG = {
     },
 }
 
+// Columns this page reads from FMS, and the rows whose energy analysis is
+// planned; they are pending until its Actual is filled in. The history tab
+// shows the Energy analysis sheet instead.
+const STAGE_QUERY = {
+    fields: [
+        "ENQUIRY_NUMBER", "BENEFICIARY_NAME", "ADDRESS", "CONTACT_NUMBER", "SURVEYOR_NAME",
+        "POWER_PURCHASE_AGREEMENT", "VENDOR_CONSUMER_AGREEMENT", "DOC_QUOTATION_COPY",
+        "DOC_APPLICATION_COPY", "DOC_CANCELLED_CHEQUE", "DOC_ELECTRICITY_BILL", "DOC_WITNESS_ID_PROOF",
+        "INSPECTION_STATUS", "COMMISSIONING_STATUS", "REDEMPTION_PLANNED", "DISBURSAL_STATUS",
+        "PAYMENT_STATUS", "PAYMENT_CHEQUE_NUMBER", "PAYMENT_DATE", "PAYMENT_AMOUNT", "PAYMENT_DEDUCTION",
+        "PAYMENT_ACTUAL",
+    ],
+    filters: [{ field: "ENERGY_ANALYSIS_PLANNED", op: "notEmpty" }],
+    actualField: "ENERGY_ANALYSIS_ACTUAL",
+}
+
+function toRecord(row) {
+    const fms = (key) => getFmsValue(row.values, key)
+
+    const googleSheetsRowIndex = row.rowIndex
+    const enquiryNumber = fms("ENQUIRY_NUMBER") || ""
+
+    const stableId = enquiryNumber
+        ? `enquiry_${enquiryNumber}_${googleSheetsRowIndex}`
+        : `row_${googleSheetsRowIndex}_${Math.random().toString(36).substring(2, 15)}`
+
+    return {
+        _id: stableId,
+        _rowIndex: googleSheetsRowIndex,
+        _version: row.version,
+        _enquiryNumber: enquiryNumber,
+        // Basic info columns
+        enquiryNumber: fms("ENQUIRY_NUMBER") || "",
+        beneficiaryName: fms("BENEFICIARY_NAME") || "",
+        address: fms("ADDRESS") || "",
+        contactNumber: fms("CONTACT_NUMBER") || "",
+        surveyorName: fms("SURVEYOR_NAME") || "",
+        // Payment specific columns
+        powerPurchaseAgreement: fms("POWER_PURCHASE_AGREEMENT") || "",
+        vendorConsumerAgreement: fms("VENDOR_CONSUMER_AGREEMENT") || "",
+        quotationCopy: fms("DOC_QUOTATION_COPY") || "",
+        applicationCopy: fms("DOC_APPLICATION_COPY") || "",
+        cancellationCheque: fms("DOC_CANCELLED_CHEQUE") || "",
+        electricityBill: fms("DOC_ELECTRICITY_BILL") || "",
+        witnessIdProof: fms("DOC_WITNESS_ID_PROOF") || "",
+        inspection: fms("INSPECTION_STATUS") || "",
+        projectCommission: fms("COMMISSIONING_STATUS") || "",
+        subsidyToken: fms("REDEMPTION_PLANNED") || "",
+        subsidyDisbursal: fms("DISBURSAL_STATUS") || "",
+        // History specific columns
+        payment: fms("PAYMENT_STATUS") || "",
+        checkNo: fms("PAYMENT_CHEQUE_NUMBER") || "",
+        date: fms("PAYMENT_DATE") || "",
+        amount: fms("PAYMENT_AMOUNT") || "",
+        deduction: fms("PAYMENT_DEDUCTION") || "",
+        actual: fms("PAYMENT_ACTUAL") || "",
+    }
+}
+
+// A row of the Energy analysis sheet
+function toEnergyRecord(rowValues) {
+    return {
+        timestamp: rowValues[0] || "", // Column A
+        enquiryNumber: rowValues[1] || "", // Column B
+        beneficiaryName: rowValues[2] || "", // Column C
+        energyDate: rowValues[3] || "", // Column D
+        production: rowValues[4] || "", // Column E
+    }
+}
+
 const formatDateToDDMMYYYY = (dateString) => {
     if (!dateString) return "—";
 
@@ -198,13 +271,21 @@ function EnergyAnalysisModal({ isOpen, onClose, record, onSubmit, isSubmitting }
 }
 
 function EnergyAnalysis() {
-    const [pendingData, setPendingData] = useState([])
-    const [historyData, setHistoryData] = useState([])
-    const [dropdownOptions, setDropdownOptions] = useState([])
+    const [historyEnquiry, setHistoryEnquiry] = useState(null)
+    const canEdit = can("energyAnalysis", "edit")
+    const { submitBatch, retryFailed, batchResult, isRetrying, dismissBatchResult } = useFmsBatchSave(CONFIG.APPS_SCRIPT_URL)
+    // Rows are seeded into the batch inputs below, so no background polling
+    const stage = useFmsStage(CONFIG.APPS_SCRIPT_URL, STAGE_QUERY, toRecord, { pollInterval: 0 })
+    const { pendingData, setPendingData, setHistoryData } = stage
+    const energyAnalysis = useSheetRows(CONFIG.APPS_SCRIPT_URL, CONFIG.ENERGY_ANALYSIS_SHEET_NAME)
+    const historyData = useMemo(() => energyAnalysis.rows.map(toEnergyRecord), [energyAnalysis.rows])
+    const dropdownOptions = useDropdownOptions(CONFIG.APPS_SCRIPT_URL, 7)
     const [searchTerm, setSearchTerm] = useState("")
-    const [loading, setLoading] = useState(true)
-    const [error, setError] = useState(null)
     const [showHistory, setShowHistory] = useState(false)
+    const loading = showHistory ? energyAnalysis.loading : stage.loading
+    const error = showHistory
+        ? energyAnalysis.error && `Failed to load Energy Analysis history data: ${energyAnalysis.error}`
+        : stage.error
     const [isSubmitting, setIsSubmitting] = useState(false)
     const [successMessage, setSuccessMessage] = useState("")
     const [userRole, setUserRole] = useState("")
@@ -233,10 +314,6 @@ function EnergyAnalysis() {
         return `${day}/${month}/${year} ${hours}:${minutes}:${seconds}`
     }, [])
 
-    const isEmpty = useCallback((value) => {
-        return value === null || value === undefined || (typeof value === "string" && value.trim() === "")
-    }, [])
-
     useEffect(() => {
         const role = sessionStorage.getItem("role")
         const user = sessionStorage.getItem("username")
@@ -280,6 +357,7 @@ function EnergyAnalysis() {
                 action: "insert",
                 sheetName: CONFIG.ENERGY_ANALYSIS_SHEET_NAME,
                 rowData: JSON.stringify(rowData),
+                username,
             }
 
             const response = await fetch(CONFIG.APPS_SCRIPT_URL, {
@@ -296,6 +374,7 @@ function EnergyAnalysis() {
                 throw new Error(result.error || "Failed to submit energy analysis")
             }
 
+            energyAnalysis.setRows((rows) => [...rows, rowData])
             setSuccessMessage(`Energy analysis entry submitted successfully for ${selectedRecord.enquiryNumber}`)
             handleCloseModal()
 
@@ -312,260 +391,6 @@ function EnergyAnalysis() {
     }
 
 
-    // Fetch dropdown options
-    const fetchDropdownOptions = useCallback(async () => {
-        try {
-            const response = await fetch(`${CONFIG.APPS_SCRIPT_URL}?sheet=${CONFIG.DROPDOWN_SHEET_NAME}&action=fetch`)
-
-            if (!response.ok) {
-                throw new Error(`Failed to fetch dropdown data: ${response.status}`)
-            }
-
-            const text = await response.text()
-            let data
-
-            try {
-                data = JSON.parse(text)
-            } catch (parseError) {
-                const jsonStart = text.indexOf("{")
-                const jsonEnd = text.lastIndexOf("}")
-                if (jsonStart !== -1 && jsonEnd !== -1) {
-                    const jsonString = text.substring(jsonStart, jsonEnd + 1)
-                    data = JSON.parse(jsonString)
-                } else {
-                    throw new Error("Invalid JSON response from server")
-                }
-            }
-
-            let rows = []
-            if (data.table && data.table.rows) {
-                rows = data.table.rows
-            } else if (Array.isArray(data)) {
-                rows = data
-            } else if (data.values) {
-                rows = data.values.map((row) => ({ c: row.map((val) => ({ v: val })) }))
-            }
-
-            // Extract values from column H (index 7) starting from row 2
-            const options = []
-            rows.forEach((row, rowIndex) => {
-                if (rowIndex >= 1) {
-                    // Skip header row (row 1)
-                    let rowValues = []
-                    if (row.c) {
-                        rowValues = row.c.map((cell) => (cell && cell.v !== undefined ? cell.v : ""))
-                    } else if (Array.isArray(row)) {
-                        rowValues = row
-                    }
-
-                    const optionValue = rowValues[7] // Column H (index 7)
-                    if (!isEmpty(optionValue)) {
-                        options.push(optionValue.toString())
-                    }
-                }
-            })
-
-            setDropdownOptions(options)
-        } catch (error) {
-            console.error("Error fetching dropdown options:", error)
-            setDropdownOptions([])
-        }
-    }, [isEmpty])
-
-    // Add this function to fetch energy analysis data
-    const fetchEnergyAnalysisData = useCallback(async () => {
-        try {
-            const response = await fetch(
-                `${CONFIG.APPS_SCRIPT_URL}?sheet=${CONFIG.ENERGY_ANALYSIS_SHEET_NAME}&action=fetch`
-            );
-
-            if (!response.ok) {
-                throw new Error(`Failed to fetch energy analysis data: ${response.status}`);
-            }
-
-            const text = await response.text();
-            let data;
-
-            try {
-                data = JSON.parse(text);
-            } catch (parseError) {
-                const jsonStart = text.indexOf("{");
-                const jsonEnd = text.lastIndexOf("}");
-                if (jsonStart !== -1 && jsonEnd !== -1) {
-                    const jsonString = text.substring(jsonStart, jsonEnd + 1);
-                    data = JSON.parse(jsonString);
-                } else {
-                    throw new Error("Invalid JSON response from server");
-                }
-            }
-
-            const energyAnalysisRecords = [];
-            let rows = [];
-
-            if (data.table && data.table.rows) {
-                rows = data.table.rows;
-            } else if (Array.isArray(data)) {
-                rows = data;
-            } else if (data.values) {
-                rows = data.values.map((row) => ({ c: row.map((val) => ({ v: val })) }));
-            }
-
-            // Process all rows without any filtering
-            rows.forEach((row, rowIndex) => {
-                // Skip header row (assuming first row is header)
-                if (rowIndex === 0) return;
-
-                let rowValues = [];
-                if (row.c) {
-                    rowValues = row.c.map((cell) => (cell && cell.v !== undefined ? cell.v : ""));
-                } else if (Array.isArray(row)) {
-                    rowValues = row;
-                } else {
-                    return;
-                }
-
-                // Extract the required columns
-                // A: Timestamp, B: Enquiry Number, C: Beneficiary Name, D: Energy Date, E: Production
-                const record = {
-                    timestamp: rowValues[0] || "", // Column A
-                    enquiryNumber: rowValues[1] || "", // Column B
-                    beneficiaryName: rowValues[2] || "", // Column C
-                    energyDate: rowValues[3] || "", // Column D
-                    production: rowValues[4] || "", // Column E
-                };
-
-                energyAnalysisRecords.push(record);
-            });
-
-            return energyAnalysisRecords;
-        } catch (error) {
-            console.error("Error fetching energy analysis data:", error);
-            throw error;
-        }
-    }, []);
-    // Optimized data fetching
-    const fetchSheetData = useCallback(async () => {
-        try {
-            setLoading(true)
-            setError(null)
-
-            // Fetch both main data and dropdown options
-            await fetchDropdownOptions()
-
-            const response = await fetch(`${CONFIG.APPS_SCRIPT_URL}?sheet=${CONFIG.SOURCE_SHEET_NAME}&action=fetch`)
-
-            if (!response.ok) {
-                throw new Error(`Failed to fetch data: ${response.status}`)
-            }
-
-            const text = await response.text()
-            let data
-
-            try {
-                data = JSON.parse(text)
-            } catch (parseError) {
-                const jsonStart = text.indexOf("{")
-                const jsonEnd = text.lastIndexOf("}")
-                if (jsonStart !== -1 && jsonEnd !== -1) {
-                    const jsonString = text.substring(jsonStart, jsonEnd + 1)
-                    data = JSON.parse(jsonString)
-                } else {
-                    throw new Error("Invalid JSON response from server")
-                }
-            }
-
-            const pending = []
-            let rows = []
-
-            if (data.table && data.table.rows) {
-                rows = data.table.rows
-            } else if (Array.isArray(data)) {
-                rows = data
-            } else if (data.values) {
-                rows = data.values.map((row) => ({ c: row.map((val) => ({ v: val })) }))
-            }
-
-            rows.forEach((row, rowIndex) => {
-                // Skip header rows and only process from row 7 onwards (rowIndex 6 in 0-based indexing)
-                if (rowIndex < 6) return
-
-                let rowValues = []
-                if (row.c) {
-                    rowValues = row.c.map((cell) => (cell && cell.v !== undefined ? cell.v : ""))
-                } else if (Array.isArray(row)) {
-                    rowValues = row
-                } else {
-                    return
-                }
-
-                // Check conditions: Column DZ (index 129) not null and Column EA (index 130)
-                const columnDZ = rowValues[145] // Column DZ
-                const columnEA = rowValues[146] // Column EA
-
-                const hasColumnDZ = !isEmpty(columnDZ)
-                if (!hasColumnDZ) return // Skip if column DZ is empty
-
-                const googleSheetsRowIndex = rowIndex + 1
-                const enquiryNumber = rowValues[1] || ""
-
-                const stableId = enquiryNumber
-                    ? `enquiry_${enquiryNumber}_${googleSheetsRowIndex}`
-                    : `row_${googleSheetsRowIndex}_${Math.random().toString(36).substring(2, 15)}`
-
-                const rowData = {
-                    _id: stableId,
-                    _rowIndex: googleSheetsRowIndex,
-                    _enquiryNumber: enquiryNumber,
-                    // Basic info columns
-                    enquiryNumber: rowValues[1] || "", // B
-                    beneficiaryName: rowValues[2] || "", // C
-                    address: rowValues[3] || "", // D
-                    contactNumber: rowValues[6] || "", // G
-                    surveyorName: rowValues[29] || "", // AD
-                    // Payment specific columns
-                    powerPurchaseAgreement: rowValues[100] || "", // CW (IMAGE)
-                    vendorConsumerAgreement: rowValues[101] || "", // CX (IMAGE)
-                    quotationCopy: rowValues[102] || "", // CY
-                    applicationCopy: rowValues[103] || "", // CZ
-                    cancellationCheque: rowValues[107] || "", // DD
-                    electricityBill: rowValues[109] || "", // DF
-                    witnessIdProof: rowValues[110] || "", // DG
-                    inspection: rowValues[114] || "", // DK
-                    projectCommission: rowValues[118] || "", // DP
-                    subsidyToken: rowValues[121] || "", // DR
-                    subsidyDisbursal: rowValues[128] || "", // DY
-                    // History specific columns
-                    payment: rowValues[129] || "", // DZ
-                    checkNo: rowValues[133] || "", // ED
-                    date: rowValues[134] || "", // EE
-                    amount: rowValues[135] || "", // EF
-                    deduction: rowValues[136] || "", // EG
-                    actual: rowValues[130] || "", // EA
-                }
-
-                // Check if Column EA is null for pending, not null for history
-                const isColumnEAEmpty = isEmpty(columnEA)
-
-                // ONLY ADD TO PENDING - DON'T ADD ANYTHING TO HISTORY FROM FMS SHEET
-                if (isColumnEAEmpty) {
-                    pending.push(rowData)
-                }
-                // REMOVED THE else BLOCK THAT WAS ADDING TO HISTORY FROM FMS SHEET
-            })
-
-            setPendingData(pending)
-            // DON'T setHistoryData here - keep it empty
-            setLoading(false)
-        } catch (error) {
-            console.error("Error fetching sheet data:", error)
-            setError("Failed to load Energy Analysis data: " + error.message)
-            setLoading(false)
-        }
-    }, [isEmpty, fetchDropdownOptions])
-    useEffect(() => {
-        fetchSheetData()
-    }, [fetchSheetData])
-
     // Initialize status values with existing payment values
     useEffect(() => {
         const initialStatusValues = {}
@@ -585,28 +410,6 @@ function EnergyAnalysis() {
         setPaymentDetails(initialPaymentDetails)
     }, [pendingData])
 
-    useEffect(() => {
-        if (showHistory) {
-            const loadEnergyAnalysisData = async () => {
-                try {
-                    setLoading(true);
-                    const energyData = await fetchEnergyAnalysisData();
-                    // Directly set the fetched data without any filtering
-                    setHistoryData(energyData);
-                    setLoading(false);
-                } catch (error) {
-                    setError("Failed to load Energy Analysis history data: " + error.message);
-                    setLoading(false);
-                }
-            };
-
-            loadEnergyAnalysisData();
-        } else {
-            // When switching back to pending tab, clear history data
-            setHistoryData([]);
-        }
-    }, [showHistory, fetchEnergyAnalysisData]);
-
     // Add this useEffect to debug the filtering
     useEffect(() => {
         if (energyDateFilter && historyData.length > 0) {
@@ -768,110 +571,49 @@ function EnergyAnalysis() {
 
         setIsSubmitting(true)
         try {
-            const updatePromises = selectedRecordIds.map(async (recordId) => {
+            const items = selectedRecordIds.map((recordId) => {
                 const record = pendingData.find((r) => r._id === recordId)
                 const status = statusValues[recordId]
                 const details = paymentDetails[recordId] || {}
 
-                if (!record) return
+                if (!record) return null
 
-                // FIXED: Use null for columns we don't want to update
-                const rowData = Array(141).fill(null)
+                const fields = {}
 
                 // Set specific columns:
                 // Column EC (index 132) - Status (Payment)
-                rowData[132] = status
+                fields.PAYMENT_STATUS = status
 
                 // Column EA (index 130) - Actual timestamp (only if status is "Done")
                 if (status === "Done") {
-                    rowData[130] = formatTimestamp()
+                    fields.PAYMENT_ACTUAL = formatTimestamp()
                     // Store payment details
-                    rowData[133] = details.checkNo || "" // ED - Check No
-                    rowData[134] = details.date || "" // EE - Date
-                    rowData[135] = details.amount || "" // EF - Amount
-                    rowData[136] = details.deduction || "" // EG - Deduction
-                }
-
-                // Prepare update data for this specific record
-                const updateData = {
-                    action: "update",
-                    sheetName: CONFIG.SOURCE_SHEET_NAME,
-                    rowIndex: record._rowIndex,
-                    rowData: JSON.stringify(rowData),
+                    fields.PAYMENT_CHEQUE_NUMBER = details.checkNo || ""
+                    fields.PAYMENT_DATE = details.date || ""
+                    fields.PAYMENT_AMOUNT = details.amount || ""
+                    fields.PAYMENT_DEDUCTION = details.deduction || ""
                 }
 
-                const response = await fetch(CONFIG.APPS_SCRIPT_URL, {
-                    method: "POST",
-                    headers: {
-                        "Content-Type": "application/x-www-form-urlencoded",
-                    },
-                    body: new URLSearchParams(updateData).toString(),
-                })
-
-                return response.json()
-            })
-
-            const results = await Promise.all(updatePromises)
-            const failedUpdates = results.filter((result) => !result.success)
-
-            if (failedUpdates.length > 0) {
-                throw new Error("Some updates failed")
-            }
-
-            setSuccessMessage(`Successfully updated ${selectedRecordIds.length} Energy Analysis record(s)`)
-
-            // Update local state
-            const updatedRecords = selectedRecordIds.map((recordId) => {
-                const record = pendingData.find((r) => r._id === recordId)
-                const status = statusValues[recordId]
-                const details = paymentDetails[recordId] || {}
-
-                return {
+                // Local copy of the record once the write is through
+                const updated = {
                     ...record,
                     payment: status,
-                    actual: status === "Done" ? formatTimestamp() : record.actual,
+                    actual: status === "Done" ? fields.PAYMENT_ACTUAL : record.actual,
                     checkNo: status === "Done" ? details.checkNo : record.checkNo,
                     date: status === "Done" ? details.date : record.date,
                     amount: status === "Done" ? details.amount : record.amount,
                     deduction: status === "Done" ? details.deduction : record.deduction,
                 }
-            })
 
-            // Only move records to history if status is "Done", keep all others in pending
-            const doneRecords = updatedRecords.filter((record) => record.payment === "Done")
-
-            // Update pending data: remove only "Done" records, keep and update all others
-            setPendingData((prev) => {
-                return prev
-                    .map((record) => {
-                        const updatedRecord = updatedRecords.find((updated) => updated._id === record._id)
-                        if (updatedRecord) {
-                            // If this record was updated and is NOT "Done", return the updated version
-                            if (updatedRecord.payment !== "Done") {
-                                return updatedRecord
-                            }
-                            // If this record was updated and IS "Done", it will be filtered out below
-                            return null
-                        }
-                        // If this record was not updated, keep it as is
-                        return record
-                    })
-                    .filter((record) => record !== null) // Remove null entries (the "Done" records)
-            })
+                return { record, fields, updated }
+            }).filter(Boolean)
 
-            if (doneRecords.length > 0) {
-                setHistoryData((prev) => [...doneRecords, ...prev])
-            }
+            applyWritten(await submitBatch(items))
 
             // Clear selections and status values
             setSelectedRows({})
             setStatusValues({})
             setPaymentDetails({})
-
-            // Clear success message after 3 seconds
-            setTimeout(() => {
-                setSuccessMessage("")
-            }, 3000)
         } catch (error) {
             console.error("Error updating payment:", error)
             alert("Failed to update payment: " + error.message)
@@ -880,6 +622,34 @@ function EnergyAnalysis() {
         }
     }
 
+    // Put the records a bulk submit wrote back into pending, or into history
+    // once they are "Done".
+    const applyWritten = (written) => {
+        const updatedRecords = written.map((item) => item.updated)
+        const doneRecords = updatedRecords.filter((record) => record.payment === "Done")
+
+        // Update pending data: remove only "Done" records, keep and update all others
+        setPendingData((prev) => {
+            return prev
+                .map((record) => {
+                    const updatedRecord = updatedRecords.find((updated) => updated._id === record._id)
+                    if (updatedRecord) {
+                        return updatedRecord.payment !== "Done" ? updatedRecord : null
+                    }
+                    return record
+                })
+                .filter((record) => record !== null)
+        })
+
+        if (doneRecords.length > 0) {
+            setHistoryData((prev) => [...doneRecords, ...prev])
+        }
+    }
+
+    const handleRetryFailed = async () => {
+        applyWritten(await retryFailed())
+    }
+
     const toggleSection = useCallback((section) => {
         setShowHistory(section === "history")
         setSearchTerm("")
@@ -983,6 +753,8 @@ function EnergyAnalysis() {
                     </div>
                 )}
 
+                <FmsBatchResult result={batchResult} onRetry={handleRetryFailed} isRetrying={isRetrying} onDismiss={dismissBatchResult} />
+
                 {/* Submit Button for Pending Section */}
                 {!showHistory && Object.values(selectedRows).some(Boolean) && (
                     <div className="bg-blue-50 border border-blue-200 p-4 rounded-md">
@@ -1100,7 +872,7 @@ function EnergyAnalysis() {
                                             filteredHistoryData.map((record) => (
                                                 <tr key={record.enquiryNumber || record._id || Math.random()} className="hover:bg-gray-50">
                                                     <td className="px-2 py-3 whitespace-nowrap">
-                                                        <div className="text-xs font-medium text-gray-900">{record.enquiryNumber || "—"}</div>
+                                                        <div className="text-xs font-medium text-gray-900">{record.enquiryNumber || "—"}<AuditHistoryButton enquiryNumber={record.enquiryNumber} onOpen={setHistoryEnquiry} /></div>
                                                     </td>
                                                     <td className="px-2 py-3 whitespace-nowrap">
                                                         <div className="text-xs text-gray-900 flex items-center">
@@ -1140,16 +912,18 @@ function EnergyAnalysis() {
                                             filteredPendingData.map((record) => (
                                                 <tr key={record._id} className="hover:bg-gray-50">
                                                     <td className="px-2 py-3 whitespace-nowrap">
-                                                        <button
-                                                            onClick={() => handleOpenModal(record)}
-                                                            className="px-3 py-1 bg-blue-600 text-white text-xs rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 flex items-center"
-                                                        >
-                                                            <Plus className="h-3 w-3 mr-1" />
-                                                            Add Entry
-                                                        </button>
+                                                        {canEdit && (
+                                                            <button
+                                                                onClick={() => handleOpenModal(record)}
+                                                                className="px-3 py-1 bg-blue-600 text-white text-xs rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 flex items-center"
+                                                            >
+                                                                <Plus className="h-3 w-3 mr-1" />
+                                                                Add Entry
+                                                            </button>
+                                                        )}
                                                     </td>
                                                     <td className="px-2 py-3 whitespace-nowrap">
-                                                        <div className="text-xs font-medium text-blue-900">{record.enquiryNumber || "—"}</div>
+                                                        <div className="text-xs font-medium text-blue-900">{record.enquiryNumber || "—"}<AuditHistoryButton enquiryNumber={record.enquiryNumber} onOpen={setHistoryEnquiry} /></div>
                                                     </td>
                                                     <td className="px-2 py-3 whitespace-nowrap">
                                                         <div className="text-xs text-gray-900 flex items-center">
@@ -1185,6 +959,11 @@ function EnergyAnalysis() {
                     )}
                 </div>
             </div>
+            <AuditHistoryDrawer
+                scriptUrl={CONFIG.APPS_SCRIPT_URL}
+                enquiryNumber={historyEnquiry}
+                onClose={() => setHistoryEnquiry(null)}
+            />
         </AdminLayout >
     )
 }
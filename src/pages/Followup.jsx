@@ -3,17 +3,25 @@
 import { useState, useEffect, useCallback, useMemo } from "react"
 import { CheckCircle2, X, Search, History, FileText, MapPin, Users, Phone, Eye, DollarSign, Wrench } from "lucide-react"
 import AdminLayout from "../components/layout/AdminLayout"
+import { AuditHistoryButton, AuditHistoryDrawer } from "../components/AuditHistory"
+import DocumentLink from "../components/DocumentLink"
+import FmsConflictDialog from "../components/FmsConflictDialog"
+import { getFmsValue } from "../lib/fmsSchema"
+import { useFmsSave } from "../lib/useFmsSave"
+import { useDropdownOptions, useFmsStage } from "../lib/fmsCache"
+import { can } from "../lib/permissions"
+import { config } from "../lib/config"
 
 // Configuration object
 const CONFIG = {
   // Updated Google Apps Script URL
-  APPS_SCRIPT_URL:
-    "https://script.google.com/macros/s/AKfycbzF4JjwpmtgsurRYkORyZvQPvRGc06VuBMCJM00wFbOOtVsSyFiUJx5xtb1J0P5ooyf/exec",
+  APPS_SCRIPT_URL: config.appsScriptUrl,
   // Updated Google Drive folder ID for file uploads
   // DRIVE_FOLDER_ID: "1KjZwLhFFEGvrUPtnbPV-S_QFJfSPjPDR",
   // Sheet names
   SOURCE_SHEET_NAME: "FMS",
-  DROPDOWN_SHEET_NAME: "Drop-Down Value",
+  // Shown when the Drop-Down Value sheet cannot be loaded
+  DEFAULT_STAGE_OPTIONS: ["Order Received", "In Progress", "Completed", "Cancelled"],
   // Updated page configuration
   PAGE_CONFIG: {
     title: "Follow-Up",
@@ -23,6 +31,19 @@ const CONFIG = {
   },
 }
 
+// Columns this page reads and the FMS rows that belong to this stage; the
+// backend splits them into pending and history on FOLLOWUP_ACTUAL.
+const STAGE_QUERY = {
+  fields: [
+    "ENQUIRY_NUMBER", "BENEFICIARY_NAME", "ADDRESS", "VILLAGE_BLOCK", "DISTRICT", "CONTACT_NUMBER",
+    "AADHAR_NUMBER", "ADDRESS_PROOF", "SURVEYOR_NAME", "SURVEYOR_CONTACT", "QUOTATION_NUMBER",
+    "QUOTATION_VALUE", "QUOTATION_COPY", "FOLLOWUP_ACTUAL", "CUSTOMER_RESPONSE", "FOLLOWUP_STAGE",
+    "NEXT_CALL_DATE", "ORDER_VALUE",
+  ],
+  filters: [{ field: "ENQUIRY_NUMBER", op: "notEmpty" }],
+  actualField: "FOLLOWUP_ACTUAL",
+}
+
 // Debounce hook for search optimization
 function useDebounce(value, delay) {
   const [debouncedValue, setDebouncedValue] = useState(value)
@@ -38,12 +59,11 @@ function useDebounce(value, delay) {
 }
 
 function FollowUpPage() {
-  const [pendingData, setPendingData] = useState([])
-  const [historyData, setHistoryData] = useState([])
-  const [stageOptions, setStageOptions] = useState([])
+  const { saveFields, conflict, resolveConflict } = useFmsSave(CONFIG.APPS_SCRIPT_URL)
+  const [historyEnquiry, setHistoryEnquiry] = useState(null)
+  const canEdit = can("followup", "edit")
+  const stageOptions = useDropdownOptions(CONFIG.APPS_SCRIPT_URL, 6, CONFIG.DEFAULT_STAGE_OPTIONS)
   const [searchTerm, setSearchTerm] = useState("")
-  const [loading, setLoading] = useState(true)
-  const [error, setError] = useState(null)
   const [showHistory, setShowHistory] = useState(false)
   const [showFollowUpModal, setShowFollowUpModal] = useState(false)
   const [selectedRecord, setSelectedRecord] = useState(null)
@@ -130,163 +150,51 @@ function FollowUpPage() {
     setUsername(user || "")
   }, [])
 
-  // Fetch dropdown values for stage
-  const fetchDropdownValues = useCallback(async () => {
-    try {
-      const response = await fetch(`${CONFIG.APPS_SCRIPT_URL}?sheet=${CONFIG.DROPDOWN_SHEET_NAME}&action=fetch`)
-      if (!response.ok) {
-        throw new Error(`Failed to fetch dropdown data: ${response.status}`)
-      }
-      const text = await response.text()
-      let data
-      try {
-        data = JSON.parse(text)
-      } catch (parseError) {
-        const jsonStart = text.indexOf("{")
-        const jsonEnd = text.lastIndexOf("}")
-        if (jsonStart !== -1 && jsonEnd !== -1) {
-          const jsonString = text.substring(jsonStart, jsonEnd + 1)
-          data = JSON.parse(jsonString)
-        } else {
-          throw new Error("Invalid JSON response from server")
-        }
-      }
-
-      // Extract stage options from column F (index 5)
-      const options = []
-      if (data.table && data.table.rows) {
-        data.table.rows.forEach((row, index) => {
-          if (index === 0) return // Skip header
-          const stageValue = row.c && row.c[6] && row.c[6].v
-          if (stageValue && stageValue.toString().trim() !== "") {
-            options.push(stageValue.toString().trim())
-          }
-        })
-      }
-      setStageOptions(options)
-    } catch (error) {
-      console.error("Error fetching dropdown data:", error)
-      // Set default options if fetch fails
-      setStageOptions(["Order Received", "In Progress", "Completed", "Cancelled"])
+  const toRecord = useCallback((row) => {
+    const fms = (key) => getFmsValue(row.values, key)
+
+    const enquiryNumber = fms("ENQUIRY_NUMBER") || ""
+
+    const googleSheetsRowIndex = row.rowIndex
+    const stableId = enquiryNumber
+      ? `enquiry_${enquiryNumber}_${googleSheetsRowIndex}`
+      : `row_${googleSheetsRowIndex}_${Math.random().toString(36).substring(2, 15)}`
+
+    const rowData = {
+      _id: stableId,
+      _rowIndex: googleSheetsRowIndex,
+      _version: row.version,
+      _enquiryNumber: enquiryNumber,
+      // Map columns B to AR (indices 1 to 43)
+      enquiryNumber: fms("ENQUIRY_NUMBER") || "",
+      beneficiaryName: fms("BENEFICIARY_NAME") || "",
+      address: fms("ADDRESS") || "",
+      villageBlock: fms("VILLAGE_BLOCK") || "",
+      district: fms("DISTRICT") || "",
+      contactNumber: fms("CONTACT_NUMBER") || "",
+      aadharCard: fms("AADHAR_NUMBER") || "",
+      addressProof: fms("ADDRESS_PROOF") || "",
+      surveyorName: fms("SURVEYOR_NAME") || "",
+      surveyorContact: fms("SURVEYOR_CONTACT") || "",
+      quotationNumber: fms("QUOTATION_NUMBER") || "",
+      valueOfQuotation: fms("QUOTATION_VALUE") || "",
+      quotationCopy: fms("QUOTATION_COPY") || "",
+      // Follow-up specific fields
+      actual: fms("FOLLOWUP_ACTUAL") || "",
+      whatDidCustomerSay: fms("CUSTOMER_RESPONSE") || "",
+      stage: fms("FOLLOWUP_STAGE") || "",
+      nextDateOfCall: fms("NEXT_CALL_DATE") || "",
+      valueOfOrder: fms("ORDER_VALUE") || "",
     }
-  }, [])
 
-  // Optimized data fetching
-  const fetchSheetData = useCallback(async () => {
-    try {
-      setLoading(true)
-      setError(null)
-
-      // Fetch dropdown values and sheet data in parallel
-      await Promise.all([
-        fetchDropdownValues(),
-        (async () => {
-          const response = await fetch(`${CONFIG.APPS_SCRIPT_URL}?sheet=${CONFIG.SOURCE_SHEET_NAME}&action=fetch`)
-          if (!response.ok) {
-            throw new Error(`Failed to fetch data: ${response.status}`)
-          }
-          const text = await response.text()
-          let data
-          try {
-            data = JSON.parse(text)
-          } catch (parseError) {
-            const jsonStart = text.indexOf("{")
-            const jsonEnd = text.lastIndexOf("}")
-            if (jsonStart !== -1 && jsonEnd !== -1) {
-              const jsonString = text.substring(jsonStart, jsonEnd + 1)
-              data = JSON.parse(jsonString)
-            } else {
-              throw new Error("Invalid JSON response from server")
-            }
-          }
-
-          const pending = []
-          const history = []
-          let rows = []
-
-          if (data.table && data.table.rows) {
-            rows = data.table.rows
-          } else if (Array.isArray(data)) {
-            rows = data
-          } else if (data.values) {
-            rows = data.values.map((row) => ({ c: row.map((val) => ({ v: val })) }))
-          }
-
-          rows.forEach((row, rowIndex) => {
-            // Skip header rows and only process from row 7 onwards (rowIndex 6 in 0-based indexing)
-            if (rowIndex < 6) return
-
-            let rowValues = []
-            if (row.c) {
-              rowValues = row.c.map((cell) => (cell && cell.v !== undefined ? cell.v : ""))
-            } else if (Array.isArray(row)) {
-              rowValues = row
-            } else {
-              return
-            }
-
-            // Check conditions: Enquiry Number (index 1) not null and Column AM (index 38)
-            const enquiryNumber = rowValues[1] || ""
-            const columnAM = rowValues[38] // Column AM
-
-            const hasEnquiry = !isEmpty(enquiryNumber)
-            if (!hasEnquiry) return // Skip if enquiry number is empty
-
-            const googleSheetsRowIndex = rowIndex + 1
-            const stableId = enquiryNumber
-              ? `enquiry_${enquiryNumber}_${googleSheetsRowIndex}`
-              : `row_${googleSheetsRowIndex}_${Math.random().toString(36).substring(2, 15)}`
-
-            const rowData = {
-              _id: stableId,
-              _rowIndex: googleSheetsRowIndex,
-              _enquiryNumber: enquiryNumber,
-              // Map columns B to AR (indices 1 to 43)
-              enquiryNumber: rowValues[1] || "", // B
-              beneficiaryName: rowValues[2] || "", // C
-              address: rowValues[3] || "", // D
-              villageBlock: rowValues[4] || "", // E
-              district: rowValues[5] || "", // F
-              contactNumber: rowValues[6] || "", // G
-              aadharCard: rowValues[26] || "", // AA
-              addressProof: rowValues[28] || "", // AC (image)
-              surveyorName: rowValues[29] || "", // AD
-              surveyorContact: rowValues[30] || "", // AE
-              quotationNumber: rowValues[34] || "", // AI
-              valueOfQuotation: rowValues[35] || "", // AJ
-              quotationCopy: rowValues[36] || "", // AK (image)
-              // Follow-up specific fields
-              actual: rowValues[38] || "", // AM - Actual date
-              whatDidCustomerSay: rowValues[40] || "", // AO
-              stage: rowValues[41] || "", // AP
-              nextDateOfCall: rowValues[42] || "", // AQ
-              valueOfOrder: rowValues[43] || "", // AR
-            }
-
-            // Check if Column AM is null for pending, not null for history
-            const isColumnAMEmpty = isEmpty(columnAM)
-            if (isColumnAMEmpty) {
-              pending.push(rowData)
-            } else {
-              history.push(rowData)
-            }
-          })
-
-          setPendingData(pending)
-          setHistoryData(history)
-          setLoading(false)
-        })(),
-      ])
-    } catch (error) {
-      console.error("Error fetching sheet data:", error)
-      setError("Failed to load Follow-Up data: " + error.message)
-      setLoading(false)
-    }
-  }, [fetchDropdownValues, isEmpty])
+    return rowData
+  }, [])
 
-  useEffect(() => {
-    fetchSheetData()
-  }, [fetchSheetData])
+  const { pendingData, historyData, setPendingData, setHistoryData, loading, error } = useFmsStage(
+    CONFIG.APPS_SCRIPT_URL,
+    STAGE_QUERY,
+    toRecord,
+  )
 
   // Optimized filtered data with debounced search
   const filteredPendingData = useMemo(() => {
@@ -338,32 +246,16 @@ function FollowUpPage() {
       // If editing from history, normalize the existing timestamp to DD/MM/YYYY HH:mm:ss
       const actualDate = isEdit ? normalizeTimestamp(selectedRecord.actual) : formatTimestamp()
 
-      // FIXED: Use null for columns we don't want to update
-      const rowData = new Array(44).fill(null)
+      const fields = {}
 
       // Only set the specific columns we want to update
-      rowData[38] = actualDate // AM - Actual date (DD/MM/YYYY HH:mm:ss)
-      rowData[40] = followUpForm.whatDidCustomerSay // AO - What Did The Customer Say
-      rowData[41] = followUpForm.stage // AP - Stage
-      rowData[42] = formatDateForStorage(followUpForm.nextDateOfCall) // AQ - Next Date Of Call
-      rowData[43] = followUpForm.valueOfOrder // AR - Value Of Order
-
-      const updateData = {
-        action: "update",
-        sheetName: CONFIG.SOURCE_SHEET_NAME,
-        rowIndex: selectedRecord._rowIndex,
-        rowData: JSON.stringify(rowData),
-      }
-
-      const response = await fetch(CONFIG.APPS_SCRIPT_URL, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/x-www-form-urlencoded",
-        },
-        body: new URLSearchParams(updateData).toString(),
-      })
+      fields.FOLLOWUP_ACTUAL = actualDate
+      fields.CUSTOMER_RESPONSE = followUpForm.whatDidCustomerSay
+      fields.FOLLOWUP_STAGE = followUpForm.stage
+      fields.NEXT_CALL_DATE = formatDateForStorage(followUpForm.nextDateOfCall)
+      fields.ORDER_VALUE = followUpForm.valueOfOrder
 
-      const result = await response.json()
+      const result = await saveFields(selectedRecord, fields)
       if (result.success) {
         setSuccessMessage(`Follow-up completed successfully for Enquiry Number: ${selectedRecord.enquiryNumber}`)
         setShowFollowUpModal(false)
@@ -581,16 +473,18 @@ function FollowUpPage() {
                       filteredHistoryData.map((record) => (
                         <tr key={record._id} className="hover:bg-gray-50">
                           <td className="px-2 py-3 whitespace-nowrap">
-                            <button
-                              onClick={() => handleFollowUpClick(record)}
-                              className="inline-flex items-center px-3 py-1 border border-transparent text-xs leading-4 font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors"
-                            >
-                              <Wrench className="h-3 w-3 mr-1" />
-                              Edit
-                            </button>
+                            {canEdit && (
+                              <button
+                                onClick={() => handleFollowUpClick(record)}
+                                className="inline-flex items-center px-3 py-1 border border-transparent text-xs leading-4 font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors"
+                              >
+                                <Wrench className="h-3 w-3 mr-1" />
+                                Edit
+                              </button>
+                            )}
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
-                            <div className="text-xs font-medium text-gray-900">{record.enquiryNumber || "—"}</div>
+                            <div className="text-xs font-medium text-gray-900">{record.enquiryNumber || "—"}<AuditHistoryButton enquiryNumber={record.enquiryNumber} onOpen={setHistoryEnquiry} /></div>
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             <div className="text-xs text-gray-900">{record.beneficiaryName || "—"}</div>
@@ -614,15 +508,14 @@ function FollowUpPage() {
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.addressProof ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.addressProof}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
@@ -641,15 +534,14 @@ function FollowUpPage() {
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.quotationCopy ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.quotationCopy}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
@@ -680,16 +572,18 @@ function FollowUpPage() {
                     filteredPendingData.map((record) => (
                       <tr key={record._id} className="hover:bg-gray-50">
                         <td className="px-2 py-3 whitespace-nowrap">
-                          <button
-                            onClick={() => handleFollowUpClick(record)}
-                            className="inline-flex items-center px-3 py-1 border border-transparent text-xs leading-4 font-medium rounded-md text-white bg-gradient-to-r from-green-500 to-blue-600 hover:from-green-600 hover:to-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
-                          >
-                            <Phone className="h-3 w-3 mr-1" />
-                            Follow-Up
-                          </button>
+                          {canEdit && (
+                            <button
+                              onClick={() => handleFollowUpClick(record)}
+                              className="inline-flex items-center px-3 py-1 border border-transparent text-xs leading-4 font-medium rounded-md text-white bg-gradient-to-r from-green-500 to-blue-600 hover:from-green-600 hover:to-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
+                            >
+                              <Phone className="h-3 w-3 mr-1" />
+                              Follow-Up
+                            </button>
+                          )}
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
-                          <div className="text-xs font-medium text-blue-900">{record.enquiryNumber || "—"}</div>
+                          <div className="text-xs font-medium text-blue-900">{record.enquiryNumber || "—"}<AuditHistoryButton enquiryNumber={record.enquiryNumber} onOpen={setHistoryEnquiry} /></div>
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           <div className="text-xs text-gray-900 flex items-center">
@@ -720,15 +614,14 @@ function FollowUpPage() {
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.addressProof ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.addressProof}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
@@ -750,15 +643,14 @@ function FollowUpPage() {
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.quotationCopy ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.quotationCopy}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
@@ -894,6 +786,12 @@ function FollowUpPage() {
           </div>
         )}
       </div>
+      <FmsConflictDialog conflict={conflict} onResolve={resolveConflict} />
+      <AuditHistoryDrawer
+        scriptUrl={CONFIG.APPS_SCRIPT_URL}
+        enquiryNumber={historyEnquiry}
+        onClose={() => setHistoryEnquiry(null)}
+      />
     </AdminLayout>
   )
 }
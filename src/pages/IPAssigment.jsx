@@ -3,14 +3,32 @@
 import { useState, useEffect, useCallback, useMemo } from "react"
 import { CheckCircle2, X, Search, History, MapPin, Users, Phone, Eye, User, Wrench } from "lucide-react"
 import AdminLayout from "../components/layout/AdminLayout"
+import { AuditHistoryButton, AuditHistoryDrawer } from "../components/AuditHistory"
+import DocumentLink from "../components/DocumentLink"
+import FieldError from "../components/FieldError"
+import FmsConflictDialog from "../components/FmsConflictDialog"
+import UploadProgress from "../components/UploadProgress"
+import { getFmsValue } from "../lib/fmsSchema"
+import { useDriveUploads } from "../lib/driveUpload"
+import { useFmsSave } from "../lib/useFmsSave"
+import { useFmsStage } from "../lib/fmsCache"
+import { can } from "../lib/permissions"
+import { config } from "../lib/config"
 
 // Configuration object
 const CONFIG = {
   // Updated Google Apps Script URL
-  APPS_SCRIPT_URL:
-    "https://script.google.com/macros/s/AKfycbzF4JjwpmtgsurRYkORyZvQPvRGc06VuBMCJM00wFbOOtVsSyFiUJx5xtb1J0P5ooyf/exec",
+  APPS_SCRIPT_URL: config.appsScriptUrl,
   // Updated Google Drive folder ID for file uploads
-  DRIVE_FOLDER_ID: "1SFoN0eZ8TS6qEruTlGj-WELKkm8Gw2iU",
+  DRIVE_FOLDER_ID: config.driveFolders.ipAssignment,
+  DOCUMENT_STAGE: "IP Assignment",
+  DOCUMENT_NAMES: {
+    gstCertificates: "GSTCertificate",
+    bankAccountDetails: "BankAccountDetails",
+    aadharCard: "AadharCard",
+    panCard: "PanCard",
+    workOrderCopy: "WorkOrderCopy",
+  },
   // Sheet names
   SOURCE_SHEET_NAME: "FMS",
   // Updated page configuration
@@ -22,6 +40,20 @@ const CONFIG = {
   },
 }
 
+// Columns this page reads and the FMS rows that belong to this stage; the
+// backend splits them into pending and history on IP_ACTUAL.
+const STAGE_QUERY = {
+  fields: [
+    "ENQUIRY_NUMBER", "BENEFICIARY_NAME", "ADDRESS", "VILLAGE_BLOCK", "DISTRICT", "CONTACT_NUMBER",
+    "ADDRESS_PROOF", "SURVEYOR_NAME", "SURVEYOR_CONTACT", "QUOTATION_COPY", "ORDER_MODULE", "ORDER_INVERTER",
+    "ORDER_BOS", "ORDER_ACDB", "ORDER_DCDB", "ORDER_COPY", "IP_ACTUAL", "IP_NAME", "IP_CONTACT",
+    "IP_GST_NUMBER", "IP_GST_CERTIFICATE", "IP_BANK_DETAILS", "IP_AADHAR_CARD", "IP_PAN_CARD",
+    "WORK_ORDER_NUMBER", "WORK_ORDER_COPY",
+  ],
+  filters: [{ field: "ENQUIRY_NUMBER", op: "notEmpty" }],
+  actualField: "IP_ACTUAL",
+}
+
 // Debounce hook for search optimization
 function useDebounce(value, delay) {
   const [debouncedValue, setDebouncedValue] = useState(value)
@@ -37,16 +69,17 @@ function useDebounce(value, delay) {
 }
 
 function IPAssignmentPage() {
-  const [pendingData, setPendingData] = useState([])
-  const [historyData, setHistoryData] = useState([])
+  const { saveFields, conflict, resolveConflict } = useFmsSave(CONFIG.APPS_SCRIPT_URL)
+  const { uploads, upload, clearUploads } = useDriveUploads(CONFIG.APPS_SCRIPT_URL)
+  const [historyEnquiry, setHistoryEnquiry] = useState(null)
+  const canEdit = can("ipAssignment", "edit")
   const [searchTerm, setSearchTerm] = useState("")
-  const [loading, setLoading] = useState(true)
-  const [error, setError] = useState(null)
   const [showHistory, setShowHistory] = useState(false)
   const [showIPModal, setShowIPModal] = useState(false)
   const [selectedRecord, setSelectedRecord] = useState(null)
   const [isSubmitting, setIsSubmitting] = useState(false)
   const [successMessage, setSuccessMessage] = useState("")
+  const [fieldErrors, setFieldErrors] = useState({})
   const [userRole, setUserRole] = useState("")
   const [username, setUsername] = useState("")
 
@@ -88,129 +121,60 @@ function IPAssignmentPage() {
     setUsername(user || "")
   }, [])
 
-  // Optimized data fetching
-  const fetchSheetData = useCallback(async () => {
-    try {
-      setLoading(true)
-      setError(null)
-
-      const response = await fetch(`${CONFIG.APPS_SCRIPT_URL}?sheet=${CONFIG.SOURCE_SHEET_NAME}&action=fetch`)
-
-      if (!response.ok) {
-        throw new Error(`Failed to fetch data: ${response.status}`)
-      }
-
-      const text = await response.text()
-      let data
-
-      try {
-        data = JSON.parse(text)
-      } catch (parseError) {
-        const jsonStart = text.indexOf("{")
-        const jsonEnd = text.lastIndexOf("}")
-        if (jsonStart !== -1 && jsonEnd !== -1) {
-          const jsonString = text.substring(jsonStart, jsonEnd + 1)
-          data = JSON.parse(jsonString)
-        } else {
-          throw new Error("Invalid JSON response from server")
-        }
-      }
-
-      const pending = []
-      const history = []
-      let rows = []
-
-      if (data.table && data.table.rows) {
-        rows = data.table.rows
-      } else if (Array.isArray(data)) {
-        rows = data
-      } else if (data.values) {
-        rows = data.values.map((row) => ({ c: row.map((val) => ({ v: val })) }))
-      }
-
-      rows.forEach((row, rowIndex) => {
-        // Skip header rows and only process from row 7 onwards (rowIndex 6 in 0-based indexing)
-        if (rowIndex < 6) return
-
-        let rowValues = []
-        if (row.c) {
-          rowValues = row.c.map((cell) => (cell && cell.v !== undefined ? cell.v : ""))
-        } else if (Array.isArray(row)) {
-          rowValues = row
-        } else {
-          return
-        }
-
-        // Check conditions: Enquiry Number (index 1) not null and Column BC (index 54)
-        const enquiryNumber = rowValues[1] || ""
-        const columnBC = rowValues[54] // Column BC
-
-        const hasEnquiry = !isEmpty(enquiryNumber)
-        if (!hasEnquiry) return // Skip if enquiry number is empty
-
-        const googleSheetsRowIndex = rowIndex + 1
-
-        const stableId = enquiryNumber
-          ? `enquiry_${enquiryNumber}_${googleSheetsRowIndex}`
-          : `row_${googleSheetsRowIndex}_${Math.random().toString(36).substring(2, 15)}`
-
-        const rowData = {
-          _id: stableId,
-          _rowIndex: googleSheetsRowIndex,
-          _enquiryNumber: enquiryNumber,
-          // Basic info columns
-          enquiryNumber: rowValues[1] || "", // B
-          beneficiaryName: rowValues[2] || "", // C
-          address: rowValues[3] || "", // D
-          villageBlock: rowValues[4] || "", // E
-          district: rowValues[5] || "", // F
-          contactNumber: rowValues[6] || "", // G
-          addressProof: rowValues[28] || "", // AC
-          surveyorName: rowValues[29] || "", // AD
-          surveyorContact: rowValues[30] || "", // AE
-          quotationCopy: rowValues[36] || "", // AK
-          module: rowValues[47] || "", // AV
-          inverter: rowValues[48] || "", // AW
-          bos: rowValues[49] || "", // AX
-          acdb: rowValues[50] || "", // AY
-          dcdb: rowValues[51] || "", // AZ
-          orderCopy: rowValues[52] || "", // BA
-          // IP Assignment data
-          actual: rowValues[54] || "", // BC
-          ipName: rowValues[56] || "", // BE
-          ipContact: rowValues[57] || "", // BF
-          gstNumber: rowValues[58] || "", // BG
-          gstCertificates: rowValues[59] || "", // BH
-          bankAccountDetails: rowValues[60] || "", // BI
-          aadharCard: rowValues[61] || "", // BJ
-          panCard: rowValues[62] || "", // BK
-          workOrderNumber: rowValues[63] || "", // BL
-          workOrderCopy: rowValues[64] || "", // BM
-        }
-
-        // Check if Column BC is null for pending, not null for history
-        const isColumnBCEmpty = isEmpty(columnBC)
-
-        if (isColumnBCEmpty) {
-          pending.push(rowData)
-        } else {
-          history.push(rowData)
-        }
-      })
-
-      setPendingData(pending)
-      setHistoryData(history)
-      setLoading(false)
-    } catch (error) {
-      console.error("Error fetching sheet data:", error)
-      setError("Failed to load IP Assignment data: " + error.message)
-      setLoading(false)
+  const toRecord = useCallback((row) => {
+    const fms = (key) => getFmsValue(row.values, key)
+
+    const enquiryNumber = fms("ENQUIRY_NUMBER") || ""
+
+    const googleSheetsRowIndex = row.rowIndex
+
+    const stableId = enquiryNumber
+      ? `enquiry_${enquiryNumber}_${googleSheetsRowIndex}`
+      : `row_${googleSheetsRowIndex}_${Math.random().toString(36).substring(2, 15)}`
+
+    const rowData = {
+      _id: stableId,
+      _rowIndex: googleSheetsRowIndex,
+      _version: row.version,
+      _enquiryNumber: enquiryNumber,
+      // Basic info columns
+      enquiryNumber: fms("ENQUIRY_NUMBER") || "",
+      beneficiaryName: fms("BENEFICIARY_NAME") || "",
+      address: fms("ADDRESS") || "",
+      villageBlock: fms("VILLAGE_BLOCK") || "",
+      district: fms("DISTRICT") || "",
+      contactNumber: fms("CONTACT_NUMBER") || "",
+      addressProof: fms("ADDRESS_PROOF") || "",
+      surveyorName: fms("SURVEYOR_NAME") || "",
+      surveyorContact: fms("SURVEYOR_CONTACT") || "",
+      quotationCopy: fms("QUOTATION_COPY") || "",
+      module: fms("ORDER_MODULE") || "",
+      inverter: fms("ORDER_INVERTER") || "",
+      bos: fms("ORDER_BOS") || "",
+      acdb: fms("ORDER_ACDB") || "",
+      dcdb: fms("ORDER_DCDB") || "",
+      orderCopy: fms("ORDER_COPY") || "",
+      // IP Assignment data
+      actual: fms("IP_ACTUAL") || "",
+      ipName: fms("IP_NAME") || "",
+      ipContact: fms("IP_CONTACT") || "",
+      gstNumber: fms("IP_GST_NUMBER") || "",
+      gstCertificates: fms("IP_GST_CERTIFICATE") || "",
+      bankAccountDetails: fms("IP_BANK_DETAILS") || "",
+      aadharCard: fms("IP_AADHAR_CARD") || "",
+      panCard: fms("IP_PAN_CARD") || "",
+      workOrderNumber: fms("WORK_ORDER_NUMBER") || "",
+      workOrderCopy: fms("WORK_ORDER_COPY") || "",
     }
-  }, [isEmpty])
 
-  useEffect(() => {
-    fetchSheetData()
-  }, [fetchSheetData])
+    return rowData
+  }, [])
+
+  const { pendingData, historyData, setPendingData, setHistoryData, loading, error } = useFmsStage(
+    CONFIG.APPS_SCRIPT_URL,
+    STAGE_QUERY,
+    toRecord,
+  )
 
   // Optimized filtered data with debounced search
   const filteredPendingData = useMemo(() => {
@@ -246,8 +210,10 @@ function IPAssignmentPage() {
       workOrderNumber: record.workOrderNumber || "",
       workOrderCopy: null,
     })
+    setFieldErrors({})
+    clearUploads()
     setShowIPModal(true)
-  }, [])
+  }, [clearUploads])
 
   const handleFileUpload = useCallback((field, file) => {
     setIpForm((prev) => ({ ...prev, [field]: file }))
@@ -257,43 +223,23 @@ function IPAssignmentPage() {
     setIpForm((prev) => ({ ...prev, [field]: value }))
   }, [])
 
-  const fileToBase64 = useCallback((file) => {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader()
-      reader.readAsDataURL(file)
-      reader.onload = () => resolve(reader.result)
-      reader.onerror = (error) => reject(error)
-    })
-  }, [])
-
   const uploadImageToDrive = useCallback(
-    async (file) => {
+    async (file, documentName) => {
       try {
-        const base64Data = await fileToBase64(file)
-        const formData = new FormData()
-        formData.append("action", "uploadFile")
-        formData.append("base64Data", base64Data)
-        formData.append("fileName", `${selectedRecord._enquiryNumber}_${Date.now()}.${file.name.split(".").pop()}`)
-        formData.append("mimeType", file.type)
-        formData.append("folderId", CONFIG.DRIVE_FOLDER_ID)
-
-        const response = await fetch(CONFIG.APPS_SCRIPT_URL, {
-          method: "POST",
-          body: formData,
+        const result = await upload(file, {
+          fileName: file.name,
+          folderId: CONFIG.DRIVE_FOLDER_ID,
+          enquiryNumber: selectedRecord._enquiryNumber,
+          stage: CONFIG.DOCUMENT_STAGE,
+          documentName,
         })
-
-        const result = await response.json()
-        if (result.success) {
-          return result.fileUrl
-        } else {
-          throw new Error("Failed to upload image")
-        }
+        return result.fileUrl
       } catch (error) {
         console.error("Error uploading image:", error)
         throw error
       }
     },
-    [selectedRecord, fileToBase64],
+    [selectedRecord, upload],
   )
 
   const handleIPSubmit = async () => {
@@ -303,60 +249,46 @@ function IPAssignmentPage() {
     }
 
     setIsSubmitting(true)
+    setFieldErrors({})
     try {
       const isEdit = !isEmpty(selectedRecord.actual)
       const actualDate = isEdit ? selectedRecord.actual : formatTimestamp()
 
       // Upload images and get URLs (or keep existing)
       let gstCertificatesUrl = ""
-      if (ipForm.gstCertificates) gstCertificatesUrl = await uploadImageToDrive(ipForm.gstCertificates)
+      if (ipForm.gstCertificates) gstCertificatesUrl = await uploadImageToDrive(ipForm.gstCertificates, CONFIG.DOCUMENT_NAMES.gstCertificates)
       else if (isEdit && selectedRecord.gstCertificates) gstCertificatesUrl = selectedRecord.gstCertificates
 
       let bankAccountDetailsUrl = ""
-      if (ipForm.bankAccountDetails) bankAccountDetailsUrl = await uploadImageToDrive(ipForm.bankAccountDetails)
+      if (ipForm.bankAccountDetails) bankAccountDetailsUrl = await uploadImageToDrive(ipForm.bankAccountDetails, CONFIG.DOCUMENT_NAMES.bankAccountDetails)
       else if (isEdit && selectedRecord.bankAccountDetails) bankAccountDetailsUrl = selectedRecord.bankAccountDetails
 
       let aadharCardUrl = ""
-      if (ipForm.aadharCard) aadharCardUrl = await uploadImageToDrive(ipForm.aadharCard)
+      if (ipForm.aadharCard) aadharCardUrl = await uploadImageToDrive(ipForm.aadharCard, CONFIG.DOCUMENT_NAMES.aadharCard)
       else if (isEdit && selectedRecord.aadharCard) aadharCardUrl = selectedRecord.aadharCard
 
       let panCardUrl = ""
-      if (ipForm.panCard) panCardUrl = await uploadImageToDrive(ipForm.panCard)
+      if (ipForm.panCard) panCardUrl = await uploadImageToDrive(ipForm.panCard, CONFIG.DOCUMENT_NAMES.panCard)
       else if (isEdit && selectedRecord.panCard) panCardUrl = selectedRecord.panCard
 
       let workOrderCopyUrl = ""
-      if (ipForm.workOrderCopy) workOrderCopyUrl = await uploadImageToDrive(ipForm.workOrderCopy)
+      if (ipForm.workOrderCopy) workOrderCopyUrl = await uploadImageToDrive(ipForm.workOrderCopy, CONFIG.DOCUMENT_NAMES.workOrderCopy)
       else if (isEdit && selectedRecord.workOrderCopy) workOrderCopyUrl = selectedRecord.workOrderCopy
 
-      // Prepare update data - FIXED: Use null for columns we don't want to update
-      const rowData = Array(65).fill(null) // Array up to column BM (index 64)
-      rowData[54] = actualDate // BC - Actual timestamp (index 54)
-      rowData[56] = ipForm.ipName // BE - IP Name (index 56)
-      rowData[57] = ipForm.contactNumberOfIP // BF - Contact Number Of IP (index 57)
-      rowData[58] = ipForm.gstNumber // BG - GST Number (index 58)
-      rowData[59] = gstCertificatesUrl // BH - GST Certificates (index 59)
-      rowData[60] = bankAccountDetailsUrl // BI - Bank Account Details (index 60)
-      rowData[61] = aadharCardUrl // BJ - Aadhar Card (index 61)
-      rowData[62] = panCardUrl // BK - Pan Card (index 62)
-      rowData[63] = ipForm.workOrderNumber // BL - Work Order Number (index 63)
-      rowData[64] = workOrderCopyUrl // BM - Work Order Copy (index 64)
-
-      const updateData = {
-        action: "update",
-        sheetName: CONFIG.SOURCE_SHEET_NAME,
-        rowIndex: selectedRecord._rowIndex,
-        rowData: JSON.stringify(rowData)
-      }
-
-      const response = await fetch(CONFIG.APPS_SCRIPT_URL, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/x-www-form-urlencoded",
-        },
-        body: new URLSearchParams(updateData).toString(),
-      })
-
-      const result = await response.json()
+      // Prepare update data
+      const fields = {}
+      fields.IP_ACTUAL = actualDate
+      fields.IP_NAME = ipForm.ipName
+      fields.IP_CONTACT = ipForm.contactNumberOfIP
+      fields.IP_GST_NUMBER = ipForm.gstNumber
+      fields.IP_GST_CERTIFICATE = gstCertificatesUrl
+      fields.IP_BANK_DETAILS = bankAccountDetailsUrl
+      fields.IP_AADHAR_CARD = aadharCardUrl
+      fields.IP_PAN_CARD = panCardUrl
+      fields.WORK_ORDER_NUMBER = ipForm.workOrderNumber
+      fields.WORK_ORDER_COPY = workOrderCopyUrl
+
+      const result = await saveFields(selectedRecord, fields)
 
       if (result.success) {
         setSuccessMessage(`IP Assignment completed successfully for Enquiry Number: ${selectedRecord._enquiryNumber}`)
@@ -387,6 +319,8 @@ function IPAssignmentPage() {
         setTimeout(() => {
           setSuccessMessage("")
         }, 3000)
+      } else if (result.validation) {
+        setFieldErrors(result.fieldErrors)
       } else {
         throw new Error(result.error || "Failed to submit IP assignment")
       }
@@ -405,6 +339,7 @@ function IPAssignmentPage() {
 
   const closeIPModal = useCallback(() => {
     setShowIPModal(false)
+    setFieldErrors({})
     setSelectedRecord(null)
     setIpForm({
       ipName: "",
@@ -622,16 +557,18 @@ function IPAssignmentPage() {
                       filteredHistoryData.map((record) => (
                         <tr key={record._id} className="hover:bg-gray-50">
                           <td className="px-2 py-3 whitespace-nowrap">
-                            <button
-                              onClick={() => handleIPClick(record)}
-                              className="inline-flex items-center px-3 py-1 border border-transparent text-xs leading-4 font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors"
-                            >
-                              <Wrench className="h-3 w-3 mr-1" />
-                              Edit
-                            </button>
+                            {canEdit && (
+                              <button
+                                onClick={() => handleIPClick(record)}
+                                className="inline-flex items-center px-3 py-1 border border-transparent text-xs leading-4 font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors"
+                              >
+                                <Wrench className="h-3 w-3 mr-1" />
+                                Edit
+                              </button>
+                            )}
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
-                            <div className="text-xs font-medium text-gray-900">{record.enquiryNumber || "—"}</div>
+                            <div className="text-xs font-medium text-gray-900">{record.enquiryNumber || "—"}<AuditHistoryButton enquiryNumber={record.enquiryNumber} onOpen={setHistoryEnquiry} /></div>
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             <div className="text-xs text-gray-900">{record.beneficiaryName || "—"}</div>
@@ -658,15 +595,14 @@ function IPAssignmentPage() {
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.orderCopy ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.orderCopy}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
@@ -684,60 +620,56 @@ function IPAssignmentPage() {
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.gstCertificates ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.gstCertificates}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.bankAccountDetails ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.bankAccountDetails}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.aadharCard ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.aadharCard}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.panCard ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.panCard}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
@@ -747,15 +679,14 @@ function IPAssignmentPage() {
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.workOrderCopy ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.workOrderCopy}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
@@ -773,16 +704,18 @@ function IPAssignmentPage() {
                     filteredPendingData.map((record) => (
                       <tr key={record._id} className="hover:bg-gray-50">
                         <td className="px-2 py-3 whitespace-nowrap">
-                          <button
-                            onClick={() => handleIPClick(record)}
-                            className="inline-flex items-center px-3 py-1 border border-transparent text-xs leading-4 font-medium rounded-md text-white bg-linear-to-r from-green-500 to-blue-600 hover:from-green-600 hover:to-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
-                          >
-                            <User className="h-3 w-3 mr-1" />
-                            IP
-                          </button>
+                          {canEdit && (
+                            <button
+                              onClick={() => handleIPClick(record)}
+                              className="inline-flex items-center px-3 py-1 border border-transparent text-xs leading-4 font-medium rounded-md text-white bg-linear-to-r from-green-500 to-blue-600 hover:from-green-600 hover:to-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
+                            >
+                              <User className="h-3 w-3 mr-1" />
+                              IP
+                            </button>
+                          )}
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
-                          <div className="text-xs font-medium text-blue-900">{record.enquiryNumber || "—"}</div>
+                          <div className="text-xs font-medium text-blue-900">{record.enquiryNumber || "—"}<AuditHistoryButton enquiryNumber={record.enquiryNumber} onOpen={setHistoryEnquiry} /></div>
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           <div className="text-xs text-gray-900 flex items-center">
@@ -810,15 +743,14 @@ function IPAssignmentPage() {
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.addressProof ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.addressProof}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
@@ -831,15 +763,14 @@ function IPAssignmentPage() {
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.quotationCopy ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.quotationCopy}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
@@ -861,15 +792,14 @@ function IPAssignmentPage() {
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.orderCopy ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.orderCopy}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
@@ -981,10 +911,11 @@ function IPAssignmentPage() {
                       maxLength="10"
                       className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
                     />
+                    <FieldError message={fieldErrors.IP_CONTACT} />
                   </div>
 
                   {/* GST Number */}
-                  {/* <div>
+                  <div>
                     <label className="block text-sm font-medium text-gray-700 mb-2">GST Number</label>
                     <input
                       type="text"
@@ -994,7 +925,8 @@ function IPAssignmentPage() {
                       maxLength="15"
                       className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
                     />
-                  </div> */}
+                    <FieldError message={fieldErrors.IP_GST_NUMBER} />
+                  </div>
 
                   {/* Work Order Number */}
                   {/* <div>
@@ -1030,15 +962,14 @@ function IPAssignmentPage() {
                     </div>
                     <div className="shrink-0 flex items-center pt-6">
                       {selectedRecord?.gstCertificates ? (
-                        <a
+                        <DocumentLink
+                          scriptUrl={CONFIG.APPS_SCRIPT_URL}
                           href={selectedRecord.gstCertificates}
-                          target="_blank"
-                          rel="noopener noreferrer"
                           className="p-2 border border-blue-200 rounded-md text-blue-600 bg-blue-50 hover:bg-blue-100 transition-all shadow-sm"
                           title="View Previous GST Certificate"
                         >
                           <Eye className="h-5 w-5" />
-                        </a>
+                        </DocumentLink>
                       ) : (
                         <div
                           className="p-2 border border-gray-200 rounded-md text-gray-300 bg-gray-50 cursor-not-allowed"
@@ -1072,15 +1003,14 @@ function IPAssignmentPage() {
                     </div>
                     <div className="shrink-0 flex items-center pt-6">
                       {selectedRecord?.bankAccountDetails ? (
-                        <a
+                        <DocumentLink
+                          scriptUrl={CONFIG.APPS_SCRIPT_URL}
                           href={selectedRecord.bankAccountDetails}
-                          target="_blank"
-                          rel="noopener noreferrer"
                           className="p-2 border border-blue-200 rounded-md text-blue-600 bg-blue-50 hover:bg-blue-100 transition-all shadow-sm"
                           title="View Previous Bank Account Details"
                         >
                           <Eye className="h-5 w-5" />
-                        </a>
+                        </DocumentLink>
                       ) : (
                         <div
                           className="p-2 border border-gray-200 rounded-md text-gray-300 bg-gray-50 cursor-not-allowed"
@@ -1114,15 +1044,14 @@ function IPAssignmentPage() {
                     </div>
                     <div className="shrink-0 flex items-center pt-6">
                       {selectedRecord?.aadharCard ? (
-                        <a
+                        <DocumentLink
+                          scriptUrl={CONFIG.APPS_SCRIPT_URL}
                           href={selectedRecord.aadharCard}
-                          target="_blank"
-                          rel="noopener noreferrer"
                           className="p-2 border border-blue-200 rounded-md text-blue-600 bg-blue-50 hover:bg-blue-100 transition-all shadow-sm"
                           title="View Previous Aadhar Card"
                         >
                           <Eye className="h-5 w-5" />
-                        </a>
+                        </DocumentLink>
                       ) : (
                         <div
                           className="p-2 border border-gray-200 rounded-md text-gray-300 bg-gray-50 cursor-not-allowed"
@@ -1156,15 +1085,14 @@ function IPAssignmentPage() {
                     </div>
                     <div className="shrink-0 flex items-center pt-6">
                       {selectedRecord?.panCard ? (
-                        <a
+                        <DocumentLink
+                          scriptUrl={CONFIG.APPS_SCRIPT_URL}
                           href={selectedRecord.panCard}
-                          target="_blank"
-                          rel="noopener noreferrer"
                           className="p-2 border border-blue-200 rounded-md text-blue-600 bg-blue-50 hover:bg-blue-100 transition-all shadow-sm"
                           title="View Previous Pan Card"
                         >
                           <Eye className="h-5 w-5" />
-                        </a>
+                        </DocumentLink>
                       ) : (
                         <div
                           className="p-2 border border-gray-200 rounded-md text-gray-300 bg-gray-50 cursor-not-allowed"
@@ -1198,15 +1126,14 @@ function IPAssignmentPage() {
                     </div>
                     <div className="shrink-0 flex items-center pt-6">
                       {selectedRecord?.workOrderCopy ? (
-                        <a
+                        <DocumentLink
+                          scriptUrl={CONFIG.APPS_SCRIPT_URL}
                           href={selectedRecord.workOrderCopy}
-                          target="_blank"
-                          rel="noopener noreferrer"
                           className="p-2 border border-blue-200 rounded-md text-blue-600 bg-blue-50 hover:bg-blue-100 transition-all shadow-sm"
                           title="View Previous Work Order Copy"
                         >
                           <Eye className="h-5 w-5" />
-                        </a>
+                        </DocumentLink>
                       ) : (
                         <div
                           className="p-2 border border-gray-200 rounded-md text-gray-300 bg-gray-50 cursor-not-allowed"
@@ -1219,6 +1146,8 @@ function IPAssignmentPage() {
                   </div> */}
                 </div>
 
+                <UploadProgress uploads={uploads} />
+
                 {/* Action Buttons */}
                 <div className="flex justify-end space-x-4 mt-8 pt-4 border-t">
                   <button
@@ -1251,6 +1180,12 @@ function IPAssignmentPage() {
           </div>
         )}
       </div>
+      <FmsConflictDialog conflict={conflict} onResolve={resolveConflict} />
+      <AuditHistoryDrawer
+        scriptUrl={CONFIG.APPS_SCRIPT_URL}
+        enquiryNumber={historyEnquiry}
+        onClose={() => setHistoryEnquiry(null)}
+      />
     </AdminLayout>
   )
 }
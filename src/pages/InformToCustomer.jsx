@@ -1,19 +1,25 @@
 "use client"
 
 import { useState, useEffect, useCallback, useMemo } from "react"
-import { CheckCircle2, X, Search, History, MapPin, Users, Phone, Eye, Bell } from "lucide-react"
+import { Search, History, MapPin, Users, Phone, Eye, Bell } from "lucide-react"
 import AdminLayout from "../components/layout/AdminLayout"
+import { AuditHistoryButton, AuditHistoryDrawer } from "../components/AuditHistory"
+import DocumentLink from "../components/DocumentLink"
+import FmsBatchResult from "../components/FmsBatchResult"
+import { getFmsValue } from "../lib/fmsSchema"
+import { useDropdownOptions, useFmsStage } from "../lib/fmsCache"
+import { can } from "../lib/permissions"
+import { useFmsBatchSave } from "../lib/useFmsBatchSave"
+import { config } from "../lib/config"
 
 // Updated Configuration object
 const CONFIG = {
   // Updated Google Apps Script URL
-  APPS_SCRIPT_URL:
-    "https://script.google.com/macros/s/AKfycbzF4JjwpmtgsurRYkORyZvQPvRGc06VuBMCJM00wFbOOtVsSyFiUJx5xtb1J0P5ooyf/exec",
+  APPS_SCRIPT_URL: config.appsScriptUrl,
   // Updated Google Sheet ID
-  SHEET_ID: "1Kp9eEqtQfesdie6l7XEuTZne6Md8_P8qzKfGFcHhpL4",
+  SHEET_ID: config.spreadsheetId,
   // Sheet names
   SOURCE_SHEET_NAME: "FMS",
-  DROPDOWN_SHEET_NAME: "Drop-Down Value",
   // Updated page configuration
   PAGE_CONFIG: {
     title: "Inform to Customer",
@@ -23,6 +29,19 @@ const CONFIG = {
   },
 }
 
+// Columns this page reads and the FMS rows that belong to this stage; the
+// backend splits them into pending and history on INFORM_ACTUAL.
+const STAGE_QUERY = {
+  fields: [
+    "ENQUIRY_NUMBER", "BENEFICIARY_NAME", "ADDRESS", "VILLAGE_BLOCK", "DISTRICT", "CONTACT_NUMBER",
+    "SURVEYOR_NAME", "SURVEYOR_CONTACT", "ORDER_COPY", "IP_NAME", "IP_CONTACT", "IP_GST_NUMBER",
+    "IP_GST_CERTIFICATE", "IP_BANK_DETAILS", "IP_AADHAR_CARD", "IP_PAN_CARD", "WORK_ORDER_NUMBER",
+    "WORK_ORDER_COPY", "DISPATCH_STATUS", "INFORM_ACTUAL", "INFORM_STATUS",
+  ],
+  filters: [{ field: "ENQUIRY_NUMBER", op: "notEmpty" }],
+  actualField: "INFORM_ACTUAL",
+}
+
 // Debounce hook for search optimization
 function useDebounce(value, delay) {
   const [debouncedValue, setDebouncedValue] = useState(value)
@@ -38,15 +57,13 @@ function useDebounce(value, delay) {
 }
 
 function InformToCustomerPage() {
-  const [pendingData, setPendingData] = useState([])
-  const [historyData, setHistoryData] = useState([])
-  const [dropdownOptions, setDropdownOptions] = useState([])
+  const [historyEnquiry, setHistoryEnquiry] = useState(null)
+  const canEdit = can("inform", "edit")
+  const dropdownOptions = useDropdownOptions(CONFIG.APPS_SCRIPT_URL, 7)
   const [searchTerm, setSearchTerm] = useState("")
-  const [loading, setLoading] = useState(true)
-  const [error, setError] = useState(null)
   const [showHistory, setShowHistory] = useState(false)
   const [isSubmitting, setIsSubmitting] = useState(false)
-  const [successMessage, setSuccessMessage] = useState("")
+  const { submitBatch, retryFailed, batchResult, isRetrying, dismissBatchResult } = useFmsBatchSave(CONFIG.APPS_SCRIPT_URL)
   const [userRole, setUserRole] = useState("")
   const [username, setUsername] = useState("")
   const [selectedRows, setSelectedRows] = useState({})
@@ -66,10 +83,6 @@ function InformToCustomerPage() {
     return `${day}/${month}/${year} ${hours}:${minutes}:${seconds}`
   }, [])
 
-  const isEmpty = useCallback((value) => {
-    return value === null || value === undefined || (typeof value === "string" && value.trim() === "")
-  }, [])
-
   useEffect(() => {
     const role = sessionStorage.getItem("role")
     const user = sessionStorage.getItem("username")
@@ -77,176 +90,54 @@ function InformToCustomerPage() {
     setUsername(user || "")
   }, [])
 
-  // Fetch dropdown options from "Drop-Down Value" sheet Column H2:H
-  const fetchDropdownOptions = useCallback(async () => {
-    try {
-      const response = await fetch(`${CONFIG.APPS_SCRIPT_URL}?sheet=${CONFIG.DROPDOWN_SHEET_NAME}&action=fetch`)
-      if (!response.ok) {
-        throw new Error(`Failed to fetch dropdown data: ${response.status}`)
-      }
-      const text = await response.text()
-      let data
-      try {
-        data = JSON.parse(text)
-      } catch (parseError) {
-        const jsonStart = text.indexOf("{")
-        const jsonEnd = text.lastIndexOf("}")
-        if (jsonStart !== -1 && jsonEnd !== -1) {
-          const jsonString = text.substring(jsonStart, jsonEnd + 1)
-          data = JSON.parse(jsonString)
-        } else {
-          throw new Error("Invalid JSON response from server")
-        }
-      }
-
-      let rows = []
-      if (data.table && data.table.rows) {
-        rows = data.table.rows
-      } else if (Array.isArray(data)) {
-        rows = data
-      } else if (data.values) {
-        rows = data.values.map((row) => ({ c: row.map((val) => ({ v: val })) }))
-      }
-
-      // Extract values from column H (index 7) starting from row 2
-      const options = []
-      rows.forEach((row, rowIndex) => {
-        if (rowIndex >= 1) {
-          // Skip header row (row 1)
-          let rowValues = []
-          if (row.c) {
-            rowValues = row.c.map((cell) => (cell && cell.v !== undefined ? cell.v : ""))
-          } else if (Array.isArray(row)) {
-            rowValues = row
-          }
-          const optionValue = rowValues[7] // Column H (index 7)
-          if (!isEmpty(optionValue)) {
-            options.push(optionValue.toString())
-          }
-        }
-      })
-      setDropdownOptions(options)
-    } catch (error) {
-      console.error("Error fetching dropdown options:", error)
-      setDropdownOptions([])
+  const toRecord = useCallback((row) => {
+    const fms = (key) => getFmsValue(row.values, key)
+
+    const enquiryNumber = fms("ENQUIRY_NUMBER") || ""
+
+    const googleSheetsRowIndex = row.rowIndex
+    const stableId = enquiryNumber
+      ? `enquiry_${enquiryNumber}_${googleSheetsRowIndex}`
+      : `row_${googleSheetsRowIndex}_${Math.random().toString(36).substring(2, 15)}`
+
+    const rowData = {
+      _id: stableId,
+      _rowIndex: googleSheetsRowIndex,
+      _version: row.version,
+      _enquiryNumber: enquiryNumber,
+      // Updated column mappings as per specification
+      enquiryNumber: fms("ENQUIRY_NUMBER") || "",
+      beneficiaryName: fms("BENEFICIARY_NAME") || "",
+      address: fms("ADDRESS") || "",
+      villageBlock: fms("VILLAGE_BLOCK") || "",
+      district: fms("DISTRICT") || "",
+      contactNumber: fms("CONTACT_NUMBER") || "",
+      surveyorName: fms("SURVEYOR_NAME") || "",
+      surveyorContact: fms("SURVEYOR_CONTACT") || "",
+      orderCopy: fms("ORDER_COPY") || "",
+      ipName: fms("IP_NAME") || "",
+      ipContact: fms("IP_CONTACT") || "",
+      gstNumber: fms("IP_GST_NUMBER") || "",
+      gstCertificates: fms("IP_GST_CERTIFICATE") || "",
+      bankAccountDetails: fms("IP_BANK_DETAILS") || "",
+      aadharCard: fms("IP_AADHAR_CARD") || "",
+      panCard: fms("IP_PAN_CARD") || "",
+      workOrderNumber: fms("WORK_ORDER_NUMBER") || "",
+      workOrderCopy: fms("WORK_ORDER_COPY") || "",
+      dispatchMaterial: fms("DISPATCH_STATUS") || "",
+      actual: fms("INFORM_ACTUAL") || "",
+      informToCustomer: fms("INFORM_STATUS") || "",
     }
-  }, [isEmpty])
-
-  // Optimized data fetching
-  const fetchSheetData = useCallback(async () => {
-    try {
-      setLoading(true)
-      setError(null)
 
-      // Fetch both main data and dropdown options
-      await fetchDropdownOptions()
-
-      const response = await fetch(`${CONFIG.APPS_SCRIPT_URL}?sheet=${CONFIG.SOURCE_SHEET_NAME}&action=fetch`)
-      if (!response.ok) {
-        throw new Error(`Failed to fetch data: ${response.status}`)
-      }
-      const text = await response.text()
-      let data
-      try {
-        data = JSON.parse(text)
-      } catch (parseError) {
-        const jsonStart = text.indexOf("{")
-        const jsonEnd = text.lastIndexOf("}")
-        if (jsonStart !== -1 && jsonEnd !== -1) {
-          const jsonString = text.substring(jsonStart, jsonEnd + 1)
-          data = JSON.parse(jsonString)
-        } else {
-          throw new Error("Invalid JSON response from server")
-        }
-      }
-
-      const pending = []
-      const history = []
-      let rows = []
-
-      if (data.table && data.table.rows) {
-        rows = data.table.rows
-      } else if (Array.isArray(data)) {
-        rows = data
-      } else if (data.values) {
-        rows = data.values.map((row) => ({ c: row.map((val) => ({ v: val })) }))
-      }
-
-      rows.forEach((row, rowIndex) => {
-        // Skip header rows and only process from row 7 onwards (rowIndex 6 in 0-based indexing)
-        if (rowIndex < 6) return
-
-        let rowValues = []
-        if (row.c) {
-          rowValues = row.c.map((cell) => (cell && cell.v !== undefined ? cell.v : ""))
-        } else if (Array.isArray(row)) {
-          rowValues = row
-        } else {
-          return
-        }
-
-        // Updated conditions: Enquiry Number (index 1) not null and Column BS (index 70) for pending/history
-        const enquiryNumber = rowValues[1] || ""
-        const columnBS = rowValues[70] // Column BS (index 70)
-
-        const hasEnquiry = !isEmpty(enquiryNumber)
-        if (!hasEnquiry) return // Skip if enquiry number is empty
-
-        const googleSheetsRowIndex = rowIndex + 1
-        const stableId = enquiryNumber
-          ? `enquiry_${enquiryNumber}_${googleSheetsRowIndex}`
-          : `row_${googleSheetsRowIndex}_${Math.random().toString(36).substring(2, 15)}`
-
-        const rowData = {
-          _id: stableId,
-          _rowIndex: googleSheetsRowIndex,
-          _enquiryNumber: enquiryNumber,
-          // Updated column mappings as per specification
-          enquiryNumber: rowValues[1] || "", // B
-          beneficiaryName: rowValues[2] || "", // C
-          address: rowValues[3] || "", // D
-          villageBlock: rowValues[4] || "", // E
-          district: rowValues[5] || "", // F
-          contactNumber: rowValues[6] || "", // G
-          surveyorName: rowValues[29] || "", // AD (index 29)
-          surveyorContact: rowValues[30] || "", // AE (index 30)
-          orderCopy: rowValues[52] || "", // BA (index 52)
-          ipName: rowValues[56] || "", // BE (index 56)
-          ipContact: rowValues[57] || "", // BF (index 57)
-          gstNumber: rowValues[58] || "", // BG (index 58)
-          gstCertificates: rowValues[59] || "", // BH (index 59)
-          bankAccountDetails: rowValues[60] || "", // BI (index 60)
-          aadharCard: rowValues[61] || "", // BJ (index 61)
-          panCard: rowValues[62] || "", // BK (index 62)
-          workOrderNumber: rowValues[63] || "", // BL (index 63)
-          workOrderCopy: rowValues[64] || "", // BM (index 64)
-          dispatchMaterial: rowValues[68] || "", // BQ (index 68)
-          actual: rowValues[70] || "", // BS (index 70)
-          informToCustomer: rowValues[72] || "", // BU (index 72)
-        }
-
-        // Check if Column BS is null for pending, not null for history
-        const isColumnBSEmpty = isEmpty(columnBS)
-        if (isColumnBSEmpty) {
-          pending.push(rowData)
-        } else {
-          history.push(rowData)
-        }
-      })
-
-      setPendingData(pending)
-      setHistoryData(history)
-      setLoading(false)
-    } catch (error) {
-      console.error("Error fetching sheet data:", error)
-      setError("Failed to load Inform to Customer data: " + error.message)
-      setLoading(false)
-    }
-  }, [isEmpty, fetchDropdownOptions])
+    return rowData
+  }, [])
 
-  useEffect(() => {
-    fetchSheetData()
-  }, [fetchSheetData])
+  const { pendingData, historyData, setPendingData, setHistoryData, loading, error } = useFmsStage(
+    CONFIG.APPS_SCRIPT_URL,
+    STAGE_QUERY,
+    toRecord,
+    { pollInterval: 0 },
+  )
 
   // Initialize status values with existing inform to customer values
   useEffect(() => {
@@ -312,88 +203,42 @@ function InformToCustomerPage() {
 
     setIsSubmitting(true)
     try {
-      const updatePromises = selectedRecordIds.map(async (recordId) => {
+      const items = selectedRecordIds.map((recordId) => {
         const record = pendingData.find((r) => r._id === recordId) || historyData.find((r) => r._id === recordId)
         const status = statusValues[recordId]
 
-        if (!record) return
+        if (!record) return null
 
-        // FIXED: Use null for columns we don't want to update
         // Only columns with actual values will be updated
-        const rowData = Array(100).fill(null)
+        const fields = {}
 
         // Set specific columns:
         // Column BU (index 72) - Status (Inform to Customer)
-        rowData[72] = status
+        fields.INFORM_STATUS = status
 
         // Column BS (index 70) - Actual timestamp
         // IMPORTANT: Only update column BS, nothing else
         if (status === "Done") {
-          rowData[70] = formatTimestamp() // Set timestamp if Done
+          fields.INFORM_ACTUAL = formatTimestamp()
         } else {
-          rowData[70] = "" // Explicitly CLEAR column BS when not Done
-        }
-
-        // Prepare update data for this specific record
-        const updateData = {
-          action: "update",
-          sheetName: CONFIG.SOURCE_SHEET_NAME,
-          rowIndex: record._rowIndex,
-          rowData: JSON.stringify(rowData),
+          fields.INFORM_ACTUAL = ""
         }
 
-        const response = await fetch(CONFIG.APPS_SCRIPT_URL, {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/x-www-form-urlencoded",
-          },
-          body: new URLSearchParams(updateData).toString(),
-        })
-
-        return response.json()
-      })
-
-      const results = await Promise.all(updatePromises)
-      const failedUpdates = results.filter((result) => !result.success)
-
-      if (failedUpdates.length > 0) {
-        throw new Error("Some updates failed")
-      }
-
-      setSuccessMessage(`Successfully updated ${selectedRecordIds.length} customer notification record(s)`)
-
-      // Update local state
-      const updatedRecords = selectedRecordIds.map((recordId) => {
-        const record = pendingData.find((r) => r._id === recordId) || historyData.find((r) => r._id === recordId)
-        const status = statusValues[recordId]
-        return {
+        // Local copy of the record once the write is through
+        const updated = {
           ...record,
           informToCustomer: status,
-          actual: status === "Done" ? formatTimestamp() : record.actual,
+          actual: status === "Done" ? fields.INFORM_ACTUAL : record.actual,
         }
-      })
-
-      const movedToHistory = updatedRecords.filter((r) => r.informToCustomer === "Done")
-      const movedToPending = updatedRecords.filter((r) => r.informToCustomer !== "Done")
 
-      setPendingData((prev) => {
-        const remaining = prev.filter((r) => !selectedRecordIds.includes(r._id))
-        return [...remaining, ...movedToPending]
-      })
+        return { record, fields, updated }
+      }).filter(Boolean)
 
-      setHistoryData((prev) => {
-        const remaining = prev.filter((r) => !selectedRecordIds.includes(r._id))
-        return [...movedToHistory, ...remaining]
-      })
+      applyWritten(await submitBatch(items))
 
       // Clear selections and status values
       setSelectedRows({})
       setStatusValues({})
-
-      // Clear success message after 3 seconds
-      setTimeout(() => {
-        setSuccessMessage("")
-      }, 3000)
     } catch (error) {
       console.error("Error updating customer notifications:", error)
       alert("Failed to update customer notifications: " + error.message)
@@ -402,6 +247,28 @@ function InformToCustomerPage() {
     }
   }
 
+  // Move the records a bulk submit wrote between pending and history.
+  const applyWritten = (written) => {
+    const updatedRecords = written.map((item) => item.updated)
+    const writtenIds = updatedRecords.map((r) => r._id)
+    const movedToHistory = updatedRecords.filter((r) => r.informToCustomer === "Done")
+    const movedToPending = updatedRecords.filter((r) => r.informToCustomer !== "Done")
+
+    setPendingData((prev) => {
+      const remaining = prev.filter((r) => !writtenIds.includes(r._id))
+      return [...remaining, ...movedToPending]
+    })
+
+    setHistoryData((prev) => {
+      const remaining = prev.filter((r) => !writtenIds.includes(r._id))
+      return [...movedToHistory, ...remaining]
+    })
+  }
+
+  const handleRetryFailed = async () => {
+    applyWritten(await retryFailed())
+  }
+
   const toggleSection = useCallback((section) => {
     setShowHistory(section === "history")
     setSearchTerm("")
@@ -457,21 +324,10 @@ function InformToCustomerPage() {
           </button>
         </div>
 
-        {/* Success Message */}
-        {successMessage && (
-          <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-2 rounded-md flex items-center justify-between">
-            <div className="flex items-center">
-              <CheckCircle2 className="h-4 w-4 mr-2 text-green-500" />
-              {successMessage}
-            </div>
-            <button onClick={() => setSuccessMessage("")} className="text-green-500 hover:text-green-700">
-              <X className="h-4 w-4" />
-            </button>
-          </div>
-        )}
+        <FmsBatchResult result={batchResult} onRetry={handleRetryFailed} isRetrying={isRetrying} onDismiss={dismissBatchResult} />
 
         {/* Submit Button for Pending Section */}
-        {Object.values(selectedRows).some(Boolean) && (
+        {canEdit && Object.values(selectedRows).some(Boolean) && (
           <div className="bg-blue-50 border border-blue-200 p-4 rounded-md">
             <div className="flex items-center justify-between">
               <span className="text-blue-700 text-sm">
@@ -612,6 +468,7 @@ function InformToCustomerPage() {
                           <td className="px-2 py-3 whitespace-nowrap">
                             <input
                               type="checkbox"
+                              disabled={!canEdit}
                               checked={selectedRows[record._id] || false}
                               onChange={(e) => handleRowSelection(record._id, e.target.checked)}
                               className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
@@ -633,7 +490,7 @@ function InformToCustomerPage() {
                             </select>
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
-                            <div className="text-xs font-medium text-gray-900">{record.enquiryNumber || "—"}</div>
+                            <div className="text-xs font-medium text-gray-900">{record.enquiryNumber || "—"}<AuditHistoryButton enquiryNumber={record.enquiryNumber} onOpen={setHistoryEnquiry} /></div>
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             <div className="text-xs text-gray-900">{record.beneficiaryName || "—"}</div>
@@ -660,15 +517,14 @@ function InformToCustomerPage() {
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.orderCopy ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.orderCopy}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
@@ -686,60 +542,56 @@ function InformToCustomerPage() {
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.gstCertificates ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.gstCertificates}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.bankAccountDetails ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.bankAccountDetails}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.aadharCard ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.aadharCard}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.panCard ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.panCard}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
@@ -749,15 +601,14 @@ function InformToCustomerPage() {
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.workOrderCopy ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.workOrderCopy}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
@@ -785,6 +636,7 @@ function InformToCustomerPage() {
                         <td className="px-2 py-3 whitespace-nowrap">
                           <input
                             type="checkbox"
+                            disabled={!canEdit}
                             checked={selectedRows[record._id] || false}
                             onChange={(e) => handleRowSelection(record._id, e.target.checked)}
                             className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
@@ -806,7 +658,7 @@ function InformToCustomerPage() {
                           </select>
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
-                          <div className="text-xs font-medium text-blue-900">{record.enquiryNumber || "—"}</div>
+                          <div className="text-xs font-medium text-blue-900">{record.enquiryNumber || "—"}<AuditHistoryButton enquiryNumber={record.enquiryNumber} onOpen={setHistoryEnquiry} /></div>
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           <div className="text-xs text-gray-900 flex items-center">
@@ -840,15 +692,14 @@ function InformToCustomerPage() {
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.orderCopy ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.orderCopy}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
@@ -864,60 +715,56 @@ function InformToCustomerPage() {
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.gstCertificates ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.gstCertificates}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.bankAccountDetails ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.bankAccountDetails}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.aadharCard ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.aadharCard}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.panCard ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.panCard}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
@@ -927,15 +774,14 @@ function InformToCustomerPage() {
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.workOrderCopy ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.workOrderCopy}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
@@ -957,6 +803,11 @@ function InformToCustomerPage() {
           )}
         </div>
       </div>
+      <AuditHistoryDrawer
+        scriptUrl={CONFIG.APPS_SCRIPT_URL}
+        enquiryNumber={historyEnquiry}
+        onClose={() => setHistoryEnquiry(null)}
+      />
     </AdminLayout>
   )
 }
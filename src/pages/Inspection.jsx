@@ -3,17 +3,24 @@
 import { useState, useEffect, useCallback, useMemo } from "react"
 import { CheckCircle2, X, Search, History, MapPin, Users, Phone, Eye, ClipboardCheck, Calendar, Wrench } from "lucide-react"
 import AdminLayout from "../components/layout/AdminLayout"
+import { AuditHistoryButton, AuditHistoryDrawer } from "../components/AuditHistory"
+import DocumentLink from "../components/DocumentLink"
+import FmsConflictDialog from "../components/FmsConflictDialog"
+import { getFmsValue } from "../lib/fmsSchema"
+import { updateFmsFields } from "../lib/fmsApi"
+import { useFmsSave } from "../lib/useFmsSave"
+import { useDropdownOptions, useFmsStage } from "../lib/fmsCache"
+import { can } from "../lib/permissions"
+import { config } from "../lib/config"
 
 // Updated Configuration object
 const CONFIG = {
   // Updated Apps Script URL
-  APPS_SCRIPT_URL:
-    "https://script.google.com/macros/s/AKfycbzF4JjwpmtgsurRYkORyZvQPvRGc06VuBMCJM00wFbOOtVsSyFiUJx5xtb1J0P5ooyf/exec",
+  APPS_SCRIPT_URL: config.appsScriptUrl,
   // Updated Google Sheets ID
-  SHEET_ID: "1Kp9eEqtQfesdie6l7XEuTZne6Md8_P8qzKfGFcHhpL4",
+  SHEET_ID: config.spreadsheetId,
   // Sheet names
   SOURCE_SHEET_NAME: "FMS",
-  DROPDOWN_SHEET_NAME: "Drop-Down Value",
   // Page configuration
   PAGE_CONFIG: {
     title: "Inspection",
@@ -23,6 +30,19 @@ const CONFIG = {
   },
 }
 
+// Columns this page reads and the FMS rows that belong to this stage; the
+// backend splits them into pending and history on INSPECTION_ACTUAL.
+const STAGE_QUERY = {
+  fields: [
+    "ENQUIRY_NUMBER", "BENEFICIARY_NAME", "ADDRESS", "CONTACT_NUMBER", "SURVEYOR_NAME",
+    "POWER_PURCHASE_AGREEMENT", "VENDOR_CONSUMER_AGREEMENT", "DOC_QUOTATION_COPY", "DOC_APPLICATION_COPY",
+    "DOC_ELECTRICITY_BILL", "DOC_WITNESS_ID_PROOF", "INSPECTION_STATUS", "INSPECTION_DATE",
+    "INSPECTION_REMARKS", "INSPECTION_ACTUAL",
+  ],
+  filters: [{ field: "ENQUIRY_NUMBER", op: "notEmpty" }],
+  actualField: "INSPECTION_ACTUAL",
+}
+
 // Debounce hook for search optimization
 function useDebounce(value, delay) {
   const [debouncedValue, setDebouncedValue] = useState(value)
@@ -41,12 +61,11 @@ function useDebounce(value, delay) {
 }
 
 function InspectionPage() {
-  const [pendingData, setPendingData] = useState([])
-  const [historyData, setHistoryData] = useState([])
-  const [dropdownOptions, setDropdownOptions] = useState([])
+  const { saveFields, conflict, resolveConflict } = useFmsSave(CONFIG.APPS_SCRIPT_URL)
+  const [historyEnquiry, setHistoryEnquiry] = useState(null)
+  const canEdit = can("inspection", "edit")
+  const dropdownOptions = useDropdownOptions(CONFIG.APPS_SCRIPT_URL, 7)
   const [searchTerm, setSearchTerm] = useState("")
-  const [loading, setLoading] = useState(true)
-  const [error, setError] = useState(null)
   const [showHistory, setShowHistory] = useState(false)
   const [isSubmitting, setIsSubmitting] = useState(false)
   const [successMessage, setSuccessMessage] = useState("")
@@ -103,10 +122,6 @@ function InspectionPage() {
     return str
   }, [])
 
-  const isEmpty = useCallback((value) => {
-    return value === null || value === undefined || (typeof value === "string" && value.trim() === "")
-  }, [])
-
   useEffect(() => {
     const role = sessionStorage.getItem("role")
     const user = sessionStorage.getItem("username")
@@ -114,186 +129,52 @@ function InspectionPage() {
     setUsername(user || "")
   }, [])
 
-  // Fetch dropdown options from "Drop-Down Value" sheet Column H2:H
-  const fetchDropdownOptions = useCallback(async () => {
-    try {
-      const response = await fetch(`${CONFIG.APPS_SCRIPT_URL}?sheet=${CONFIG.DROPDOWN_SHEET_NAME}&action=fetch`)
-
-      if (!response.ok) {
-        throw new Error(`Failed to fetch dropdown data: ${response.status}`)
-      }
-
-      const text = await response.text()
-      let data
-
-      try {
-        data = JSON.parse(text)
-      } catch (parseError) {
-        const jsonStart = text.indexOf("{")
-        const jsonEnd = text.lastIndexOf("}")
-        if (jsonStart !== -1 && jsonEnd !== -1) {
-          const jsonString = text.substring(jsonStart, jsonEnd + 1)
-          data = JSON.parse(jsonString)
-        } else {
-          throw new Error("Invalid JSON response from server")
-        }
-      }
-
-      let rows = []
-      if (data.table && data.table.rows) {
-        rows = data.table.rows
-      } else if (Array.isArray(data)) {
-        rows = data
-      } else if (data.values) {
-        rows = data.values.map((row) => ({ c: row.map((val) => ({ v: val })) }))
-      }
-
-      // Extract values from column H (index 7) starting from row 2 (H2:H)
-      const options = []
-      rows.forEach((row, rowIndex) => {
-        if (rowIndex >= 1) {
-          // Skip header row, start from row 2
-          let rowValues = []
-          if (row.c) {
-            rowValues = row.c.map((cell) => (cell && cell.v !== undefined ? cell.v : ""))
-          } else if (Array.isArray(row)) {
-            rowValues = row
-          }
-
-          const optionValue = rowValues[7] // Column H (index 7)
-          if (!isEmpty(optionValue)) {
-            options.push(optionValue.toString())
-          }
-        }
-      })
-
-      setDropdownOptions(options)
-    } catch (error) {
-      console.error("Error fetching dropdown options:", error)
-      setDropdownOptions([])
+  const toRecord = useCallback((row) => {
+
+    const fms = (key) => getFmsValue(row.values, key)
+
+    const enquiryNumber = fms("ENQUIRY_NUMBER") || ""
+
+    const googleSheetsRowIndex = row.rowIndex
+
+    const stableId = enquiryNumber
+      ? `enquiry_${enquiryNumber}_${googleSheetsRowIndex}`
+      : `row_${googleSheetsRowIndex}_${Math.random().toString(36).substring(2, 15)}`
+
+    const rowData = {
+      _id: stableId,
+      _rowIndex: googleSheetsRowIndex,
+      _version: row.version,
+      _enquiryNumber: enquiryNumber,
+      // Data columns as per specifications
+      enquiryNumber: fms("ENQUIRY_NUMBER") || "",
+      beneficiaryName: fms("BENEFICIARY_NAME") || "",
+      address: fms("ADDRESS") || "",
+      contactNumber: fms("CONTACT_NUMBER") || "",
+      surveyorName: fms("SURVEYOR_NAME") || "",
+      // Document columns
+      powerPurchaseAgreement: fms("POWER_PURCHASE_AGREEMENT") || "",
+      vendorConsumerAgreement: fms("VENDOR_CONSUMER_AGREEMENT") || "",
+      quotationCopy: fms("DOC_QUOTATION_COPY") || "",
+      applicationCopy: fms("DOC_APPLICATION_COPY") || "",
+      electricityBill: fms("DOC_ELECTRICITY_BILL") || "",
+      witnessIdProof: fms("DOC_WITNESS_ID_PROOF") || "",
+      // Status columns
+      inspection: fms("INSPECTION_STATUS") || "",
+      date: formatDate(fms("INSPECTION_DATE") || ""),
+      remarks: fms("INSPECTION_REMARKS") || "",
+      actual: fms("INSPECTION_ACTUAL") || "",
     }
-  }, [isEmpty])
-
-  // Fetch data from FMS sheet starting from row 7
-  const fetchSheetData = useCallback(async () => {
-    try {
-      setLoading(true)
-      setError(null)
-
-      // Fetch both main data and dropdown options
-      await fetchDropdownOptions()
 
-      const response = await fetch(`${CONFIG.APPS_SCRIPT_URL}?sheet=${CONFIG.SOURCE_SHEET_NAME}&action=fetch`)
-
-      if (!response.ok) {
-        throw new Error(`Failed to fetch data: ${response.status}`)
-      }
-
-      const text = await response.text()
-      let data
-
-      try {
-        data = JSON.parse(text)
-      } catch (parseError) {
-        const jsonStart = text.indexOf("{")
-        const jsonEnd = text.lastIndexOf("}")
-        if (jsonStart !== -1 && jsonEnd !== -1) {
-          const jsonString = text.substring(jsonStart, jsonEnd + 1)
-          data = JSON.parse(jsonString)
-        } else {
-          throw new Error("Invalid JSON response from server")
-        }
-      }
+    return rowData
+  }, [formatDate])
 
-      const pending = []
-      const history = []
-      let rows = []
-
-      if (data.table && data.table.rows) {
-        rows = data.table.rows
-      } else if (Array.isArray(data)) {
-        rows = data
-      } else if (data.values) {
-        rows = data.values.map((row) => ({ c: row.map((val) => ({ v: val })) }))
-      }
-
-      rows.forEach((row, rowIndex) => {
-        // Process data starting from row 7 (rowIndex 6 in 0-based indexing)
-        if (rowIndex < 6) return
-
-        let rowValues = []
-        if (row.c) {
-          rowValues = row.c.map((cell) => (cell && cell.v !== undefined ? cell.v : ""))
-        } else if (Array.isArray(row)) {
-          rowValues = row
-        } else {
-          return
-        }
-
-        // Column mappings:
-        // DH = index 111 (column 112 in 1-based)
-        // DI = index 112 (column 113 in 1-based)
-        const enquiryNumber = rowValues[1] || "" // Column B
-        const columnDI = rowValues[112] // Column DI
-
-        // Condition: Enquiry Number = 'Not Null'
-        const hasEnquiry = !isEmpty(enquiryNumber)
-        if (!hasEnquiry) return // Skip if enquiry number is empty
-
-        const googleSheetsRowIndex = rowIndex + 1
-
-        const stableId = enquiryNumber
-          ? `enquiry_${enquiryNumber}_${googleSheetsRowIndex}`
-          : `row_${googleSheetsRowIndex}_${Math.random().toString(36).substring(2, 15)}`
-
-        const rowData = {
-          _id: stableId,
-          _rowIndex: googleSheetsRowIndex,
-          _enquiryNumber: enquiryNumber,
-          // Data columns as per specifications
-          enquiryNumber: rowValues[1] || "", // Column B
-          beneficiaryName: rowValues[2] || "", // Column C
-          address: rowValues[3] || "", // Column D
-          contactNumber: rowValues[6] || "", // Column G
-          surveyorName: rowValues[29] || "", // Column AD (index 29)
-          // Document columns
-          powerPurchaseAgreement: rowValues[100] || "", // Column CW (index 100)
-          vendorConsumerAgreement: rowValues[101] || "", // Column CX (index 101)
-          quotationCopy: rowValues[102] || "", // Column CY (index 102)
-          applicationCopy: rowValues[103] || "", // Column CZ (index 103)
-          electricityBill: rowValues[109] || "", // Column DF (index 109)
-          witnessIdProof: rowValues[110] || "", // Column DG (index 110)
-          // Status columns
-          inspection: rowValues[114] || "", // Column DK (index 114)
-          date: formatDate(rowValues[115] || ""), // Column DL (index 115)
-          remarks: rowValues[158] || "", // Column FC (index 158)
-          actual: rowValues[112] || "", // Column DI (index 112)
-        }
-
-        // Pending: Column DH = 'Not Null' and Column DI = 'Null'
-        // History: Column DH = 'Not Null' and Column DI = 'Not Null'
-        const isColumnDIEmpty = isEmpty(columnDI)
-
-        if (isColumnDIEmpty) {
-          pending.push(rowData)
-        } else {
-          history.push(rowData)
-        }
-      })
-
-      setPendingData(pending)
-      setHistoryData(history)
-      setLoading(false)
-    } catch (error) {
-      console.error("Error fetching sheet data:", error)
-      setError("Failed to load Inspection data: " + error.message)
-      setLoading(false)
-    }
-  }, [isEmpty, fetchDropdownOptions, formatDate])
-
-  useEffect(() => {
-    fetchSheetData()
-  }, [fetchSheetData])
+  const { pendingData, historyData, setPendingData, setHistoryData, loading, error } = useFmsStage(
+    CONFIG.APPS_SCRIPT_URL,
+    STAGE_QUERY,
+    toRecord,
+    { pollInterval: 0 },
+  )
 
   // Initialize status and date values with existing data
   useEffect(() => {
@@ -405,27 +286,16 @@ function InspectionPage() {
       const isEdit = !!selectedRecord.actual
       const actualDate = status === "Done" ? (selectedRecord.actual || formatTimestamp()) : ""
 
-      // FIXED: Use null for columns we don't want to update
-      const rowData = Array(160).fill(null)
-      rowData[114] = status // DK - Inspection status
-      rowData[115] = (status === "Done" && inspectionForm.date) ? formatDate(inspectionForm.date) : "" // DL - Date
-      rowData[158] = inspectionForm.remarks || "" // FC - Remarks
-      rowData[112] = actualDate // DI - Actual timestamp
-
-      const updateData = {
-        action: "update",
-        sheetName: CONFIG.SOURCE_SHEET_NAME,
-        rowIndex: selectedRecord._rowIndex,
-        rowData: JSON.stringify(rowData),
-      }
+      const fields = {}
+      fields.INSPECTION_STATUS = status
+      fields.INSPECTION_DATE = (status === "Done" && inspectionForm.date) ? formatDate(inspectionForm.date) : ""
+      fields.INSPECTION_REMARKS = inspectionForm.remarks || ""
+      fields.INSPECTION_ACTUAL = actualDate
 
-      await fetch(CONFIG.APPS_SCRIPT_URL, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/x-www-form-urlencoded",
-        },
-        body: new URLSearchParams(updateData).toString(),
-      })
+      const result = await saveFields(selectedRecord, fields)
+      if (!result.success) {
+        throw new Error(result.error || "Update failed")
+      }
 
       const updatedRecord = {
         ...selectedRecord,
@@ -509,38 +379,21 @@ function InspectionPage() {
         const status = statusValues[recordId] || record.inspection
         const selectedDate = dateValues[recordId]
 
-        // FIXED: Use null for columns we don't want to update
-        const rowData = Array(160).fill(null)
+        const fields = {}
 
         // Update only inspection-specific columns:
-        rowData[114] = status // DK - Inspection status
-        rowData[115] = selectedDate ? formatDate(selectedDate) : "" // DL - Date
-        rowData[158] = remarksValues[recordId] || "" // FC - Remarks
+        fields.INSPECTION_STATUS = status
+        fields.INSPECTION_DATE = selectedDate ? formatDate(selectedDate) : ""
+        fields.INSPECTION_REMARKS = remarksValues[recordId] || ""
 
         // Clear or set actual date based on status
         if (status === "Done") {
-          rowData[112] = formatTimestamp() // DI - Actual timestamp
+          fields.INSPECTION_ACTUAL = formatTimestamp()
         } else {
-          rowData[112] = "" // Clear when not Done
-        }
-
-        // Prepare update data for this specific record
-        const updateData = {
-          action: "update",
-          sheetName: CONFIG.SOURCE_SHEET_NAME,
-          rowIndex: record._rowIndex,
-          rowData: JSON.stringify(rowData),
+          fields.INSPECTION_ACTUAL = ""
         }
 
-        const response = await fetch(CONFIG.APPS_SCRIPT_URL, {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/x-www-form-urlencoded",
-          },
-          body: new URLSearchParams(updateData).toString(),
-        })
-
-        return response.json()
+        return updateFmsFields(CONFIG.APPS_SCRIPT_URL, record._enquiryNumber, fields, { version: record._version })
       })
 
       const results = await Promise.all(updatePromises)
@@ -672,7 +525,7 @@ function InspectionPage() {
         )}
 
         {/* Submit Button for Pending Section */}
-        {Object.values(selectedRows).some(Boolean) && (
+        {canEdit && Object.values(selectedRows).some(Boolean) && (
           <div className="bg-blue-50 border border-blue-200 p-4 rounded-md">
             <div className="flex items-center justify-between">
               <span className="text-blue-700 text-sm">
@@ -794,6 +647,7 @@ function InspectionPage() {
                           <td className="px-2 py-3 whitespace-nowrap">
                             <input
                               type="checkbox"
+                              disabled={!canEdit}
                               checked={selectedRows[record._id] || false}
                               onChange={(e) => handleRowSelection(record._id, e.target.checked)}
                               className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
@@ -841,7 +695,7 @@ function InspectionPage() {
                             />
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
-                            <div className="text-xs font-medium text-gray-900">{record.enquiryNumber || "—"}</div>
+                            <div className="text-xs font-medium text-gray-900">{record.enquiryNumber || "—"}<AuditHistoryButton enquiryNumber={record.enquiryNumber} onOpen={setHistoryEnquiry} /></div>
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             <div className="text-xs text-gray-900 flex items-center">
@@ -866,30 +720,28 @@ function InspectionPage() {
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.powerPurchaseAgreement ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.powerPurchaseAgreement}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.vendorConsumerAgreement ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.vendorConsumerAgreement}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
@@ -922,6 +774,7 @@ function InspectionPage() {
                         <td className="px-2 py-3 whitespace-nowrap">
                           <input
                             type="checkbox"
+                            disabled={!canEdit}
                             checked={selectedRows[record._id] || false}
                             onChange={(e) => handleRowSelection(record._id, e.target.checked)}
                             className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
@@ -966,7 +819,7 @@ function InspectionPage() {
                           />
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
-                          <div className="text-xs font-medium text-blue-900">{record.enquiryNumber || "—"}</div>
+                          <div className="text-xs font-medium text-blue-900">{record.enquiryNumber || "—"}<AuditHistoryButton enquiryNumber={record.enquiryNumber} onOpen={setHistoryEnquiry} /></div>
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           <div className="text-xs text-gray-900 flex items-center">
@@ -991,30 +844,28 @@ function InspectionPage() {
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.powerPurchaseAgreement ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.powerPurchaseAgreement}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.vendorConsumerAgreement ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.vendorConsumerAgreement}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
@@ -1140,6 +991,12 @@ function InspectionPage() {
           </div>
         </div>
       )}
+      <FmsConflictDialog conflict={conflict} onResolve={resolveConflict} />
+      <AuditHistoryDrawer
+        scriptUrl={CONFIG.APPS_SCRIPT_URL}
+        enquiryNumber={historyEnquiry}
+        onClose={() => setHistoryEnquiry(null)}
+      />
     </AdminLayout>
   )
 }
@@ -2,14 +2,36 @@
 import { useState, useEffect, useCallback, useMemo } from "react"
 import { CheckCircle2, X, Search, History, MapPin, Users, Phone, Eye, Wrench, Loader2, CloudUpload, AlertCircle } from "lucide-react"
 import AdminLayout from "../components/layout/AdminLayout"
+import { AuditHistoryButton, AuditHistoryDrawer } from "../components/AuditHistory"
+import DocumentLink from "../components/DocumentLink"
+import FileLinks from "../components/FileLinks"
+import FmsConflictDialog from "../components/FmsConflictDialog"
+import GeotagNotice from "../components/GeotagNotice"
+import UploadProgress from "../components/UploadProgress"
+import { getFmsValue } from "../lib/fmsSchema"
+import { joinFileLinks, useDriveUploads } from "../lib/driveUpload"
+import { openDocument } from "../lib/documentAccess"
+import { compressImage, readPhotoMetadata } from "../lib/photoTools"
+import { usePhotoGeotags } from "../lib/usePhotoGeotags"
+import { useFmsSave } from "../lib/useFmsSave"
+import { useFmsStage, useSheetRows } from "../lib/fmsCache"
+import { can } from "../lib/permissions"
+import { config } from "../lib/config"
 
 const CONFIG = {
-  APPS_SCRIPT_URL:
-    "https://script.google.com/macros/s/AKfycbzF4JjwpmtgsurRYkORyZvQPvRGc06VuBMCJM00wFbOOtVsSyFiUJx5xtb1J0P5ooyf/exec",
-  DRIVE_FOLDER_ID: "1SUhoI00UZ8jkao8tXVCPAbyBZLoYp5ko",
-  SHEET_ID: "1Kp9eEqtQfesdie6l7XEuTZne6Md8_P8qzKfGFcHhpL4",
+  APPS_SCRIPT_URL: config.appsScriptUrl,
+  DRIVE_FOLDER_ID: config.driveFolders.installation,
+  DOCUMENT_STAGE: "Installation",
+  DOCUMENT_NAMES: {
+    foundationPhoto: "PlantPhoto",
+    afterInstallationPhoto: "DCRCertificate",
+    photoWithCustomer: "ModuleWarrantyCertificate",
+    completeInstallationPhoto: "InstallationPhoto",
+    repeatedCertificate: "RepeatedCertificate",
+    projectCommissioningCertificate: "CommissioningCertificate",
+  },
+  SHEET_ID: config.spreadsheetId,
   SOURCE_SHEET_NAME: "FMS",
-  DROPDOWN_SHEET_NAME: "Drop-Down value",
   PAGE_CONFIG: {
     title: "Installation",
     historyTitle: "Installation History",
@@ -18,6 +40,26 @@ const CONFIG = {
   },
 }
 
+// Site photos whose EXIF location is checked against the enquiry's village
+// or district when picked
+const GEOTAGGED_FIELDS = ["foundationPhoto", "completeInstallationPhoto"]
+
+// Columns this page reads and the FMS rows that belong to this stage; the
+// backend splits them into pending and history on INSTALLATION_ACTUAL.
+const STAGE_QUERY = {
+  fields: [
+    "ENQUIRY_NUMBER", "BENEFICIARY_NAME", "ADDRESS", "CONTACT_NUMBER", "SURVEYOR_NAME", "SURVEYOR_CONTACT",
+    "ORDER_COPY", "IP_NAME", "IP_CONTACT", "IP_GST_NUMBER", "IP_AADHAR_CARD", "IP_PAN_CARD",
+    "WORK_ORDER_NUMBER", "WORK_ORDER_COPY", "DISPATCH_STATUS", "INFORM_STATUS", "RECEIPT_COPY",
+    "RECEIPT_DATE", "INSTALLATION_ACTUAL", "INSTALLATION_DATE", "ROUTING", "EARTHING", "BASE_FOUNDATION",
+    "WIRING", "FOUNDATION_PHOTO", "AFTER_INSTALLATION_PHOTO", "PHOTO_WITH_CUSTOMER",
+    "COMPLETE_INSTALLATION_PHOTO", "INVERTER_MAKE", "INVERTER_CAPACITY", "MODULE_MAKE", "MODULE_CAPACITY",
+    "MODULE_TYPE", "STRUCTURE_MAKE", "INVERTER_ID", "REPEATED_CERTIFICATE", "COMMISSIONING_CERTIFICATE",
+  ],
+  filters: [{ field: "ENQUIRY_NUMBER", op: "notEmpty" }],
+  actualField: "INSTALLATION_ACTUAL",
+}
+
 function useDebounce(value, delay) {
   const [debouncedValue, setDebouncedValue] = useState(value)
   useEffect(() => {
@@ -32,11 +74,12 @@ function useDebounce(value, delay) {
 }
 
 function InstallationPage() {
-  const [pendingData, setPendingData] = useState([])
-  const [historyData, setHistoryData] = useState([])
+  const { saveFields, conflict, resolveConflict } = useFmsSave(CONFIG.APPS_SCRIPT_URL)
+  const { uploads, upload, clearUploads } = useDriveUploads(CONFIG.APPS_SCRIPT_URL)
+  const { geotags, inspectPhotos, clearGeotags } = usePhotoGeotags(CONFIG.APPS_SCRIPT_URL)
+  const [historyEnquiry, setHistoryEnquiry] = useState(null)
+  const canEdit = can("installation", "edit")
   const [searchTerm, setSearchTerm] = useState("")
-  const [loading, setLoading] = useState(true)
-  const [error, setError] = useState(null)
   const [showHistory, setShowHistory] = useState(false)
   const [showInstallModal, setShowInstallModal] = useState(false)
   const [selectedRecord, setSelectedRecord] = useState(null)
@@ -44,16 +87,21 @@ function InstallationPage() {
   const [successMessage, setSuccessMessage] = useState("")
   const [userRole, setUserRole] = useState("")
   const [username, setUsername] = useState("")
-  const [dropdownOptions, setDropdownOptions] = useState({
-    inverterMake: [],
-    inverterCapacity: [],
-    moduleMake: [],
-    moduleCapacity: [],
-    moduleType: [],
-    structureMake: [],
-    phase: [],
-  })
-  const [dropdownLoading, setDropdownLoading] = useState(false)
+  const { rows: dropdownRows, loading: dropdownLoading } = useSheetRows(CONFIG.APPS_SCRIPT_URL)
+  // Unique, sorted values of the Drop-Down Value columns I:N and P
+  const dropdownOptions = useMemo(() => {
+    const column = (index) =>
+      [...new Set(dropdownRows.map((row) => String(row[index] || "")))].filter((item) => item.trim() !== "").sort()
+    return {
+      inverterMake: column(8),
+      inverterCapacity: column(9),
+      moduleMake: column(10),
+      moduleCapacity: column(11),
+      moduleType: column(12),
+      structureMake: column(13),
+      phase: column(15),
+    }
+  }, [dropdownRows])
   const [installForm, setInstallForm] = useState({
     inverterMake: "",
     inverterCapacity: "",
@@ -135,192 +183,68 @@ function InstallationPage() {
     setUsername(user || "")
   }, [])
 
-  const fetchDropdownOptions = useCallback(async () => {
-    try {
-      setDropdownLoading(true)
-      const response = await fetch(`${CONFIG.APPS_SCRIPT_URL}?sheet=${CONFIG.DROPDOWN_SHEET_NAME}&action=fetch`)
-      if (!response.ok) {
-        throw new Error(`Failed to fetch dropdown data: ${response.status}`)
-      }
-      const text = await response.text()
-      const data = JSON.parse(text)
-      const options = {
-        inverterMake: [],
-        inverterCapacity: [],
-        moduleMake: [],
-        moduleCapacity: [],
-        moduleType: [],
-        structureMake: [],
-        phase: [],
-      }
-
-      if (data.values) {
-        // Process as Google Sheets API v4 response
-        data.values.slice(1).forEach((row) => {
-          if (row && row.length >= 14) {
-            options.inverterMake.push(String(row[8] || ""))
-            options.inverterCapacity.push(String(row[9] || ""))
-            options.moduleMake.push(String(row[10] || ""))
-            options.moduleCapacity.push(String(row[11] || ""))
-            options.moduleType.push(String(row[12] || ""))
-            options.structureMake.push(String(row[13] || ""))
-            if (row[15]) options.phase.push(String(row[15] || "")) // Column P (index 15)
-          }
-        })
-      } else if (data.table && data.table.rows) {
-        // Process as older Google Sheets API response
-        data.table.rows.slice(1).forEach((row) => {
-          if (row.c && row.c.length >= 14) {
-            options.inverterMake.push(String(row.c[8]?.v || ""))
-            options.inverterCapacity.push(String(row.c[9]?.v || ""))
-            options.moduleMake.push(String(row.c[10]?.v || ""))
-            options.moduleCapacity.push(String(row.c[11]?.v || ""))
-            options.moduleType.push(String(row.c[12]?.v || ""))
-            options.structureMake.push(String(row.c[13]?.v || ""))
-            if (row.c[15]?.v) options.phase.push(String(row.c[15]?.v || "")) // Column P (index 15)
-          }
-        })
-      }
-
-      // Clean and sort options - ensure we only process strings
-      Object.keys(options).forEach((key) => {
-        options[key] = [...new Set(options[key])] // Remove duplicates
-          .filter((item) => typeof item === "string" && item.trim() !== "") // Filter valid strings
-          .sort() // Sort alphabetically
-      })
-
-      setDropdownOptions(options)
-    } catch (error) {
-      console.error("Error fetching dropdown options:", error)
-      setError("Failed to load dropdown options: " + error.message)
-    } finally {
-      setDropdownLoading(false)
+  const toRecord = useCallback((row) => {
+    const fms = (key) => getFmsValue(row.values, key)
+
+    const enquiryNumber = fms("ENQUIRY_NUMBER") || ""
+
+    const googleSheetsRowIndex = row.rowIndex
+    const stableId = enquiryNumber
+      ? `enquiry_${enquiryNumber}_${googleSheetsRowIndex}`
+      : `row_${googleSheetsRowIndex}_${Math.random().toString(36).substring(2, 15)}`
+
+    const rowData = {
+      _id: stableId,
+      _rowIndex: googleSheetsRowIndex,
+      _version: row.version,
+      _enquiryNumber: enquiryNumber,
+      enquiryNumber: fms("ENQUIRY_NUMBER") || "",
+      beneficiaryName: fms("BENEFICIARY_NAME") || "",
+      address: fms("ADDRESS") || "",
+      contactNumber: fms("CONTACT_NUMBER") || "",
+      surveyorName: fms("SURVEYOR_NAME") || "",
+      surveyorContact: fms("SURVEYOR_CONTACT") || "",
+      orderCopy: fms("ORDER_COPY") || "",
+      ipName: fms("IP_NAME") || "",
+      ipContact: fms("IP_CONTACT") || "",
+      gstNumber: fms("IP_GST_NUMBER") || "",
+      aadharCard: fms("IP_AADHAR_CARD") || "",
+      panCard: fms("IP_PAN_CARD") || "",
+      workOrderNumber: fms("WORK_ORDER_NUMBER") || "",
+      workOrderCopy: fms("WORK_ORDER_COPY") || "",
+      dispatchMaterial: fms("DISPATCH_STATUS") || "",
+      informToCustomer: fms("INFORM_STATUS") || "",
+      copyOfReceipt: fms("RECEIPT_COPY") || "",
+      dateOfReceipt: formatDate(fms("RECEIPT_DATE") || ""),
+      actual: fms("INSTALLATION_ACTUAL") || "",
+      dateOfInstallation: formatDate(fms("INSTALLATION_DATE") || ""),
+      routing: fms("ROUTING") || "",
+      earthing: fms("EARTHING") || "",
+      baseFoundation: fms("BASE_FOUNDATION") || "",
+      wiring: fms("WIRING") || "",
+      foundationPhoto: fms("FOUNDATION_PHOTO") || "",
+      afterInstallationPhoto: fms("AFTER_INSTALLATION_PHOTO") || "",
+      photoWithCustomer: fms("PHOTO_WITH_CUSTOMER") || "",
+      completeInstallationPhoto: fms("COMPLETE_INSTALLATION_PHOTO") || "",
+      inverterMake: fms("INVERTER_MAKE") || "",
+      inverterCapacity: fms("INVERTER_CAPACITY") || "",
+      moduleMake: fms("MODULE_MAKE") || "",
+      moduleCapacity: fms("MODULE_CAPACITY") || "",
+      moduleType: fms("MODULE_TYPE") || "",
+      structureMake: fms("STRUCTURE_MAKE") || "",
+      investorId: fms("INVERTER_ID") || "",
+      repeatedCertificate: fms("REPEATED_CERTIFICATE") || "",
+      projectCommissioningCertificate: fms("COMMISSIONING_CERTIFICATE") || "",
     }
-  }, [])
-
-  const fetchSheetData = useCallback(async () => {
-    try {
-      setLoading(true)
-      setError(null)
-      const response = await fetch(`${CONFIG.APPS_SCRIPT_URL}?sheet=${CONFIG.SOURCE_SHEET_NAME}&action=fetch`)
-      if (!response.ok) {
-        throw new Error(`Failed to fetch data: ${response.status}`)
-      }
-      const text = await response.text()
-      let data
-      try {
-        data = JSON.parse(text)
-      } catch (parseError) {
-        const jsonStart = text.indexOf("{")
-        const jsonEnd = text.lastIndexOf("}")
-        if (jsonStart !== -1 && jsonEnd !== -1) {
-          const jsonString = text.substring(jsonStart, jsonEnd + 1)
-          data = JSON.parse(jsonString)
-        } else {
-          throw new Error("Invalid JSON response from server")
-        }
-      }
-
-      const pending = []
-      const history = []
-      let rows = []
-
-      if (data.table && data.table.rows) {
-        rows = data.table.rows
-      } else if (Array.isArray(data)) {
-        rows = data
-      } else if (data.values) {
-        rows = data.values.map((row) => ({ c: row.map((val) => ({ v: val })) }))
-      }
 
-      rows.forEach((row, rowIndex) => {
-        if (rowIndex < 6) return
+    return rowData
+  }, [formatDate])
 
-        let rowValues = []
-        if (row.c) {
-          rowValues = row.c.map((cell) => (cell && cell.v !== undefined ? cell.v : ""))
-        } else if (Array.isArray(row)) {
-          rowValues = row
-        } else {
-          return
-        }
-
-        const enquiryNumber = rowValues[1] || ""
-        const columnCB = rowValues[79] // Column CB
-        const hasEnquiry = !isEmpty(enquiryNumber)
-
-        if (!hasEnquiry) return
-
-        const googleSheetsRowIndex = rowIndex + 1
-        const stableId = enquiryNumber
-          ? `enquiry_${enquiryNumber}_${googleSheetsRowIndex}`
-          : `row_${googleSheetsRowIndex}_${Math.random().toString(36).substring(2, 15)}`
-
-        const rowData = {
-          _id: stableId,
-          _rowIndex: googleSheetsRowIndex,
-          _enquiryNumber: enquiryNumber,
-          enquiryNumber: rowValues[1] || "",
-          beneficiaryName: rowValues[2] || "",
-          address: rowValues[3] || "",
-          contactNumber: rowValues[6] || "",
-          surveyorName: rowValues[29] || "",
-          surveyorContact: rowValues[30] || "",
-          orderCopy: rowValues[52] || "",
-          ipName: rowValues[56] || "",
-          ipContact: rowValues[57] || "",
-          gstNumber: rowValues[58] || "",
-          aadharCard: rowValues[61] || "",
-          panCard: rowValues[62] || "",
-          workOrderNumber: rowValues[63] || "",
-          workOrderCopy: rowValues[64] || "",
-          dispatchMaterial: rowValues[68] || "",
-          informToCustomer: rowValues[72] || "",
-          copyOfReceipt: rowValues[76] || "",
-          dateOfReceipt: formatDate(rowValues[77] || ""),
-          actual: rowValues[79] || "",
-          dateOfInstallation: formatDate(rowValues[81] || ""),
-          routing: rowValues[82] || "",
-          earthing: rowValues[83] || "",
-          baseFoundation: rowValues[84] || "",
-          wiring: rowValues[85] || "",
-          foundationPhoto: rowValues[86] || "",
-          afterInstallationPhoto: rowValues[87] || "",
-          photoWithCustomer: rowValues[88] || "",
-          completeInstallationPhoto: rowValues[89] || "",
-          inverterMake: rowValues[137] || "",
-          inverterCapacity: rowValues[138] || "",
-          moduleMake: rowValues[139] || "",
-          moduleCapacity: rowValues[140] || "",
-          moduleType: rowValues[141] || "",
-          structureMake: rowValues[142] || "",
-          investorId: rowValues[151] || "",
-          repeatedCertificate: rowValues[152] || "", // EW
-          projectCommissioningCertificate: rowValues[153] || "", // EX
-        }
-
-        const isColumnCBEmpty = isEmpty(columnCB)
-        if (isColumnCBEmpty) {
-          pending.push(rowData)
-        } else {
-          history.push(rowData)
-        }
-      })
-
-      setPendingData(pending)
-      setHistoryData(history)
-      setLoading(false)
-    } catch (error) {
-      console.error("Error fetching sheet data:", error)
-      setError("Failed to load Installation data: " + error.message)
-      setLoading(false)
-    }
-  }, [isEmpty, formatDate])
-
-  useEffect(() => {
-    fetchSheetData()
-    fetchDropdownOptions()
-  }, [fetchSheetData, fetchDropdownOptions])
+  const { pendingData, historyData, setPendingData, setHistoryData, loading, error } = useFmsStage(
+    CONFIG.APPS_SCRIPT_URL,
+    STAGE_QUERY,
+    toRecord,
+  )
 
   const filteredPendingData = useMemo(() => {
     return debouncedSearchTerm
@@ -373,129 +297,59 @@ function InstallationPage() {
       repeatedCertificate: { uploading: false, uploaded: !!record.repeatedCertificate, url: record.repeatedCertificate || "", error: null, name: record.repeatedCertificate ? "Existing Photo" : "", progress: 0 },
       projectCommissioningCertificate: { uploading: false, uploaded: !!record.projectCommissioningCertificate, url: record.projectCommissioningCertificate || "", error: null, name: record.projectCommissioningCertificate ? "Existing Photo" : "", progress: 0 },
     })
+    clearUploads()
+    clearGeotags()
     setShowInstallModal(true)
-  }, [formatDateForInput])
-
-  const compressImage = useCallback((file) => {
-    return new Promise((resolve) => {
-      // Skip if not an image or if it's a small SVG/GIF that might be corrupted by canvas
-      if (!file.type.startsWith("image/") || file.type.includes("svg") || file.type.includes("gif") || file.size < 1024 * 1024) {
-        resolve(file);
-        return;
-      }
-
-      const reader = new FileReader();
-      reader.readAsDataURL(file);
-      reader.onload = (e) => {
-        const img = new Image();
-        img.src = e.target.result;
-        img.onload = () => {
-          const canvas = document.createElement("canvas");
-          let width = img.width;
-          let height = img.height;
-
-          // Target high quality but reasonable dimensions for 4G/Mobile networks
-          const MAX_DIM = 2500;
-          if (width > height) {
-            if (width > MAX_DIM) {
-              height *= MAX_DIM / width;
-              width = MAX_DIM;
-            }
-          } else {
-            if (height > MAX_DIM) {
-              width *= MAX_DIM / height;
-              height = MAX_DIM;
-            }
-          }
-
-          canvas.width = width;
-          canvas.height = height;
-          const ctx = canvas.getContext("2d");
-          ctx.drawImage(img, 0, 0, width, height);
-
-          canvas.toBlob((blob) => {
-            if (!blob) {
-              resolve(file);
-              return;
-            }
-            const compressedFile = new File([blob], file.name, {
-              type: "image/jpeg",
-              lastModified: Date.now(),
-            });
-            console.log(`Optimized ${file.name}: ${(file.size / 1024 / 1024).toFixed(2)}MB -> ${(compressedFile.size / 1024 / 1024).toFixed(2)}MB`);
-            resolve(compressedFile);
-          }, "image/jpeg", 0.8);
-        };
-        img.onerror = () => resolve(file);
-      };
-      reader.onerror = () => resolve(file);
-    });
-  }, []);
-
-  const fileToBase64 = useCallback((file) => {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader()
-      reader.readAsDataURL(file)
-      reader.onload = () => resolve(reader.result)
-      reader.onerror = (error) => reject(error)
-    })
-  }, [])
+  }, [formatDateForInput, clearUploads, clearGeotags])
 
   const uploadImageToDrive = useCallback(
-    async (file, onProgress) => {
+    async (file, documentName, sequence, onProgress) => {
       try {
-        // Step 1: Optimize if it's a photo
+        // Read GPS position and capture time first: compressing drops the EXIF data
+        const { latitude, longitude, takenAt } = await readPhotoMetadata(file);
+        // Optimize if it's a photo, then send it in chunks so a dropped
+        // connection resumes instead of starting over
         const processedFile = await compressImage(file);
-
-        // Step 2: Check Payload Limits (GAS limit is ~50MB, base64 adds 33%)
-        if (processedFile.size > 35 * 1024 * 1024) {
-          throw new Error("File is too large for transmission. Please select a file smaller than 35MB.");
-        }
-
-        // Step 3: Convert to Base64
-        const base64Data = await fileToBase64(processedFile);
-
-        // Step 4: Transmit with progress monitoring
-        if (onProgress) onProgress(50);
-        const formData = new FormData();
-        formData.append("action", "uploadFile");
-        formData.append("base64Data", base64Data);
-        formData.append("fileName", `${selectedRecord._enquiryNumber}_${Date.now()}
-       .${processedFile.name.split(".").pop()}`);
-        formData.append("mimeType", processedFile.type);
-        formData.append("folderId", CONFIG.DRIVE_FOLDER_ID);
-        const response = await fetch(CONFIG.APPS_SCRIPT_URL, {
-          method: "POST",
-          body: formData,
+        const result = await upload(processedFile, {
+          fileName: processedFile.name,
+          folderId: CONFIG.DRIVE_FOLDER_ID,
+          enquiryNumber: selectedRecord._enquiryNumber,
+          stage: CONFIG.DOCUMENT_STAGE,
+          documentName,
+          sequence,
+          latitude,
+          longitude,
+          takenAt,
+          onProgress,
         });
-        const result = await response.json();
-        if (onProgress) onProgress(100);
-        if (result.success) {
-          return result.fileUrl;
-        } else {
-          throw new Error(result.error || "Upload failed. Please check your connection.");
-        }
-
+        return result.fileUrl;
       } catch (error) {
         console.error("Error uploading image:", error);
         throw error;
       }
     },
-    [selectedRecord, fileToBase64, compressImage],
+    [selectedRecord, upload],
   )
 
-  const handleFileUpload = useCallback((field, file) => {
-    if (!file) return;
+  // `files` is one File, or an array of them from a `multiple` photo input
+  const handleFileUpload = useCallback((field, files) => {
+    const selected = [].concat(files || []);
+    if (selected.length === 0) return;
 
-    // Only update the form state with the File object
-    setInstallForm((prev) => ({ ...prev, [field]: file }))
+    // Only update the form state with the File object(s)
+    setInstallForm((prev) => ({ ...prev, [field]: files }))
 
     // Update the professional upload status to show it's selected but not yet uploading
+    const name = selected.length > 1 ? `${selected.length} files` : selected[0].name
     setFileUploads(prev => ({
       ...prev,
-      [field]: { ...prev[field], uploading: false, uploaded: false, error: null, name: file.name, ready: true }
+      [field]: { ...prev[field], uploading: false, uploaded: false, error: null, name, ready: true }
     }))
-  }, [])
+
+    if (GEOTAGGED_FIELDS.includes(field)) {
+      inspectPhotos(field, selectedRecord._enquiryNumber, selected)
+    }
+  }, [selectedRecord, inspectPhotos])
 
   const UploadStatus = ({ field }) => {
     const status = fileUploads[field]
@@ -573,9 +427,9 @@ function InstallationPage() {
       const currentFileUploads = { ...fileUploads };
 
       for (const field of fieldsToUpload) {
-        const fileObj = installForm[field];
-        // Only upload if it's a new File object
-        if (fileObj && fileObj instanceof File) {
+        // Only upload if new File objects were picked
+        const files = [].concat(installForm[field] || []).filter((fileObj) => fileObj instanceof File);
+        if (files.length > 0) {
           // Update UI to show uploading
           setFileUploads(prev => ({
             ...prev,
@@ -583,19 +437,24 @@ function InstallationPage() {
           }));
 
           try {
-            const uploadedUrl = await uploadImageToDrive(fileObj, (percent) => {
-              setFileUploads(prev => ({
-                ...prev,
-                [field]: { ...prev[field], progress: percent }
+            const uploadedUrls = [];
+            for (const [index, fileObj] of files.entries()) {
+              // Photo sets are numbered: InstallationPhoto_1.jpg, _2, ...
+              const sequence = Array.isArray(installForm[field]) ? index + 1 : undefined;
+              uploadedUrls.push(await uploadImageToDrive(fileObj, CONFIG.DOCUMENT_NAMES[field], sequence, (percent) => {
+                setFileUploads(prev => ({
+                  ...prev,
+                  [field]: { ...prev[field], progress: Math.round((index * 100 + percent) / files.length) }
+                }));
               }));
-            });
+            }
             // Update local tracking
             currentFileUploads[field] = {
               uploading: false,
               uploaded: true,
-              url: uploadedUrl,
+              url: joinFileLinks(uploadedUrls),
               error: null,
-              name: fileObj.name,
+              name: files.length > 1 ? `${files.length} files` : files[0].name,
               ready: false,
               progress: 100
             };
@@ -621,46 +480,30 @@ function InstallationPage() {
       const repeatedCertificateUrl = currentFileUploads.repeatedCertificate.url
       const projectCommissioningCertificateUrl = currentFileUploads.projectCommissioningCertificate.url
 
-      // FIXED: Use null for columns we don't want to update
-      const rowData = Array(154).fill(null)
-
-      rowData[79] = actualDate // CB
-      rowData[81] = formatDate(installForm.dateOfInstallation) // CD
-      rowData[82] = installForm.routing // CE
-      rowData[83] = installForm.earthing // CF
-      rowData[84] = installForm.baseFoundation // CG
-      rowData[85] = installForm.wiring // CH
-      rowData[86] = foundationPhotoUrl // CI
-      rowData[87] = afterInstallationPhotoUrl // CJ
-      rowData[88] = photoWithCustomerUrl // CK
-      rowData[89] = completeInstallationPhotoUrl // CL
-
-      rowData[137] = installForm.inverterMake // EH
-      rowData[138] = installForm.inverterCapacity // EI
-      rowData[139] = installForm.moduleMake // EJ
-      rowData[140] = installForm.moduleCapacity // EK
-      rowData[141] = installForm.moduleType // EL
-      rowData[142] = installForm.structureMake // EM
-      rowData[151] = installForm.inverterId // EV
-      rowData[152] = repeatedCertificateUrl // EW
-      rowData[153] = projectCommissioningCertificateUrl // EX
-
-      const updateData = {
-        action: "update",
-        sheetName: CONFIG.SOURCE_SHEET_NAME,
-        rowIndex: selectedRecord._rowIndex,
-        rowData: JSON.stringify(rowData),
-      }
-
-      const response = await fetch(CONFIG.APPS_SCRIPT_URL, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/x-www-form-urlencoded",
-        },
-        body: new URLSearchParams(updateData).toString(),
-      })
-
-      const result = await response.json()
+      const fields = {}
+
+      fields.INSTALLATION_ACTUAL = actualDate
+      fields.INSTALLATION_DATE = formatDate(installForm.dateOfInstallation)
+      fields.ROUTING = installForm.routing
+      fields.EARTHING = installForm.earthing
+      fields.BASE_FOUNDATION = installForm.baseFoundation
+      fields.WIRING = installForm.wiring
+      fields.FOUNDATION_PHOTO = foundationPhotoUrl
+      fields.AFTER_INSTALLATION_PHOTO = afterInstallationPhotoUrl
+      fields.PHOTO_WITH_CUSTOMER = photoWithCustomerUrl
+      fields.COMPLETE_INSTALLATION_PHOTO = completeInstallationPhotoUrl
+
+      fields.INVERTER_MAKE = installForm.inverterMake
+      fields.INVERTER_CAPACITY = installForm.inverterCapacity
+      fields.MODULE_MAKE = installForm.moduleMake
+      fields.MODULE_CAPACITY = installForm.moduleCapacity
+      fields.MODULE_TYPE = installForm.moduleType
+      fields.STRUCTURE_MAKE = installForm.structureMake
+      fields.INVERTER_ID = installForm.inverterId
+      fields.REPEATED_CERTIFICATE = repeatedCertificateUrl
+      fields.COMMISSIONING_CERTIFICATE = projectCommissioningCertificateUrl
+
+      const result = await saveFields(selectedRecord, fields)
       if (result.success) {
         setSuccessMessage(`Installation completed successfully for Enquiry Number: ${selectedRecord._enquiryNumber}`)
         setShowInstallModal(false)
@@ -984,16 +827,18 @@ function InstallationPage() {
                       filteredHistoryData.map((record) => (
                         <tr key={record._id} className="hover:bg-gray-50">
                           <td className="px-2 py-3 whitespace-nowrap">
-                            <button
-                              onClick={() => handleInstallClick(record)}
-                              className="inline-flex items-center px-3 py-1 border border-transparent text-xs leading-4 font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors"
-                            >
-                              <Wrench className="h-3 w-3 mr-1" />
-                              Edit
-                            </button>
+                            {canEdit && (
+                              <button
+                                onClick={() => handleInstallClick(record)}
+                                className="inline-flex items-center px-3 py-1 border border-transparent text-xs leading-4 font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors"
+                              >
+                                <Wrench className="h-3 w-3 mr-1" />
+                                Edit
+                              </button>
+                            )}
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
-                            <div className="text-xs font-medium text-gray-900">{record.enquiryNumber || "—"}</div>
+                            <div className="text-xs font-medium text-gray-900">{record.enquiryNumber || "—"}<AuditHistoryButton enquiryNumber={record.enquiryNumber} onOpen={setHistoryEnquiry} /></div>
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             <div className="text-xs text-gray-900">{record.beneficiaryName || "—"}</div>
@@ -1020,15 +865,14 @@ function InstallationPage() {
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.copyOfReceipt ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.copyOfReceipt}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
@@ -1054,91 +898,63 @@ function InstallationPage() {
                             <div className="text-xs text-gray-900">{record.wiring || "—"}</div>
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
-                            {record.foundationPhoto ? (
-                              <a
-                                href={record.foundationPhoto}
-                                target="_blank"
-                                rel="noopener noreferrer"
-                                className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
-                              >
-                                <Eye className="h-3 w-3 mr-1" />
-                                View
-                              </a>
-                            ) : (
-                              <span className="text-gray-400 text-xs">—</span>
-                            )}
+                            <FileLinks scriptUrl={CONFIG.APPS_SCRIPT_URL} value={record.foundationPhoto} />
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.afterInstallationPhoto ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.afterInstallationPhoto}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.photoWithCustomer ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.photoWithCustomer}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
-                            {record.completeInstallationPhoto ? (
-                              <a
-                                href={record.completeInstallationPhoto}
-                                target="_blank"
-                                rel="noopener noreferrer"
-                                className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
-                              >
-                                <Eye className="h-3 w-3 mr-1" />
-                                View
-                              </a>
-                            ) : (
-                              <span className="text-gray-400 text-xs">—</span>
-                            )}
+                            <FileLinks scriptUrl={CONFIG.APPS_SCRIPT_URL} value={record.completeInstallationPhoto} />
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.repeatedCertificate ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.repeatedCertificate}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.projectCommissioningCertificate ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.projectCommissioningCertificate}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
@@ -1177,16 +993,18 @@ function InstallationPage() {
                     filteredPendingData.map((record) => (
                       <tr key={record._id} className="hover:bg-gray-50">
                         <td className="px-2 py-3 whitespace-nowrap">
-                          <button
-                            onClick={() => handleInstallClick(record)}
-                            className="inline-flex items-center px-3 py-1 border border-transparent text-xs leading-4 font-medium rounded-md text-white bg-linear-to-r from-green-500 to-blue-600 hover:from-green-600 hover:to-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 shadow-sm transition-all hover:scale-105 active:scale-95"
-                          >
-                            <Wrench className="h-3 w-3 mr-1" />
-                            Install
-                          </button>
+                          {canEdit && (
+                            <button
+                              onClick={() => handleInstallClick(record)}
+                              className="inline-flex items-center px-3 py-1 border border-transparent text-xs leading-4 font-medium rounded-md text-white bg-linear-to-r from-green-500 to-blue-600 hover:from-green-600 hover:to-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 shadow-sm transition-all hover:scale-105 active:scale-95"
+                            >
+                              <Wrench className="h-3 w-3 mr-1" />
+                              Install
+                            </button>
+                          )}
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
-                          <div className="text-xs font-medium text-blue-900">{record.enquiryNumber || "—"}</div>
+                          <div className="text-xs font-medium text-blue-900">{record.enquiryNumber || "—"}<AuditHistoryButton enquiryNumber={record.enquiryNumber} onOpen={setHistoryEnquiry} /></div>
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           <div className="text-xs text-gray-900 flex items-center">
@@ -1214,15 +1032,14 @@ function InstallationPage() {
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.orderCopy ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.orderCopy}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
@@ -1238,30 +1055,28 @@ function InstallationPage() {
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.aadharCard ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.aadharCard}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.panCard ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.panCard}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
@@ -1271,15 +1086,14 @@ function InstallationPage() {
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.workOrderCopy ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.workOrderCopy}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
@@ -1292,15 +1106,14 @@ function InstallationPage() {
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.copyOfReceipt ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.copyOfReceipt}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
@@ -1609,22 +1422,17 @@ function InstallationPage() {
                     <input
                       type="file"
                       accept="image/*"
-                      onChange={(e) => handleFileUpload("foundationPhoto", e.target.files[0])}
+                      multiple
+                      onChange={(e) => handleFileUpload("foundationPhoto", Array.from(e.target.files))}
                       className="w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
                     />
                     <UploadStatus field="foundationPhoto" />
+                    <GeotagNotice photos={geotags.foundationPhoto} />
 
                     {selectedRecord?.foundationPhoto && (
                       <div className="mt-2 flex items-center space-x-2">
                         <span className="text-xs text-gray-500">Existing:</span>
-                        <button
-                          type="button"
-                          onClick={() => window.open(selectedRecord.foundationPhoto, '_blank', 'noopener,noreferrer')}
-                          className="inline-flex items-center px-2 py-1 text-xs font-medium rounded-md text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 transition-colors"
-                        >
-                          <Eye className="h-3 w-3 mr-1" />
-                          Preview Image
-                        </button>
+                        <FileLinks scriptUrl={CONFIG.APPS_SCRIPT_URL} value={selectedRecord.foundationPhoto} />
                       </div>
                     )}
                   </div>
@@ -1648,7 +1456,7 @@ function InstallationPage() {
                         <span className="text-xs text-gray-500">Existing:</span>
                         <button
                           type="button"
-                          onClick={() => window.open(selectedRecord.afterInstallationPhoto, '_blank', 'noopener,noreferrer')}
+                          onClick={() => openDocument(CONFIG.APPS_SCRIPT_URL, selectedRecord.afterInstallationPhoto)}
                           className="inline-flex items-center px-2 py-1 text-xs font-medium rounded-md text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 transition-colors"
                         >
                           <Eye className="h-3 w-3 mr-1" />
@@ -1677,7 +1485,7 @@ function InstallationPage() {
                         <span className="text-xs text-gray-500">Existing:</span>
                         <button
                           type="button"
-                          onClick={() => window.open(selectedRecord.photoWithCustomer, '_blank', 'noopener,noreferrer')}
+                          onClick={() => openDocument(CONFIG.APPS_SCRIPT_URL, selectedRecord.photoWithCustomer)}
                           className="inline-flex items-center px-2 py-1 text-xs font-medium rounded-md text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 transition-colors"
                         >
                           <Eye className="h-3 w-3 mr-1" />
@@ -1696,22 +1504,17 @@ function InstallationPage() {
                     <input
                       type="file"
                       accept="image/*"
-                      onChange={(e) => handleFileUpload("completeInstallationPhoto", e.target.files[0])}
+                      multiple
+                      onChange={(e) => handleFileUpload("completeInstallationPhoto", Array.from(e.target.files))}
                       className="w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
                     />
                     <UploadStatus field="completeInstallationPhoto" />
+                    <GeotagNotice photos={geotags.completeInstallationPhoto} />
 
                     {selectedRecord?.completeInstallationPhoto && (
                       <div className="mt-2 flex items-center space-x-2">
                         <span className="text-xs text-gray-500">Existing:</span>
-                        <button
-                          type="button"
-                          onClick={() => window.open(selectedRecord.completeInstallationPhoto, '_blank', 'noopener,noreferrer')}
-                          className="inline-flex items-center px-2 py-1 text-xs font-medium rounded-md text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 transition-colors"
-                        >
-                          <Eye className="h-3 w-3 mr-1" />
-                          Preview Image
-                        </button>
+                        <FileLinks scriptUrl={CONFIG.APPS_SCRIPT_URL} value={selectedRecord.completeInstallationPhoto} />
                       </div>
                     )}
                   </div>
@@ -1735,7 +1538,7 @@ function InstallationPage() {
                         <span className="text-xs text-gray-500">Existing:</span>
                         <button
                           type="button"
-                          onClick={() => window.open(selectedRecord.repeatedCertificate, '_blank', 'noopener,noreferrer')}
+                          onClick={() => openDocument(CONFIG.APPS_SCRIPT_URL, selectedRecord.repeatedCertificate)}
                           className="inline-flex items-center px-2 py-1 text-xs font-medium rounded-md text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 transition-colors"
                         >
                           <Eye className="h-3 w-3 mr-1" />
@@ -1764,7 +1567,7 @@ function InstallationPage() {
                         <span className="text-xs text-gray-500">Existing:</span>
                         <button
                           type="button"
-                          onClick={() => window.open(selectedRecord.projectCommissioningCertificate, '_blank', 'noopener,noreferrer')}
+                          onClick={() => openDocument(CONFIG.APPS_SCRIPT_URL, selectedRecord.projectCommissioningCertificate)}
                           className="inline-flex items-center px-2 py-1 text-xs font-medium rounded-md text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 transition-colors"
                         >
                           <Eye className="h-3 w-3 mr-1" />
@@ -1775,6 +1578,8 @@ function InstallationPage() {
                   </div>
                 </div>
 
+                <UploadProgress uploads={uploads} />
+
                 {/* Action Buttons */}
                 <div className="flex justify-end space-x-4 mt-8 pt-4 border-t">
                   <button
@@ -1807,6 +1612,12 @@ function InstallationPage() {
           </div>
         )}
       </div>
+      <FmsConflictDialog conflict={conflict} onResolve={resolveConflict} />
+      <AuditHistoryDrawer
+        scriptUrl={CONFIG.APPS_SCRIPT_URL}
+        enquiryNumber={historyEnquiry}
+        onClose={() => setHistoryEnquiry(null)}
+      />
     </AdminLayout>
   )
 }
@@ -3,13 +3,21 @@
 import { useState, useEffect, useCallback, useMemo } from "react"
 import { CheckCircle2, X, Search, History, MapPin, Users, Phone, Eye, CreditCard, Calendar, Wrench, ShieldCheck, Loader2 } from "lucide-react"
 import AdminLayout from "../components/layout/AdminLayout"
+import { AuditHistoryButton, AuditHistoryDrawer } from "../components/AuditHistory"
+import FmsBatchResult from "../components/FmsBatchResult"
+import FmsConflictDialog from "../components/FmsConflictDialog"
+import { getFmsValue } from "../lib/fmsSchema"
+import { useFmsBatchSave } from "../lib/useFmsBatchSave"
+import { useFmsSave } from "../lib/useFmsSave"
+import { useDropdownOptions, useFmsStage } from "../lib/fmsCache"
+import { can } from "../lib/permissions"
+import { config } from "../lib/config"
 
 // Configuration object
 const CONFIG = {
-    APPS_SCRIPT_URL: "https://script.google.com/macros/s/AKfycbzF4JjwpmtgsurRYkORyZvQPvRGc06VuBMCJM00wFbOOtVsSyFiUJx5xtb1J0P5ooyf/exec",
-    SHEET_ID: "1Kp9eEqtQfesdie6l7XEuTZne6Md8_P8qzKfGFcHhpL4",
+    APPS_SCRIPT_URL: config.appsScriptUrl,
+    SHEET_ID: config.spreadsheetId,
     SOURCE_SHEET_NAME: "FMS",
-    DROPDOWN_SHEET_NAME: "Drop-Down Value",
     PAGE_CONFIG: {
         title: "Insurance",
         historyTitle: "Insurance History",
@@ -18,6 +26,20 @@ const CONFIG = {
     },
 }
 
+// Columns this page reads and the FMS rows that belong to this stage; the
+// backend splits them into pending and history on INSURANCE_ACTUAL.
+const STAGE_QUERY = {
+    fields: [
+        "ENQUIRY_NUMBER", "INSURANCE_STATUS", "INSURANCE_ACTUAL", "BENEFICIARY_NAME", "ADDRESS",
+        "CONTACT_NUMBER", "INSURANCE_DATE", "INSURANCE_REMARKS", "INSURANCE_FIELD_NAME", "INSURANCE_COMPANY",
+        "INSURANCE_PREMIUM", "INSURANCE_POLICY_NUMBER", "INSURANCE_POLICY_PERIOD", "INSURANCE_AADHAR_CARD",
+        "INSURANCE_TAX_INVOICE", "INSURANCE_ADDRESS_PROOF", "INSURANCE_COMMISSION", "INSURANCE_CERTIFICATE",
+        "PAYMENT_ACTUAL",
+    ],
+    filters: [{ field: "ENQUIRY_NUMBER", op: "notEmpty" }, { field: "INSURANCE_PLANNED", op: "notEmpty" }],
+    actualField: "INSURANCE_ACTUAL",
+}
+
 // Debounce hook
 function useDebounce(value, delay) {
     const [debouncedValue, setDebouncedValue] = useState(value)
@@ -29,12 +51,12 @@ function useDebounce(value, delay) {
 }
 
 function InsurancePage() {
-    const [pendingData, setPendingData] = useState([])
-    const [historyData, setHistoryData] = useState([])
-    const [dropdownOptions, setDropdownOptions] = useState([])
+    const { saveFields, conflict, resolveConflict } = useFmsSave(CONFIG.APPS_SCRIPT_URL)
+    const { submitBatch, retryFailed, batchResult, isRetrying, dismissBatchResult } = useFmsBatchSave(CONFIG.APPS_SCRIPT_URL)
+    const [historyEnquiry, setHistoryEnquiry] = useState(null)
+    const canEdit = can("insurance", "edit")
+    const dropdownOptions = useDropdownOptions(CONFIG.APPS_SCRIPT_URL, 7)
     const [searchTerm, setSearchTerm] = useState("")
-    const [loading, setLoading] = useState(true)
-    const [error, setError] = useState(null)
     const [showHistory, setShowHistory] = useState(false)
     const [isSubmitting, setIsSubmitting] = useState(false)
     const [successMessage, setSuccessMessage] = useState("")
@@ -85,87 +107,46 @@ function InsurancePage() {
         return str
     }, [])
 
-    const isEmpty = useCallback((value) => !value || (typeof value === "string" && value.trim() === ""), [])
-
-    const fetchDropdownOptions = useCallback(async () => {
-        try {
-            const response = await fetch(`${CONFIG.APPS_SCRIPT_URL}?sheet=${CONFIG.DROPDOWN_SHEET_NAME}&action=fetch`)
-            const data = await response.json()
-            const rows = data.table?.rows || data || []
-            const options = []
-            rows.forEach((row, idx) => {
-                if (idx >= 1) {
-                    const val = row.c ? row.c[7]?.v : row[7]
-                    if (!isEmpty(val)) options.push(val.toString())
-                }
-            })
-            setDropdownOptions(options)
-        } catch (e) {
-            console.error("Dropdown fetch error:", e)
-        }
-    }, [isEmpty])
-
-    const fetchSheetData = useCallback(async () => {
-        try {
-            setLoading(true)
-            await fetchDropdownOptions()
-            const response = await fetch(`${CONFIG.APPS_SCRIPT_URL}?sheet=${CONFIG.SOURCE_SHEET_NAME}&action=fetch`)
-            const data = await response.json()
-            const rows = data.table?.rows || data || []
-            const pending = []
-            const history = []
-
-            rows.forEach((row, rowIndex) => {
-                if (rowIndex < 6) return
-                const vals = row.c ? row.c.map(cell => cell?.v || "") : row
-                const enquiry = vals[1] || ""
-                if (isEmpty(enquiry)) return
-
-                const status = vals[131] || "" // Custom index for Insurance Status
-                const actual = vals[162] || "" // Custom index for Actual/Done Timestamp (FG)
-                const isReady = vals[161] || "" // Column FF (Ready Trigger)
-
-                const rowData = {
-                    _id: `enq_${enquiry}_${rowIndex + 1}`,
-                    _rowIndex: rowIndex + 1,
-                    enquiryNumber: enquiry,
-                    beneficiaryName: vals[2] || "",
-                    address: vals[3] || "",
-                    contactNumber: vals[6] || "",
-                    insuranceStatus: status,
-                    insuranceDate: formatDate(vals[168] || ""), // FM
-                    remarks: vals[134] || "",
-                    fieldName: vals[164] || "", // FI
-                    companyName: vals[165] || "", // FJ
-                    premiumAmount: vals[166] || "", // FK
-                    policyNo: vals[167] || "", // FL
-                    policyPeriod: vals[169] || "", // FN
-                    aadharCard: vals[170] === "OK", // FO
-                    taxInvoice: vals[171] === "OK", // FP
-                    addressProof: vals[172] === "OK", // FQ
-                    commission: vals[173] === "OK", // FR
-                    certificate: vals[174] === "OK", // FS
-                    actual: actual,
-                    planned: formatDate(vals[130] || "") // EA (Planned)
-                }
-
-                if (!isEmpty(actual) && !isEmpty(isReady)) {
-                    history.push(rowData)
-                } else if (isEmpty(actual) && !isEmpty(isReady)) {
-                    pending.push(rowData)
-                }
-            })
-
-            setPendingData(pending)
-            setHistoryData(history)
-        } catch (e) {
-            setError("Failed to load Insurance data")
-        } finally {
-            setLoading(false)
+    const toRecord = useCallback((row) => {
+        const fms = (key) => getFmsValue(row.values, key)
+
+        const enquiry = fms("ENQUIRY_NUMBER") || ""
+
+        const status = fms("INSURANCE_STATUS") || ""
+        const actual = fms("INSURANCE_ACTUAL") || ""
+
+        return {
+            _id: `enq_${enquiry}_${row.rowIndex}`,
+            _rowIndex: row.rowIndex,
+            _version: row.version,
+            enquiryNumber: enquiry,
+            beneficiaryName: fms("BENEFICIARY_NAME") || "",
+            address: fms("ADDRESS") || "",
+            contactNumber: fms("CONTACT_NUMBER") || "",
+            insuranceStatus: status,
+            insuranceDate: formatDate(fms("INSURANCE_DATE") || ""),
+            remarks: fms("INSURANCE_REMARKS") || "",
+            fieldName: fms("INSURANCE_FIELD_NAME") || "",
+            companyName: fms("INSURANCE_COMPANY") || "",
+            premiumAmount: fms("INSURANCE_PREMIUM") || "",
+            policyNo: fms("INSURANCE_POLICY_NUMBER") || "",
+            policyPeriod: fms("INSURANCE_POLICY_PERIOD") || "",
+            aadharCard: fms("INSURANCE_AADHAR_CARD") === "OK",
+            taxInvoice: fms("INSURANCE_TAX_INVOICE") === "OK",
+            addressProof: fms("INSURANCE_ADDRESS_PROOF") === "OK",
+            commission: fms("INSURANCE_COMMISSION") === "OK",
+            certificate: fms("INSURANCE_CERTIFICATE") === "OK",
+            actual: actual,
+            planned: formatDate(fms("PAYMENT_ACTUAL") || "")
         }
-    }, [isEmpty, fetchDropdownOptions, formatDate])
+    }, [formatDate])
 
-    useEffect(() => { fetchSheetData() }, [fetchSheetData])
+    const { pendingData, historyData, loading, refreshChanges } = useFmsStage(
+        CONFIG.APPS_SCRIPT_URL,
+        STAGE_QUERY,
+        toRecord,
+        { pollInterval: 0 },
+    )
 
     useEffect(() => {
         const s = {}, d = {}, r = {}
@@ -198,31 +179,20 @@ function InsurancePage() {
 
         setIsSubmitting(true)
         try {
-            const updates = ids.map(async id => {
+            const items = ids.map(id => {
                 const rec = [...pendingData, ...historyData].find(r => r._id === id)
                 const status = statusValues[id]
-                const rowData = Array(150).fill(null)
-                rowData[131] = status
-                rowData[133] = dateValues[id] ? formatDate(dateValues[id]) : ""
-                rowData[134] = remarksValues[id] || ""
-                rowData[132] = status === "Done" ? formatTimestamp() : ""
-
-                const response = await fetch(CONFIG.APPS_SCRIPT_URL, {
-                    method: "POST",
-                    headers: { "Content-Type": "application/x-www-form-urlencoded" },
-                    body: new URLSearchParams({
-                        action: "update",
-                        sheetName: CONFIG.SOURCE_SHEET_NAME,
-                        rowIndex: rec._rowIndex,
-                        rowData: JSON.stringify(rowData)
-                    })
-                })
-                return response.json()
-            })
-
-            await Promise.all(updates)
-            setSuccessMessage("Insurance records updated successfully")
-            fetchSheetData()
+                const fields = {}
+                fields.INSURANCE_STATUS = status
+                fields.INSURANCE_DATE = dateValues[id] ? formatDate(dateValues[id]) : ""
+                fields.INSURANCE_REMARKS = remarksValues[id] || ""
+                fields.INSURANCE_ACTUAL = status === "Done" ? formatTimestamp() : ""
+
+                return { record: rec, fields }
+            }).filter(item => item.record)
+
+            const written = await submitBatch(items)
+            if (written.length > 0) refreshChanges().catch((e) => console.error("Refresh error:", e))
             setSelectedRows({})
         } catch (e) {
             alert("Submission failed")
@@ -231,6 +201,11 @@ function InsurancePage() {
         }
     }
 
+    const handleRetryFailed = async () => {
+        const written = await retryFailed()
+        if (written.length > 0) refreshChanges().catch((e) => console.error("Refresh error:", e))
+    }
+
     const handleEditClick = useCallback((record) => {
         setSelectedRecord(record)
         setForm({
@@ -256,38 +231,27 @@ function InsurancePage() {
         try {
             // Default status to "Done" as this is a completion form
             const status = "Done"
-            const rowIndex = selectedRecord._rowIndex
-            const rowData = Array(200).fill(null)
-            rowData[131] = status
-            rowData[134] = form.remarks || ""
-            rowData[162] = formatTimestamp() // FG (Actual Timestamp)
-            rowData[164] = form.fieldName || "" // FI
-            rowData[165] = form.companyName || "" // FJ
-            rowData[166] = form.premiumAmount || "" // FK
-            rowData[167] = form.policyNo || "" // FL
-            rowData[168] = form.date ? formatDate(form.date) : "" // FM
-            rowData[169] = form.policyPeriod || "" // FN
-            rowData[170] = form.aadharCard ? "OK" : "" // FO
-            rowData[171] = form.taxInvoice ? "OK" : "" // FP
-            rowData[172] = form.addressProof ? "OK" : "" // FQ
-            rowData[173] = form.commission ? "OK" : "" // FR
-            rowData[174] = form.certificate ? "OK" : "" // FS
-
-            const response = await fetch(CONFIG.APPS_SCRIPT_URL, {
-                method: "POST",
-                headers: { "Content-Type": "application/x-www-form-urlencoded" },
-                body: new URLSearchParams({
-                    action: "update",
-                    sheetName: CONFIG.SOURCE_SHEET_NAME,
-                    rowIndex: rowIndex,
-                    rowData: JSON.stringify(rowData)
-                })
-            })
-            const result = await response.json()
+            const fields = {}
+            fields.INSURANCE_STATUS = status
+            fields.INSURANCE_REMARKS = form.remarks || ""
+            fields.INSURANCE_ACTUAL = formatTimestamp()
+            fields.INSURANCE_FIELD_NAME = form.fieldName || ""
+            fields.INSURANCE_COMPANY = form.companyName || ""
+            fields.INSURANCE_PREMIUM = form.premiumAmount || ""
+            fields.INSURANCE_POLICY_NUMBER = form.policyNo || ""
+            fields.INSURANCE_DATE = form.date ? formatDate(form.date) : ""
+            fields.INSURANCE_POLICY_PERIOD = form.policyPeriod || ""
+            fields.INSURANCE_AADHAR_CARD = form.aadharCard ? "OK" : ""
+            fields.INSURANCE_TAX_INVOICE = form.taxInvoice ? "OK" : ""
+            fields.INSURANCE_ADDRESS_PROOF = form.addressProof ? "OK" : ""
+            fields.INSURANCE_COMMISSION = form.commission ? "OK" : ""
+            fields.INSURANCE_CERTIFICATE = form.certificate ? "OK" : ""
+
+            const result = await saveFields(selectedRecord, fields)
             if (result.success) {
                 setSuccessMessage("Insurance record updated successfully")
                 setShowModal(false)
-                fetchSheetData()
+                refreshChanges().catch((e) => console.error("Refresh error:", e))
             } else {
                 throw new Error(result.error)
             }
@@ -349,8 +313,10 @@ function InsurancePage() {
                     </div>
                 )}
 
+                <FmsBatchResult result={batchResult} onRetry={handleRetryFailed} isRetrying={isRetrying} onDismiss={dismissBatchResult} />
+
                 {/* Bulk update UI hidden as checkboxes are removed */}
-                {Object.values(selectedRows).some(Boolean) && (
+                {canEdit && Object.values(selectedRows).some(Boolean) && (
                     <div className="p-4 bg-blue-50 border border-blue-100 rounded-md flex justify-between items-center shadow-sm">
                         <span className="text-sm font-medium text-blue-700">{Object.values(selectedRows).filter(Boolean).length} record(s) selected for bulk update</span>
                         <button onClick={handleSubmit} disabled={isSubmitting} className="bg-blue-600 text-white px-6 py-2 rounded-md hover:bg-blue-700 transition-all flex items-center shadow-md hover:shadow-lg disabled:opacity-50">
@@ -409,15 +375,17 @@ function InsurancePage() {
                                     filteredData.map(r => (
                                         <tr key={r._id} className="hover:bg-blue-50/30 transition-colors">
                                             <td className="px-4 py-3">
-                                                <button
-                                                    onClick={() => handleEditClick(r)}
-                                                    className="bg-blue-600 hover:bg-blue-700 text-white text-xs font-black py-1.5 px-3 rounded shadow-sm hover:shadow transition-all flex items-center"
-                                                >
-                                                    <Eye size={12} className="mr-1.5" />
-                                                    ACTION
-                                                </button>
+                                                {canEdit && (
+                                                    <button
+                                                        onClick={() => handleEditClick(r)}
+                                                        className="bg-blue-600 hover:bg-blue-700 text-white text-xs font-black py-1.5 px-3 rounded shadow-sm hover:shadow transition-all flex items-center"
+                                                    >
+                                                        <Eye size={12} className="mr-1.5" />
+                                                        ACTION
+                                                    </button>
+                                                )}
                                             </td>
-                                            <td className="px-3 py-4 font-bold text-blue-800 whitespace-nowrap text-xs">{r.enquiryNumber}</td>
+                                            <td className="px-3 py-4 font-bold text-blue-800 whitespace-nowrap text-xs">{r.enquiryNumber}<AuditHistoryButton enquiryNumber={r.enquiryNumber} onOpen={setHistoryEnquiry} /></td>
                                             <td className="px-3 py-4 text-gray-900 font-bold text-xs whitespace-nowrap">{r.beneficiaryName}</td>
                                             <td className="px-3 py-4 text-gray-800 font-bold text-xs whitespace-nowrap">{r.fieldName || "---"}</td>
                                             <td className="px-3 py-4 text-gray-800 font-bold text-xs whitespace-nowrap">{r.companyName || "---"}</td>
@@ -579,6 +547,12 @@ function InsurancePage() {
                     </div>
                 </div>
             )}
+            <FmsConflictDialog conflict={conflict} onResolve={resolveConflict} />
+            <AuditHistoryDrawer
+                scriptUrl={CONFIG.APPS_SCRIPT_URL}
+                enquiryNumber={historyEnquiry}
+                onClose={() => setHistoryEnquiry(null)}
+            />
         </AdminLayout>
     )
 }
@@ -1,136 +1,27 @@
 "use client"
 
-import { useState, useEffect } from "react"
-import { useNavigate } from "react-router-dom"
+import { useState } from "react"
+import { useLocation, useNavigate } from "react-router-dom"
 import { User, Lock, Eye, EyeOff, Zap } from "lucide-react"
+import { login } from "../lib/session"
+import { config } from "../lib/config"
+
+const CONFIG = {
+  APPS_SCRIPT_URL: config.appsScriptUrl,
+}
 
 const LoginPage = () => {
   const navigate = useNavigate()
-  const [isDataLoading, setIsDataLoading] = useState(false)
+  // Why the user was sent back here, e.g. a logout in another tab
+  const notice = useLocation().state?.message
   const [isLoginLoading, setIsLoginLoading] = useState(false)
   const [showPassword, setShowPassword] = useState(false)
-  const [masterData, setMasterData] = useState({
-    userCredentials: {}, // Object where keys are usernames and values are passwords
-    userRoles: {} // Object where keys are usernames and values are roles
-  })
   const [formData, setFormData] = useState({
     username: "",
     password: "",
   })
   const [toast, setToast] = useState({ show: false, message: "", type: "" })
 
-  // Function to check if a role is any variation of "inactive"
-  const isInactiveRole = (role) => {
-    if (!role) return false;
-
-    // Convert to lowercase
-    const normalizedRole = String(role).toLowerCase().trim();
-
-    // Check for different variations of "inactive" status
-    return normalizedRole === "inactive" ||
-      normalizedRole === "in active" ||
-      normalizedRole === "inactiv" ||
-      normalizedRole === "in activ";
-  }
-
-  // Fetch master data on component mount
-  useEffect(() => {
-    const fetchMasterData = async () => {
-      const SCRIPT_URL = "https://script.google.com/macros/s/AKfycbzF4JjwpmtgsurRYkORyZvQPvRGc06VuBMCJM00wFbOOtVsSyFiUJx5xtb1J0P5ooyf/exec"
-
-      try {
-        setIsDataLoading(true)
-
-        // Get the spreadsheet ID from your Apps Script
-        const SPREADSHEET_ID = "1Kp9eEqtQfesdie6l7XEuTZne6Md8_P8qzKfGFcHhpL4"
-
-        // Construct the URL to read the sheet data directly
-        const sheetUrl = `https://docs.google.com/spreadsheets/d/${SPREADSHEET_ID}/gviz/tq?tqx=out:json&sheet=master`
-
-        const response = await fetch(sheetUrl)
-        const text = await response.text()
-
-        // Parse the Google Sheets JSON response
-        const jsonString = text.substring(47).slice(0, -2) // Remove Google's wrapper
-        const data = JSON.parse(jsonString)
-
-        // Create userCredentials and userRoles objects from the sheet data
-        const userCredentials = {}
-        const userRoles = {}
-
-        // Process the data rows (skip header row if it exists)
-        if (data.table && data.table.rows) {
-          console.log("Raw sheet data:", data.table.rows);
-
-          // Start from index 1 to skip header row (adjust if needed)
-          for (let i = 1; i < data.table.rows.length; i++) {
-            const row = data.table.rows[i]
-
-            // Extract data from columns C, D, E (indices 2, 3, 4)
-            const username = row.c[2] ? String(row.c[2].v || '').trim().toLowerCase() : '';
-            const password = row.c[3] ? String(row.c[3].v || '').trim() : '';
-            const role = row.c[4] ? String(row.c[4].v || '').trim() : 'user';
-
-            console.log(`Processing row ${i}: username=${username}, password=${password}, role=${role}`);
-
-            // Only process if we have both username and password
-            if (username && password && password.trim() !== '') {
-              // Check if the role is any kind of inactive status
-              if (isInactiveRole(role)) {
-                console.log(`Skipping inactive user: ${username} with role: ${role}`);
-                continue; // Skip this user
-              }
-
-              // Store normalized role for comparison
-              const normalizedRole = role.toLowerCase();
-
-              // Store in our maps
-              userCredentials[username] = password;
-              userRoles[username] = normalizedRole;
-
-              console.log(`Added credential for: ${username}, Role: ${normalizedRole}`);
-            }
-          }
-        }
-
-        setMasterData({ userCredentials, userRoles })
-        console.log("Loaded credentials from master sheet:", Object.keys(userCredentials).length)
-        console.log("Credentials map:", userCredentials)
-        console.log("Roles map:", userRoles)
-
-        // Debug - check admin roles specifically
-        const adminUsers = Object.entries(userRoles)
-          .filter(([, role]) => role === 'admin')
-          .map(([username]) => username);
-        console.log("Admin users found:", adminUsers);
-
-      } catch (error) {
-        console.error("Error Fetching Master Data:", error)
-
-        // Fallback: Try the alternative method using your Apps Script
-        try {
-          console.log("Trying alternative method...");
-          const fallbackResponse = await fetch(SCRIPT_URL, {
-            method: 'GET'
-          })
-
-          if (fallbackResponse.ok) {
-            console.log("Apps Script is accessible, but getMasterData action needs to be implemented");
-            showToast("Unable to load user data. Please contact administrator.", "error")
-          }
-        } catch (fallbackError) {
-          console.error("Fallback also failed:", fallbackError);
-        }
-
-        showToast(`Network error: ${error.message}. Please try again later.`, "error")
-      } finally {
-        setIsDataLoading(false)
-      }
-    }
-
-    fetchMasterData()
-  }, [])
-
   const handleChange = (e) => {
     const { name, value } = e.target
     setFormData((prev) => ({ ...prev, [name]: value }))
@@ -144,68 +35,32 @@ const LoginPage = () => {
       const trimmedUsername = formData.username.trim().toLowerCase()
       const trimmedPassword = formData.password.trim()
 
-      console.log("Login Attempt Details:")
-      console.log("Entered Username:", trimmedUsername)
-      console.log("Entered Password:", trimmedPassword) // For debugging (remove in production)
-      console.log("Available Credentials Count:", Object.keys(masterData.userCredentials).length)
-      console.log("Current userCredentials:", masterData.userCredentials)
-      console.log("Current userRoles:", masterData.userRoles)
-
-      // Check if the username exists in our credentials map
-      if (trimmedUsername in masterData.userCredentials) {
-        const correctPassword = masterData.userCredentials[trimmedUsername]
-        const userRole = masterData.userRoles[trimmedUsername]
-
-        console.log("Found user in credentials map")
-        console.log("Expected Password:", correctPassword)
-        console.log("Password Match:", correctPassword === trimmedPassword)
-        console.log("User Role:", userRole)
-
-        // Check if password matches
-        if (correctPassword === trimmedPassword) {
-          // Store user info in sessionStorage
-          sessionStorage.setItem('username', trimmedUsername)
+      // The backend checks the password and answers a signed session token
+      const { username, role, mustChangePassword } = await login(CONFIG.APPS_SCRIPT_URL, trimmedUsername, trimmedPassword)
+      const isAdmin = role === "admin"
 
-          // Check if user is admin - explicitly compare with the string "admin"
-          const isAdmin = userRole === "admin";
-          console.log(`User ${trimmedUsername} is admin: ${isAdmin}`);
-
-          // Set role based on the fetched role
-          sessionStorage.setItem('role', isAdmin ? 'admin' : 'user')
-
-          // For admin users, we don't want to restrict by department
-          if (isAdmin) {
-            sessionStorage.setItem('department', 'all') // Admin sees all departments
-            sessionStorage.setItem('isAdmin', 'true') // Additional flag to ensure admin permissions
-            console.log("ADMIN LOGIN - Setting full access permissions");
-          } else {
-            sessionStorage.setItem('department', trimmedUsername)
-            sessionStorage.setItem('isAdmin', 'false')
-            console.log("USER LOGIN - Setting restricted access");
-          }
-
-          // Navigate to dashboard
-          navigate("/dashboard/admin")
-
-          showToast(`Login successful. Welcome, ${trimmedUsername}!`, "success")
-          return
-        } else {
-          showToast("Username or password is incorrect. Please try again.", "error")
-        }
+      // For admin users, we don't want to restrict by department
+      if (isAdmin) {
+        sessionStorage.setItem('department', 'all') // Admin sees all departments
+        sessionStorage.setItem('isAdmin', 'true') // Additional flag to ensure admin permissions
       } else {
-        showToast("Username or password is incorrect. Please try again.", "error")
+        sessionStorage.setItem('department', username)
+        sessionStorage.setItem('isAdmin', 'false')
+      }
+
+      // A temporary password from an admin is replaced first
+      if (mustChangePassword) {
+        navigate("/change-password")
+        return
       }
 
-      // If we got here, login failed
-      console.error("Login Failed", {
-        usernameExists: trimmedUsername in masterData.userCredentials,
-        passwordMatch: (trimmedUsername in masterData.userCredentials) ?
-          "Password did not match" : 'Username not found',
-        userRole: masterData.userRoles[trimmedUsername] || 'No role'
-      })
+      // Navigate to dashboard
+      navigate("/dashboard/admin")
+
+      showToast(`Login successful. Welcome, ${username}!`, "success")
     } catch (error) {
       console.error("Login Error:", error)
-      showToast(`Login failed: ${error.message}. Please try again.`, "error")
+      showToast(`${error.message}. Please try again.`, "error")
     } finally {
       setIsLoginLoading(false)
     }
@@ -230,6 +85,10 @@ const LoginPage = () => {
             <h1 className="text-3xl font-bold text-gray-800 mb-2">Market Mode</h1>
           </div>
 
+          {notice && (
+            <div className="mb-4 bg-blue-50 border border-blue-200 text-blue-700 px-3 py-2 rounded-lg text-sm">{notice}</div>
+          )}
+
           <form onSubmit={handleSubmit} className="space-y-4">
             <div className="space-y-2">
               <label htmlFor="username" className="block text-gray-700 text-sm font-medium">
@@ -287,18 +146,13 @@ const LoginPage = () => {
             <button
               type="submit"
               className="w-full py-3 px-4 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 text-white text-base font-semibold rounded-lg transition-all duration-200 transform hover:scale-105 disabled:opacity-50 disabled:transform-none shadow-lg mt-6"
-              disabled={isLoginLoading || isDataLoading}
+              disabled={isLoginLoading}
             >
               {isLoginLoading ? (
                 <div className="flex items-center justify-center">
                   <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white mr-2"></div>
                   Signing In...
                 </div>
-              ) : isDataLoading ? (
-                <div className="flex items-center justify-center">
-                  <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white mr-2"></div>
-                  Loading...
-                </div>
               ) : (
                 "Sign In"
               )}
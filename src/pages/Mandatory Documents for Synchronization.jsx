@@ -3,16 +3,32 @@
 import { useState, useEffect, useCallback, useMemo } from "react"
 import { CheckCircle2, X, Search, History, MapPin, Users, Phone, Eye, FileText, Wrench } from "lucide-react"
 import AdminLayout from "../components/layout/AdminLayout"
+import { AuditHistoryButton, AuditHistoryDrawer } from "../components/AuditHistory"
+import DocumentLink from "../components/DocumentLink"
+import FileLinks from "../components/FileLinks"
+import FmsConflictDialog from "../components/FmsConflictDialog"
+import UploadProgress from "../components/UploadProgress"
+import { getFmsValue } from "../lib/fmsSchema"
+import { useDriveUploads } from "../lib/driveUpload"
+import { openDocument } from "../lib/documentAccess"
+import { useFmsSave } from "../lib/useFmsSave"
+import { useFmsStage } from "../lib/fmsCache"
+import { can } from "../lib/permissions"
+import { config } from "../lib/config"
 
 // Configuration object
 const CONFIG = {
   // Updated Google Apps Script URL
-  APPS_SCRIPT_URL:
-    "https://script.google.com/macros/s/AKfycbzF4JjwpmtgsurRYkORyZvQPvRGc06VuBMCJM00wFbOOtVsSyFiUJx5xtb1J0P5ooyf/exec",
+  APPS_SCRIPT_URL: config.appsScriptUrl,
   // Updated Google Sheet ID
-  SHEET_ID: "1Kp9eEqtQfesdie6l7XEuTZne6Md8_P8qzKfGFcHhpL4",
+  SHEET_ID: config.spreadsheetId,
   // Updated Google Drive folder ID for file uploads
-  DRIVE_FOLDER_ID: "1FOIqdjF8-B4A7FCEt9EWl7qKeN3qybj7",
+  DRIVE_FOLDER_ID: config.driveFolders.mandatoryDocuments,
+  DOCUMENT_STAGE: "Synchronization Documents",
+  DOCUMENT_NAMES: {
+    powerPurchaseAgreement: "PowerPurchaseAgreement",
+    vendorConsumerAgreement: "VendorConsumerAgreement",
+  },
   // Sheet names
   SOURCE_SHEET_NAME: "FMS",
   // Updated page configuration
@@ -24,6 +40,21 @@ const CONFIG = {
   },
 }
 
+// Columns this page reads and the FMS rows that belong to this stage; the
+// backend splits them into pending and history on DOCUMENTS_ACTUAL.
+const STAGE_QUERY = {
+  fields: [
+    "ENQUIRY_NUMBER", "BENEFICIARY_NAME", "ADDRESS", "CONTACT_NUMBER", "SURVEYOR_NAME", "DISPATCH_STATUS",
+    "INFORM_STATUS", "RECEIPT_COPY", "RECEIPT_DATE", "INSTALLATION_DATE", "COMPLETE_INSTALLATION_PHOTO",
+    "INVOICE_NUMBER", "INVOICE_DATE", "DOCUMENTS_ACTUAL", "POWER_PURCHASE_AGREEMENT",
+    "VENDOR_CONSUMER_AGREEMENT", "DOC_QUOTATION_COPY", "DOC_APPLICATION_COPY", "DOC_FEASIBILITY_REPORT",
+    "DOC_SUBSIDY_TOKEN", "DOC_PAN_CARD", "DOC_AADHAR_CARD", "DOC_CANCELLED_CHEQUE", "DOC_ELECTRICITY_BILL",
+    "DOC_WITNESS_ID_PROOF",
+  ],
+  filters: [{ field: "ENQUIRY_NUMBER", op: "notEmpty" }],
+  actualField: "DOCUMENTS_ACTUAL",
+}
+
 // Debounce hook for search optimization
 function useDebounce(value, delay) {
   const [debouncedValue, setDebouncedValue] = useState(value)
@@ -42,11 +73,11 @@ function useDebounce(value, delay) {
 }
 
 function CSPDCLDocPage() {
-  const [pendingData, setPendingData] = useState([])
-  const [historyData, setHistoryData] = useState([])
+  const { saveFields, conflict, resolveConflict } = useFmsSave(CONFIG.APPS_SCRIPT_URL)
+  const { uploads, upload, clearUploads } = useDriveUploads(CONFIG.APPS_SCRIPT_URL)
+  const [historyEnquiry, setHistoryEnquiry] = useState(null)
+  const canEdit = can("documents", "edit")
   const [searchTerm, setSearchTerm] = useState("")
-  const [loading, setLoading] = useState(true)
-  const [error, setError] = useState(null)
   const [showHistory, setShowHistory] = useState(false)
   const [showDocModal, setShowDocModal] = useState(false)
   const [selectedRecord, setSelectedRecord] = useState(null)
@@ -117,131 +148,61 @@ function CSPDCLDocPage() {
     setUsername(user || "")
   }, [])
 
-  // Optimized data fetching with corrected column mappings
-  const fetchSheetData = useCallback(async () => {
-    try {
-      setLoading(true)
-      setError(null)
-
-      const response = await fetch(`${CONFIG.APPS_SCRIPT_URL}?sheet=${CONFIG.SOURCE_SHEET_NAME}&action=fetch`)
-
-      if (!response.ok) {
-        throw new Error(`Failed to fetch data: ${response.status}`)
-      }
-
-      const text = await response.text()
-      let data
-
-      try {
-        data = JSON.parse(text)
-      } catch (parseError) {
-        const jsonStart = text.indexOf("{")
-        const jsonEnd = text.lastIndexOf("}")
-        if (jsonStart !== -1 && jsonEnd !== -1) {
-          const jsonString = text.substring(jsonStart, jsonEnd + 1)
-          data = JSON.parse(jsonString)
-        } else {
-          throw new Error("Invalid JSON response from server")
-        }
-      }
-
-      const pending = []
-      const history = []
-      let rows = []
-
-      if (data.table && data.table.rows) {
-        rows = data.table.rows
-      } else if (Array.isArray(data)) {
-        rows = data
-      } else if (data.values) {
-        rows = data.values.map((row) => ({ c: row.map((val) => ({ v: val })) }))
-      }
-
-      rows.forEach((row, rowIndex) => {
-        // Skip header rows and only process from row 7 onwards (rowIndex 6 in 0-based indexing)
-        if (rowIndex < 6) return
-
-        let rowValues = []
-        if (row.c) {
-          rowValues = row.c.map((cell) => (cell && cell.v !== undefined ? cell.v : ""))
-        } else if (Array.isArray(row)) {
-          rowValues = row
-        } else {
-          return
-        }
-
-        // Condition: Enquiry Number (index 1) not null for both pending and history
-        // Column CU (index 98) null for pending, not null for history
-        const enquiryNumber = rowValues[1] || ""
-        const columnCU = rowValues[98] // Column CU
-
-        const hasEnquiry = !isEmpty(enquiryNumber)
-        if (!hasEnquiry) return // Skip if enquiry number is empty
-
-        const googleSheetsRowIndex = rowIndex + 1
-
-        const stableId = enquiryNumber
-          ? `enquiry_${enquiryNumber}_${googleSheetsRowIndex}`
-          : `row_${googleSheetsRowIndex}_${Math.random().toString(36).substring(2, 15)}`
-
-        const rowData = {
-          _id: stableId,
-          _rowIndex: googleSheetsRowIndex,
-          _enquiryNumber: enquiryNumber,
-
-          // Basic info columns with exact mappings as specified
-          enquiryNumber: rowValues[1] || "", // B
-          beneficiaryName: rowValues[2] || "", // C
-          address: rowValues[3] || "", // D
-          contactNumber: rowValues[6] || "", // G
-          surveyorName: rowValues[29] || "", // AD
-          dispatchMaterial: formatDate(rowValues[69] || ""), // BQ (column BQ is index 69, not 68)
-          informToCustomer: rowValues[72] || "", // BU
-          copyOfReceipt: rowValues[76] || "", // BY
-          dateOfReceipt: formatDate(rowValues[77] || ""), // BZ
-          dateOfInstallation: formatDate(rowValues[81] || ""), // CD
-          completeInstallationPhoto: rowValues[89] || "", // CL
-          consumerBillNumber: rowValues[93] || "", // CP
-          vendorBillNumber: rowValues[95] || "", // CR
-
-          // Document submission data - FIXED column mappings
-          actual: rowValues[98] || "", // CU - timestamp
-          powerPurchaseAgreement: rowValues[100] || "", // CW
-          vendorConsumerAgreement: rowValues[101] || "", // CX
-          quotationCopy: rowValues[102] || "", // CY
-          applicationCopy: rowValues[103] || "", // CZ
-          physibilityReport: rowValues[104] || "", // DA - FIXED: was 105, now 104
-          tokenForSubsidy: rowValues[105] || "", // DB - FIXED: was 106, now 105
-          panCard: rowValues[106] || "", // DC - FIXED: was 107, now 106
-          aadharCard: rowValues[107] || "", // DD - FIXED: was 108, now 107
-          cancellationCheque: rowValues[108] || "", // DE - FIXED: was 109, now 108
-          electricityBill: rowValues[109] || "", // DF - FIXED: was 110, now 109
-          witnessIdProof: rowValues[110] || "", // DG - FIXED: was 111, now 110
-        }
-
-        // Check if Column CU is null for pending, not null for history
-        const isColumnCUEmpty = isEmpty(columnCU)
-
-        if (isColumnCUEmpty) {
-          pending.push(rowData)
-        } else {
-          history.push(rowData)
-        }
-      })
-
-      setPendingData(pending)
-      setHistoryData(history)
-      setLoading(false)
-    } catch (error) {
-      console.error("Error fetching sheet data:", error)
-      setError("Failed to load CSPDCL Doc data: " + error.message)
-      setLoading(false)
+  const toRecord = useCallback((row) => {
+    const fms = (key) => getFmsValue(row.values, key)
+
+    const enquiryNumber = fms("ENQUIRY_NUMBER") || ""
+
+    const googleSheetsRowIndex = row.rowIndex
+
+    const stableId = enquiryNumber
+      ? `enquiry_${enquiryNumber}_${googleSheetsRowIndex}`
+      : `row_${googleSheetsRowIndex}_${Math.random().toString(36).substring(2, 15)}`
+
+    const rowData = {
+      _id: stableId,
+      _rowIndex: googleSheetsRowIndex,
+      _version: row.version,
+      _enquiryNumber: enquiryNumber,
+
+      // Basic info columns with exact mappings as specified
+      enquiryNumber: fms("ENQUIRY_NUMBER") || "",
+      beneficiaryName: fms("BENEFICIARY_NAME") || "",
+      address: fms("ADDRESS") || "",
+      contactNumber: fms("CONTACT_NUMBER") || "",
+      surveyorName: fms("SURVEYOR_NAME") || "",
+      dispatchMaterial: formatDate(fms("DISPATCH_STATUS") || ""),
+      informToCustomer: fms("INFORM_STATUS") || "",
+      copyOfReceipt: fms("RECEIPT_COPY") || "",
+      dateOfReceipt: formatDate(fms("RECEIPT_DATE") || ""),
+      dateOfInstallation: formatDate(fms("INSTALLATION_DATE") || ""),
+      completeInstallationPhoto: fms("COMPLETE_INSTALLATION_PHOTO") || "",
+      consumerBillNumber: fms("INVOICE_NUMBER") || "",
+      vendorBillNumber: fms("INVOICE_DATE") || "",
+
+      // Document submission data - FIXED column mappings
+      actual: fms("DOCUMENTS_ACTUAL") || "",
+      powerPurchaseAgreement: fms("POWER_PURCHASE_AGREEMENT") || "",
+      vendorConsumerAgreement: fms("VENDOR_CONSUMER_AGREEMENT") || "",
+      quotationCopy: fms("DOC_QUOTATION_COPY") || "",
+      applicationCopy: fms("DOC_APPLICATION_COPY") || "",
+      physibilityReport: fms("DOC_FEASIBILITY_REPORT") || "",
+      tokenForSubsidy: fms("DOC_SUBSIDY_TOKEN") || "",
+      panCard: fms("DOC_PAN_CARD") || "",
+      aadharCard: fms("DOC_AADHAR_CARD") || "",
+      cancellationCheque: fms("DOC_CANCELLED_CHEQUE") || "",
+      electricityBill: fms("DOC_ELECTRICITY_BILL") || "",
+      witnessIdProof: fms("DOC_WITNESS_ID_PROOF") || "",
     }
-  }, [isEmpty, formatDate])
 
-  useEffect(() => {
-    fetchSheetData()
-  }, [fetchSheetData])
+    return rowData
+  }, [formatDate])
+
+  const { pendingData, historyData, setPendingData, setHistoryData, loading, error } = useFmsStage(
+    CONFIG.APPS_SCRIPT_URL,
+    STAGE_QUERY,
+    toRecord,
+  )
 
   // Optimized filtered data with debounced search
   const filteredPendingData = useMemo(() => {
@@ -264,43 +225,23 @@ function CSPDCLDocPage() {
       : historyData
   }, [historyData, debouncedSearchTerm])
 
-  const fileToBase64 = useCallback((file) => {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader()
-      reader.readAsDataURL(file)
-      reader.onload = () => resolve(reader.result)
-      reader.onerror = (error) => reject(error)
-    })
-  }, [])
-
   const uploadImageToDrive = useCallback(
-    async (file) => {
+    async (file, documentName) => {
       try {
-        const base64Data = await fileToBase64(file)
-        const formData = new FormData()
-        formData.append("action", "uploadFile")
-        formData.append("base64Data", base64Data)
-        formData.append("fileName", `${selectedRecord._enquiryNumber}_doc_${Date.now()}.${file.name.split(".").pop()}`)
-        formData.append("mimeType", file.type)
-        formData.append("folderId", CONFIG.DRIVE_FOLDER_ID)
-
-        const response = await fetch(CONFIG.APPS_SCRIPT_URL, {
-          method: "POST",
-          body: formData,
+        const result = await upload(file, {
+          fileName: file.name,
+          folderId: CONFIG.DRIVE_FOLDER_ID,
+          enquiryNumber: selectedRecord._enquiryNumber,
+          stage: CONFIG.DOCUMENT_STAGE,
+          documentName,
         })
-
-        const result = await response.json()
-        if (result.success) {
-          return result.fileUrl
-        } else {
-          throw new Error("Failed to upload image")
-        }
+        return result.fileUrl
       } catch (error) {
         console.error("Error uploading image:", error)
         throw error
       }
     },
-    [selectedRecord, fileToBase64],
+    [selectedRecord, upload],
   )
 
   const handleDocClick = useCallback((record) => {
@@ -337,8 +278,9 @@ function CSPDCLDocPage() {
       }
     })
 
+    clearUploads()
     setShowDocModal(true)
-  }, [])
+  }, [clearUploads])
 
   const handleFileUpload = useCallback(async (field, file) => {
     if (!file) return
@@ -353,7 +295,7 @@ function CSPDCLDocPage() {
     }))
 
     try {
-      const url = await uploadImageToDrive(file)
+      const url = await uploadImageToDrive(file, CONFIG.DOCUMENT_NAMES[field])
       setFileUploads(prev => ({
         ...prev,
         [field]: { uploading: false, uploaded: true, url, error: null, name: file.name }
@@ -429,41 +371,27 @@ function CSPDCLDocPage() {
       const powerPurchaseAgreementUrl = fileUploads.powerPurchaseAgreement.url
       const vendorConsumerAgreementUrl = fileUploads.vendorConsumerAgreement.url
 
-      // FIXED: Use null for columns we don't want to update
-      // Initialize array with null values - only specified columns will be updated
-      const rowData = new Array(111).fill(null)
+      const fields = {}
 
       // Only set the document-related columns that need to be updated
       // Keep Column CT unchanged (this is what identifies the record)
       // rowData[97] = Column CT is NOT set here, so it remains unchanged
 
       // Add new document submission data with FIXED column mapping  
-      rowData[98] = actualDate // CU - Actual timestamp
-      rowData[100] = powerPurchaseAgreementUrl // CW - Power Purchase Agreement
-      rowData[101] = vendorConsumerAgreementUrl // CX - Vendor Consumer Agreement
-      rowData[102] = docForm.quotationCopy ? "OK" : "" // CY - Quotation Copy (store 'OK' or blank)
-      rowData[103] = docForm.applicationCopy ? "OK" : "" // CZ - Application Copy
-      rowData[104] = docForm.physibilityReport ? "OK" : "" // DA - FIXED: was 105, now 104
-      rowData[105] = docForm.tokenForSubsidy ? "OK" : "" // DB - FIXED: was 106, now 105
-      rowData[106] = docForm.panCard ? "OK" : "" // DC - FIXED: was 107, now 106
-      rowData[107] = docForm.aadharCard ? "OK" : "" // DD - FIXED: was 108, now 107
-      rowData[108] = docForm.cancellationCheque ? "OK" : "" // DE - FIXED: was 109, now 108
-      rowData[109] = docForm.electricityBill ? "OK" : "" // DF - FIXED: was 110, now 109
-      rowData[110] = docForm.witnessIdProof ? "OK" : "" // DG - FIXED: was 111, now 110
-
-      // Prepare update data using existing update action
-      const updateData = new FormData()
-      updateData.append("action", "update")
-      updateData.append("sheetName", CONFIG.SOURCE_SHEET_NAME)
-      updateData.append("rowIndex", selectedRecord._rowIndex.toString())
-      updateData.append("rowData", JSON.stringify(rowData))
-
-      const response = await fetch(CONFIG.APPS_SCRIPT_URL, {
-        method: "POST",
-        body: updateData,
-      })
-
-      const result = await response.json()
+      fields.DOCUMENTS_ACTUAL = actualDate
+      fields.POWER_PURCHASE_AGREEMENT = powerPurchaseAgreementUrl
+      fields.VENDOR_CONSUMER_AGREEMENT = vendorConsumerAgreementUrl
+      fields.DOC_QUOTATION_COPY = docForm.quotationCopy ? "OK" : ""
+      fields.DOC_APPLICATION_COPY = docForm.applicationCopy ? "OK" : ""
+      fields.DOC_FEASIBILITY_REPORT = docForm.physibilityReport ? "OK" : ""
+      fields.DOC_SUBSIDY_TOKEN = docForm.tokenForSubsidy ? "OK" : ""
+      fields.DOC_PAN_CARD = docForm.panCard ? "OK" : ""
+      fields.DOC_AADHAR_CARD = docForm.aadharCard ? "OK" : ""
+      fields.DOC_CANCELLED_CHEQUE = docForm.cancellationCheque ? "OK" : ""
+      fields.DOC_ELECTRICITY_BILL = docForm.electricityBill ? "OK" : ""
+      fields.DOC_WITNESS_ID_PROOF = docForm.witnessIdProof ? "OK" : ""
+
+      const result = await saveFields(selectedRecord, fields)
 
       if (result.success) {
         setSuccessMessage(
@@ -724,16 +652,18 @@ function CSPDCLDocPage() {
                       filteredHistoryData.map((record) => (
                         <tr key={record._id} className="hover:bg-gray-50">
                           <td className="px-2 py-3 whitespace-nowrap">
-                            <button
-                              onClick={() => handleDocClick(record)}
-                              className="inline-flex items-center px-3 py-1 border border-transparent text-xs leading-4 font-medium rounded-md text-white bg-linear-to-r from-blue-500 to-indigo-600 hover:from-blue-600 hover:to-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
-                            >
-                              <Wrench className="h-3 w-3 mr-1" />
-                              Edit
-                            </button>
+                            {canEdit && (
+                              <button
+                                onClick={() => handleDocClick(record)}
+                                className="inline-flex items-center px-3 py-1 border border-transparent text-xs leading-4 font-medium rounded-md text-white bg-linear-to-r from-blue-500 to-indigo-600 hover:from-blue-600 hover:to-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                              >
+                                <Wrench className="h-3 w-3 mr-1" />
+                                Edit
+                              </button>
+                            )}
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
-                            <div className="text-xs text-gray-900">{record.enquiryNumber || "—"}</div>
+                            <div className="text-xs text-gray-900">{record.enquiryNumber || "—"}<AuditHistoryButton enquiryNumber={record.enquiryNumber} onOpen={setHistoryEnquiry} /></div>
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             <div className="text-xs text-gray-900">{record.beneficiaryName || "—"}</div>
@@ -749,30 +679,28 @@ function CSPDCLDocPage() {
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.powerPurchaseAgreement ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.powerPurchaseAgreement}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.vendorConsumerAgreement ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.vendorConsumerAgreement}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
@@ -817,16 +745,18 @@ function CSPDCLDocPage() {
                     filteredPendingData.map((record) => (
                       <tr key={record._id} className="hover:bg-gray-50">
                         <td className="px-2 py-3 whitespace-nowrap">
-                          <button
-                            onClick={() => handleDocClick(record)}
-                            className="inline-flex items-center px-3 py-1 border border-transparent text-xs leading-4 font-medium rounded-md text-white bg-linear-to-r from-green-500 to-blue-600 hover:from-green-600 hover:to-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
-                          >
-                            <FileText className="h-3 w-3 mr-1" />
-                            Doc
-                          </button>
+                          {canEdit && (
+                            <button
+                              onClick={() => handleDocClick(record)}
+                              className="inline-flex items-center px-3 py-1 border border-transparent text-xs leading-4 font-medium rounded-md text-white bg-linear-to-r from-green-500 to-blue-600 hover:from-green-600 hover:to-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
+                            >
+                              <FileText className="h-3 w-3 mr-1" />
+                              Doc
+                            </button>
+                          )}
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
-                          <div className="text-xs font-medium text-blue-900">{record.enquiryNumber || "—"}</div>
+                          <div className="text-xs font-medium text-blue-900">{record.enquiryNumber || "—"}<AuditHistoryButton enquiryNumber={record.enquiryNumber} onOpen={setHistoryEnquiry} /></div>
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           <div className="text-xs text-gray-900 flex items-center">
@@ -857,15 +787,14 @@ function CSPDCLDocPage() {
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.copyOfReceipt ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.copyOfReceipt}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
@@ -877,19 +806,7 @@ function CSPDCLDocPage() {
                           <div className="text-xs text-gray-900">{record.dateOfInstallation || "—"}</div>
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
-                          {record.completeInstallationPhoto ? (
-                            <a
-                              href={record.completeInstallationPhoto}
-                              target="_blank"
-                              rel="noopener noreferrer"
-                              className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
-                            >
-                              <Eye className="h-3 w-3 mr-1" />
-                              View
-                            </a>
-                          ) : (
-                            <span className="text-gray-400 text-xs">—</span>
-                          )}
+                          <FileLinks scriptUrl={CONFIG.APPS_SCRIPT_URL} value={record.completeInstallationPhoto} />
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           <div className="text-xs text-gray-900">{record.consumerBillNumber || "—"}</div>
@@ -983,7 +900,7 @@ function CSPDCLDocPage() {
                         <span className="text-xs text-gray-500 font-medium italic">Existing Doc:</span>
                         <button
                           type="button"
-                          onClick={() => window.open(selectedRecord.powerPurchaseAgreement, "_blank", "noopener,noreferrer")}
+                          onClick={() => openDocument(CONFIG.APPS_SCRIPT_URL, selectedRecord.powerPurchaseAgreement)}
                           className="inline-flex items-center px-2 py-1 text-xs font-medium rounded-md text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 transition-colors"
                         >
                           <Eye className="h-3 w-3 mr-1" />
@@ -1012,7 +929,7 @@ function CSPDCLDocPage() {
                         <span className="text-xs text-gray-500 font-medium italic">Existing Doc:</span>
                         <button
                           type="button"
-                          onClick={() => window.open(selectedRecord.vendorConsumerAgreement, "_blank", "noopener,noreferrer")}
+                          onClick={() => openDocument(CONFIG.APPS_SCRIPT_URL, selectedRecord.vendorConsumerAgreement)}
                           className="inline-flex items-center px-2 py-1 text-xs font-medium rounded-md text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 transition-colors"
                         >
                           <Eye className="h-3 w-3 mr-1" />
@@ -1141,6 +1058,8 @@ function CSPDCLDocPage() {
                   </div>
                 </div>
 
+                <UploadProgress uploads={uploads} />
+
                 {/* Action Buttons */}
                 <div className="flex justify-end space-x-4 mt-8 pt-4 border-t">
                   <button
@@ -1177,6 +1096,12 @@ function CSPDCLDocPage() {
           </div>
         )}
       </div>
+      <FmsConflictDialog conflict={conflict} onResolve={resolveConflict} />
+      <AuditHistoryDrawer
+        scriptUrl={CONFIG.APPS_SCRIPT_URL}
+        enquiryNumber={historyEnquiry}
+        onClose={() => setHistoryEnquiry(null)}
+      />
     </AdminLayout>
   )
 }
@@ -3,16 +3,30 @@
 import { useState, useEffect, useCallback, useMemo } from "react"
 import { CheckCircle2, X, Search, History, MapPin, Users, Phone, Eye, Package, Wrench } from "lucide-react"
 import AdminLayout from "../components/layout/AdminLayout"
+import { AuditHistoryButton, AuditHistoryDrawer } from "../components/AuditHistory"
+import DocumentLink from "../components/DocumentLink"
+import FmsConflictDialog from "../components/FmsConflictDialog"
+import UploadProgress from "../components/UploadProgress"
+import { getFmsValue } from "../lib/fmsSchema"
+import { useDriveUploads } from "../lib/driveUpload"
+import { openDocument } from "../lib/documentAccess"
+import { useFmsSave } from "../lib/useFmsSave"
+import { useFmsStage } from "../lib/fmsCache"
+import { can } from "../lib/permissions"
+import { config } from "../lib/config"
 
 // Configuration object
 const CONFIG = {
   // Updated Google Apps Script URL
-  APPS_SCRIPT_URL:
-    "https://script.google.com/macros/s/AKfycbzF4JjwpmtgsurRYkORyZvQPvRGc06VuBMCJM00wFbOOtVsSyFiUJx5xtb1J0P5ooyf/exec",
+  APPS_SCRIPT_URL: config.appsScriptUrl,
   // Updated Google Drive folder ID for file uploads
-  DRIVE_FOLDER_ID: "1A1-QDgKUGl8Chy5wPFXdFxM7-_OKYmg1",
+  DRIVE_FOLDER_ID: config.driveFolders.materialReceived,
+  DOCUMENT_STAGE: "Material Received",
+  DOCUMENT_NAMES: {
+    copyOfReceipt: "MaterialReceipt",
+  },
   // Sheet configuration
-  SHEET_ID: "1Kp9eEqtQfesdie6l7XEuTZne6Md8_P8qzKfGFcHhpL4",
+  SHEET_ID: config.spreadsheetId,
   SOURCE_SHEET_NAME: "FMS",
   // Updated page configuration
   PAGE_CONFIG: {
@@ -23,6 +37,19 @@ const CONFIG = {
   },
 }
 
+// Columns this page reads and the FMS rows that belong to this stage; the
+// backend splits them into pending and history on RECEIPT_ACTUAL.
+const STAGE_QUERY = {
+  fields: [
+    "ENQUIRY_NUMBER", "BENEFICIARY_NAME", "ADDRESS", "VILLAGE_BLOCK", "DISTRICT", "CONTACT_NUMBER",
+    "SURVEYOR_NAME", "SURVEYOR_CONTACT", "ORDER_COPY", "IP_NAME", "IP_CONTACT", "IP_GST_NUMBER",
+    "IP_GST_CERTIFICATE", "IP_BANK_DETAILS", "IP_AADHAR_CARD", "IP_PAN_CARD", "WORK_ORDER_NUMBER",
+    "WORK_ORDER_COPY", "DISPATCH_STATUS", "INFORM_STATUS", "RECEIPT_ACTUAL", "RECEIPT_COPY", "RECEIPT_DATE",
+  ],
+  filters: [{ field: "ENQUIRY_NUMBER", op: "notEmpty" }],
+  actualField: "RECEIPT_ACTUAL",
+}
+
 // Debounce hook for search optimization
 function useDebounce(value, delay) {
   const [debouncedValue, setDebouncedValue] = useState(value)
@@ -41,11 +68,11 @@ function useDebounce(value, delay) {
 }
 
 function MaterialReceivedSitePage() {
-  const [pendingData, setPendingData] = useState([])
-  const [historyData, setHistoryData] = useState([])
+  const { saveFields, conflict, resolveConflict } = useFmsSave(CONFIG.APPS_SCRIPT_URL)
+  const { uploads, upload, clearUploads } = useDriveUploads(CONFIG.APPS_SCRIPT_URL)
+  const [historyEnquiry, setHistoryEnquiry] = useState(null)
+  const canEdit = can("receipt", "edit")
   const [searchTerm, setSearchTerm] = useState("")
-  const [loading, setLoading] = useState(true)
-  const [error, setError] = useState(null)
   const [showHistory, setShowHistory] = useState(false)
   const [showReceiptModal, setShowReceiptModal] = useState(false)
   const [selectedRecord, setSelectedRecord] = useState(null)
@@ -131,125 +158,56 @@ function MaterialReceivedSitePage() {
     setUsername(user || "")
   }, [])
 
-  // Optimized data fetching
-  const fetchSheetData = useCallback(async () => {
-    try {
-      setLoading(true)
-      setError(null)
-
-      const response = await fetch(`${CONFIG.APPS_SCRIPT_URL}?sheet=${CONFIG.SOURCE_SHEET_NAME}&action=fetch`)
-
-      if (!response.ok) {
-        throw new Error(`Failed to fetch data: ${response.status}`)
-      }
-
-      const text = await response.text()
-      let data
-
-      try {
-        data = JSON.parse(text)
-      } catch (parseError) {
-        const jsonStart = text.indexOf("{")
-        const jsonEnd = text.lastIndexOf("}")
-        if (jsonStart !== -1 && jsonEnd !== -1) {
-          const jsonString = text.substring(jsonStart, jsonEnd + 1)
-          data = JSON.parse(jsonString)
-        } else {
-          throw new Error("Invalid JSON response from server")
-        }
-      }
-
-      const pending = []
-      const history = []
-      let rows = []
-
-      if (data.table && data.table.rows) {
-        rows = data.table.rows
-      } else if (Array.isArray(data)) {
-        rows = data
-      } else if (data.values) {
-        rows = data.values.map((row) => ({ c: row.map((val) => ({ v: val })) }))
-      }
-
-      rows.forEach((row, rowIndex) => {
-        // Skip header rows and only process from row 7 onwards (rowIndex 6 in 0-based indexing)
-        if (rowIndex < 6) return
-
-        let rowValues = []
-        if (row.c) {
-          rowValues = row.c.map((cell) => (cell && cell.v !== undefined ? cell.v : ""))
-        } else if (Array.isArray(row)) {
-          rowValues = row
-        } else {
-          return
-        }
-
-        // Check conditions: Enquiry Number (index 1) not null and Column BW (index 74)
-        const enquiryNumber = rowValues[1] || ""
-        const columnBW = rowValues[74] // Column BW
-
-        const hasEnquiry = !isEmpty(enquiryNumber)
-        if (!hasEnquiry) return // Skip if enquiry number is empty
-
-        const googleSheetsRowIndex = rowIndex + 1
-        const stableId = enquiryNumber
-          ? `enquiry_${enquiryNumber}_${googleSheetsRowIndex}`
-          : `row_${googleSheetsRowIndex}_${Math.random().toString(36).substring(2, 15)}`
-
-        const rowData = {
-          _id: stableId,
-          _rowIndex: googleSheetsRowIndex,
-          _enquiryNumber: enquiryNumber,
-          // Basic info columns - Updated column mappings
-          enquiryNumber: rowValues[1] || "", // B
-          beneficiaryName: rowValues[2] || "", // C
-          address: rowValues[3] || "", // D
-          villageBlock: rowValues[4] || "", // E
-          district: rowValues[5] || "", // F
-          contactNumber: rowValues[6] || "", // G
-          surveyorName: rowValues[29] || "", // AD
-          surveyorContact: rowValues[30] || "", // AE
-          orderCopy: rowValues[52] || "", // BA
-          ipName: rowValues[56] || "", // BE
-          ipContact: rowValues[57] || "", // BF
-          gstNumber: rowValues[58] || "", // BG
-          gstCertificates: rowValues[59] || "", // BH - Added GST Certificates
-          bankAccountDetails: rowValues[60] || "", // BI - Fixed index
-          aadharCard: rowValues[61] || "", // BJ - Fixed index
-          panCard: rowValues[62] || "", // BK - Fixed index
-          workOrderNumber: rowValues[63] || "", // BL - Fixed index
-          workOrderCopy: rowValues[64] || "", // BM - Fixed index
-          dispatchMaterial: rowValues[68] || "", // BQ - Fixed index
-          informToCustomer: rowValues[72] || "", // BU - Fixed index
-          // Material Receipt specific columns
-          actual: rowValues[74] || "", // BW - Fixed index
-          copyOfReceipt: rowValues[76] || "", // BY - Fixed index
-          dateOfReceipt: formatDate(rowValues[77] || ""), // BZ - Fixed index
-        }
-
-        // Check if Column BW is null for pending, not null for history
-        const isColumnBWEmpty = isEmpty(columnBW)
-
-        if (isColumnBWEmpty) {
-          pending.push(rowData)
-        } else {
-          history.push(rowData)
-        }
-      })
-
-      setPendingData(pending)
-      setHistoryData(history)
-      setLoading(false)
-    } catch (error) {
-      console.error("Error fetching sheet data:", error)
-      setError("Failed to load Material Receipt data: " + error.message)
-      setLoading(false)
+  const toRecord = useCallback((row) => {
+    const fms = (key) => getFmsValue(row.values, key)
+
+    const enquiryNumber = fms("ENQUIRY_NUMBER") || ""
+
+    const googleSheetsRowIndex = row.rowIndex
+    const stableId = enquiryNumber
+      ? `enquiry_${enquiryNumber}_${googleSheetsRowIndex}`
+      : `row_${googleSheetsRowIndex}_${Math.random().toString(36).substring(2, 15)}`
+
+    const rowData = {
+      _id: stableId,
+      _rowIndex: googleSheetsRowIndex,
+      _version: row.version,
+      _enquiryNumber: enquiryNumber,
+      // Basic info columns - Updated column mappings
+      enquiryNumber: fms("ENQUIRY_NUMBER") || "",
+      beneficiaryName: fms("BENEFICIARY_NAME") || "",
+      address: fms("ADDRESS") || "",
+      villageBlock: fms("VILLAGE_BLOCK") || "",
+      district: fms("DISTRICT") || "",
+      contactNumber: fms("CONTACT_NUMBER") || "",
+      surveyorName: fms("SURVEYOR_NAME") || "",
+      surveyorContact: fms("SURVEYOR_CONTACT") || "",
+      orderCopy: fms("ORDER_COPY") || "",
+      ipName: fms("IP_NAME") || "",
+      ipContact: fms("IP_CONTACT") || "",
+      gstNumber: fms("IP_GST_NUMBER") || "",
+      gstCertificates: fms("IP_GST_CERTIFICATE") || "",
+      bankAccountDetails: fms("IP_BANK_DETAILS") || "",
+      aadharCard: fms("IP_AADHAR_CARD") || "",
+      panCard: fms("IP_PAN_CARD") || "",
+      workOrderNumber: fms("WORK_ORDER_NUMBER") || "",
+      workOrderCopy: fms("WORK_ORDER_COPY") || "",
+      dispatchMaterial: fms("DISPATCH_STATUS") || "",
+      informToCustomer: fms("INFORM_STATUS") || "",
+      // Material Receipt specific columns
+      actual: fms("RECEIPT_ACTUAL") || "",
+      copyOfReceipt: fms("RECEIPT_COPY") || "",
+      dateOfReceipt: formatDate(fms("RECEIPT_DATE") || ""),
     }
-  }, [isEmpty, formatDate])
 
-  useEffect(() => {
-    fetchSheetData()
-  }, [fetchSheetData])
+    return rowData
+  }, [formatDate])
+
+  const { pendingData, historyData, setPendingData, setHistoryData, loading, error } = useFmsStage(
+    CONFIG.APPS_SCRIPT_URL,
+    STAGE_QUERY,
+    toRecord,
+  )
 
   // Optimized filtered data with debounced search
   const filteredPendingData = useMemo(() => {
@@ -272,46 +230,23 @@ function MaterialReceivedSitePage() {
       : historyData
   }, [historyData, debouncedSearchTerm])
 
-  const fileToBase64 = useCallback((file) => {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader()
-      reader.readAsDataURL(file)
-      reader.onload = () => resolve(reader.result)
-      reader.onerror = (error) => reject(error)
-    })
-  }, [])
-
   const uploadImageToDrive = useCallback(
-    async (file) => {
+    async (file, documentName) => {
       try {
-        const base64Data = await fileToBase64(file)
-        const formData = new FormData()
-        formData.append("action", "uploadFile")
-        formData.append("base64Data", base64Data)
-        formData.append(
-          "fileName",
-          `${selectedRecord._enquiryNumber}_receipt_${Date.now()}.${file.name.split(".").pop()}`,
-        )
-        formData.append("mimeType", file.type)
-        formData.append("folderId", CONFIG.DRIVE_FOLDER_ID)
-
-        const response = await fetch(CONFIG.APPS_SCRIPT_URL, {
-          method: "POST",
-          body: formData,
+        const result = await upload(file, {
+          fileName: file.name,
+          folderId: CONFIG.DRIVE_FOLDER_ID,
+          enquiryNumber: selectedRecord._enquiryNumber,
+          stage: CONFIG.DOCUMENT_STAGE,
+          documentName,
         })
-
-        const result = await response.json()
-        if (result.success) {
-          return result.fileUrl
-        } else {
-          throw new Error("Failed to upload image")
-        }
+        return result.fileUrl
       } catch (error) {
         console.error("Error uploading image:", error)
         throw error
       }
     },
-    [selectedRecord, fileToBase64],
+    [selectedRecord, upload],
   )
 
   const handleAtSiteClick = useCallback((record) => {
@@ -332,8 +267,9 @@ function MaterialReceivedSitePage() {
       }
     })
 
+    clearUploads()
     setShowReceiptModal(true)
-  }, [formatDateForInput])
+  }, [formatDateForInput, clearUploads])
 
   const handleFileUpload = useCallback(async (field, file) => {
     if (!file) return
@@ -348,7 +284,7 @@ function MaterialReceivedSitePage() {
     }))
 
     try {
-      const url = await uploadImageToDrive(file)
+      const url = await uploadImageToDrive(file, CONFIG.DOCUMENT_NAMES[field])
       setFileUploads(prev => ({
         ...prev,
         [field]: { uploading: false, uploaded: true, url, error: null, name: file.name }
@@ -422,30 +358,13 @@ function MaterialReceivedSitePage() {
       // Format date for storage
       const formattedDate = formatDateForDisplay(receiptForm.dateOfReceipt)
 
-      // Prepare update data with correct column indices
-      // FIXED: Use null for columns we don't want to update
-      const rowData = Array(78).fill(null)
-
-      rowData[74] = actualDate // BW - Actual timestamp
-      rowData[76] = copyOfReceiptUrl // BY - Copy of Receipt
-      rowData[77] = formattedDate // BZ - Date of Receipt
-
-      const updateData = {
-        action: "update",
-        sheetName: CONFIG.SOURCE_SHEET_NAME,
-        rowIndex: selectedRecord._rowIndex,
-        rowData: JSON.stringify(rowData),
-      }
+      const fields = {}
 
-      const response = await fetch(CONFIG.APPS_SCRIPT_URL, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/x-www-form-urlencoded",
-        },
-        body: new URLSearchParams(updateData).toString(),
-      })
+      fields.RECEIPT_ACTUAL = actualDate
+      fields.RECEIPT_COPY = copyOfReceiptUrl
+      fields.RECEIPT_DATE = formattedDate
 
-      const result = await response.json()
+      const result = await saveFields(selectedRecord, fields)
 
       if (result.success) {
         setSuccessMessage(`Material receipt recorded successfully for Enquiry Number: ${selectedRecord._enquiryNumber}`)
@@ -676,16 +595,18 @@ function MaterialReceivedSitePage() {
                       filteredHistoryData.map((record) => (
                         <tr key={record._id} className="hover:bg-gray-50">
                           <td className="px-2 py-3 whitespace-nowrap">
-                            <button
-                              onClick={() => handleAtSiteClick(record)}
-                              className="inline-flex items-center px-3 py-1 border border-transparent text-xs leading-4 font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors"
-                            >
-                              <Wrench className="h-3 w-3 mr-1" />
-                              Edit
-                            </button>
+                            {canEdit && (
+                              <button
+                                onClick={() => handleAtSiteClick(record)}
+                                className="inline-flex items-center px-3 py-1 border border-transparent text-xs leading-4 font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors"
+                              >
+                                <Wrench className="h-3 w-3 mr-1" />
+                                Edit
+                              </button>
+                            )}
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
-                            <div className="text-xs font-medium text-gray-900">{record.enquiryNumber || "—"}</div>
+                            <div className="text-xs font-medium text-gray-900">{record.enquiryNumber || "—"}<AuditHistoryButton enquiryNumber={record.enquiryNumber} onOpen={setHistoryEnquiry} /></div>
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             <div className="text-xs text-gray-900">{record.beneficiaryName || "—"}</div>
@@ -712,15 +633,14 @@ function MaterialReceivedSitePage() {
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.orderCopy ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.orderCopy}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
@@ -736,60 +656,56 @@ function MaterialReceivedSitePage() {
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.gstCertificates ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.gstCertificates}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.bankAccountDetails ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.bankAccountDetails}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.aadharCard ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.aadharCard}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.panCard ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.panCard}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
@@ -799,15 +715,14 @@ function MaterialReceivedSitePage() {
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.workOrderCopy ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.workOrderCopy}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
@@ -820,15 +735,14 @@ function MaterialReceivedSitePage() {
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.copyOfReceipt ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.copyOfReceipt}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
@@ -851,16 +765,18 @@ function MaterialReceivedSitePage() {
                     filteredPendingData.map((record) => (
                       <tr key={record._id} className="hover:bg-gray-50">
                         <td className="px-2 py-3 whitespace-nowrap">
-                          <button
-                            onClick={() => handleAtSiteClick(record)}
-                            className="inline-flex items-center px-3 py-1 border border-transparent text-xs leading-4 font-medium rounded-md text-white bg-linear-to-r from-green-500 to-blue-600 hover:from-green-600 hover:to-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
-                          >
-                            <Package className="h-3 w-3 mr-1" />
-                            At Site
-                          </button>
+                          {canEdit && (
+                            <button
+                              onClick={() => handleAtSiteClick(record)}
+                              className="inline-flex items-center px-3 py-1 border border-transparent text-xs leading-4 font-medium rounded-md text-white bg-linear-to-r from-green-500 to-blue-600 hover:from-green-600 hover:to-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
+                            >
+                              <Package className="h-3 w-3 mr-1" />
+                              At Site
+                            </button>
+                          )}
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
-                          <div className="text-xs font-medium text-blue-900">{record.enquiryNumber || "—"}</div>
+                          <div className="text-xs font-medium text-blue-900">{record.enquiryNumber || "—"}<AuditHistoryButton enquiryNumber={record.enquiryNumber} onOpen={setHistoryEnquiry} /></div>
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           <div className="text-xs text-gray-900 flex items-center">
@@ -894,15 +810,14 @@ function MaterialReceivedSitePage() {
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.orderCopy ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.orderCopy}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
@@ -918,60 +833,56 @@ function MaterialReceivedSitePage() {
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.gstCertificates ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.gstCertificates}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.bankAccountDetails ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.bankAccountDetails}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.aadharCard ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.aadharCard}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.panCard ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.panCard}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
@@ -981,15 +892,14 @@ function MaterialReceivedSitePage() {
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.workOrderCopy ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.workOrderCopy}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
@@ -1096,15 +1006,14 @@ function MaterialReceivedSitePage() {
                     <div>
                       <label className="block text-xs font-medium text-gray-700 mb-1">Order Copy</label>
                       {selectedRecord.orderCopy ? (
-                        <a
+                        <DocumentLink
+                          scriptUrl={CONFIG.APPS_SCRIPT_URL}
                           href={selectedRecord.orderCopy}
-                          target="_blank"
-                          rel="noopener noreferrer"
                           className="text-blue-600 hover:text-blue-800 flex items-center text-sm"
                         >
                           <Eye className="h-4 w-4 mr-1" />
                           View Order Copy
-                        </a>
+                        </DocumentLink>
                       ) : (
                         <span className="text-gray-400 text-sm">No order copy available</span>
                       )}
@@ -1151,7 +1060,7 @@ function MaterialReceivedSitePage() {
                         <span className="text-xs text-gray-500">Existing:</span>
                         <button
                           type="button"
-                          onClick={() => window.open(selectedRecord.copyOfReceipt, "_blank", "noopener,noreferrer")}
+                          onClick={() => openDocument(CONFIG.APPS_SCRIPT_URL, selectedRecord.copyOfReceipt)}
                           className="inline-flex items-center px-2 py-1 text-xs font-medium rounded-md text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 transition-colors"
                         >
                           <Eye className="h-3 w-3 mr-1" />
@@ -1175,6 +1084,8 @@ function MaterialReceivedSitePage() {
                   </div>
                 </div>
 
+                <UploadProgress uploads={uploads} />
+
                 {/* Action Buttons */}
                 <div className="flex justify-end space-x-4 mt-8 pt-4 border-t">
                   <button
@@ -1207,6 +1118,12 @@ function MaterialReceivedSitePage() {
           </div>
         )}
       </div>
+      <FmsConflictDialog conflict={conflict} onResolve={resolveConflict} />
+      <AuditHistoryDrawer
+        scriptUrl={CONFIG.APPS_SCRIPT_URL}
+        enquiryNumber={historyEnquiry}
+        onClose={() => setHistoryEnquiry(null)}
+      />
     </AdminLayout>
   )
 }
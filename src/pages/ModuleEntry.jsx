@@ -3,11 +3,19 @@
 import { useState, useEffect, useCallback, useMemo } from "react"
 import { CheckCircle2, X, Search, History, Upload, Loader2, FileText, ListChecks, Calendar, Clock } from "lucide-react"
 import AdminLayout from "../components/layout/AdminLayout"
+import { AuditHistoryButton, AuditHistoryDrawer } from "../components/AuditHistory"
+import DocumentLink from "../components/DocumentLink"
+import FmsConflictDialog from "../components/FmsConflictDialog"
+import { getFmsValue } from "../lib/fmsSchema"
+import { useFmsSave } from "../lib/useFmsSave"
+import { useFmsStage } from "../lib/fmsCache"
+import { can } from "../lib/permissions"
+import { config } from "../lib/config"
 
 // Configuration object
 const CONFIG = {
-    APPS_SCRIPT_URL: "https://script.google.com/macros/s/AKfycbzF4JjwpmtgsurRYkORyZvQPvRGc06VuBMCJM00wFbOOtVsSyFiUJx5xtb1J0P5ooyf/exec",
-    DRIVE_FOLDER_ID: "1bHOWG-zPUelUXkwowTT2W8NLauU_gpf6",
+    APPS_SCRIPT_URL: config.appsScriptUrl,
+    DRIVE_FOLDER_ID: config.driveFolders.moduleEntry,
     SOURCE_SHEET_NAME: "FMS",
     PAGE_CONFIG: {
         title: "Module Entry",
@@ -15,12 +23,18 @@ const CONFIG = {
         description: "Upload CSV file for module entry",
         historyDescription: "View completed module entry uploads",
     },
-    COLUMNS: {
-        ACTUAL_TIMESTAMP: 176, // FU
-        FILE_URL: 178, // FW
-    }
 }
 
+// Columns this page reads and the FMS rows that belong to this stage; the
+// backend splits them into pending and history on MODULE_ENTRY_ACTUAL.
+const STAGE_QUERY = {
+    fields: ["ENQUIRY_NUMBER", "BENEFICIARY_NAME", "MODULE_ENTRY_ACTUAL", "MODULE_ENTRY_FILE"],
+    filters: [{ field: "ENQUIRY_NUMBER", op: "notEmpty" }],
+    actualField: "MODULE_ENTRY_ACTUAL",
+}
+
+const sortByEnquiry = (a, b) => a.enquiryNumber.localeCompare(b.enquiryNumber, undefined, { numeric: true, sensitivity: 'base' })
+
 // Debounce hook
 function useDebounce(value, delay) {
     const [debouncedValue, setDebouncedValue] = useState(value)
@@ -32,11 +46,10 @@ function useDebounce(value, delay) {
 }
 
 function ModuleEntryPage() {
-    const [pendingData, setPendingData] = useState([])
-    const [historyData, setHistoryData] = useState([])
+    const { saveFields, conflict, resolveConflict } = useFmsSave(CONFIG.APPS_SCRIPT_URL)
+    const [historyEnquiry, setHistoryEnquiry] = useState(null)
+    const canEdit = can("moduleEntry", "edit")
     const [searchTerm, setSearchTerm] = useState("")
-    const [loading, setLoading] = useState(true)
-    const [error, setError] = useState(null)
     const [showHistory, setShowHistory] = useState(false)
     const [isSubmitting, setIsSubmitting] = useState(false)
     const [successMessage, setSuccessMessage] = useState("")
@@ -98,54 +111,22 @@ function ModuleEntryPage() {
         }
     }, [])
 
-    const isEmpty = useCallback((value) => !value || (typeof value === "string" && value.trim() === ""), [])
-
-    const fetchSheetData = useCallback(async () => {
-        try {
-            setLoading(true)
-            const response = await fetch(`${CONFIG.APPS_SCRIPT_URL}?sheet=${CONFIG.SOURCE_SHEET_NAME}&action=fetch`)
-            const data = await response.json()
-            const rows = data.table?.rows || data.values || []
-            const pending = []
-            const history = []
-
-            rows.forEach((row, rowIndex) => {
-                if (rowIndex < 6) return
-                const vals = row.c ? row.c.map(cell => cell?.v || "") : row
-                const enquiry = vals[1] || ""
-                if (isEmpty(enquiry)) return
-
-                const actual = vals[CONFIG.COLUMNS.ACTUAL_TIMESTAMP] || ""
-                const fileUrl = vals[CONFIG.COLUMNS.FILE_URL] || ""
-
-                const rowData = {
-                    _id: `mod_${enquiry}_${rowIndex + 1}`,
-                    _rowIndex: rowIndex + 1,
-                    enquiryNumber: enquiry,
-                    beneficiaryName: vals[2] || "",
-                    actual: actual,
-                    fileUrl: fileUrl
-                }
-
-                if (!isEmpty(actual)) {
-                    history.push(rowData)
-                } else {
-                    pending.push(rowData)
-                }
-            })
-
-            const sortByEnquiry = (a, b) => a.enquiryNumber.localeCompare(b.enquiryNumber, undefined, { numeric: true, sensitivity: 'base' })
-            setPendingData(pending.sort(sortByEnquiry))
-            setHistoryData(history.sort(sortByEnquiry))
-        } catch (e) {
-            console.error("Fetch error:", e)
-            setError("Failed to load Module Entry data")
-        } finally {
-            setLoading(false)
+    const toRecord = useCallback((row) => {
+        const fms = (key) => getFmsValue(row.values, key)
+        const enquiry = fms("ENQUIRY_NUMBER") || ""
+
+        return {
+            _id: `mod_${enquiry}_${row.rowIndex}`,
+            _rowIndex: row.rowIndex,
+            _version: row.version,
+            enquiryNumber: enquiry,
+            beneficiaryName: fms("BENEFICIARY_NAME") || "",
+            actual: fms("MODULE_ENTRY_ACTUAL") || "",
+            fileUrl: fms("MODULE_ENTRY_FILE") || ""
         }
-    }, [isEmpty])
+    }, [])
 
-    useEffect(() => { fetchSheetData() }, [fetchSheetData])
+    const { pendingData, historyData, loading, refreshChanges } = useFmsStage(CONFIG.APPS_SCRIPT_URL, STAGE_QUERY, toRecord)
 
     useEffect(() => {
         if (successMessage) {
@@ -155,7 +136,7 @@ function ModuleEntryPage() {
     }, [successMessage])
 
     const filteredData = useMemo(() => {
-        const data = showHistory ? historyData : pendingData
+        const data = [...(showHistory ? historyData : pendingData)].sort(sortByEnquiry)
         return debouncedSearchTerm
             ? data.filter(r => Object.values(r).some(v => v?.toString().toLowerCase().includes(debouncedSearchTerm.toLowerCase())))
             : data
@@ -214,26 +195,14 @@ function ModuleEntryPage() {
             const fileUrl = await uploadFileToDrive(csvFile)
             const timestamp = formatTimestamp()
 
-            const rowData = Array(CONFIG.COLUMNS.FILE_URL + 1).fill(null)
-            rowData[CONFIG.COLUMNS.ACTUAL_TIMESTAMP] = timestamp // FU
-            rowData[CONFIG.COLUMNS.FILE_URL] = fileUrl // FW
-
-            const response = await fetch(CONFIG.APPS_SCRIPT_URL, {
-                method: "POST",
-                headers: { "Content-Type": "application/x-www-form-urlencoded" },
-                body: new URLSearchParams({
-                    action: "update",
-                    sheetName: CONFIG.SOURCE_SHEET_NAME,
-                    rowIndex: selectedRecord._rowIndex,
-                    rowData: JSON.stringify(rowData)
-                })
+            const result = await saveFields(selectedRecord, {
+                MODULE_ENTRY_ACTUAL: timestamp,
+                MODULE_ENTRY_FILE: fileUrl,
             })
-
-            const result = await response.json()
             if (result.success) {
                 setSuccessMessage("Module entry CSV uploaded successfully")
                 setShowModal(false)
-                fetchSheetData()
+                refreshChanges().catch((e) => console.error("Refresh error:", e))
             } else {
                 throw new Error(result.error || "Update failed")
             }
@@ -319,15 +288,17 @@ function ModuleEntryPage() {
                                     filteredData.map(r => (
                                         <tr key={r._id} className="hover:bg-blue-50/30 transition-colors">
                                             <td className="px-4 py-3">
-                                                <button
-                                                    onClick={() => handleActionClick(r)}
-                                                    className="bg-blue-600 hover:bg-blue-700 text-white text-xs font-black py-1.5 px-3 rounded shadow-sm flex items-center"
-                                                >
-                                                    <Upload size={12} className="mr-1.5" />
-                                                    {showHistory ? "UPDATE CSV" : "UPLOAD CSV"}
-                                                </button>
+                                                {canEdit && (
+                                                    <button
+                                                        onClick={() => handleActionClick(r)}
+                                                        className="bg-blue-600 hover:bg-blue-700 text-white text-xs font-black py-1.5 px-3 rounded shadow-sm flex items-center"
+                                                    >
+                                                        <Upload size={12} className="mr-1.5" />
+                                                        {showHistory ? "UPDATE CSV" : "UPLOAD CSV"}
+                                                    </button>
+                                                )}
                                             </td>
-                                            <td className="px-3 py-4 font-bold text-blue-800 whitespace-nowrap text-xs">{r.enquiryNumber}</td>
+                                            <td className="px-3 py-4 font-bold text-blue-800 whitespace-nowrap text-xs">{r.enquiryNumber}<AuditHistoryButton enquiryNumber={r.enquiryNumber} onOpen={setHistoryEnquiry} /></td>
                                             <td className="px-3 py-4 text-gray-900 font-bold text-xs whitespace-nowrap">{r.beneficiaryName}</td>
                                             {showHistory && (() => {
                                                 const ts = formatDisplayTimestamp(r.actual)
@@ -351,15 +322,14 @@ function ModuleEntryPage() {
                                             {showHistory && (
                                                 <td className="px-3 py-4 text-xs whitespace-nowrap">
                                                     {r.fileUrl ? (
-                                                        <a
+                                                        <DocumentLink
+                                                            scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                                             href={r.fileUrl}
-                                                            target="_blank"
-                                                            rel="noopener noreferrer"
                                                             className="inline-flex items-center gap-1.5 bg-green-50 hover:bg-green-100 text-green-700 font-bold py-1 px-2.5 rounded border border-green-200 transition-colors"
                                                         >
                                                             <FileText size={12} />
                                                             View CSV
-                                                        </a>
+                                                        </DocumentLink>
                                                     ) : (
                                                         <span className="text-gray-400 italic">No file</span>
                                                     )}
@@ -436,6 +406,12 @@ function ModuleEntryPage() {
                     </div>
                 </div>
             )}
+            <FmsConflictDialog conflict={conflict} onResolve={resolveConflict} />
+            <AuditHistoryDrawer
+                scriptUrl={CONFIG.APPS_SCRIPT_URL}
+                enquiryNumber={historyEnquiry}
+                onClose={() => setHistoryEnquiry(null)}
+            />
         </AdminLayout>
     )
 }
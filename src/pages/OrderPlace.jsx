@@ -3,17 +3,30 @@
 import { useState, useEffect, useCallback, useMemo } from "react"
 import { CheckCircle2, X, Search, History, MapPin, Users, Phone, Eye, DollarSign, Package, Wrench } from "lucide-react"
 import AdminLayout from "../components/layout/AdminLayout"
+import { AuditHistoryButton, AuditHistoryDrawer } from "../components/AuditHistory"
+import DocumentLink from "../components/DocumentLink"
+import FmsConflictDialog from "../components/FmsConflictDialog"
+import UploadProgress from "../components/UploadProgress"
+import { getFmsValue } from "../lib/fmsSchema"
+import { useDriveUploads } from "../lib/driveUpload"
+import { openDocument } from "../lib/documentAccess"
+import { useFmsSave } from "../lib/useFmsSave"
+import { useFmsStage } from "../lib/fmsCache"
+import { can } from "../lib/permissions"
+import { config } from "../lib/config"
 
 // Configuration object
 const CONFIG = {
   // Updated Google Apps Script URL
-  APPS_SCRIPT_URL:
-    "https://script.google.com/macros/s/AKfycbzF4JjwpmtgsurRYkORyZvQPvRGc06VuBMCJM00wFbOOtVsSyFiUJx5xtb1J0P5ooyf/exec",
+  APPS_SCRIPT_URL: config.appsScriptUrl,
   // Updated Google Drive folder ID for file uploads
-  DRIVE_FOLDER_ID: "1O67xaSjucSi761g-WRA0D7i0ck344FtT",
+  DRIVE_FOLDER_ID: config.driveFolders.orderPlace,
+  DOCUMENT_STAGE: "Order",
+  DOCUMENT_NAMES: {
+    orderCopy: "OrderCopy",
+  },
   // Sheet names
   SOURCE_SHEET_NAME: "FMS",
-  DROPDOWN_SHEET_NAME: "Drop-Down Value",
   // Updated page configuration
   PAGE_CONFIG: {
     title: "Solarkart",
@@ -23,6 +36,19 @@ const CONFIG = {
   },
 }
 
+// Columns this page reads and the FMS rows that belong to this stage; the
+// backend splits them into pending and history on ORDER_ACTUAL.
+const STAGE_QUERY = {
+  fields: [
+    "ENQUIRY_NUMBER", "BENEFICIARY_NAME", "ADDRESS", "VILLAGE_BLOCK", "DISTRICT", "CONTACT_NUMBER",
+    "AADHAR_NUMBER", "ADDRESS_PROOF", "SURVEYOR_NAME", "SURVEYOR_CONTACT", "QUOTATION_NUMBER",
+    "QUOTATION_VALUE", "QUOTATION_COPY", "ORDER_ACTUAL", "ORDER_MODULE", "ORDER_INVERTER", "ORDER_BOS",
+    "ORDER_ACDB", "ORDER_DCDB", "ORDER_COPY",
+  ],
+  filters: [{ field: "ENQUIRY_NUMBER", op: "notEmpty" }],
+  actualField: "ORDER_ACTUAL",
+}
+
 // Debounce hook for search optimization
 function useDebounce(value, delay) {
   const [debouncedValue, setDebouncedValue] = useState(value)
@@ -38,11 +64,11 @@ function useDebounce(value, delay) {
 }
 
 function OrderReceivePage() {
-  const [pendingData, setPendingData] = useState([])
-  const [historyData, setHistoryData] = useState([])
+  const { saveFields, conflict, resolveConflict } = useFmsSave(CONFIG.APPS_SCRIPT_URL)
+  const { uploads, upload, clearUploads } = useDriveUploads(CONFIG.APPS_SCRIPT_URL)
+  const [historyEnquiry, setHistoryEnquiry] = useState(null)
+  const canEdit = can("order", "edit")
   const [searchTerm, setSearchTerm] = useState("")
-  const [loading, setLoading] = useState(true)
-  const [error, setError] = useState(null)
   const [showHistory, setShowHistory] = useState(false)
   const [showOrderModal, setShowOrderModal] = useState(false)
   const [selectedRecord, setSelectedRecord] = useState(null)
@@ -105,122 +131,54 @@ function OrderReceivePage() {
     setUsername(user || "")
   }, [])
 
-  // Optimized data fetching
-  const fetchSheetData = useCallback(async () => {
-    try {
-      setLoading(true)
-      setError(null)
-
-      const response = await fetch(`${CONFIG.APPS_SCRIPT_URL}?sheet=${CONFIG.SOURCE_SHEET_NAME}&action=fetch`)
-      if (!response.ok) {
-        throw new Error(`Failed to fetch data: ${response.status}`)
-      }
-
-      const text = await response.text()
-      let data
-
-      try {
-        data = JSON.parse(text)
-      } catch (parseError) {
-        const jsonStart = text.indexOf("{")
-        const jsonEnd = text.lastIndexOf("}")
-        if (jsonStart !== -1 && jsonEnd !== -1) {
-          const jsonString = text.substring(jsonStart, jsonEnd + 1)
-          data = JSON.parse(jsonString)
-        } else {
-          throw new Error("Invalid JSON response from server")
-        }
-      }
-
-      const pending = []
-      const history = []
-      let rows = []
-
-      if (data.table && data.table.rows) {
-        rows = data.table.rows
-      } else if (Array.isArray(data)) {
-        rows = data
-      } else if (data.values) {
-        rows = data.values.map((row) => ({ c: row.map((val) => ({ v: val })) }))
-      }
-
-      rows.forEach((row, rowIndex) => {
-        // Skip header rows and only process from row 7 onwards (rowIndex 6 in 0-based indexing)
-        if (rowIndex < 6) return
-
-        let rowValues = []
-        if (row.c) {
-          rowValues = row.c.map((cell) => (cell && cell.v !== undefined ? cell.v : ""))
-        } else if (Array.isArray(row)) {
-          rowValues = row
-        } else {
-          return
-        }
-
-        // Check conditions: Enquiry Number (index 1) not null and Column AT (index 45)
-        const enquiryNumber = rowValues[1] || ""
-        const columnAT = rowValues[45] // Column AT
-
-        const hasEnquiry = !isEmpty(enquiryNumber)
-        if (!hasEnquiry) return // Skip if enquiry number is empty
-
-        const googleSheetsRowIndex = rowIndex + 1
-
-        const stableId = enquiryNumber
-          ? `enquiry_${enquiryNumber}_${googleSheetsRowIndex}`
-          : `row_${googleSheetsRowIndex}_${Math.random().toString(36).substring(2, 15)}`
-
-        const rowData = {
-          _id: stableId,
-          _rowIndex: googleSheetsRowIndex,
-          _enquiryNumber: enquiryNumber,
-          // Map all columns
-          enquiryNumber: rowValues[1] || "", // B - Enquiry Number
-          beneficiaryName: rowValues[2] || "", // C - Beneficiary Name
-          address: rowValues[3] || "", // D - Address
-          villageBlock: rowValues[4] || "", // E - Village/Block
-          district: rowValues[5] || "", // F - District
-          contactNumber: rowValues[6] || "", // G - Contact Number
-          aadharCard: rowValues[26] || "", // AA - Aadhar Card
-          addressProof: rowValues[28] || "", // AC - Address Proof
-          surveyorName: rowValues[29] || "", // AD - Surveyor Name
-          surveyorContact: rowValues[30] || "", // AE - Contact Number
-          quotationNumber: rowValues[34] || "", // AI - Quotation Number
-          quotationValue: rowValues[35] || "", // AJ - Value Of Quotation
-          quotationCopy: rowValues[36] || "", // AK - Quotation Copy
-          // Order specific fields
-          actualDate: formatDate(rowValues[45] || ""), // AT - Actual
-          module: rowValues[47] || "", // AV - Module
-          inverter: rowValues[48] || "", // AW - Inverter
-          bos: rowValues[49] || "", // AX - BOS
-          acdb: rowValues[50] || "", // AY - ACDB
-          dcdb: rowValues[51] || "", // AZ - DCDB
-          orderCopy: rowValues[52] || "", // BA - Order Copy
-        }
-
-        // Check if Column AT is null for pending, not null for history
-        const isColumnATEmpty = isEmpty(columnAT)
-
-        if (isColumnATEmpty) {
-          pending.push(rowData)
-        } else {
-          history.push(rowData)
-        }
-      })
-
-      setPendingData(pending)
-      setHistoryData(history)
-      setLoading(false)
-    } catch (error) {
-      console.error("Error fetching sheet data:", error)
-      setError("Failed to load order data: " + error.message)
-      setLoading(false)
+  const toRecord = useCallback((row) => {
+    const fms = (key) => getFmsValue(row.values, key)
+
+    const enquiryNumber = fms("ENQUIRY_NUMBER") || ""
+
+    const googleSheetsRowIndex = row.rowIndex
+
+    const stableId = enquiryNumber
+      ? `enquiry_${enquiryNumber}_${googleSheetsRowIndex}`
+      : `row_${googleSheetsRowIndex}_${Math.random().toString(36).substring(2, 15)}`
+
+    const rowData = {
+      _id: stableId,
+      _rowIndex: googleSheetsRowIndex,
+      _version: row.version,
+      _enquiryNumber: enquiryNumber,
+      // Map all columns
+      enquiryNumber: fms("ENQUIRY_NUMBER") || "",
+      beneficiaryName: fms("BENEFICIARY_NAME") || "",
+      address: fms("ADDRESS") || "",
+      villageBlock: fms("VILLAGE_BLOCK") || "",
+      district: fms("DISTRICT") || "",
+      contactNumber: fms("CONTACT_NUMBER") || "",
+      aadharCard: fms("AADHAR_NUMBER") || "",
+      addressProof: fms("ADDRESS_PROOF") || "",
+      surveyorName: fms("SURVEYOR_NAME") || "",
+      surveyorContact: fms("SURVEYOR_CONTACT") || "",
+      quotationNumber: fms("QUOTATION_NUMBER") || "",
+      quotationValue: fms("QUOTATION_VALUE") || "",
+      quotationCopy: fms("QUOTATION_COPY") || "",
+      // Order specific fields
+      actualDate: formatDate(fms("ORDER_ACTUAL") || ""),
+      module: fms("ORDER_MODULE") || "",
+      inverter: fms("ORDER_INVERTER") || "",
+      bos: fms("ORDER_BOS") || "",
+      acdb: fms("ORDER_ACDB") || "",
+      dcdb: fms("ORDER_DCDB") || "",
+      orderCopy: fms("ORDER_COPY") || "",
     }
-  }, [isEmpty, formatDate])
 
-  useEffect(() => {
-    fetchSheetData()
-  }, [fetchSheetData])
+    return rowData
+  }, [formatDate])
+
+  const { pendingData, historyData, setPendingData, setHistoryData, loading, error } = useFmsStage(
+    CONFIG.APPS_SCRIPT_URL,
+    STAGE_QUERY,
+    toRecord,
+  )
 
   // Optimized filtered data with debounced search
   const filteredPendingData = useMemo(() => {
@@ -243,46 +201,23 @@ function OrderReceivePage() {
       : historyData
   }, [historyData, debouncedSearchTerm])
 
-  const fileToBase64 = useCallback((file) => {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader()
-      reader.readAsDataURL(file)
-      reader.onload = () => resolve(reader.result)
-      reader.onerror = (error) => reject(error)
-    })
-  }, [])
-
   const uploadImageToDrive = useCallback(
-    async (file) => {
+    async (file, documentName) => {
       try {
-        const base64Data = await fileToBase64(file)
-        const formData = new FormData()
-        formData.append("action", "uploadFile")
-        formData.append("base64Data", base64Data)
-        formData.append(
-          "fileName",
-          `${selectedRecord._enquiryNumber}_order_${Date.now()}.${file.name.split(".").pop()}`,
-        )
-        formData.append("mimeType", file.type)
-        formData.append("folderId", CONFIG.DRIVE_FOLDER_ID)
-
-        const response = await fetch(CONFIG.APPS_SCRIPT_URL, {
-          method: "POST",
-          body: formData,
+        const result = await upload(file, {
+          fileName: file.name,
+          folderId: CONFIG.DRIVE_FOLDER_ID,
+          enquiryNumber: selectedRecord._enquiryNumber,
+          stage: CONFIG.DOCUMENT_STAGE,
+          documentName,
         })
-
-        const result = await response.json()
-        if (result.success) {
-          return result.fileUrl
-        } else {
-          throw new Error("Failed to upload image")
-        }
+        return result.fileUrl
       } catch (error) {
         console.error("Error uploading image:", error)
         throw error
       }
     },
-    [selectedRecord, fileToBase64],
+    [selectedRecord, upload],
   )
 
   const handleOrderClick = useCallback((record) => {
@@ -307,8 +242,9 @@ function OrderReceivePage() {
       }
     })
 
+    clearUploads()
     setShowOrderModal(true)
-  }, [])
+  }, [clearUploads])
 
   const handleFileUpload = useCallback(async (field, file) => {
     if (!file) return
@@ -323,7 +259,7 @@ function OrderReceivePage() {
     }))
 
     try {
-      const url = await uploadImageToDrive(file)
+      const url = await uploadImageToDrive(file, CONFIG.DOCUMENT_NAMES[field])
       setFileUploads(prev => ({
         ...prev,
         [field]: { uploading: false, uploaded: true, url, error: null, name: file.name }
@@ -393,30 +329,16 @@ function OrderReceivePage() {
       // Use URL from professional upload state
       const orderCopyUrl = fileUploads.orderCopy.url
 
-      // FIXED: Use null for columns we don't want to update
-      const rowData = Array(53).fill(null) // Array up to column BA (index 52)
-      rowData[45] = actualDate // AT - Actual timestamp
-      rowData[47] = orderForm.module // AV - Module
-      rowData[48] = orderForm.inverter // AW - Inverter
-      rowData[49] = orderForm.bos // AX - BOS
-      rowData[50] = orderForm.acdb // AY - ACDB
-      rowData[51] = orderForm.dcdb // AZ - DCDB
-      rowData[52] = orderCopyUrl // BA - Order Copy
-
-      const response = await fetch(CONFIG.APPS_SCRIPT_URL, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/x-www-form-urlencoded",
-        },
-        body: new URLSearchParams({
-          action: "update",
-          sheetName: CONFIG.SOURCE_SHEET_NAME,
-          rowIndex: selectedRecord._rowIndex,
-          rowData: JSON.stringify(rowData)
-        }).toString(),
-      })
+      const fields = {}
+      fields.ORDER_ACTUAL = actualDate
+      fields.ORDER_MODULE = orderForm.module
+      fields.ORDER_INVERTER = orderForm.inverter
+      fields.ORDER_BOS = orderForm.bos
+      fields.ORDER_ACDB = orderForm.acdb
+      fields.ORDER_DCDB = orderForm.dcdb
+      fields.ORDER_COPY = orderCopyUrl
 
-      const result = await response.json()
+      const result = await saveFields(selectedRecord, fields)
       if (result.success) {
         setSuccessMessage(`Order processed successfully for Enquiry Number: ${selectedRecord.enquiryNumber}`)
         setShowOrderModal(false)
@@ -645,16 +567,18 @@ function OrderReceivePage() {
                       filteredHistoryData.map((record) => (
                         <tr key={record._id} className="hover:bg-gray-50">
                           <td className="px-2 py-3 whitespace-nowrap">
-                            <button
-                              onClick={() => handleOrderClick(record)}
-                              className="inline-flex items-center px-3 py-1 border border-transparent text-xs leading-4 font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors"
-                            >
-                              <Wrench className="h-3 w-3 mr-1" />
-                              Edit
-                            </button>
+                            {canEdit && (
+                              <button
+                                onClick={() => handleOrderClick(record)}
+                                className="inline-flex items-center px-3 py-1 border border-transparent text-xs leading-4 font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors"
+                              >
+                                <Wrench className="h-3 w-3 mr-1" />
+                                Edit
+                              </button>
+                            )}
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
-                            <div className="text-xs font-medium text-gray-900">{record.enquiryNumber || "—"}</div>
+                            <div className="text-xs font-medium text-gray-900">{record.enquiryNumber || "—"}<AuditHistoryButton enquiryNumber={record.enquiryNumber} onOpen={setHistoryEnquiry} /></div>
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             <div className="text-xs text-gray-900">{record.beneficiaryName || "—"}</div>
@@ -678,15 +602,14 @@ function OrderReceivePage() {
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.addressProof ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.addressProof}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
@@ -705,15 +628,14 @@ function OrderReceivePage() {
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.quotationCopy ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.quotationCopy}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
@@ -735,15 +657,14 @@ function OrderReceivePage() {
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.orderCopy ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.orderCopy}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
@@ -761,16 +682,18 @@ function OrderReceivePage() {
                     filteredPendingData.map((record) => (
                       <tr key={record._id} className="hover:bg-gray-50">
                         <td className="px-2 py-3 whitespace-nowrap">
-                          <button
-                            onClick={() => handleOrderClick(record)}
-                            className="inline-flex items-center px-3 py-1 border border-transparent text-xs leading-4 font-medium rounded-md text-white bg-linear-to-r from-green-500 to-blue-600 hover:from-green-600 hover:to-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
-                          >
-                            <Package className="h-3 w-3 mr-1" />
-                            Order
-                          </button>
+                          {canEdit && (
+                            <button
+                              onClick={() => handleOrderClick(record)}
+                              className="inline-flex items-center px-3 py-1 border border-transparent text-xs leading-4 font-medium rounded-md text-white bg-linear-to-r from-green-500 to-blue-600 hover:from-green-600 hover:to-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
+                            >
+                              <Package className="h-3 w-3 mr-1" />
+                              Order
+                            </button>
+                          )}
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
-                          <div className="text-xs font-medium text-blue-900">{record.enquiryNumber || "—"}</div>
+                          <div className="text-xs font-medium text-blue-900">{record.enquiryNumber || "—"}<AuditHistoryButton enquiryNumber={record.enquiryNumber} onOpen={setHistoryEnquiry} /></div>
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           <div className="text-xs text-gray-900 flex items-center">
@@ -801,15 +724,14 @@ function OrderReceivePage() {
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.addressProof ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.addressProof}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
@@ -831,15 +753,14 @@ function OrderReceivePage() {
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.quotationCopy ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.quotationCopy}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
@@ -977,7 +898,7 @@ function OrderReceivePage() {
                           <span className="text-[10px] text-gray-500 font-medium italic">Existing Order:</span>
                           <button
                             type="button"
-                            onClick={() => window.open(selectedRecord.orderCopy, "_blank", "noopener,noreferrer")}
+                            onClick={() => openDocument(CONFIG.APPS_SCRIPT_URL, selectedRecord.orderCopy)}
                             className="inline-flex items-center px-2 py-1 text-[10px] font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 transition-colors"
                           >
                             <Eye className="h-3 w-3 mr-1" />
@@ -990,7 +911,7 @@ function OrderReceivePage() {
                         <div className="flex items-center space-x-2 border-l border-gray-200 pl-2">
                           <button
                             type="button"
-                            onClick={() => window.open(selectedRecord.quotationCopy, "_blank", "noopener,noreferrer")}
+                            onClick={() => openDocument(CONFIG.APPS_SCRIPT_URL, selectedRecord.quotationCopy)}
                             className="inline-flex items-center px-2 py-1 text-[10px] font-medium rounded-md text-white bg-green-600 hover:bg-green-700 transition-colors"
                           >
                             <Eye className="h-3 w-3 mr-1" />
@@ -1002,6 +923,8 @@ function OrderReceivePage() {
                   </div>
                 </div>
 
+                <UploadProgress uploads={uploads} />
+
                 {/* Action Buttons */}
                 <div className="flex justify-end space-x-3 mt-6 pt-3 border-t">
                   <button
@@ -1024,6 +947,12 @@ function OrderReceivePage() {
           </div>
         )}
       </div>
+      <FmsConflictDialog conflict={conflict} onResolve={resolveConflict} />
+      <AuditHistoryDrawer
+        scriptUrl={CONFIG.APPS_SCRIPT_URL}
+        enquiryNumber={historyEnquiry}
+        onClose={() => setHistoryEnquiry(null)}
+      />
     </AdminLayout>
   )
 }
@@ -3,17 +3,24 @@
 import { useState, useEffect, useCallback, useMemo } from "react"
 import { CheckCircle2, X, Search, History, MapPin, Users, Phone, Eye, CreditCard, Wrench } from "lucide-react"
 import AdminLayout from "../components/layout/AdminLayout"
+import { AuditHistoryButton, AuditHistoryDrawer } from "../components/AuditHistory"
+import DocumentLink from "../components/DocumentLink"
+import FieldError from "../components/FieldError"
+import FmsBatchResult from "../components/FmsBatchResult"
+import FmsConflictDialog from "../components/FmsConflictDialog"
+import { getFmsValue } from "../lib/fmsSchema"
+import { useFmsBatchSave } from "../lib/useFmsBatchSave"
+import { useFmsSave } from "../lib/useFmsSave"
+import { useDropdownOptions, useFmsStage } from "../lib/fmsCache"
+import { can } from "../lib/permissions"
+import { config } from "../lib/config"
 
 // Configuration object
 const CONFIG = {
   // Updated Google Apps Script URL
-  APPS_SCRIPT_URL:
-    "https://script.google.com/macros/s/AKfycbzF4JjwpmtgsurRYkORyZvQPvRGc06VuBMCJM00wFbOOtVsSyFiUJx5xtb1J0P5ooyf/exec",
-  // Updated Google Drive folder ID for file uploads
-  DRIVE_FOLDER_ID: "1Kp9eEqtQfesdie6l7XEuTZne6Md8_P8qzKfGFcHhpL4",
+  APPS_SCRIPT_URL: config.appsScriptUrl,
   // Sheet names
   SOURCE_SHEET_NAME: "FMS",
-  DROPDOWN_SHEET_NAME: "Drop-Down Value",
   // Updated page configuration
   PAGE_CONFIG: {
     title: "Payment",
@@ -23,6 +30,20 @@ const CONFIG = {
   },
 }
 
+// Columns this page reads and the FMS rows that belong to this stage; the
+// backend splits them into pending and history on PAYMENT_ACTUAL.
+const STAGE_QUERY = {
+  fields: [
+    "ENQUIRY_NUMBER", "BENEFICIARY_NAME", "ADDRESS", "CONTACT_NUMBER", "SURVEYOR_NAME",
+    "POWER_PURCHASE_AGREEMENT", "VENDOR_CONSUMER_AGREEMENT", "DOC_QUOTATION_COPY", "DOC_APPLICATION_COPY",
+    "DOC_CANCELLED_CHEQUE", "DOC_ELECTRICITY_BILL", "DOC_WITNESS_ID_PROOF", "INSPECTION_STATUS",
+    "COMMISSIONING_STATUS", "REDEMPTION_PLANNED", "DISBURSAL_STATUS", "PAYMENT_STATUS",
+    "PAYMENT_CHEQUE_NUMBER", "PAYMENT_DATE", "PAYMENT_AMOUNT", "PAYMENT_DEDUCTION", "PAYMENT_ACTUAL",
+  ],
+  filters: [{ field: "ENQUIRY_NUMBER", op: "notEmpty" }],
+  actualField: "PAYMENT_ACTUAL",
+}
+
 // Debounce hook for search optimization
 function useDebounce(value, delay) {
   const [debouncedValue, setDebouncedValue] = useState(value)
@@ -41,12 +62,12 @@ function useDebounce(value, delay) {
 }
 
 function PaymentPage() {
-  const [pendingData, setPendingData] = useState([])
-  const [historyData, setHistoryData] = useState([])
-  const [dropdownOptions, setDropdownOptions] = useState([])
+  const { saveFields, conflict, resolveConflict } = useFmsSave(CONFIG.APPS_SCRIPT_URL)
+  const { submitBatch, retryFailed, batchResult, isRetrying, dismissBatchResult } = useFmsBatchSave(CONFIG.APPS_SCRIPT_URL)
+  const [historyEnquiry, setHistoryEnquiry] = useState(null)
+  const canEdit = can("payment", "edit")
+  const dropdownOptions = useDropdownOptions(CONFIG.APPS_SCRIPT_URL, 7)
   const [searchTerm, setSearchTerm] = useState("")
-  const [loading, setLoading] = useState(true)
-  const [error, setError] = useState(null)
   const [showHistory, setShowHistory] = useState(false)
   const [isSubmitting, setIsSubmitting] = useState(false)
   const [successMessage, setSuccessMessage] = useState("")
@@ -56,6 +77,7 @@ function PaymentPage() {
   const [statusValues, setStatusValues] = useState({})
   const [paymentDetails, setPaymentDetails] = useState({})
   const [showPaymentModal, setShowPaymentModal] = useState(false)
+  const [fieldErrors, setFieldErrors] = useState({})
   const [selectedRecord, setSelectedRecord] = useState(null)
   const [paymentForm, setPaymentForm] = useState({
     payment: "",
@@ -89,10 +111,6 @@ function PaymentPage() {
     return dateString
   }, [])
 
-  const isEmpty = useCallback((value) => {
-    return value === null || value === undefined || (typeof value === "string" && value.trim() === "")
-  }, [])
-
   const formatDateTime = useCallback((dateString) => {
     if (!dateString) return ""
     // If it's already in DD/MM/YYYY HH:mm:ss format, return it
@@ -139,189 +157,58 @@ function PaymentPage() {
     setUsername(user || "")
   }, [])
 
-  // Fetch dropdown options
-  const fetchDropdownOptions = useCallback(async () => {
-    try {
-      const response = await fetch(`${CONFIG.APPS_SCRIPT_URL}?sheet=${CONFIG.DROPDOWN_SHEET_NAME}&action=fetch`)
-
-      if (!response.ok) {
-        throw new Error(`Failed to fetch dropdown data: ${response.status}`)
-      }
-
-      const text = await response.text()
-      let data
-
-      try {
-        data = JSON.parse(text)
-      } catch (parseError) {
-        const jsonStart = text.indexOf("{")
-        const jsonEnd = text.lastIndexOf("}")
-        if (jsonStart !== -1 && jsonEnd !== -1) {
-          const jsonString = text.substring(jsonStart, jsonEnd + 1)
-          data = JSON.parse(jsonString)
-        } else {
-          throw new Error("Invalid JSON response from server")
-        }
-      }
-
-      let rows = []
-      if (data.table && data.table.rows) {
-        rows = data.table.rows
-      } else if (Array.isArray(data)) {
-        rows = data
-      } else if (data.values) {
-        rows = data.values.map((row) => ({ c: row.map((val) => ({ v: val })) }))
-      }
-
-      // Extract values from column H (index 7) starting from row 2
-      const options = []
-      rows.forEach((row, rowIndex) => {
-        if (rowIndex >= 1) {
-          // Skip header row (row 1)
-          let rowValues = []
-          if (row.c) {
-            rowValues = row.c.map((cell) => (cell && cell.v !== undefined ? cell.v : ""))
-          } else if (Array.isArray(row)) {
-            rowValues = row
-          }
-
-          const optionValue = rowValues[7] // Column H (index 7)
-          if (!isEmpty(optionValue)) {
-            options.push(optionValue.toString())
-          }
-        }
-      })
-
-      setDropdownOptions(options)
-    } catch (error) {
-      console.error("Error fetching dropdown options:", error)
-      setDropdownOptions([])
+  const toRecord = useCallback((row) => {
+    const fms = (key) => getFmsValue(row.values, key)
+
+    const enquiryNumber = fms("ENQUIRY_NUMBER") || ""
+
+    const googleSheetsRowIndex = row.rowIndex
+
+    const stableId = enquiryNumber
+      ? `enquiry_${enquiryNumber}_${googleSheetsRowIndex}`
+      : `row_${googleSheetsRowIndex}_${Math.random().toString(36).substring(2, 15)}`
+
+    const rowData = {
+      _id: stableId,
+      _rowIndex: googleSheetsRowIndex,
+      _version: row.version,
+      _enquiryNumber: enquiryNumber,
+      // Basic info columns
+      enquiryNumber: fms("ENQUIRY_NUMBER") || "",
+      beneficiaryName: fms("BENEFICIARY_NAME") || "",
+      address: fms("ADDRESS") || "",
+      contactNumber: fms("CONTACT_NUMBER") || "",
+      surveyorName: fms("SURVEYOR_NAME") || "",
+      // Payment specific columns
+      powerPurchaseAgreement: fms("POWER_PURCHASE_AGREEMENT") || "",
+      vendorConsumerAgreement: fms("VENDOR_CONSUMER_AGREEMENT") || "",
+      quotationCopy: fms("DOC_QUOTATION_COPY") || "",
+      applicationCopy: fms("DOC_APPLICATION_COPY") || "",
+      cancellationCheque: fms("DOC_CANCELLED_CHEQUE") || "",
+      electricityBill: fms("DOC_ELECTRICITY_BILL") || "",
+      witnessIdProof: fms("DOC_WITNESS_ID_PROOF") || "",
+      inspection: fms("INSPECTION_STATUS") || "",
+      projectCommission: fms("COMMISSIONING_STATUS") || "",
+      subsidyToken: fms("REDEMPTION_PLANNED") || "",
+      subsidyDisbursal: fms("DISBURSAL_STATUS") || "",
+      // History specific columns
+      payment: fms("PAYMENT_STATUS") || "",
+      checkNo: fms("PAYMENT_CHEQUE_NUMBER") || "",
+      date: fms("PAYMENT_DATE") || "",
+      amount: fms("PAYMENT_AMOUNT") || "",
+      deduction: fms("PAYMENT_DEDUCTION") || "",
+      actual: formatDateTime(fms("PAYMENT_ACTUAL") || ""),
     }
-  }, [isEmpty])
-
-  // Optimized data fetching
-  const fetchSheetData = useCallback(async () => {
-    try {
-      setLoading(true)
-      setError(null)
-
-      // Fetch both main data and dropdown options
-      await fetchDropdownOptions()
-
-      const response = await fetch(`${CONFIG.APPS_SCRIPT_URL}?sheet=${CONFIG.SOURCE_SHEET_NAME}&action=fetch`)
-
-      if (!response.ok) {
-        throw new Error(`Failed to fetch data: ${response.status}`)
-      }
-
-      const text = await response.text()
-      let data
-
-      try {
-        data = JSON.parse(text)
-      } catch (parseError) {
-        const jsonStart = text.indexOf("{")
-        const jsonEnd = text.lastIndexOf("}")
-        if (jsonStart !== -1 && jsonEnd !== -1) {
-          const jsonString = text.substring(jsonStart, jsonEnd + 1)
-          data = JSON.parse(jsonString)
-        } else {
-          throw new Error("Invalid JSON response from server")
-        }
-      }
-
-      const pending = []
-      const history = []
-      let rows = []
-
-      if (data.table && data.table.rows) {
-        rows = data.table.rows
-      } else if (Array.isArray(data)) {
-        rows = data
-      } else if (data.values) {
-        rows = data.values.map((row) => ({ c: row.map((val) => ({ v: val })) }))
-      }
-
-      rows.forEach((row, rowIndex) => {
-        // Skip header rows and only process from row 7 onwards (rowIndex 6 in 0-based indexing)
-        if (rowIndex < 6) return
-
-        let rowValues = []
-        if (row.c) {
-          rowValues = row.c.map((cell) => (cell && cell.v !== undefined ? cell.v : ""))
-        } else if (Array.isArray(row)) {
-          rowValues = row
-        } else {
-          return
-        }
-
-        // Check conditions: Column DZ (index 129) not null and Column EA (index 130)
-        const enquiryNumber = rowValues[1] || ""
-        const columnEA = rowValues[130] // Column EA
-
-        const hasEnquiry = !isEmpty(enquiryNumber)
-        if (!hasEnquiry) return // Skip if enquiry number is empty
-
-        const googleSheetsRowIndex = rowIndex + 1
-
-        const stableId = enquiryNumber
-          ? `enquiry_${enquiryNumber}_${googleSheetsRowIndex}`
-          : `row_${googleSheetsRowIndex}_${Math.random().toString(36).substring(2, 15)}`
-
-        const rowData = {
-          _id: stableId,
-          _rowIndex: googleSheetsRowIndex,
-          _enquiryNumber: enquiryNumber,
-          // Basic info columns
-          enquiryNumber: rowValues[1] || "", // B
-          beneficiaryName: rowValues[2] || "", // C
-          address: rowValues[3] || "", // D
-          contactNumber: rowValues[6] || "", // G
-          surveyorName: rowValues[29] || "", // AD
-          // Payment specific columns
-          powerPurchaseAgreement: rowValues[100] || "", // CW (IMAGE)
-          vendorConsumerAgreement: rowValues[101] || "", // CX (IMAGE)
-          quotationCopy: rowValues[102] || "", // CY
-          applicationCopy: rowValues[103] || "", // CZ
-          cancellationCheque: rowValues[107] || "", // DD
-          electricityBill: rowValues[109] || "", // DF
-          witnessIdProof: rowValues[110] || "", // DG
-          inspection: rowValues[114] || "", // DK
-          projectCommission: rowValues[118] || "", // DP
-          subsidyToken: rowValues[121] || "", // DR
-          subsidyDisbursal: rowValues[128] || "", // DY
-          // History specific columns
-          payment: rowValues[129] || "", // DZ
-          checkNo: rowValues[133] || "", // ED
-          date: rowValues[134] || "", // EE
-          amount: rowValues[135] || "", // EF
-          deduction: rowValues[136] || "", // EG
-          actual: formatDateTime(rowValues[130] || ""), // EA
-        }
-
-        // Check if Column EA is null for pending, not null for history
-        const isColumnEAEmpty = isEmpty(columnEA)
-
-        if (isColumnEAEmpty) {
-          pending.push(rowData)
-        } else {
-          history.push(rowData)
-        }
-      })
 
-      setPendingData(pending)
-      setHistoryData(history)
-      setLoading(false)
-    } catch (error) {
-      console.error("Error fetching sheet data:", error)
-      setError("Failed to load Payment data: " + error.message)
-      setLoading(false)
-    }
-  }, [isEmpty, fetchDropdownOptions])
+    return rowData
+  }, [formatDateTime])
 
-  useEffect(() => {
-    fetchSheetData()
-  }, [fetchSheetData])
+  const { pendingData, historyData, setPendingData, setHistoryData, loading, error } = useFmsStage(
+    CONFIG.APPS_SCRIPT_URL,
+    STAGE_QUERY,
+    toRecord,
+    { pollInterval: 0 },
+  )
 
   // Initialize status values with existing payment values
   useEffect(() => {
@@ -398,6 +285,7 @@ function PaymentPage() {
         amount: record.amount || "",
         deduction: record.deduction || "",
       })
+      setFieldErrors({})
       setShowPaymentModal(true)
     },
     [formatDateForInput],
@@ -417,55 +305,48 @@ function PaymentPage() {
     }
 
     setIsSubmitting(true)
+    setFieldErrors({})
     try {
       // Determine if it's an edit or new submission based on existing 'actual' date
       const isEdit = selectedRecord.actual && selectedRecord.actual !== ""
       const actualDate = isEdit && selectedRecord.actual ? selectedRecord.actual : formatTimestamp()
 
-      // FIXED: Use null for columns we don't want to update
-      const rowData = Array(140).fill(null)
+      const fields = {}
 
       // Update payment-specific columns:
-      rowData[132] = paymentForm.payment // EC - Status
+      fields.PAYMENT_STATUS = paymentForm.payment
 
       // If Done, update details and timestamp
       // EA (130) - Actual timestamp
       if (paymentForm.payment === "Done") {
-        rowData[130] = selectedRecord.actual ? formatDateTime(selectedRecord.actual) : formatTimestamp() // EA
-        rowData[133] = paymentForm.checkNo // ED - Check No
+        fields.PAYMENT_ACTUAL = selectedRecord.actual ? formatDateTime(selectedRecord.actual) : formatTimestamp()
+        fields.PAYMENT_CHEQUE_NUMBER = paymentForm.checkNo
 
         // Format date to DD/MM/YYYY
         const d = new Date(paymentForm.date)
         const day = d.getDate().toString().padStart(2, '0')
         const month = (d.getMonth() + 1).toString().padStart(2, '0')
         const year = d.getFullYear()
-        rowData[134] = `${day}/${month}/${year}` // EE - Date
+        fields.PAYMENT_DATE = `${day}/${month}/${year}`
 
-        rowData[135] = paymentForm.amount // EF - Amount
-        rowData[136] = paymentForm.deduction // EG - Deduction
+        fields.PAYMENT_AMOUNT = paymentForm.amount
+        fields.PAYMENT_DEDUCTION = paymentForm.deduction
       } else {
-        rowData[130] = "" // Clear EA to move back to pending
-        rowData[133] = "" // Clear ED
-        rowData[134] = "" // Clear EE
-        rowData[135] = "" // Clear EF
-        rowData[136] = "" // Clear EG
+        fields.PAYMENT_ACTUAL = ""
+        fields.PAYMENT_CHEQUE_NUMBER = ""
+        fields.PAYMENT_DATE = ""
+        fields.PAYMENT_AMOUNT = ""
+        fields.PAYMENT_DEDUCTION = ""
       }
 
-
-      const updateData = {
-        action: "update",
-        sheetName: CONFIG.SOURCE_SHEET_NAME,
-        rowIndex: selectedRecord._rowIndex,
-        rowData: JSON.stringify(rowData),
+      const result = await saveFields(selectedRecord, fields)
+      if (result.validation) {
+        setFieldErrors(result.fieldErrors)
+        return
+      }
+      if (!result.success) {
+        throw new Error(result.error || "Update failed")
       }
-
-      await fetch(CONFIG.APPS_SCRIPT_URL, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/x-www-form-urlencoded",
-        },
-        body: new URLSearchParams(updateData).toString(),
-      })
 
       // Update local state
       const updatedRecord = {
@@ -530,81 +411,14 @@ function PaymentPage() {
 
     setIsSubmitting(true)
     try {
-      const updatePromises = selectedRecordIds.map(async (recordId) => {
-        const record = pendingData.find((r) => r._id === recordId) || historyData.find((r) => r._id === recordId)
-        const status = statusValues[recordId]
-        const details = paymentDetails[recordId] || {}
-
-        if (!record) return
-
-        // FIXED: Use null for columns we don't want to update
-        const rowData = Array(140).fill(null)
-
-        // Set specific columns:
-        rowData[132] = status // EC - Status
-
-        if (status === "Done") {
-          rowData[130] = record.actual ? formatDateTime(record.actual) : formatTimestamp()
-
-          // Payment details (if Done)
-          rowData[133] = details.checkNo || "" // ED - Check No
-
-          // Format date to DD/MM/YYYY
-          let formattedDate = ""
-          if (details.date) {
-            const dateObj = new Date(details.date)
-            const day = dateObj.getDate().toString().padStart(2, "0")
-            const month = (dateObj.getMonth() + 1).toString().padStart(2, "0")
-            const year = dateObj.getFullYear()
-            formattedDate = `${day}/${month}/${year}`
-          }
-          rowData[134] = formattedDate // EE - Date
-          rowData[135] = details.amount || "" // EF - Amount
-          rowData[136] = details.deduction || "" // EG - Deduction
-        } else {
-          rowData[130] = "" // Clear to move back to pending
-          rowData[133] = "" // ED - Clear
-          rowData[134] = "" // EE - Clear
-          rowData[135] = "" // EF - Clear
-          rowData[136] = "" // EG - Clear
-        }
-
-        // Prepare update data for this specific record
-        const updateData = {
-          action: "update",
-          sheetName: CONFIG.SOURCE_SHEET_NAME,
-          rowIndex: record._rowIndex,
-          rowData: JSON.stringify(rowData),
-        }
-
-        const response = await fetch(CONFIG.APPS_SCRIPT_URL, {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/x-www-form-urlencoded",
-          },
-          body: new URLSearchParams(updateData).toString(),
-        })
-
-        return response.json()
-      })
-
-      const results = await Promise.all(updatePromises)
-      const failedUpdates = results.filter((result) => !result.success)
-
-      if (failedUpdates.length > 0) {
-        throw new Error("Some updates failed")
-      }
-
-      setSuccessMessage(`Successfully updated ${selectedRecordIds.length} payment record(s)`)
-
-      // Update local state
-      const updatedRecords = selectedRecordIds.map((recordId) => {
+      const items = selectedRecordIds.map((recordId) => {
         const record = pendingData.find((r) => r._id === recordId) || historyData.find((r) => r._id === recordId)
         const status = statusValues[recordId]
         const details = paymentDetails[recordId] || {}
 
         if (!record) return null
 
+        // Format date to DD/MM/YYYY
         let formattedDate = ""
         if (status === "Done" && details.date) {
           const dateObj = new Date(details.date)
@@ -613,40 +427,49 @@ function PaymentPage() {
           const year = dateObj.getFullYear()
           formattedDate = `${day}/${month}/${year}`
         }
+        const actual = status === "Done" ? (record.actual ? formatDateTime(record.actual) : formatTimestamp()) : ""
+
+        const fields = {}
 
-        return {
+        // Set specific columns:
+        fields.PAYMENT_STATUS = status
+
+        if (status === "Done") {
+          fields.PAYMENT_ACTUAL = actual
+
+          // Payment details (if Done)
+          fields.PAYMENT_CHEQUE_NUMBER = details.checkNo || ""
+          fields.PAYMENT_DATE = formattedDate
+          fields.PAYMENT_AMOUNT = details.amount || ""
+          fields.PAYMENT_DEDUCTION = details.deduction || ""
+        } else {
+          fields.PAYMENT_ACTUAL = ""
+          fields.PAYMENT_CHEQUE_NUMBER = ""
+          fields.PAYMENT_DATE = ""
+          fields.PAYMENT_AMOUNT = ""
+          fields.PAYMENT_DEDUCTION = ""
+        }
+
+        // Local copy of the record once the write is through
+        const updated = {
           ...record,
           payment: status,
-          actual: status === "Done" ? (record.actual ? formatDateTime(record.actual) : formatTimestamp()) : "",
+          actual,
           checkNo: status === "Done" ? details.checkNo : "",
           date: formattedDate,
           amount: status === "Done" ? details.amount : "",
           deduction: status === "Done" ? details.deduction : "",
         }
-      }).filter(Boolean)
-
-      const movedToHistory = updatedRecords.filter((r) => r.payment === "Done")
-      const movedToPending = updatedRecords.filter((r) => r.payment !== "Done")
 
-      setPendingData((prev) => {
-        const remaining = prev.filter((r) => !selectedRecordIds.includes(r._id))
-        return [...remaining, ...movedToPending]
-      })
+        return { record, fields, updated }
+      }).filter(Boolean)
 
-      setHistoryData((prev) => {
-        const remaining = prev.filter((r) => !selectedRecordIds.includes(r._id))
-        return [...remaining, ...movedToHistory]
-      })
+      applyWritten(await submitBatch(items))
 
       // Clear selections and status values
       setSelectedRows({})
       setStatusValues({})
       setPaymentDetails({})
-
-      // Clear success message after 3 seconds
-      setTimeout(() => {
-        setSuccessMessage("")
-      }, 3000)
     } catch (error) {
       console.error("Error updating payment:", error)
       alert("Failed to update payment: " + error.message)
@@ -655,6 +478,28 @@ function PaymentPage() {
     }
   }
 
+  // Move the records a bulk submit wrote between pending and history.
+  const applyWritten = (written) => {
+    const updatedRecords = written.map((item) => item.updated)
+    const writtenIds = updatedRecords.map((r) => r._id)
+    const movedToHistory = updatedRecords.filter((r) => r.payment === "Done")
+    const movedToPending = updatedRecords.filter((r) => r.payment !== "Done")
+
+    setPendingData((prev) => {
+      const remaining = prev.filter((r) => !writtenIds.includes(r._id))
+      return [...remaining, ...movedToPending]
+    })
+
+    setHistoryData((prev) => {
+      const remaining = prev.filter((r) => !writtenIds.includes(r._id))
+      return [...remaining, ...movedToHistory]
+    })
+  }
+
+  const handleRetryFailed = async () => {
+    applyWritten(await retryFailed())
+  }
+
   const toggleSection = useCallback((section) => {
     setShowHistory(section === "history")
     setSearchTerm("")
@@ -724,8 +569,10 @@ function PaymentPage() {
           </div>
         )}
 
+        <FmsBatchResult result={batchResult} onRetry={handleRetryFailed} isRetrying={isRetrying} onDismiss={dismissBatchResult} />
+
         {/* Submit Button for Pending Section */}
-        {Object.values(selectedRows).some(Boolean) && (
+        {canEdit && Object.values(selectedRows).some(Boolean) && (
           <div className="bg-blue-50 border border-blue-200 p-4 rounded-md">
             <div className="flex items-center justify-between">
               <span className="text-blue-700 text-sm">
@@ -870,6 +717,7 @@ function PaymentPage() {
                           <td className="px-2 py-3 whitespace-nowrap">
                             <input
                               type="checkbox"
+                              disabled={!canEdit}
                               checked={selectedRows[record._id] || false}
                               onChange={(e) => handleRowSelection(record._id, e.target.checked)}
                               className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
@@ -930,7 +778,7 @@ function PaymentPage() {
                             />
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
-                            <div className="text-xs font-medium text-gray-900">{record.enquiryNumber || "—"}</div>
+                            <div className="text-xs font-medium text-gray-900">{record.enquiryNumber || "—"}<AuditHistoryButton enquiryNumber={record.enquiryNumber} onOpen={setHistoryEnquiry} /></div>
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             <div className="text-xs text-gray-900 flex items-center">
@@ -955,30 +803,28 @@ function PaymentPage() {
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.powerPurchaseAgreement ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.powerPurchaseAgreement}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.vendorConsumerAgreement ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.vendorConsumerAgreement}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
@@ -1034,6 +880,7 @@ function PaymentPage() {
                           <td className="px-2 py-3 whitespace-nowrap">
                             <input
                               type="checkbox"
+                              disabled={!canEdit}
                               checked={isSelected}
                               onChange={(e) => handleRowSelection(record._id, e.target.checked)}
                               className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
@@ -1094,7 +941,7 @@ function PaymentPage() {
                             />
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
-                            <div className="text-xs font-medium text-blue-900">{record.enquiryNumber || "—"}</div>
+                            <div className="text-xs font-medium text-blue-900">{record.enquiryNumber || "—"}<AuditHistoryButton enquiryNumber={record.enquiryNumber} onOpen={setHistoryEnquiry} /></div>
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             <div className="text-xs text-gray-900 flex items-center">
@@ -1119,30 +966,28 @@ function PaymentPage() {
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.powerPurchaseAgreement ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.powerPurchaseAgreement}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.vendorConsumerAgreement ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.vendorConsumerAgreement}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
@@ -1252,6 +1097,7 @@ function PaymentPage() {
                               onChange={(e) => setPaymentForm({ ...paymentForm, amount: e.target.value })}
                               className="mt-1 focus:ring-blue-500 focus:border-blue-500 block w-full sm:text-sm border-gray-300 rounded-md"
                             />
+                            <FieldError message={fieldErrors.PAYMENT_AMOUNT} />
                           </div>
                           <div>
                             <label className="block text-sm font-medium text-gray-700">Deduction</label>
@@ -1261,6 +1107,7 @@ function PaymentPage() {
                               onChange={(e) => setPaymentForm({ ...paymentForm, deduction: e.target.value })}
                               className="mt-1 focus:ring-blue-500 focus:border-blue-500 block w-full sm:text-sm border-gray-300 rounded-md"
                             />
+                            <FieldError message={fieldErrors.PAYMENT_DEDUCTION} />
                           </div>
                         </>
                       )}
@@ -1279,7 +1126,10 @@ function PaymentPage() {
                 </button>
                 <button
                   type="button"
-                  onClick={() => setShowPaymentModal(false)}
+                  onClick={() => {
+                    setShowPaymentModal(false)
+                    setFieldErrors({})
+                  }}
                   className="mt-3 w-full inline-flex justify-center rounded-md border border-gray-300 shadow-sm px-4 py-2 bg-white text-base font-medium text-gray-700 hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 sm:mt-0 sm:ml-3 sm:w-auto sm:text-sm"
                 >
                   Cancel
@@ -1289,6 +1139,12 @@ function PaymentPage() {
           </div>
         </div>
       )}
+      <FmsConflictDialog conflict={conflict} onResolve={resolveConflict} />
+      <AuditHistoryDrawer
+        scriptUrl={CONFIG.APPS_SCRIPT_URL}
+        enquiryNumber={historyEnquiry}
+        onClose={() => setHistoryEnquiry(null)}
+      />
     </AdminLayout>
   )
 }
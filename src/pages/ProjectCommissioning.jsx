@@ -3,17 +3,22 @@
 import { useState, useEffect, useCallback, useMemo } from "react"
 import { CheckCircle2, X, Search, History, MapPin, Users, Phone, Eye, Package, Wrench, Calendar } from "lucide-react"
 import AdminLayout from "../components/layout/AdminLayout"
+import { AuditHistoryButton, AuditHistoryDrawer } from "../components/AuditHistory"
+import DocumentLink from "../components/DocumentLink"
+import FmsConflictDialog from "../components/FmsConflictDialog"
+import { getFmsValue } from "../lib/fmsSchema"
+import { updateFmsFields } from "../lib/fmsApi"
+import { useFmsSave } from "../lib/useFmsSave"
+import { useDropdownOptions, useFmsStage } from "../lib/fmsCache"
+import { can } from "../lib/permissions"
+import { config } from "../lib/config"
 
 // Updated Configuration object
 const CONFIG = {
   // Updated Google Apps Script URL
-  APPS_SCRIPT_URL:
-    "https://script.google.com/macros/s/AKfycbzF4JjwpmtgsurRYkORyZvQPvRGc06VuBMCJM00wFbOOtVsSyFiUJx5xtb1J0P5ooyf/exec",
-  // Updated Google Drive folder ID for file uploads
-  DRIVE_FOLDER_ID: "1Kp9eEqtQfesdie6l7XEuTZne6Md8_P8qzKfGFcHhpL4",
+  APPS_SCRIPT_URL: config.appsScriptUrl,
   // Sheet names
   SOURCE_SHEET_NAME: "FMS",
-  DROPDOWN_SHEET_NAME: "Drop-Down Value",
   // Updated page configuration
   PAGE_CONFIG: {
     title: "Project Commission",
@@ -23,6 +28,19 @@ const CONFIG = {
   },
 }
 
+// Columns this page reads and the FMS rows that belong to this stage; the
+// backend splits them into pending and history on COMMISSIONING_ACTUAL.
+const STAGE_QUERY = {
+  fields: [
+    "ENQUIRY_NUMBER", "BENEFICIARY_NAME", "ADDRESS", "CONTACT_NUMBER", "SURVEYOR_NAME",
+    "POWER_PURCHASE_AGREEMENT", "VENDOR_CONSUMER_AGREEMENT", "DOC_QUOTATION_COPY", "DOC_APPLICATION_COPY",
+    "DOC_ELECTRICITY_BILL", "DOC_WITNESS_ID_PROOF", "INSPECTION_STATUS", "INSPECTION_DATE",
+    "COMMISSIONING_STATUS", "COMMISSIONING_ACTUAL",
+  ],
+  filters: [{ field: "ENQUIRY_NUMBER", op: "notEmpty" }],
+  actualField: "COMMISSIONING_ACTUAL",
+}
+
 // Debounce hook for search optimization
 function useDebounce(value, delay) {
   const [debouncedValue, setDebouncedValue] = useState(value)
@@ -41,12 +59,11 @@ function useDebounce(value, delay) {
 }
 
 function ProjectCommissionPage() {
-  const [pendingData, setPendingData] = useState([])
-  const [historyData, setHistoryData] = useState([])
-  const [dropdownOptions, setDropdownOptions] = useState([])
+  const { saveFields, conflict, resolveConflict } = useFmsSave(CONFIG.APPS_SCRIPT_URL)
+  const [historyEnquiry, setHistoryEnquiry] = useState(null)
+  const canEdit = can("commissioning", "edit")
+  const dropdownOptions = useDropdownOptions(CONFIG.APPS_SCRIPT_URL, 7)
   const [searchTerm, setSearchTerm] = useState("")
-  const [loading, setLoading] = useState(true)
-  const [error, setError] = useState(null)
   const [showHistory, setShowHistory] = useState(false)
   const [isSubmitting, setIsSubmitting] = useState(false)
   const [successMessage, setSuccessMessage] = useState("")
@@ -146,181 +163,50 @@ function ProjectCommissionPage() {
     setUsername(user || "")
   }, [])
 
-  // Fetch dropdown options from Drop-Down Value sheet Column H2:H
-  const fetchDropdownOptions = useCallback(async () => {
-    try {
-      const response = await fetch(`${CONFIG.APPS_SCRIPT_URL}?sheet=${CONFIG.DROPDOWN_SHEET_NAME}&action=fetch`)
-
-      if (!response.ok) {
-        throw new Error(`Failed to fetch dropdown data: ${response.status}`)
-      }
-
-      const text = await response.text()
-      let data
-
-      try {
-        data = JSON.parse(text)
-      } catch (parseError) {
-        const jsonStart = text.indexOf("{")
-        const jsonEnd = text.lastIndexOf("}")
-        if (jsonStart !== -1 && jsonEnd !== -1) {
-          const jsonString = text.substring(jsonStart, jsonEnd + 1)
-          data = JSON.parse(jsonString)
-        } else {
-          throw new Error("Invalid JSON response from server")
-        }
-      }
-
-      let rows = []
-      if (data.table && data.table.rows) {
-        rows = data.table.rows
-      } else if (Array.isArray(data)) {
-        rows = data
-      } else if (data.values) {
-        rows = data.values.map((row) => ({ c: row.map((val) => ({ v: val })) }))
-      }
-
-      // Extract values from column H (index 7) starting from row 2
-      const options = []
-      rows.forEach((row, rowIndex) => {
-        if (rowIndex >= 1) {
-          // Skip header row (row 1)
-          let rowValues = []
-          if (row.c) {
-            rowValues = row.c.map((cell) => (cell && cell.v !== undefined ? cell.v : ""))
-          } else if (Array.isArray(row)) {
-            rowValues = row
-          }
-
-          const optionValue = rowValues[7] // Column H (index 7)
-          if (!isEmpty(optionValue)) {
-            options.push(optionValue.toString())
-          }
-        }
-      })
-
-      setDropdownOptions(options)
-    } catch (error) {
-      console.error("Error fetching dropdown options:", error)
-      setDropdownOptions([])
+  const toRecord = useCallback((row) => {
+    const fms = (key) => getFmsValue(row.values, key)
+
+    const enquiryNumber = fms("ENQUIRY_NUMBER") || ""
+
+    const googleSheetsRowIndex = row.rowIndex
+
+    const stableId = enquiryNumber
+      ? `enquiry_${enquiryNumber}_${googleSheetsRowIndex}`
+      : `row_${googleSheetsRowIndex}_${Math.random().toString(36).substring(2, 15)}`
+
+    const rowData = {
+      _id: stableId,
+      _rowIndex: googleSheetsRowIndex,
+      _version: row.version,
+      _enquiryNumber: enquiryNumber,
+      // Basic info columns
+      enquiryNumber: fms("ENQUIRY_NUMBER") || "",
+      beneficiaryName: fms("BENEFICIARY_NAME") || "",
+      address: fms("ADDRESS") || "",
+      contactNumber: fms("CONTACT_NUMBER") || "",
+      surveyorName: fms("SURVEYOR_NAME") || "",
+      // Project Commission specific columns - Updated mappings
+      powerPurchaseAgreement: fms("POWER_PURCHASE_AGREEMENT") || "",
+      vendorConsumerAgreement: fms("VENDOR_CONSUMER_AGREEMENT") || "",
+      quotationCopy: fms("DOC_QUOTATION_COPY") || "",
+      applicationCopy: fms("DOC_APPLICATION_COPY") || "",
+      electricityBill: fms("DOC_ELECTRICITY_BILL") || "",
+      witnessIdProof: fms("DOC_WITNESS_ID_PROOF") || "",
+      inspection: formatDate(fms("INSPECTION_STATUS") || ""),
+      date: formatDate(fms("INSPECTION_DATE") || ""),
+      projectCommission: fms("COMMISSIONING_STATUS") || "",
+      actualDate: formatDateTime(fms("COMMISSIONING_ACTUAL") || ""),
     }
-  }, [isEmpty])
-
-  // Optimized data fetching with updated column mappings
-  const fetchSheetData = useCallback(async () => {
-    try {
-      setLoading(true)
-      setError(null)
-
-      // Fetch both main data and dropdown options
-      await fetchDropdownOptions()
-
-      const response = await fetch(`${CONFIG.APPS_SCRIPT_URL}?sheet=${CONFIG.SOURCE_SHEET_NAME}&action=fetch`)
-
-      if (!response.ok) {
-        throw new Error(`Failed to fetch data: ${response.status}`)
-      }
-
-      const text = await response.text()
-      let data
-
-      try {
-        data = JSON.parse(text)
-      } catch (parseError) {
-        const jsonStart = text.indexOf("{")
-        const jsonEnd = text.lastIndexOf("}")
-        if (jsonStart !== -1 && jsonEnd !== -1) {
-          const jsonString = text.substring(jsonStart, jsonEnd + 1)
-          data = JSON.parse(jsonString)
-        } else {
-          throw new Error("Invalid JSON response from server")
-        }
-      }
 
-      const pending = []
-      const history = []
-      let rows = []
+    return rowData
+  }, [formatDate, formatDateTime])
 
-      if (data.table && data.table.rows) {
-        rows = data.table.rows
-      } else if (Array.isArray(data)) {
-        rows = data
-      } else if (data.values) {
-        rows = data.values.map((row) => ({ c: row.map((val) => ({ v: val })) }))
-      }
-
-      rows.forEach((row, rowIndex) => {
-        // Skip header rows and only process from row 7 onwards (rowIndex 6 in 0-based indexing)
-        if (rowIndex < 6) return
-
-        let rowValues = []
-        if (row.c) {
-          rowValues = row.c.map((cell) => (cell && cell.v !== undefined ? cell.v : ""))
-        } else if (Array.isArray(row)) {
-          rowValues = row
-        } else {
-          return
-        }
-
-        // Updated conditions: Column DM (index 116) not null and Column DS (index 122)
-        const enquiryNumber = rowValues[1] || ""
-        const columnDN = rowValues[117] // Column DN (index 117)
-
-        const hasEnquiry = !isEmpty(enquiryNumber)
-        if (!hasEnquiry) return // Skip if enquiry number is empty
-
-        const googleSheetsRowIndex = rowIndex + 1
-
-        const stableId = enquiryNumber
-          ? `enquiry_${enquiryNumber}_${googleSheetsRowIndex}`
-          : `row_${googleSheetsRowIndex}_${Math.random().toString(36).substring(2, 15)}`
-
-        const rowData = {
-          _id: stableId,
-          _rowIndex: googleSheetsRowIndex,
-          _enquiryNumber: enquiryNumber,
-          // Basic info columns
-          enquiryNumber: rowValues[1] || "", // B
-          beneficiaryName: rowValues[2] || "", // C
-          address: rowValues[3] || "", // D
-          contactNumber: rowValues[6] || "", // G
-          surveyorName: rowValues[29] || "", // AD
-          // Project Commission specific columns - Updated mappings
-          powerPurchaseAgreement: rowValues[100] || "", // CW (was CV)
-          vendorConsumerAgreement: rowValues[101] || "", // CX (was CW)
-          quotationCopy: rowValues[102] || "", // CY (was CX)
-          applicationCopy: rowValues[103] || "", // CZ (was CY)
-          electricityBill: rowValues[109] || "", // DF (was DE)
-          witnessIdProof: rowValues[110] || "", // DG (was DF)
-          inspection: formatDate(rowValues[114] || ""), // DK (was DJ)
-          date: formatDate(rowValues[115] || ""), // DL
-          projectCommission: rowValues[119] || "", // DP
-          actualDate: formatDateTime(rowValues[117] || ""), // DN (index 117)
-        }
-
-        // Check if Column DN is null for pending, not null for history
-        const isColumnDNEmpty = isEmpty(columnDN)
-
-        if (isColumnDNEmpty) {
-          pending.push(rowData)
-        } else {
-          history.push(rowData)
-        }
-      })
-
-      setPendingData(pending)
-      setHistoryData(history)
-      setLoading(false)
-    } catch (error) {
-      console.error("Error fetching sheet data:", error)
-      setError("Failed to load Project Commission data: " + error.message)
-      setLoading(false)
-    }
-  }, [isEmpty, fetchDropdownOptions, formatDate])
-
-  useEffect(() => {
-    fetchSheetData()
-  }, [fetchSheetData])
+  const { pendingData, historyData, setPendingData, setHistoryData, loading, error } = useFmsStage(
+    CONFIG.APPS_SCRIPT_URL,
+    STAGE_QUERY,
+    toRecord,
+    { pollInterval: 0 },
+  )
 
   // Initialize status and date values with existing data
   useEffect(() => {
@@ -406,41 +292,15 @@ function ProjectCommissionPage() {
       const isEdit = !isEmpty(selectedRecord.actualDate)
       const actualDate = isEdit ? selectedRecord.actualDate : formatTimestamp()
 
-      // Calculate row index (ensure it exists)
-      const rowIndex = selectedRecord._rowIndex
-
-      // Create array with 121 empty strings to ensure we have enough columns (up to DQ/120)
-      // We need to be careful not to overwrite other columns if using the "update" action with a specific rowData.
-      // However, the current "update" implementation usually replaces the whole row or specific columns if the script supports it.
-      // Based on previous patterns, we send a sparse array or full array.
-      // Let's use the same pattern as `handleSubmit` but adapted for single record edit.
-
-      // FIXED: Use null for columns we don't want to update
-      const rowData = Array(123).fill(null)
+      const fields = {}
 
       // Update only commission-specific columns:
-      rowData[115] = formatDate(commissionForm.date) // DL - Date
-      rowData[119] = commissionForm.projectCommission // DP - Project Commission Status
-      rowData[120] = formatDate(commissionForm.date) // DQ - Date
-      rowData[117] = formatDateTime(actualDate) // DN - Actual Date
-
-      // Prepare update data
-      const updateData = {
-        action: "update",
-        sheetName: CONFIG.SOURCE_SHEET_NAME,
-        rowIndex: rowIndex,
-        rowData: JSON.stringify(rowData),
-      }
-
-      const response = await fetch(CONFIG.APPS_SCRIPT_URL, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/x-www-form-urlencoded",
-        },
-        body: new URLSearchParams(updateData).toString(),
-      })
+      fields.INSPECTION_DATE = formatDate(commissionForm.date)
+      fields.COMMISSIONING_STATUS = commissionForm.projectCommission
+      fields.COMMISSIONING_DATE = formatDate(commissionForm.date)
+      fields.COMMISSIONING_ACTUAL = formatDateTime(actualDate)
 
-      const result = await response.json()
+      const result = await saveFields(selectedRecord, fields)
 
       if (result.success) {
         setSuccessMessage(`Project commission updated successfully for Enquiry Number: ${selectedRecord._enquiryNumber}`)
@@ -508,42 +368,25 @@ function ProjectCommissionPage() {
 
         if (!record) return
 
-        // FIXED: Use null for columns we don't want to update
-        const rowData = Array(123).fill(null)
+        const fields = {}
 
         // Set specific columns:
-        rowData[119] = status // DP - Status
+        fields.COMMISSIONING_STATUS = status
 
         // Date columns (if provided)
         if (selectedDate) {
-          rowData[115] = formatDate(selectedDate) // DL
-          rowData[120] = formatDate(selectedDate) // DQ
+          fields.INSPECTION_DATE = formatDate(selectedDate)
+          fields.COMMISSIONING_DATE = formatDate(selectedDate)
         }
 
         // Actual timestamp based on status
         if (status === "Done") {
-          rowData[117] = formatTimestamp() // DN - Set timestamp as requested
+          fields.COMMISSIONING_ACTUAL = formatTimestamp()
         } else {
-          rowData[117] = "" // Clear DN to move to pending
+          fields.COMMISSIONING_ACTUAL = ""
         }
 
-        // Prepare update data for this specific record
-        const updateData = {
-          action: "update",
-          sheetName: CONFIG.SOURCE_SHEET_NAME,
-          rowIndex: record._rowIndex,
-          rowData: JSON.stringify(rowData),
-        }
-
-        const response = await fetch(CONFIG.APPS_SCRIPT_URL, {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/x-www-form-urlencoded",
-          },
-          body: new URLSearchParams(updateData).toString(),
-        })
-
-        return response.json()
+        return updateFmsFields(CONFIG.APPS_SCRIPT_URL, record._enquiryNumber, fields, { version: record._version })
       })
 
       const results = await Promise.all(updatePromises)
@@ -672,7 +515,7 @@ function ProjectCommissionPage() {
         )}
 
         {/* Submit Button for Pending Section */}
-        {Object.values(selectedRows).some(Boolean) && (
+        {canEdit && Object.values(selectedRows).some(Boolean) && (
           <div className="bg-blue-50 border border-blue-200 p-4 rounded-md">
             <div className="flex items-center justify-between">
               <span className="text-blue-700 text-sm">
@@ -794,6 +637,7 @@ function ProjectCommissionPage() {
                           <td className="px-2 py-3 whitespace-nowrap">
                             <input
                               type="checkbox"
+                              disabled={!canEdit}
                               checked={selectedRows[record._id] || false}
                               onChange={(e) => handleRowSelection(record._id, e.target.checked)}
                               className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
@@ -827,7 +671,7 @@ function ProjectCommissionPage() {
                             </div>
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
-                            <div className="text-xs font-medium text-gray-900">{record.enquiryNumber || "—"}</div>
+                            <div className="text-xs font-medium text-gray-900">{record.enquiryNumber || "—"}<AuditHistoryButton enquiryNumber={record.enquiryNumber} onOpen={setHistoryEnquiry} /></div>
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             <div className="text-xs text-gray-900 flex items-center">
@@ -852,30 +696,28 @@ function ProjectCommissionPage() {
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.powerPurchaseAgreement ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.powerPurchaseAgreement}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.vendorConsumerAgreement ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.vendorConsumerAgreement}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
@@ -913,6 +755,7 @@ function ProjectCommissionPage() {
                         <td className="px-2 py-3 whitespace-nowrap">
                           <input
                             type="checkbox"
+                            disabled={!canEdit}
                             checked={selectedRows[record._id] || false}
                             onChange={(e) => handleRowSelection(record._id, e.target.checked)}
                             className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
@@ -943,7 +786,7 @@ function ProjectCommissionPage() {
                           />
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
-                          <div className="text-xs font-medium text-blue-900">{record.enquiryNumber || "—"}</div>
+                          <div className="text-xs font-medium text-blue-900">{record.enquiryNumber || "—"}<AuditHistoryButton enquiryNumber={record.enquiryNumber} onOpen={setHistoryEnquiry} /></div>
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           <div className="text-xs text-gray-900 flex items-center">
@@ -968,30 +811,28 @@ function ProjectCommissionPage() {
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.powerPurchaseAgreement ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.powerPurchaseAgreement}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.vendorConsumerAgreement ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.vendorConsumerAgreement}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
@@ -1104,6 +945,12 @@ function ProjectCommissionPage() {
           </div>
         </div>
       )}
+      <FmsConflictDialog conflict={conflict} onResolve={resolveConflict} />
+      <AuditHistoryDrawer
+        scriptUrl={CONFIG.APPS_SCRIPT_URL}
+        enquiryNumber={historyEnquiry}
+        onClose={() => setHistoryEnquiry(null)}
+      />
     </AdminLayout>
   )
 }
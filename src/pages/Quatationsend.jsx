@@ -3,17 +3,31 @@
 import { useState, useEffect, useCallback, useMemo } from "react"
 import { CheckCircle2, X, Search, History, MapPin, Users, Phone, Eye, Send, Wrench } from "lucide-react"
 import AdminLayout from "../components/layout/AdminLayout"
+import { AuditHistoryButton, AuditHistoryDrawer } from "../components/AuditHistory"
+import DocumentLink from "../components/DocumentLink"
+import FmsConflictDialog from "../components/FmsConflictDialog"
+import UploadProgress from "../components/UploadProgress"
+import { getFmsValue } from "../lib/fmsSchema"
+import { useDriveUploads } from "../lib/driveUpload"
+import { useFmsSave } from "../lib/useFmsSave"
+import { useDropdownOptions, useFmsStage } from "../lib/fmsCache"
+import { can } from "../lib/permissions"
+import { config } from "../lib/config"
 
 // Configuration object
 const CONFIG = {
   // Updated Google Apps Script URL
-  APPS_SCRIPT_URL:
-    "https://script.google.com/macros/s/AKfycbzF4JjwpmtgsurRYkORyZvQPvRGc06VuBMCJM00wFbOOtVsSyFiUJx5xtb1J0P5ooyf/exec",
+  APPS_SCRIPT_URL: config.appsScriptUrl,
   // Updated Google Drive folder ID for quotation uploads
-  DRIVE_FOLDER_ID: "1QNU59s_1KFG1C9Xq7ufmn6G9dLO8COYk",
+  DRIVE_FOLDER_ID: config.driveFolders.quotation,
+  DOCUMENT_STAGE: "Quotation",
+  DOCUMENT_NAMES: {
+    quotationCopy: "QuotationCopy",
+  },
   // Sheet names
   SOURCE_SHEET_NAME: "FMS",
-  DROPDOWN_SHEET_NAME: "Drop-Down Value",
+  // Shown when the Drop-Down Value sheet cannot be loaded
+  DEFAULT_STATUS_OPTIONS: ["Completed", "Pending", "In Progress", "Rejected"],
   // Updated page configuration
   PAGE_CONFIG: {
     title: "Quotation",
@@ -23,6 +37,22 @@ const CONFIG = {
   },
 }
 
+// Columns this page reads and the FMS rows that belong to this stage; the
+// backend splits them into pending and history on QUOTATION_ACTUAL.
+const STAGE_QUERY = {
+  fields: [
+    "ENQUIRY_NUMBER", "TIMESTAMP", "BENEFICIARY_NAME", "ADDRESS", "VILLAGE_BLOCK", "DISTRICT",
+    "CONTACT_NUMBER", "PRESENT_LOAD", "BP_NUMBER", "CSPDCL_CONTRACT_DEMAND", "AVG_ELECTRICITY_BILL",
+    "FUTURE_LOAD_REQUIREMENT", "LOAD_DETAILS", "HOURS_OF_FAILURE", "STRUCTURE_TYPE", "ROOF_TYPE",
+    "SYSTEM_TYPE", "NEED_TYPE", "PROJECT_MODE", "SURVEY_PLANNED", "SURVEY_ACTUAL", "SURVEY_DELAY",
+    "SURVEY_STATUS", "SURVEY_REPORT_COPY", "GEOTAG_PHOTO", "ELECTRICITY_BILL_COPY", "AADHAR_NUMBER",
+    "PAN_NUMBER", "ADDRESS_PROOF", "SURVEYOR_NAME", "SURVEYOR_CONTACT", "QUOTATION_PLANNED",
+    "QUOTATION_ACTUAL", "QUOTATION_DELAY", "QUOTATION_NUMBER", "QUOTATION_VALUE", "QUOTATION_COPY",
+  ],
+  filters: [{ field: "QUOTATION_PLANNED", op: "notEmpty" }],
+  actualField: "QUOTATION_ACTUAL",
+}
+
 // Debounce hook for search optimization
 function useDebounce(value, delay) {
   const [debouncedValue, setDebouncedValue] = useState(value)
@@ -38,12 +68,12 @@ function useDebounce(value, delay) {
 }
 
 function FMSDataPage() {
-  const [pendingData, setPendingData] = useState([])
-  const [historyData, setHistoryData] = useState([])
-  const [statusOptions, setStatusOptions] = useState([])
+  const { saveFields, conflict, resolveConflict } = useFmsSave(CONFIG.APPS_SCRIPT_URL)
+  const { uploads, upload, clearUploads } = useDriveUploads(CONFIG.APPS_SCRIPT_URL)
+  const [historyEnquiry, setHistoryEnquiry] = useState(null)
+  const canEdit = can("quotation", "edit")
+  const statusOptions = useDropdownOptions(CONFIG.APPS_SCRIPT_URL, 5, CONFIG.DEFAULT_STATUS_OPTIONS)
   const [searchTerm, setSearchTerm] = useState("")
-  const [loading, setLoading] = useState(true)
-  const [error, setError] = useState(null)
   const [showHistory, setShowHistory] = useState(false)
   const [showQuotationModal, setShowQuotationModal] = useState(false)
   const [selectedRecord, setSelectedRecord] = useState(null)
@@ -84,183 +114,68 @@ function FMSDataPage() {
     setUsername(user || "")
   }, [])
 
-  // Fetch dropdown values for status
-  const fetchDropdownValues = useCallback(async () => {
-    try {
-      const response = await fetch(`${CONFIG.APPS_SCRIPT_URL}?sheet=${CONFIG.DROPDOWN_SHEET_NAME}&action=fetch`)
-      if (!response.ok) {
-        throw new Error(`Failed to fetch dropdown data: ${response.status}`)
-      }
-      const text = await response.text()
-      let data
-      try {
-        data = JSON.parse(text)
-      } catch (parseError) {
-        const jsonStart = text.indexOf("{")
-        const jsonEnd = text.lastIndexOf("}")
-        if (jsonStart !== -1 && jsonEnd !== -1) {
-          const jsonString = text.substring(jsonStart, jsonEnd + 1)
-          data = JSON.parse(jsonString)
-        } else {
-          throw new Error("Invalid JSON response from server")
-        }
-      }
-
-      // Extract status options from column F (index 5)
-      const options = []
-      if (data.table && data.table.rows) {
-        data.table.rows.forEach((row, index) => {
-          if (index === 0) return // Skip header
-          const statusValue = row.c && row.c[5] && row.c[5].v
-          if (statusValue && statusValue.toString().trim() !== "") {
-            options.push(statusValue.toString().trim())
-          }
-        })
-      }
-      setStatusOptions(options)
-    } catch (error) {
-      console.error("Error fetching dropdown data:", error)
-      // Set default options if fetch fails
-      setStatusOptions(["Completed", "Pending", "In Progress", "Rejected"])
+  const toRecord = useCallback((row) => {
+    const fms = (key) => getFmsValue(row.values, key)
+
+    const googleSheetsRowIndex = row.rowIndex
+    const enquiryNumber = fms("ENQUIRY_NUMBER") || ""
+    const stableId = enquiryNumber
+      ? `enquiry_${enquiryNumber}_${googleSheetsRowIndex}`
+      : `row_${googleSheetsRowIndex}_${Math.random().toString(36).substring(2, 15)}`
+
+    const rowData = {
+      _id: stableId,
+      _rowIndex: googleSheetsRowIndex,
+      _version: row.version,
+      _enquiryNumber: enquiryNumber,
+      // Map all columns (A to AO = 0 to 40)
+      col0: fms("TIMESTAMP") || "",
+      col1: fms("ENQUIRY_NUMBER") || "",
+      col2: fms("BENEFICIARY_NAME") || "",
+      col3: fms("ADDRESS") || "",
+      col4: fms("VILLAGE_BLOCK") || "",
+      col5: fms("DISTRICT") || "",
+      col6: fms("CONTACT_NUMBER") || "",
+      col7: fms("PRESENT_LOAD") || "",
+      col8: fms("BP_NUMBER") || "",
+      col9: fms("CSPDCL_CONTRACT_DEMAND") || "",
+      col10: fms("AVG_ELECTRICITY_BILL") || "",
+      col11: fms("FUTURE_LOAD_REQUIREMENT") || "",
+      col12: fms("LOAD_DETAILS") || "",
+      col13: fms("HOURS_OF_FAILURE") || "",
+      col14: fms("STRUCTURE_TYPE") || "",
+      col15: fms("ROOF_TYPE") || "",
+      col16: fms("SYSTEM_TYPE") || "",
+      col17: fms("NEED_TYPE") || "",
+      col18: fms("PROJECT_MODE") || "",
+      col19: fms("SURVEY_PLANNED") || "",
+      col20: fms("SURVEY_ACTUAL") || "",
+      col21: fms("SURVEY_DELAY") || "",
+      col22: fms("SURVEY_STATUS") || "",
+      col23: fms("SURVEY_REPORT_COPY") || "",
+      col24: fms("GEOTAG_PHOTO") || "",
+      col25: fms("ELECTRICITY_BILL_COPY") || "",
+      col26: fms("AADHAR_NUMBER") || "",
+      col27: fms("PAN_NUMBER") || "",
+      col28: fms("ADDRESS_PROOF") || "",
+      col29: fms("SURVEYOR_NAME") || "",
+      col30: fms("SURVEYOR_CONTACT") || "",
+      col31: fms("QUOTATION_PLANNED") || "",
+      col32: fms("QUOTATION_ACTUAL") || "",
+      col33: fms("QUOTATION_DELAY") || "",
+      col34: fms("QUOTATION_NUMBER") || "",
+      col35: fms("QUOTATION_VALUE") || "",
+      col36: fms("QUOTATION_COPY") || "",
     }
-  }, [])
 
-  // Optimized data fetching
-  const fetchSheetData = useCallback(async () => {
-    try {
-      setLoading(true)
-      setError(null)
-
-      // Fetch dropdown values and sheet data in parallel
-      await Promise.all([
-        fetchDropdownValues(),
-        (async () => {
-          const response = await fetch(`${CONFIG.APPS_SCRIPT_URL}?sheet=${CONFIG.SOURCE_SHEET_NAME}&action=fetch`)
-          if (!response.ok) {
-            throw new Error(`Failed to fetch data: ${response.status}`)
-          }
-          const text = await response.text()
-          let data
-          try {
-            data = JSON.parse(text)
-          } catch (parseError) {
-            const jsonStart = text.indexOf("{")
-            const jsonEnd = text.lastIndexOf("}")
-            if (jsonStart !== -1 && jsonEnd !== -1) {
-              const jsonString = text.substring(jsonStart, jsonEnd + 1)
-              data = JSON.parse(jsonString)
-            } else {
-              throw new Error("Invalid JSON response from server")
-            }
-          }
-
-          const pending = []
-          const history = []
-          let rows = []
-
-          if (data.table && data.table.rows) {
-            rows = data.table.rows
-          } else if (Array.isArray(data)) {
-            rows = data
-          } else if (data.values) {
-            rows = data.values.map((row) => ({ c: row.map((val) => ({ v: val })) }))
-          }
-
-          rows.forEach((row, rowIndex) => {
-            // Skip header rows and only process from row 7 onwards (rowIndex 6 in 0-based indexing)
-            if (rowIndex < 6) return
-
-            let rowValues = []
-            if (row.c) {
-              rowValues = row.c.map((cell) => (cell && cell.v !== undefined ? cell.v : ""))
-            } else if (Array.isArray(row)) {
-              rowValues = row
-            } else {
-              return
-            }
-
-            // Check conditions: Column AF (index 31) not null and Column AG (index 32)
-            const columnAF = rowValues[31] // Column AF
-            const columnAG = rowValues[32] // Column AG
-            const hasColumnAF = !isEmpty(columnAF)
-
-            if (!hasColumnAF) return // Skip if column AF is empty
-
-            const googleSheetsRowIndex = rowIndex + 1
-            const enquiryNumber = rowValues[1] || ""
-            const stableId = enquiryNumber
-              ? `enquiry_${enquiryNumber}_${googleSheetsRowIndex}`
-              : `row_${googleSheetsRowIndex}_${Math.random().toString(36).substring(2, 15)}`
-
-            const rowData = {
-              _id: stableId,
-              _rowIndex: googleSheetsRowIndex,
-              _enquiryNumber: enquiryNumber,
-              // Map all columns (A to AO = 0 to 40)
-              col0: rowValues[0] || "", // A
-              col1: rowValues[1] || "", // B - Enquiry Number
-              col2: rowValues[2] || "", // C - Beneficiary Name
-              col3: rowValues[3] || "", // D - Address
-              col4: rowValues[4] || "", // E - Village/Block
-              col5: rowValues[5] || "", // F - District
-              col6: rowValues[6] || "", // G - Contact Number
-              col7: rowValues[7] || "", // H - Present Load
-              col8: rowValues[8] || "", // I - BP Number
-              col9: rowValues[9] || "", // J - CSPDCL Contract Demand
-              col10: rowValues[10] || "", // K - Last 6 Months Average Electricity Bill
-              col11: rowValues[11] || "", // L - Future Load Requirement
-              col12: rowValues[12] || "", // M - Load Details/Application
-              col13: rowValues[13] || "", // N - No Of Hours Of Failure
-              col14: rowValues[14] || "", // O - Structure type
-              col15: rowValues[15] || "", // P - Roof Type
-              col16: rowValues[16] || "", // Q - System Type
-              col17: rowValues[17] || "", // R - Need Type
-              col18: rowValues[18] || "", // S - Project Mode
-              col19: rowValues[19] || "", // T
-              col20: rowValues[20] || "", // U
-              col21: rowValues[21] || "", // V
-              col22: rowValues[22] || "", // W - Status
-              col23: rowValues[23] || "", // X - Copy Survey Report
-              col24: rowValues[24] || "", // Y - Geotag Photo Site
-              col25: rowValues[25] || "", // Z - Three Months Electricity Bill Copy
-              col26: rowValues[26] || "", // AA - Aadhar Card
-              col27: rowValues[27] || "", // AB - Pan Card
-              col28: rowValues[28] || "", // AC - Address Proof
-              col29: rowValues[29] || "", // AD - Surveyor Name
-              col30: rowValues[30] || "", // AE - Contact Number
-              col31: rowValues[31] || "", // AF
-              col32: rowValues[32] || "", // AG - Actual
-              col33: rowValues[33] || "", // AH
-              col34: rowValues[34] || "", // AI - Quotation Number
-              col35: rowValues[35] || "", // AJ - Value Of Quotation
-              col36: rowValues[36] || "", // AK - Quotation Copy
-            }
-
-            // Check if Column AG is null for pending, not null for history
-            const isColumnAGEmpty = isEmpty(columnAG)
-
-            if (isColumnAGEmpty) {
-              pending.push(rowData)
-            } else {
-              history.push(rowData)
-            }
-          })
-
-          setPendingData(pending)
-          setHistoryData(history)
-          setLoading(false)
-        })(),
-      ])
-    } catch (error) {
-      console.error("Error fetching sheet data:", error)
-      setError("Failed to load FMS data: " + error.message)
-      setLoading(false)
-    }
-  }, [fetchDropdownValues, isEmpty])
+    return rowData
+  }, [])
 
-  useEffect(() => {
-    fetchSheetData()
-  }, [fetchSheetData])
+  const { pendingData, historyData, setPendingData, setHistoryData, loading, error } = useFmsStage(
+    CONFIG.APPS_SCRIPT_URL,
+    STAGE_QUERY,
+    toRecord,
+  )
 
   // Optimized filtered data with debounced search
   const filteredPendingData = useMemo(() => {
@@ -290,8 +205,9 @@ function FMSDataPage() {
       valueOfQuotation: record.col35 || "",
       quotationCopy: null,
     })
+    clearUploads()
     setShowQuotationModal(true)
-  }, [])
+  }, [clearUploads])
 
   const handleFileUpload = useCallback((field, file) => {
     setQuotationForm((prev) => ({ ...prev, [field]: file }))
@@ -301,46 +217,23 @@ function FMSDataPage() {
     setQuotationForm((prev) => ({ ...prev, [field]: value }))
   }, [])
 
-  const fileToBase64 = useCallback((file) => {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader()
-      reader.readAsDataURL(file)
-      reader.onload = () => resolve(reader.result)
-      reader.onerror = (error) => reject(error)
-    })
-  }, [])
-
   const uploadImageToDrive = useCallback(
-    async (file) => {
+    async (file, documentName) => {
       try {
-        const base64Data = await fileToBase64(file)
-        const formData = new FormData()
-        formData.append("action", "uploadFile")
-        formData.append("base64Data", base64Data)
-        formData.append(
-          "fileName",
-          `${selectedRecord._enquiryNumber}_quotation_${Date.now()}.${file.name.split(".").pop()}`,
-        )
-        formData.append("mimeType", file.type)
-        formData.append("folderId", CONFIG.DRIVE_FOLDER_ID)
-
-        const response = await fetch(CONFIG.APPS_SCRIPT_URL, {
-          method: "POST",
-          body: formData,
+        const result = await upload(file, {
+          fileName: file.name,
+          folderId: CONFIG.DRIVE_FOLDER_ID,
+          enquiryNumber: selectedRecord._enquiryNumber,
+          stage: CONFIG.DOCUMENT_STAGE,
+          documentName,
         })
-
-        const result = await response.json()
-        if (result.success) {
-          return result.fileUrl
-        } else {
-          throw new Error("Failed to upload quotation copy")
-        }
+        return result.fileUrl
       } catch (error) {
         console.error("Error uploading quotation copy:", error)
         throw error
       }
     },
-    [selectedRecord, fileToBase64],
+    [selectedRecord, upload],
   )
 
   const handleQuotationSubmit = async () => {
@@ -356,33 +249,17 @@ function FMSDataPage() {
       let quotationCopyUrl = selectedRecord.col36 || ""
 
       if (quotationForm.quotationCopy) {
-        quotationCopyUrl = await uploadImageToDrive(quotationForm.quotationCopy)
+        quotationCopyUrl = await uploadImageToDrive(quotationForm.quotationCopy, CONFIG.DOCUMENT_NAMES.quotationCopy)
       }
 
       // Prepare update data
-      // FIXED: Use null for columns we don't want to update
-      const rowData = Array(37).fill(null) // Array up to column AK (index 36)
-      rowData[32] = formatTimestamp() // AG - Actual  
-      rowData[34] = quotationForm.quotationNumber // AI - Quotation Number
-      rowData[35] = quotationForm.valueOfQuotation // AJ - Value Of Quotation
-      rowData[36] = quotationCopyUrl // AK - Quotation Copy
-
-      const updateData = {
-        action: "update",
-        sheetName: CONFIG.SOURCE_SHEET_NAME,
-        rowIndex: selectedRecord._rowIndex,
-        rowData: JSON.stringify(rowData)
-      }
-
-      const response = await fetch(CONFIG.APPS_SCRIPT_URL, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/x-www-form-urlencoded",
-        },
-        body: new URLSearchParams(updateData).toString(),
-      })
+      const fields = {}
+      fields.QUOTATION_ACTUAL = formatTimestamp()
+      fields.QUOTATION_NUMBER = quotationForm.quotationNumber
+      fields.QUOTATION_VALUE = quotationForm.valueOfQuotation
+      fields.QUOTATION_COPY = quotationCopyUrl
 
-      const result = await response.json()
+      const result = await saveFields(selectedRecord, fields)
       if (result.success) {
         setSuccessMessage(`Quotation submitted successfully for Enquiry Number: ${selectedRecord._enquiryNumber}`)
         setShowQuotationModal(false)
@@ -620,16 +497,18 @@ function FMSDataPage() {
                       filteredHistoryData.map((record) => (
                         <tr key={record._id} className="hover:bg-gray-50">
                           <td className="px-2 py-3 whitespace-nowrap">
-                            <button
-                              onClick={() => handleQuotationClick(record)}
-                              className="inline-flex items-center px-3 py-1 border border-transparent text-xs leading-4 font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors"
-                            >
-                              <Wrench className="h-3 w-3 mr-1" />
-                              Edit
-                            </button>
+                            {canEdit && (
+                              <button
+                                onClick={() => handleQuotationClick(record)}
+                                className="inline-flex items-center px-3 py-1 border border-transparent text-xs leading-4 font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors"
+                              >
+                                <Wrench className="h-3 w-3 mr-1" />
+                                Edit
+                              </button>
+                            )}
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
-                            <div className="text-xs font-medium text-gray-900">{record.col1 || "—"}</div>
+                            <div className="text-xs font-medium text-gray-900">{record.col1 || "—"}<AuditHistoryButton enquiryNumber={record._enquiryNumber} onOpen={setHistoryEnquiry} /></div>
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             <div className="text-xs text-gray-900">{record.col2 || "—"}</div>
@@ -653,15 +532,14 @@ function FMSDataPage() {
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.col28 ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.col28}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
@@ -680,15 +558,14 @@ function FMSDataPage() {
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.col36 ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.col36}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
@@ -706,16 +583,18 @@ function FMSDataPage() {
                     filteredPendingData.map((record) => (
                       <tr key={record._id} className="hover:bg-gray-50">
                         <td className="px-2 py-3 whitespace-nowrap">
-                          <button
-                            onClick={() => handleQuotationClick(record)}
-                            className="inline-flex items-center px-3 py-1 border border-transparent text-xs leading-4 font-medium rounded-md text-white bg-gradient-to-r from-green-500 to-blue-600 hover:from-green-600 hover:to-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
-                          >
-                            <Send className="h-3 w-3 mr-1" />
-                            Quotation
-                          </button>
+                          {canEdit && (
+                            <button
+                              onClick={() => handleQuotationClick(record)}
+                              className="inline-flex items-center px-3 py-1 border border-transparent text-xs leading-4 font-medium rounded-md text-white bg-gradient-to-r from-green-500 to-blue-600 hover:from-green-600 hover:to-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
+                            >
+                              <Send className="h-3 w-3 mr-1" />
+                              Quotation
+                            </button>
+                          )}
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
-                          <div className="text-xs font-medium text-blue-900">{record.col1 || "—"}</div>
+                          <div className="text-xs font-medium text-blue-900">{record.col1 || "—"}<AuditHistoryButton enquiryNumber={record._enquiryNumber} onOpen={setHistoryEnquiry} /></div>
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           <div className="text-xs text-gray-900 flex items-center">
@@ -748,45 +627,42 @@ function FMSDataPage() {
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.col23 ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.col23}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.col24 ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.col24}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.col25 ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.col25}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
@@ -799,15 +675,14 @@ function FMSDataPage() {
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.col28 ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.col28}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
@@ -907,14 +782,16 @@ function FMSDataPage() {
                     ) : selectedRecord.col36 ? (
                       <div className="flex items-center mt-1">
                         <span className="text-xs text-gray-500 mr-2">Current file:</span>
-                        <a href={selectedRecord.col36} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline text-xs flex items-center">
+                        <DocumentLink scriptUrl={CONFIG.APPS_SCRIPT_URL} href={selectedRecord.col36} className="text-blue-600 hover:underline text-xs flex items-center">
                           <Eye className="h-3 w-3 mr-1" /> View
-                        </a>
+                        </DocumentLink>
                       </div>
                     ) : null}
                   </div>
                 </div>
 
+                <UploadProgress uploads={uploads} />
+
                 {/* Action Buttons */}
                 <div className="flex justify-end space-x-3 mt-6 pt-3 border-t">
                   <button
@@ -937,6 +814,12 @@ function FMSDataPage() {
           </div>
         )}
       </div>
+      <FmsConflictDialog conflict={conflict} onResolve={resolveConflict} />
+      <AuditHistoryDrawer
+        scriptUrl={CONFIG.APPS_SCRIPT_URL}
+        enquiryNumber={historyEnquiry}
+        onClose={() => setHistoryEnquiry(null)}
+      />
     </AdminLayout>
   )
 }
@@ -3,17 +3,23 @@
 import { useState, useEffect, useCallback, useMemo } from "react"
 import { CheckCircle2, X, Search, History, MapPin, Users, Phone, Eye, FileText, Wrench } from "lucide-react"
 import AdminLayout from "../components/layout/AdminLayout"
+import { AuditHistoryButton, AuditHistoryDrawer } from "../components/AuditHistory"
+import DocumentLink from "../components/DocumentLink"
+import FmsBatchResult from "../components/FmsBatchResult"
+import FmsConflictDialog from "../components/FmsConflictDialog"
+import { getFmsValue } from "../lib/fmsSchema"
+import { useFmsBatchSave } from "../lib/useFmsBatchSave"
+import { useFmsSave } from "../lib/useFmsSave"
+import { useDropdownOptions, useFmsStage } from "../lib/fmsCache"
+import { can } from "../lib/permissions"
+import { config } from "../lib/config"
 
 // Updated Configuration object
 const CONFIG = {
   // Updated Google Apps Script URL
-  APPS_SCRIPT_URL:
-    "https://script.google.com/macros/s/AKfycbzF4JjwpmtgsurRYkORyZvQPvRGc06VuBMCJM00wFbOOtVsSyFiUJx5xtb1J0P5ooyf/exec",
-  // Updated Google Sheet ID
-  DRIVE_FOLDER_ID: "1Kp9eEqtQfesdie6l7XEuTZne6Md8_P8qzKfGFcHhpL4",
+  APPS_SCRIPT_URL: config.appsScriptUrl,
   // Sheet names
   SOURCE_SHEET_NAME: "FMS",
-  DROPDOWN_SHEET_NAME: "Drop-Down Value",
   // Updated page configuration
   PAGE_CONFIG: {
     title: "Subsidy Redemption",
@@ -23,6 +29,19 @@ const CONFIG = {
   },
 }
 
+// Columns this page reads and the FMS rows that belong to this stage; the
+// backend splits them into pending and history on REDEMPTION_ACTUAL.
+const STAGE_QUERY = {
+  fields: [
+    "ENQUIRY_NUMBER", "BENEFICIARY_NAME", "ADDRESS", "CONTACT_NUMBER", "SURVEYOR_NAME",
+    "POWER_PURCHASE_AGREEMENT", "VENDOR_CONSUMER_AGREEMENT", "DOC_QUOTATION_COPY", "DOC_APPLICATION_COPY",
+    "DOC_ELECTRICITY_BILL", "DOC_WITNESS_ID_PROOF", "INSPECTION_STATUS", "COMMISSIONING_STATUS",
+    "REDEMPTION_ACTUAL", "SUBSIDY_TOKEN",
+  ],
+  filters: [{ field: "ENQUIRY_NUMBER", op: "notEmpty" }],
+  actualField: "REDEMPTION_ACTUAL",
+}
+
 // Debounce hook for search optimization
 function useDebounce(value, delay) {
   const [debouncedValue, setDebouncedValue] = useState(value)
@@ -38,12 +57,12 @@ function useDebounce(value, delay) {
 }
 
 function SubsidyTokenPage() {
-  const [pendingData, setPendingData] = useState([])
-  const [historyData, setHistoryData] = useState([])
-  const [dropdownOptions, setDropdownOptions] = useState([])
+  const { saveFields, conflict, resolveConflict } = useFmsSave(CONFIG.APPS_SCRIPT_URL)
+  const { submitBatch, retryFailed, batchResult, isRetrying, dismissBatchResult } = useFmsBatchSave(CONFIG.APPS_SCRIPT_URL)
+  const [historyEnquiry, setHistoryEnquiry] = useState(null)
+  const canEdit = can("redemption", "edit")
+  const dropdownOptions = useDropdownOptions(CONFIG.APPS_SCRIPT_URL, 7)
   const [searchTerm, setSearchTerm] = useState("")
-  const [loading, setLoading] = useState(true)
-  const [error, setError] = useState(null)
   const [showHistory, setShowHistory] = useState(false)
   const [isSubmitting, setIsSubmitting] = useState(false)
   const [successMessage, setSuccessMessage] = useState("")
@@ -113,173 +132,50 @@ function SubsidyTokenPage() {
     setUsername(user || "")
   }, [])
 
-  // Fetch dropdown options from column H2:H
-  const fetchDropdownOptions = useCallback(async () => {
-    try {
-      const response = await fetch(`${CONFIG.APPS_SCRIPT_URL}?sheet=${CONFIG.DROPDOWN_SHEET_NAME}&action=fetch`)
-      if (!response.ok) {
-        throw new Error(`Failed to fetch dropdown data: ${response.status}`)
-      }
-      const text = await response.text()
-      let data
-      try {
-        data = JSON.parse(text)
-      } catch (parseError) {
-        const jsonStart = text.indexOf("{")
-        const jsonEnd = text.lastIndexOf("}")
-        if (jsonStart !== -1 && jsonEnd !== -1) {
-          const jsonString = text.substring(jsonStart, jsonEnd + 1)
-          data = JSON.parse(jsonString)
-        } else {
-          throw new Error("Invalid JSON response from server")
-        }
-      }
-
-      let rows = []
-      if (data.table && data.table.rows) {
-        rows = data.table.rows
-      } else if (Array.isArray(data)) {
-        rows = data
-      } else if (data.values) {
-        rows = data.values.map((row) => ({ c: row.map((val) => ({ v: val })) }))
-      }
-
-      // Extract values from column H (index 7) starting from row 2
-      const options = []
-      rows.forEach((row, rowIndex) => {
-        if (rowIndex >= 1) {
-          // Skip header row (row 1)
-          let rowValues = []
-          if (row.c) {
-            rowValues = row.c.map((cell) => (cell && cell.v !== undefined ? cell.v : ""))
-          } else if (Array.isArray(row)) {
-            rowValues = row
-          }
-          const optionValue = rowValues[7] // Column H (index 7)
-          if (!isEmpty(optionValue)) {
-            options.push(optionValue.toString())
-          }
-        }
-      })
-      setDropdownOptions(options)
-    } catch (error) {
-      console.error("Error fetching dropdown options:", error)
-      setDropdownOptions([])
+  const toRecord = useCallback((row) => {
+    const fms = (key) => getFmsValue(row.values, key)
+
+    const enquiryNumber = fms("ENQUIRY_NUMBER") || ""
+
+    const googleSheetsRowIndex = row.rowIndex
+    const stableId = enquiryNumber
+      ? `enquiry_${enquiryNumber}_${googleSheetsRowIndex}`
+      : `row_${googleSheetsRowIndex}_${Math.random().toString(36).substring(2, 15)}`
+
+    const rowData = {
+      _id: stableId,
+      _rowIndex: googleSheetsRowIndex,
+      _version: row.version,
+      _enquiryNumber: enquiryNumber,
+      // Updated column mappings as per specifications
+      enquiryNumber: fms("ENQUIRY_NUMBER") || "",
+      beneficiaryName: fms("BENEFICIARY_NAME") || "",
+      address: fms("ADDRESS") || "",
+      contactNumber: fms("CONTACT_NUMBER") || "",
+      surveyorName: fms("SURVEYOR_NAME") || "",
+      // Updated document columns
+      powerPurchaseAgreement: fms("POWER_PURCHASE_AGREEMENT") || "",
+      vendorConsumerAgreement: fms("VENDOR_CONSUMER_AGREEMENT") || "",
+      quotationCopy: fms("DOC_QUOTATION_COPY") || "",
+      applicationCopy: fms("DOC_APPLICATION_COPY") || "",
+      electricityBill: fms("DOC_ELECTRICITY_BILL") || "",
+      witnessIdProof: fms("DOC_WITNESS_ID_PROOF") || "",
+      inspection: fms("INSPECTION_STATUS") || "",
+      projectCommission: fms("COMMISSIONING_STATUS") || "",
+      // Status and timestamp columns
+      actual: formatDateTime(fms("REDEMPTION_ACTUAL") || ""),
+      subsidyToken: fms("SUBSIDY_TOKEN") || "",
     }
-  }, [isEmpty])
-
-  // Updated data fetching with new column mappings
-  const fetchSheetData = useCallback(async () => {
-    try {
-      setLoading(true)
-      setError(null)
-
-      // Fetch both main data and dropdown options
-      await fetchDropdownOptions()
-
-      const response = await fetch(`${CONFIG.APPS_SCRIPT_URL}?sheet=${CONFIG.SOURCE_SHEET_NAME}&action=fetch`)
-      if (!response.ok) {
-        throw new Error(`Failed to fetch data: ${response.status}`)
-      }
-
-      const text = await response.text()
-      let data
-      try {
-        data = JSON.parse(text)
-      } catch (parseError) {
-        const jsonStart = text.indexOf("{")
-        const jsonEnd = text.lastIndexOf("}")
-        if (jsonStart !== -1 && jsonEnd !== -1) {
-          const jsonString = text.substring(jsonStart, jsonEnd + 1)
-          data = JSON.parse(jsonString)
-        } else {
-          throw new Error("Invalid JSON response from server")
-        }
-      }
-
-      const pending = []
-      const history = []
-      let rows = []
-
-      if (data.table && data.table.rows) {
-        rows = data.table.rows
-      } else if (Array.isArray(data)) {
-        rows = data
-      } else if (data.values) {
-        rows = data.values.map((row) => ({ c: row.map((val) => ({ v: val })) }))
-      }
-
-      rows.forEach((row, rowIndex) => {
-        // Skip header rows and only process from row 7 onwards (rowIndex 6 in 0-based indexing)
-        if (rowIndex < 6) return
-
-        let rowValues = []
-        if (row.c) {
-          rowValues = row.c.map((cell) => (cell && cell.v !== undefined ? cell.v : ""))
-        } else if (Array.isArray(row)) {
-          rowValues = row
-        } else {
-          return
-        }
-
-        // Updated conditions: Column DR (index 121) not null and Column DS (index 122)
-        const enquiryNumber = rowValues[1] || ""
-        const columnDS = rowValues[122] // Column DS (index 122)
-
-        const hasEnquiry = !isEmpty(enquiryNumber)
-        if (!hasEnquiry) return // Skip if enquiry number is empty
-
-        const googleSheetsRowIndex = rowIndex + 1
-        const stableId = enquiryNumber
-          ? `enquiry_${enquiryNumber}_${googleSheetsRowIndex}`
-          : `row_${googleSheetsRowIndex}_${Math.random().toString(36).substring(2, 15)}`
-
-        const rowData = {
-          _id: stableId,
-          _rowIndex: googleSheetsRowIndex,
-          _enquiryNumber: enquiryNumber,
-          // Updated column mappings as per specifications
-          enquiryNumber: rowValues[1] || "", // B
-          beneficiaryName: rowValues[2] || "", // C
-          address: rowValues[3] || "", // D
-          contactNumber: rowValues[6] || "", // G
-          surveyorName: rowValues[29] || "", // AD
-          // Updated document columns
-          powerPurchaseAgreement: rowValues[100] || "", // CW (IMAGE)
-          vendorConsumerAgreement: rowValues[101] || "", // CX (IMAGE)
-          quotationCopy: rowValues[102] || "", // CY
-          applicationCopy: rowValues[103] || "", // CZ
-          electricityBill: rowValues[109] || "", // DF
-          witnessIdProof: rowValues[110] || "", // DG
-          inspection: rowValues[113] || "", // DK
-          projectCommission: rowValues[118] || "", // DP
-          // Status and timestamp columns
-          actual: formatDateTime(rowValues[122] || ""), // DS
-          subsidyToken: rowValues[124] || "", // DU
-        }
-
-        // Check if Column DS is null for pending, not null for history
-        const isColumnDSEmpty = isEmpty(columnDS)
-        if (isColumnDSEmpty) {
-          pending.push(rowData)
-        } else {
-          history.push(rowData)
-        }
-      })
 
-      setPendingData(pending)
-      setHistoryData(history)
-      setLoading(false)
-    } catch (error) {
-      console.error("Error fetching sheet data:", error)
-      setError("Failed to load Subsidy Token data: " + error.message)
-      setLoading(false)
-    }
-  }, [isEmpty, fetchDropdownOptions])
+    return rowData
+  }, [formatDateTime])
 
-  useEffect(() => {
-    fetchSheetData()
-  }, [fetchSheetData])
+  const { pendingData, historyData, setPendingData, setHistoryData, loading, error } = useFmsStage(
+    CONFIG.APPS_SCRIPT_URL,
+    STAGE_QUERY,
+    toRecord,
+    { pollInterval: 0 },
+  )
 
   // Initialize status values with existing subsidy token values
   useEffect(() => {
@@ -347,38 +243,21 @@ function SubsidyTokenPage() {
       const isEdit = !isEmpty(selectedRecord.actual)
       const actualDate = isEdit ? formatDateTime(selectedRecord.actual) : formatTimestamp()
 
-      const rowIndex = selectedRecord._rowIndex
-      // FIXED: Use null for columns we don't want to update
-      const rowData = Array(150).fill(null)
+      const fields = {}
 
       // DU (124) - Status (Subsidy Token)
-      rowData[124] = tokenForm.subsidyToken
+      fields.SUBSIDY_TOKEN = tokenForm.subsidyToken
 
       // DS (122) - Actual timestamp
       // If status is "Done", keep existing timestamp or set new one if empty
       // If status is NOT "Done", clear the timestamp to move it back to pending
       if (tokenForm.subsidyToken === "Done") {
-        rowData[122] = selectedRecord.actual ? formatDateTime(selectedRecord.actual) : formatTimestamp()
+        fields.REDEMPTION_ACTUAL = selectedRecord.actual ? formatDateTime(selectedRecord.actual) : formatTimestamp()
       } else {
-        rowData[122] = ""
-      }
-
-      const updateData = {
-        action: "update",
-        sheetName: CONFIG.SOURCE_SHEET_NAME,
-        rowIndex: rowIndex,
-        rowData: JSON.stringify(rowData),
+        fields.REDEMPTION_ACTUAL = ""
       }
 
-      const response = await fetch(CONFIG.APPS_SCRIPT_URL, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/x-www-form-urlencoded",
-        },
-        body: new URLSearchParams(updateData).toString(),
-      })
-
-      const result = await response.json()
+      const result = await saveFields(selectedRecord, fields)
 
       if (result.success) {
         setSuccessMessage(`Subsidy token updated successfully for Enquiry Number: ${selectedRecord._enquiryNumber}`)
@@ -427,88 +306,41 @@ function SubsidyTokenPage() {
 
     setIsSubmitting(true)
     try {
-      const updatePromises = selectedRecordIds.map(async (recordId) => {
+      const items = selectedRecordIds.map((recordId) => {
         const record = pendingData.find((r) => r._id === recordId) || historyData.find((r) => r._id === recordId)
         const status = statusValues[recordId]
-        if (!record) return
+        if (!record) return null
 
-        // FIXED: Use null for columns we don't want to update
-        const rowData = Array(150).fill(null)
+        const fields = {}
 
         // Updated column mappings:
         // Column DU (index 124) - Status (Subsidy Token)
-        rowData[124] = status
+        fields.SUBSIDY_TOKEN = status
 
         // Column DS (index 122) - Actual timestamp
         // Logic: if Done, keep existing timestamp or set new one if empty.
         // If status is NOT "Done", clear the timestamp to move it back to pending.
         if (status === "Done") {
-          rowData[122] = record.actual ? formatDateTime(record.actual) : formatTimestamp()
+          fields.REDEMPTION_ACTUAL = record.actual ? formatDateTime(record.actual) : formatTimestamp()
         } else {
-          rowData[122] = ""
-        }
-
-        // Prepare update data for this specific record
-        const updateData = {
-          action: "update",
-          sheetName: CONFIG.SOURCE_SHEET_NAME,
-          rowIndex: record._rowIndex,
-          rowData: JSON.stringify(rowData),
+          fields.REDEMPTION_ACTUAL = ""
         }
 
-        const response = await fetch(CONFIG.APPS_SCRIPT_URL, {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/x-www-form-urlencoded",
-          },
-          body: new URLSearchParams(updateData).toString(),
-        })
-        return response.json()
-      })
-
-      const results = await Promise.all(updatePromises)
-      const failedUpdates = results.filter((result) => !result.success)
-      if (failedUpdates.length > 0) {
-        throw new Error("Some updates failed")
-      }
-
-      setSuccessMessage(`Successfully updated ${selectedRecordIds.length} subsidy token record(s)`)
-
-      // Update local state
-      const updatedRecords = selectedRecordIds.map((recordId) => {
-        const record = pendingData.find((r) => r._id === recordId) || historyData.find((r) => r._id === recordId)
-        const status = statusValues[recordId]
-
-        if (!record) return null
-
-        return {
+        // Local copy of the record once the write is through
+        const updated = {
           ...record,
           subsidyToken: status,
-          actual: status === "Done" ? (record.actual ? formatDateTime(record.actual) : formatTimestamp()) : "",
+          actual: fields.REDEMPTION_ACTUAL,
         }
-      }).filter(Boolean)
 
-      const movedToHistory = updatedRecords.filter((r) => r.subsidyToken === "Done")
-      const movedToPending = updatedRecords.filter((r) => r.subsidyToken !== "Done")
-
-      setPendingData((prev) => {
-        const remaining = prev.filter((r) => !selectedRecordIds.includes(r._id))
-        return [...remaining, ...movedToPending]
-      })
+        return { record, fields, updated }
+      }).filter(Boolean)
 
-      setHistoryData((prev) => {
-        const remaining = prev.filter((r) => !selectedRecordIds.includes(r._id))
-        return [...remaining, ...movedToHistory]
-      })
+      applyWritten(await submitBatch(items))
 
       // Clear selections and status values
       setSelectedRows({})
       setStatusValues({})
-
-      // Clear success message after 3 seconds
-      setTimeout(() => {
-        setSuccessMessage("")
-      }, 3000)
     } catch (error) {
       console.error("Error updating subsidy tokens:", error)
       alert("Failed to update subsidy tokens: " + error.message)
@@ -517,6 +349,28 @@ function SubsidyTokenPage() {
     }
   }
 
+  // Move the records a bulk submit wrote between pending and history.
+  const applyWritten = (written) => {
+    const updatedRecords = written.map((item) => item.updated)
+    const writtenIds = updatedRecords.map((r) => r._id)
+    const movedToHistory = updatedRecords.filter((r) => r.subsidyToken === "Done")
+    const movedToPending = updatedRecords.filter((r) => r.subsidyToken !== "Done")
+
+    setPendingData((prev) => {
+      const remaining = prev.filter((r) => !writtenIds.includes(r._id))
+      return [...remaining, ...movedToPending]
+    })
+
+    setHistoryData((prev) => {
+      const remaining = prev.filter((r) => !writtenIds.includes(r._id))
+      return [...remaining, ...movedToHistory]
+    })
+  }
+
+  const handleRetryFailed = async () => {
+    applyWritten(await retryFailed())
+  }
+
   const toggleSection = useCallback((section) => {
     setShowHistory(section === "history")
     setSearchTerm("")
@@ -585,8 +439,10 @@ function SubsidyTokenPage() {
           </div>
         )}
 
+        <FmsBatchResult result={batchResult} onRetry={handleRetryFailed} isRetrying={isRetrying} onDismiss={dismissBatchResult} />
+
         {/* Submit Button for Pending Section */}
-        {Object.values(selectedRows).some(Boolean) && (
+        {canEdit && Object.values(selectedRows).some(Boolean) && (
           <div className="bg-blue-50 border border-blue-200 p-4 rounded-md">
             <div className="flex items-center justify-between">
               <span className="text-blue-700 text-sm">
@@ -708,6 +564,7 @@ function SubsidyTokenPage() {
                           <td className="px-2 py-3 whitespace-nowrap">
                             <input
                               type="checkbox"
+                              disabled={!canEdit}
                               checked={selectedRows[record._id] || false}
                               onChange={(e) => handleRowSelection(record._id, e.target.checked)}
                               className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
@@ -729,7 +586,7 @@ function SubsidyTokenPage() {
                             </select>
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
-                            <div className="text-xs font-medium text-gray-900">{record.enquiryNumber || "—"}</div>
+                            <div className="text-xs font-medium text-gray-900">{record.enquiryNumber || "—"}<AuditHistoryButton enquiryNumber={record.enquiryNumber} onOpen={setHistoryEnquiry} /></div>
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             <div className="text-xs text-gray-900">{record.beneficiaryName || "—"}</div>
@@ -747,120 +604,112 @@ function SubsidyTokenPage() {
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.powerPurchaseAgreement ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.powerPurchaseAgreement}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.vendorConsumerAgreement ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.vendorConsumerAgreement}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.quotationCopy ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.quotationCopy}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.applicationCopy ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.applicationCopy}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.electricityBill ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.electricityBill}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.witnessIdProof ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.witnessIdProof}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.inspection ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.inspection}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.projectCommission ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.projectCommission}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
@@ -883,6 +732,7 @@ function SubsidyTokenPage() {
                         <td className="px-2 py-3 whitespace-nowrap">
                           <input
                             type="checkbox"
+                            disabled={!canEdit}
                             checked={selectedRows[record._id] || false}
                             onChange={(e) => handleRowSelection(record._id, e.target.checked)}
                             className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
@@ -904,7 +754,7 @@ function SubsidyTokenPage() {
                           </select>
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
-                          <div className="text-xs font-medium text-blue-900">{record.enquiryNumber || "—"}</div>
+                          <div className="text-xs font-medium text-blue-900">{record.enquiryNumber || "—"}<AuditHistoryButton enquiryNumber={record.enquiryNumber} onOpen={setHistoryEnquiry} /></div>
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           <div className="text-xs text-gray-900 flex items-center">
@@ -929,120 +779,112 @@ function SubsidyTokenPage() {
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.powerPurchaseAgreement ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.powerPurchaseAgreement}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.vendorConsumerAgreement ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.vendorConsumerAgreement}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.quotationCopy ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.quotationCopy}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.applicationCopy ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.applicationCopy}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.electricityBill ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.electricityBill}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.witnessIdProof ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.witnessIdProof}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.inspection ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.inspection}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.projectCommission ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.projectCommission}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
@@ -1124,6 +966,12 @@ function SubsidyTokenPage() {
           </div>
         </div>
       )}
+      <FmsConflictDialog conflict={conflict} onResolve={resolveConflict} />
+      <AuditHistoryDrawer
+        scriptUrl={CONFIG.APPS_SCRIPT_URL}
+        enquiryNumber={historyEnquiry}
+        onClose={() => setHistoryEnquiry(null)}
+      />
     </AdminLayout>
   )
 }
@@ -3,17 +3,24 @@
 import { useState, useEffect, useCallback, useMemo } from "react"
 import { CheckCircle2, X, Search, History, MapPin, Users, Phone, Eye, Package, Wrench } from "lucide-react"
 import AdminLayout from "../components/layout/AdminLayout"
+import { AuditHistoryButton, AuditHistoryDrawer } from "../components/AuditHistory"
+import DocumentLink from "../components/DocumentLink"
+import FmsConflictDialog from "../components/FmsConflictDialog"
+import { getFmsValue } from "../lib/fmsSchema"
+import { updateFmsFields } from "../lib/fmsApi"
+import { useFmsSave } from "../lib/useFmsSave"
+import { useDropdownOptions, useFmsStage } from "../lib/fmsCache"
+import { can } from "../lib/permissions"
+import { config } from "../lib/config"
 
 // Configuration object
 const CONFIG = {
   // Updated Google Apps Script URL
-  APPS_SCRIPT_URL:
-    "https://script.google.com/macros/s/AKfycbzF4JjwpmtgsurRYkORyZvQPvRGc06VuBMCJM00wFbOOtVsSyFiUJx5xtb1J0P5ooyf/exec",
+  APPS_SCRIPT_URL: config.appsScriptUrl,
   // Updated Google Sheet ID
-  SHEET_ID: "1Kp9eEqtQfesdie6l7XEuTZne6Md8_P8qzKfGFcHhpL4",
+  SHEET_ID: config.spreadsheetId,
   // Sheet names
   SOURCE_SHEET_NAME: "FMS",
-  DROPDOWN_SHEET_NAME: "Drop-Down Value",
   // Updated page configuration
   PAGE_CONFIG: {
     title: "Subsidy Disbursal",
@@ -23,6 +30,19 @@ const CONFIG = {
   },
 }
 
+// Columns this page reads and the FMS rows that belong to this stage; the
+// backend splits them into pending and history on DISBURSAL_ACTUAL.
+const STAGE_QUERY = {
+  fields: [
+    "ENQUIRY_NUMBER", "BENEFICIARY_NAME", "ADDRESS", "CONTACT_NUMBER", "SURVEYOR_NAME",
+    "POWER_PURCHASE_AGREEMENT", "VENDOR_CONSUMER_AGREEMENT", "DOC_QUOTATION_COPY", "DOC_APPLICATION_COPY",
+    "DOC_ELECTRICITY_BILL", "DOC_WITNESS_ID_PROOF", "INSPECTION_STATUS", "COMMISSIONING_STATUS",
+    "CENTRAL_SUBSIDY", "STATE_SUBSIDY", "DISBURSAL_STATUS", "DISBURSAL_ACTUAL",
+  ],
+  filters: [{ field: "ENQUIRY_NUMBER", op: "notEmpty" }],
+  actualField: "DISBURSAL_ACTUAL",
+}
+
 // Debounce hook for search optimization
 function useDebounce(value, delay) {
   const [debouncedValue, setDebouncedValue] = useState(value)
@@ -38,12 +58,11 @@ function useDebounce(value, delay) {
 }
 
 function SubsidyDisbursalPage() {
-  const [pendingData, setPendingData] = useState([])
-  const [historyData, setHistoryData] = useState([])
-  const [dropdownOptions, setDropdownOptions] = useState([])
+  const { saveFields, conflict, resolveConflict } = useFmsSave(CONFIG.APPS_SCRIPT_URL)
+  const [historyEnquiry, setHistoryEnquiry] = useState(null)
+  const canEdit = can("disbursal", "edit")
+  const dropdownOptions = useDropdownOptions(CONFIG.APPS_SCRIPT_URL, 7)
   const [searchTerm, setSearchTerm] = useState("")
-  const [loading, setLoading] = useState(true)
-  const [error, setError] = useState(null)
   const [showHistory, setShowHistory] = useState(false)
   const [isSubmitting, setIsSubmitting] = useState(false)
   const [successMessage, setSuccessMessage] = useState("")
@@ -125,177 +144,53 @@ function SubsidyDisbursalPage() {
     setUsername(user || "")
   }, [])
 
-  // Fetch dropdown options from "Drop-Down Value" sheet Column H2:H
-  const fetchDropdownOptions = useCallback(async () => {
-    try {
-      const response = await fetch(`${CONFIG.APPS_SCRIPT_URL}?sheet=${CONFIG.DROPDOWN_SHEET_NAME}&action=fetch`)
-      if (!response.ok) {
-        throw new Error(`Failed to fetch dropdown data: ${response.status}`)
-      }
-      const text = await response.text()
-      let data
-      try {
-        data = JSON.parse(text)
-      } catch (parseError) {
-        const jsonStart = text.indexOf("{")
-        const jsonEnd = text.lastIndexOf("}")
-        if (jsonStart !== -1 && jsonEnd !== -1) {
-          const jsonString = text.substring(jsonStart, jsonEnd + 1)
-          data = JSON.parse(jsonString)
-        } else {
-          throw new Error("Invalid JSON response from server")
-        }
-      }
-
-      let rows = []
-      if (data.table && data.table.rows) {
-        rows = data.table.rows
-      } else if (Array.isArray(data)) {
-        rows = data
-      } else if (data.values) {
-        rows = data.values.map((row) => ({ c: row.map((val) => ({ v: val })) }))
-      }
-
-      // Extract values from column H (index 7) starting from row 2
-      const options = []
-      rows.forEach((row, rowIndex) => {
-        if (rowIndex >= 1) {
-          // Skip header row (row 1)
-          let rowValues = []
-          if (row.c) {
-            rowValues = row.c.map((cell) => (cell && cell.v !== undefined ? cell.v : ""))
-          } else if (Array.isArray(row)) {
-            rowValues = row
-          }
-          const optionValue = rowValues[7] // Column H (index 7)
-          if (!isEmpty(optionValue)) {
-            options.push(optionValue.toString())
-          }
-        }
-      })
-      setDropdownOptions(options)
-    } catch (error) {
-      console.error("Error fetching dropdown options:", error)
-      setDropdownOptions([])
+  const toRecord = useCallback((row) => {
+    const fms = (key) => getFmsValue(row.values, key)
+
+    const enquiryNumber = fms("ENQUIRY_NUMBER") || ""
+
+    const googleSheetsRowIndex = row.rowIndex
+    const stableId = enquiryNumber
+      ? `enquiry_${enquiryNumber}_${googleSheetsRowIndex}`
+      : `row_${googleSheetsRowIndex}_${Math.random().toString(36).substring(2, 15)}`
+
+    const rowData = {
+      _id: stableId,
+      _rowIndex: googleSheetsRowIndex,
+      _version: row.version,
+      _enquiryNumber: enquiryNumber,
+      // Basic info columns
+      enquiryNumber: fms("ENQUIRY_NUMBER") || "",
+      beneficiaryName: fms("BENEFICIARY_NAME") || "",
+      address: fms("ADDRESS") || "",
+      contactNumber: fms("CONTACT_NUMBER") || "",
+      surveyorName: fms("SURVEYOR_NAME") || "",
+      // Document columns (updated mapping)
+      powerPurchaseAgreement: fms("POWER_PURCHASE_AGREEMENT") || "",
+      vendorConsumerAgreement: fms("VENDOR_CONSUMER_AGREEMENT") || "",
+      quotationCopy: fms("DOC_QUOTATION_COPY") || "",
+      applicationCopy: fms("DOC_APPLICATION_COPY") || "",
+      electricityBill: fms("DOC_ELECTRICITY_BILL") || "",
+      witnessIdProof: fms("DOC_WITNESS_ID_PROOF") || "",
+      inspection: fms("INSPECTION_STATUS") || "",
+      projectCommission: fms("COMMISSIONING_STATUS") || "",
+      // Subsidy columns
+      centralSubsidy: fms("CENTRAL_SUBSIDY") || "",
+      stateSubsidy: fms("STATE_SUBSIDY") || "",
+      // Status columns
+      subsidyDisbursal: fms("DISBURSAL_STATUS") || "",
+      actual: formatDateTime(fms("DISBURSAL_ACTUAL") || ""),
     }
-  }, [isEmpty])
-
-  // Optimized data fetching
-  const fetchSheetData = useCallback(async () => {
-    try {
-      setLoading(true)
-      setError(null)
-
-      // Fetch both main data and dropdown options
-      await fetchDropdownOptions()
-
-      const response = await fetch(`${CONFIG.APPS_SCRIPT_URL}?sheet=${CONFIG.SOURCE_SHEET_NAME}&action=fetch`)
-      if (!response.ok) {
-        throw new Error(`Failed to fetch data: ${response.status}`)
-      }
-
-      const text = await response.text()
-      let data
-      try {
-        data = JSON.parse(text)
-      } catch (parseError) {
-        const jsonStart = text.indexOf("{")
-        const jsonEnd = text.lastIndexOf("}")
-        if (jsonStart !== -1 && jsonEnd !== -1) {
-          const jsonString = text.substring(jsonStart, jsonEnd + 1)
-          data = JSON.parse(jsonString)
-        } else {
-          throw new Error("Invalid JSON response from server")
-        }
-      }
-
-      const pending = []
-      const history = []
-      let rows = []
-
-      if (data.table && data.table.rows) {
-        rows = data.table.rows
-      } else if (Array.isArray(data)) {
-        rows = data
-      } else if (data.values) {
-        rows = data.values.map((row) => ({ c: row.map((val) => ({ v: val })) }))
-      }
-
-      rows.forEach((row, rowIndex) => {
-        // Skip header rows and only process from row 7 onwards (rowIndex 6 in 0-based indexing)
-        if (rowIndex < 6) return
-
-        let rowValues = []
-        if (row.c) {
-          rowValues = row.c.map((cell) => (cell && cell.v !== undefined ? cell.v : ""))
-        } else if (Array.isArray(row)) {
-          rowValues = row
-        } else {
-          return
-        }
-
-        // Check conditions: Column DV (index 125) not null and Column DW (index 126)
-        const enquiryNumber = rowValues[1] || ""
-        const columnDW = rowValues[126] // Column DW (DW7:DW)
-
-        const hasEnquiry = !isEmpty(enquiryNumber)
-        if (!hasEnquiry) return // Skip if enquiry number is empty
-
-        const googleSheetsRowIndex = rowIndex + 1
-        const stableId = enquiryNumber
-          ? `enquiry_${enquiryNumber}_${googleSheetsRowIndex}`
-          : `row_${googleSheetsRowIndex}_${Math.random().toString(36).substring(2, 15)}`
-
-        const rowData = {
-          _id: stableId,
-          _rowIndex: googleSheetsRowIndex,
-          _enquiryNumber: enquiryNumber,
-          // Basic info columns
-          enquiryNumber: rowValues[1] || "", // B
-          beneficiaryName: rowValues[2] || "", // C
-          address: rowValues[3] || "", // D
-          contactNumber: rowValues[6] || "", // G
-          surveyorName: rowValues[29] || "", // AD
-          // Document columns (updated mapping)
-          powerPurchaseAgreement: rowValues[100] || "", // CW (IMAGE)
-          vendorConsumerAgreement: rowValues[101] || "", // CX (IMAGE)
-          quotationCopy: rowValues[102] || "", // CY
-          applicationCopy: rowValues[103] || "", // CZ
-          electricityBill: rowValues[109] || "", // DF
-          witnessIdProof: rowValues[110] || "", // DG
-          inspection: rowValues[114] || "", // DK
-          projectCommission: rowValues[119] || "", // DP
-          // Subsidy columns
-          centralSubsidy: rowValues[159] || "", // FD (index 159)
-          stateSubsidy: rowValues[160] || "", // FE (index 160)
-          // Status columns
-          subsidyDisbursal: rowValues[128] || "", // DY
-          actual: formatDateTime(rowValues[126] || ""), // DW
-        }
-
-        // Check if Column DW is null for pending, not null for history
-        const isColumnDWEmpty = isEmpty(columnDW)
-
-        if (isColumnDWEmpty) {
-          pending.push(rowData)
-        } else {
-          history.push(rowData)
-        }
-      })
 
-      setPendingData(pending)
-      setHistoryData(history)
-      setLoading(false)
-    } catch (error) {
-      console.error("Error fetching sheet data:", error)
-      setError("Failed to load Subsidy Disbursal data: " + error.message)
-      setLoading(false)
-    }
-  }, [isEmpty, fetchDropdownOptions])
+    return rowData
+  }, [formatDateTime])
 
-  useEffect(() => {
-    fetchSheetData()
-  }, [fetchSheetData])
+  const { pendingData, historyData, setPendingData, setHistoryData, loading, error } = useFmsStage(
+    CONFIG.APPS_SCRIPT_URL,
+    STAGE_QUERY,
+    toRecord,
+    { pollInterval: 0 },
+  )
 
   // Initialize status values with existing subsidy disbursal values
   useEffect(() => {
@@ -389,38 +284,20 @@ function SubsidyDisbursalPage() {
       const isEdit = !isEmpty(selectedRecord.actual)
       const actualDate = isEdit ? selectedRecord.actual : formatTimestamp()
 
-      // Calculate row index (ensure it exists)
-      const rowIndex = selectedRecord._rowIndex
-
-      const rowData = Array(170).fill(null)
-      rowData[128] = subsidyForm.subsidyDisbursal // DY - Status
-      rowData[159] = subsidyForm.centralSubsidy || "" // FD - Central subsidy
-      rowData[160] = subsidyForm.stateSubsidy || "" // FE - State subsidy
+      const fields = {}
+      fields.DISBURSAL_STATUS = subsidyForm.subsidyDisbursal
+      fields.CENTRAL_SUBSIDY = subsidyForm.centralSubsidy || ""
+      fields.STATE_SUBSIDY = subsidyForm.stateSubsidy || ""
       // DW (126) - Actual timestamp
       // If status is "Done", keep existing timestamp or set new one if empty
       // If status is NOT "Done", clear the timestamp to move it back to pending
       if (subsidyForm.subsidyDisbursal === "Done") {
-        rowData[126] = selectedRecord.actual ? formatDateTime(selectedRecord.actual) : formatTimestamp()
+        fields.DISBURSAL_ACTUAL = selectedRecord.actual ? formatDateTime(selectedRecord.actual) : formatTimestamp()
       } else {
-        rowData[126] = ""
-      }
-
-      const updateData = {
-        action: "update",
-        sheetName: CONFIG.SOURCE_SHEET_NAME,
-        rowIndex: rowIndex,
-        rowData: JSON.stringify(rowData),
+        fields.DISBURSAL_ACTUAL = ""
       }
 
-      const response = await fetch(CONFIG.APPS_SCRIPT_URL, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/x-www-form-urlencoded",
-        },
-        body: new URLSearchParams(updateData).toString(),
-      })
-
-      const result = await response.json()
+      const result = await saveFields(selectedRecord, fields)
 
       if (result.success) {
         setSuccessMessage(`Subsidy disbursal updated successfully for Enquiry Number: ${selectedRecord._enquiryNumber}`)
@@ -482,40 +359,23 @@ function SubsidyDisbursalPage() {
 
         const status = statusValues[recordId] || record.subsidyDisbursal
 
-        // FIXED: Use null for columns we don't want to update
-        const rowData = Array(170).fill(null)
+        const fields = {}
 
         // Set specific columns:
-        rowData[128] = status // DY - Status
-        rowData[159] = centralSubsidyValues[recordId] || "" // FD
-        rowData[160] = stateSubsidyValues[recordId] || "" // FE
+        fields.DISBURSAL_STATUS = status
+        fields.CENTRAL_SUBSIDY = centralSubsidyValues[recordId] || ""
+        fields.STATE_SUBSIDY = stateSubsidyValues[recordId] || ""
 
         // Column DW (index 126) - Actual timestamp
         // Logic: if Done, keep existing timestamp or set new one if empty.
         // If status is NOT "Done", clear the timestamp to move it back to pending.
         if (status === "Done") {
-          rowData[126] = record.actual ? formatDateTime(record.actual) : formatTimestamp()
+          fields.DISBURSAL_ACTUAL = record.actual ? formatDateTime(record.actual) : formatTimestamp()
         } else {
-          rowData[126] = ""
+          fields.DISBURSAL_ACTUAL = ""
         }
 
-        // Prepare update data for this specific record
-        const updateData = {
-          action: "update",
-          sheetName: CONFIG.SOURCE_SHEET_NAME,
-          rowIndex: record._rowIndex,
-          rowData: JSON.stringify(rowData),
-        }
-
-        const response = await fetch(CONFIG.APPS_SCRIPT_URL, {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/x-www-form-urlencoded",
-          },
-          body: new URLSearchParams(updateData).toString(),
-        })
-
-        return response.json()
+        return updateFmsFields(CONFIG.APPS_SCRIPT_URL, record._enquiryNumber, fields, { version: record._version })
       })
 
       const results = await Promise.all(updatePromises)
@@ -645,7 +505,7 @@ function SubsidyDisbursalPage() {
         )}
 
         {/* Submit Button for Pending Section */}
-        {Object.values(selectedRows).some(Boolean) && (
+        {canEdit && Object.values(selectedRows).some(Boolean) && (
           <div className="bg-blue-50 border border-blue-200 p-4 rounded-md">
             <div className="flex items-center justify-between">
               <span className="text-blue-700 text-sm">
@@ -773,6 +633,7 @@ function SubsidyDisbursalPage() {
                           <td className="px-2 py-3 whitespace-nowrap">
                             <input
                               type="checkbox"
+                              disabled={!canEdit}
                               checked={selectedRows[record._id] || false}
                               onChange={(e) => handleRowSelection(record._id, e.target.checked)}
                               className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
@@ -814,7 +675,7 @@ function SubsidyDisbursalPage() {
                             />
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
-                            <div className="text-xs font-medium text-gray-900">{record.enquiryNumber || "—"}</div>
+                            <div className="text-xs font-medium text-gray-900">{record.enquiryNumber || "—"}<AuditHistoryButton enquiryNumber={record.enquiryNumber} onOpen={setHistoryEnquiry} /></div>
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             <div className="text-xs text-gray-900 flex items-center">
@@ -839,30 +700,28 @@ function SubsidyDisbursalPage() {
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.powerPurchaseAgreement ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.powerPurchaseAgreement}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.vendorConsumerAgreement ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.vendorConsumerAgreement}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
@@ -903,6 +762,7 @@ function SubsidyDisbursalPage() {
                         <td className="px-2 py-3 whitespace-nowrap">
                           <input
                             type="checkbox"
+                            disabled={!canEdit}
                             checked={selectedRows[record._id] || false}
                             onChange={(e) => handleRowSelection(record._id, e.target.checked)}
                             className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
@@ -944,7 +804,7 @@ function SubsidyDisbursalPage() {
                           />
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
-                          <div className="text-xs font-medium text-blue-900">{record.enquiryNumber || "—"}</div>
+                          <div className="text-xs font-medium text-blue-900">{record.enquiryNumber || "—"}<AuditHistoryButton enquiryNumber={record.enquiryNumber} onOpen={setHistoryEnquiry} /></div>
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           <div className="text-xs text-gray-900 flex items-center">
@@ -969,30 +829,28 @@ function SubsidyDisbursalPage() {
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.powerPurchaseAgreement ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.powerPurchaseAgreement}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
                         </td>
                         <td className="px-2 py-3 whitespace-nowrap">
                           {record.vendorConsumerAgreement ? (
-                            <a
+                            <DocumentLink
+                              scriptUrl={CONFIG.APPS_SCRIPT_URL}
                               href={record.vendorConsumerAgreement}
-                              target="_blank"
-                              rel="noopener noreferrer"
                               className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                             >
                               <Eye className="h-3 w-3 mr-1" />
                               View
-                            </a>
+                            </DocumentLink>
                           ) : (
                             <span className="text-gray-400 text-xs">—</span>
                           )}
@@ -1116,6 +974,12 @@ function SubsidyDisbursalPage() {
           </div>
         </div>
       )}
+      <FmsConflictDialog conflict={conflict} onResolve={resolveConflict} />
+      <AuditHistoryDrawer
+        scriptUrl={CONFIG.APPS_SCRIPT_URL}
+        enquiryNumber={historyEnquiry}
+        onClose={() => setHistoryEnquiry(null)}
+      />
     </AdminLayout>
   )
 }
@@ -2,18 +2,41 @@
 import { useState, useEffect, useCallback, useMemo } from "react"
 import { CheckCircle2, Upload, X, Search, History, ArrowLeft, FileText, MapPin, Users, Phone, Zap, Building, Eye, DollarSign, Clock, Home, Wrench, Trash2 } from "lucide-react"
 import AdminLayout from "../components/layout/AdminLayout"
+import { AuditHistoryButton, AuditHistoryDrawer } from "../components/AuditHistory"
+import DocumentLink from "../components/DocumentLink"
+import FieldError from "../components/FieldError"
+import FmsConflictDialog from "../components/FmsConflictDialog"
+import GeotagNotice from "../components/GeotagNotice"
+import UploadProgress from "../components/UploadProgress"
+import { getFmsValue } from "../lib/fmsSchema"
+import { deleteFmsRow } from "../lib/fmsApi"
+import { useDriveUploads } from "../lib/driveUpload"
+import { compressImage, readPhotoMetadata } from "../lib/photoTools"
+import { usePhotoGeotags } from "../lib/usePhotoGeotags"
+import { useFmsSave } from "../lib/useFmsSave"
+import { useDropdownOptions, useFmsStage } from "../lib/fmsCache"
+import { can } from "../lib/permissions"
+import { config } from "../lib/config"
 
 // Configuration object
 const CONFIG = {
   // Updated Google Apps Script URL
-  APPS_SCRIPT_URL: "https://script.google.com/macros/s/AKfycbzF4JjwpmtgsurRYkORyZvQPvRGc06VuBMCJM00wFbOOtVsSyFiUJx5xtb1J0P5ooyf/exec",
+  APPS_SCRIPT_URL: config.appsScriptUrl,
 
   // Updated Google Drive folder ID for file uploads
-  DRIVE_FOLDER_ID: "1KjZwLhFFEGvrUPtnbPV-S_QFJfSPjPDR",
+  DRIVE_FOLDER_ID: config.driveFolders.survey,
+  DOCUMENT_STAGE: "Site Survey",
+  DOCUMENT_NAMES: {
+    copySurveyReport: "SurveyReport",
+    geotagPhoto: "GeotagPhoto",
+    electricityBill: "ElectricityBill",
+    addressProof: "AddressProof",
+  },
 
   // Sheet names
   SOURCE_SHEET_NAME: "FMS",
-  DROPDOWN_SHEET_NAME: "Drop-Down Value",
+  // Shown when the Drop-Down Value sheet cannot be loaded
+  DEFAULT_STATUS_OPTIONS: ["Completed", "Pending", "In Progress", "Rejected"],
 
   // Updated page configuration
   PAGE_CONFIG: {
@@ -23,6 +46,21 @@ const CONFIG = {
     historyDescription: "View completed survey records",
   },
 }
+// Columns this page reads and the FMS rows that belong to this stage; the
+// backend splits them into pending and history on SURVEY_ACTUAL.
+const STAGE_QUERY = {
+  fields: [
+    "ENQUIRY_NUMBER", "TIMESTAMP", "BENEFICIARY_NAME", "ADDRESS", "VILLAGE_BLOCK", "DISTRICT",
+    "CONTACT_NUMBER", "PRESENT_LOAD", "BP_NUMBER", "CSPDCL_CONTRACT_DEMAND", "AVG_ELECTRICITY_BILL",
+    "FUTURE_LOAD_REQUIREMENT", "LOAD_DETAILS", "HOURS_OF_FAILURE", "STRUCTURE_TYPE", "ROOF_TYPE",
+    "SYSTEM_TYPE", "NEED_TYPE", "PROJECT_MODE", "SURVEY_PLANNED", "SURVEY_ACTUAL", "SURVEY_DELAY",
+    "SURVEY_STATUS", "SURVEY_REPORT_COPY", "GEOTAG_PHOTO", "ELECTRICITY_BILL_COPY", "AADHAR_NUMBER",
+    "PAN_NUMBER", "ADDRESS_PROOF", "SURVEYOR_NAME", "SURVEYOR_CONTACT",
+  ],
+  filters: [{ field: "SURVEY_PLANNED", op: "notEmpty" }],
+  actualField: "SURVEY_ACTUAL",
+}
+
 
 // Debounce hook for search optimization
 function useDebounce(value, delay) {
@@ -42,12 +80,14 @@ function useDebounce(value, delay) {
 }
 
 function FMSDataPage() {
-  const [pendingData, setPendingData] = useState([])
-  const [historyData, setHistoryData] = useState([])
-  const [statusOptions, setStatusOptions] = useState([])
+  const { saveFields, conflict, resolveConflict } = useFmsSave(CONFIG.APPS_SCRIPT_URL)
+  const { uploads, upload, clearUploads } = useDriveUploads(CONFIG.APPS_SCRIPT_URL)
+  const { geotags, inspectPhotos, clearGeotags } = usePhotoGeotags(CONFIG.APPS_SCRIPT_URL)
+  const [historyEnquiry, setHistoryEnquiry] = useState(null)
+  const canEdit = can("survey", "edit")
+  const canDelete = can("survey", "delete")
+  const statusOptions = useDropdownOptions(CONFIG.APPS_SCRIPT_URL, 5, CONFIG.DEFAULT_STATUS_OPTIONS)
   const [searchTerm, setSearchTerm] = useState("")
-  const [loading, setLoading] = useState(true)
-  const [error, setError] = useState(null)
   const [showHistory, setShowHistory] = useState(false)
   const [showSurveyModal, setShowSurveyModal] = useState(false)
   const [selectedRecord, setSelectedRecord] = useState(null)
@@ -60,6 +100,7 @@ function FMSDataPage() {
   const [isDeleting, setIsDeleting] = useState(false)
 
   // Survey form state
+  const [fieldErrors, setFieldErrors] = useState({})
   const [surveyForm, setSurveyForm] = useState({
     status: "",
     copySurveyReport: null,
@@ -114,217 +155,63 @@ function FMSDataPage() {
     setUsername(user || "")
   }, [])
 
-  // Fetch dropdown values for status
-  const fetchDropdownValues = useCallback(async () => {
-    try {
-      const response = await fetch(`${CONFIG.APPS_SCRIPT_URL}?sheet=${CONFIG.DROPDOWN_SHEET_NAME}&action=fetch`)
-      if (!response.ok) {
-        throw new Error(`Failed to fetch dropdown data: ${response.status}`)
-      }
-
-      const text = await response.text()
-      let data
-      try {
-        data = JSON.parse(text)
-      } catch (parseError) {
-        const jsonStart = text.indexOf("{")
-        const jsonEnd = text.lastIndexOf("}")
-        if (jsonStart !== -1 && jsonEnd !== -1) {
-          const jsonString = text.substring(jsonStart, jsonEnd + 1)
-          data = JSON.parse(jsonString)
-        } else {
-          throw new Error("Invalid JSON response from server")
-        }
-      }
-
-      // Extract status options from column F (index 5)
-      const options = []
-      if (data.table && data.table.rows) {
-        data.table.rows.forEach((row, index) => {
-          if (index === 0) return // Skip header
-          const statusValue = row.c && row.c[5] && row.c[5].v
-          if (statusValue && statusValue.toString().trim() !== "") {
-            options.push(statusValue.toString().trim())
-          }
-        })
-      }
-      setStatusOptions(options)
-    } catch (error) {
-      console.error("Error fetching dropdown data:", error)
-      // Set default options if fetch fails
-      setStatusOptions(["Completed", "Pending", "In Progress", "Rejected"])
+  const toRecord = useCallback((row) => {
+    const fms = (key) => getFmsValue(row.values, key)
+
+    const enquiryNumber = fms("ENQUIRY_NUMBER") || ""
+
+    const googleSheetsRowIndex = row.rowIndex
+    const stableId = enquiryNumber
+      ? `enquiry_${enquiryNumber}_${googleSheetsRowIndex}`
+      : `row_${googleSheetsRowIndex}_${Math.random().toString(36).substring(2, 15)}`
+
+    const rowData = {
+      _id: stableId,
+      _rowIndex: googleSheetsRowIndex,
+      _version: row.version,
+      _enquiryNumber: enquiryNumber,
+      // Map all columns (A to AE = 0 to 30)
+      col0: fms("TIMESTAMP") || "",
+      col1: fms("ENQUIRY_NUMBER") || "",
+      col2: fms("BENEFICIARY_NAME") || "",
+      col3: fms("ADDRESS") || "",
+      col4: fms("VILLAGE_BLOCK") || "",
+      col5: fms("DISTRICT") || "",
+      col6: fms("CONTACT_NUMBER") || "",
+      col7: fms("PRESENT_LOAD") || "",
+      col8: fms("BP_NUMBER") || "",
+      col9: fms("CSPDCL_CONTRACT_DEMAND") || "",
+      col10: fms("AVG_ELECTRICITY_BILL") || "",
+      col11: fms("FUTURE_LOAD_REQUIREMENT") || "",
+      col12: fms("LOAD_DETAILS") || "",
+      col13: fms("HOURS_OF_FAILURE") || "",
+      col14: fms("STRUCTURE_TYPE") || "",
+      col15: fms("ROOF_TYPE") || "",
+      col16: fms("SYSTEM_TYPE") || "",
+      col17: fms("NEED_TYPE") || "",
+      col18: fms("PROJECT_MODE") || "",
+      col19: fms("SURVEY_PLANNED") || "",
+      col20: formatDateTime(fms("SURVEY_ACTUAL") || ""),
+      col21: fms("SURVEY_DELAY") || "",
+      col22: fms("SURVEY_STATUS") || "",
+      col23: fms("SURVEY_REPORT_COPY") || "",
+      col24: fms("GEOTAG_PHOTO") || "",
+      col25: fms("ELECTRICITY_BILL_COPY") || "",
+      col26: fms("AADHAR_NUMBER") || "",
+      col27: fms("PAN_NUMBER") || "",
+      col28: fms("ADDRESS_PROOF") || "",
+      col29: fms("SURVEYOR_NAME") || "",
+      col30: fms("SURVEYOR_CONTACT") || "",
     }
-  }, [])
-
-  // Optimized data fetching
-  const fetchSheetData = useCallback(async () => {
-    try {
-      setLoading(true)
-      setError(null)
-
-      // Fetch dropdown values and sheet data in parallel
-      await Promise.all([
-        fetchDropdownValues(),
-        (async () => {
-          const response = await fetch(`${CONFIG.APPS_SCRIPT_URL}?sheet=${CONFIG.SOURCE_SHEET_NAME}&action=fetch`)
-          if (!response.ok) {
-            throw new Error(`Failed to fetch data: ${response.status}`)
-          }
-
-          const text = await response.text()
-          let data
-          try {
-            data = JSON.parse(text)
-          } catch (parseError) {
-            const jsonStart = text.indexOf("{")
-            const jsonEnd = text.lastIndexOf("}")
-            if (jsonStart !== -1 && jsonEnd !== -1) {
-              const jsonString = text.substring(jsonStart, jsonEnd + 1)
-              data = JSON.parse(jsonString)
-            } else {
-              throw new Error("Invalid JSON response from server")
-            }
-          }
-
-          const pending = []
-          const history = []
-
-          let rows = []
-          if (data.table && data.table.rows) {
-            rows = data.table.rows
-          } else if (Array.isArray(data)) {
-            rows = data
-          } else if (data.values) {
-            rows = data.values.map((row) => ({ c: row.map((val) => ({ v: val })) }))
-          }
-
-          console.log('🔍 Total rows received:', rows.length)
-
-          rows.forEach((row, rowIndex) => {
-            // Skip header rows and only process from row 7 onwards (rowIndex 6 in 0-based indexing)
-            if (rowIndex < 6) return
-
-            let rowValues = []
-            if (row.c) {
-              rowValues = row.c.map((cell) => (cell && cell.v !== undefined ? cell.v : ""))
-            } else if (Array.isArray(row)) {
-              rowValues = row
-            } else {
-              return
-            }
-
-            const enquiryNumber = rowValues[1] || ""
-
-            console.log(`\n📋 Processing Row ${rowIndex + 1} (Sheet Row ${rowIndex + 1}):`, {
-              enquiryNumber,
-              beneficiaryName: rowValues[2],
-              totalColumns: rowValues.length,
-              columnT_index19: rowValues[19],
-              columnU_index20: rowValues[20],
-              columnW_index22_Status: rowValues[22],
-            })
-
-            // Check both Column T (index 19) and Column U (index 20)
-            const columnT = rowValues[19] // Column T  
-            const columnU = rowValues[20] // Column U
-
-            const hasColumnT = !isEmpty(columnT)
-            const hasColumnU = !isEmpty(columnU)
-
-            console.log(`   ➡️ Column checks:`, {
-              columnT: columnT,
-              columnU: columnU,
-              hasColumnT: hasColumnT,
-              hasColumnU: hasColumnU,
-              decision: !hasColumnT ? 'SKIP' : (!hasColumnU ? 'PENDING' : 'HISTORY')
-            })
-
-            // Skip if Column T is empty
-            if (!hasColumnT) {
-              console.log(`   ❌ SKIPPED: Column T is empty`)
-              return
-            }
-
-
-            const googleSheetsRowIndex = rowIndex + 1
-            const stableId = enquiryNumber
-              ? `enquiry_${enquiryNumber}_${googleSheetsRowIndex}`
-              : `row_${googleSheetsRowIndex}_${Math.random().toString(36).substring(2, 15)}`
-
-            const rowData = {
-              _id: stableId,
-              _rowIndex: googleSheetsRowIndex,
-              _enquiryNumber: enquiryNumber,
-              // Map all columns (A to AE = 0 to 30)
-              col0: rowValues[0] || "", // A
-              col1: rowValues[1] || "", // B - Enquiry Number
-              col2: rowValues[2] || "", // C - Beneficiary Name
-              col3: rowValues[3] || "", // D - Address
-              col4: rowValues[4] || "", // E - Village/Block
-              col5: rowValues[5] || "", // F - District
-              col6: rowValues[6] || "", // G - Contact Number
-              col7: rowValues[7] || "", // H - Present Load
-              col8: rowValues[8] || "", // I - BP Number
-              col9: rowValues[9] || "", // J - CSPDCL Contract Demand
-              col10: rowValues[10] || "", // K - Last 6 Months Average Electricity Bill
-              col11: rowValues[11] || "", // L - Future Load Requirement
-              col12: rowValues[12] || "", // M - Load Details/Application
-              col13: rowValues[13] || "", // N - No Of Hours Of Failure
-              col14: rowValues[14] || "", // O - Structure type
-              col15: rowValues[15] || "", // P - Roof Type
-              col16: rowValues[16] || "", // Q - System Type
-              col17: rowValues[17] || "", // R - Need Type
-              col18: rowValues[18] || "", // S - Project Mode
-              col19: rowValues[19] || "", // T
-              col20: formatDateTime(rowValues[20] || ""), // U - Actual
-              col21: rowValues[21] || "", // V
-              col22: rowValues[22] || "", // W - Status
-              col23: rowValues[23] || "", // X - Copy Survey Report
-              col24: rowValues[24] || "", // Y - Geotag Photo Site
-              col25: rowValues[25] || "", // Z - Three Months Electricity Bill Copy
-              col26: rowValues[26] || "", // AA - Aadhar Card
-              col27: rowValues[27] || "", // AB - Pan Card
-              col28: rowValues[28] || "", // AC - Address Proof
-              col29: rowValues[29] || "", // AD - Surveyor Name
-              col30: rowValues[30] || "", // AE - Contact Number
-            }
-
-            // Check if Column U is null for pending, not null for history
-            const isColumnUEmpty = isEmpty(columnU)
-
-
-            if (isColumnUEmpty) {
-              console.log(`   ✅ Added to PENDING`)
-              pending.push(rowData)
-            } else {
-              console.log(`   ✅ Added to HISTORY`)
-              history.push(rowData)
-            }
-          })
-
-          console.log('\n📊 FINAL SUMMARY:', {
-            totalPending: pending.length,
-            totalHistory: history.length,
-            pendingEnquiries: pending.map(p => p.col1),
-            historyEnquiries: history.map(h => h.col1),
-          })
-
-          setPendingData(pending)
-          setHistoryData(history)
-          setLoading(false)
-        })()
-      ])
 
-    } catch (error) {
-      console.error("Error fetching sheet data:", error)
-      setError("Failed to load FMS data: " + error.message)
-      setLoading(false)
-    }
-  }, [fetchDropdownValues, isEmpty])
+    return rowData
+  }, [formatDateTime])
 
-  useEffect(() => {
-    fetchSheetData()
-  }, [fetchSheetData])
+  const { pendingData, historyData, setPendingData, setHistoryData, loading, error } = useFmsStage(
+    CONFIG.APPS_SCRIPT_URL,
+    STAGE_QUERY,
+    toRecord,
+  )
 
   // Optimized filtered data with debounced search
   const filteredPendingData = useMemo(() => {
@@ -360,52 +247,44 @@ function FMSDataPage() {
       surveyorName: record.col29 || "",
       contactNumber: record.col30 || ""
     })
+    setFieldErrors({})
+    clearUploads()
+    clearGeotags()
     setShowSurveyModal(true)
-  }, [])
+  }, [clearUploads, clearGeotags])
 
   const handleFileUpload = useCallback((field, file) => {
     setSurveyForm(prev => ({ ...prev, [field]: file }))
-  }, [])
+    if (field === "geotagPhoto" && file) {
+      inspectPhotos(field, selectedRecord._enquiryNumber, file)
+    }
+  }, [selectedRecord, inspectPhotos])
 
   const handleInputChange = useCallback((field, value) => {
     setSurveyForm(prev => ({ ...prev, [field]: value }))
   }, [])
 
-  const fileToBase64 = useCallback((file) => {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader()
-      reader.readAsDataURL(file)
-      reader.onload = () => resolve(reader.result)
-      reader.onerror = (error) => reject(error)
-    })
-  }, [])
-
-  const uploadImageToDrive = useCallback(async (file) => {
+  const uploadImageToDrive = useCallback(async (file, documentName) => {
     try {
-      const base64Data = await fileToBase64(file)
-      const formData = new FormData()
-      formData.append("action", "uploadFile")
-      formData.append("base64Data", base64Data)
-      formData.append("fileName", `${selectedRecord._enquiryNumber}_${Date.now()}.${file.name.split(".").pop()}`)
-      formData.append("mimeType", file.type)
-      formData.append("folderId", CONFIG.DRIVE_FOLDER_ID)
-
-      const response = await fetch(CONFIG.APPS_SCRIPT_URL, {
-        method: "POST",
-        body: formData,
+      // Read GPS position and capture time first: compressing drops the EXIF data
+      const { latitude, longitude, takenAt } = await readPhotoMetadata(file)
+      const processedFile = await compressImage(file)
+      const result = await upload(processedFile, {
+        fileName: processedFile.name,
+        folderId: CONFIG.DRIVE_FOLDER_ID,
+        enquiryNumber: selectedRecord._enquiryNumber,
+        stage: CONFIG.DOCUMENT_STAGE,
+        documentName,
+        latitude,
+        longitude,
+        takenAt,
       })
-
-      const result = await response.json()
-      if (result.success) {
-        return result.fileUrl
-      } else {
-        throw new Error("Failed to upload image")
-      }
+      return result.fileUrl
     } catch (error) {
       console.error("Error uploading image:", error)
       throw error
     }
-  }, [selectedRecord, fileToBase64])
+  }, [selectedRecord, upload])
 
   const handleSurveySubmit = async () => {
     if (!surveyForm.status) {
@@ -414,6 +293,7 @@ function FMSDataPage() {
     }
 
     setIsSubmitting(true)
+    setFieldErrors({})
 
     try {
       // Upload images and get URLs
@@ -424,55 +304,40 @@ function FMSDataPage() {
       let addressProofUrl = selectedRecord.col28 || ""
 
       if (surveyForm.copySurveyReport) {
-        copySurveyReportUrl = await uploadImageToDrive(surveyForm.copySurveyReport)
+        copySurveyReportUrl = await uploadImageToDrive(surveyForm.copySurveyReport, CONFIG.DOCUMENT_NAMES.copySurveyReport)
       }
       if (surveyForm.geotagPhoto) {
-        geotagPhotoUrl = await uploadImageToDrive(surveyForm.geotagPhoto)
+        geotagPhotoUrl = await uploadImageToDrive(surveyForm.geotagPhoto, CONFIG.DOCUMENT_NAMES.geotagPhoto)
       }
       if (surveyForm.electricityBill) {
-        electricityBillUrl = await uploadImageToDrive(surveyForm.electricityBill)
+        electricityBillUrl = await uploadImageToDrive(surveyForm.electricityBill, CONFIG.DOCUMENT_NAMES.electricityBill)
       }
       if (surveyForm.addressProof) {
-        addressProofUrl = await uploadImageToDrive(surveyForm.addressProof)
+        addressProofUrl = await uploadImageToDrive(surveyForm.addressProof, CONFIG.DOCUMENT_NAMES.addressProof)
       }
 
       // Prepare update data
       const isEdit = !isEmpty(selectedRecord.col20)
-      const rowData = Array(31).fill(null)
+      const fields = {}
 
       // Use the exact timestamp format from TaskAssign page
       const now = new Date();
       const currentTimestamp = `${now.getDate().toString().padStart(2, '0')}/${(now.getMonth() + 1).toString().padStart(2, '0')}/${now.getFullYear()} ${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}:${now.getSeconds().toString().padStart(2, '0')}`;
 
       // Update Column U (Actual timestamp) only on new completions, skip on edits
-      rowData[20] = isEdit ? null : currentTimestamp;
-
-      rowData[22] = surveyForm.status // W - Status
-      rowData[23] = copySurveyReportUrl // X
-      rowData[24] = geotagPhotoUrl // Y
-      rowData[25] = electricityBillUrl // Z
-      rowData[26] = surveyForm.aadharNumber // AA
-      rowData[27] = surveyForm.panNumber // AB
-      rowData[28] = addressProofUrl // AC
-      rowData[29] = surveyForm.surveyorName // AD
-      rowData[30] = surveyForm.contactNumber // AE
-
-      const updateData = {
-        action: "update",
-        sheetName: CONFIG.SOURCE_SHEET_NAME,
-        rowIndex: selectedRecord._rowIndex,
-        rowData: JSON.stringify(rowData)
-      }
-
-      const response = await fetch(CONFIG.APPS_SCRIPT_URL, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/x-www-form-urlencoded",
-        },
-        body: new URLSearchParams(updateData).toString(),
-      })
-
-      const result = await response.json()
+      fields.SURVEY_ACTUAL = isEdit ? null : currentTimestamp;
+
+      fields.SURVEY_STATUS = surveyForm.status
+      fields.SURVEY_REPORT_COPY = copySurveyReportUrl
+      fields.GEOTAG_PHOTO = geotagPhotoUrl
+      fields.ELECTRICITY_BILL_COPY = electricityBillUrl
+      fields.AADHAR_NUMBER = surveyForm.aadharNumber
+      fields.PAN_NUMBER = surveyForm.panNumber
+      fields.ADDRESS_PROOF = addressProofUrl
+      fields.SURVEYOR_NAME = surveyForm.surveyorName
+      fields.SURVEYOR_CONTACT = surveyForm.contactNumber
+
+      const result = await saveFields(selectedRecord, fields)
       if (result.success) {
         setSuccessMessage(`Survey completed successfully for Enquiry Number: ${selectedRecord._enquiryNumber}`)
         setShowSurveyModal(false)
@@ -504,6 +369,8 @@ function FMSDataPage() {
         setTimeout(() => {
           setSuccessMessage("")
         }, 3000)
+      } else if (result.validation) {
+        setFieldErrors(result.fieldErrors)
       } else {
         throw new Error(result.error || "Failed to submit survey")
       }
@@ -537,24 +404,12 @@ function FMSDataPage() {
     setIsDeleting(true)
 
     try {
-      // Prepare delete data - clear the row
-      const deleteData = {
-        action: "deleteRow",
-        sheetName: CONFIG.SOURCE_SHEET_NAME,
+      const result = await deleteFmsRow(CONFIG.APPS_SCRIPT_URL, recordToDelete._enquiryNumber, {
         rowIndex: recordToDelete._rowIndex,
-      }
-
-      const response = await fetch(CONFIG.APPS_SCRIPT_URL, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/x-www-form-urlencoded",
-        },
-        body: new URLSearchParams(deleteData).toString(),
+        version: recordToDelete._version,
       })
-
-      const result = await response.json()
       if (result.success) {
-        setSuccessMessage(`Record deleted successfully for Enquiry Number: ${recordToDelete._enquiryNumber}`)
+        setSuccessMessage(`Record moved to Recycle Bin for Enquiry Number: ${recordToDelete._enquiryNumber}`)
         setShowDeleteModal(false)
         setRecordToDelete(null)
 
@@ -578,6 +433,7 @@ function FMSDataPage() {
 
   const closeSurveyModal = useCallback(() => {
     setShowSurveyModal(false)
+    setFieldErrors({})
     setSelectedRecord(null)
     setSurveyForm({
       status: "",
@@ -801,25 +657,29 @@ function FMSDataPage() {
                       filteredHistoryData.map((record) => (
                         <tr key={record._id} className="hover:bg-gray-50">
                           <td className="px-2 py-3 whitespace-nowrap">
-                            <button
-                              onClick={() => handleDeleteClick(record)}
-                              className="inline-flex items-center justify-center p-1.5 border border-transparent rounded-md text-white bg-red-600 hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 transition-colors"
-                              title="Delete"
-                            >
-                              <Trash2 className="h-4 w-4" />
-                            </button>
+                            {canDelete && (
+                              <button
+                                onClick={() => handleDeleteClick(record)}
+                                className="inline-flex items-center justify-center p-1.5 border border-transparent rounded-md text-white bg-red-600 hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 transition-colors"
+                                title="Delete"
+                              >
+                                <Trash2 className="h-4 w-4" />
+                              </button>
+                            )}
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
-                            <button
-                              onClick={() => handleSurveyClick(record)}
-                              className="inline-flex items-center px-3 py-1 border border-transparent text-xs leading-4 font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors"
-                            >
-                              <Wrench className="h-3 w-3 mr-1" />
-                              Edit
-                            </button>
+                            {canEdit && (
+                              <button
+                                onClick={() => handleSurveyClick(record)}
+                                className="inline-flex items-center px-3 py-1 border border-transparent text-xs leading-4 font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors"
+                              >
+                                <Wrench className="h-3 w-3 mr-1" />
+                                Edit
+                              </button>
+                            )}
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
-                            <div className="text-xs font-medium text-gray-900">{record.col1 || "—"}</div>
+                            <div className="text-xs font-medium text-gray-900">{record.col1 || "—"}<AuditHistoryButton enquiryNumber={record._enquiryNumber} onOpen={setHistoryEnquiry} /></div>
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             <div className="text-xs text-gray-900">{record.col2 || "—"}</div>
@@ -845,45 +705,42 @@ function FMSDataPage() {
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.col23 ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.col23}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.col24 ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.col24}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.col25 ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.col25}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
@@ -896,15 +753,14 @@ function FMSDataPage() {
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.col28 ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.col28}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
@@ -931,16 +787,18 @@ function FMSDataPage() {
                       filteredPendingData.map((record) => (
                         <tr key={record._id} className="hover:bg-gray-50">
                           <td className="px-2 py-3 whitespace-nowrap">
-                            <button
-                              onClick={() => handleSurveyClick(record)}
-                              className="inline-flex items-center px-3 py-1 border border-transparent text-xs leading-4 font-medium rounded-md text-white bg-gradient-to-r from-green-500 to-blue-600 hover:from-green-600 hover:to-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
-                            >
-                              <FileText className="h-3 w-3 mr-1" />
-                              Survey
-                            </button>
+                            {canEdit && (
+                              <button
+                                onClick={() => handleSurveyClick(record)}
+                                className="inline-flex items-center px-3 py-1 border border-transparent text-xs leading-4 font-medium rounded-md text-white bg-gradient-to-r from-green-500 to-blue-600 hover:from-green-600 hover:to-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
+                              >
+                                <FileText className="h-3 w-3 mr-1" />
+                                Survey
+                              </button>
+                            )}
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
-                            <div className="text-xs font-medium text-blue-900">{record.col1 || "—"}</div>
+                            <div className="text-xs font-medium text-blue-900">{record.col1 || "—"}<AuditHistoryButton enquiryNumber={record._enquiryNumber} onOpen={setHistoryEnquiry} /></div>
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             <div className="text-xs text-gray-900 flex items-center">
@@ -983,15 +841,14 @@ function FMSDataPage() {
                           </td>
                           <td className="px-2 py-3 whitespace-nowrap">
                             {record.col10 ? (
-                              <a
+                              <DocumentLink
+                                scriptUrl={CONFIG.APPS_SCRIPT_URL}
                                 href={record.col10}
-                                target="_blank"
-                                rel="noopener noreferrer"
                                 className="text-blue-600 hover:text-blue-800 flex items-center text-xs"
                               >
                                 <Eye className="h-3 w-3 mr-1" />
                                 View
-                              </a>
+                              </DocumentLink>
                             ) : (
                               <span className="text-gray-400 text-xs">—</span>
                             )}
@@ -1129,15 +986,14 @@ function FMSDataPage() {
                     </div>
                     <div className="shrink-0 flex items-center pt-5">
                       {selectedRecord?.col23 ? (
-                        <a
+                        <DocumentLink
+                          scriptUrl={CONFIG.APPS_SCRIPT_URL}
                           href={selectedRecord.col23}
-                          target="_blank"
-                          rel="noopener noreferrer"
                           className="p-2 border border-blue-200 rounded-md text-blue-600 bg-blue-50 hover:bg-blue-100 transition-all shadow-sm"
                           title="View Previous Survey Report"
                         >
                           <Eye className="h-5 w-5" />
-                        </a>
+                        </DocumentLink>
                       ) : (
                         <div
                           className="p-2 border border-gray-200 rounded-md text-gray-300 bg-gray-50 cursor-not-allowed"
@@ -1166,18 +1022,18 @@ function FMSDataPage() {
                           ✓ New file: {surveyForm.geotagPhoto.name}
                         </p>
                       )}
+                      <GeotagNotice photos={geotags.geotagPhoto} />
                     </div>
                     <div className="shrink-0 flex items-center pt-5">
                       {selectedRecord?.col24 ? (
-                        <a
+                        <DocumentLink
+                          scriptUrl={CONFIG.APPS_SCRIPT_URL}
                           href={selectedRecord.col24}
-                          target="_blank"
-                          rel="noopener noreferrer"
                           className="p-2 border border-blue-200 rounded-md text-blue-600 bg-blue-50 hover:bg-blue-100 transition-all shadow-sm"
                           title="View Previous Geotag Photo"
                         >
                           <Eye className="h-5 w-5" />
-                        </a>
+                        </DocumentLink>
                       ) : (
                         <div
                           className="p-2 border border-gray-200 rounded-md text-gray-300 bg-gray-50 cursor-not-allowed"
@@ -1209,15 +1065,14 @@ function FMSDataPage() {
                     </div>
                     <div className="shrink-0 flex items-center pt-5">
                       {selectedRecord?.col25 ? (
-                        <a
+                        <DocumentLink
+                          scriptUrl={CONFIG.APPS_SCRIPT_URL}
                           href={selectedRecord.col25}
-                          target="_blank"
-                          rel="noopener noreferrer"
                           className="p-2 border border-blue-200 rounded-md text-blue-600 bg-blue-50 hover:bg-blue-100 transition-all shadow-sm"
                           title="View Previous Electricity Bill"
                         >
                           <Eye className="h-5 w-5" />
-                        </a>
+                        </DocumentLink>
                       ) : (
                         <div
                           className="p-2 border border-gray-200 rounded-md text-gray-300 bg-gray-50 cursor-not-allowed"
@@ -1242,6 +1097,7 @@ function FMSDataPage() {
                       maxLength="12"
                       className="mt-1 block w-full border border-gray-300 rounded-md px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500 text-xs"
                     />
+                    <FieldError message={fieldErrors.AADHAR_NUMBER} />
                   </div>
 
                   {/* Pan Card */}
@@ -1257,6 +1113,7 @@ function FMSDataPage() {
                       maxLength="10"
                       className="mt-1 block w-full border border-gray-300 rounded-md px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500 text-xs"
                     />
+                    <FieldError message={fieldErrors.PAN_NUMBER} />
                   </div>
 
                   {/* Address Proof */}
@@ -1280,15 +1137,14 @@ function FMSDataPage() {
                     </div>
                     <div className="shrink-0 flex items-center pt-5">
                       {selectedRecord?.col28 ? (
-                        <a
+                        <DocumentLink
+                          scriptUrl={CONFIG.APPS_SCRIPT_URL}
                           href={selectedRecord.col28}
-                          target="_blank"
-                          rel="noopener noreferrer"
                           className="p-2 border border-blue-200 rounded-md text-blue-600 bg-blue-50 hover:bg-blue-100 transition-all shadow-sm"
                           title="View Previous Address Proof"
                         >
                           <Eye className="h-5 w-5" />
-                        </a>
+                        </DocumentLink>
                       ) : (
                         <div
                           className="p-2 border border-gray-200 rounded-md text-gray-300 bg-gray-50 cursor-not-allowed"
@@ -1327,9 +1183,12 @@ function FMSDataPage() {
                       maxLength="10"
                       className="mt-1 block w-full border border-gray-300 rounded-md px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500 text-xs"
                     />
+                    <FieldError message={fieldErrors.SURVEYOR_CONTACT} />
                   </div>
                 </div>
 
+                <UploadProgress uploads={uploads} />
+
                 <div className="flex justify-end space-x-3 mt-6 pt-3 border-t">
                   <button
                     onClick={closeSurveyModal}
@@ -1363,7 +1222,7 @@ function FMSDataPage() {
                   Delete Record
                 </h3>
                 <p className="text-sm text-gray-500 text-center mb-4">
-                  Are you sure you want to delete this record? This action cannot be undone.
+                  Are you sure you want to delete this record? An admin can restore it from the Recycle Bin.
                 </p>
                 <div className="bg-gray-50 rounded-md p-3 mb-4">
                   <p className="text-sm text-gray-700">
@@ -1394,6 +1253,12 @@ function FMSDataPage() {
           </div>
         )}
       </div>
+      <FmsConflictDialog conflict={conflict} onResolve={resolveConflict} />
+      <AuditHistoryDrawer
+        scriptUrl={CONFIG.APPS_SCRIPT_URL}
+        enquiryNumber={historyEnquiry}
+        onClose={() => setHistoryEnquiry(null)}
+      />
     </AdminLayout>
   )
 }
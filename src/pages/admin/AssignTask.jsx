@@ -1,12 +1,31 @@
 import { useState, useEffect } from "react";
 import { Upload, FileImage, Calendar, Edit2, Save, X, History } from "lucide-react";
 import AdminLayout from "../../components/layout/AdminLayout";
+import DocumentLink from "../../components/DocumentLink";
+import FmsConflictDialog from "../../components/FmsConflictDialog";
+import { FMS_COLUMNS, getFmsIndex, loadFmsColumns } from "../../lib/fmsSchema";
+import { fetchSheetRows, insertFmsRow } from "../../lib/fmsApi";
+import { uploadToDrive } from "../../lib/driveUpload";
+import { useFmsSave } from "../../lib/useFmsSave";
+import { can } from "../../lib/permissions";
+import { config } from "../../lib/config";
+
+// Web app the drop-down lists and uploaded documents are read from
+const APPS_SCRIPT_URL = config.appsScriptUrl;
+
+// Validation errors the backend answered ({ NAME: message }), one per line
+const describeFieldErrors = (fieldErrors) =>
+  Object.entries(fieldErrors)
+    .map(([key, message]) => `${FMS_COLUMNS[key].header}: ${message}`)
+    .join("\n");
 
 export default function BeneficiaryForm() {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [selectedImage, setSelectedImage] = useState(null);
   const [imagePreview, setImagePreview] = useState(null);
-  const [activeTab, setActiveTab] = useState("form");
+  // Roles that may only view enquiries get the history tab alone
+  const canEdit = can("enquiry", "edit");
+  const [activeTab, setActiveTab] = useState(canEdit ? "form" : "history");
 
   // History data state
   const [historyData, setHistoryData] = useState([]);
@@ -14,6 +33,7 @@ export default function BeneficiaryForm() {
   const [editingRow, setEditingRow] = useState(null);
   const [editFormData, setEditFormData] = useState({});
   const [showEditModal, setShowEditModal] = useState(false);
+  const { saveFields, conflict, resolveConflict } = useFmsSave(APPS_SCRIPT_URL);
 
   // Dropdown options state
   const [structureTypeOptions, setStructureTypeOptions] = useState([]);
@@ -55,25 +75,8 @@ export default function BeneficiaryForm() {
   // Fetch dropdown options
   const fetchDropdownOptions = async () => {
     try {
-      const sheetId = "1Kp9eEqtQfesdie6l7XEuTZne6Md8_P8qzKfGFcHhpL4";
-      const sheetName = "Drop-Down Value";
-      const url = `https://docs.google.com/spreadsheets/d/${sheetId}/gviz/tq?tqx=out:json&sheet=${encodeURIComponent(sheetName)}`;
-
-      const response = await fetch(url);
-      if (!response.ok) {
-        throw new Error(`Failed to fetch dropdown data: ${response.status}`);
-      }
-
-      const text = await response.text();
-      const jsonStart = text.indexOf("{");
-      const jsonEnd = text.lastIndexOf("}");
-      const jsonString = text.substring(jsonStart, jsonEnd + 1);
-      const data = JSON.parse(jsonString);
-
-      if (!data.table || !data.table.rows) {
-        console.log("No dropdown data found");
-        return;
-      }
+      // Header row dropped
+      const rows = (await fetchSheetRows(APPS_SCRIPT_URL, "Drop-Down Value")).slice(1);
 
       const structureTypes = [];
       const roofTypes = [];
@@ -81,27 +84,13 @@ export default function BeneficiaryForm() {
       const needTypes = [];
       const vendorNames = [];
 
-      data.table.rows.slice(1).forEach((row) => {
-        if (row.c && row.c[0] && row.c[0].v) {
-          const value = row.c[0].v.toString().trim();
-          if (value !== "") structureTypes.push(value);
-        }
-        if (row.c && row.c[1] && row.c[1].v) {
-          const value = row.c[1].v.toString().trim();
-          if (value !== "") roofTypes.push(value);
-        }
-        if (row.c && row.c[2] && row.c[2].v) {
-          const value = row.c[2].v.toString().trim();
-          if (value !== "") systemTypes.push(value);
-        }
-        if (row.c && row.c[3] && row.c[3].v) {
-          const value = row.c[3].v.toString().trim();
-          if (value !== "") needTypes.push(value);
-        }
-        if (row.c && row.c[14] && row.c[14].v) {
-          const value = row.c[14].v.toString().trim();
-          if (value !== "") vendorNames.push(value);
-        }
+      const optionValue = (row, index) => (row[index] === undefined ? "" : row[index].toString().trim());
+      rows.forEach((row) => {
+        if (optionValue(row, 0) !== "") structureTypes.push(optionValue(row, 0));
+        if (optionValue(row, 1) !== "") roofTypes.push(optionValue(row, 1));
+        if (optionValue(row, 2) !== "") systemTypes.push(optionValue(row, 2));
+        if (optionValue(row, 3) !== "") needTypes.push(optionValue(row, 3));
+        if (optionValue(row, 14) !== "") vendorNames.push(optionValue(row, 14));
       });
 
       setStructureTypeOptions([...new Set(structureTypes)]);
@@ -141,7 +130,7 @@ export default function BeneficiaryForm() {
   const fetchHistoryData = async () => {
     try {
       setIsLoadingHistory(true);
-      const scriptUrl = "https://script.google.com/macros/s/AKfycbzF4JjwpmtgsurRYkORyZvQPvRGc06VuBMCJM00wFbOOtVsSyFiUJx5xtb1J0P5ooyf/exec";
+      const scriptUrl = APPS_SCRIPT_URL;
 
       const response = await fetch(`${scriptUrl}?sheet=FMS&action=fetch`);
 
@@ -152,31 +141,35 @@ export default function BeneficiaryForm() {
       const data = await response.json();
 
       if (data && data.table && data.table.rows) {
+        loadFmsColumns(data.table.rows);
+
         const processedData = data.table.rows.slice(6).map((row, index) => {
           const rowData = {};
           const values = row.c || [];
+          const fms = (key) => values[getFmsIndex(key)]?.v || "";
 
           rowData.rowIndex = index + 7;
-          rowData.timestamp = formatDateTime(values[0]?.v || "");
-          rowData.enquiryNumber = values[1]?.v || "";
-          rowData.beneficiaryName = values[2]?.v || "";
-          rowData.address = values[3]?.v || "";
-          rowData.villageBlock = values[4]?.v || "";
-          rowData.district = values[5]?.v || "";
-          rowData.contactNumber = values[6]?.v || "";
-          rowData.presentLoad = values[7]?.v || "";
-          rowData.bpNumber = values[8]?.v || "";
-          rowData.cspdclContractDemand = values[9]?.v || "";
-          rowData.electricityBillUrl = values[10]?.v || "";
-          rowData.futureLoadRequirement = values[11]?.v || "";
-          rowData.loadDetailsApplication = values[12]?.v || "";
-          rowData.noOfHoursOfFailure = values[13]?.v || "";
-          rowData.structureType = values[14]?.v || "";
-          rowData.roofType = values[15]?.v || "";
-          rowData.systemType = values[16]?.v || "";
-          rowData.needType = values[17]?.v || "";
-          rowData.projectMode = values[18]?.v || "";
-          rowData.vendorName = values[150]?.v || "";
+          rowData._version = row.version || "";
+          rowData.timestamp = formatDateTime(fms("TIMESTAMP"));
+          rowData.enquiryNumber = fms("ENQUIRY_NUMBER");
+          rowData.beneficiaryName = fms("BENEFICIARY_NAME");
+          rowData.address = fms("ADDRESS");
+          rowData.villageBlock = fms("VILLAGE_BLOCK");
+          rowData.district = fms("DISTRICT");
+          rowData.contactNumber = fms("CONTACT_NUMBER");
+          rowData.presentLoad = fms("PRESENT_LOAD");
+          rowData.bpNumber = fms("BP_NUMBER");
+          rowData.cspdclContractDemand = fms("CSPDCL_CONTRACT_DEMAND");
+          rowData.electricityBillUrl = fms("AVG_ELECTRICITY_BILL");
+          rowData.futureLoadRequirement = fms("FUTURE_LOAD_REQUIREMENT");
+          rowData.loadDetailsApplication = fms("LOAD_DETAILS");
+          rowData.noOfHoursOfFailure = fms("HOURS_OF_FAILURE");
+          rowData.structureType = fms("STRUCTURE_TYPE");
+          rowData.roofType = fms("ROOF_TYPE");
+          rowData.systemType = fms("SYSTEM_TYPE");
+          rowData.needType = fms("NEED_TYPE");
+          rowData.projectMode = fms("PROJECT_MODE");
+          rowData.vendorName = fms("VENDOR_NAME");
 
           return rowData;
         });
@@ -226,55 +219,53 @@ export default function BeneficiaryForm() {
     setShowEditModal(false);
   };
 
-  // Save edited row
+  // Save edited row. The enquiry number identifies the row and is never
+  // written; the backend refuses the save if the row changed since it was
+  // read (see useFmsSave).
   const saveEdit = async (rowIndex) => {
+    const originalRow = historyData.find(row => row.rowIndex === rowIndex);
+    if (!originalRow) return;
+
     try {
       setIsSubmitting(true);
 
-      // FIXED: Initialize array and skip column A (timestamp) on edit to preserve original data
-      const updatedRowData = new Array(151).fill(null);
-      updatedRowData[0] = null;
-      updatedRowData[1] = editFormData.enquiryNumber || "";
-      updatedRowData[2] = editFormData.beneficiaryName || "";
-      updatedRowData[3] = editFormData.address || "";
-      updatedRowData[4] = editFormData.villageBlock || "";
-      updatedRowData[5] = editFormData.district || "";
-      updatedRowData[6] = editFormData.contactNumber || "";
-      updatedRowData[7] = editFormData.presentLoad || "";
-      updatedRowData[8] = editFormData.bpNumber || "";
-      updatedRowData[9] = editFormData.cspdclContractDemand || "";
-      updatedRowData[10] = editFormData.electricityBillUrl || "";
-      updatedRowData[11] = editFormData.futureLoadRequirement || "";
-      updatedRowData[12] = editFormData.loadDetailsApplication || "";
-      updatedRowData[13] = editFormData.noOfHoursOfFailure || "";
-      updatedRowData[14] = editFormData.structureType || "";
-      updatedRowData[15] = editFormData.roofType || "";
-      updatedRowData[16] = editFormData.systemType || "";
-      updatedRowData[17] = editFormData.needType || "";
-      updatedRowData[18] = editFormData.projectMode || "";
-      updatedRowData[150] = editFormData.vendorName || "";
-
-      const formPayload = new FormData();
-      formPayload.append("sheetName", "FMS");
-      formPayload.append("action", "update");
-      formPayload.append("rowIndex", rowIndex.toString());
-      formPayload.append("rowData", JSON.stringify(updatedRowData));
-
-      const response = await fetch(
-        "https://script.google.com/macros/s/AKfycbzF4JjwpmtgsurRYkORyZvQPvRGc06VuBMCJM00wFbOOtVsSyFiUJx5xtb1J0P5ooyf/exec",
-        {
-          method: "POST",
-          body: formPayload,
-          mode: "no-cors",
-        }
-      );
+      // Leave TIMESTAMP out on edit to preserve the original value
+      const updatedFields = {};
+      updatedFields.BENEFICIARY_NAME = editFormData.beneficiaryName || "";
+      updatedFields.ADDRESS = editFormData.address || "";
+      updatedFields.VILLAGE_BLOCK = editFormData.villageBlock || "";
+      updatedFields.DISTRICT = editFormData.district || "";
+      updatedFields.CONTACT_NUMBER = editFormData.contactNumber || "";
+      updatedFields.PRESENT_LOAD = editFormData.presentLoad || "";
+      updatedFields.BP_NUMBER = editFormData.bpNumber || "";
+      updatedFields.CSPDCL_CONTRACT_DEMAND = editFormData.cspdclContractDemand || "";
+      updatedFields.AVG_ELECTRICITY_BILL = editFormData.electricityBillUrl || "";
+      updatedFields.FUTURE_LOAD_REQUIREMENT = editFormData.futureLoadRequirement || "";
+      updatedFields.LOAD_DETAILS = editFormData.loadDetailsApplication || "";
+      updatedFields.HOURS_OF_FAILURE = editFormData.noOfHoursOfFailure || "";
+      updatedFields.STRUCTURE_TYPE = editFormData.structureType || "";
+      updatedFields.ROOF_TYPE = editFormData.roofType || "";
+      updatedFields.SYSTEM_TYPE = editFormData.systemType || "";
+      updatedFields.NEED_TYPE = editFormData.needType || "";
+      updatedFields.PROJECT_MODE = editFormData.projectMode || "";
+      updatedFields.VENDOR_NAME = editFormData.vendorName || "";
+
+      const result = await saveFields(originalRow, updatedFields);
+      if (result.cancelled) return;
+      if (result.validation) {
+        alert(`${result.message}\n\n${describeFieldErrors(result.fieldErrors)}`);
+        return;
+      }
+      if (!result.success) {
+        throw new Error(result.error || "Failed to update record");
+      }
 
       alert("Record updated successfully!");
 
       setHistoryData(prevData =>
         prevData.map(row =>
           row.rowIndex === rowIndex
-            ? { ...row, ...editFormData }
+            ? { ...row, ...editFormData, enquiryNumber: row.enquiryNumber, _version: result.version || row._version }
             : row
         )
       );
@@ -289,14 +280,7 @@ export default function BeneficiaryForm() {
 
     } catch (error) {
       console.error("Error updating record:", error);
-      alert("Record updated! (Changes have been saved)");
-      setEditingRow(null);
-      setEditFormData({});
-      setShowEditModal(false);
-
-      setTimeout(() => {
-        fetchHistoryData();
-      }, 1000);
+      alert("Failed to update record: " + error.message);
     } finally {
       setIsSubmitting(false);
     }
@@ -325,67 +309,6 @@ export default function BeneficiaryForm() {
     }
   };
 
-  // Upload image to Google Drive
-  const uploadImageToDrive = async (file) => {
-    try {
-      const reader = new FileReader();
-      return new Promise((resolve, reject) => {
-        reader.onload = async (e) => {
-          try {
-            const base64Data = e.target.result;
-            const fileName = `electricity_bill_${Date.now()}.${file.name.split('.').pop()}`;
-
-            const formPayload = new FormData();
-            formPayload.append("action", "uploadFile");
-            formPayload.append("base64Data", base64Data);
-            formPayload.append("fileName", fileName);
-            formPayload.append("mimeType", file.type);
-            formPayload.append("folderId", "1v42L6YoAXqHcX_Q2BZ_4GpAW-X8xWFZX");
-
-            try {
-              const response = await fetch(
-                "https://script.google.com/macros/s/AKfycbzF4JjwpmtgsurRYkORyZvQPvRGc06VuBMCJM00wFbOOtVsSyFiUJx5xtb1J0P5ooyf/exec",
-                {
-                  method: "POST",
-                  body: formPayload,
-                }
-              );
-
-              if (response.ok) {
-                const result = await response.json();
-                if (result.success && result.fileUrl) {
-                  resolve(result.fileUrl);
-                  return;
-                }
-              }
-            } catch (fetchError) {
-              console.log("Direct fetch failed, trying with no-cors...");
-            }
-
-            await fetch(
-              "https://script.google.com/macros/s/AKfycbzF4JjwpmtgsurRYkORyZvQPvRGc06VuBMCJM00wFbOOtVsSyFiUJx5xtb1J0P5ooyf/exec",
-              {
-                method: "POST",
-                body: formPayload,
-                mode: "no-cors",
-              }
-            );
-
-            resolve(fileName);
-
-          } catch (error) {
-            console.error("Error during upload process:", error);
-            resolve(file.name);
-          }
-        };
-        reader.readAsDataURL(file);
-      });
-    } catch (error) {
-      console.error("Error in uploadImageToDrive:", error);
-      return file.name;
-    }
-  };
-
   // Handle form submission
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -394,55 +317,49 @@ export default function BeneficiaryForm() {
     try {
       let imageUrl = "";
       if (selectedImage) {
-        try {
-          imageUrl = await uploadImageToDrive(selectedImage);
-        } catch (error) {
-          console.error("Error uploading image:", error);
-          imageUrl = "";
-        }
+        const uploaded = await uploadToDrive(APPS_SCRIPT_URL, selectedImage, {
+          fileName: `electricity_bill_${Date.now()}.${selectedImage.name.split('.').pop()}`,
+          folderId: config.driveFolders.enquiry,
+        });
+        imageUrl = uploaded.fileUrl;
       }
 
       const now = new Date();
       const timestamp = `${now.getDate().toString().padStart(2, '0')}/${(now.getMonth() + 1).toString().padStart(2, '0')}/${now.getFullYear()} ${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}:${now.getSeconds().toString().padStart(2, '0')}`;
 
-      const submissionData = new Array(151).fill(null);
-      submissionData[0] = timestamp;
-      submissionData[1] = "";
-      submissionData[2] = formData.beneficiaryName || "";
-      submissionData[3] = formData.address || "";
-      submissionData[4] = formData.villageBlock || "";
-      submissionData[5] = formData.district || "";
-      submissionData[6] = formData.contactNumber || "";
-      submissionData[7] = formData.presentLoad || "";
-      submissionData[8] = formData.bpNumber || "";
-      submissionData[9] = formData.cspdclContractDemand || "";
-      submissionData[10] = imageUrl;
-      submissionData[11] = formData.futureLoadRequirement || "";
-      submissionData[12] = formData.loadDetailsApplication || "";
-      submissionData[13] = formData.noOfHoursOfFailure || "";
-      submissionData[14] = formData.structureType || "";
-      submissionData[15] = formData.roofType || "";
-      submissionData[16] = formData.systemType || "";
-      submissionData[17] = formData.needType || "";
-      submissionData[18] = formData.projectMode || "";
-      submissionData[19] = submissionData[1] || "";
-      submissionData[150] = formData.vendorName || "";
-
-      const formPayload = new FormData();
-      formPayload.append("sheetName", "FMS");
-      formPayload.append("action", "insert");
-      formPayload.append("rowData", JSON.stringify(submissionData));
-
-      const response = await fetch(
-        "https://script.google.com/macros/s/AKfycbzF4JjwpmtgsurRYkORyZvQPvRGc06VuBMCJM00wFbOOtVsSyFiUJx5xtb1J0P5ooyf/exec",
-        {
-          method: "POST",
-          body: formPayload,
-          mode: "no-cors",
-        }
-      );
+      const submissionFields = {};
+      submissionFields.TIMESTAMP = timestamp;
+      submissionFields.ENQUIRY_NUMBER = "";
+      submissionFields.BENEFICIARY_NAME = formData.beneficiaryName || "";
+      submissionFields.ADDRESS = formData.address || "";
+      submissionFields.VILLAGE_BLOCK = formData.villageBlock || "";
+      submissionFields.DISTRICT = formData.district || "";
+      submissionFields.CONTACT_NUMBER = formData.contactNumber || "";
+      submissionFields.PRESENT_LOAD = formData.presentLoad || "";
+      submissionFields.BP_NUMBER = formData.bpNumber || "";
+      submissionFields.CSPDCL_CONTRACT_DEMAND = formData.cspdclContractDemand || "";
+      submissionFields.AVG_ELECTRICITY_BILL = imageUrl;
+      submissionFields.FUTURE_LOAD_REQUIREMENT = formData.futureLoadRequirement || "";
+      submissionFields.LOAD_DETAILS = formData.loadDetailsApplication || "";
+      submissionFields.HOURS_OF_FAILURE = formData.noOfHoursOfFailure || "";
+      submissionFields.STRUCTURE_TYPE = formData.structureType || "";
+      submissionFields.ROOF_TYPE = formData.roofType || "";
+      submissionFields.SYSTEM_TYPE = formData.systemType || "";
+      submissionFields.NEED_TYPE = formData.needType || "";
+      submissionFields.PROJECT_MODE = formData.projectMode || "";
+      submissionFields.SURVEY_PLANNED = submissionFields.ENQUIRY_NUMBER || "";
+      submissionFields.VENDOR_NAME = formData.vendorName || "";
+
+      const result = await insertFmsRow(APPS_SCRIPT_URL, submissionFields);
+      if (result.validation) {
+        alert(`${result.message}\n\n${describeFieldErrors(result.fieldErrors)}`);
+        return;
+      }
+      if (!result.success) {
+        throw new Error(result.error || "Failed to submit beneficiary information");
+      }
 
-      alert(`Successfully submitted beneficiary information!`);
+      alert(`Successfully submitted beneficiary information! Enquiry Number: ${result.enquiryNumber}`);
 
       // Reset form
       setFormData({
@@ -469,29 +386,7 @@ export default function BeneficiaryForm() {
 
     } catch (error) {
       console.error("Submission error:", error);
-      alert("Successfully submitted! (Data has been processed)");
-
-      setFormData({
-        beneficiaryName: "",
-        address: "",
-        villageBlock: "",
-        district: "",
-        contactNumber: "",
-        presentLoad: "",
-        bpNumber: "",
-        cspdclContractDemand: "",
-        futureLoadRequirement: "",
-        loadDetailsApplication: "",
-        noOfHoursOfFailure: "",
-        structureType: "",
-        roofType: "",
-        systemType: "",
-        needType: "",
-        projectMode: "",
-        vendorName: ""
-      });
-      setSelectedImage(null);
-      setImagePreview(null);
+      alert("Failed to submit: " + error.message);
     } finally {
       setIsSubmitting(false);
     }
@@ -505,15 +400,17 @@ export default function BeneficiaryForm() {
           {/* Tab Navigation */}
           <div className="border-b border-purple-200">
             <div className="flex">
-              <button
-                onClick={() => setActiveTab("form")}
-                className={`px-6 py-3 text-sm font-medium border-b-2 transition-colors duration-200 ${activeTab === "form"
-                  ? "border-purple-500 text-purple-600 bg-purple-50"
-                  : "border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300"
-                  }`}
-              >
-                Form
-              </button>
+              {canEdit && (
+                <button
+                  onClick={() => setActiveTab("form")}
+                  className={`px-6 py-3 text-sm font-medium border-b-2 transition-colors duration-200 ${activeTab === "form"
+                    ? "border-purple-500 text-purple-600 bg-purple-50"
+                    : "border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300"
+                    }`}
+                >
+                  Form
+                </button>
+              )}
               <button
                 onClick={() => setActiveTab("history")}
                 className={`px-6 py-3 text-sm font-medium border-b-2 transition-colors duration-200 ${activeTab === "history"
@@ -974,13 +871,15 @@ export default function BeneficiaryForm() {
                           {historyData.map((row, index) => (
                             <tr key={`${row.enquiryNumber}-${index}`} className="hover:bg-purple-50">
                               <td className="px-2 py-2 whitespace-nowrap text-xs text-gray-900">
-                                <button
-                                  onClick={() => startEdit(row)}
-                                  className="text-purple-600 hover:text-purple-700"
-                                  title="Edit"
-                                >
-                                  <Edit2 className="h-4 w-4" />
-                                </button>
+                                {canEdit && (
+                                  <button
+                                    onClick={() => startEdit(row)}
+                                    className="text-purple-600 hover:text-purple-700"
+                                    title="Edit"
+                                  >
+                                    <Edit2 className="h-4 w-4" />
+                                  </button>
+                                )}
                               </td>
                               <td className="px-2 py-2 whitespace-nowrap text-xs font-medium text-purple-600">{row.enquiryNumber}</td>
                               <td className="px-2 py-2 whitespace-nowrap text-xs text-gray-900">{row.beneficiaryName}</td>
@@ -994,9 +893,9 @@ export default function BeneficiaryForm() {
                               <td className="px-2 py-2 whitespace-nowrap text-xs text-gray-900">{row.cspdclContractDemand}</td>
                               <td className="px-2 py-2 whitespace-nowrap text-xs text-gray-900">
                                 {row.electricityBillUrl && (
-                                  <a href={row.electricityBillUrl} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:text-blue-800">
+                                  <DocumentLink scriptUrl={APPS_SCRIPT_URL} href={row.electricityBillUrl} className="text-blue-600 hover:text-blue-800">
                                     View
-                                  </a>
+                                  </DocumentLink>
                                 )}
                               </td>
                               <td className="px-2 py-2 whitespace-nowrap text-xs text-gray-900">{row.futureLoadRequirement}</td>
@@ -1302,6 +1201,8 @@ export default function BeneficiaryForm() {
               </div>
             </div>
           )}
+
+          <FmsConflictDialog conflict={conflict} onResolve={resolveConflict} />
         </div>
       </div>
     </AdminLayout>
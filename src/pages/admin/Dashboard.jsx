@@ -17,6 +17,10 @@ import {
 } from "lucide-react";
 
 import AdminLayout from "../../components/layout/AdminLayout.jsx";
+import { getFmsValue } from "../../lib/fmsSchema";
+import { queryFmsRows } from "../../lib/fmsApi";
+import { openDocument } from "../../lib/documentAccess";
+import { activeScope, isScopeLimited } from "../../lib/session";
 
 import {
   BarChart,
@@ -31,8 +35,14 @@ import {
   Pie,
   Cell,
 } from "recharts";
+import { config } from "../../lib/config";
+
+// Web app the FMS rows and uploaded documents are read from
+const APPS_SCRIPT_URL = config.appsScriptUrl;
 
 export default function FMSDashboard() {
+  // The backend answers only the rows of this scope (see ScopeSwitcher)
+  const dataScope = activeScope();
   const [activeTab, setActiveTab] = useState("overview");
   const [filterStatus, setFilterStatus] = useState("all");
   const [searchQuery, setSearchQuery] = useState("");
@@ -45,12 +55,8 @@ export default function FMSDashboard() {
     error: null,
   });
 
-  // Safe access to cell value
-  const getCellValue = (row, index) => {
-    if (!row || !row.c || index >= row.c.length) return null;
-    const cell = row.c[index];
-    return cell && "v" in cell ? cell.v : null;
-  };
+  // Safe access to cell value by FMS column name
+  const getCellValue = (row, key) => (row ? getFmsValue(row.values, key) : null);
 
   // Check if value is not null or empty
   const isNotNull = (value) => {
@@ -61,27 +67,11 @@ export default function FMSDashboard() {
   const fetchFMSData = async () => {
     try {
       setFmsData((prev) => ({ ...prev, loading: true, error: null }));
-      const response = await fetch(
-        `https://docs.google.com/spreadsheets/d/1Kp9eEqtQfesdie6l7XEuTZne6Md8_P8qzKfGFcHhpL4/gviz/tq?tqx=out:json&sheet=FMS`
-      );
-
-      if (!response.ok) {
-        throw new Error(`Failed to fetch FMS sheet data: ${response.status}`);
-      }
+      // Through the web app rather than the sheet's gviz endpoint, which
+      // cannot check the session
+      const { rows } = await queryFmsRows(APPS_SCRIPT_URL);
 
-      const text = await response.text();
-      const jsonStart = text.indexOf("{");
-      const jsonEnd = text.lastIndexOf("}");
-      const jsonString = text.substring(jsonStart, jsonEnd + 1);
-      const data = JSON.parse(jsonString);
-
-      console.log("Fetched FMS data:", {
-        totalRows: data.table.rows.length,
-        firstFewRows: data.table.rows.slice(2).map((row, idx) => ({
-          rowIndex: idx,
-          rowData: row.c ? row.c.map((cell) => cell?.v) : row,
-        })),
-      });
+      console.log("Fetched FMS data:", { totalRows: rows.length });
 
       // Initialize counters
       let totalEnquiry = 0;
@@ -103,19 +93,19 @@ export default function FMSDashboard() {
 
       // Process rows starting from row 11 (slice from index 10)
       // Process all rows from the sheet
-      data.table.rows.slice(2).forEach((row, index) => {
-        const rowIndex = index + 2; // Adjust for original row index
+      rows.forEach((row) => {
+        const rowIndex = row.rowIndex;
 
         // Get common values for metrics and records
-        const enquiryValue = getCellValue(row, 1); // Column B
-        const caValue = getCellValue(row, 78); // Column CA
-        const cbValue = getCellValue(row, 79); // Column CB
-        const dmValue = getCellValue(row, 116); // Column DM
-        const dnValue = getCellValue(row, 117); // Column DN
-        const bbValue = getCellValue(row, 53); // Column BB
-        const bcValue = getCellValue(row, 54); // Column BC
-        const projectType = getCellValue(row, 17); // Column R
-        const fmsUserName = getCellValue(row, 150); // Column EU
+        const enquiryValue = getCellValue(row, "ENQUIRY_NUMBER");
+        const caValue = getCellValue(row, "INSTALLATION_PLANNED");
+        const cbValue = getCellValue(row, "INSTALLATION_ACTUAL");
+        const dmValue = getCellValue(row, "COMMISSIONING_PLANNED");
+        const dnValue = getCellValue(row, "COMMISSIONING_ACTUAL");
+        const bbValue = getCellValue(row, "IP_PLANNED");
+        const bcValue = getCellValue(row, "IP_ACTUAL");
+        const projectType = getCellValue(row, "NEED_TYPE");
+        const fmsUserName = getCellValue(row, "VENDOR_NAME");
 
         // Update counters/trackers
         if (isNotNull(enquiryValue)) totalEnquiry++;
@@ -144,23 +134,23 @@ export default function FMSDashboard() {
             id: rowIndex,
             enquiry: enquiryValue,
             projectType: projectType || "Unknown",
-            beneficiaryName: getCellValue(row, 2), // Column C
-            address: getCellValue(row, 3), // Column D
-            villageBlock: getCellValue(row, 4), // Column E
-            district: getCellValue(row, 5), // Column F
-            contactNumber: getCellValue(row, 6), // Column G
-            presentLoad: getCellValue(row, 7), // Column H
-            bpNumber: getCellValue(row, 8), // Column I
-            cspdclContractDemand: getCellValue(row, 9), // Column J
-            avgElectricityBill: getCellValue(row, 10), // Column K
-            futureLoadRequirement: getCellValue(row, 11), // Column L
-            loadDetails: getCellValue(row, 12), // Column M
-            hoursOfFailure: getCellValue(row, 13), // Column N
-            structureType: getCellValue(row, 14), // Column O
-            roofType: getCellValue(row, 15), // Column P
-            systemType: getCellValue(row, 16), // Column Q
-            needType: projectType, // Column R
-            projectMode: getCellValue(row, 18), // Column S
+            beneficiaryName: getCellValue(row, "BENEFICIARY_NAME"),
+            address: getCellValue(row, "ADDRESS"),
+            villageBlock: getCellValue(row, "VILLAGE_BLOCK"),
+            district: getCellValue(row, "DISTRICT"),
+            contactNumber: getCellValue(row, "CONTACT_NUMBER"),
+            presentLoad: getCellValue(row, "PRESENT_LOAD"),
+            bpNumber: getCellValue(row, "BP_NUMBER"),
+            cspdclContractDemand: getCellValue(row, "CSPDCL_CONTRACT_DEMAND"),
+            avgElectricityBill: getCellValue(row, "AVG_ELECTRICITY_BILL"),
+            futureLoadRequirement: getCellValue(row, "FUTURE_LOAD_REQUIREMENT"),
+            loadDetails: getCellValue(row, "LOAD_DETAILS"),
+            hoursOfFailure: getCellValue(row, "HOURS_OF_FAILURE"),
+            structureType: getCellValue(row, "STRUCTURE_TYPE"),
+            roofType: getCellValue(row, "ROOF_TYPE"),
+            systemType: getCellValue(row, "SYSTEM_TYPE"),
+            needType: projectType,
+            projectMode: getCellValue(row, "PROJECT_MODE"),
             caValue,
             cbValue,
             bbValue,
@@ -463,7 +453,7 @@ export default function FMSDashboard() {
                     {record.avgElectricityBill ? (
                       <button
                         onClick={() =>
-                          window.open(record.avgElectricityBill, "_blank")
+                          openDocument(APPS_SCRIPT_URL, record.avgElectricityBill)
                         }
                         className="text-blue-600 hover:text-blue-800 underline"
                       >
@@ -609,6 +599,11 @@ export default function FMSDashboard() {
           <div>
             <h1 className="text-2xl font-bold text-purple-900">Dashboard</h1>
             <p className="text-purple-600">Monitor and manage your solar installations and enquiries</p>
+            {isScopeLimited(dataScope) && (
+              <p className="text-xs text-purple-500 mt-1">
+                Figures cover {[dataScope.district, dataScope.branch, dataScope.vendor].filter(Boolean).join(" · ")} only
+              </p>
+            )}
           </div>
           <div className="flex items-center gap-3 bg-white p-2 rounded-xl border border-purple-200 shadow-sm">
             <div className="p-2 bg-purple-100 rounded-lg text-purple-600">
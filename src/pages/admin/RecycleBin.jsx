@@ -0,0 +1,260 @@
+"use client";
+
+import { useState, useEffect, useMemo, useCallback } from "react";
+import { Trash2, RotateCcw, Search, RefreshCw, AlertTriangle, Loader2, History } from "lucide-react";
+import AdminLayout from "../../components/layout/AdminLayout";
+import { AuditHistoryDrawer } from "../../components/AuditHistory";
+import { getFmsColumns, getFmsValue, resolveFmsColumns } from "../../lib/fmsSchema";
+import { fetchArchivedRows, restoreArchivedRow, purgeArchivedRow } from "../../lib/fmsApi";
+import { config } from "../../lib/config";
+
+// Configuration object
+const CONFIG = {
+  APPS_SCRIPT_URL: config.appsScriptUrl,
+  PAGE_CONFIG: {
+    title: "Recycle Bin",
+    description: "Deleted enquiries can be restored to FMS or purged permanently",
+  },
+};
+
+export default function RecycleBinPage() {
+  const [rows, setRows] = useState([]);
+  const [columns, setColumns] = useState(getFmsColumns);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [searchTerm, setSearchTerm] = useState("");
+  const [successMessage, setSuccessMessage] = useState("");
+  const [busyRow, setBusyRow] = useState(null);
+  const [rowToPurge, setRowToPurge] = useState(null);
+  const [historyEnquiry, setHistoryEnquiry] = useState(null);
+
+  const fetchArchive = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const result = await fetchArchivedRows(CONFIG.APPS_SCRIPT_URL);
+      // Archived values follow the FMS header row copied into FMS_Archive
+      setColumns(resolveFmsColumns(result.headers));
+      setRows(result.rows);
+    } catch (err) {
+      console.error("Error fetching recycle bin:", err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchArchive();
+  }, [fetchArchive]);
+
+  const filteredRows = useMemo(() => {
+    const term = searchTerm.trim().toLowerCase();
+    if (!term) return rows;
+    return rows.filter(
+      (row) =>
+        row.enquiryNumber.toLowerCase().includes(term) ||
+        String(getFmsValue(row.values, "BENEFICIARY_NAME", columns) || "").toLowerCase().includes(term) ||
+        row.deletedBy.toLowerCase().includes(term)
+    );
+  }, [rows, searchTerm, columns]);
+
+  const showSuccess = (message) => {
+    setSuccessMessage(message);
+    setTimeout(() => {
+      setSuccessMessage("");
+    }, 3000);
+  };
+
+  const handleRestore = async (row) => {
+    setBusyRow(row.archiveRow);
+    try {
+      const result = await restoreArchivedRow(CONFIG.APPS_SCRIPT_URL, row);
+      if (!result.success) {
+        throw new Error(result.error || "Failed to restore row");
+      }
+      showSuccess(`Enquiry ${row.enquiryNumber} restored to ${result.sheetName} row ${result.rowIndex}`);
+      await fetchArchive();
+    } catch (err) {
+      console.error("Error restoring row:", err);
+      alert("Failed to restore: " + err.message);
+    } finally {
+      setBusyRow(null);
+    }
+  };
+
+  const handlePurgeConfirm = async () => {
+    if (!rowToPurge) return;
+    const row = rowToPurge;
+    setBusyRow(row.archiveRow);
+    try {
+      const result = await purgeArchivedRow(CONFIG.APPS_SCRIPT_URL, row);
+      if (!result.success) {
+        throw new Error(result.error || "Failed to purge row");
+      }
+      setRowToPurge(null);
+      showSuccess(`Enquiry ${row.enquiryNumber} purged permanently`);
+      await fetchArchive();
+    } catch (err) {
+      console.error("Error purging row:", err);
+      alert("Failed to purge: " + err.message);
+    } finally {
+      setBusyRow(null);
+    }
+  };
+
+  return (
+    <AdminLayout>
+      <div className="space-y-6 p-4 md:p-6">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+              <Trash2 className="h-6 w-6 mr-2 text-red-600" />
+              {CONFIG.PAGE_CONFIG.title}
+            </h1>
+            <p className="text-sm text-gray-500 mt-1">{CONFIG.PAGE_CONFIG.description}</p>
+          </div>
+          <div className="flex items-center gap-2">
+            <div className="relative">
+              <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+              <input
+                type="text"
+                placeholder="Search enquiry, beneficiary, user..."
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                className="pl-9 pr-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 w-64"
+              />
+            </div>
+            <button
+              onClick={fetchArchive}
+              disabled={loading}
+              className="p-2 border border-gray-300 rounded-md text-gray-600 hover:bg-gray-50 disabled:opacity-50"
+              title="Reload"
+            >
+              <RefreshCw className={`h-4 w-4 ${loading ? "animate-spin" : ""}`} />
+            </button>
+          </div>
+        </div>
+
+        {successMessage && (
+          <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-2 rounded-md text-sm">
+            {successMessage}
+          </div>
+        )}
+
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          {loading ? (
+            <div className="flex items-center justify-center py-12 text-gray-500 text-sm">
+              <Loader2 className="h-5 w-5 mr-2 animate-spin" />
+              Loading recycle bin...
+            </div>
+          ) : error ? (
+            <div className="p-6 text-center">
+              <p className="text-red-600 text-sm mb-3">{error}</p>
+              <button onClick={fetchArchive} className="px-4 py-2 bg-blue-600 text-white rounded-md text-sm hover:bg-blue-700">
+                Retry
+              </button>
+            </div>
+          ) : filteredRows.length === 0 ? (
+            <div className="text-center py-12 text-gray-500 text-sm">
+              {rows.length === 0 ? "The recycle bin is empty." : "No deleted enquiries match your search."}
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    {["Actions", "Enquiry Number", "Beneficiary Name", "District", "Contact Number", "Deleted At", "Deleted By", "From"].map((label) => (
+                      <th key={label} className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider whitespace-nowrap">
+                        {label}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {filteredRows.map((row) => (
+                    <tr key={row.archiveRow} className="hover:bg-gray-50">
+                      <td className="px-3 py-3 whitespace-nowrap">
+                        <div className="flex items-center gap-2">
+                          <button
+                            onClick={() => handleRestore(row)}
+                            disabled={busyRow !== null}
+                            className="inline-flex items-center px-2 py-1 bg-green-600 text-white rounded text-xs hover:bg-green-700 disabled:opacity-50"
+                          >
+                            <RotateCcw className="h-3 w-3 mr-1" />
+                            {busyRow === row.archiveRow ? "Working..." : "Restore"}
+                          </button>
+                          <button
+                            onClick={() => setRowToPurge(row)}
+                            disabled={busyRow !== null}
+                            className="inline-flex items-center px-2 py-1 bg-red-600 text-white rounded text-xs hover:bg-red-700 disabled:opacity-50"
+                          >
+                            <Trash2 className="h-3 w-3 mr-1" />
+                            Purge
+                          </button>
+                          <button
+                            onClick={() => setHistoryEnquiry(row.enquiryNumber)}
+                            className="text-gray-400 hover:text-blue-600"
+                            title="Change history"
+                          >
+                            <History className="h-4 w-4" />
+                          </button>
+                        </div>
+                      </td>
+                      <td className="px-3 py-3 whitespace-nowrap text-xs font-medium text-gray-900">{row.enquiryNumber || "—"}</td>
+                      <td className="px-3 py-3 whitespace-nowrap text-xs text-gray-900">{getFmsValue(row.values, "BENEFICIARY_NAME", columns) || "—"}</td>
+                      <td className="px-3 py-3 whitespace-nowrap text-xs text-gray-900">{getFmsValue(row.values, "DISTRICT", columns) || "—"}</td>
+                      <td className="px-3 py-3 whitespace-nowrap text-xs text-gray-900">{getFmsValue(row.values, "CONTACT_NUMBER", columns) || "—"}</td>
+                      <td className="px-3 py-3 whitespace-nowrap text-xs text-gray-900">{row.deletedAt}</td>
+                      <td className="px-3 py-3 whitespace-nowrap text-xs text-gray-900">{row.deletedBy}</td>
+                      <td className="px-3 py-3 whitespace-nowrap text-xs text-gray-500">
+                        {row.sourceSheet} row {row.sourceRow}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Purge Confirmation Modal */}
+      {rowToPurge && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
+          <div className="bg-white max-w-md w-full shadow-2xl rounded-lg p-6">
+            <div className="flex items-center justify-center w-12 h-12 mx-auto mb-4 rounded-full bg-red-100">
+              <AlertTriangle className="h-6 w-6 text-red-600" />
+            </div>
+            <h3 className="text-lg font-medium text-gray-900 text-center mb-2">Purge Enquiry</h3>
+            <p className="text-sm text-gray-500 text-center mb-4">
+              Enquiry {rowToPurge.enquiryNumber} will be deleted permanently. This action cannot be undone.
+            </p>
+            <div className="flex justify-end space-x-3">
+              <button
+                onClick={() => setRowToPurge(null)}
+                disabled={busyRow !== null}
+                className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50 text-sm"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handlePurgeConfirm}
+                disabled={busyRow !== null}
+                className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed text-sm"
+              >
+                {busyRow !== null ? "Purging..." : "Purge"}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <AuditHistoryDrawer
+        scriptUrl={CONFIG.APPS_SCRIPT_URL}
+        enquiryNumber={historyEnquiry}
+        onClose={() => setHistoryEnquiry(null)}
+      />
+    </AdminLayout>
+  );
+}
@@ -0,0 +1,485 @@
+"use client";
+
+import { useState, useEffect, useMemo, useCallback } from "react";
+import { Users, UserPlus, Pencil, KeyRound, Ban, CheckCircle, Search, RefreshCw, AlertTriangle, Loader2, X } from "lucide-react";
+import AdminLayout from "../../components/layout/AdminLayout";
+import { fetchUsers, createUser, updateUser, setUserActive, resetUserPassword } from "../../lib/fmsApi";
+import { config } from "../../lib/config";
+
+// Configuration object
+const CONFIG = {
+  APPS_SCRIPT_URL: config.appsScriptUrl,
+  PAGE_CONFIG: {
+    title: "Users",
+    description: "Create users, set their role and scope, and manage their access",
+  },
+};
+
+const EMPTY_FORM = { username: "", name: "", role: "user", district: "", branch: "", vendor: "" };
+
+// What the confirmation modal asks before each action
+const CONFIRMATIONS = {
+  deactivate: {
+    title: "Deactivate User",
+    message: (user) => `${user.username} will be signed out and cannot sign in until reactivated.`,
+    button: "Deactivate",
+  },
+  reactivate: {
+    title: "Reactivate User",
+    message: (user) => `${user.username} will be able to sign in again.`,
+    button: "Reactivate",
+  },
+  reset: {
+    title: "Reset Password",
+    message: (user) => `${user.username} gets a temporary password and must choose a new one when they next sign in.`,
+    button: "Reset Password",
+  },
+};
+
+export default function UsersPage() {
+  const [users, setUsers] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [searchTerm, setSearchTerm] = useState("");
+  const [successMessage, setSuccessMessage] = useState("");
+  // { mode: "create" | "edit", values } while the user form is open
+  const [form, setForm] = useState(null);
+  const [formError, setFormError] = useState("");
+  // { type: key of CONFIRMATIONS, user } while a confirmation is open
+  const [pendingAction, setPendingAction] = useState(null);
+  // { username, password } shown once after a create or reset
+  const [temporaryPassword, setTemporaryPassword] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const currentUser = sessionStorage.getItem("username");
+
+  const loadUsers = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const result = await fetchUsers(CONFIG.APPS_SCRIPT_URL);
+      setUsers(result.users);
+      setRoles(result.roles);
+    } catch (err) {
+      console.error("Error fetching users:", err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  const filteredUsers = useMemo(() => {
+    const term = searchTerm.trim().toLowerCase();
+    if (!term) return users;
+    return users.filter((user) =>
+      [user.username, user.name, user.role, user.district, user.branch, user.vendor].some((value) =>
+        (value || "").toLowerCase().includes(term)
+      )
+    );
+  }, [users, searchTerm]);
+
+  const showSuccess = (message) => {
+    setSuccessMessage(message);
+    setTimeout(() => {
+      setSuccessMessage("");
+    }, 3000);
+  };
+
+  const openCreateForm = () => {
+    setFormError("");
+    setForm({ mode: "create", values: { ...EMPTY_FORM, role: roles.includes("user") ? "user" : roles[0] || "" } });
+  };
+
+  const openEditForm = (user) => {
+    setFormError("");
+    setForm({
+      mode: "edit",
+      values: { username: user.username, name: user.name, role: user.role, district: user.district, branch: user.branch, vendor: user.vendor },
+    });
+  };
+
+  const handleFormChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, values: { ...prev.values, [name]: value } }));
+  };
+
+  const handleFormSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setFormError("");
+    try {
+      const values = { ...form.values, username: form.values.username.trim().toLowerCase() };
+      const result =
+        form.mode === "create"
+          ? await createUser(CONFIG.APPS_SCRIPT_URL, values)
+          : await updateUser(CONFIG.APPS_SCRIPT_URL, values);
+      if (!result.success) {
+        throw new Error(result.error || "Failed to save user");
+      }
+      setForm(null);
+      if (result.temporaryPassword) {
+        setTemporaryPassword({ username: result.user.username, password: result.temporaryPassword });
+      } else {
+        showSuccess(`User ${result.user.username} updated`);
+      }
+      await loadUsers();
+    } catch (err) {
+      console.error("Error saving user:", err);
+      setFormError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleConfirm = async () => {
+    if (!pendingAction) return;
+    const { type, user } = pendingAction;
+    setBusy(true);
+    try {
+      const result =
+        type === "reset"
+          ? await resetUserPassword(CONFIG.APPS_SCRIPT_URL, user.username)
+          : await setUserActive(CONFIG.APPS_SCRIPT_URL, user.username, type === "reactivate");
+      if (!result.success) {
+        throw new Error(result.error || "Failed to update user");
+      }
+      setPendingAction(null);
+      if (result.temporaryPassword) {
+        setTemporaryPassword({ username: user.username, password: result.temporaryPassword });
+      } else {
+        showSuccess(`User ${user.username} ${type === "reactivate" ? "reactivated" : "deactivated"}`);
+      }
+      await loadUsers();
+    } catch (err) {
+      console.error("Error updating user:", err);
+      alert("Failed: " + err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <AdminLayout>
+      <div className="space-y-6 p-4 md:p-6">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+              <Users className="h-6 w-6 mr-2 text-blue-600" />
+              {CONFIG.PAGE_CONFIG.title}
+            </h1>
+            <p className="text-sm text-gray-500 mt-1">{CONFIG.PAGE_CONFIG.description}</p>
+          </div>
+          <div className="flex items-center gap-2">
+            <div className="relative">
+              <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+              <input
+                type="text"
+                placeholder="Search name, username, role..."
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                className="pl-9 pr-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 w-64"
+              />
+            </div>
+            <button
+              onClick={loadUsers}
+              disabled={loading}
+              className="p-2 border border-gray-300 rounded-md text-gray-600 hover:bg-gray-50 disabled:opacity-50"
+              title="Reload"
+            >
+              <RefreshCw className={`h-4 w-4 ${loading ? "animate-spin" : ""}`} />
+            </button>
+            <button
+              onClick={openCreateForm}
+              disabled={loading || roles.length === 0}
+              className="inline-flex items-center px-3 py-2 bg-blue-600 text-white rounded-md text-sm hover:bg-blue-700 disabled:opacity-50"
+            >
+              <UserPlus className="h-4 w-4 mr-1" />
+              Add User
+            </button>
+          </div>
+        </div>
+
+        {successMessage && (
+          <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-2 rounded-md text-sm">
+            {successMessage}
+          </div>
+        )}
+
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          {loading ? (
+            <div className="flex items-center justify-center py-12 text-gray-500 text-sm">
+              <Loader2 className="h-5 w-5 mr-2 animate-spin" />
+              Loading users...
+            </div>
+          ) : error ? (
+            <div className="p-6 text-center">
+              <p className="text-red-600 text-sm mb-3">{error}</p>
+              <button onClick={loadUsers} className="px-4 py-2 bg-blue-600 text-white rounded-md text-sm hover:bg-blue-700">
+                Retry
+              </button>
+            </div>
+          ) : filteredUsers.length === 0 ? (
+            <div className="text-center py-12 text-gray-500 text-sm">
+              {users.length === 0 ? "No users yet." : "No users match your search."}
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    {["Actions", "Name", "Username", "Role", "District", "Branch", "Vendor", "Status", "Last Login"].map((label) => (
+                      <th key={label} className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider whitespace-nowrap">
+                        {label}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {filteredUsers.map((user) => (
+                    <tr key={user.username} className={`hover:bg-gray-50 ${user.active ? "" : "opacity-60"}`}>
+                      <td className="px-3 py-3 whitespace-nowrap">
+                        <div className="flex items-center gap-2">
+                          <button
+                            onClick={() => openEditForm(user)}
+                            disabled={busy}
+                            className="text-gray-400 hover:text-blue-600 disabled:opacity-50"
+                            title="Edit role and scope"
+                          >
+                            <Pencil className="h-4 w-4" />
+                          </button>
+                          <button
+                            onClick={() => setPendingAction({ type: "reset", user })}
+                            disabled={busy}
+                            className="text-gray-400 hover:text-amber-600 disabled:opacity-50"
+                            title="Reset password"
+                          >
+                            <KeyRound className="h-4 w-4" />
+                          </button>
+                          {user.username !== currentUser &&
+                            (user.active ? (
+                              <button
+                                onClick={() => setPendingAction({ type: "deactivate", user })}
+                                disabled={busy}
+                                className="text-gray-400 hover:text-red-600 disabled:opacity-50"
+                                title="Deactivate"
+                              >
+                                <Ban className="h-4 w-4" />
+                              </button>
+                            ) : (
+                              <button
+                                onClick={() => setPendingAction({ type: "reactivate", user })}
+                                disabled={busy}
+                                className="text-gray-400 hover:text-green-600 disabled:opacity-50"
+                                title="Reactivate"
+                              >
+                                <CheckCircle className="h-4 w-4" />
+                              </button>
+                            ))}
+                        </div>
+                      </td>
+                      <td className="px-3 py-3 whitespace-nowrap text-xs font-medium text-gray-900">{user.name || "—"}</td>
+                      <td className="px-3 py-3 whitespace-nowrap text-xs text-gray-900">{user.username}</td>
+                      <td className="px-3 py-3 whitespace-nowrap text-xs text-gray-900 capitalize">{user.role}</td>
+                      <td className="px-3 py-3 whitespace-nowrap text-xs text-gray-900">{user.district || "All"}</td>
+                      <td className="px-3 py-3 whitespace-nowrap text-xs text-gray-900">{user.branch || "All"}</td>
+                      <td className="px-3 py-3 whitespace-nowrap text-xs text-gray-900">{user.vendor || "All"}</td>
+                      <td className="px-3 py-3 whitespace-nowrap text-xs">
+                        <span
+                          className={`px-2 py-0.5 rounded-full ${
+                            user.active ? "bg-green-100 text-green-700" : "bg-gray-200 text-gray-600"
+                          }`}
+                        >
+                          {user.active ? "Active" : "Inactive"}
+                        </span>
+                        {user.mustChangePassword && (
+                          <span className="ml-1 px-2 py-0.5 rounded-full bg-amber-100 text-amber-700">Password reset</span>
+                        )}
+                      </td>
+                      <td className="px-3 py-3 whitespace-nowrap text-xs text-gray-500">{user.lastLogin || "Never"}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Create / Edit User Modal */}
+      {form && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
+          <form onSubmit={handleFormSubmit} className="bg-white max-w-md w-full shadow-2xl rounded-lg p-6 space-y-4">
+            <div className="flex items-center justify-between">
+              <h3 className="text-lg font-medium text-gray-900">
+                {form.mode === "create" ? "Add User" : `Edit ${form.values.username}`}
+              </h3>
+              <button type="button" onClick={() => setForm(null)} className="text-gray-400 hover:text-gray-600">
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+
+            {form.mode === "create" && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Username</label>
+                <input
+                  name="username"
+                  value={form.values.username}
+                  onChange={handleFormChange}
+                  required
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+            )}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+              <input
+                name="name"
+                value={form.values.name}
+                onChange={handleFormChange}
+                required
+                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Role</label>
+              <select
+                name="role"
+                value={form.values.role}
+                onChange={handleFormChange}
+                required
+                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 capitalize"
+              >
+                {!roles.includes(form.values.role) && <option value={form.values.role}>{form.values.role || "Choose a role"}</option>}
+                {roles.map((role) => (
+                  <option key={role} value={role}>
+                    {role}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Districts</label>
+              <input
+                name="district"
+                value={form.values.district}
+                onChange={handleFormChange}
+                placeholder="All districts"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Branches</label>
+              <input
+                name="branch"
+                value={form.values.branch}
+                onChange={handleFormChange}
+                placeholder="All branches"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Vendors</label>
+              <input
+                name="vendor"
+                value={form.values.vendor}
+                onChange={handleFormChange}
+                placeholder="All vendors"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Separate several districts, branches or vendors with commas. Users only see and change enquiries in their
+                scope; admins see everything.
+              </p>
+            </div>
+
+            {formError && (
+              <div className="bg-red-50 border border-red-200 text-red-700 px-3 py-2 rounded-md text-sm">{formError}</div>
+            )}
+
+            <div className="flex justify-end space-x-3">
+              <button
+                type="button"
+                onClick={() => setForm(null)}
+                disabled={busy}
+                className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50 text-sm"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={busy}
+                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed text-sm"
+              >
+                {busy ? "Saving..." : form.mode === "create" ? "Add User" : "Save"}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* Confirmation Modal */}
+      {pendingAction && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
+          <div className="bg-white max-w-md w-full shadow-2xl rounded-lg p-6">
+            <div className="flex items-center justify-center w-12 h-12 mx-auto mb-4 rounded-full bg-amber-100">
+              <AlertTriangle className="h-6 w-6 text-amber-600" />
+            </div>
+            <h3 className="text-lg font-medium text-gray-900 text-center mb-2">
+              {CONFIRMATIONS[pendingAction.type].title}
+            </h3>
+            <p className="text-sm text-gray-500 text-center mb-4">
+              {CONFIRMATIONS[pendingAction.type].message(pendingAction.user)}
+            </p>
+            <div className="flex justify-end space-x-3">
+              <button
+                onClick={() => setPendingAction(null)}
+                disabled={busy}
+                className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50 text-sm"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleConfirm}
+                disabled={busy}
+                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed text-sm"
+              >
+                {busy ? "Working..." : CONFIRMATIONS[pendingAction.type].button}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Temporary Password Modal */}
+      {temporaryPassword && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
+          <div className="bg-white max-w-md w-full shadow-2xl rounded-lg p-6">
+            <div className="flex items-center justify-center w-12 h-12 mx-auto mb-4 rounded-full bg-blue-100">
+              <KeyRound className="h-6 w-6 text-blue-600" />
+            </div>
+            <h3 className="text-lg font-medium text-gray-900 text-center mb-2">Temporary Password</h3>
+            <p className="text-sm text-gray-500 text-center mb-3">
+              Give {temporaryPassword.username} this password. They must change it when they sign in. It is not shown
+              again.
+            </p>
+            <p className="font-mono text-lg text-center bg-gray-100 rounded-md py-2 mb-4 select-all">
+              {temporaryPassword.password}
+            </p>
+            <div className="flex justify-end">
+              <button
+                onClick={() => setTemporaryPassword(null)}
+                className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 text-sm"
+              >
+                Done
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </AdminLayout>
+  );
+}
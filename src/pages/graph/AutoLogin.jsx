@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { Key, Cpu, Search, CheckCircle, AlertCircle, RefreshCw } from 'lucide-react';
 import { useDeviceContext } from './DeviceContext';
+import { config } from '../../lib/config';
 
 // Environment variables
 const SOLAR_APPKEY = import.meta.env.VITE_SOLAR_APP_KEY;
@@ -10,7 +11,7 @@ const USER_ACCOUNT = import.meta.env.VITE_USER_ACCOUNT;
 const USER_PASSWORD = import.meta.env.VITE_USER_PASSWORD;
 
 // Google Sheets Config
-const GOOGLE_SCRIPT_URL = "https://script.google.com/macros/s/AKfycbzF4JjwpmtgsurRYkORyZvQPvRGc06VuBMCJM00wFbOOtVsSyFiUJx5xtb1J0P5ooyf/exec";
+const GOOGLE_SCRIPT_URL = config.appsScriptUrl;
 const SHEET_NAME = "Inverter_id";
 
 const AutoLogin = ({ onTokenChange, onDeviceDataChange, onBeneficiarySelect }) => {
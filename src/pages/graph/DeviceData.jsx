@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { useDeviceContext } from './DeviceContext'; // Add this import
+import { config } from '../../lib/config';
 
 const DeviceData = () => {
   // Get context functions
@@ -34,15 +35,9 @@ const DeviceData = () => {
     setDeviceDataLocal(null); // Clear device data on new login
 
     try {
-      const response = await fetch('http://localhost:3000/api/solar/login', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          user_account: 'sahoo@rbpindia.com',
-          user_password: 'rbpindia@2025'
-        })
+      // The proxy signs in with its own iSolarCloud account
+      const response = await fetch(`${config.solarApiUrl}/api/solar/login`, {
+        method: 'POST'
       });
 
       const data = await response.json();
@@ -85,7 +80,7 @@ const DeviceData = () => {
     setDeviceDataLocal(null);
 
     try {
-      const response = await fetch('http://localhost:3000/api/solar/inverter-data', {
+      const response = await fetch(`${config.solarApiUrl}/api/solar/inverter-data`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -16,6 +16,8 @@ import {
   ArrowUpRight, ArrowDownRight, Target, LogIn, Wifi, WifiOff,
   Save, Upload, Server, FileText, Bell
 } from 'lucide-react';
+import { can } from '../../lib/permissions';
+import { config } from '../../lib/config';
 
 // Environment variables - with fallbacks for development
 const SOLAR_APPKEY = import.meta.env.VITE_SOLAR_APP_KEY || '';
@@ -23,7 +25,7 @@ const SOLAR_SECRET_KEY = import.meta.env.VITE_SOLAR_SECRET_KEY || '';
 const SOLAR_SYS_CODE = import.meta.env.VITE_SOLAR_SYS_CODE || '207';
 const USER_ACCOUNT = import.meta.env.VITE_USER_ACCOUNT || '';
 const USER_PASSWORD = import.meta.env.VITE_USER_PASSWORD || '';
-const GOOGLE_SCRIPT_URL = (import.meta.env.VITE_GOOGLE_SCRIPT_URL || "https://script.google.com/macros/s/AKfycbzF4JjwpmtgsurRYkORyZvQPvRGc06VuBMCJM00wFbOOtVsSyFiUJx5xtb1J0P5ooyf/exec").trim();
+const GOOGLE_SCRIPT_URL = config.appsScriptUrl;
 const SHEET_NAME = "Inverter_id";
 
 // Cache utility functions - Moved outside component
@@ -84,6 +86,7 @@ const formatDateToDDMMYYYY = (dateStr) => {
 
 const WeeklyPerformanceReport = () => {
   const { token, setToken, clearToken } = useDeviceContext();
+  const canExport = can('energyAnalysis', 'export');
 
   // Login state
   const [localToken, setLocalToken] = useState(token || '');
@@ -1705,17 +1708,19 @@ const WeeklyPerformanceReport = () => {
                 </div>
 
                 <div className="flex items-center gap-3 flex-wrap">
-                  <button
-                    onClick={exportToCSV}
-                    disabled={filteredData.length === 0}
-                    className={`px-4 py-2 rounded-lg font-medium transition flex items-center gap-2 ${filteredData.length === 0
-                      ? 'bg-gray-100 text-gray-400 cursor-not-allowed'
-                      : 'bg-green-600 hover:bg-green-700 text-white'
-                      }`}
-                  >
-                    <DownloadCloud className="w-4 h-4" />
-                    Export CSV
-                  </button>
+                  {canExport && (
+                    <button
+                      onClick={exportToCSV}
+                      disabled={filteredData.length === 0}
+                      className={`px-4 py-2 rounded-lg font-medium transition flex items-center gap-2 ${filteredData.length === 0
+                        ? 'bg-gray-100 text-gray-400 cursor-not-allowed'
+                        : 'bg-green-600 hover:bg-green-700 text-white'
+                        }`}
+                    >
+                      <DownloadCloud className="w-4 h-4" />
+                      Export CSV
+                    </button>
+                  )}
 
                   {/* Sync Buttons */}
                   <div className="flex items-center gap-2">